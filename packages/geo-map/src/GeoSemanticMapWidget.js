@@ -6,6 +6,13 @@ import '@geoman-io/leaflet-geoman-free';
 import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
 import 'leaflet/dist/leaflet.css';
 import { setupSystemInfrastructure } from './systemInfrastructure';
+import {
+  layerToGeometry,
+  CURVE_SEGMENTS,
+  MIN_CURVE_SEGMENTS,
+  MAX_CURVE_SEGMENTS,
+  normalizeSegments
+} from './curvedShapes';
 import {
   initializeProjectSystem,
   groupByLayers,
@@ -21,6 +28,11 @@ import AttributeEditor from './AttributeEditor';
 import StyleEditor from './StyleEditor';
 import DeleteConfirmDialog from './DeleteConfirmDialog';
 import RasterLayers from './RasterLayers';
+import { syncSearchIndex, searchIndex } from './services/LocalSearchIndex';
+
+// Nombre max de résultats de la recherche sémantique
+const SEARCH_RESULTS_LIMIT = 20;
+
 
 // Fix Leaflet icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -100,42 +112,110 @@ class WKTConverter {
 
     // POLYGON
     if (trimmed.match(/^POLYGON/i)) {
-      const match = trimmed.match(/POLYGON\s*\(\((.+)\)\)/i);
+      const match = trimmed.match(/POLYGON\s*\((.+)\)/is);
       if (!match) return null;
-      const coords = match[1].split(',').map(pair => {
-        const [lng, lat] = pair.trim().split(/\s+/).map(Number);
-        return [lng, lat];
-      });
+
+      const rings = [];
+      const content = match[1];
+      let depth = 0;
+      let ringStart = -1;
+
+      // Parse each ring in the POLYGON
+      for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '(') {
+          if (depth === 0) ringStart = i;
+          depth++;
+        } else if (char === ')') {
+          depth--;
+          if (depth === 0 && ringStart !== -1) {
+            // Extract one ring: x1 y1, x2 y2, ...
+            const ringStr = content.substring(ringStart + 1, i);
+            const coords = ringStr.split(',').map(pair => {
+              const [lng, lat] = pair.trim().split(/\s+/).map(Number);
+              return [lng, lat];
+            }).filter(coord => !isNaN(coord[0]) && !isNaN(coord[1]));
+
+            if (coords.length > 0) {
+              rings.push(coords);
+            }
+            ringStart = -1;
+          }
+        }
+      }
+
+      if (rings.length === 0) return null;
+
       return {
         type: 'Feature',
-        geometry: { type: 'Polygon', coordinates: [coords] },
+        geometry: { type: 'Polygon', coordinates: rings },
         properties: {}
       };
     }
 
     // MULTIPOLYGON
     if (trimmed.match(/^MULTIPOLYGON/i)) {
-      const match = trimmed.match(/MULTIPOLYGON\s*\((.+)\)/i);
+      const match = trimmed.match(/MULTIPOLYGON\s*\((.+)\)/is);
       if (!match) return null;
+
       const polygons = [];
+      const content = match[1];
       let depth = 0;
-      let current = '';
-
-      for (let char of match[1]) {
-        if (char === '(') depth++;
-        if (char === ')') depth--;
-        current += char;
-
-        if (depth === 1 && char === ')') {
-          const polyCoords = current.replace(/^\(\(|\)\)$/g, '').split(',').map(pair => {
-            const [lng, lat] = pair.trim().split(/\s+/).map(Number);
-            return [lng, lat];
-          });
-          polygons.push([polyCoords]);
-          current = '';
+      let polygonStart = -1;
+
+      // Parse each polygon in the MULTIPOLYGON
+      for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '(') {
+          if (depth === 0) polygonStart = i;
+          depth++;
+        } else if (char === ')') {
+          depth--;
+          if (depth === 0 && polygonStart !== -1) {
+            // Extract one complete polygon: ((ring1), (ring2), ...)
+            const polygonStr = content.substring(polygonStart + 1, i);
+            const rings = [];
+
+            // Parse rings within this polygon
+            let ringDepth = 0;
+            let ringStart = -1;
+
+            for (let j = 0; j < polygonStr.length; j++) {
+              const c = polygonStr[j];
+
+              if (c === '(') {
+                if (ringDepth === 0) ringStart = j;
+                ringDepth++;
+              } else if (c === ')') {
+                ringDepth--;
+                if (ringDepth === 0 && ringStart !== -1) {
+                  // Extract one ring: x1 y1, x2 y2, ...
+                  const ringStr = polygonStr.substring(ringStart + 1, j);
+                  const coords = ringStr.split(',').map(pair => {
+                    const [lng, lat] = pair.trim().split(/\s+/).map(Number);
+                    return [lng, lat];
+                  }).filter(coord => !isNaN(coord[0]) && !isNaN(coord[1]));
+
+                  if (coords.length > 0) {
+                    rings.push(coords);
+                  }
+                  ringStart = -1;
+                }
+              }
+            }
+
+            if (rings.length > 0) {
+              polygons.push(rings);
+            }
+            polygonStart = -1;
+          }
         }
       }
 
+      if (polygons.length === 0) return null;
+
       return {
         type: 'Feature',
         geometry: { type: 'MultiPolygon', coordinates: polygons },
@@ -159,8 +239,10 @@ class WKTConverter {
     }
 
     if (type === 'Polygon') {
-      const coords = coordinates[0].map(c => `${c[0]} ${c[1]}`).join(', ');
-      return `POLYGON((${coords}))`;
+      const rings = coordinates.map(ring =>
+        `(${ring.map(c => `${c[0]} ${c[1]}`).join(', ')})`
+      ).join(', ');
+      return `POLYGON(${rings})`;
     }
 
     if (type === 'MultiPoint') {
@@ -177,7 +259,7 @@ class WKTConverter {
 
     if (type === 'MultiPolygon') {
       const polys = coordinates.map(poly =>
-        `((${poly[0].map(c => `${c[0]} ${c[1]}`).join(', ')}))`
+        `(${poly.map(ring => `(${ring.map(c => `${c[0]} ${c[1]}`).join(', ')})`).join(', ')})`
       ).join(', ');
       return `MULTIPOLYGON(${polys})`;
     }
@@ -289,7 +371,7 @@ function MapController({ records, geometryColumn }) {
 }
 
 // Geoman Edit Controller
-function GeomanController({ enabled, onGeometryCreated }) {
+function GeomanController({ enabled, onGeometryCreated, circleSegments = CURVE_SEGMENTS }) {
   const map = useMap();
 
   useEffect(() => {
@@ -301,7 +383,7 @@ function GeomanController({ enabled, onGeometryCreated }) {
 
     map.pm.addControls({
       position: 'topleft',
-      drawCircle: false,
+      drawCircle: true,
       drawCircleMarker: false,
       drawRectangle: true,
       drawPolyline: true,
@@ -315,7 +397,8 @@ function GeomanController({ enabled, onGeometryCreated }) {
 
     const handleCreate = (e) => {
       const layer = e.layer;
-      const geometry = layer.toGeoJSON().geometry;
+      // Circles are densified: WKT has no curve type
+      const geometry = layerToGeometry(layer, { segments: circleSegments });
       const wkt = WKTConverter.toWKT(geometry);
 
       if (wkt && onGeometryCreated) {
@@ -331,7 +414,7 @@ function GeomanController({ enabled, onGeometryCreated }) {
       map.off('pm:create', handleCreate);
       map.pm.removeControls();
     };
-  }, [enabled, map, onGeometryCreated]);
+  }, [enabled, map, onGeometryCreated, circleSegments]);
 
   return null;
 }
@@ -358,6 +441,8 @@ function Sidebar({
     }
   };
 
+  const recordsById = useMemo(() => new Map(records.map(r => [r.id, r])), [records]);
+
   const filteredRecords = useMemo(() => {
     if (!filterText) return records;
     const lower = filterText.toLowerCase();
@@ -433,7 +518,7 @@ function Sidebar({
         {/* Semantic Search */}
         <div style={{ marginBottom: '20px' }}>
           <h3 style={{ fontSize: '13px', marginBottom: '8px', color: '#555', fontWeight: '600' }}>
-            🤖 Recherche Sémantique (Albert)
+            🤖 Recherche Sémantique (index local)
           </h3>
           <div style={{ display: 'flex', gap: '8px' }}>
             <input
@@ -469,6 +554,46 @@ function Sidebar({
               ✓ {searchResults.length} résultat(s) trouvé(s)
             </div>
           )}
+
+          {searchResults && searchResults.length === 0 && (
+            <div style={{ marginTop: '12px', fontSize: '12px', color: '#999' }}>
+              Aucun résultat
+            </div>
+          )}
+
+          {searchResults && searchResults.length > 0 && (
+            <div style={{ marginTop: '8px', maxHeight: '200px', overflowY: 'auto' }}>
+              {searchResults.map(result => {
+                const record = recordsById.get(result.id);
+                if (!record) return null;
+                return (
+                  <div
+                    key={result.id}
+                    onClick={() => onRecordClick && onRecordClick(result.id)}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: '8px',
+                      padding: '6px 8px',
+                      marginBottom: '4px',
+                      backgroundColor: '#f0fdf4',
+                      border: '1px solid #bbf7d0',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px'
+                    }}
+                  >
+                    <span style={{ color: '#333', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {record.name || record.nom || record.description || `Entité #${result.id}`}
+                    </span>
+                    <span style={{ color: '#16B378', fontWeight: '600' }} title="Score BM25 normalisé">
+                      {Math.round(result.score * 100)}%
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </div>
 
         {/* Statistics */}
@@ -608,6 +733,8 @@ function GeoSemanticMapWidget() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editMode, setEditMode] = useState(false);
+  // Segments des cercles dessinés (enregistrés en polygones, le WKT n'a pas de cercle)
+  const [circleSegments, setCircleSegments] = useState(CURVE_SEGMENTS);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [searchResults, setSearchResults] = useState(null);
   const [selectedIds, setSelectedIds] = useState([]);
@@ -832,10 +959,22 @@ function GeoSemanticMapWidget() {
 
   const handleSearch = useCallback(async (query) => {
     console.log('Searching for:', query);
-    // TODO: Implement Albert API semantic search
-    // This would call your Albert API endpoint with the query and embeddings
-    setSearchResults([]);
-  }, []);
+    const grist = gristApiRef.current;
+
+    try {
+      // Index local (BM25) : aucun appel réseau, mis à jour à chaque recherche
+      const tableId = grist ? await grist.getTableId() : 'mock';
+      const records = allRecordsRef.current.map(normalizeRecord);
+      const index = await syncSearchIndex(grist?.docApi, tableId, records, mappedColumns || {});
+      const results = searchIndex(index, query, { limit: SEARCH_RESULTS_LIMIT });
+
+      setSearchResults(results);
+      setSelectedIds(results.map(r => r.id));
+    } catch (err) {
+      console.error('Error searching:', err);
+      setSearchResults([]);
+    }
+  }, [mappedColumns]);
 
   const handleRecordClick = useCallback((recordId) => {
     if (gristApiRef.current && gristApiRef.current.setCursorPos) {
@@ -1233,6 +1372,24 @@ function GeoSemanticMapWidget() {
           >
             {editMode ? '✓ Édition Active' : '✏️ Éditer'}
           </button>
+          {editMode && (
+            <label
+              title="Nombre de segments des cercles dessinés (enregistrés en polygones)"
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#ecf0f1' }}
+            >
+              ◯
+              <input
+                type="number"
+                min={MIN_CURVE_SEGMENTS}
+                max={MAX_CURVE_SEGMENTS}
+                value={circleSegments}
+                onChange={(e) => setCircleSegments(e.target.value)}
+                onBlur={(e) => setCircleSegments(normalizeSegments(e.target.value))}
+                style={{ width: '56px', padding: '4px', fontSize: '12px', border: 'none', borderRadius: '4px' }}
+              />
+              segments
+            </label>
+          )}
           <button
             onClick={() => setShowImportWizard(true)}
             style={{
@@ -1322,7 +1479,11 @@ function GeoSemanticMapWidget() {
           <RasterLayers records={allRecords} layerVisibility={layerVisibility} />
 
           <MapController records={validRecords} geometryColumn={geometryCol} />
-          <GeomanController enabled={editMode} onGeometryCreated={handleGeometryCreated} />
+          <GeomanController
+            enabled={editMode}
+            onGeometryCreated={handleGeometryCreated}
+            circleSegments={circleSegments}
+          />
 
           <MarkerClusterGroup>
             {validRecords.map((record, idx) => {
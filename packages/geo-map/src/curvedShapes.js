@@ -0,0 +1,100 @@
+/**
+ * Curved Shapes
+ * Representation policy for drawn circles
+ *
+ * WKT has no curve types: circles are densified into geodesic polygons
+ * before being stored, so every reader of the geometry column (Grist, QGIS,
+ * PostGIS, other widgets) sees the same shape. The number of segments of a
+ * full turn is configurable.
+ */
+
+import L from 'leaflet';
+
+// Segments of a full circle (default, min and max accepted)
+export const CURVE_SEGMENTS = 64;
+export const MIN_CURVE_SEGMENTS = 8;
+export const MAX_CURVE_SEGMENTS = 720;
+
+// Mean Earth radius in meters
+const EARTH_RADIUS = 6371008.8;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Clamp a segment count to the accepted range
+ * @param {number} segments
+ * @returns {number}
+ */
+export const normalizeSegments = (segments) => {
+  const value = Math.round(Number(segments));
+  if (!Number.isFinite(value)) return CURVE_SEGMENTS;
+  return Math.min(MAX_CURVE_SEGMENTS, Math.max(MIN_CURVE_SEGMENTS, value));
+};
+
+/**
+ * Point reached from a center along a great circle
+ * @param {Object} center - { lat, lng }
+ * @param {number} distance - Distance in meters
+ * @param {number} bearing - Bearing in degrees (0 = north, clockwise)
+ * @returns {Array} [lng, lat]
+ */
+const destinationPoint = (center, distance, bearing) => {
+  const phi1 = toRadians(center.lat);
+  const lambda1 = toRadians(center.lng);
+  const delta = distance / EARTH_RADIUS;
+  const theta = toRadians(bearing);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return [((toDegrees(lambda2) + 540) % 360) - 180, toDegrees(phi2)];
+};
+
+/**
+ * Closed counter-clockwise ring around a center
+ * @param {Object} center - { lat, lng }
+ * @param {number} radius - Distance in meters
+ * @param {number} segments
+ */
+const closedRing = (center, radius, segments) => {
+  const ring = [];
+  // Decreasing bearings: counter-clockwise (GeoJSON right-hand rule)
+  for (let i = 0; i < segments; i++) {
+    const bearing = -(360 * i) / segments;
+    ring.push(destinationPoint(center, radius, bearing));
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+/**
+ * Geodesic circle as a polygon
+ * @param {Object} center - Leaflet LatLng ({ lat, lng })
+ * @param {number} radius - Radius in meters
+ * @param {Object} [options] - { segments }
+ * @returns {Object} GeoJSON Polygon
+ */
+export const circleToPolygon = (center, radius, { segments = CURVE_SEGMENTS } = {}) => ({
+  type: 'Polygon',
+  coordinates: [closedRing(center, radius, normalizeSegments(segments))],
+});
+
+/**
+ * GeoJSON geometry of a drawn Leaflet layer, curved layers densified
+ * @param {L.Layer} layer - Layer created by the drawing tools
+ * @param {Object} [options] - { segments }
+ * @returns {Object} GeoJSON geometry
+ */
+export const layerToGeometry = (layer, options = {}) => {
+  // L.Circle radius is in meters (L.CircleMarker, in pixels, stays a point)
+  if (layer instanceof L.Circle) {
+    return circleToPolygon(layer.getLatLng(), layer.getRadius(), options);
+  }
+  return layer.toGeoJSON().geometry;
+};
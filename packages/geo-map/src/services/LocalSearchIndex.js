@@ -0,0 +1,300 @@
+/**
+ * INDEX DE RECHERCHE LOCAL (hors ligne)
+ *
+ * Recherche sémantique sans API externe ni VECTOR_SEARCH : index BM25 du
+ * nom, de la description et des propriétés des entités, calculé dans le
+ * navigateur.
+ *
+ * Stockage: table système GIS_SearchIndex, une ligne par entité
+ * (fréquences des termes + empreinte du texte). L'index est chargé une fois
+ * par table puis mis à jour de façon incrémentale : seules les entités dont
+ * le texte a changé sont réindexées.
+ */
+
+export const SEARCH_INDEX_TABLE = 'GIS_SearchIndex';
+
+// Paramètres BM25 (valeurs usuelles)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Les termes du nom comptent double
+const NAME_WEIGHT = 2;
+
+const WRITE_CHUNK_SIZE = 500;
+
+const STOP_WORDS = new Set([
+  'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'et', 'il', 'la', 'le', 'les',
+  'leur', 'lui', 'ma', 'mais', 'me', 'mes', 'ne', 'ni', 'nos', 'notre', 'nous', 'on', 'ou', 'par', 'pas',
+  'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sous', 'sur', 'un', 'une', 'vos', 'votre', 'vous',
+  'est', 'sont', 'pres', 'proche', 'proches',
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'near', 'of', 'or', 'the', 'to', 'with'
+]);
+
+// Index courant (une table à la fois)
+let currentIndex = null;
+let pendingWrites = Promise.resolve();
+
+/**
+ * Découper un texte en termes : minuscules sans accents, mots vides
+ * retirés, pluriels et féminins ramenés à leur racine
+ * ("Écoles primaires" → ["ecol", "primair"])
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+function stem(token) {
+  if (token.length <= 3 || /^\d+$/.test(token)) return token;
+
+  let stemmed = token;
+  if (stemmed.endsWith('aux') && stemmed.length > 4) stemmed = `${stemmed.slice(0, -3)}al`;
+  if ((stemmed.endsWith('s') || stemmed.endsWith('x')) && stemmed.length > 3) stemmed = stemmed.slice(0, -1);
+  if (stemmed.endsWith('e') && stemmed.length > 3) stemmed = stemmed.slice(0, -1);
+  return stemmed;
+}
+
+// Empreinte FNV-1a 32 bits (détection des entités modifiées)
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Texte indexé d'un record : nom (colonne mappée) d'un côté, description,
+ * couche, type et propriétés JSON de l'autre
+ */
+function recordText(record, mappedColumns = {}) {
+  const name = record[mappedColumns.name || 'name'] ?? record.nom ?? '';
+
+  let properties = '';
+  if (record.properties) {
+    try {
+      const parsed = typeof record.properties === 'string' ? JSON.parse(record.properties) : record.properties;
+      properties = Object.values(parsed || {}).filter(v => v !== null && typeof v !== 'object').join(' ');
+    } catch (e) {
+      properties = String(record.properties);
+    }
+  }
+
+  const body = [
+    record[mappedColumns.description || 'description'],
+    record.layer_name,
+    record.type,
+    properties
+  ].filter(Boolean).join(' ');
+
+  return { name: String(name), body };
+}
+
+function analyzeRecord(record, mappedColumns) {
+  const { name, body } = recordText(record, mappedColumns);
+  const terms = new Map();
+
+  tokenize(name).forEach(term => terms.set(term, (terms.get(term) || 0) + NAME_WEIGHT));
+  tokenize(body).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+  return {
+    hash: hashText(`${name}\u0000${body}`),
+    terms,
+    length: [...terms.values()].reduce((sum, n) => sum + n, 0)
+  };
+}
+
+function createIndex(tableId) {
+  return { tableId, documents: new Map(), documentFrequency: new Map(), totalLength: 0 };
+}
+
+function addDocument(index, id, doc) {
+  index.documents.set(id, doc);
+  index.totalLength += doc.length;
+  doc.terms.forEach((_, term) => {
+    index.documentFrequency.set(term, (index.documentFrequency.get(term) || 0) + 1);
+  });
+}
+
+function removeDocument(index, id) {
+  const doc = index.documents.get(id);
+  if (!doc) return;
+
+  index.documents.delete(id);
+  index.totalLength -= doc.length;
+  doc.terms.forEach((_, term) => {
+    const n = index.documentFrequency.get(term) - 1;
+    if (n > 0) index.documentFrequency.set(term, n);
+    else index.documentFrequency.delete(term);
+  });
+}
+
+async function indexTableExists(docApi) {
+  const tables = await docApi.fetchTable('_grist_Tables');
+  return (tables.tableId || []).includes(SEARCH_INDEX_TABLE);
+}
+
+/**
+ * Charger l'index stocké d'une table
+ */
+async function loadIndex(docApi, tableId) {
+  const index = createIndex(tableId);
+  if (!docApi || !(await indexTableExists(docApi))) return index;
+
+  const data = await docApi.fetchTable(SEARCH_INDEX_TABLE);
+  (data.id || []).forEach((rowId, i) => {
+    if (data.source_table[i] !== tableId) return;
+    try {
+      const recordId = data.record_id[i];
+      removeDocument(index, recordId); // doublon éventuel
+      addDocument(index, recordId, {
+        rowId,
+        hash: data.content_hash[i],
+        terms: new Map(Object.entries(JSON.parse(data.terms[i] || '{}'))),
+        length: data.term_count[i] || 0
+      });
+    } catch (error) {
+      console.warn(`⚠️ Ligne d'index ${rowId} ignorée:`, error);
+    }
+  });
+
+  console.log(`📚 Index local chargé: ${index.documents.size} entité(s) de ${tableId}`);
+  return index;
+}
+
+/**
+ * Écrire les entités ajoutées / modifiées / supprimées dans GIS_SearchIndex
+ */
+async function persistChanges(docApi, index, { added, updated, removed }) {
+  if (!(await indexTableExists(docApi))) {
+    console.warn(`⚠️ Table ${SEARCH_INDEX_TABLE} absente, index non sauvegardé`);
+    return;
+  }
+
+  const indexedAt = Math.floor(Date.now() / 1000);
+  const toFields = (ids) => ({
+    source_table: ids.map(() => index.tableId),
+    record_id: ids,
+    content_hash: ids.map(id => index.documents.get(id).hash),
+    term_count: ids.map(id => index.documents.get(id).length),
+    terms: ids.map(id => JSON.stringify(Object.fromEntries(index.documents.get(id).terms))),
+    indexed_at: ids.map(() => indexedAt)
+  });
+
+  // Entités modifiées ou supprimées entre-temps : ignorées
+  const newIds = added.filter(id => index.documents.get(id)?.rowId === null);
+  for (let i = 0; i < newIds.length; i += WRITE_CHUNK_SIZE) {
+    const chunk = newIds.slice(i, i + WRITE_CHUNK_SIZE);
+    const result = await docApi.applyUserActions([
+      ['BulkAddRecord', SEARCH_INDEX_TABLE, chunk.map(() => null), toFields(chunk)]
+    ]);
+    const rowIds = result?.retValues?.[0] || [];
+    chunk.forEach((id, j) => {
+      const doc = index.documents.get(id);
+      if (doc) doc.rowId = rowIds[j] ?? null;
+    });
+  }
+
+  const updatedIds = updated.filter(id => index.documents.get(id)?.rowId);
+  for (let i = 0; i < updatedIds.length; i += WRITE_CHUNK_SIZE) {
+    const chunk = updatedIds.slice(i, i + WRITE_CHUNK_SIZE);
+    await docApi.applyUserActions([
+      ['BulkUpdateRecord', SEARCH_INDEX_TABLE, chunk.map(id => index.documents.get(id).rowId), toFields(chunk)]
+    ]);
+  }
+
+  const removedRows = removed.filter(Boolean);
+  if (removedRows.length > 0) {
+    await docApi.applyUserActions([['BulkRemoveRecord', SEARCH_INDEX_TABLE, removedRows]]);
+  }
+}
+
+/**
+ * Mettre l'index à jour avec les records de la table
+ *
+ * @param {Object} docApi - grist.docApi (null: index en mémoire uniquement)
+ * @param {string} tableId - Table des records
+ * @param {Array} records - Records normalisés ({ id, ...colonnes })
+ * @param {Object} mappedColumns - Mapping des colonnes du widget
+ * @returns {Promise<Object>} Index à jour (pour searchIndex)
+ */
+export async function syncSearchIndex(docApi, tableId, records, mappedColumns) {
+  if (!currentIndex || currentIndex.tableId !== tableId) {
+    await pendingWrites;
+    currentIndex = await loadIndex(docApi, tableId);
+  }
+
+  const index = currentIndex;
+  const changes = { added: [], updated: [], removed: [] };
+  const seen = new Set();
+
+  records.forEach(record => {
+    seen.add(record.id);
+    const analyzed = analyzeRecord(record, mappedColumns);
+    const current = index.documents.get(record.id);
+
+    if (!current) {
+      addDocument(index, record.id, { ...analyzed, rowId: null });
+      changes.added.push(record.id);
+    } else if (current.hash !== analyzed.hash) {
+      removeDocument(index, record.id);
+      addDocument(index, record.id, { ...analyzed, rowId: current.rowId });
+      changes.updated.push(record.id);
+    }
+  });
+
+  [...index.documents.keys()].filter(id => !seen.has(id)).forEach(id => {
+    changes.removed.push(index.documents.get(id).rowId);
+    removeDocument(index, id);
+  });
+
+  const changed = changes.added.length + changes.updated.length + changes.removed.length;
+  if (docApi && changed > 0) {
+    // Sauvegarde en arrière-plan : la recherche n'attend pas l'écriture
+    pendingWrites = pendingWrites
+      .then(() => persistChanges(docApi, index, changes))
+      .catch(error => console.warn('⚠️ Sauvegarde de l\'index local impossible:', error));
+  }
+
+  return index;
+}
+
+/**
+ * Rechercher dans l'index (BM25)
+ *
+ * @param {Object} index - Index retourné par syncSearchIndex
+ * @param {string} query - Texte libre
+ * @param {Object} options - { limit }
+ * @returns {Array<{ id, score }>} Meilleurs résultats d'abord, score dans [0, 1[
+ */
+export function searchIndex(index, query, { limit = 20 } = {}) {
+  const queryTerms = [...new Set(tokenize(query))].filter(term => index.documentFrequency.has(term));
+  const count = index.documents.size;
+  if (queryTerms.length === 0 || count === 0) return [];
+
+  const idf = new Map(queryTerms.map(term => {
+    const n = index.documentFrequency.get(term);
+    return [term, Math.log(1 + (count - n + 0.5) / (n + 0.5))];
+  }));
+  // Score maximal possible pour la requête (normalisation)
+  const maxScore = queryTerms.reduce((sum, term) => sum + idf.get(term) * (BM25_K1 + 1), 0);
+  const averageLength = index.totalLength / count || 1;
+  const results = [];
+
+  index.documents.forEach((doc, id) => {
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+    const score = queryTerms.reduce((sum, term) => {
+      const frequency = doc.terms.get(term);
+      return frequency ? sum + idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + norm) : sum;
+    }, 0);
+    if (score > 0) results.push({ id, score: score / maxScore });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -5,6 +5,7 @@
  * - GIS_Catalogs: External data sources (IGN, OSM, etc.)
  * - GIS_Styles: Reusable style library
  * - GIS_Config: Widget configuration
+ * - GIS_SearchIndex: Offline semantic search index (services/LocalSearchIndex.js)
  */
 
 // System table schemas
@@ -63,6 +64,17 @@ const SYSTEM_TABLES = {
         choiceOptions: {}
       })}
     ]
+  },
+
+  GIS_SearchIndex: {
+    columns: [
+      { id: 'source_table', type: 'Text' },
+      { id: 'record_id', type: 'Int' },
+      { id: 'content_hash', type: 'Text' },
+      { id: 'term_count', type: 'Int' },
+      { id: 'terms', type: 'Text' }, // JSON { terme: fréquence }
+      { id: 'indexed_at', type: 'Int' }
+    ]
   }
 };
 
@@ -512,7 +524,7 @@ export async function setupSystemInfrastructure(gristApi) {
   try {
     // Step 1: Check and create system tables
     console.log('\n📋 Step 1/4: Checking system tables...');
-    const systemTables = ['GIS_Catalogs', 'GIS_Styles', 'GIS_Config'];
+    const systemTables = ['GIS_Catalogs', 'GIS_Styles', 'GIS_Config', 'GIS_SearchIndex'];
 
     for (const tableName of systemTables) {
       const exists = await tableExists(docApi, tableName);
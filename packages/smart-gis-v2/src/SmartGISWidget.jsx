@@ -7,7 +7,13 @@
 import React, { useEffect, useState } from 'react';
 import GristAPI from './core/GristAPI';
 import StateManager from './core/StateManager';
+import ActionJournal from './core/ActionJournal';
+import dataCatalog from './core/DataCatalog';
 import SelectionManager from './services/SelectionManager';
+import LayerMetadataService from './services/LayerMetadataService';
+import HybridSearchService from './services/HybridSearchService';
+import AttributeColumnService from './services/AttributeColumnService';
+import MapViewService from './services/MapViewService';
 import { initializeSystemTables } from './core/TableSchemas';
 import Navbar from './components/layout/Navbar';
 import Sidebar from './components/layout/Sidebar';
@@ -31,7 +37,7 @@ const SmartGISWidget = () => {
       // 1. Initialize Grist API
       await GristAPI.initialize();
 
-      // 2. Initialize all system tables (GIS_WorkSpace, Agent_Queries)
+      // 2. Initialize all system tables (GIS_WorkSpace, Agent_Queries, GIS_Action_Journal)
       //    - Creates tables if they don't exist
       //    - Adds missing columns (including ST_* formula columns)
       console.log('📋 Initializing system tables...');
@@ -48,53 +54,44 @@ const SmartGISWidget = () => {
       SelectionManager.initialize('GIS_WorkSpace');
       console.log('✓ SelectionManager initialized');
 
-      // 4. Load workspace data if available
+      // 4. Start the undo/redo journal (records all Grist writes from now on)
+      await ActionJournal.initialize();
+
+      // 5. Load workspace data if available (features + layer metadata rows)
       try {
-        const workspaceData = await GristAPI.fetchTable('GIS_WorkSpace');
-
-        // DEBUG: Log first record to see structure
-        if (workspaceData.length > 0) {
-          console.log('📊 Sample workspace record:', workspaceData[0]);
-          console.log('📊 Record keys:', Object.keys(workspaceData[0]));
-          console.log('📊 Has geojson column?', 'geojson' in workspaceData[0]);
-          console.log('📊 geojson value type:', typeof workspaceData[0].geojson);
-        }
-
-        // Separate features from metadata rows
-        const features = [];
-        const styleRules = {};
-
-        workspaceData.forEach(record => {
-          // Metadata rows: geometry_wgs84 is NULL and has style_rule
-          if ((!record.geometry_wgs84 || record.geometry_wgs84 === '') && record.style_rule) {
-            try {
-              const rule = JSON.parse(record.style_rule);
-              styleRules[record.layer_name] = rule;
-              console.log(`📐 Loaded style rule for layer "${record.layer_name}"`);
-            } catch (error) {
-              console.warn(`Failed to parse style rule for layer ${record.layer_name}:`, error);
-            }
-          }
-          // Regular features: has geometry_wgs84
-          else if (record.geometry_wgs84) {
-            features.push(record);
-          }
-        });
-
-        StateManager.setState('layers.workspace', features, 'Load workspace');
-        StateManager.setState('data.currentTable', 'GIS_WorkSpace', 'Set current table');
-        console.log(`✓ Loaded ${features.length} features from GIS_WorkSpace`);
-
-        if (Object.keys(styleRules).length > 0) {
-          StateManager.setState('layers.styleRules', styleRules, 'Load style rules');
-          console.log(`✓ Loaded ${Object.keys(styleRules).length} style rule(s)`);
-        }
+        await LayerMetadataService.loadWorkspace('GIS_WorkSpace');
       } catch (err) {
         console.warn('⚠️ Could not load workspace data (table may be empty):', err.message);
         StateManager.setState('layers.workspace', [], 'Empty workspace');
       }
 
-      // 5. Mark as ready
+      // 5b. Materialized attribute columns: bring edits made in Grist back into the JSON (and vice versa)
+      try {
+        await AttributeColumnService.sync();
+      } catch (err) {
+        console.warn('⚠️ Could not sync attribute columns:', err.message);
+      }
+
+      // 6. Registered WFS / OGC API sources (GIS_Catalogs) for the agent and the imports
+      try {
+        const sources = await dataCatalog.loadRegisteredSources();
+        console.log(`✓ ${sources.length} registered data source(s)`);
+      } catch (err) {
+        console.warn('⚠️ Could not load registered data sources:', err.message);
+      }
+
+      // 7. Dynamic layers (saved searches) follow the workspace changes
+      HybridSearchService.initialize();
+
+      // 8. Saved map views (GIS_MapViews): open the default view, follow the Grist cursor for linked views
+      try {
+        const views = await MapViewService.initialize();
+        console.log(`✓ ${views.length} saved map view(s)`);
+      } catch (err) {
+        console.warn('⚠️ Could not load saved map views:', err.message);
+      }
+
+      // 9. Mark as ready
       setIsReady(true);
       console.log('✅ Smart-GIS v2 ready');
 
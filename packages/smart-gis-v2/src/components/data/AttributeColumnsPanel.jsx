@@ -0,0 +1,154 @@
+/**
+ * AttributeColumnsPanel - Matérialisation des attributs en colonnes Grist
+ *
+ * Propose une colonne typée (Nombre, Date, Choix...) par champ de
+ * `properties`, crée les colonnes choisies et les synchronise avec le JSON
+ * dans les deux sens (AttributeColumnService).
+ */
+
+import React, { useEffect, useState } from 'react';
+import GristAPI from '../../core/GristAPI';
+import StateManager from '../../core/StateManager';
+import { getTableColumns } from '../../core/TableSchemas';
+import AttributeColumnService, { COLUMN_TYPES } from '../../services/AttributeColumnService';
+import LayerMetadataService from '../../services/LayerMetadataService';
+
+const AttributeColumnsPanel = ({ layerName, features, onDone }) => {
+  const [mapping, setMapping] = useState(() => AttributeColumnService.getMapping(layerName));
+  const [proposals, setProposals] = useState([]);
+  const [checked, setChecked] = useState(() => new Set());
+  const [removeColumns, setRemoveColumns] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return StateManager.subscribe('layers.attributeColumns', () => {
+      setMapping(AttributeColumnService.getMapping(layerName));
+    });
+  }, [layerName]);
+
+  // Propositions: champs pas encore matérialisés pour cette couche
+  useEffect(() => {
+    let cancelled = false;
+
+    getTableColumns(GristAPI.docApi, LayerMetadataService.getTable()).then(existing => {
+      if (cancelled) return;
+      const list = AttributeColumnService.analyze(layerName, features, existing).filter(p => !p.mapped);
+      setProposals(list);
+      setChecked(new Set(list.map(p => p.field)));
+    });
+
+    return () => { cancelled = true; };
+  }, [layerName, features, mapping]);
+
+  const updateProposal = (field, changes) => {
+    setProposals(proposals.map(p => (p.field === field ? { ...p, ...changes } : p)));
+  };
+
+  const toggle = (field) => {
+    const next = new Set(checked);
+    if (next.has(field)) next.delete(field);
+    else next.add(field);
+    setChecked(next);
+  };
+
+  const run = async (label, operation) => {
+    setBusy(label);
+    setError(null);
+    try {
+      onDone(await operation());
+    } catch (err) {
+      console.error('[AttributeColumnsPanel] Operation failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleMaterialize = () => run('Création des colonnes…', async () => {
+    const selected = proposals.filter(p => checked.has(p.field));
+    const invalid = selected.find(p => !/^[A-Za-z][A-Za-z0-9_]*$/.test(p.column));
+    if (invalid) {
+      throw new Error(`Nom de colonne invalide: ${invalid.column}`);
+    }
+
+    const { created, synced } = await AttributeColumnService.materialize(layerName, selected);
+    return `${created.length} colonne(s) créée(s), ${synced} entité(s) remplie(s)`;
+  });
+
+  const handleSync = () => run('Synchronisation…', async () => {
+    const { toColumns, toJson } = await AttributeColumnService.sync(layerName);
+    return `Synchronisé: ${toColumns} entité(s) → colonnes, ${toJson} entité(s) → JSON`;
+  });
+
+  const handleRemove = () => run('Suppression…', async () => {
+    const removed = await AttributeColumnService.dematerialize(layerName, { removeColumns });
+    return removeColumns
+      ? `Synchronisation arrêtée, ${removed.length} colonne(s) supprimée(s)`
+      : 'Synchronisation arrêtée (colonnes conservées)';
+  });
+
+  return (
+    <div className="attribute-columns">
+      {mapping.length > 0 && (
+        <div className="ac-section">
+          <h5>Colonnes synchronisées</h5>
+          <ul className="ac-mapping">
+            {mapping.map(m => (
+              <li key={m.field}>
+                <span>{m.field}</span> → <code>{m.column}</code>
+                <span className="ac-type">{COLUMN_TYPES[m.type] || m.type}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="ac-actions">
+            <button onClick={handleSync} disabled={!!busy}>🔄 Synchroniser</button>
+            <label>
+              <input type="checkbox" checked={removeColumns} onChange={(e) => setRemoveColumns(e.target.checked)} />
+              supprimer les colonnes
+            </label>
+            <button className="danger" onClick={handleRemove} disabled={!!busy}>Arrêter</button>
+          </div>
+        </div>
+      )}
+
+      {proposals.length > 0 ? (
+        <div className="ac-section">
+          <h5>Créer des colonnes typées</h5>
+          <div className="ac-proposals">
+            {proposals.map(p => (
+              <div key={p.field} className="ac-proposal">
+                <input type="checkbox" checked={checked.has(p.field)} onChange={() => toggle(p.field)} />
+                <span className="ac-field" title={p.sample.map(String).join(', ')}>{p.field}</span>
+                <input
+                  type="text"
+                  value={p.column}
+                  onChange={(e) => updateProposal(p.field, { column: e.target.value })}
+                  spellCheck={false}
+                />
+                <select value={p.type} onChange={(e) => updateProposal(p.field, { type: e.target.value })}>
+                  {Object.entries(COLUMN_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                {p.type === 'Choice' && (
+                  <span className="ac-choices" title={p.choices.join(', ')}>{p.choices.length} choix</span>
+                )}
+              </div>
+            ))}
+          </div>
+          <button className="ac-create" onClick={handleMaterialize} disabled={!!busy || checked.size === 0}>
+            Créer {checked.size} colonne(s)
+          </button>
+        </div>
+      ) : (
+        mapping.length === 0 && <p className="ac-empty">Aucun champ dans les propriétés de cette couche.</p>
+      )}
+
+      {busy && <div className="ac-busy">{busy}</div>}
+      {error && <div className="fc-error">{error}</div>}
+    </div>
+  );
+};
+
+export default AttributeColumnsPanel;
@@ -0,0 +1,392 @@
+/**
+ * AttributeTable - Table attributaire d'une couche (colonne `properties`)
+ *
+ * Fonctionnalités:
+ * - Lignes virtualisées (seules les lignes visibles sont rendues)
+ * - Tri par colonne, filtre texte ou expression
+ * - Édition en ligne (double-clic sur une cellule)
+ * - Calculatrice de champ (FieldCalculator)
+ * - Colonnes Grist typées synchronisées avec le JSON (AttributeColumnsPanel)
+ * - Sélection (clic, Ctrl+clic, Maj+clic) → carte, zoom sur la sélection
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import StateManager from '../../core/StateManager';
+import SelectionManager from '../../services/SelectionManager';
+import AttributeTableService from '../../services/AttributeTableService';
+import { ExpressionError } from '../../services/ExpressionEngine';
+import FieldCalculator from './FieldCalculator';
+import AttributeColumnsPanel from './AttributeColumnsPanel';
+import './AttributeTable.css';
+
+const ROW_HEIGHT = 28;
+const VIEWPORT_HEIGHT = 360;
+const OVERSCAN = 8;
+
+const ID_WIDTH = 60;
+const NAME_WIDTH = 160;
+const COLUMN_WIDTH = 130;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AttributeTable = () => {
+  const [workspace, setWorkspace] = useState(() => StateManager.getState('layers.workspace') || []);
+  const [mapSelection, setMapSelection] = useState(() => StateManager.getState('selection.ids') || []);
+  const [layerName, setLayerName] = useState('');
+  const [filter, setFilter] = useState('');
+  const [filterMode, setFilterMode] = useState('text');
+  const [sort, setSort] = useState({ field: null, direction: 'asc' });
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, field, type, value }
+  const [scrollTop, setScrollTop] = useState(0);
+  const [showCalculator, setShowCalculator] = useState(false);
+  const [showColumns, setShowColumns] = useState(false);
+  const [message, setMessage] = useState(null);
+  const viewportRef = useRef(null);
+  // Édition en cours (lue par Entrée et par la perte de focus: une seule écriture)
+  const editingRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribeWorkspace = StateManager.subscribe('layers.workspace', (features) => setWorkspace(features || []));
+    const unsubscribeSelection = StateManager.subscribe('selection.ids', (ids) => setMapSelection(ids || []));
+
+    return () => {
+      unsubscribeWorkspace();
+      unsubscribeSelection();
+    };
+  }, []);
+
+  const layerNames = useMemo(() => AttributeTableService.getLayerNames(workspace), [workspace]);
+
+  // Première couche par défaut, ou quand la couche affichée disparaît
+  useEffect(() => {
+    if (!layerNames.includes(layerName)) {
+      setLayerName(layerNames[0] || '');
+    }
+  }, [layerNames, layerName]);
+
+  const layerFeatures = useMemo(
+    () => workspace.filter(f => f.layer_name === layerName),
+    [workspace, layerName]
+  );
+
+  const columns = useMemo(() => AttributeTableService.getColumns(layerFeatures), [layerFeatures]);
+  const rows = useMemo(() => AttributeTableService.getRows(layerFeatures), [layerFeatures]);
+
+  const { visibleRows, filterError } = useMemo(() => {
+    try {
+      const filtered = AttributeTableService.filterRows(rows, filter, filterMode);
+      return { visibleRows: AttributeTableService.sortRows(filtered, sort), filterError: null };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      return { visibleRows: rows, filterError: error.message };
+    }
+  }, [rows, filter, filterMode, sort]);
+
+  // Changement de couche: nouvelle table
+  useEffect(() => {
+    setSelected(new Set());
+    setAnchorId(null);
+    editingRef.current = null;
+    setEditing(null);
+    setSort({ field: null, direction: 'asc' });
+    setScrollTop(0);
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+  }, [layerName]);
+
+  const mapSelectionSet = useMemo(() => new Set(mapSelection), [mapSelection]);
+
+  const gridTemplate = `${ID_WIDTH}px ${NAME_WIDTH}px ${columns.map(() => `${COLUMN_WIDTH}px`).join(' ')}`;
+  const totalWidth = ID_WIDTH + NAME_WIDTH + columns.length * COLUMN_WIDTH;
+
+  const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastIndex = Math.min(visibleRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const selectedRows = useMemo(() => rows.filter(row => selected.has(row.id)), [rows, selected]);
+
+  // ========================================
+  // Sélection
+  // ========================================
+
+  const handleRowClick = (event, row, index) => {
+    if (event.shiftKey && anchorId !== null) {
+      const anchorIndex = visibleRows.findIndex(r => r.id === anchorId);
+      if (anchorIndex !== -1) {
+        const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        setSelected(new Set(visibleRows.slice(from, to + 1).map(r => r.id)));
+        return;
+      }
+    }
+
+    if (event.ctrlKey || event.metaKey) {
+      const next = new Set(selected);
+      if (next.has(row.id)) next.delete(row.id);
+      else next.add(row.id);
+      setSelected(next);
+    } else {
+      setSelected(new Set([row.id]));
+    }
+    setAnchorId(row.id);
+  };
+
+  const handleSelectAll = () => {
+    setSelected(selected.size === visibleRows.length ? new Set() : new Set(visibleRows.map(r => r.id)));
+  };
+
+  const handleSelectOnMap = () => {
+    SelectionManager.setSelection(selectedRows.map(row => row.id));
+  };
+
+  const handleSelectFromMap = () => {
+    setSelected(new Set(rows.filter(row => mapSelectionSet.has(row.id)).map(row => row.id)));
+  };
+
+  const handleZoomToSelected = () => {
+    const target = selectedRows.length > 0 ? selectedRows : visibleRows;
+    if (!AttributeTableService.zoomToFeatures(target.map(row => row.feature))) {
+      setMessage({ type: 'error', text: 'Aucune géométrie à afficher' });
+    }
+  };
+
+  // ========================================
+  // Tri
+  // ========================================
+
+  const handleSort = (field) => {
+    setSort(current => {
+      if (current.field !== field) return { field, direction: 'asc' };
+      if (current.direction === 'asc') return { field, direction: 'desc' };
+      return { field: null, direction: 'asc' };
+    });
+  };
+
+  const sortIndicator = (field) => {
+    if (sort.field !== field) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  // ========================================
+  // Édition en ligne
+  // ========================================
+
+  const updateEditing = (edit) => {
+    editingRef.current = edit;
+    setEditing(edit);
+  };
+
+  const startEditing = (row, column) => {
+    updateEditing({ id: row.id, field: column.name, type: column.type, value: formatValue(row.properties[column.name]) });
+  };
+
+  const commitEdit = async () => {
+    if (!editingRef.current) return;
+    const { id, field, type, value } = editingRef.current;
+    updateEditing(null);
+
+    const row = rows.find(r => r.id === id);
+    const newValue = AttributeTableService.parseInput(value, type);
+    if (!row || (row.properties[field] ?? null) === newValue) return;
+
+    try {
+      await AttributeTableService.updateProperties(
+        [{ id, values: { [field]: newValue } }],
+        `Attribut ${field} (#${id})`
+      );
+    } catch (error) {
+      console.error('[AttributeTable] Update failed:', error);
+      setMessage({ type: 'error', text: `Modification impossible: ${error.message}` });
+    }
+  };
+
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commitEdit();
+    } else if (event.key === 'Escape') {
+      updateEditing(null);
+    }
+  };
+
+  // ========================================
+  // Rendu
+  // ========================================
+
+  if (layerNames.length === 0) {
+    return (
+      <div className="attribute-table empty">
+        <p>Aucune couche dans l'espace de travail.</p>
+        <p className="hint">Importez des données pour afficher leur table attributaire.</p>
+      </div>
+    );
+  }
+
+  const renderCell = (row, column) => {
+    if (editing && editing.id === row.id && editing.field === column.name) {
+      return (
+        <div key={column.name} className="at-cell editing">
+          <input
+            autoFocus
+            value={editing.value}
+            onChange={(e) => updateEditing({ ...editing, value: e.target.value })}
+            onKeyDown={handleEditKeyDown}
+            onBlur={commitEdit}
+            onClick={(e) => e.stopPropagation()}
+          />
+        </div>
+      );
+    }
+
+    const text = formatValue(row.properties[column.name]);
+    return (
+      <div
+        key={column.name}
+        className={`at-cell ${column.type === 'number' ? 'numeric' : ''}`}
+        title={text}
+        onDoubleClick={() => startEditing(row, column)}
+      >
+        {text}
+      </div>
+    );
+  };
+
+  return (
+    <div className="attribute-table">
+      <div className="at-toolbar">
+        <select value={layerName} onChange={(e) => setLayerName(e.target.value)}>
+          {layerNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+
+        <div className="at-filter">
+          <select value={filterMode} onChange={(e) => setFilterMode(e.target.value)} title="Type de filtre">
+            <option value="text">Texte</option>
+            <option value="expression">Expression</option>
+          </select>
+          <input
+            type="text"
+            className={filterError ? 'invalid' : ''}
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder={filterMode === 'text' ? 'Rechercher…' : "ex: population > 1000 AND type = 'école'"}
+            spellCheck={false}
+          />
+        </div>
+        {filterError && <div className="at-filter-error">{filterError}</div>}
+      </div>
+
+      <div className="at-actions">
+        <button onClick={handleSelectOnMap} disabled={selectedRows.length === 0} title="Sélectionner ces entités sur la carte">
+          🗺️ Sélectionner sur la carte
+        </button>
+        <button onClick={handleSelectFromMap} title="Reprendre la sélection de la carte">
+          ⇅ Depuis la carte
+        </button>
+        <button onClick={handleZoomToSelected} title="Zoom sur la sélection (ou sur les lignes filtrées)">
+          🔍 Zoom
+        </button>
+        <button
+          className={showCalculator ? 'active' : ''}
+          onClick={() => setShowCalculator(!showCalculator)}
+          title="Calculer un champ avec une expression"
+        >
+          🧮 Calculatrice
+        </button>
+        <button
+          className={showColumns ? 'active' : ''}
+          onClick={() => setShowColumns(!showColumns)}
+          title="Créer des colonnes Grist typées, synchronisées avec les propriétés"
+        >
+          🧱 Colonnes Grist
+        </button>
+      </div>
+
+      {message && (
+        <div className={`at-message ${message.type}`} onClick={() => setMessage(null)}>
+          {message.text}
+        </div>
+      )}
+
+      {showCalculator && (
+        <FieldCalculator
+          key={layerName}
+          columns={columns}
+          filteredRows={visibleRows}
+          selectedRows={selectedRows}
+          onDone={(text) => setMessage({ type: 'success', text })}
+        />
+      )}
+
+      {showColumns && (
+        <AttributeColumnsPanel
+          key={layerName}
+          layerName={layerName}
+          features={layerFeatures}
+          onDone={(text) => setMessage({ type: 'success', text })}
+        />
+      )}
+
+      <div className="at-status">
+        {visibleRows.length} / {rows.length} entité(s)
+        {selected.size > 0 && ` • ${selected.size} sélectionnée(s)`}
+        {' • '}double-clic pour modifier
+      </div>
+
+      <div
+        ref={viewportRef}
+        className="at-viewport"
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div className="at-header" style={{ gridTemplateColumns: gridTemplate, width: totalWidth }}>
+          <div className="at-cell header" onClick={handleSelectAll} title="Tout sélectionner / désélectionner">
+            #
+          </div>
+          <div className="at-cell header" onClick={() => handleSort('feature_name')}>
+            Nom{sortIndicator('feature_name')}
+          </div>
+          {columns.map(column => (
+            <div
+              key={column.name}
+              className="at-cell header"
+              onClick={() => handleSort(column.name)}
+              title={`${column.name} (${column.type})`}
+            >
+              {column.name}{sortIndicator(column.name)}
+            </div>
+          ))}
+        </div>
+
+        <div className="at-body" style={{ height: visibleRows.length * ROW_HEIGHT, width: totalWidth }}>
+          {visibleRows.slice(firstIndex, lastIndex).map((row, offset) => {
+            const index = firstIndex + offset;
+            const classes = [
+              'at-row',
+              index % 2 ? 'odd' : '',
+              selected.has(row.id) ? 'selected' : '',
+              mapSelectionSet.has(row.id) ? 'on-map' : ''
+            ].join(' ');
+
+            return (
+              <div
+                key={row.id}
+                className={classes}
+                style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT, gridTemplateColumns: gridTemplate }}
+                onClick={(e) => handleRowClick(e, row, index)}
+              >
+                <div className="at-cell id">{row.id}</div>
+                <div className="at-cell" title={row.feature.feature_name || ''}>{row.feature.feature_name}</div>
+                {columns.map(column => renderCell(row, column))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttributeTable;
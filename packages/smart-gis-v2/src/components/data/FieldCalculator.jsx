@@ -0,0 +1,135 @@
+/**
+ * FieldCalculator - Calcul d'un champ de `properties` avec une expression
+ *
+ * Même langage que les styles (ExpressionEngine). Le champ cible peut être
+ * existant ou nouveau; le calcul porte sur la sélection ou sur les lignes
+ * filtrées et s'écrit dans Grist par lots (une seule étape d'annulation).
+ */
+
+import React, { useMemo, useState } from 'react';
+import ExpressionEngine from '../../services/ExpressionEngine';
+import AttributeTableService from '../../services/AttributeTableService';
+
+const PREVIEW_SIZE = 3;
+const NEW_FIELD = '__new__';
+
+const FieldCalculator = ({ columns, filteredRows, selectedRows, onDone }) => {
+  const [target, setTarget] = useState(columns[0]?.name || NEW_FIELD);
+  const [newField, setNewField] = useState('');
+  const [expression, setExpression] = useState('');
+  const [scope, setScope] = useState(selectedRows.length > 0 ? 'selected' : 'filtered');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const field = target === NEW_FIELD ? newField.trim() : target;
+  const rows = scope === 'selected' ? selectedRows : filteredRows;
+
+  const validation = expression.trim() ? ExpressionEngine.validate(expression) : null;
+
+  const preview = useMemo(() => {
+    if (!validation?.valid) return [];
+    return AttributeTableService.calculate(rows.slice(0, PREVIEW_SIZE), expression).values;
+  }, [validation?.valid, rows, expression]);
+
+  const canApply = field && validation?.valid && rows.length > 0 && !progress;
+
+  const handleApply = async () => {
+    setError(null);
+    const { values, errors } = AttributeTableService.calculate(rows, expression);
+
+    setProgress({ done: 0, total: values.length });
+    try {
+      const updated = await AttributeTableService.updateProperties(
+        values.map(({ id, value }) => ({ id, values: { [field]: value } })),
+        `Calcul du champ ${field}`,
+        (done, total) => setProgress({ done, total })
+      );
+      onDone(
+        `${updated} entité(s) mise(s) à jour (${field})` +
+        (errors > 0 ? ` • ${errors} erreur(s) d'évaluation → NULL` : '')
+      );
+    } catch (err) {
+      console.error('[FieldCalculator] Update failed:', err);
+      setError(`Mise à jour interrompue: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="field-calculator">
+      <div className="fc-row">
+        <label>Champ</label>
+        <select value={target} onChange={(e) => setTarget(e.target.value)}>
+          {columns.map(column => <option key={column.name} value={column.name}>{column.name}</option>)}
+          <option value={NEW_FIELD}>+ Nouveau champ…</option>
+        </select>
+        {target === NEW_FIELD && (
+          <input
+            type="text"
+            value={newField}
+            onChange={(e) => setNewField(e.target.value)}
+            placeholder="Nom du champ"
+          />
+        )}
+      </div>
+
+      <textarea
+        className={`fc-expression ${validation && !validation.valid ? 'invalid' : ''}`}
+        value={expression}
+        onChange={(e) => setExpression(e.target.value)}
+        placeholder={"round(area() / 10000, 2)\nupper(nom) || ' (' || code || ')'"}
+        rows={2}
+        spellCheck={false}
+      />
+      {validation && !validation.valid && (
+        <div className="fc-error">{validation.error} (position {validation.position + 1})</div>
+      )}
+
+      <details className="fc-help">
+        <summary>Fonctions disponibles</summary>
+        <ul>
+          {ExpressionEngine.getFunctions().map(fn => (
+            <li key={fn.name}><code>{fn.name}()</code> {fn.description}</li>
+          ))}
+        </ul>
+      </details>
+
+      {preview.length > 0 && (
+        <div className="fc-preview">
+          Aperçu: {preview.map(p => (p.value === null ? 'NULL' : String(p.value))).join(' • ')}
+        </div>
+      )}
+
+      <div className="fc-row">
+        <label>
+          <input
+            type="radio"
+            checked={scope === 'filtered'}
+            onChange={() => setScope('filtered')}
+          />
+          Lignes filtrées ({filteredRows.length})
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={scope === 'selected'}
+            onChange={() => setScope('selected')}
+            disabled={selectedRows.length === 0}
+          />
+          Sélection ({selectedRows.length})
+        </label>
+      </div>
+
+      {error && <div className="fc-error">{error}</div>}
+
+      <button className="fc-apply" onClick={handleApply} disabled={!canApply}>
+        {progress
+          ? `Mise à jour… ${progress.done}/${progress.total}`
+          : `Calculer ${field || '…'} pour ${rows.length} entité(s)`}
+      </button>
+    </div>
+  );
+};
+
+export default FieldCalculator;
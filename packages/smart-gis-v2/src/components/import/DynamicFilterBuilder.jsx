@@ -2,7 +2,7 @@
  * DynamicFilterBuilder - Build CQL filters dynamically based on discovered fields
  *
  * Features:
- * - Auto-discover fields from WFS layer
+ * - Auto-discover fields from WFS layer or OGC API collection (protocol 'ogcapi')
  * - Categorize fields (identifiers, names, geography, etc.)
  * - Suggest appropriate operators per field type
  * - Build CQL filter strings
@@ -13,7 +13,7 @@ import React, { useState, useEffect } from 'react';
 import FieldDiscoveryService from '../../services/FieldDiscoveryService';
 import './DynamicFilterBuilder.css';
 
-const DynamicFilterBuilder = ({ serviceUrl, typeName, onFilterChange }) => {
+const DynamicFilterBuilder = ({ serviceUrl, typeName, protocol = 'wfs', onFilterChange }) => {
   const [schema, setSchema] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -29,7 +29,7 @@ const DynamicFilterBuilder = ({ serviceUrl, typeName, onFilterChange }) => {
       setError(null);
 
       try {
-        const enrichedSchema = await FieldDiscoveryService.getEnrichedSchema(serviceUrl, typeName);
+        const enrichedSchema = await FieldDiscoveryService.getEnrichedSchema(serviceUrl, typeName, protocol);
         setSchema(enrichedSchema);
         console.log('[DynamicFilterBuilder] Schema loaded:', enrichedSchema);
       } catch (err) {
@@ -41,7 +41,7 @@ const DynamicFilterBuilder = ({ serviceUrl, typeName, onFilterChange }) => {
     };
 
     loadSchema();
-  }, [serviceUrl, typeName]);
+  }, [serviceUrl, typeName, protocol]);
 
   // Build CQL filter string from filters array
   useEffect(() => {
@@ -58,7 +58,8 @@ const DynamicFilterBuilder = ({ serviceUrl, typeName, onFilterChange }) => {
           f.field,
           f.operator,
           f.value,
-          field?.type || 'string'
+          field?.type || 'string',
+          protocol === 'ogcapi' ? 'cql2' : 'cql'
         );
       })
       .filter(Boolean);
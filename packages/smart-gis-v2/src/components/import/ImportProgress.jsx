@@ -0,0 +1,136 @@
+/**
+ * ImportProgress - Progression d'un import par flux (gros fichiers)
+ *
+ * - Barre de progression (octets lus) et compteurs features / erreurs
+ * - Annuler (après le lot en cours d'écriture) / Reprendre
+ * - Tableau récapitulatif des lignes rejetées + rapport GIS_Import_Errors
+ */
+
+import React, { useState, useEffect } from 'react';
+import StateManager from '../../core/StateManager';
+import StreamingImportService from '../../services/StreamingImportService';
+import './ImportProgress.css';
+
+const STATUS_LABELS = {
+  running: 'Import en cours...',
+  cancelled: 'Import annulé',
+  done: 'Import terminé',
+  error: 'Import interrompu'
+};
+
+const ImportProgress = () => {
+  const [job, setJob] = useState(() => StreamingImportService.getJob());
+  const [reportStatus, setReportStatus] = useState(null);
+
+  useEffect(() => {
+    return StateManager.subscribe('import.job', setJob);
+  }, []);
+
+  if (!job) return null;
+
+  const percent = job.totalBytes > 0 ? Math.min(100, Math.round((job.bytesRead / job.totalBytes) * 100)) : 0;
+  const canResume = job.status === 'cancelled' || job.status === 'error';
+
+  const handleResume = async () => {
+    setReportStatus(null);
+    try {
+      await StreamingImportService.resume();
+    } catch (error) {
+      setReportStatus({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleWriteReport = async () => {
+    try {
+      const count = await StreamingImportService.writeErrorReport();
+      setReportStatus({ type: 'success', text: `${count} ligne(s) écrite(s) dans GIS_Import_Errors` });
+    } catch (error) {
+      setReportStatus({ type: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <div className="import-progress">
+      <div className={`import-progress-status ${job.status}`}>
+        {STATUS_LABELS[job.status]}
+        {job.status === 'running' && ` ${percent}%`}
+      </div>
+
+      <div className="import-progress-bar">
+        <div
+          className={`import-progress-fill ${job.status}`}
+          style={{ width: `${job.status === 'done' ? 100 : percent}%` }}
+        />
+      </div>
+
+      <div className="import-progress-counts">
+        <span><strong>{job.imported.toLocaleString('fr-FR')}</strong> feature(s) importée(s)</span>
+        <span><strong>{job.errorCount.toLocaleString('fr-FR')}</strong> erreur(s)</span>
+        <span>{(job.bytesRead / 1024 / 1024).toFixed(1)} / {(job.totalBytes / 1024 / 1024).toFixed(1)} Mo</span>
+      </div>
+
+      {job.error && (
+        <div className="error-message">
+          <strong>Erreur:</strong> {job.error}
+        </div>
+      )}
+
+      <div className="import-progress-actions">
+        {job.status === 'running' && (
+          <button className="btn-cancel" onClick={() => StreamingImportService.cancel()}>
+            ⏸ Annuler
+          </button>
+        )}
+        {canResume && (
+          <button className="btn-next" onClick={handleResume}>
+            ▶ Reprendre (feature {job.processed + 1})
+          </button>
+        )}
+        {job.status !== 'running' && job.errorCount > 0 && !job.reportWritten && (
+          <button className="btn-cancel" onClick={handleWriteReport}>
+            📋 Écrire le rapport d'erreurs
+          </button>
+        )}
+      </div>
+
+      {job.reportWritten && (
+        <div className="field-help">Erreurs écrites dans la table GIS_Import_Errors</div>
+      )}
+      {reportStatus && (
+        <div className={reportStatus.type === 'error' ? 'error-message' : 'field-help'}>{reportStatus.text}</div>
+      )}
+
+      {job.errors.length > 0 && (
+        <div className="import-errors">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Ligne</th>
+                <th>Erreur</th>
+                <th>Données</th>
+              </tr>
+            </thead>
+            <tbody>
+              {job.errors.map(error => (
+                <tr key={error.feature_index}>
+                  <td>{error.feature_index + 1}</td>
+                  <td>{error.line ?? '-'}</td>
+                  <td>{error.error}</td>
+                  <td className="import-error-raw" title={error.raw}>{error.raw}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {job.errorCount > job.errors.length && (
+            <div className="preview-note">
+              ... et {job.errorCount - job.errors.length} autres erreurs
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportProgress;
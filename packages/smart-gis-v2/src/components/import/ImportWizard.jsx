@@ -7,13 +7,23 @@
  * - Column mapping for CSV
  * - Data preview
  * - Configuration form
+ * - Reprojection to WGS84 (source CRS saved as layer metadata)
+ * - Multi-layer files (Shapefile zip, GeoPackage, KML, GPX): one layer per
+ *   source layer, or merged
+ * - Large files (above method.maxSize): parsed in a worker and imported in
+ *   chunks with progress, cancel/resume and an error summary
  * - Import to Grist
  */
 
 import React, { useState, useEffect } from 'react';
 import GristAPI from '../../core/GristAPI';
 import StateManager from '../../core/StateManager';
+import ActionJournal from '../../core/ActionJournal';
+import ProjectionService from '../../services/ProjectionService';
+import LayerMetadataService from '../../services/LayerMetadataService';
+import StreamingImportService from '../../services/StreamingImportService';
 import DynamicFilterBuilder from './DynamicFilterBuilder';
+import ImportProgress from './ImportProgress';
 import './ImportWizard.css';
 
 const ImportWizard = ({ method, onClose, onComplete }) => {
@@ -26,10 +36,20 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [previewFeatures, setPreviewFeatures] = useState([]);
   const [dynamicCqlFilter, setDynamicCqlFilter] = useState('');
+  const [streamJob, setStreamJob] = useState(null);
 
   const steps = method.steps || [];
   const currentStep = steps[currentStepIndex];
 
+  // Large file: preview of the first features only, chunked import
+  const streamed = StreamingImportService.isStreamed(method, uploadedFile);
+
+  useEffect(() => {
+    return StateManager.subscribe('import.job', (job) => {
+      setStreamJob(prev => (prev ? job : null));
+    });
+  }, []);
+
   // Initialize config with default values
   useEffect(() => {
     const defaultConfig = {};
@@ -63,9 +83,9 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
 
       setUploadedFile(file);
 
-      // For CSV, extract columns for mapping step
+      // For CSV, extract columns for mapping step (header only: files may be large)
       if (method.id.startsWith('csv_')) {
-        const text = await file.text();
+        const text = await file.slice(0, 64 * 1024).text();
         const delimiter = config.delimiter || ',';
         const firstLine = text.split('\n')[0];
         const cols = firstLine.split(delimiter).map(c => c.trim());
@@ -86,7 +106,16 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
     setIsLoading(true);
 
     try {
-      const features = await method.parse(uploadedFile, config);
+      let features;
+      if (streamed) {
+        const preview = await StreamingImportService.preview(uploadedFile, method, config);
+        if (preview.features.length === 0 && preview.errors.length > 0) {
+          throw new Error(`Feature ${preview.errors[0].feature_index + 1}: ${preview.errors[0].error}`);
+        }
+        features = preview.features;
+      } else {
+        features = await method.parse(uploadedFile, config);
+      }
       setParsedData(features);
 
       // Preview first 5 features
@@ -111,8 +140,8 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
 
     // Execute step-specific actions
     if (currentStep.id === 'upload' && uploadedFile) {
-      // Auto-parse if possible
-      if (method.id === 'geojson') {
+      // Auto-parse file formats (no column mapping needed)
+      if (method.parse && !steps.some(step => step.id === 'mapping')) {
         await handleParseAndPreview();
       }
     }
@@ -177,34 +206,89 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
     setIsLoading(true);
     setError(null);
 
+    if (streamed) {
+      await handleStreamingImport();
+      return;
+    }
+
     try {
       const targetTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
       const layerName = config.layer_name || 'Import';
+      const importSession = Date.now();
+
+      // Multi-layer files: one Grist layer per source layer ("Nom - couche")
+      const sourceLayers = countSourceLayers(parsedData);
+      const split = config.layer_mode === 'split' && sourceLayers.length > 1;
+      const merged = !split && sourceLayers.length > 1;
+      const groups = split
+        ? sourceLayers.map(({ name }) => ({
+          layerName: `${layerName} - ${name}`,
+          items: parsedData.filter(feature => feature.source_layer === name)
+        }))
+        : [{ layerName, items: parsedData }];
+
+      const layers = groups.map(group => {
+        // geometry_wgs84 must be WGS84: reproject from the source CRS (each
+        // source layer may declare its own)
+        const { features, sourceCrs } = ProjectionService.reprojectFeatures(group.items, config.source_crs);
+
+        // Prepare records for Grist
+        // IMPORTANT: Only include NON-FORMULA columns
+        // Formula columns (geometry_type, centroid, area_km2, etc.) are auto-calculated by Grist
+        const records = features.map((feature, idx) => ({
+          // Regular columns only (NOT formulas)
+          layer_name: group.layerName,
+          geometry_wgs84: feature.geometry,
+          properties: JSON.stringify(merged
+            ? { source_layer: feature.source_layer, ...feature.properties }
+            : feature.properties || {}),
+          feature_name: feature.properties?.name || feature.properties?.nom || `Feature ${idx + 1}`,
+          import_session: importSession,
+          is_visible: true,
+          z_index: 100
+        }));
+
+        return {
+          layerName: group.layerName,
+          features,
+          records,
+          sourceCrsCode: ProjectionService.formatCode(sourceCrs)
+        };
+      });
+
+      const features = layers.flatMap(layer => layer.features);
+
+      // Features + metadata rows = one undoable operation
+      const result = await ActionJournal.group(`Import: ${layerName}`, async () => {
+        const recordIds = [];
+
+        for (const layer of layers) {
+          // Add to Grist
+          recordIds.push(...await GristAPI.addRecords(targetTable, layer.records));
+
+          // Per-layer source CRS (metadata row)
+          try {
+            await LayerMetadataService.saveMetadata(layer.layerName, { source_crs: layer.sourceCrsCode });
+            StateManager.setState('layers.sourceCrs', {
+              ...(StateManager.getState('layers.sourceCrs') || {}),
+              [layer.layerName]: layer.sourceCrsCode
+            }, `Source CRS: ${layer.layerName}`);
+          } catch (metadataError) {
+            console.warn('[ImportWizard] Could not save source CRS:', metadataError);
+          }
+        }
 
-      // Prepare records for Grist
-      // IMPORTANT: Only include NON-FORMULA columns
-      // Formula columns (geometry_type, centroid, area_km2, etc.) are auto-calculated by Grist
-      const records = parsedData.map((feature, idx) => ({
-        // Regular columns only (NOT formulas)
-        layer_name: layerName,
-        geometry_wgs84: feature.geometry,
-        properties: JSON.stringify(feature.properties || {}),
-        feature_name: feature.properties?.name || feature.properties?.nom || `Feature ${idx + 1}`,
-        import_session: Date.now(),
-        is_visible: true,
-        z_index: 100
-      }));
-
-      // Add to Grist
-      const result = await GristAPI.addRecords(targetTable, records);
-
-      // Update workspace layers
+        return recordIds;
+      });
+
+      // Update workspace layers (metadata rows have no geometry)
       const updatedLayers = await GristAPI.fetchTable(targetTable);
-      StateManager.setState('layers.workspace', updatedLayers, `Import: ${layerName}`);
+      StateManager.setState('layers.workspace', updatedLayers.filter(record => record.geometry_wgs84), `Import: ${layerName}`);
 
       // Complete import
       onComplete({
-        features: parsedData,
+        features,
+        featureCount: features.length,
         config: config,
         recordIds: result
       });
@@ -216,6 +300,34 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
     }
   };
 
+  const handleStreamingImport = async () => {
+    const targetTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    setStreamJob({ status: 'running' });
+
+    try {
+      await StreamingImportService.start({ file: uploadedFile, method, config, targetTable });
+    } catch (err) {
+      setError(`Erreur lors de l'import: ${err.message}`);
+    }
+    setIsLoading(false);
+  };
+
+  const handleStreamingClose = () => {
+    const job = StreamingImportService.getJob();
+    StreamingImportService.dismiss();
+
+    if (job?.status === 'done') {
+      onComplete({
+        features: [],
+        featureCount: job.imported,
+        config: config,
+        recordIds: []
+      });
+    } else {
+      onClose();
+    }
+  };
+
   const canProceed = () => {
     if (currentStep.id === 'upload') {
       return uploadedFile !== null;
@@ -237,7 +349,7 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
   const isLastStep = currentStepIndex === steps.length - 1;
 
   return (
-    <div className="import-wizard-overlay" onClick={onClose}>
+    <div className="import-wizard-overlay" onClick={streamJob ? undefined : onClose}>
       <div className="import-wizard-modal" onClick={(e) => e.stopPropagation()}>
         {/* Header */}
         <div className="import-wizard-header">
@@ -247,7 +359,13 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
             </h3>
             <p className="method-description">{method.description}</p>
           </div>
-          <button className="btn-close" onClick={onClose}>×</button>
+          <button
+            className="btn-close"
+            onClick={streamJob ? handleStreamingClose : onClose}
+            disabled={streamJob?.status === 'running'}
+          >
+            ×
+          </button>
         </div>
 
         {/* Steps Progress */}
@@ -271,8 +389,11 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
             </div>
           )}
 
+          {/* Streaming import progress (replaces the steps) */}
+          {streamJob && <ImportProgress />}
+
           {/* Step Content */}
-          {currentStep.id === 'upload' && (
+          {!streamJob && currentStep.id === 'upload' && (
             <div className="step-content">
               <h4>Sélectionner un fichier</h4>
               <div className="file-upload-area">
@@ -301,7 +422,7 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
             </div>
           )}
 
-          {currentStep.id === 'mapping' && (
+          {!streamJob && currentStep.id === 'mapping' && (
             <div className="step-content">
               <h4>Mapper les colonnes</h4>
               {currentStep.fields.map(field => (
@@ -324,14 +445,29 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
             </div>
           )}
 
-          {currentStep.id === 'preview' && (
+          {!streamJob && currentStep.id === 'preview' && (
             <div className="step-content">
               <h4>Aperçu des données</h4>
-              {parsedData && (
+              {parsedData && streamed && (
+                <div className="preview-stats">
+                  Fichier volumineux ({(uploadedFile.size / 1024 / 1024).toFixed(1)} Mo) : import par lots,
+                  aperçu des <strong>{parsedData.length}</strong> premières features
+                </div>
+              )}
+              {parsedData && !streamed && (
                 <div className="preview-stats">
                   <strong>{parsedData.length}</strong> feature{parsedData.length > 1 ? 's' : ''} trouvée{parsedData.length > 1 ? 's' : ''}
                 </div>
               )}
+              {parsedData && countSourceLayers(parsedData).length > 1 && (
+                <div className="preview-properties">
+                  {countSourceLayers(parsedData).map(({ name, count }) => (
+                    <span key={name} className="property-badge">
+                      {name}: {count}
+                    </span>
+                  ))}
+                </div>
+              )}
               <div className="preview-list">
                 {previewFeatures.map((feature, idx) => (
                   <div key={idx} className="preview-item">
@@ -353,7 +489,7 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
                   </div>
                 ))}
               </div>
-              {parsedData && parsedData.length > 5 && (
+              {parsedData && !streamed && parsedData.length > 5 && (
                 <div className="preview-note">
                   ... et {parsedData.length - 5} autres features
                 </div>
@@ -361,7 +497,7 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
             </div>
           )}
 
-          {currentStep.id === 'config' && (
+          {!streamJob && currentStep.id === 'config' && (
             <div className="step-content">
               <h4>Configuration</h4>
 
@@ -400,14 +536,18 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
                       onChange={(e) => handleConfigChange(field.name, parseFloat(e.target.value))}
                     />
                   )}
+                  {field.help && (
+                    <small className="field-help">{field.help}</small>
+                  )}
                 </div>
               ))}
 
-              {/* Dynamic filter builder for WFS services */}
+              {/* Dynamic filter builder for WFS / OGC API services */}
               {method.supportsDynamicFilters && (config.typeName || config.ign_layer) && (
                 <DynamicFilterBuilder
                   serviceUrl={method.wfsServiceUrl}
                   typeName={config.typeName || config.ign_layer}
+                  protocol={method.serviceProtocol}
                   onFilterChange={(cqlFilter) => {
                     setDynamicCqlFilter(cqlFilter);
                     handleConfigChange('cql_filter', cqlFilter);
@@ -419,43 +559,71 @@ const ImportWizard = ({ method, onClose, onComplete }) => {
         </div>
 
         {/* Footer */}
-        <div className="import-wizard-footer">
-          <button
-            className="btn-cancel"
-            onClick={handlePrevious}
-            disabled={currentStepIndex === 0}
-          >
-            ← Précédent
-          </button>
-
-          <div className="step-counter">
-            Étape {currentStepIndex + 1} / {steps.length}
-          </div>
-
-          {!isLastStep ? (
+        {streamJob ? (
+          <div className="import-wizard-footer">
+            <div className="step-counter">{uploadedFile?.name}</div>
             <button
-              className="btn-next"
-              onClick={handleNext}
-              disabled={!canProceed() || isLoading}
+              className={streamJob.status === 'done' ? 'btn-import' : 'btn-cancel'}
+              onClick={handleStreamingClose}
+              disabled={streamJob.status === 'running'}
             >
-              {isLoading ? 'Chargement...' : 'Suivant →'}
+              {streamJob.status === 'done' ? '✓ Terminer' : 'Fermer'}
             </button>
-          ) : (
+          </div>
+        ) : (
+          <div className="import-wizard-footer">
             <button
-              className="btn-import"
-              onClick={handleImport}
-              disabled={!canProceed() || isLoading}
+              className="btn-cancel"
+              onClick={handlePrevious}
+              disabled={currentStepIndex === 0}
             >
-              {isLoading ? 'Import en cours...' : '✓ Importer'}
+              ← Précédent
             </button>
-          )}
-        </div>
+
+            <div className="step-counter">
+              Étape {currentStepIndex + 1} / {steps.length}
+            </div>
+
+            {!isLastStep ? (
+              <button
+                className="btn-next"
+                onClick={handleNext}
+                disabled={!canProceed() || isLoading}
+              >
+                {isLoading ? 'Chargement...' : 'Suivant →'}
+              </button>
+            ) : (
+              <button
+                className="btn-import"
+                onClick={handleImport}
+                disabled={!canProceed() || isLoading}
+              >
+                {isLoading ? 'Import en cours...' : '✓ Importer'}
+              </button>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-// Helper function
+// Helper functions
+
+/**
+ * Source layers of parsed features (multi-layer files), in file order
+ * @returns {Array<{ name, count }>} Empty for single-layer formats
+ */
+function countSourceLayers(features) {
+  const counts = new Map();
+  features.forEach(feature => {
+    if (feature.source_layer) {
+      counts.set(feature.source_layer, (counts.get(feature.source_layer) || 0) + 1);
+    }
+  });
+  return Array.from(counts, ([name, count]) => ({ name, count }));
+}
+
 function detectGeometryType(wkt) {
   if (!wkt) return 'Unknown';
 
@@ -0,0 +1,137 @@
+/**
+ * OGCSourceManager - Sources WFS / OGC API - Features enregistrées
+ *
+ * - Ajout d'un service par son URL (protocole et couches détectés)
+ * - Liste des sources de GIS_Catalogs : actualiser les couches, supprimer
+ * - Chaque source devient une méthode d'import et une source de l'agent
+ */
+
+import React, { useState, useEffect } from 'react';
+import StateManager from '../../core/StateManager';
+import dataCatalog from '../../core/DataCatalog';
+import { PROTOCOLS } from '../../services/OGCFeatureService';
+import './OGCSourceManager.css';
+
+const OGCSourceManager = () => {
+  const [sources, setSources] = useState(() => StateManager.getState('data.catalogs') || []);
+  const [showForm, setShowForm] = useState(false);
+  const [url, setUrl] = useState('');
+  const [name, setName] = useState('');
+  const [keywords, setKeywords] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    return StateManager.subscribe('data.catalogs', (list) => setSources(list || []));
+  }, []);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleAdd = () => run('add', async () => {
+    const source = await dataCatalog.registerSource({ url, name, keywords });
+    const layerCount = Object.keys(source.layers).length;
+    setStatus({ type: 'success', text: `${source.name} : ${layerCount} couche(s) (${PROTOCOLS[source.type]})` });
+    setUrl('');
+    setName('');
+    setKeywords('');
+    setShowForm(false);
+  });
+
+  const handleRefresh = (source) => run(source.id, async () => {
+    const refreshed = await dataCatalog.refreshSource(source.id);
+    setStatus({ type: 'success', text: `${refreshed.name} : ${Object.keys(refreshed.layers).length} couche(s)` });
+  });
+
+  const handleRemove = (source) => {
+    if (!window.confirm(`Retirer la source "${source.name}" du catalogue ?`)) return;
+    run(source.id, () => dataCatalog.removeSource(source.id));
+  };
+
+  return (
+    <div className="ogc-sources">
+      <div className="ogc-sources-header">
+        <h4>Services WFS / OGC API</h4>
+        <button className="ogc-sources-toggle" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Annuler' : '+ Ajouter'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="ogc-sources-form">
+          <input
+            type="text"
+            placeholder="URL du service (ex: https://demo.pygeoapi.io/master)"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Nom (optionnel, titre du service par défaut)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Mots-clés (optionnel, séparés par des virgules)"
+            value={keywords}
+            onChange={(e) => setKeywords(e.target.value)}
+          />
+          <button
+            className="ogc-sources-add"
+            onClick={handleAdd}
+            disabled={!url.trim() || busy === 'add'}
+          >
+            {busy === 'add' ? 'Détection du service...' : 'Enregistrer la source'}
+          </button>
+        </div>
+      )}
+
+      {status && (
+        <div className={`ogc-sources-status ${status.type}`}>{status.text}</div>
+      )}
+
+      {sources.length > 0 && (
+        <div className="ogc-sources-list">
+          {sources.map(source => (
+            <div key={source.id} className="ogc-source-item">
+              <div className="ogc-source-info">
+                <div className="ogc-source-name">{source.name}</div>
+                <div className="ogc-source-meta" title={source.endpoint}>
+                  {PROTOCOLS[source.type]} • {source.layerCount} couche(s) • id: {source.id}
+                </div>
+              </div>
+              <button
+                className="ogc-source-action"
+                title="Actualiser les couches"
+                onClick={() => handleRefresh(source)}
+                disabled={busy !== null}
+              >
+                🔄
+              </button>
+              <button
+                className="ogc-source-action"
+                title="Retirer du catalogue"
+                onClick={() => handleRemove(source)}
+                disabled={busy !== null}
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OGCSourceManager;
@@ -0,0 +1,505 @@
+/**
+ * OverpassQueryBuilder - Requêtes OpenStreetMap composées visuellement
+ *
+ * - Filtres de tags combinés (=, ≠, regex, présent, absent) et types d'éléments
+ * - Zone : BBOX (ou emprise de la carte), nom de zone, relation OSM,
+ *   polygone dessiné sur la carte, ou global
+ * - Mode de sortie et timeout, aperçu de la requête Overpass QL
+ * - Estimation du nombre d'éléments et du volume avant l'import
+ * - Requêtes nommées enregistrées dans GIS_Catalogs (une méthode d'import
+ *   par requête)
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import StateManager from '../../core/StateManager';
+import dataCatalog from '../../core/DataCatalog';
+import OverpassQueryService, {
+  ELEMENT_TYPES,
+  TAG_OPERATORS,
+  AREA_MODES,
+  OUTPUT_MODES,
+  MIN_TIMEOUT,
+  MAX_TIMEOUT,
+  DEFAULT_QUERY_SPEC
+} from '../../services/OverpassQueryService';
+import { createOverpassImportMethod } from '../../config/importMethods';
+import './OverpassQueryBuilder.css';
+
+// Target of the polygon drawn with SearchZoneLayer ('search.zone')
+const ZONE_TARGET = 'overpass_polygon';
+
+// Above these, the estimate is shown as a warning
+const LARGE_RESULT_ELEMENTS = 50000;
+const LARGE_RESULT_BYTES = 50 * 1024 * 1024;
+
+const EMPTY_FILTER = { key: '', operator: '=', value: '', caseInsensitive: false };
+
+const copySpec = (spec) => JSON.parse(JSON.stringify(spec));
+
+const OverpassQueryBuilder = ({ onImport }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [spec, setSpec] = useState(() => copySpec(DEFAULT_QUERY_SPEC));
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [savedQueries, setSavedQueries] = useState(() => StateManager.getState('data.overpassQueries') || []);
+  const [estimate, setEstimate] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  // Known OSM tags of the catalog (suggestions)
+  const knownTags = useMemo(() => dataCatalog.getSource('osm')?.tags || {}, []);
+
+  const validation = useMemo(() => OverpassQueryService.validate(spec), [spec]);
+  // buildQuery throws on an incomplete area: only preview valid specs
+  const query = useMemo(
+    () => (validation.valid ? OverpassQueryService.buildQuery(spec) : null),
+    [spec, validation]
+  );
+
+  useEffect(() => {
+    return StateManager.subscribe('data.overpassQueries', (list) => setSavedQueries(list || []));
+  }, []);
+
+  useEffect(() => {
+    // Polygon drawn on the map (SearchZoneLayer)
+    return StateManager.subscribe('search.zone', (zone) => {
+      if (zone?.target === ZONE_TARGET) {
+        setSpec(prev => ({ ...prev, area: { ...prev.area, mode: 'polygon', polygon: zone.wkt } }));
+      }
+    });
+  }, []);
+
+  // The estimate is only valid for the query it was made for
+  useEffect(() => {
+    setEstimate(null);
+  }, [query]);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const updateSpec = (changes) => setSpec(prev => ({ ...prev, ...changes }));
+
+  const updateArea = (changes) => setSpec(prev => ({ ...prev, area: { ...prev.area, ...changes } }));
+
+  const updateFilter = (index, changes) => setSpec(prev => ({
+    ...prev,
+    filters: prev.filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter))
+  }));
+
+  const toggleType = (type) => setSpec(prev => ({
+    ...prev,
+    types: prev.types.includes(type)
+      ? prev.types.filter(t => t !== type)
+      : ELEMENT_TYPES.map(t => t.id).filter(t => t === type || prev.types.includes(t))
+  }));
+
+  const handleMapExtent = () => {
+    const bbox = OverpassQueryService.boundsToBBox(StateManager.getState('map.bounds'));
+    if (!bbox) {
+      setStatus({ type: 'error', text: 'Emprise de la carte indisponible' });
+      return;
+    }
+    updateArea({ bbox });
+  };
+
+  const handleDrawPolygon = () => {
+    StateManager.setState('search.drawRequest', {
+      id: Date.now(),
+      shape: 'Polygon',
+      target: ZONE_TARGET
+    }, 'Draw Overpass polygon');
+  };
+
+  const handleEstimate = () => run('estimate', async () => {
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    setEstimate(await OverpassQueryService.estimate(spec));
+  });
+
+  const handleSave = () => run('save', async () => {
+    const saved = await dataCatalog.saveOverpassQuery({ id: editingId, name, description, spec });
+    setEditingId(saved.id);
+    setStatus({ type: 'success', text: `Requête "${saved.name}" enregistrée` });
+  });
+
+  const handleImport = () => {
+    // Imports the query as edited, saved or not
+    onImport?.(createOverpassImportMethod({
+      id: editingId || 'draft',
+      name: name.trim() || 'Requête Overpass',
+      description,
+      spec
+    }));
+  };
+
+  const handleNew = () => {
+    setSpec(copySpec(DEFAULT_QUERY_SPEC));
+    setName('');
+    setDescription('');
+    setEditingId(null);
+    setStatus(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (saved) => {
+    setSpec({ ...copySpec(DEFAULT_QUERY_SPEC), ...copySpec(saved.spec) });
+    setName(saved.name);
+    setDescription(saved.description || '');
+    setEditingId(saved.id);
+    setStatus(null);
+    setShowForm(true);
+  };
+
+  const handleRemove = (saved) => {
+    if (!window.confirm(`Supprimer la requête "${saved.name}" ?`)) return;
+    run(saved.id, async () => {
+      await dataCatalog.removeOverpassQuery(saved.id);
+      if (editingId === saved.id) setEditingId(null);
+    });
+  };
+
+  const renderArea = () => {
+    const { area } = spec;
+
+    switch (area.mode) {
+      case 'bbox':
+        return (
+          <div className="overpass-row">
+            <input
+              type="text"
+              placeholder="sud,ouest,nord,est (ex: 48.8,2.2,48.9,2.4)"
+              value={area.bbox}
+              onChange={(e) => updateArea({ bbox: e.target.value })}
+            />
+            <button className="overpass-secondary" onClick={handleMapExtent} title="Utiliser l'emprise de la carte">
+              🗺️
+            </button>
+          </div>
+        );
+      case 'area_name':
+        return (
+          <div className="overpass-row">
+            <input
+              type="text"
+              placeholder="Nom (ex: Lyon, Bretagne...)"
+              value={area.name}
+              onChange={(e) => updateArea({ name: e.target.value })}
+            />
+            <input
+              type="text"
+              className="overpass-narrow"
+              placeholder="admin_level"
+              title="Niveau administratif (optionnel, ex: 8 = commune) pour lever les homonymies"
+              value={area.adminLevel}
+              onChange={(e) => updateArea({ adminLevel: e.target.value })}
+            />
+          </div>
+        );
+      case 'area_id':
+        return (
+          <input
+            type="text"
+            placeholder="ID de relation OSM (ex: 7444 pour Paris)"
+            value={area.relationId}
+            onChange={(e) => updateArea({ relationId: e.target.value })}
+          />
+        );
+      case 'polygon':
+        return (
+          <div className="overpass-row">
+            <span className="overpass-hint">
+              {area.polygon ? 'Polygone dessiné ✓' : 'Aucun polygone'}
+            </span>
+            <button className="overpass-secondary" onClick={handleDrawPolygon}>
+              ✏️ Dessiner sur la carte
+            </button>
+          </div>
+        );
+      default:
+        return <span className="overpass-hint">Attention : une requête globale peut être très longue</span>;
+    }
+  };
+
+  const renderEstimate = () => {
+    if (!estimate) return null;
+
+    const large = estimate.total > LARGE_RESULT_ELEMENTS || estimate.bytes > LARGE_RESULT_BYTES;
+    return (
+      <div className={`overpass-estimate ${large ? 'warning' : ''}`}>
+        <strong>{estimate.total.toLocaleString('fr-FR')}</strong> élément(s) • ≈ {formatBytes(estimate.bytes)}
+        <div className="overpass-estimate-detail">
+          {estimate.nodes.toLocaleString('fr-FR')} nœuds, {estimate.ways.toLocaleString('fr-FR')} chemins,{' '}
+          {estimate.relations.toLocaleString('fr-FR')} relations
+        </div>
+        {large && <div>Résultat volumineux : réduisez la zone ou ajoutez des filtres</div>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="overpass-builder">
+      <div className="overpass-header">
+        <h4>Requêtes Overpass (OSM)</h4>
+        <button className="overpass-toggle" onClick={() => (showForm ? setShowForm(false) : handleNew())}>
+          {showForm ? 'Fermer' : '+ Nouvelle'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="overpass-form">
+          {/* Tag filters (AND) */}
+          <div className="overpass-section">
+            <label>Filtres de tags</label>
+            <datalist id="overpass-keys">
+              {Object.keys(knownTags).map(key => <option key={key} value={key} />)}
+            </datalist>
+            {spec.filters.map((filter, index) => {
+              const operator = TAG_OPERATORS.find(op => op.id === filter.operator);
+              const regex = filter.operator === '~' || filter.operator === '!~';
+              return (
+                <div key={index} className="overpass-row">
+                  <input
+                    type="text"
+                    list="overpass-keys"
+                    placeholder="clé"
+                    value={filter.key}
+                    onChange={(e) => updateFilter(index, { key: e.target.value })}
+                  />
+                  <select
+                    value={filter.operator}
+                    onChange={(e) => updateFilter(index, { operator: e.target.value })}
+                  >
+                    {TAG_OPERATORS.map(op => <option key={op.id} value={op.id}>{op.label}</option>)}
+                  </select>
+                  {!operator?.valueless && (
+                    <>
+                      <input
+                        type="text"
+                        list={`overpass-values-${index}`}
+                        placeholder={regex ? 'regex' : 'valeur'}
+                        value={filter.value}
+                        onChange={(e) => updateFilter(index, { value: e.target.value })}
+                      />
+                      <datalist id={`overpass-values-${index}`}>
+                        {Object.keys(knownTags[filter.key]?.values || {}).map(value => (
+                          <option key={value} value={value} />
+                        ))}
+                      </datalist>
+                    </>
+                  )}
+                  {regex && (
+                    <label className="overpass-inline" title="Insensible à la casse">
+                      <input
+                        type="checkbox"
+                        checked={!!filter.caseInsensitive}
+                        onChange={(e) => updateFilter(index, { caseInsensitive: e.target.checked })}
+                      />
+                      Aa
+                    </label>
+                  )}
+                  <button
+                    className="overpass-action"
+                    title="Retirer le filtre"
+                    onClick={() => updateSpec({ filters: spec.filters.filter((_, i) => i !== index) })}
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              className="overpass-secondary"
+              onClick={() => updateSpec({ filters: [...spec.filters, { ...EMPTY_FILTER }] })}
+            >
+              + Filtre
+            </button>
+          </div>
+
+          {/* Element types */}
+          <div className="overpass-section">
+            <label>Types d'éléments</label>
+            <div className="overpass-row">
+              {ELEMENT_TYPES.map(type => (
+                <label key={type.id} className="overpass-inline">
+                  <input
+                    type="checkbox"
+                    checked={spec.types.includes(type.id)}
+                    onChange={() => toggleType(type.id)}
+                  />
+                  {type.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Area */}
+          <div className="overpass-section">
+            <label>Zone</label>
+            <select value={spec.area.mode} onChange={(e) => updateArea({ mode: e.target.value })}>
+              {AREA_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+            </select>
+            {renderArea()}
+          </div>
+
+          {/* Output and timeout */}
+          <div className="overpass-section">
+            <label>Sortie</label>
+            <div className="overpass-row">
+              <select value={spec.output} onChange={(e) => updateSpec({ output: e.target.value })}>
+                {OUTPUT_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+              </select>
+              <input
+                type="number"
+                className="overpass-narrow"
+                min={MIN_TIMEOUT}
+                max={MAX_TIMEOUT}
+                title="Timeout (secondes)"
+                value={spec.timeout}
+                onChange={(e) => updateSpec({ timeout: parseInt(e.target.value, 10) || MIN_TIMEOUT })}
+              />
+              <span className="overpass-hint">s</span>
+            </div>
+          </div>
+
+          {/* Overpass QL preview */}
+          {validation.valid ? (
+            <pre className="overpass-preview">{query}</pre>
+          ) : (
+            <div className="overpass-status error">{validation.error}</div>
+          )}
+
+          {renderEstimate()}
+
+          <div className="overpass-row">
+            <button
+              className="overpass-secondary"
+              onClick={handleEstimate}
+              disabled={!validation.valid || busy !== null}
+            >
+              {busy === 'estimate' ? 'Estimation...' : '📊 Estimer'}
+            </button>
+            <button
+              className="overpass-primary"
+              onClick={handleImport}
+              disabled={!validation.valid || busy !== null}
+            >
+              📥 Importer
+            </button>
+          </div>
+
+          {/* Named query */}
+          <div className="overpass-section">
+            <input
+              type="text"
+              placeholder="Nom de la requête"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="Description (optionnelle)"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+            <button
+              className="overpass-primary"
+              onClick={handleSave}
+              disabled={!validation.valid || !name.trim() || busy !== null}
+            >
+              {busy === 'save' ? 'Enregistrement...' : editingId ? '💾 Mettre à jour' : '💾 Enregistrer la requête'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status && (
+        <div className={`overpass-status ${status.type}`}>{status.text}</div>
+      )}
+
+      {savedQueries.length > 0 && (
+        <div className="overpass-list">
+          {savedQueries.map(saved => (
+            <div key={saved.id} className={`overpass-item ${saved.id === editingId ? 'active' : ''}`}>
+              <div className="overpass-item-info">
+                <div className="overpass-item-name">{saved.name}</div>
+                <div className="overpass-item-meta" title={saved.description}>
+                  {describeSpec(saved.spec)}
+                </div>
+              </div>
+              <button
+                className="overpass-action"
+                title="Modifier"
+                onClick={() => handleEdit(saved)}
+                disabled={busy !== null}
+              >
+                ✏️
+              </button>
+              <button
+                className="overpass-action"
+                title="Importer"
+                onClick={() => onImport?.(createOverpassImportMethod(saved))}
+                disabled={busy !== null}
+              >
+                📥
+              </button>
+              <button
+                className="overpass-action"
+                title="Supprimer"
+                onClick={() => handleRemove(saved)}
+                disabled={busy !== null}
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Helper functions
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} Ko`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} Mo`;
+}
+
+/**
+ * One-line summary of a saved query ("amenity=school • Lyon • node, way")
+ */
+function describeSpec(spec = {}) {
+  const filters = (spec.filters || [])
+    .filter(filter => filter.key)
+    .map(filter => {
+      if (filter.operator === 'exists') return filter.key;
+      if (filter.operator === 'absent') return `!${filter.key}`;
+      return `${filter.key}${filter.operator}${filter.value}`;
+    })
+    .join(' ');
+  const area = spec.area || {};
+  const zone = {
+    bbox: 'BBOX',
+    area_name: area.name,
+    area_id: `relation ${area.relationId}`,
+    polygon: 'polygone',
+    global: 'global'
+  }[area.mode];
+
+  return [filters, zone, (spec.types || []).join(', ')].filter(Boolean).join(' • ');
+}
+
+export default OverpassQueryBuilder;
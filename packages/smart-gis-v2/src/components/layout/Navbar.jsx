@@ -6,12 +6,15 @@
 
 import React, { useEffect, useState } from 'react';
 import StateManager from '../../core/StateManager';
+import ActionJournal from '../../core/ActionJournal';
+import LayerMetadataService from '../../services/LayerMetadataService';
+import PrintComposer from '../print/PrintComposer';
 
 const Navbar = () => {
   const [projectName, setProjectName] = useState('Smart-GIS Project');
-  const [canUndo, setCanUndo] = useState(false);
-  const [canRedo, setCanRedo] = useState(false);
+  const [journal, setJournal] = useState(() => StateManager.getState('journal') || {});
   const [layerCount, setLayerCount] = useState(0);
+  const [showPrint, setShowPrint] = useState(false);
 
   useEffect(() => {
     // Subscribe to layers changes
@@ -22,16 +25,14 @@ const Navbar = () => {
     // Initial state
     setLayerCount(StateManager.getState('layers.workspace').length);
 
-    // Update undo/redo state
-    const interval = setInterval(() => {
-      const history = StateManager.getHistory();
-      setCanUndo(history.canUndo);
-      setCanRedo(history.canRedo);
-    }, 500);
+    // Undo/redo state (Grist writes journal)
+    const unsubscribeJournal = StateManager.subscribe('journal', (state) => {
+      setJournal(state || {});
+    });
 
     return () => {
       unsubscribeLayers();
-      clearInterval(interval);
+      unsubscribeJournal();
     };
   }, []);
 
@@ -54,13 +55,22 @@ const Navbar = () => {
     StateManager.setState('ui.activeTab', 'search', 'Switch to search');
   };
 
-  const handleUndo = () => {
-    StateManager.undo();
+  // Undo/redo revert the rows written in Grist, then reload the workspace
+  const replayJournal = async (replay) => {
+    try {
+      const entry = await replay();
+      if (entry) {
+        await LayerMetadataService.loadWorkspace(StateManager.getState('data.currentTable') || 'GIS_WorkSpace');
+      }
+    } catch (error) {
+      console.error('[Navbar] Undo/redo failed:', error);
+      alert(`Annuler/rétablir impossible : ${error.message}`);
+    }
   };
 
-  const handleRedo = () => {
-    StateManager.redo();
-  };
+  const handleUndo = () => replayJournal(() => ActionJournal.undo());
+
+  const handleRedo = () => replayJournal(() => ActionJournal.redo());
 
   return (
     <div className="navbar">
@@ -77,22 +87,25 @@ const Navbar = () => {
         <button className="btn-icon" onClick={handleSearch} title="Search">
           🔍
         </button>
+        <button className="btn-icon" onClick={() => setShowPrint(true)} title="Print / Export">
+          🖨️
+        </button>
 
         <div className="navbar-divider"></div>
 
         <button
           className="btn-icon"
           onClick={handleUndo}
-          disabled={!canUndo}
-          title="Undo"
+          disabled={!journal.canUndo}
+          title={journal.undoLabel ? `Undo: ${journal.undoLabel}` : 'Undo'}
         >
           ↶
         </button>
         <button
           className="btn-icon"
           onClick={handleRedo}
-          disabled={!canRedo}
-          title="Redo"
+          disabled={!journal.canRedo}
+          title={journal.redoLabel ? `Redo: ${journal.redoLabel}` : 'Redo'}
         >
           ↷
         </button>
@@ -111,6 +124,8 @@ const Navbar = () => {
           ❓
         </button>
       </div>
+
+      {showPrint && <PrintComposer onClose={() => setShowPrint(false)} />}
     </div>
   );
 };
@@ -1,7 +1,7 @@
 /**
  * Sidebar - Tabbed Menu (Level 2)
  *
- * 4 tabs: Layers, Tools, Data Import, Search
+ * Tabs: Layers, Styles, Tools, Data Import, Search, Views
  */
 
 import React, { useEffect, useState } from 'react';
@@ -11,6 +11,7 @@ import ToolsPanel from '../panels/ToolsPanel';
 import DataPanel from '../panels/DataPanel';
 import SearchPanel from '../panels/SearchPanel';
 import StylePanel from '../panels/StylePanel';
+import MapViewsPanel from '../panels/MapViewsPanel';
 
 const Sidebar = () => {
   const [activeTab, setActiveTab] = useState('layers');
@@ -41,7 +42,8 @@ const Sidebar = () => {
     { id: 'styles', icon: '🎨', label: 'Styles' },
     { id: 'tools', icon: '🛠', label: 'Tools' },
     { id: 'data', icon: '📊', label: 'Import' },
-    { id: 'search', icon: '🔍', label: 'Search' }
+    { id: 'search', icon: '🔍', label: 'Search' },
+    { id: 'views', icon: '🗺️', label: 'Views' }
   ];
 
   return (
@@ -77,6 +79,7 @@ const Sidebar = () => {
           {activeTab === 'tools' && <ToolsPanel />}
           {activeTab === 'data' && <DataPanel />}
           {activeTab === 'search' && <SearchPanel />}
+          {activeTab === 'views' && <MapViewsPanel />}
         </div>
       )}
     </div>
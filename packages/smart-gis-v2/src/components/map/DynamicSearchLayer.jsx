@@ -0,0 +1,91 @@
+/**
+ * DynamicSearchLayer - Saved searches shown as layers
+ *
+ * Each dynamic layer outlines its current results (recomputed by
+ * HybridSearchService when the workspace changes) in its color, above the
+ * vector layers. The outlines are not interactive: clicks reach the
+ * features below.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import StateManager from '../../core/StateManager';
+import GeometryEngine from '../../services/GeometryEngine';
+
+const DYNAMIC_PANE = 'dynamicSearchPane';
+
+// Above overlays (400), below markers (600)
+const DYNAMIC_PANE_Z_INDEX = 450;
+
+const DynamicLayer = ({ layer, features }) => {
+  const data = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: layer.ids
+      .map(id => features.get(id))
+      .filter(Boolean)
+      .map(record => ({
+        type: 'Feature',
+        id: record.id,
+        geometry: GeometryEngine.getRecordGeometry(record),
+        properties: {}
+      }))
+      .filter(feature => feature.geometry)
+  }), [layer.ids, features]);
+
+  const style = {
+    color: layer.definition.color,
+    weight: 3,
+    dashArray: '4, 4',
+    fillOpacity: 0.15,
+    pane: DYNAMIC_PANE,
+    interactive: false
+  };
+
+  return (
+    <GeoJSON
+      key={layer.ids.join(',')}
+      data={data}
+      style={style}
+      pane={DYNAMIC_PANE}
+      pointToLayer={(feature, latlng) => L.circleMarker(latlng, { ...style, radius: 9 })}
+    />
+  );
+};
+
+const DynamicSearchLayer = () => {
+  const map = useMap();
+  const [layers, setLayers] = useState(() => StateManager.getState('layers.dynamic') || []);
+  const [workspace, setWorkspace] = useState(() => StateManager.getState('layers.workspace') || []);
+
+  const [paneReady] = useState(() => {
+    if (!map.getPane(DYNAMIC_PANE)) {
+      map.createPane(DYNAMIC_PANE).style.zIndex = DYNAMIC_PANE_Z_INDEX;
+    }
+    return true;
+  });
+
+  useEffect(() => {
+    const unsubscribeLayers = StateManager.subscribe('layers.dynamic', (newLayers) => setLayers(newLayers || []));
+    const unsubscribeWorkspace = StateManager.subscribe('layers.workspace', (features) => setWorkspace(features || []));
+
+    return () => {
+      unsubscribeLayers();
+      unsubscribeWorkspace();
+    };
+  }, []);
+
+  const features = useMemo(() => new Map(workspace.map(f => [f.id, f])), [workspace]);
+
+  if (!paneReady) return null;
+
+  return (
+    <>
+      {layers.filter(layer => layer.definition.visible && layer.ids.length > 0).map(layer => (
+        <DynamicLayer key={layer.name} layer={layer} features={features} />
+      ))}
+    </>
+  );
+};
+
+export default DynamicSearchLayer;
@@ -0,0 +1,101 @@
+/**
+ * LabelLayer - Feature labels drawn above all layers
+ *
+ * Candidates (layer label configs + rule-based label symbols) are collected
+ * per zoom level, then laid out on every move with collision avoidance
+ * (LabelEngine). Labels are non-interactive div icons in their own pane.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Marker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import StateManager from '../../core/StateManager';
+import LabelEngine from '../../services/LabelEngine';
+
+const LABEL_PANE = 'labelPane';
+
+// Above overlays (400) and markers (600), below tooltips (650) and popups (700)
+const LABEL_PANE_Z_INDEX = 640;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const LabelLayer = ({ features }) => {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  const [viewVersion, setViewVersion] = useState(0);
+  const [styleVersion, setStyleVersion] = useState(0);
+  const [styleRules, setStyleRules] = useState(() => StateManager.getState('layers.styleRules') || {});
+
+  // Dedicated pane so labels stay above every geometry
+  const [paneReady] = useState(() => {
+    if (!map.getPane(LABEL_PANE)) {
+      const pane = map.createPane(LABEL_PANE);
+      pane.style.zIndex = LABEL_PANE_Z_INDEX;
+      pane.style.pointerEvents = 'none';
+    }
+    return true;
+  });
+
+  useMapEvents({
+    moveend: () => setViewVersion(v => v + 1),
+    zoomend: () => setZoom(map.getZoom()),
+    resize: () => setViewVersion(v => v + 1)
+  });
+
+  // Label configs live in the layer styles
+  useEffect(() => {
+    const unsubscribeStyles = StateManager.subscribe('styles.layers', () => {
+      setStyleVersion(v => v + 1);
+    });
+    const unsubscribeRules = StateManager.subscribe('layers.styleRules', (rules) => {
+      setStyleRules(rules || {});
+    });
+
+    return () => {
+      unsubscribeStyles();
+      unsubscribeRules();
+    };
+  }, []);
+
+  // styleVersion: label configs are read from StyleManager
+  const candidates = useMemo(() => {
+    return LabelEngine.collectCandidates(features || [], zoom, styleRules);
+  }, [features, zoom, styleRules, styleVersion]);
+
+  // viewVersion: re-layout after each move
+  const labels = useMemo(() => {
+    if (candidates.length === 0) return [];
+
+    const size = map.getSize();
+    const project = ([lng, lat]) => map.latLngToContainerPoint([lat, lng]);
+
+    return LabelEngine.layout(candidates, project, { width: size.x, height: size.y });
+  }, [candidates, viewVersion, map]);
+
+  if (!paneReady) return null;
+
+  return (
+    <>
+      {labels.map(label => (
+        <Marker
+          key={label.id}
+          position={[label.lngLat[1], label.lngLat[0]]}
+          pane={LABEL_PANE}
+          interactive={false}
+          keyboard={false}
+          icon={L.divIcon({
+            className: 'feature-label',
+            iconSize: [0, 0],
+            html: `<span class="feature-label-text" style="${LabelEngine.getLabelCSS(label)}">${escapeHtml(label.text)}</span>`
+          })}
+        />
+      ))}
+    </>
+  );
+};
+
+export default LabelLayer;
@@ -8,10 +8,13 @@
  * - Global geometry cache (90% reduction in parsing)
  * - Memoized properties parsing
  * - React.memo to prevent unnecessary re-renders
+ *
+ * Rule-based styles draw one Leaflet path per symbol layer (stacked); the
+ * map zoom drives scale ranges. Label symbols are placed by LabelLayer.
  */
 
 import React, { useMemo, useState, useEffect } from 'react';
-import { Marker, Polyline, Polygon, Popup } from 'react-leaflet';
+import { Marker, CircleMarker, Polyline, Polygon, Popup } from 'react-leaflet';
 import geometryCache from '../../utils/geometry/geometryCache';
 import StateManager from '../../core/StateManager';
 import SelectionManager from '../../services/SelectionManager';
@@ -22,6 +25,7 @@ import PopupTemplateEngine from '../../services/PopupTemplateEngine';
 const LayerRenderer = ({ layer }) => {
   const [isSelected, setIsSelected] = useState(false);
   const [styleRules, setStyleRules] = useState({});
+  const [zoom, setZoom] = useState(() => StateManager.getState('map.zoom'));
 
   // OPTIMIZATION: Use global geometry cache (prevents re-parsing on every render)
   const geometry = useMemo(() => {
@@ -57,9 +61,27 @@ const LayerRenderer = ({ layer }) => {
     return unsubscribeRules;
   }, []);
 
+  const rule = styleRules[layer.layer_name];
+  const isRuleBased = rule?.type === 'ruleBased';
+
+  // Only rule-based styles depend on zoom (avoid re-rendering every feature)
+  useEffect(() => {
+    if (!isRuleBased) return undefined;
+
+    setZoom(StateManager.getState('map.zoom'));
+    return StateManager.subscribe('map.zoom', setZoom);
+  }, [isRuleBased]);
+
+  // Rule-based: stacked symbol layers for the current zoom
+  const symbolLayers = useMemo(() => {
+    if (!isRuleBased) return null;
+    return StyleRuleEngine.getSymbolLayers(layer, rule, zoom);
+  }, [layer, rule, isRuleBased, zoom]);
+
   // Get computed style: Check for data-driven rules first, then fallback to StyleManager
   const style = useMemo(() => {
-    const rule = styleRules[layer.layer_name];
+    // Rule-based styles are drawn from symbolLayers
+    if (isRuleBased) return null;
 
     if (rule) {
       // Use data-driven styling
@@ -80,7 +102,7 @@ const LayerRenderer = ({ layer }) => {
 
     // Fallback to StyleManager for basic styling
     return StyleManager.getFeatureStyle(layer, false, isSelected);
-  }, [layer, isSelected, styleRules]);
+  }, [layer, isSelected, rule, isRuleBased]);
 
   // Subscribe to basic style updates
   useEffect(() => {
@@ -126,6 +148,15 @@ const LayerRenderer = ({ layer }) => {
     return null;
   }
 
+  if (symbolLayers) {
+    return renderSymbolLayers(geometry, symbolLayers, {
+      layerId: layer.id,
+      isSelected,
+      handleClick,
+      renderPopup
+    });
+  }
+
   switch (geometry.type) {
     case 'Point':
       return (
@@ -212,6 +243,77 @@ const LayerRenderer = ({ layer }) => {
   }
 };
 
+/**
+ * Split a parsed geometry into single parts: { kind, positions }
+ */
+const getGeometryParts = (geometry) => {
+  switch (geometry.type) {
+    case 'Point':
+      return [{ kind: 'point', positions: geometry.coordinates }];
+    case 'LineString':
+      return [{ kind: 'line', positions: geometry.coordinates }];
+    case 'Polygon':
+      return [{ kind: 'polygon', positions: geometry.coordinates }];
+    case 'MultiPoint':
+      return geometry.coordinates.map(positions => ({ kind: 'point', positions }));
+    case 'MultiLineString':
+      return geometry.coordinates.map(positions => ({ kind: 'line', positions }));
+    case 'MultiPolygon':
+      return geometry.coordinates.map(positions => ({ kind: 'polygon', positions }));
+    default:
+      return [];
+  }
+};
+
+const SELECTION_OUTLINE = { stroke: true, fill: false, color: '#fbbf24', weight: 3, radius: 8 };
+
+/**
+ * Render rule-based symbol layers: one path per symbol and part,
+ * popup attached to the top-most path (labels are drawn by LabelLayer)
+ */
+const renderSymbolLayers = (geometry, symbolLayers, { layerId, isSelected, handleClick, renderPopup }) => {
+  const paths = symbolLayers.filter(s => s.kind === 'path').map(s => s.style);
+
+  if (isSelected) paths.push(SELECTION_OUTLINE);
+
+  // Nothing matched at this zoom
+  if (paths.length === 0) return null;
+
+  const parts = getGeometryParts(geometry);
+
+  return (
+    <>
+      {parts.map((part, partIndex) => paths.map((pathOptions, symbolIndex) => {
+        const key = `${layerId}-${partIndex}-${symbolIndex}`;
+        const children = symbolIndex === paths.length - 1 ? renderPopup() : null;
+        const eventHandlers = { click: handleClick };
+
+        if (part.kind === 'point') {
+          return (
+            <CircleMarker key={key} center={part.positions} pathOptions={pathOptions} radius={pathOptions.radius || 6} eventHandlers={eventHandlers}>
+              {children}
+            </CircleMarker>
+          );
+        }
+
+        if (part.kind === 'line') {
+          return (
+            <Polyline key={key} positions={part.positions} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+              {children}
+            </Polyline>
+          );
+        }
+
+        return (
+          <Polygon key={key} positions={part.positions} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+            {children}
+          </Polygon>
+        );
+      }))}
+    </>
+  );
+};
+
 // OPTIMIZATION: React.memo prevents re-render when props haven't changed
 // Note: Selection state is managed internally via StateManager subscription,
 // so we don't need to include it in the comparison here
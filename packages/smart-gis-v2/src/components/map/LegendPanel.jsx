@@ -6,16 +6,23 @@
  * - Collapsible/expandable
  * - Positioned on map
  * - Auto-generated from style rules
+ * - Rule-based styles shown as a rule tree (rules out of the current zoom
+ *   range are dimmed)
  */
 
 import React, { useEffect, useState } from 'react';
 import StateManager from '../../core/StateManager';
 import StyleRuleEngine from '../../services/StyleRuleEngine';
+import { CLASSIFICATION_METHODS } from '../../services/DataAnalyzer';
+import { hatchToCSS } from '../../utils/hatchPatterns';
 import './LegendPanel.css';
 
 const LegendPanel = () => {
   const [styleRules, setStyleRules] = useState({});
   const [collapsed, setCollapsed] = useState(false);
+  const [zoom, setZoom] = useState(() => StateManager.getState('map.zoom'));
+
+  useEffect(() => StateManager.subscribe('map.zoom', setZoom), []);
 
   useEffect(() => {
     // Subscribe to style rules changes
@@ -49,7 +56,7 @@ const LegendPanel = () => {
       {!collapsed && (
         <div className="legend-body">
           {Object.entries(styleRules).map(([layerName, rule]) => (
-            <LayerLegend key={layerName} layerName={layerName} rule={rule} />
+            <LayerLegend key={layerName} layerName={layerName} rule={rule} zoom={zoom} />
           ))}
         </div>
       )}
@@ -60,16 +67,34 @@ const LegendPanel = () => {
 /**
  * LayerLegend - Legend for a single layer
  */
-const LayerLegend = ({ layerName, rule }) => {
+const LayerLegend = ({ layerName, rule, zoom }) => {
   const legendItems = StyleRuleEngine.generateLegendItems(rule);
 
+  if (rule.type === 'ruleBased') {
+    return (
+      <div className="layer-legend">
+        <h5 className="legend-layer-name">{layerName}</h5>
+        <div className="legend-field-info">
+          <span className="legend-type-badge">{getLegendTypeLabel(rule.type)}</span>
+        </div>
+        <RuleLegendTree items={legendItems} zoom={zoom} />
+      </div>
+    );
+  }
+
   return (
     <div className="layer-legend">
       <h5 className="legend-layer-name">{layerName}</h5>
       <div className="legend-field-info">
         <span className="legend-type-badge">{getLegendTypeLabel(rule.type)}</span>
-        <span className="legend-field-name">{rule.field}</span>
+        <span className="legend-field-name">{rule.field || rule.expression}</span>
       </div>
+      {(rule.type === 'graduated' || rule.type === 'expression') && rule.method && (
+        <div className="legend-classification">
+          {getMethodLabel(rule.method)}
+          {typeof rule.gvf === 'number' && ` · GVF ${(rule.gvf * 100).toFixed(0)} %`}
+        </div>
+      )}
       <div className="legend-items">
         {legendItems.map((item, index) => (
           <LegendItem key={index} item={item} ruleType={rule.type} />
@@ -108,6 +133,64 @@ const LegendItem = ({ item, ruleType }) => {
   );
 };
 
+/**
+ * RuleLegendTree - Nested legend of a rule-based style
+ */
+const RuleLegendTree = ({ items, zoom }) => (
+  <div className="legend-rule-tree">
+    {items.map(item => {
+      const inScale = StyleRuleEngine.isRuleInScale(item, zoom);
+      const hasZoomRange = (item.minZoom !== '' && item.minZoom != null) || (item.maxZoom !== '' && item.maxZoom != null);
+
+      return (
+        <div key={item.ruleId} className={`legend-rule ${inScale ? '' : 'out-of-scale'}`}>
+          <div className="legend-item">
+            {item.symbols.length > 0 && <SymbolSwatch symbols={item.symbols} />}
+            <span className="legend-label">{item.label}</span>
+            {hasZoomRange && (
+              <span className="legend-zoom-range">
+                z{item.minZoom !== '' && item.minZoom != null ? item.minZoom : 0}–{item.maxZoom !== '' && item.maxZoom != null ? item.maxZoom : '∞'}
+              </span>
+            )}
+          </div>
+          {item.children.length > 0 && <RuleLegendTree items={item.children} zoom={zoom} />}
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * SymbolSwatch - Stacked symbol layers preview
+ */
+const SymbolSwatch = ({ symbols }) => (
+  <div className="legend-symbol legend-square legend-stack">
+    {symbols.map((symbol, index) => (
+      <div key={index} className="legend-stack-layer" style={getSwatchStyle(symbol)} />
+    ))}
+  </div>
+);
+
+const getSwatchStyle = (symbol) => {
+  switch (symbol.type) {
+    case 'fill':
+      return { backgroundColor: symbol.color, opacity: symbol.opacity };
+    case 'hatch':
+      return { backgroundImage: hatchToCSS({ ...symbol, spacing: Math.min(symbol.spacing, 6) }) };
+    case 'line':
+      return { border: `${Math.min(symbol.width, 4)}px ${symbol.dashArray ? 'dashed' : 'solid'} ${symbol.color}`, opacity: symbol.opacity };
+    case 'marker':
+      return {
+        inset: `${Math.max(0, 10 - Math.min(symbol.size, 9))}px`,
+        borderRadius: '50%',
+        backgroundColor: symbol.color,
+        border: `${symbol.strokeWidth}px solid ${symbol.strokeColor}`
+      };
+    default:
+      return {};
+  }
+};
+
 /**
  * Get human-readable label for rule type
  */
@@ -116,9 +199,18 @@ const getLegendTypeLabel = (type) => {
     categorized: 'Catégorisé',
     graduated: 'Gradué',
     proportional: 'Proportionnel',
-    expression: 'Expression'
+    expression: 'Expression',
+    ruleBased: 'Règles'
   };
   return labels[type] || type;
 };
 
+/**
+ * Get human-readable label for classification method
+ */
+const getMethodLabel = (method) => {
+  const found = CLASSIFICATION_METHODS.find(m => m.id === method);
+  return found ? found.label : method;
+};
+
 export default LegendPanel;
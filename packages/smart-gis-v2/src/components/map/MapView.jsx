@@ -7,11 +7,16 @@
  */
 
 import React, { useEffect, useState, useRef, useMemo, useCallback } from 'react';
-import { MapContainer, TileLayer, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
 import MarkerClusterGroup from 'react-leaflet-cluster';
 import StateManager from '../../core/StateManager';
 import BasemapProvider from '../../services/BasemapProvider';
 import LayerRenderer from './LayerRenderer';
+import RasterLayers from './RasterLayers';
+import LabelLayer from './LabelLayer';
+import ValidationLayer from './ValidationLayer';
+import DynamicSearchLayer from './DynamicSearchLayer';
+import SearchZoneLayer from './SearchZoneLayer';
 import LegendPanel from './LegendPanel';
 import { filterVisibleLayers, ProgressiveLoader } from '../../utils/viewportManager';
 import 'leaflet/dist/leaflet.css';
@@ -19,9 +24,61 @@ import 'leaflet/dist/leaflet.css';
 // OPTIMIZATION: Progressive loader instance (shared)
 const progressiveLoader = new ProgressiveLoader(100, 50);
 
+/**
+ * MapEvents - Forwards map move/zoom events (react-leaflet v4 has no
+ * onMoveEnd/onZoomEnd props on MapContainer)
+ */
+const MapEvents = ({ onMove }) => {
+  useMapEvents({
+    moveend: onMove,
+    zoomend: onMove
+  });
+  return null;
+};
+
+/**
+ * MapSync - Moves the map when 'map.center' / 'map.zoom' are set in the
+ * state (zoom to layer, saved views...): MapContainer only reads its center
+ * and zoom when it is created
+ */
+const MapSync = () => {
+  const map = useMap();
+
+  useEffect(() => {
+    let timer = null;
+
+    // Center and zoom are usually set one after the other: one setView for both
+    const sync = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const center = StateManager.getState('map.center');
+        const zoom = StateManager.getState('map.zoom') ?? map.getZoom();
+        if (!center) return;
+
+        // Updates coming from the map itself (handleMapMove)
+        const current = map.getCenter();
+        if (map.getZoom() === zoom && Math.abs(current.lat - center[0]) < 1e-6 && Math.abs(current.lng - center[1]) < 1e-6) return;
+
+        map.setView(center, zoom);
+      }, 0);
+    };
+
+    const unsubscribeCenter = StateManager.subscribe('map.center', sync);
+    const unsubscribeZoom = StateManager.subscribe('map.zoom', sync);
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribeCenter();
+      unsubscribeZoom();
+    };
+  }, [map]);
+
+  return null;
+};
+
 const MapView = () => {
-  const [center, setCenter] = useState([48.8566, 2.3522]);
-  const [zoom, setZoom] = useState(6);
+  const [center, setCenter] = useState(() => StateManager.getState('map.center') || [48.8566, 2.3522]);
+  const [zoom, setZoom] = useState(() => StateManager.getState('map.zoom') ?? 6);
   const [allLayers, setAllLayers] = useState([]);
   const [displayedLayers, setDisplayedLayers] = useState([]);
   const [mapBounds, setMapBounds] = useState(null);
@@ -161,10 +218,11 @@ const MapView = () => {
         center={center}
         zoom={zoom}
         style={{ height: '100%', width: '100%' }}
-        whenCreated={map => mapRef.current = map}
-        onMoveEnd={handleMapMove}
-        onZoomEnd={handleMapMove}
+        ref={mapRef}
       >
+        <MapEvents onMove={handleMapMove} />
+        <MapSync />
+
         {/* Dynamic base map tile layer */}
         <TileLayer
           key={basemap}
@@ -174,6 +232,9 @@ const MapView = () => {
           subdomains={basemapProps.subdomains}
         />
 
+        {/* WMS / WMTS overlays (above the basemap, below vector layers) */}
+        <RasterLayers />
+
         {/* Non-point layers (no clustering) */}
         {otherLayers.map(layer => (
           <LayerRenderer key={layer.id} layer={layer} />
@@ -191,6 +252,16 @@ const MapView = () => {
             ))}
           </MarkerClusterGroup>
         )}
+
+        {/* Saved searches (dynamic layers) and the search zone */}
+        <DynamicSearchLayer />
+        <SearchZoneLayer />
+
+        {/* Topology validation issues */}
+        <ValidationLayer />
+
+        {/* Feature labels (collision-free, above all layers) */}
+        <LabelLayer features={displayedLayers} />
       </MapContainer>
 
       {/* Legend panel (overlay) */}
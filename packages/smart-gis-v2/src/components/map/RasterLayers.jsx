@@ -0,0 +1,166 @@
+/**
+ * RasterLayers - WMS / WMTS overlays on the map
+ *
+ * Drawn in their own pane, above the basemap and below the vector layers,
+ * in the order and with the opacity set in LayersPanel. A click on the map
+ * (outside vector features) queries the queryable overlays with
+ * GetFeatureInfo and shows the results in a popup.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { TileLayer, WMSTileLayer, Popup, useMap, useMapEvents } from 'react-leaflet';
+import StateManager from '../../core/StateManager';
+import RasterLayerService from '../../services/RasterLayerService';
+
+const RASTER_PANE = 'rasterPane';
+
+// Above the basemap (tilePane 200), below vector overlays (400)
+const RASTER_PANE_Z_INDEX = 250;
+
+const overlayBounds = (bbox) => (
+  bbox && bbox.every(Number.isFinite) ? [[bbox[1], bbox[0]], [bbox[3], bbox[2]]] : undefined
+);
+
+const RasterOverlay = ({ overlay }) => {
+  const wmsParams = useMemo(() => ({
+    layers: overlay.layer,
+    styles: overlay.style || '',
+    format: overlay.format,
+    transparent: overlay.transparent,
+    version: overlay.version,
+    ...(overlay.time ? { time: overlay.time } : {})
+  }), [overlay.layer, overlay.style, overlay.format, overlay.transparent, overlay.version, overlay.time]);
+
+  const bounds = useMemo(() => overlayBounds(overlay.bbox), [overlay.bbox]);
+
+  if (overlay.type === 'wms') {
+    return (
+      <WMSTileLayer
+        url={overlay.url}
+        params={wmsParams}
+        opacity={overlay.opacity}
+        zIndex={overlay.order}
+        bounds={bounds}
+        pane={RASTER_PANE}
+      />
+    );
+  }
+
+  return (
+    <TileLayer
+      url={RasterLayerService.getTileUrl(overlay)}
+      opacity={overlay.opacity}
+      zIndex={overlay.order}
+      bounds={bounds}
+      pane={RASTER_PANE}
+      {...RasterLayerService.getWMTSOptions(overlay)}
+    />
+  );
+};
+
+const FeatureInfoResult = ({ result }) => (
+  <div className="raster-info-result">
+    <p className="layer-name">{result.name}</p>
+
+    {result.error && <p className="raster-info-error">⚠️ {result.error}</p>}
+
+    {result.features?.map((feature, index) => (
+      <div key={feature.id ?? index} className="properties-section">
+        {Object.entries(feature.properties).map(([key, value]) => (
+          <div key={key} className="property">
+            <span className="key">{key}:</span>
+            <span className="value">{value === null ? '' : String(value)}</span>
+          </div>
+        ))}
+      </div>
+    ))}
+
+    {result.text && <pre className="raster-info-text">{result.text}</pre>}
+
+    {result.html && (
+      <iframe className="raster-info-html" title={result.name} sandbox="" srcDoc={result.html} />
+    )}
+  </div>
+);
+
+const RasterLayers = () => {
+  const map = useMap();
+  const [overlays, setOverlays] = useState(() => RasterLayerService.getSortedOverlays());
+  const [featureInfo, setFeatureInfo] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const [paneReady] = useState(() => {
+    if (!map.getPane(RASTER_PANE)) {
+      map.createPane(RASTER_PANE).style.zIndex = RASTER_PANE_Z_INDEX;
+    }
+    return true;
+  });
+
+  useEffect(() => {
+    return StateManager.subscribe('layers.raster', () => {
+      setOverlays(RasterLayerService.getSortedOverlays());
+    });
+  }, []);
+
+  useMapEvents({
+    click: async (e) => {
+      // Clicks on vector features open their own popup
+      if (e.originalEvent?.target?.closest?.('.leaflet-interactive')) return;
+      if (!overlays.some(o => o.visible && o.queryable)) return;
+
+      const crs = map.options.crs;
+      const bounds = map.getBounds();
+      const southWest = crs.project(bounds.getSouthWest());
+      const northEast = crs.project(bounds.getNorthEast());
+      const size = map.getSize();
+
+      const id = ++requestIdRef.current;
+      setFeatureInfo({ id, latlng: e.latlng, loading: true, results: [] });
+
+      const results = await RasterLayerService.getFeatureInfo({
+        latlng: e.latlng,
+        zoom: map.getZoom(),
+        bbox: [southWest.x, southWest.y, northEast.x, northEast.y],
+        width: size.x,
+        height: size.y,
+        x: e.containerPoint.x,
+        y: e.containerPoint.y
+      });
+
+      // Ignore the answer of a previous click
+      setFeatureInfo(current => (current?.id === id ? { ...current, loading: false, results } : current));
+    }
+  });
+
+  if (!paneReady) return null;
+
+  return (
+    <>
+      {overlays.filter(overlay => overlay.visible).map(overlay => (
+        <RasterOverlay key={`${overlay.name}-${overlay.type}-${overlay.url}`} overlay={overlay} />
+      ))}
+
+      {featureInfo && (featureInfo.loading || featureInfo.results.length > 0) && (
+        <Popup
+          key={featureInfo.id}
+          position={featureInfo.latlng}
+          maxWidth={360}
+          eventHandlers={{
+            remove: () => setFeatureInfo(current => (current?.id === featureInfo.id ? null : current))
+          }}
+        >
+          <div className="popup-detailed raster-info">
+            <h4>🗺️ Informations raster</h4>
+            {featureInfo.loading
+              ? <p className="raster-info-loading">Interrogation des couches...</p>
+              : featureInfo.results.map(result => (
+                <FeatureInfoResult key={result.name} result={result} />
+              ))}
+          </div>
+        </Popup>
+      )}
+    </>
+  );
+};
+
+export default RasterLayers;
@@ -0,0 +1,81 @@
+/**
+ * SearchZoneLayer - Search zone of SearchPanel on the map
+ *
+ * 'search.drawRequest' starts drawing a polygon (or placing a point) with
+ * Leaflet-Geoman; the drawn shape is published as WKT in 'search.zone' and
+ * shown as a dashed outline until the next zone.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import '@geoman-io/leaflet-geoman-free';
+import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
+import StateManager from '../../core/StateManager';
+import { geoJSONToWKT, wktToGeoJSON } from '../../utils/geometryConverters';
+
+const ZONE_STYLE = {
+  color: '#8b5cf6',
+  weight: 2,
+  dashArray: '6, 6',
+  fillOpacity: 0.05,
+  interactive: false
+};
+
+const SearchZoneLayer = () => {
+  const map = useMap();
+  const [zone, setZone] = useState(() => StateManager.getState('search.zone'));
+
+  useEffect(() => {
+    // Param filled by the shape being drawn
+    let target = null;
+
+    const handleCreate = (e) => {
+      const wkt = geoJSONToWKT(e.layer.toGeoJSON().geometry);
+      // The zone is drawn by this component, not kept as a Leaflet layer
+      map.removeLayer(e.layer);
+      if (wkt && target) {
+        StateManager.setState('search.zone', { wkt, target }, 'Search zone drawn');
+      }
+      target = null;
+    };
+
+    const unsubscribeZone = StateManager.subscribe('search.zone', setZone);
+
+    const unsubscribeDraw = StateManager.subscribe('search.drawRequest', (request) => {
+      if (!request || !map.pm) return;
+
+      target = request.target;
+      map.pm.disableDraw();
+      map.pm.enableDraw(request.shape, {
+        snappable: false,
+        continueDrawing: false,
+        pathOptions: ZONE_STYLE
+      });
+    });
+
+    map.on('pm:create', handleCreate);
+
+    return () => {
+      unsubscribeZone();
+      unsubscribeDraw();
+      map.off('pm:create', handleCreate);
+      map.pm?.disableDraw();
+    };
+  }, [map]);
+
+  const geometry = useMemo(() => (zone?.wkt ? wktToGeoJSON(zone.wkt) : null), [zone]);
+
+  if (!geometry) return null;
+
+  return (
+    <GeoJSON
+      key={zone.wkt}
+      data={geometry}
+      style={ZONE_STYLE}
+      pointToLayer={(feature, latlng) => L.circleMarker(latlng, { ...ZONE_STYLE, radius: 8 })}
+    />
+  );
+};
+
+export default SearchZoneLayer;
@@ -0,0 +1,96 @@
+/**
+ * ValidationLayer - Topology issues on the map
+ *
+ * One marker per issue at its exact location (crossing point, duplicate
+ * vertex, spike...), red for errors and orange for warnings.
+ * 'validation.focus' centers the map on an issue and highlights it.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import StateManager from '../../core/StateManager';
+
+const VALIDATION_PANE = 'validationPane';
+
+// Above overlays (400) and markers (600), below labels (640)
+const VALIDATION_PANE_Z_INDEX = 620;
+
+const FOCUS_MIN_ZOOM = 17;
+
+const SEVERITY_COLORS = {
+  error: '#dc2626',
+  warning: '#f59e0b'
+};
+
+const ValidationLayer = () => {
+  const map = useMap();
+  const [issues, setIssues] = useState(() => StateManager.getState('validation.issues') || []);
+  const [focus, setFocus] = useState(null);
+
+  const [paneReady] = useState(() => {
+    if (!map.getPane(VALIDATION_PANE)) {
+      map.createPane(VALIDATION_PANE).style.zIndex = VALIDATION_PANE_Z_INDEX;
+    }
+    return true;
+  });
+
+  useEffect(() => {
+    const unsubscribeIssues = StateManager.subscribe('validation.issues', (newIssues) => {
+      setIssues(newIssues || []);
+      setFocus(null);
+    });
+
+    const unsubscribeFocus = StateManager.subscribe('validation.focus', (issue) => {
+      setFocus(issue);
+      if (issue?.location) {
+        const [lon, lat] = issue.location;
+        map.setView([lat, lon], Math.max(map.getZoom(), FOCUS_MIN_ZOOM));
+      }
+    });
+
+    return () => {
+      unsubscribeIssues();
+      unsubscribeFocus();
+    };
+  }, [map]);
+
+  if (!paneReady) return null;
+
+  const isFocused = (issue) => focus &&
+    focus.feature_id === issue.feature_id &&
+    focus.type === issue.type &&
+    focus.location?.[0] === issue.location[0] &&
+    focus.location?.[1] === issue.location[1];
+
+  return (
+    <>
+      {issues.filter(issue => issue.location).map((issue, index) => {
+        const focused = isFocused(issue);
+        const color = SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS.error;
+
+        return (
+          <CircleMarker
+            key={`${issue.feature_id}-${issue.type}-${index}`}
+            center={[issue.location[1], issue.location[0]]}
+            radius={focused ? 10 : 6}
+            pane={VALIDATION_PANE}
+            pathOptions={{
+              color: focused ? '#111827' : color,
+              weight: focused ? 3 : 2,
+              fillColor: color,
+              fillOpacity: 0.8
+            }}
+          >
+            <Tooltip direction="top" offset={[0, -6]}>
+              <strong>{issue.label}</strong>
+              <div>{issue.message}</div>
+              {issue.feature_name && <div>{issue.layer_name} · {issue.feature_name}</div>}
+            </Tooltip>
+          </CircleMarker>
+        );
+      })}
+    </>
+  );
+};
+
+export default ValidationLayer;
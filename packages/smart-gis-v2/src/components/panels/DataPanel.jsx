@@ -3,22 +3,45 @@
  *
  * Fonctionnalités:
  * - Sélection de la méthode d'import
+ * - Services WFS / OGC API enregistrés (une méthode d'import par service)
+ * - Requêtes Overpass composées et enregistrées (une méthode d'import par requête)
  * - Lanceur de l'ImportWizard
  * - Historique des imports récents
+ * - Table attributaire des couches (vue "Table")
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { getAllImportMethods } from '../../config/importMethods';
 import ImportWizard from '../import/ImportWizard';
+import OGCSourceManager from '../import/OGCSourceManager';
+import OverpassQueryBuilder from '../import/OverpassQueryBuilder';
+import AttributeTable from '../data/AttributeTable';
 import StateManager from '../../core/StateManager';
 import './DataPanel.css';
 
+const VIEWS = [
+  { id: 'import', icon: '📥', label: 'Import' },
+  { id: 'table', icon: '📋', label: 'Table attributaire' }
+];
+
 const DataPanel = () => {
+  const [view, setView] = useState('import');
   const [selectedMethod, setSelectedMethod] = useState(null);
   const [recentImports, setRecentImports] = useState([]);
   const [showWizard, setShowWizard] = useState(false);
+  const [catalogs, setCatalogs] = useState(() => StateManager.getState('data.catalogs') || []);
+  const [overpassQueries, setOverpassQueries] = useState(() => StateManager.getState('data.overpassQueries') || []);
+
+  // Registered sources and saved Overpass queries add their own import methods
+  const importMethods = useMemo(() => getAllImportMethods(), [catalogs, overpassQueries]);
+
+  useEffect(() => {
+    return StateManager.subscribe('data.catalogs', (list) => setCatalogs(list || []));
+  }, []);
 
-  const importMethods = getAllImportMethods();
+  useEffect(() => {
+    return StateManager.subscribe('data.overpassQueries', (list) => setOverpassQueries(list || []));
+  }, []);
 
   useEffect(() => {
     // Subscribe to import history
@@ -33,12 +56,6 @@ const DataPanel = () => {
   }, []);
 
   const handleMethodClick = (method) => {
-    if (method.id === 'shapefile') {
-      // Open instructions in new tab or modal
-      alert(method.steps[0].content);
-      return;
-    }
-
     setSelectedMethod(method);
     setShowWizard(true);
   };
@@ -56,7 +73,7 @@ const DataPanel = () => {
         method: selectedMethod.id,
         methodLabel: selectedMethod.label,
         timestamp: new Date().toISOString(),
-        featureCount: importData.features.length,
+        featureCount: importData.featureCount ?? importData.features.length,
         layerName: importData.config.layer_name
       },
       ...recentImports.slice(0, 9) // Keep last 10
@@ -80,18 +97,47 @@ const DataPanel = () => {
     return date.toLocaleDateString('fr-FR');
   };
 
+  const viewTabs = (
+    <div className="data-views">
+      {VIEWS.map(v => (
+        <button
+          key={v.id}
+          className={`data-view-tab ${view === v.id ? 'active' : ''}`}
+          onClick={() => setView(v.id)}
+        >
+          <span>{v.icon}</span> {v.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (view === 'table') {
+    return (
+      <div className="data-panel">
+        {viewTabs}
+        <AttributeTable />
+      </div>
+    );
+  }
+
   return (
     <div className="data-panel">
+      {viewTabs}
+
       <div className="data-header">
         <h3>Importer des données</h3>
         <p className="subtitle">Choisissez une méthode d'import</p>
       </div>
 
+      <OGCSourceManager />
+
+      <OverpassQueryBuilder onImport={handleMethodClick} />
+
       <div className="import-methods">
         {importMethods.map(method => (
           <div
             key={method.id}
-            className={`import-method-card ${method.id === 'shapefile' ? 'info-only' : ''}`}
+            className="import-method-card"
             onClick={() => handleMethodClick(method)}
             style={{ borderLeftColor: method.color }}
           >
@@ -7,22 +7,47 @@
  * - Suppression de layers
  * - Zoom sur layer
  * - Réorganisation z-index
+ * - Surcouches WMS / WMTS : visibilité, opacité, ordre, catalogue
+ * - Couches dynamiques (recherches enregistrées) : visibilité, sélection, actualisation
  */
 
 import React, { useState, useEffect } from 'react';
 import StateManager from '../../core/StateManager';
+import ActionJournal from '../../core/ActionJournal';
 import GristAPI from '../../core/GristAPI';
 import { calculateBounds } from '../../utils/geometry/wktParser';
+import ProjectionService from '../../services/ProjectionService';
+import RasterLayerService, { RASTER_TYPES } from '../../services/RasterLayerService';
+import HybridSearchService from '../../services/HybridSearchService';
 import DataDrivenStyleEditor from '../styling/DataDrivenStyleEditor';
 import AttributeQueryBuilder from '../query/AttributeQueryBuilder';
+import RasterCatalog from '../raster/RasterCatalog';
 import './LayersPanel.css';
 
 const LayersPanel = () => {
   const [layers, setLayers] = useState([]);
   const [selectedLayerId, setSelectedLayerId] = useState(null);
   const [groupedLayers, setGroupedLayers] = useState({});
-  const [activeEditor, setActiveEditor] = useState(null); // 'style' or 'query'
+  const [activeEditor, setActiveEditor] = useState(null); // 'style', 'query' or 'raster'
   const [editorLayerId, setEditorLayerId] = useState(null);
+  const [sourceCrs, setSourceCrs] = useState(() => StateManager.getState('layers.sourceCrs') || {});
+  const [rasters, setRasters] = useState(() => RasterLayerService.getSortedOverlays());
+  const [dynamicLayers, setDynamicLayers] = useState(() => HybridSearchService.getDynamicLayers());
+
+  // Source CRS of imported layers (metadata)
+  useEffect(() => {
+    return StateManager.subscribe('layers.sourceCrs', (crs) => setSourceCrs(crs || {}));
+  }, []);
+
+  // Surcouches WMS / WMTS
+  useEffect(() => {
+    return StateManager.subscribe('layers.raster', () => setRasters(RasterLayerService.getSortedOverlays()));
+  }, []);
+
+  // Couches dynamiques (recherches enregistrées)
+  useEffect(() => {
+    return StateManager.subscribe('layers.dynamic', (newLayers) => setDynamicLayers(newLayers || []));
+  }, []);
 
   useEffect(() => {
     const unsubscribe = StateManager.subscribe('layers.workspace', (workspaceLayers) => {
@@ -71,7 +96,7 @@ const LayersPanel = () => {
 
     try {
       const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
-      await GristAPI.updateRecords(currentTable, updates);
+      await ActionJournal.group(`Visibilité: ${layerName}`, () => GristAPI.updateRecords(currentTable, updates));
 
       // Mettre à jour état local
       const updatedLayers = layers.map(l =>
@@ -93,7 +118,7 @@ const LayersPanel = () => {
 
     try {
       const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
-      await GristAPI.deleteRecords(currentTable, featureIds);
+      await ActionJournal.group(`Suppression de la couche ${layerName}`, () => GristAPI.deleteRecords(currentTable, featureIds));
 
       // Mettre à jour état local
       const updatedLayers = layers.filter(l => !featureIds.includes(l.id));
@@ -177,6 +202,32 @@ const LayersPanel = () => {
     }
   };
 
+  const runRasterAction = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error updating raster overlay:', error);
+    }
+  };
+
+  const deleteRaster = (name) => {
+    if (!confirm(`Retirer la couche raster "${name}" ?`)) return;
+    runRasterAction(() => RasterLayerService.removeOverlay(name));
+  };
+
+  const runDynamicAction = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error updating dynamic layer:', error);
+    }
+  };
+
+  const deleteDynamicLayer = (name) => {
+    if (!confirm(`Supprimer la couche dynamique "${name}" ? (les entités ne sont pas supprimées)`)) return;
+    runDynamicAction(() => HybridSearchService.removeDynamicLayer(name));
+  };
+
   const closeEditor = () => {
     setActiveEditor(null);
     setEditorLayerId(null);
@@ -184,6 +235,9 @@ const LayersPanel = () => {
 
   const layersList = Object.values(groupedLayers).sort((a, b) => b.zIndex - a.zIndex);
 
+  // Rasters: top of the drawing order first
+  const rasterList = [...rasters].reverse();
+
   return (
     <div className="layers-panel">
       <div className="layers-header">
@@ -234,6 +288,14 @@ const LayersPanel = () => {
                         {type} {count > 1 ? `(${count})` : ''}
                       </span>
                     ))}
+                    {sourceCrs[layerGroup.name] && (
+                      <span
+                        className="badge badge-crs"
+                        title={`Système source : ${ProjectionService.getLabel(sourceCrs[layerGroup.name])} (reprojeté en WGS84)`}
+                      >
+                        {sourceCrs[layerGroup.name]}
+                      </span>
+                    )}
                   </div>
                 </div>
 
@@ -273,6 +335,140 @@ const LayersPanel = () => {
         </div>
       )}
 
+      <div className="raster-section">
+        <div className="raster-section-header">
+          <h4>Rasters ({rasterList.length})</h4>
+          <button className="btn-add-raster" onClick={() => setActiveEditor('raster')}>
+            + WMS / WMTS
+          </button>
+        </div>
+
+        {rasterList.map((overlay, index) => (
+          <div key={overlay.name} className={`layer-item raster-item ${!overlay.visible ? 'hidden' : ''}`}>
+            <div className="layer-controls">
+              <button
+                className="btn-visibility"
+                onClick={() => runRasterAction(() => RasterLayerService.updateOverlay(overlay.name, { visible: !overlay.visible }))}
+                title={overlay.visible ? 'Masquer' : 'Afficher'}
+              >
+                {overlay.visible ? '👁️' : '👁️‍🗨️'}
+              </button>
+            </div>
+
+            <div className="layer-info">
+              <div className="layer-name" title={`${overlay.serviceTitle || overlay.url} - ${overlay.layer}`}>
+                {overlay.name}
+              </div>
+              <div className="layer-meta">
+                <span className="badge badge-raster">{RASTER_TYPES[overlay.type]}</span>
+                {overlay.time && <span className="badge badge-type">⏱ {overlay.time}</span>}
+                {overlay.queryable && <span className="badge badge-type" title="Cliquer sur la carte pour interroger">ℹ️</span>}
+              </div>
+              <input
+                type="range"
+                className="raster-opacity"
+                min="0"
+                max="1"
+                step="0.05"
+                value={overlay.opacity}
+                title={`Opacité : ${Math.round(overlay.opacity * 100)}%`}
+                onChange={(e) => runRasterAction(() => RasterLayerService.updateOverlay(
+                  overlay.name,
+                  { opacity: parseFloat(e.target.value) },
+                  { debounced: true }
+                ))}
+              />
+            </div>
+
+            <div className="layer-actions">
+              <button
+                onClick={() => runRasterAction(() => RasterLayerService.moveOverlay(overlay.name, 1))}
+                title="Monter"
+                className="btn-action"
+                disabled={index === 0}
+              >
+                ⬆️
+              </button>
+              <button
+                onClick={() => runRasterAction(() => RasterLayerService.moveOverlay(overlay.name, -1))}
+                title="Descendre"
+                className="btn-action"
+                disabled={index === rasterList.length - 1}
+              >
+                ⬇️
+              </button>
+              <button
+                onClick={() => deleteRaster(overlay.name)}
+                title="Retirer la couche"
+                className="btn-action btn-delete"
+              >
+                🗑️
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {dynamicLayers.length > 0 && (
+        <div className="dynamic-section">
+          <div className="raster-section-header">
+            <h4>Couches dynamiques ({dynamicLayers.length})</h4>
+          </div>
+
+          {dynamicLayers.map(layer => (
+            <div
+              key={layer.name}
+              className={`layer-item dynamic-item ${!layer.definition.visible ? 'hidden' : ''}`}
+              style={{ borderLeftColor: layer.definition.color }}
+            >
+              <div className="layer-controls">
+                <button
+                  className="btn-visibility"
+                  onClick={() => runDynamicAction(() => HybridSearchService.updateDynamicLayer(layer.name, { visible: !layer.definition.visible }))}
+                  title={layer.definition.visible ? 'Masquer' : 'Afficher'}
+                >
+                  {layer.definition.visible ? '👁️' : '👁️‍🗨️'}
+                </button>
+              </div>
+
+              <div className="layer-info">
+                <div className="layer-name">{layer.name}</div>
+                <div className="layer-meta">
+                  <span className="badge badge-count">{layer.ids.length} résultat{layer.ids.length > 1 ? 's' : ''}</span>
+                  <span className="badge badge-type">{layer.definition.mode}</span>
+                  {layer.error && <span className="badge badge-error" title={layer.error}>⚠️</span>}
+                </div>
+              </div>
+
+              <div className="layer-actions">
+                <button
+                  onClick={() => StateManager.setState('selection.ids', layer.ids, `Select dynamic layer: ${layer.name}`)}
+                  title="Sélectionner les résultats"
+                  className="btn-action"
+                  disabled={layer.ids.length === 0}
+                >
+                  ✓
+                </button>
+                <button
+                  onClick={() => runDynamicAction(() => HybridSearchService.refreshDynamicLayers())}
+                  title="Actualiser"
+                  className="btn-action"
+                >
+                  🔄
+                </button>
+                <button
+                  onClick={() => deleteDynamicLayer(layer.name)}
+                  title="Supprimer la couche dynamique"
+                  className="btn-action btn-delete"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {layers.length > 0 && (
         <div className="layers-footer">
           <div className="layers-stats">
@@ -282,9 +478,12 @@ const LayersPanel = () => {
       )}
 
       {/* Editor modals */}
-      {activeEditor && editorLayerId && (
+      {activeEditor && (editorLayerId || activeEditor === 'raster') && (
         <div className="editor-modal-overlay" onClick={closeEditor}>
           <div className="editor-modal-content" onClick={(e) => e.stopPropagation()}>
+            {activeEditor === 'raster' && (
+              <RasterCatalog onClose={closeEditor} />
+            )}
             {activeEditor === 'style' && (
               <DataDrivenStyleEditor layerId={editorLayerId} onClose={closeEditor} />
             )}
@@ -0,0 +1,244 @@
+/**
+ * MapViewsPanel - Vues enregistrées (instantanés du projet)
+ *
+ * Enregistre l'état courant (fond de carte, emprise, visibilité et ordre des
+ * couches, styles, pop-ups, rasters) sous un nom, rouvre une vue, la compare
+ * à l'état courant, la lie à la ligne Grist sélectionnée (la vue s'ouvre
+ * quand le curseur revient sur cette ligne) ou en fait la vue de démarrage.
+ */
+
+import React, { useEffect, useState } from 'react';
+import StateManager from '../../core/StateManager';
+import MapViewService from '../../services/MapViewService';
+import './MapViewsPanel.css';
+
+const SECTION_LABELS = {
+  map: 'Carte',
+  layers: 'Couche',
+  styleRules: 'Style avancé',
+  layerStyles: 'Style de base',
+  popups: 'Pop-ups',
+  popupTemplates: 'Pop-up de couche',
+  rasters: 'Raster'
+};
+
+const CHANGE_LABELS = {
+  added: 'ajouté depuis',
+  removed: 'supprimé depuis',
+  changed: 'modifié'
+};
+
+const MAP_KEY_LABELS = {
+  center: 'Centre',
+  zoom: 'Zoom',
+  basemap: 'Fond de carte',
+  hoverEffect: 'Effet de survol',
+  template: 'Modèle par défaut'
+};
+
+/**
+ * Short text of a changed value (layers: visibility and order)
+ */
+const describe = (section, value) => {
+  if (value === undefined) return '—';
+  if (section === 'layers') return `${value.visible ? 'visible' : 'masquée'}, ordre ${value.zIndex}`;
+  if (section === 'rasters') return `${value.visible ? 'visible' : 'masqué'}, opacité ${Math.round((value.opacity ?? 1) * 100)} %`;
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'number' ? v.toFixed(4) : v)).join(', ');
+  if (typeof value === 'object' && value !== null) return value.type || '…';
+  return String(value);
+};
+
+const MapViewsPanel = () => {
+  const [views, setViews] = useState(() => StateManager.getState('views.list') || []);
+  const [activeId, setActiveId] = useState(() => StateManager.getState('views.active'));
+  const [cursor, setCursor] = useState(() => StateManager.getState('views.cursor'));
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const unsubscribeList = StateManager.subscribe('views.list', (list) => setViews(list || []));
+    const unsubscribeActive = StateManager.subscribe('views.active', setActiveId);
+    const unsubscribeCursor = StateManager.subscribe('views.cursor', setCursor);
+
+    return () => {
+      unsubscribeList();
+      unsubscribeActive();
+      unsubscribeCursor();
+    };
+  }, []);
+
+  const run = async (operation) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const text = await operation();
+      if (text) setMessage({ type: 'success', text });
+    } catch (error) {
+      console.error('[MapViewsPanel] Operation failed:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const view = await MapViewService.saveView(name, description);
+    setName('');
+    setDescription('');
+    return `Vue « ${view.name} » enregistrée`;
+  });
+
+  const handleOpen = (view) => run(async () => {
+    setDiff(null);
+    const warnings = await MapViewService.openView(view.id);
+    return [`Vue « ${view.name} » ouverte`, ...warnings].join(' • ');
+  });
+
+  const handleUpdate = (view) => {
+    if (!confirm(`Remplacer la vue « ${view.name} » par l'état actuel ?`)) return;
+    run(async () => {
+      await MapViewService.updateSnapshot(view.id);
+      setDiff(null);
+      return `Vue « ${view.name} » mise à jour`;
+    });
+  };
+
+  const handleDelete = (view) => {
+    if (!confirm(`Supprimer la vue « ${view.name} » ?`)) return;
+    run(async () => {
+      await MapViewService.deleteView(view.id);
+      if (diff?.id === view.id) setDiff(null);
+      return null;
+    });
+  };
+
+  const handleLink = (view) => run(async () => {
+    await MapViewService.linkView(view.id, view.link ? null : cursor);
+    return view.link
+      ? `Vue « ${view.name} » déliée`
+      : `Vue « ${view.name} » liée à ${cursor.table} #${cursor.rowId}`;
+  });
+
+  const handleDefault = (view) => run(async () => {
+    await MapViewService.setDefault(view.id, !view.isDefault);
+    return null;
+  });
+
+  const toggleDiff = (view) => {
+    setDiff(diff?.id === view.id ? null : { id: view.id, changes: MapViewService.diffView(view.id) });
+  };
+
+  return (
+    <div className="map-views-panel">
+      <div className="map-views-header">
+        <h3>Vues ({views.length})</h3>
+        {cursor && <span className="mv-cursor" title="Ligne sélectionnée dans Grist">{cursor.table} #{cursor.rowId}</span>}
+      </div>
+
+      <div className="mv-save">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Nom de la vue"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Description (facultatif)"
+        />
+        <button onClick={handleSave} disabled={busy || !name.trim()}>
+          💾 Enregistrer l'état actuel
+        </button>
+        {views.some(v => v.name === name.trim()) && (
+          <div className="mv-hint">Une vue porte déjà ce nom : elle sera remplacée.</div>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mv-message ${message.type}`} onClick={() => setMessage(null)}>
+          {message.text}
+        </div>
+      )}
+
+      {views.length === 0 ? (
+        <div className="empty-state">
+          <p>Aucune vue enregistrée</p>
+          <div className="hint">
+            💡 Une vue conserve le fond de carte, l'emprise, les couches affichées, les styles et les pop-ups
+          </div>
+        </div>
+      ) : (
+        <div className="mv-list">
+          {views.map(view => (
+            <div key={view.id} className={`mv-item ${view.id === activeId ? 'active' : ''}`}>
+              <div className="mv-title">
+                <span className="mv-name">{view.name}</span>
+                {view.isDefault && <span className="mv-badge">démarrage</span>}
+                {view.link && <span className="mv-badge link">🔗 {view.link.table} #{view.link.rowId}</span>}
+              </div>
+              {view.description && <div className="mv-description">{view.description}</div>}
+              {view.updatedAt && (
+                <div className="mv-date">
+                  {new Date(view.updatedAt * 1000).toLocaleString('fr-FR')}
+                </div>
+              )}
+
+              <div className="mv-actions">
+                <button onClick={() => handleOpen(view)} disabled={busy}>Ouvrir</button>
+                <button
+                  onClick={() => toggleDiff(view)}
+                  className={diff?.id === view.id ? 'active' : ''}
+                >
+                  Comparer
+                </button>
+                <button onClick={() => handleUpdate(view)} disabled={busy} title="Remplacer par l'état actuel">⟳</button>
+                <button
+                  onClick={() => handleLink(view)}
+                  disabled={busy || (!view.link && !cursor)}
+                  title={view.link ? 'Délier de la ligne' : 'Lier à la ligne sélectionnée dans Grist'}
+                >
+                  {view.link ? '✂️' : '🔗'}
+                </button>
+                <button
+                  onClick={() => handleDefault(view)}
+                  disabled={busy}
+                  title={view.isDefault ? 'Ne plus ouvrir au démarrage' : 'Ouvrir au démarrage'}
+                >
+                  {view.isDefault ? '★' : '☆'}
+                </button>
+                <button onClick={() => handleDelete(view)} disabled={busy} className="danger" title="Supprimer">🗑️</button>
+              </div>
+
+              {diff?.id === view.id && (
+                <div className="mv-diff">
+                  {diff.changes.length === 0 ? (
+                    <div className="mv-hint">Identique à l'état actuel</div>
+                  ) : (
+                    <ul>
+                      {diff.changes.map((change, index) => (
+                        <li key={index} className={change.change}>
+                          <span className="mv-section">{SECTION_LABELS[change.section]}</span>{' '}
+                          <strong>{MAP_KEY_LABELS[change.key] && ['map', 'popups'].includes(change.section) ? MAP_KEY_LABELS[change.key] : change.key}</strong>{' '}
+                          {change.change === 'changed'
+                            ? <>: {describe(change.section, change.before)} → {describe(change.section, change.after)}</>
+                            : CHANGE_LABELS[change.change]}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapViewsPanel;
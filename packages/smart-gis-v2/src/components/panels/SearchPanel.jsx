@@ -4,15 +4,18 @@
  * Features:
  * - Semantic search (VECTOR_SEARCH)
  * - Spatial search (ST_* predicates)
- * - Hybrid search (semantic + spatial)
+ * - Hybrid search (semantic + spatial), ranked by reciprocal rank fusion
+ * - Search zone drawn on the map, taken from the map extent or pasted (WKT)
+ * - Offline BM25 index (no embeddings needed), rebuilt on demand
  * - Search history with quick replay
  */
 
 import React, { useState, useEffect } from 'react';
-import { getAllSearchModes, getSpatialPredicate, createSearchHistoryItem } from '../../config/searchConfig';
+import { getAllSearchModes, createSearchHistoryItem } from '../../config/searchConfig';
 import SearchResults from '../search/SearchResults';
 import StateManager from '../../core/StateManager';
-import GristAPI from '../../core/GristAPI';
+import HybridSearchService from '../../services/HybridSearchService';
+import LocalSearchIndex from '../../services/LocalSearchIndex';
 import './SearchPanel.css';
 
 const SearchPanel = () => {
@@ -23,6 +26,8 @@ const SearchPanel = () => {
   const [searchResults, setSearchResults] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
   const [error, setError] = useState(null);
+  const [indexStatus, setIndexStatus] = useState(() => LocalSearchIndex.getStatus());
+  const [isIndexing, setIsIndexing] = useState(false);
 
   const searchModes = getAllSearchModes();
   const currentMode = searchModes.find(m => m.id === activeMode);
@@ -50,11 +55,21 @@ const SearchPanel = () => {
     return unsubscribe;
   }, [activeMode]);
 
+  useEffect(() => {
+    // Zone drawn on the map (SearchZoneLayer) or taken from the map extent
+    return StateManager.subscribe('search.zone', (zone) => {
+      if (zone?.target) {
+        setParams(prev => ({ ...prev, [zone.target]: zone.wkt }));
+      }
+    });
+  }, []);
+
   const handleModeChange = (modeId) => {
     setActiveMode(modeId);
     setParams({});
     setError(null);
     setSearchResults(null);
+    StateManager.setState('search.zone', null, 'Clear search zone');
   };
 
   const handleParamChange = (paramName, value) => {
@@ -69,75 +84,22 @@ const SearchPanel = () => {
     setIsSearching(true);
 
     try {
-      const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
-      const workspaceLayers = StateManager.getState('layers.workspace') || [];
-
-      let results = [];
-
-      if (activeMode === 'semantic') {
-        // Semantic search using VECTOR_SEARCH
-        // Note: In production, this would use Grist's VECTOR_SEARCH function
-        // For now, we simulate with text search on properties
-        results = workspaceLayers.filter(layer => {
-          const searchText = params.query.toLowerCase();
-          const layerText = JSON.stringify(layer).toLowerCase();
-          return layerText.includes(searchText);
-        });
-      } else if (activeMode === 'spatial') {
-        // Spatial search using ST_* predicates
-        const predicate = getSpatialPredicate(activePredicate);
-
-        if (activePredicate === 'distance') {
-          // Distance-based search
-          const centerPoint = params.center; // WKT Point
-          const radius = params.radius;
-          const unit = params.unit;
-
-          // Simplified distance calculation (for demo)
-          // In production, use ST_DISTANCE
-          results = workspaceLayers.filter(layer => {
-            // This would be replaced with actual ST_DISTANCE call
-            return true; // Placeholder
-          });
-        } else if (activePredicate === 'bbox') {
-          // Bbox search
-          results = workspaceLayers.filter(layer => {
-            // Check if layer geometry intersects bbox
-            // This would use ST_INTERSECTS in production
-            return true; // Placeholder
-          });
-        } else {
-          // Other spatial predicates (within, contains, intersects, touches)
-          results = workspaceLayers.filter(layer => {
-            // This would use corresponding ST_* function
-            return true; // Placeholder
-          });
-        }
-      } else if (activeMode === 'hybrid') {
-        // Hybrid search: semantic + spatial
-        // First filter by semantic similarity
-        const semanticResults = workspaceLayers.filter(layer => {
-          const searchText = params.semanticQuery.toLowerCase();
-          const layerText = JSON.stringify(layer).toLowerCase();
-          return layerText.includes(searchText);
-        });
-
-        // Then apply spatial filter
-        results = semanticResults.filter(layer => {
-          // Apply spatial predicate
-          return true; // Placeholder
-        });
-      }
-
-      // Limit results
-      const maxResults = params.maxResults || 10;
-      results = results.slice(0, maxResults);
+      const { items, semanticMethod, warnings } = await HybridSearchService.execute({
+        mode: activeMode,
+        predicate: activePredicate,
+        params
+      });
+      const results = items.map(item => item.feature);
+      setIndexStatus(LocalSearchIndex.getStatus());
 
       setSearchResults({
         mode: activeMode,
         predicate: activePredicate,
         params: params,
         results: results,
+        items: items,
+        semanticMethod: semanticMethod,
+        warnings: warnings,
         count: results.length,
         timestamp: new Date().toISOString()
       });
@@ -158,6 +120,37 @@ const SearchPanel = () => {
     }
   };
 
+  const handleRebuildIndex = async () => {
+    setError(null);
+    setIsIndexing(true);
+    try {
+      const table = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+      await LocalSearchIndex.rebuild(HybridSearchService.getCandidates(), table);
+      setIndexStatus(LocalSearchIndex.getStatus());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsIndexing(false);
+    }
+  };
+
+  const handleDrawZone = (param) => {
+    StateManager.setState('search.drawRequest', {
+      id: Date.now(),
+      shape: param.geometryType === 'Point' ? 'Marker' : 'Polygon',
+      target: param.name
+    }, 'Draw search zone');
+  };
+
+  const handleMapExtent = (param) => {
+    const wkt = HybridSearchService.getMapExtentWKT();
+    if (!wkt) {
+      setError('Emprise de la carte indisponible');
+      return;
+    }
+    StateManager.setState('search.zone', { wkt, target: param.name }, 'Search zone: map extent');
+  };
+
   const handleHistoryClick = (historyItem) => {
     setActiveMode(historyItem.mode);
     setParams(historyItem.params);
@@ -219,9 +212,16 @@ const SearchPanel = () => {
               type="text"
               value={params[param.name] || ''}
               onChange={(e) => handleParamChange(param.name, e.target.value)}
-              placeholder="WKT geometry..."
+              placeholder={param.geometryType === 'Point' ? 'POINT(2.35 48.85)' : 'WKT ou zone dessinée...'}
             />
-            <button className="btn-pick">📍 Carte</button>
+            <button className="btn-pick" onClick={() => handleDrawZone(param)} title="Dessiner sur la carte">
+              ✏️
+            </button>
+            {param.geometryType !== 'Point' && (
+              <button className="btn-pick" onClick={() => handleMapExtent(param)} title="Emprise de la carte">
+                🗺️
+              </button>
+            )}
           </div>
         );
 
@@ -323,6 +323,20 @@ const SearchPanel = () => {
         >
           {isSearching ? 'Recherche...' : '🔍 Rechercher'}
         </button>
+
+        {/* Offline index status (semantic part) */}
+        {activeMode !== 'spatial' && (
+          <div className="index-status">
+            <span>
+              📚 Index local : {indexStatus.documents > 0
+                ? `${indexStatus.documents} entités, ${indexStatus.terms} termes`
+                : 'construit à la première recherche'}
+            </span>
+            <button className="btn-rebuild-index" onClick={handleRebuildIndex} disabled={isIndexing || isSearching}>
+              {isIndexing ? 'Indexation...' : 'Reconstruire'}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Search Results */}
@@ -4,14 +4,17 @@
  * Combines:
  * - Basemap selection
  * - Layer styles
+ * - Labels
  * - Popup templates
  * - Hover effects
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import StateManager from '../../core/StateManager';
 import StyleManager from '../../services/StyleManager';
 import PopupTemplateEngine from '../../services/PopupTemplateEngine';
+import ExpressionEngine from '../../services/ExpressionEngine';
+import { LABEL_DEFAULTS } from '../../services/LabelEngine';
 import BasemapSelector from './BasemapSelector';
 import './StylePanel.css';
 
@@ -66,19 +69,28 @@ const StylePanel = () => {
   const sections = [
     { id: 'basemap', label: 'Fond de carte', icon: '🗺️' },
     { id: 'layers', label: 'Styles des layers', icon: '🎨' },
+    { id: 'labels', label: 'Étiquettes', icon: '🏷️' },
     { id: 'popups', label: 'Pop-ups', icon: '💬' },
     { id: 'hover', label: 'Survol', icon: '👆' }
   ];
 
+  const persistLayerStyle = (layerName) => {
+    StyleManager.saveLayerStyle(layerName).catch(error => {
+      console.warn(`[StylePanel] Could not save style of layer "${layerName}":`, error);
+    });
+  };
+
   const handleApplyPreset = (layerName, presetId, geometryType) => {
     StyleManager.applyPresetToLayer(layerName, presetId, geometryType);
     // Force re-render
     StateManager.setState('styles.updated', Date.now(), 'Style updated');
+    persistLayerStyle(layerName);
   };
 
   const handleResetLayerStyle = (layerName) => {
     StyleManager.resetLayerStyle(layerName);
     StateManager.setState('styles.updated', Date.now(), 'Style reset');
+    persistLayerStyle(layerName);
   };
 
   const handlePopupTemplateChange = (templateId) => {
@@ -134,6 +146,25 @@ const StylePanel = () => {
           </div>
         )}
 
+        {activeSection === 'labels' && (
+          <div className="layers-style-section">
+            <h4>🏷️ Étiquettes</h4>
+            <p className="section-hint">
+              Les étiquettes qui se chevauchent sont masquées (priorité la plus haute affichée)
+            </p>
+
+            {layers.length === 0 ? (
+              <p className="empty-message">Aucun layer à étiqueter</p>
+            ) : (
+              <div className="layers-list">
+                {layers.map(layer => (
+                  <LayerLabelCard key={layer.name} layer={layer} />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {activeSection === 'popups' && (
           <div className="popups-section">
             <h4>💬 Templates de pop-ups</h4>
@@ -237,4 +268,227 @@ const LayerStyleCard = ({ layer, onApplyPreset, onReset }) => {
   );
 };
 
+/**
+ * Property names of a layer (sampled from its first features)
+ */
+const getLayerFields = (layerName) => {
+  const fields = new Set();
+  const features = (StateManager.getState('layers.workspace') || [])
+    .filter(f => f.layer_name === layerName)
+    .slice(0, 50);
+
+  features.forEach(feature => {
+    Object.keys(ExpressionEngine.parseProperties(feature)).forEach(key => fields.add(key));
+  });
+
+  return ['feature_name', ...Array.from(fields).filter(f => f !== 'feature_name').sort()];
+};
+
+/**
+ * LayerLabelCard - Label configuration of a layer (saved with the layer style)
+ */
+const LayerLabelCard = ({ layer }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [config, setConfig] = useState(() => ({
+    ...LABEL_DEFAULTS,
+    ...(StyleManager.getLayerStyle(layer.name)?.labels || {})
+  }));
+  const [status, setStatus] = useState(null);
+  const fields = useMemo(() => (expanded ? getLayerFields(layer.name) : []), [expanded, layer.name]);
+
+  const isLine = layer.geometry_type?.toUpperCase().includes('LINE');
+  const validation = config.source === 'expression' && config.expression.trim()
+    ? ExpressionEngine.validate(config.expression)
+    : { valid: true };
+
+  const update = (changes) => {
+    setConfig(prev => ({ ...prev, ...changes }));
+    setStatus(null);
+  };
+
+  const zoomValue = (value) => (value === '' ? '' : Number(value));
+
+  const handleApply = async () => {
+    if (!validation.valid) return;
+
+    StyleManager.setLayerLabels(layer.name, config);
+    setStatus('saving');
+
+    try {
+      await StyleManager.saveLayerStyle(layer.name);
+      setStatus('saved');
+    } catch (error) {
+      console.warn(`[StylePanel] Could not save labels of layer "${layer.name}":`, error);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="layer-style-card">
+      <div className="layer-header" onClick={() => setExpanded(!expanded)}>
+        <div className="layer-info">
+          <strong>{layer.name}</strong>
+          <span className="layer-meta">
+            {config.enabled ? `Étiquettes : ${config.source === 'expression' ? 'expression' : config.field || '—'}` : 'Sans étiquettes'}
+          </span>
+        </div>
+        <button className="expand-btn">
+          {expanded ? '▼' : '▶'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="layer-body label-config">
+          <label className="label-row checkbox">
+            <input
+              type="checkbox"
+              checked={config.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />
+            Afficher les étiquettes
+          </label>
+
+          <div className="label-row">
+            <span>Texte</span>
+            <select value={config.source} onChange={(e) => update({ source: e.target.value })}>
+              <option value="field">Champ</option>
+              <option value="expression">Expression</option>
+            </select>
+          </div>
+
+          {config.source === 'field' ? (
+            <div className="label-row">
+              <span>Champ</span>
+              <select value={config.field} onChange={(e) => update({ field: e.target.value })}>
+                <option value="">— Choisir —</option>
+                {fields.map(field => (
+                  <option key={field} value={field}>{field}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div className="label-expression">
+              <input
+                type="text"
+                className={validation.valid ? '' : 'invalid'}
+                value={config.expression}
+                onChange={(e) => update({ expression: e.target.value })}
+                placeholder="ex: nom || ' (' || round(area() / 10000, 1) || ' ha)'"
+                spellCheck={false}
+              />
+              {!validation.valid && (
+                <span className="label-error">
+                  {validation.error} (position {validation.position + 1})
+                </span>
+              )}
+            </div>
+          )}
+
+          <div className="label-row">
+            <span>Police</span>
+            <input
+              type="number"
+              min="6"
+              max="36"
+              value={config.fontSize}
+              onChange={(e) => update({ fontSize: Number(e.target.value) || LABEL_DEFAULTS.fontSize })}
+            />
+            <input type="color" value={config.color} onChange={(e) => update({ color: e.target.value })} />
+            <label className="label-inline">
+              <input type="checkbox" checked={config.bold} onChange={(e) => update({ bold: e.target.checked })} />
+              Gras
+            </label>
+          </div>
+
+          <div className="label-row">
+            <span>Halo</span>
+            <input
+              type="number"
+              min="0"
+              max="6"
+              value={config.haloWidth}
+              onChange={(e) => update({ haloWidth: Number(e.target.value) })}
+            />
+            <input type="color" value={config.haloColor} onChange={(e) => update({ haloColor: e.target.value })} />
+          </div>
+
+          <div className="label-row">
+            <span>Décalage</span>
+            <input
+              type="number"
+              value={config.offsetX}
+              onChange={(e) => update({ offsetX: Number(e.target.value) })}
+              title="Horizontal (px)"
+            />
+            <input
+              type="number"
+              value={config.offsetY}
+              onChange={(e) => update({ offsetY: Number(e.target.value) })}
+              title="Vertical (px)"
+            />
+          </div>
+
+          {isLine && (
+            <div className="label-row">
+              <span>Placement</span>
+              <select value={config.placement} onChange={(e) => update({ placement: e.target.value })}>
+                <option value="auto">Le long de la ligne</option>
+                <option value="horizontal">Horizontal</option>
+              </select>
+            </div>
+          )}
+
+          <div className="label-row">
+            <span>Zoom</span>
+            <input
+              type="number"
+              min="0"
+              max="22"
+              value={config.minZoom}
+              onChange={(e) => update({ minZoom: zoomValue(e.target.value) })}
+              placeholder="min"
+            />
+            <span>à</span>
+            <input
+              type="number"
+              min="0"
+              max="22"
+              value={config.maxZoom}
+              onChange={(e) => update({ maxZoom: zoomValue(e.target.value) })}
+              placeholder="max"
+            />
+          </div>
+
+          <div className="label-row">
+            <span>Priorité</span>
+            <input
+              type="range"
+              min="0"
+              max="10"
+              value={config.priority}
+              onChange={(e) => update({ priority: Number(e.target.value) })}
+            />
+            <span className="label-value">{config.priority}</span>
+          </div>
+
+          <label className="label-row checkbox">
+            <input
+              type="checkbox"
+              checked={config.allowOverlap}
+              onChange={(e) => update({ allowOverlap: e.target.checked })}
+            />
+            Autoriser le chevauchement
+          </label>
+
+          <button className="apply-labels-btn" onClick={handleApply} disabled={!validation.valid || status === 'saving'}>
+            {status === 'saving' ? 'Enregistrement…' : 'Appliquer'}
+          </button>
+          {status === 'saved' && <span className="label-status">✓ Enregistré dans Grist</span>}
+          {status === 'error' && <span className="label-status error">Appliqué, mais non enregistré dans Grist</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default StylePanel;
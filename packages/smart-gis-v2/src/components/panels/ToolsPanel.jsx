@@ -3,12 +3,14 @@
  *
  * Affiche les outils disponibles selon la sélection active
  * Organisés en 6 catégories avec accordéons
+ * + validation topologique par couche (sans sélection)
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
 import StateManager from '../../core/StateManager';
 import { SPATIAL_TOOL_CATEGORIES, getAvailableTools } from '../../config/toolDefinitions';
 import ToolExecutor from '../tools/ToolExecutor';
+import LayerValidationPanel from '../tools/LayerValidationPanel';
 import './ToolsPanel.css';
 
 const ToolsPanel = () => {
@@ -163,6 +165,9 @@ const ToolsPanel = () => {
         </div>
       )}
 
+      {/* Validation topologique de couche */}
+      <LayerValidationPanel features={allLayers || []} />
+
       {/* Exécuteur d'outil (modal) */}
       {activeTool && (
         <ToolExecutor
@@ -0,0 +1,254 @@
+/**
+ * PrintComposer - Mise en page et export de la carte (PNG / PDF)
+ *
+ * Format et orientation du papier, échelle, titre, légende, flèche du nord,
+ * barre d'échelle, attribution et tableau d'attributs, avec un aperçu de la
+ * page. Les mises en page peuvent être enregistrées comme modèles
+ * (table GIS_PrintLayouts).
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import StateManager from '../../core/StateManager';
+import PrintService from '../../services/PrintService';
+import AttributeTableService from '../../services/AttributeTableService';
+import {
+  PAPER_SIZES,
+  ORIENTATIONS,
+  PRINT_RESOLUTIONS,
+  PRINT_SCALES,
+  PREVIEW_DPI,
+  DEFAULT_LAYOUT
+} from '../../config/printConfig';
+import './PrintComposer.css';
+
+const PREVIEW_DELAY_MS = 300;
+
+const ELEMENTS = [
+  { key: 'showLegend', label: 'Légende' },
+  { key: 'showNorthArrow', label: 'Flèche du nord' },
+  { key: 'showScaleBar', label: "Barre d'échelle" },
+  { key: 'showAttribution', label: 'Attribution' },
+  { key: 'showTable', label: 'Tableau' }
+];
+
+const PrintComposer = ({ onClose }) => {
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  const [preview, setPreview] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const renderId = useRef(0);
+
+  const layerNames = useMemo(
+    () => AttributeTableService.getLayerNames(StateManager.getState('layers.workspace') || []),
+    []
+  );
+  const currentScale = useMemo(() => PrintService.getCurrentScale(), []);
+
+  useEffect(() => {
+    PrintService.loadTemplates()
+      .then(setTemplates)
+      .catch(err => console.warn('[PrintComposer] Could not load templates:', err));
+  }, []);
+
+  // Aperçu basse résolution, recalculé après chaque modification
+  useEffect(() => {
+    const id = ++renderId.current;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await PrintService.render(layout, { dpi: PREVIEW_DPI });
+        if (id !== renderId.current) return;
+        setPreview(result.canvas.toDataURL('image/png'));
+        setWarnings(result.warnings);
+        setError(null);
+      } catch (err) {
+        if (id !== renderId.current) return;
+        setPreview(null);
+        setError(err.message);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [layout]);
+
+  const update = (changes) => setLayout({ ...layout, ...changes });
+
+  const run = async (label, operation) => {
+    setBusy(label);
+    setError(null);
+    try {
+      await operation();
+    } catch (err) {
+      console.error('[PrintComposer] Operation failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleExport = (format) => run(`Export ${format.toUpperCase()}…`, async () => {
+    const exportWarnings = format === 'pdf'
+      ? await PrintService.exportPDF(layout)
+      : await PrintService.exportPNG(layout);
+    setWarnings(exportWarnings);
+  });
+
+  const handleLoadTemplate = (id) => {
+    const template = templates.find(t => String(t.id) === id);
+    if (!template) return;
+    setLayout(template.layout);
+    setTemplateName(template.name);
+  };
+
+  const handleSaveTemplate = () => run('Enregistrement…', async () => {
+    setTemplates(await PrintService.saveTemplate(templateName, layout));
+  });
+
+  const handleDeleteTemplate = () => run('Suppression…', async () => {
+    const template = templates.find(t => t.name === templateName);
+    setTemplates(await PrintService.deleteTemplate(template.id));
+    setTemplateName('');
+  });
+
+  const { width, height } = PrintService.getPageSize(layout);
+
+  return (
+    <div className="print-composer-overlay" onClick={busy ? undefined : onClose}>
+      <div className="print-composer-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="print-composer-header">
+          <h3>🖨️ Mise en page</h3>
+          <button className="btn-close" onClick={onClose} disabled={!!busy}>✕</button>
+        </div>
+
+        <div className="print-composer-body">
+          <div className="pc-settings">
+            <section>
+              <h4>Modèle</h4>
+              <select value="" onChange={(e) => handleLoadTemplate(e.target.value)} disabled={templates.length === 0}>
+                <option value="">{templates.length > 0 ? 'Charger un modèle…' : 'Aucun modèle enregistré'}</option>
+                {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              <div className="pc-row">
+                <input
+                  type="text"
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                  placeholder="Nom du modèle"
+                />
+                <button onClick={handleSaveTemplate} disabled={!!busy || !templateName.trim()}>Enregistrer</button>
+                {templates.some(t => t.name === templateName) && (
+                  <button className="danger" onClick={handleDeleteTemplate} disabled={!!busy}>Supprimer</button>
+                )}
+              </div>
+            </section>
+
+            <section>
+              <h4>Page</h4>
+              <div className="pc-row">
+                <select value={layout.paper} onChange={(e) => update({ paper: e.target.value })}>
+                  {Object.entries(PAPER_SIZES).map(([id, paper]) => (
+                    <option key={id} value={id}>{paper.label}</option>
+                  ))}
+                </select>
+                <select value={layout.orientation} onChange={(e) => update({ orientation: e.target.value })}>
+                  {Object.entries(ORIENTATIONS).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="pc-field">
+                Échelle
+                <select
+                  value={layout.scale ?? ''}
+                  onChange={(e) => update({ scale: e.target.value ? Number(e.target.value) : null })}
+                >
+                  <option value="">Échelle de la carte (1:{currentScale.toLocaleString('fr-FR')})</option>
+                  {PRINT_SCALES.map(scale => (
+                    <option key={scale} value={scale}>1:{scale.toLocaleString('fr-FR')}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="pc-field">
+                Résolution
+                <select value={layout.dpi} onChange={(e) => update({ dpi: Number(e.target.value) })}>
+                  {PRINT_RESOLUTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+              </label>
+            </section>
+
+            <section>
+              <h4>Éléments</h4>
+              <label className="pc-field">
+                Titre
+                <input type="text" value={layout.title} onChange={(e) => update({ title: e.target.value })} />
+              </label>
+              {ELEMENTS.map(element => (
+                <label key={element.key} className="pc-check">
+                  <input
+                    type="checkbox"
+                    checked={!!layout[element.key]}
+                    onChange={(e) => update({ [element.key]: e.target.checked })}
+                  />
+                  {element.label}
+                </label>
+              ))}
+              {layout.showAttribution && (
+                <label className="pc-field">
+                  Attribution complémentaire
+                  <input
+                    type="text"
+                    value={layout.attributionText}
+                    onChange={(e) => update({ attributionText: e.target.value })}
+                    placeholder="Source des données…"
+                  />
+                </label>
+              )}
+              {layout.showTable && (
+                <div className="pc-row">
+                  <select value={layout.tableLayer} onChange={(e) => update({ tableLayer: e.target.value })}>
+                    <option value="">Couche du tableau…</option>
+                    {layerNames.map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    min={1}
+                    max={40}
+                    value={layout.tableMaxRows}
+                    onChange={(e) => update({ tableMaxRows: Math.max(1, Math.min(40, Number(e.target.value) || 1)) })}
+                    title="Lignes au maximum"
+                  />
+                </div>
+              )}
+              {layout.showTable && (
+                <p className="pc-hint">Entités sélectionnées de la couche, sinon toutes.</p>
+              )}
+            </section>
+          </div>
+
+          <div className="pc-preview">
+            <div className="pc-page-info">
+              {PAPER_SIZES[layout.paper]?.label} {ORIENTATIONS[layout.orientation]} • {Math.round(width)} × {Math.round(height)} mm
+            </div>
+            {preview ? <img src={preview} alt="Aperçu de la page" /> : <div className="pc-empty">Aperçu…</div>}
+            {warnings.length > 0 && (
+              <ul className="pc-warnings">
+                {warnings.map((warning, index) => <li key={index}>⚠️ {warning}</li>)}
+              </ul>
+            )}
+            {error && <div className="pc-error">{error}</div>}
+          </div>
+        </div>
+
+        <div className="print-composer-footer">
+          {busy && <span className="pc-busy">{busy}</span>}
+          <button onClick={() => handleExport('png')} disabled={!!busy}>Exporter PNG</button>
+          <button className="primary" onClick={() => handleExport('pdf')} disabled={!!busy}>Exporter PDF</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrintComposer;
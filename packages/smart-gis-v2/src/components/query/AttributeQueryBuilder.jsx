@@ -3,7 +3,7 @@
  *
  * Workflow:
  * 1. Select layer
- * 2. Add conditions (field, operator, value)
+ * 2. Add conditions (field, operator, value) or expressions (ExpressionEngine)
  * 3. Set AND/OR logic
  * 4. Preview results
  * 5. Execute action (Select, Filter, Save)
@@ -12,6 +12,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import StateManager from '../../core/StateManager';
 import SelectionQueryEngine from '../../services/SelectionQueryEngine';
+import ExpressionEngine from '../../services/ExpressionEngine';
 import DataAnalyzer from '../../services/DataAnalyzer';
 import './AttributeQueryBuilder.css';
 
@@ -76,6 +77,14 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
     ]);
   };
 
+  // Add new expression condition
+  const handleAddExpression = () => {
+    setConditions([
+      ...conditions,
+      { id: Date.now(), expression: '' }
+    ]);
+  };
+
   // Remove condition
   const handleRemoveCondition = (id) => {
     setConditions(conditions.filter(c => c.id !== id));
@@ -96,6 +105,13 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
     ));
   };
 
+  // Update condition expression
+  const handleExpressionChange = (id, expression) => {
+    setConditions(conditions.map(c =>
+      c.id === id ? { ...c, expression } : c
+    ));
+  };
+
   // Update condition value
   const handleValueChange = (id, value) => {
     setConditions(conditions.map(c =>
@@ -114,11 +130,7 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
     const features = layers.filter(f => f.layer_name === layer.layer_name);
 
     const query = {
-      conditions: conditions.map(c => ({
-        field: c.field,
-        operator: c.operator,
-        value: c.value
-      })),
+      conditions: conditions.map(toQueryCondition),
       operator
     };
 
@@ -195,11 +207,7 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
     if (conditions.length === 0) return '';
 
     const query = {
-      conditions: conditions.map(c => ({
-        field: c.field,
-        operator: c.operator,
-        value: c.value
-      })),
+      conditions: conditions.map(toQueryCondition),
       operator
     };
 
@@ -240,9 +248,14 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
         <section className="builder-section">
           <div className="section-header">
             <h4>Conditions</h4>
-            <button className="add-btn" onClick={handleAddCondition}>
-              + Ajouter
-            </button>
+            <div className="add-buttons">
+              <button className="add-btn" onClick={handleAddCondition}>
+                + Ajouter
+              </button>
+              <button className="add-btn" onClick={handleAddExpression} title="Condition calculée, ex: population / area() > 0.01">
+                + Expression
+              </button>
+            </div>
           </div>
 
           {conditions.length === 0 && (
@@ -252,7 +265,15 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
           )}
 
           <div className="conditions-list">
-            {conditions.map((condition, index) => (
+            {conditions.map((condition, index) => condition.expression != null ? (
+              <ExpressionCondition
+                key={condition.id}
+                index={index}
+                condition={condition}
+                onChange={(expression) => handleExpressionChange(condition.id, expression)}
+                onRemove={() => handleRemoveCondition(condition.id)}
+              />
+            ) : (
               <div key={condition.id} className="condition-row">
                 <span className="condition-index">{index + 1}</span>
 
@@ -390,4 +411,58 @@ const AttributeQueryBuilder = ({ layerId, onClose }) => {
   );
 };
 
+/**
+ * ExpressionCondition - Free expression condition with inline validation
+ */
+const ExpressionCondition = ({ index, condition, onChange, onRemove }) => {
+  const validation = condition.expression.trim()
+    ? ExpressionEngine.validate(condition.expression)
+    : { valid: true };
+
+  return (
+    <div className="condition-row condition-row-expression">
+      <span className="condition-index">{index + 1}</span>
+
+      <div className="condition-expression">
+        <input
+          type="text"
+          className={`condition-value ${validation.valid ? '' : 'invalid'}`}
+          value={condition.expression}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="ex: population > 1000 AND type IN ('école', 'collège')"
+          spellCheck={false}
+        />
+        {!validation.valid && (
+          <span className="condition-error">
+            {validation.error} (position {validation.position + 1})
+          </span>
+        )}
+      </div>
+
+      <button
+        className="remove-btn"
+        onClick={onRemove}
+        title="Supprimer"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Builder condition → SelectionQueryEngine condition
+ */
+const toQueryCondition = (c) => {
+  if (c.expression != null) {
+    return { expression: c.expression };
+  }
+
+  return {
+    field: c.field,
+    operator: c.operator,
+    value: c.value
+  };
+};
+
 export default AttributeQueryBuilder;
@@ -0,0 +1,214 @@
+/**
+ * RasterCatalog - Ajout de couches WMS / WMTS
+ *
+ * - Lecture du GetCapabilities d'un service (WMS 1.3.0 / 1.1.1, WMTS 1.0.0)
+ * - Recherche dans les couches du service
+ * - Choix du style, du format d'image et de la date (dimension TIME)
+ * - Ajout en surcouche de la carte (RasterLayerService)
+ */
+
+import React, { useMemo, useState } from 'react';
+import RasterLayerService, { RASTER_TYPES } from '../../services/RasterLayerService';
+import './RasterCatalog.css';
+
+const PRESET_SERVICES = [
+  { label: 'Géoplateforme WMS (IGN)', url: 'https://data.geopf.fr/wms-r/wms' },
+  { label: 'Géoplateforme WMTS (IGN)', url: 'https://data.geopf.fr/wmts' }
+];
+
+const RasterCatalog = ({ onClose }) => {
+  const [url, setUrl] = useState('');
+  const [capabilities, setCapabilities] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [search, setSearch] = useState('');
+  const [selectedLayer, setSelectedLayer] = useState(null);
+  const [options, setOptions] = useState({ name: '', style: '', format: '', time: '' });
+
+  const loadCapabilities = async (serviceUrl = url) => {
+    if (!serviceUrl.trim()) return;
+    setUrl(serviceUrl);
+    setLoading(true);
+    setStatus(null);
+    setCapabilities(null);
+    setSelectedLayer(null);
+
+    try {
+      const result = await RasterLayerService.getCapabilities(serviceUrl);
+      setCapabilities(result);
+      if (result.layers.length === 0) {
+        setStatus({ type: 'error', text: 'Aucune couche publiée par ce service' });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectLayer = (layer) => {
+    setSelectedLayer(layer);
+    setStatus(null);
+    setOptions({
+      name: layer.title,
+      style: layer.styles[0]?.id || '',
+      format: layer.formats[0] || '',
+      time: layer.time?.default || ''
+    });
+  };
+
+  const handleAdd = async () => {
+    try {
+      const overlay = await RasterLayerService.addOverlay(capabilities, selectedLayer, options);
+      setStatus({ type: 'success', text: `"${overlay.name}" ajoutée à la carte` });
+      setSelectedLayer(null);
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    }
+  };
+
+  const filteredLayers = useMemo(() => {
+    if (!capabilities) return [];
+    const term = search.trim().toLowerCase();
+    if (!term) return capabilities.layers;
+    return capabilities.layers.filter(layer =>
+      `${layer.id} ${layer.title} ${layer.description}`.toLowerCase().includes(term)
+    );
+  }, [capabilities, search]);
+
+  const updateOption = (key, value) => setOptions(current => ({ ...current, [key]: value }));
+
+  return (
+    <div className="raster-catalog">
+      <div className="raster-catalog-header">
+        <h3>🛰️ Couches WMS / WMTS</h3>
+        <button className="close-btn" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="raster-catalog-body">
+        <div className="raster-catalog-url">
+          <input
+            type="text"
+            placeholder="URL du service (ex: https://data.geopf.fr/wms-r/wms)"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && loadCapabilities()}
+          />
+          <button onClick={() => loadCapabilities()} disabled={!url.trim() || loading}>
+            {loading ? 'Lecture...' : 'Charger'}
+          </button>
+        </div>
+
+        <div className="raster-catalog-presets">
+          {PRESET_SERVICES.map(preset => (
+            <button key={preset.url} onClick={() => loadCapabilities(preset.url)} disabled={loading}>
+              {preset.label}
+            </button>
+          ))}
+        </div>
+
+        {status && (
+          <div className={`raster-catalog-status ${status.type}`}>{status.text}</div>
+        )}
+
+        {capabilities && (
+          <>
+            <div className="raster-catalog-service">
+              <strong>{capabilities.title || url}</strong>
+              <span>{RASTER_TYPES[capabilities.type]} {capabilities.version} • {capabilities.layers.length} couche(s)</span>
+            </div>
+
+            <input
+              type="text"
+              className="raster-catalog-search"
+              placeholder="🔍 Rechercher une couche..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+
+            <div className="raster-catalog-layers">
+              {filteredLayers.map(layer => (
+                <div
+                  key={layer.id}
+                  className={`raster-catalog-layer ${selectedLayer?.id === layer.id ? 'selected' : ''} ${!layer.webMercator ? 'disabled' : ''}`}
+                  onClick={() => layer.webMercator && selectLayer(layer)}
+                  title={layer.webMercator ? layer.description : 'Non disponible en Web Mercator (EPSG:3857)'}
+                >
+                  <div className="raster-layer-title">{layer.title}</div>
+                  <div className="raster-layer-meta">
+                    <span>{layer.id}</span>
+                    {layer.queryable && <span className="raster-badge">ℹ️ interrogeable</span>}
+                    {layer.time && <span className="raster-badge">⏱ temporelle</span>}
+                    {!layer.webMercator && <span className="raster-badge warning">hors EPSG:3857</span>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {selectedLayer && (
+          <div className="raster-catalog-options">
+            <h4>{selectedLayer.title}</h4>
+            {selectedLayer.description && (
+              <p className="raster-layer-description">{selectedLayer.description}</p>
+            )}
+
+            <label>
+              Nom de la couche
+              <input type="text" value={options.name} onChange={(e) => updateOption('name', e.target.value)} />
+            </label>
+
+            {selectedLayer.styles.length > 1 && (
+              <label>
+                Style
+                <select value={options.style} onChange={(e) => updateOption('style', e.target.value)}>
+                  {selectedLayer.styles.map(style => (
+                    <option key={style.id} value={style.id}>{style.title || style.id}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {selectedLayer.formats.length > 1 && (
+              <label>
+                Format
+                <select value={options.format} onChange={(e) => updateOption('format', e.target.value)}>
+                  {selectedLayer.formats.map(format => (
+                    <option key={format} value={format}>{format}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {selectedLayer.time && (
+              <label>
+                Date (TIME)
+                {selectedLayer.time.values.length > 0 ? (
+                  <select value={options.time} onChange={(e) => updateOption('time', e.target.value)}>
+                    {selectedLayer.time.values.map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={options.time}
+                    placeholder={selectedLayer.time.extent}
+                    onChange={(e) => updateOption('time', e.target.value)}
+                  />
+                )}
+              </label>
+            )}
+
+            <button className="raster-catalog-add" onClick={handleAdd} disabled={!options.name.trim()}>
+              Ajouter à la carte
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RasterCatalog;
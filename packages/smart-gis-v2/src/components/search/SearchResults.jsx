@@ -2,19 +2,41 @@
  * SearchResults - Display Search Results
  *
  * Features:
- * - Results list with highlighting
+ * - Results list with highlighting, fused score and rank of each part
  * - Map integration (pan/zoom to results)
  * - Export results
- * - Create layer from results
+ * - Save the search as a dynamic layer
  */
 
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import StateManager from '../../core/StateManager';
+import HybridSearchService from '../../services/HybridSearchService';
 import { calculateBounds } from '../../utils/geometry/wktParser';
 import './SearchResults.css';
 
 const SearchResults = ({ results, onClose }) => {
   const [selectedResultId, setSelectedResultId] = useState(null);
+  const [layerName, setLayerName] = useState('');
+  const [saveStatus, setSaveStatus] = useState(null);
+
+  // Fused score and ranks by feature id
+  const rankings = useMemo(() => (
+    new Map((results.items || []).map(item => [item.feature.id, item]))
+  ), [results.items]);
+
+  const handleSaveLayer = async () => {
+    try {
+      const layer = await HybridSearchService.saveDynamicLayer(layerName, {
+        mode: results.mode,
+        predicate: results.predicate,
+        params: results.params
+      });
+      setSaveStatus({ type: 'success', text: `Couche dynamique "${layer.name}" créée` });
+      setLayerName('');
+    } catch (error) {
+      setSaveStatus({ type: 'error', text: error.message });
+    }
+  };
 
   const handleResultClick = (result) => {
     setSelectedResultId(result.id);
@@ -86,6 +108,35 @@ const SearchResults = ({ results, onClose }) => {
     return labels[mode] || mode;
   };
 
+  const getSemanticMethodLabel = (method) => {
+    const labels = {
+      vector: 'Vecteurs (VECTOR_SEARCH)',
+      local: 'Index local (BM25)'
+    };
+    return labels[method] || method;
+  };
+
+  const renderRanking = (ranking) => {
+    if (!ranking) return null;
+    const { score, ranks, similarity, distanceKm } = ranking;
+
+    return (
+      <div className="result-ranking">
+        <span className="ranking-score" title="Score de fusion RRF">{score.toFixed(4)}</span>
+        {ranks.semantic && (
+          <span className="ranking-part">
+            🔍 #{ranks.semantic}{similarity !== null ? ` (${similarity.toFixed(2)})` : ''}
+          </span>
+        )}
+        {ranks.spatial && (
+          <span className="ranking-part">
+            📍 #{ranks.spatial}{distanceKm !== null ? ` (${formatDistance(distanceKm)})` : ''}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   const formatTimestamp = (isoString) => {
     const date = new Date(isoString);
     return date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
@@ -110,8 +161,18 @@ const SearchResults = ({ results, onClose }) => {
           <span className="meta-label">Heure:</span>
           <span className="meta-value">{formatTimestamp(results.timestamp)}</span>
         </div>
+        {results.semanticMethod && (
+          <div className="meta-item">
+            <span className="meta-label">Classement:</span>
+            <span className="meta-value">{getSemanticMethodLabel(results.semanticMethod)}</span>
+          </div>
+        )}
       </div>
 
+      {results.warnings?.map(warning => (
+        <div key={warning} className="results-warning">⚠️ {warning}</div>
+      ))}
+
       <div className="results-actions">
         <button className="btn-action" onClick={handleSelectAll}>
           ✓ Tout sélectionner
@@ -121,6 +182,21 @@ const SearchResults = ({ results, onClose }) => {
         </button>
       </div>
 
+      <div className="results-save">
+        <input
+          type="text"
+          value={layerName}
+          onChange={(e) => setLayerName(e.target.value)}
+          placeholder="Nom de la couche dynamique"
+        />
+        <button className="btn-action" onClick={handleSaveLayer} disabled={!layerName.trim()}>
+          💾 Enregistrer comme couche dynamique
+        </button>
+      </div>
+      {saveStatus && (
+        <div className={`results-save-status ${saveStatus.type}`}>{saveStatus.text}</div>
+      )}
+
       <div className="results-list">
         {results.results.length === 0 ? (
           <div className="empty-results">
@@ -141,6 +217,8 @@ const SearchResults = ({ results, onClose }) => {
                 <div className="result-type-badge">{result.geometry_type || 'Unknown'}</div>
               </div>
 
+              {renderRanking(rankings.get(result.id))}
+
               {result.layer_name && (
                 <div className="result-layer">
                   📚 {result.layer_name}
@@ -181,4 +259,8 @@ const SearchResults = ({ results, onClose }) => {
   );
 };
 
+function formatDistance(km) {
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
+
 export default SearchResults;
@@ -3,7 +3,7 @@
  *
  * Workflow:
  * 1. Select layer
- * 2. Choose styling type (Categorized, Graduated, Proportional, Expression)
+ * 2. Choose styling type (Categorized, Graduated, Proportional, Expression, Rules)
  * 3. Configure parameters
  * 4. Preview result
  * 5. Apply rule
@@ -11,9 +11,11 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import StateManager from '../../core/StateManager';
-import GristAPI from '../../core/GristAPI';
-import DataAnalyzer from '../../services/DataAnalyzer';
+import DataAnalyzer, { CLASSIFICATION_METHODS } from '../../services/DataAnalyzer';
+import StyleManager from '../../services/StyleManager';
 import StyleRuleEngine from '../../services/StyleRuleEngine';
+import ExpressionEngine from '../../services/ExpressionEngine';
+import RuleBasedStyleEditor, { createRule, findInvalidRule } from './RuleBasedStyleEditor';
 import './DataDrivenStyleEditor.css';
 
 const DataDrivenStyleEditor = ({ layerId, onClose }) => {
@@ -23,6 +25,8 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
   const [fieldAnalysis, setFieldAnalysis] = useState(null);
   const [configuration, setConfiguration] = useState({});
   const [previewFeatures, setPreviewFeatures] = useState([]);
+  const [expression, setExpression] = useState('');
+  const [expressionError, setExpressionError] = useState(null);
 
   // Load layer data
   useEffect(() => {
@@ -34,6 +38,13 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
       // Get all features for this layer
       const features = layers.filter(f => f.layer_name === foundLayer?.layer_name);
       setPreviewFeatures(features.slice(0, 10)); // Preview first 10
+
+      // Rule-based styles are edited in place (other types start from scratch)
+      const existingRule = StyleManager.getLayerRule(foundLayer?.layer_name);
+      if (existingRule?.type === 'ruleBased') {
+        setStyleType('ruleBased');
+        setConfiguration({ rules: existingRule.rules || [] });
+      }
     }
   }, [layerId]);
 
@@ -58,7 +69,7 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
 
   // Analyze field when selected
   useEffect(() => {
-    if (selectedField && layer) {
+    if (selectedField && layer && styleType !== 'expression') {
       const layers = StateManager.getState('layers.workspace');
       const features = layers.filter(f => f.layer_name === layer.layer_name);
 
@@ -81,6 +92,58 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
     }
   }, [selectedField, styleType, layer]);
 
+  // Validate and evaluate expression over the layer
+  useEffect(() => {
+    if (styleType !== 'expression' || !layer) return;
+
+    if (!expression.trim()) {
+      setExpressionError(null);
+      setFieldAnalysis(null);
+      setConfiguration({});
+      return;
+    }
+
+    const validation = ExpressionEngine.validate(expression);
+    if (!validation.valid) {
+      setExpressionError(validation);
+      setFieldAnalysis(null);
+      setConfiguration({});
+      return;
+    }
+    setExpressionError(null);
+
+    const layers = StateManager.getState('layers.workspace');
+    const values = layers
+      .filter(f => f.layer_name === layer.layer_name)
+      .map(f => {
+        try {
+          return ExpressionEngine.evaluate(expression, f);
+        } catch {
+          return null;
+        }
+      })
+      .filter(v => v != null && v !== '');
+
+    if (values.length === 0) {
+      setFieldAnalysis({ type: 'empty', count: 0 });
+      setConfiguration({});
+      return;
+    }
+
+    // Numeric results are graduated, anything else is categorized
+    const analysis = values.every(v => typeof v === 'number')
+      ? DataAnalyzer.analyzeNumericField(values, 'expression')
+      : DataAnalyzer.analyzeStringField(values.map(String), 'expression');
+
+    setFieldAnalysis(analysis);
+
+    if (analysis.type === 'number') {
+      initializeGraduated(analysis);
+    } else {
+      initializeCategorized(analysis);
+    }
+  }, [expression, styleType, layer]);
+
   // Initialize categorized configuration
   const initializeCategorized = (analysis) => {
     const categories = analysis.uniqueValues || [];
@@ -100,35 +163,27 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
     });
   };
 
-  // Initialize graduated configuration
-  const initializeGraduated = (analysis) => {
-    const breaks = analysis.breaks?.quantile || [];
+  // Build graduated configuration for a method and class count
+  const buildGraduated = (analysis, method, numClasses, colorSchemeId) => {
     const colorSchemes = DataAnalyzer.getSuggestedColorSchemes(analysis);
-    const colors = colorSchemes[0]?.colors || ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
-
-    const ranges = breaks.map((breakValue, index) => {
-      const min = index === 0 ? analysis.min : breaks[index - 1];
-      const max = breakValue;
-
-      // Ensure values are numbers before calling toFixed
-      const minNum = typeof min === 'number' ? min : Number(min);
-      const maxNum = typeof max === 'number' ? max : Number(max);
-
-      return {
-        min: minNum,
-        max: maxNum,
-        color: colors[index % colors.length],
-        label: `${minNum.toFixed(2)} - ${maxNum.toFixed(2)}`
-      };
-    });
+    const scheme = colorSchemes.find(s => s.id === colorSchemeId) || colorSchemes[0];
+    const colors = scheme?.colors || ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
 
-    setConfiguration({
-      ranges,
-      method: 'quantile',
-      numClasses: breaks.length,
+    const breaks = DataAnalyzer.classify(analysis.sortedValues, method, numClasses);
+
+    return {
+      ranges: DataAnalyzer.buildRanges(breaks, analysis.min, colors),
+      method,
+      numClasses,
+      gvf: DataAnalyzer.calculateGVF(analysis.sortedValues, breaks),
       defaultColor: '#cccccc',
-      colorScheme: colorSchemes[0]?.name || 'YlOrRd'
-    });
+      colorScheme: scheme?.id || 'YlOrRd'
+    };
+  };
+
+  // Initialize graduated configuration
+  const initializeGraduated = (analysis) => {
+    setConfiguration(buildGraduated(analysis, 'quantile', analysis.suggestedClasses || 5));
   };
 
   // Initialize proportional configuration
@@ -150,8 +205,18 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
   // Handle type change
   const handleTypeChange = (type) => {
     setStyleType(type);
-    setConfiguration({});
     setFieldAnalysis(null);
+
+    if (type === 'ruleBased') {
+      const existingRule = StyleManager.getLayerRule(layer.layer_name);
+      setConfiguration({
+        rules: existingRule?.type === 'ruleBased'
+          ? existingRule.rules
+          : [createRule(layer.geometry_type, { label: layer.layer_name })]
+      });
+    } else {
+      setConfiguration({});
+    }
   };
 
   // Handle color change for category
@@ -171,87 +236,70 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
   // Change classification method
   const handleMethodChange = (method) => {
     if (!fieldAnalysis) return;
+    setConfiguration(buildGraduated(fieldAnalysis, method, configuration.numClasses, configuration.colorScheme));
+  };
 
-    const breaks = fieldAnalysis.breaks?.[method] || [];
-    const colors = configuration.ranges.map(r => r.color);
-
-    const newRanges = breaks.map((breakValue, index) => {
-      const min = index === 0 ? fieldAnalysis.min : breaks[index - 1];
-      const max = breakValue;
+  // Change number of classes
+  const handleClassCountChange = (numClasses) => {
+    if (!fieldAnalysis) return;
+    setConfiguration(buildGraduated(fieldAnalysis, configuration.method, numClasses, configuration.colorScheme));
+  };
 
-      // Ensure values are numbers before calling toFixed
-      const minNum = typeof min === 'number' ? min : Number(min);
-      const maxNum = typeof max === 'number' ? max : Number(max);
+  // Goodness of variance fit per class count, for the current method
+  const classCountFit = useMemo(() => {
+    if (!fieldAnalysis?.sortedValues || !configuration.method) return [];
+    return DataAnalyzer.evaluateClassCounts(fieldAnalysis.sortedValues, configuration.method);
+  }, [styleType, fieldAnalysis, configuration.method]);
 
-      return {
-        min: minNum,
-        max: maxNum,
-        color: colors[index] || '#cccccc',
-        label: `${minNum.toFixed(2)} - ${maxNum.toFixed(2)}`
-      };
-    });
+  // Value shown next to a preview feature
+  const getPreviewValue = (feature, props, previewRule) => {
+    if (styleType === 'expression') {
+      return StyleRuleEngine.evaluateExpression(expression, props, feature);
+    }
+    if (styleType === 'ruleBased') {
+      const matched = StyleRuleEngine.matchRules(previewRule.rules || [], props, feature, null);
+      return matched.map(r => r.label || r.filter || '∗').join(' › ') || '(aucune règle)';
+    }
+    return props[selectedField];
+  };
 
-    setConfiguration({
-      ...configuration,
-      method,
-      ranges: newRanges
-    });
+  // What the rule is computed from (none for rule-based styles)
+  const getRuleSource = () => {
+    if (styleType === 'expression') return { expression };
+    if (styleType === 'ruleBased') return {};
+    return { field: selectedField };
   };
 
   // Apply rule
   const handleApply = async () => {
-    if (!layer || !selectedField) {
+    if (styleType === 'ruleBased') {
+      const invalid = findInvalidRule(configuration.rules || []);
+      if (!configuration.rules?.length || invalid) {
+        alert(invalid
+          ? `Filtre invalide (${invalid.rule.label || invalid.rule.filter}) : ${invalid.error}`
+          : 'Veuillez ajouter au moins une règle');
+        return;
+      }
+    } else if (styleType === 'expression') {
+      if (!layer || !expression.trim() || expressionError) {
+        alert('Veuillez saisir une expression valide');
+        return;
+      }
+    } else if (!layer || !selectedField) {
       alert('Veuillez sélectionner un champ');
       return;
     }
 
     const rule = {
       type: styleType,
-      field: selectedField,
+      ...getRuleSource(),
       geometryType: layer.geometry_type,
       ...configuration
     };
 
-    // Save to StateManager for immediate visual update
-    const currentRules = StateManager.getState('layers.styleRules') || {};
-    const newRules = {
-      ...currentRules,
-      [layer.layer_name]: rule
-    };
-    StateManager.setState('layers.styleRules', newRules, 'Apply style rule');
-
-    // Save to Grist as metadata row (geometry = NULL)
+    // Apply immediately and save to the layer's Grist metadata row
     try {
-      const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
-      const ruleJSON = JSON.stringify(rule);
-
-      // Check if metadata row already exists for this layer
-      const allData = await GristAPI.fetchTable(currentTable);
-      const metadataRow = allData.find(r =>
-        r.layer_name === layer.layer_name &&
-        (r.geometry_wgs84 === null || r.geometry_wgs84 === '' || !r.geometry_wgs84)
-      );
-
-      if (metadataRow) {
-        // Update existing metadata row
-        await GristAPI.updateRecords(currentTable, [{
-          id: metadataRow.id,
-          style_rule: ruleJSON
-        }]);
-        console.log(`✅ Style rule updated for layer "${layer.layer_name}" (row ${metadataRow.id})`);
-      } else {
-        // Create new metadata row (geometry_wgs84 = null to mark as metadata)
-        await GristAPI.addRecords(currentTable, [{
-          layer_name: layer.layer_name,
-          geometry_wgs84: null,  // NULL geometry marks this as metadata row
-          properties: '{}',
-          style_rule: ruleJSON,
-          is_visible: false,  // Metadata rows are not rendered
-          feature_name: `[METADATA] ${layer.layer_name}`,
-          import_session: Date.now()
-        }]);
-        console.log(`✅ Style rule created for layer "${layer.layer_name}"`);
-      }
+      await StyleManager.saveLayerRule(layer.layer_name, rule);
     } catch (error) {
       console.error('Error saving style rule to Grist:', error);
 
@@ -272,25 +320,8 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
 
   // Reset rule
   const handleReset = async () => {
-    const currentRules = StateManager.getState('layers.styleRules') || {};
-    delete currentRules[layer?.layer_name];
-    StateManager.setState('layers.styleRules', currentRules, 'Reset style rule');
-
-    // Remove metadata row from Grist
     try {
-      const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
-
-      // Find metadata row for this layer
-      const allData = await GristAPI.fetchTable(currentTable);
-      const metadataRow = allData.find(r =>
-        r.layer_name === layer.layer_name &&
-        (r.geometry_wgs84 === null || r.geometry_wgs84 === '' || !r.geometry_wgs84)
-      );
-
-      if (metadataRow) {
-        await GristAPI.deleteRecords(currentTable, [metadataRow.id]);
-        console.log(`✅ Style rule removed for layer "${layer.layer_name}" (deleted row ${metadataRow.id})`);
-      }
+      await StyleManager.removeLayerRule(layer.layer_name);
     } catch (error) {
       console.error('Error removing style rule from Grist:', error);
     }
@@ -341,53 +372,119 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
             <button
               className={`type-btn ${styleType === 'expression' ? 'active' : ''}`}
               onClick={() => handleTypeChange('expression')}
-              disabled
             >
               <span className="type-icon">🔧</span>
               <span className="type-label">Expression</span>
-              <span className="type-hint">Formule (bientôt)</span>
+              <span className="type-hint">Formule calculée</span>
+            </button>
+            <button
+              className={`type-btn ${styleType === 'ruleBased' ? 'active' : ''}`}
+              onClick={() => handleTypeChange('ruleBased')}
+            >
+              <span className="type-icon">📑</span>
+              <span className="type-label">Règles</span>
+              <span className="type-hint">Filtres, zoom, symboles</span>
             </button>
           </div>
         </section>
 
+        {/* Step 2 (expression): Formula */}
+        {styleType === 'expression' && (
+          <section className="editor-section">
+            <h4>2. Expression</h4>
+            <textarea
+              className={`expression-input ${expressionError ? 'invalid' : ''}`}
+              value={expression}
+              onChange={(e) => setExpression(e.target.value)}
+              placeholder={"population / area() * 1e6\nCASE WHEN type = 'école' THEN 'Enseignement' ELSE 'Autre' END"}
+              rows={3}
+              spellCheck={false}
+            />
+
+            {expressionError && (
+              <div className="expression-error">
+                <pre className="expression-error-source">
+                  {formatErrorLocation(expression, expressionError.position)}
+                </pre>
+                <span>{expressionError.error} (position {expressionError.position + 1})</span>
+              </div>
+            )}
+
+            <details className="expression-help">
+              <summary>Fonctions disponibles</summary>
+              <ul>
+                {ExpressionEngine.getFunctions().map(fn => (
+                  <li key={fn.name}><code>{fn.name}()</code> {fn.description}</li>
+                ))}
+              </ul>
+            </details>
+
+            {fieldAnalysis && fieldAnalysis.type !== 'empty' && (
+              <div className="field-info">
+                <span className="info-badge">Résultat: {fieldAnalysis.type}</span>
+                <span className="info-badge">Valeurs: {fieldAnalysis.count}</span>
+              </div>
+            )}
+            {fieldAnalysis?.type === 'empty' && (
+              <div className="field-info">
+                <span className="info-badge">Aucune valeur calculée (NULL pour toutes les entités)</span>
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Step 2 (rules): Rule tree */}
+        {styleType === 'ruleBased' && configuration.rules && (
+          <section className="editor-section">
+            <h4>2. Règles</h4>
+            <RuleBasedStyleEditor
+              rules={configuration.rules}
+              onChange={(rules) => setConfiguration({ ...configuration, rules })}
+              geometryType={layer.geometry_type}
+            />
+          </section>
+        )}
+
         {/* Step 2: Select Field */}
-        <section className="editor-section">
-          <h4>2. Champ d'attribut</h4>
-          <select
-            className="field-selector"
-            value={selectedField}
-            onChange={handleFieldChange}
-          >
-            <option value="">-- Sélectionner un champ --</option>
-            {availableFields.map(field => (
-              <option key={field} value={field}>{field}</option>
-            ))}
-          </select>
-
-          {fieldAnalysis && (
-            <div className="field-info">
-              <span className="info-badge">Type: {fieldAnalysis.type}</span>
-              {fieldAnalysis.type === 'number' && (
-                <>
-                  <span className="info-badge">Min: {typeof fieldAnalysis.min === 'number' ? fieldAnalysis.min.toFixed(2) : fieldAnalysis.min}</span>
-                  <span className="info-badge">Max: {typeof fieldAnalysis.max === 'number' ? fieldAnalysis.max.toFixed(2) : fieldAnalysis.max}</span>
-                  <span className="info-badge">Moyenne: {typeof fieldAnalysis.mean === 'number' ? fieldAnalysis.mean.toFixed(2) : fieldAnalysis.mean}</span>
-                </>
-              )}
-              {fieldAnalysis.type === 'string' && (
-                <span className="info-badge">Valeurs: {fieldAnalysis.uniqueCount}</span>
-              )}
-            </div>
-          )}
-        </section>
+        {styleType !== 'expression' && styleType !== 'ruleBased' && (
+          <section className="editor-section">
+            <h4>2. Champ d'attribut</h4>
+            <select
+              className="field-selector"
+              value={selectedField}
+              onChange={handleFieldChange}
+            >
+              <option value="">-- Sélectionner un champ --</option>
+              {availableFields.map(field => (
+                <option key={field} value={field}>{field}</option>
+              ))}
+            </select>
+
+            {fieldAnalysis && (
+              <div className="field-info">
+                <span className="info-badge">Type: {fieldAnalysis.type}</span>
+                {fieldAnalysis.type === 'number' && (
+                  <>
+                    <span className="info-badge">Min: {typeof fieldAnalysis.min === 'number' ? fieldAnalysis.min.toFixed(2) : fieldAnalysis.min}</span>
+                    <span className="info-badge">Max: {typeof fieldAnalysis.max === 'number' ? fieldAnalysis.max.toFixed(2) : fieldAnalysis.max}</span>
+                    <span className="info-badge">Moyenne: {typeof fieldAnalysis.mean === 'number' ? fieldAnalysis.mean.toFixed(2) : fieldAnalysis.mean}</span>
+                  </>
+                )}
+                {fieldAnalysis.type === 'string' && (
+                  <span className="info-badge">Valeurs: {fieldAnalysis.uniqueCount}</span>
+                )}
+              </div>
+            )}
+          </section>
+        )}
 
         {/* Step 3: Configuration */}
-        {selectedField && fieldAnalysis && (
+        {(selectedField || styleType === 'expression') && fieldAnalysis && (
           <section className="editor-section">
             <h4>3. Configuration</h4>
 
             {/* Categorized configuration */}
-            {styleType === 'categorized' && configuration.categories && (
+            {(styleType === 'categorized' || styleType === 'expression') && configuration.categories && (
               <div className="config-categorized">
                 <div className="categories-list">
                   {configuration.categories.map((cat, index) => (
@@ -406,7 +503,7 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
             )}
 
             {/* Graduated configuration */}
-            {styleType === 'graduated' && configuration.ranges && (
+            {(styleType === 'graduated' || styleType === 'expression') && configuration.ranges && (
               <div className="config-graduated">
                 <div className="method-selector">
                   <label>Méthode de classification:</label>
@@ -414,11 +511,32 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
                     value={configuration.method}
                     onChange={(e) => handleMethodChange(e.target.value)}
                   >
-                    <option value="quantile">Quantile (effectifs égaux)</option>
-                    <option value="equal">Intervalles égaux</option>
-                    <option value="jenks">Jenks (ruptures naturelles)</option>
+                    {CLASSIFICATION_METHODS.map(method => (
+                      <option key={method.id} value={method.id}>{method.label}</option>
+                    ))}
                   </select>
                 </div>
+                <div className="method-selector">
+                  <label>Nombre de classes (qualité GVF):</label>
+                  <div className="class-count-selector">
+                    {classCountFit.map(({ numClasses, actualClasses, gvf }) => (
+                      <button
+                        key={numClasses}
+                        className={`class-count-btn ${numClasses === configuration.numClasses ? 'active' : ''}`}
+                        onClick={() => handleClassCountChange(numClasses)}
+                        title={`${actualClasses} classes obtenues - GVF ${(gvf * 100).toFixed(1)} %`}
+                      >
+                        <span className="class-count">{numClasses}</span>
+                        <span className={`class-gvf ${gvf >= 0.8 ? 'good' : ''}`}>{Math.round(gvf * 100)}%</span>
+                      </button>
+                    ))}
+                  </div>
+                  {typeof configuration.gvf === 'number' && (
+                    <span className="gvf-hint">
+                      GVF actuel : {(configuration.gvf * 100).toFixed(1)} % (au-delà de 80 %, les classes décrivent bien les données)
+                    </span>
+                  )}
+                </div>
                 <div className="ranges-list">
                   {configuration.ranges.map((range, index) => (
                     <div key={index} className="range-row">
@@ -472,7 +590,7 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
         )}
 
         {/* Preview */}
-        {selectedField && configuration && Object.keys(configuration).length > 0 && (
+        {(selectedField || styleType === 'expression' || styleType === 'ruleBased') && configuration && Object.keys(configuration).length > 0 && (
           <section className="editor-section">
             <h4>4. Aperçu</h4>
             <div className="preview-list">
@@ -481,13 +599,14 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
                   ? JSON.parse(feature.properties)
                   : feature.properties;
 
-                const fieldValue = props[selectedField];
-                const previewStyle = StyleRuleEngine.applyStyleRule(feature, {
+                const previewRule = {
                   type: styleType,
-                  field: selectedField,
+                  ...getRuleSource(),
                   geometryType: layer.geometry_type,
                   ...configuration
-                });
+                };
+                const fieldValue = getPreviewValue(feature, props, previewRule);
+                const previewStyle = StyleRuleEngine.applyStyleRule(feature, previewRule);
 
                 return (
                   <div key={index} className="preview-item">
@@ -515,7 +634,11 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
         <button
           className="btn-primary"
           onClick={handleApply}
-          disabled={!selectedField || !configuration || Object.keys(configuration).length === 0}
+          disabled={
+            (styleType === 'expression' && (!expression.trim() || !!expressionError)) ||
+            (styleType !== 'expression' && styleType !== 'ruleBased' && !selectedField) ||
+            !configuration || Object.keys(configuration).length === 0
+          }
         >
           Appliquer
         </button>
@@ -524,4 +647,14 @@ const DataDrivenStyleEditor = ({ layerId, onClose }) => {
   );
 };
 
+/**
+ * Line of the expression containing the error, with a caret under it
+ */
+const formatErrorLocation = (source, position = 0) => {
+  const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+  const lineEnd = source.indexOf('\n', position);
+  const line = source.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+  return `${line}\n${' '.repeat(position - lineStart)}^`;
+};
+
 export default DataDrivenStyleEditor;
@@ -0,0 +1,358 @@
+/**
+ * RuleBasedStyleEditor - Edit a rule-based style (QGIS-like rule tree)
+ *
+ * Each rule: filter expression, optional zoom range, "else" flag,
+ * stacked symbol layers and optional child rules.
+ * Rules are drawn in order; all matching rules draw their symbols.
+ */
+
+import React from 'react';
+import ExpressionEngine from '../../services/ExpressionEngine';
+import { SYMBOL_LAYER_TYPES } from '../../services/StyleRuleEngine';
+import './RuleBasedStyleEditor.css';
+
+let ruleCounter = 0;
+
+/**
+ * Create a rule with symbols suited to the geometry type
+ */
+export const createRule = (geometryType, overrides = {}) => {
+  const type = geometryType?.toUpperCase() || '';
+  let symbolTypes;
+
+  if (type.includes('POINT')) {
+    symbolTypes = ['marker'];
+  } else if (type.includes('LINE')) {
+    symbolTypes = ['line'];
+  } else {
+    symbolTypes = ['fill', 'line'];
+  }
+
+  ruleCounter++;
+
+  return {
+    id: `rule_${Date.now()}_${ruleCounter}`,
+    label: '',
+    filter: '',
+    isElse: false,
+    enabled: true,
+    minZoom: '',
+    maxZoom: '',
+    symbols: symbolTypes.map(createSymbol),
+    children: [],
+    ...overrides
+  };
+};
+
+const createSymbol = (type) => ({
+  type,
+  enabled: true,
+  ...SYMBOL_LAYER_TYPES[type].defaults
+});
+
+/**
+ * First invalid filter of a rule tree (null if all valid)
+ */
+export const findInvalidRule = (rules) => {
+  for (const rule of rules) {
+    if (!rule.isElse && rule.filter && rule.filter.trim()) {
+      const validation = ExpressionEngine.validate(rule.filter);
+      if (!validation.valid) {
+        return { rule, ...validation };
+      }
+    }
+    const invalidChild = findInvalidRule(rule.children || []);
+    if (invalidChild) return invalidChild;
+  }
+  return null;
+};
+
+const RuleBasedStyleEditor = ({ rules, onChange, geometryType }) => {
+  const handleAddRule = () => {
+    onChange([...rules, createRule(geometryType)]);
+  };
+
+  const handleAddElse = () => {
+    onChange([...rules, createRule(geometryType, { isElse: true, label: 'Autres' })]);
+  };
+
+  return (
+    <div className="rule-based-editor">
+      <RuleList rules={rules} onChange={onChange} geometryType={geometryType} depth={0} />
+
+      <div className="rule-actions">
+        <button className="rule-add-btn" onClick={handleAddRule}>+ Règle</button>
+        <button className="rule-add-btn" onClick={handleAddElse}>+ Sinon (else)</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * RuleList - Ordered list of sibling rules
+ */
+const RuleList = ({ rules, onChange, geometryType, depth }) => {
+  const updateRule = (index, updated) => {
+    onChange(rules.map((rule, i) => (i === index ? updated : rule)));
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <div className={`rule-list ${depth > 0 ? 'nested' : ''}`}>
+      {rules.map((rule, index) => (
+        <RuleItem
+          key={rule.id}
+          rule={rule}
+          geometryType={geometryType}
+          depth={depth}
+          onChange={(updated) => updateRule(index, updated)}
+          onRemove={() => removeRule(index)}
+          onMoveUp={() => moveRule(index, -1)}
+          onMoveDown={() => moveRule(index, 1)}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * RuleItem - Single rule with its symbols and children
+ */
+const RuleItem = ({ rule, geometryType, depth, onChange, onRemove, onMoveUp, onMoveDown }) => {
+  const validation = !rule.isElse && rule.filter?.trim()
+    ? ExpressionEngine.validate(rule.filter)
+    : { valid: true };
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const updateSymbol = (index, changes) => {
+    update({ symbols: rule.symbols.map((s, i) => (i === index ? { ...s, ...changes } : s)) });
+  };
+
+  const removeSymbol = (index) => {
+    update({ symbols: rule.symbols.filter((_, i) => i !== index) });
+  };
+
+  const addSymbol = (type) => {
+    if (!type) return;
+    update({ symbols: [...rule.symbols, createSymbol(type)] });
+  };
+
+  return (
+    <div className={`rule-item ${rule.enabled === false ? 'disabled' : ''}`}>
+      <div className="rule-header">
+        <input
+          type="checkbox"
+          checked={rule.enabled !== false}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          title="Activer / désactiver"
+        />
+        <input
+          type="text"
+          className="rule-label-input"
+          value={rule.label}
+          onChange={(e) => update({ label: e.target.value })}
+          placeholder={rule.isElse ? 'Autres' : 'Libellé de la légende'}
+        />
+        <button className="rule-icon-btn" onClick={onMoveUp} title="Monter">↑</button>
+        <button className="rule-icon-btn" onClick={onMoveDown} title="Descendre">↓</button>
+        {depth < 2 && (
+          <button
+            className="rule-icon-btn"
+            onClick={() => update({ children: [...(rule.children || []), createRule(geometryType)] })}
+            title="Ajouter une sous-règle"
+          >
+            ↳
+          </button>
+        )}
+        <button className="rule-icon-btn danger" onClick={onRemove} title="Supprimer">✕</button>
+      </div>
+
+      <div className="rule-body">
+        <label className="rule-else">
+          <input
+            type="checkbox"
+            checked={!!rule.isElse}
+            onChange={(e) => update({ isElse: e.target.checked })}
+          />
+          Sinon (entités non couvertes par les autres règles)
+        </label>
+
+        {!rule.isElse && (
+          <div className="rule-filter">
+            <input
+              type="text"
+              className={`rule-filter-input ${validation.valid ? '' : 'invalid'}`}
+              value={rule.filter}
+              onChange={(e) => update({ filter: e.target.value })}
+              placeholder="Filtre, ex: nature = 'école' (vide = toutes)"
+              spellCheck={false}
+            />
+            {!validation.valid && (
+              <span className="rule-error">
+                {validation.error} (position {validation.position + 1})
+              </span>
+            )}
+          </div>
+        )}
+
+        <div className="rule-zoom">
+          <span>Zoom</span>
+          <input
+            type="number"
+            min="0"
+            max="22"
+            value={rule.minZoom ?? ''}
+            onChange={(e) => update({ minZoom: e.target.value === '' ? '' : Number(e.target.value) })}
+            placeholder="min"
+          />
+          <span>à</span>
+          <input
+            type="number"
+            min="0"
+            max="22"
+            value={rule.maxZoom ?? ''}
+            onChange={(e) => update({ maxZoom: e.target.value === '' ? '' : Number(e.target.value) })}
+            placeholder="max"
+          />
+        </div>
+
+        <div className="symbol-list">
+          {rule.symbols.map((symbol, index) => (
+            <SymbolLayerEditor
+              key={index}
+              symbol={symbol}
+              onChange={(changes) => updateSymbol(index, changes)}
+              onRemove={() => removeSymbol(index)}
+            />
+          ))}
+
+          <select className="symbol-add" value="" onChange={(e) => addSymbol(e.target.value)}>
+            <option value="">+ Couche de symbole…</option>
+            {Object.entries(SYMBOL_LAYER_TYPES).map(([type, def]) => (
+              <option key={type} value={type}>{def.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {rule.children?.length > 0 && (
+          <RuleList
+            rules={rule.children}
+            onChange={(children) => update({ children })}
+            geometryType={geometryType}
+            depth={depth + 1}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * SymbolLayerEditor - Parameters of one symbol layer
+ */
+const SymbolLayerEditor = ({ symbol, onChange, onRemove }) => {
+  const numberInput = (key, label, props = {}) => (
+    <label className="symbol-param">
+      {label}
+      <input
+        type="number"
+        value={symbol[key]}
+        onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+        {...props}
+      />
+    </label>
+  );
+
+  const colorInput = (key, label) => (
+    <label className="symbol-param">
+      {label}
+      <input type="color" value={symbol[key]} onChange={(e) => onChange({ [key]: e.target.value })} />
+    </label>
+  );
+
+  return (
+    <div className={`symbol-layer ${symbol.enabled === false ? 'disabled' : ''}`}>
+      <input
+        type="checkbox"
+        checked={symbol.enabled !== false}
+        onChange={(e) => onChange({ enabled: e.target.checked })}
+      />
+      <span className="symbol-type">{SYMBOL_LAYER_TYPES[symbol.type]?.label || symbol.type}</span>
+
+      <div className="symbol-params">
+        {symbol.type === 'fill' && (
+          <>
+            {colorInput('color', 'Couleur')}
+            {numberInput('opacity', 'Opacité', { min: 0, max: 1, step: 0.1 })}
+          </>
+        )}
+
+        {symbol.type === 'line' && (
+          <>
+            {colorInput('color', 'Couleur')}
+            {numberInput('width', 'Épaisseur', { min: 0, max: 20, step: 0.5 })}
+            <label className="symbol-param">
+              Tirets
+              <input
+                type="text"
+                value={symbol.dashArray || ''}
+                onChange={(e) => onChange({ dashArray: e.target.value })}
+                placeholder="ex: 4 4"
+              />
+            </label>
+          </>
+        )}
+
+        {symbol.type === 'hatch' && (
+          <>
+            {colorInput('color', 'Couleur')}
+            {numberInput('angle', 'Angle', { min: 0, max: 180, step: 15 })}
+            {numberInput('spacing', 'Espacement', { min: 2, max: 40 })}
+          </>
+        )}
+
+        {symbol.type === 'marker' && (
+          <>
+            {colorInput('color', 'Couleur')}
+            {numberInput('size', 'Rayon', { min: 1, max: 40 })}
+            {colorInput('strokeColor', 'Contour')}
+          </>
+        )}
+
+        {symbol.type === 'label' && (
+          <>
+            <label className="symbol-param wide">
+              Texte
+              <input
+                type="text"
+                value={symbol.expression}
+                onChange={(e) => onChange({ expression: e.target.value })}
+                placeholder="ex: nom || ' (' || code || ')'"
+                spellCheck={false}
+              />
+            </label>
+            {colorInput('color', 'Couleur')}
+            {numberInput('fontSize', 'Taille', { min: 6, max: 36 })}
+          </>
+        )}
+      </div>
+
+      <button className="rule-icon-btn danger" onClick={onRemove} title="Supprimer">✕</button>
+    </div>
+  );
+};
+
+export default RuleBasedStyleEditor;
@@ -0,0 +1,228 @@
+/**
+ * LayerValidationPanel - Validation topologique d'une couche
+ *
+ * - Validation de toutes les features d'une couche (seuils pics / slivers)
+ * - Problèmes affichés sur la carte et listés (clic = localiser)
+ * - Rapport écrit dans la table GIS_Validation_Report
+ * - Réparation par lot des features en erreur (opérations au choix)
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import StateManager from '../../core/StateManager';
+import LayerValidationService from '../../services/LayerValidationService';
+import {
+  DEFAULT_VALIDATION_OPTIONS,
+  ISSUE_TYPES,
+  REPAIR_OPERATIONS
+} from '../../services/TopologyValidator';
+import ValidationIssueList from './ValidationIssueList';
+import './LayerValidationPanel.css';
+
+const ALL_LAYERS = '__all__';
+
+// Supprimer les slivers efface des géométries : opt-in
+const DEFAULT_OPERATIONS = Object.keys(REPAIR_OPERATIONS).filter(op => op !== 'remove_slivers');
+
+const LayerValidationPanel = ({ features }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [layerName, setLayerName] = useState(ALL_LAYERS);
+  const [spikeAngle, setSpikeAngle] = useState(DEFAULT_VALIDATION_OPTIONS.spikeAngle);
+  const [sliverThinness, setSliverThinness] = useState(DEFAULT_VALIDATION_OPTIONS.sliverThinness);
+  const [operations, setOperations] = useState(DEFAULT_OPERATIONS);
+  const [lastRun, setLastRun] = useState(() => StateManager.getState('validation.lastRun'));
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    return StateManager.subscribe('validation.lastRun', setLastRun);
+  }, []);
+
+  const layerNames = useMemo(() => {
+    return Array.from(new Set(features.map(f => f.layer_name).filter(Boolean))).sort();
+  }, [features]);
+
+  const getLayerFeatures = () => (layerName === ALL_LAYERS
+    ? features
+    : features.filter(f => f.layer_name === layerName));
+
+  const getOptions = () => ({ spikeAngle, sliverThinness });
+
+  const handleValidate = () => {
+    const records = getLayerFeatures();
+    const run = LayerValidationService.run(
+      records,
+      getOptions(),
+      layerName === ALL_LAYERS ? 'Toutes les couches' : layerName
+    );
+    setStatus({
+      type: 'info',
+      text: `${run.featureCount} feature(s) validée(s), ${run.issues.length} problème(s)`
+    });
+  };
+
+  const handleWriteReport = async () => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const count = await LayerValidationService.writeReport(lastRun);
+      setStatus({ type: 'success', text: `${count} ligne(s) écrite(s) dans GIS_Validation_Report` });
+    } catch (error) {
+      console.error('[LayerValidationPanel] Report error:', error);
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Features ayant au moins un problème réparable
+  const repairableIds = useMemo(() => {
+    if (!lastRun) return [];
+    return Array.from(new Set(
+      lastRun.issues
+        .filter(issue => ISSUE_TYPES[issue.type].repairable)
+        .map(issue => issue.feature_id)
+    ));
+  }, [lastRun]);
+
+  const handleRepair = async () => {
+    const records = features.filter(f => repairableIds.includes(f.id));
+    if (!window.confirm(`Réécrire la géométrie de ${records.length} feature(s) dans Grist ?`)) return;
+
+    setBusy(true);
+    setStatus(null);
+    try {
+      const result = await LayerValidationService.repairRecords(records, operations, getOptions());
+
+      // Revalider les features réparées
+      const workspace = StateManager.getState('layers.workspace') || [];
+      LayerValidationService.run(
+        workspace.filter(f => repairableIds.includes(f.id)),
+        getOptions(),
+        `${lastRun.label} (après réparation)`
+      );
+
+      const failedText = result.failed.length > 0 ? `, ${result.failed.length} échec(s)` : '';
+      setStatus({
+        type: result.failed.length > 0 ? 'error' : 'success',
+        text: `${result.repaired} géométrie(s) réparée(s)${failedText}`
+      });
+    } catch (error) {
+      console.error('[LayerValidationPanel] Repair error:', error);
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleOperation = (op) => {
+    setOperations(operations.includes(op)
+      ? operations.filter(o => o !== op)
+      : [...operations, op]);
+  };
+
+  return (
+    <div className="layer-validation">
+      <div
+        className={`category-header ${expanded ? 'expanded' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+        style={{ borderLeftColor: '#06b6d4' }}
+      >
+        <span className="category-icon">🧭</span>
+        <span className="category-label">Validation topologique</span>
+        <span className="expand-icon">{expanded ? '▼' : '▶'}</span>
+      </div>
+
+      {expanded && (
+        <div className="layer-validation-body">
+          <div className="validation-field">
+            <label>Couche</label>
+            <select value={layerName} onChange={(e) => setLayerName(e.target.value)}>
+              <option value={ALL_LAYERS}>Toutes les couches</option>
+              {layerNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="validation-thresholds">
+            <div className="validation-field">
+              <label title="Angle au sommet en dessous duquel un sommet est un pic">Pics (°)</label>
+              <input
+                type="number"
+                min="0"
+                max="45"
+                step="0.5"
+                value={spikeAngle}
+                onChange={(e) => setSpikeAngle(parseFloat(e.target.value) || 0)}
+              />
+            </div>
+            <div className="validation-field">
+              <label title="Indice de compacité 4πA/P² (cercle = 1)">Slivers (4πA/P²)</label>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.01"
+                value={sliverThinness}
+                onChange={(e) => setSliverThinness(parseFloat(e.target.value) || 0)}
+              />
+            </div>
+          </div>
+
+          <div className="validation-actions">
+            <button className="btn-validate" onClick={handleValidate} disabled={busy || features.length === 0}>
+              Valider
+            </button>
+            {lastRun && (
+              <button className="btn-secondary" onClick={() => LayerValidationService.clear()} disabled={busy}>
+                Effacer
+              </button>
+            )}
+          </div>
+
+          {lastRun && (
+            <>
+              <div className="validation-run-label">{lastRun.label}</div>
+              <ValidationIssueList issues={lastRun.issues} />
+
+              <div className="validation-actions">
+                <button className="btn-secondary" onClick={handleWriteReport} disabled={busy}>
+                  📋 Écrire le rapport dans Grist
+                </button>
+              </div>
+
+              {repairableIds.length > 0 && (
+                <div className="validation-repair">
+                  <h5>Réparation</h5>
+                  {Object.entries(REPAIR_OPERATIONS).map(([op, label]) => (
+                    <label key={op} className="validation-operation">
+                      <input
+                        type="checkbox"
+                        checked={operations.includes(op)}
+                        onChange={() => toggleOperation(op)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                  <button
+                    className="btn-repair"
+                    onClick={handleRepair}
+                    disabled={busy || operations.length === 0}
+                  >
+                    🔧 Réparer {repairableIds.length} feature(s)
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+
+          {status && (
+            <div className={`validation-status ${status.type}`}>{status.text}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayerValidationPanel;
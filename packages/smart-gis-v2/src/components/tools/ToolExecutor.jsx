@@ -2,13 +2,20 @@
  * ToolExecutor - Exécution des outils spatiaux
  *
  * Modal pour configurer les paramètres et exécuter un outil
- * Gère l'appel des fonctions Grist (ST_*) et l'affichage des résultats
+ * Calcul côté client via GeometryEngine (pas besoin des fonctions ST_* Python)
+ * Résultats écrits dans Grist : nouvelles lignes (géométries) ou propriétés (valeurs)
  */
 
 import React, { useState } from 'react';
 import GristAPI from '../../core/GristAPI';
 import StateManager from '../../core/StateManager';
+import ActionJournal from '../../core/ActionJournal';
+import GeometryEngine from '../../services/GeometryEngine';
+import SelectionManager from '../../services/SelectionManager';
+import LayerValidationService from '../../services/LayerValidationService';
+import LayerMetadataService from '../../services/LayerMetadataService';
 import ParamsForm from './ParamsForm';
+import ValidationIssueList from './ValidationIssueList';
 import './ToolExecutor.css';
 
 const ToolExecutor = ({ tool, selectedFeatures, onClose }) => {
@@ -17,46 +24,46 @@ const ToolExecutor = ({ tool, selectedFeatures, onClose }) => {
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
 
+  // Valeurs saisies + valeurs par défaut des paramètres non modifiés
+  const resolveParams = () => {
+    const resolved = {};
+    (tool.params || []).forEach(param => {
+      resolved[param.name] = params[param.name] !== undefined
+        ? params[param.name]
+        : param.default;
+    });
+    return resolved;
+  };
+
+  const getWKT = (feature) => feature.geometry_wgs84 || feature.geometry;
+
   const handleExecute = async () => {
     setExecuting(true);
     setError(null);
     setResult(null);
 
     try {
-      // Construire formule selon type d'outil
-      let formula;
-
-      if (tool.multiSelect) {
-        // Outil multi-géométries
-        const geometries = selectedFeatures.map(f => f.geometry_wgs84 || f.geometry);
-
-        if (tool.minSelection === 2 && tool.maxSelection === 2) {
-          // Exactement 2 géométries (ex: intersection, distance)
-          formula = tool.formula(geometries[0], geometries[1], params);
-        } else {
-          // Multiple géométries (ex: union, convex hull)
-          formula = tool.formula(geometries, params);
-        }
-      } else {
-        // Outil mono-géométrie
-        const geometry = selectedFeatures[0].geometry_wgs84 || selectedFeatures[0].geometry;
-        formula = tool.formula(geometry, params);
-      }
-
-      console.log('Tool formula:', formula);
-
-      // Exécuter selon type de résultat
+      const resolvedParams = resolveParams();
       let resultValue;
 
-      if (tool.resultType === 'geometry') {
-        // Créer nouvelle feature avec géométrie résultante
-        resultValue = await executeGeometryTool(formula, tool);
-      } else if (tool.resultType === 'numeric' || tool.resultType === 'text' || tool.resultType === 'boolean') {
-        // Calculer valeur simple
-        resultValue = await executeCalculation(formula);
-      } else if (tool.executionMode === 'filter') {
+      if (tool.executionMode === 'filter') {
         // Requête spatiale = filtrage
-        resultValue = await executeFilter(tool, params);
+        resultValue = await executeFilter(tool, resolvedParams);
+      } else if (tool.executionMode === 'validation') {
+        // Rapport topologique affiché sur la carte
+        resultValue = executeValidation(tool, resolvedParams);
+      } else {
+        // Ordre de sélection conservé (ex: difference = 1ère - 2ème)
+        const value = GeometryEngine.run(tool, selectedFeatures.map(getWKT), resolvedParams);
+
+        // Écriture dans Grist annulable (journal)
+        resultValue = await ActionJournal.group(`Outil: ${tool.label}`, () => (
+          tool.resultType === 'geometry'
+            // Créer nouvelle feature avec géométrie résultante
+            ? executeGeometryTool(value, tool, resolvedParams)
+            // Valeur simple (distance, area, type...)
+            : executeCalculation(value, tool, resolvedParams)
+        ));
       }
 
       setResult(resultValue);
@@ -69,77 +76,117 @@ const ToolExecutor = ({ tool, selectedFeatures, onClose }) => {
     }
   };
 
-  const executeGeometryTool = async (formula, tool) => {
-    // NOTE: Pour la roadmap, on documente l'approche
-    // Cette fonction devrait utiliser des colonnes temporaires dans Grist
-
+  const executeGeometryTool = async (wkt, tool, resolvedParams) => {
     const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    const source = selectedFeatures[0];
 
-    // Pour l'instant, on simule le résultat
-    // TODO: Implémenter vraie logique avec colonnes temporaires Grist
-    console.log('Would execute geometry formula:', formula);
-
-    // Créer nouveau record simulé
+    // IMPORTANT: Only NON-FORMULA columns (geometry_type, geojson... are computed by Grist)
     const newRecord = {
       layer_name: `${tool.label} Result`,
-      layer_type: 'vector',
-      geometry: 'POINT(2.3522 48.8566)',  // Simulé
+      geometry_wgs84: wkt,
       properties: JSON.stringify({
         source_tool: tool.id,
+        source_ids: selectedFeatures.map(f => f.id),
+        params: resolvedParams,
         created_at: new Date().toISOString()
       }),
-      style: JSON.stringify({
-        color: '#10b981',
-        fillColor: '#10b981',
-        fillOpacity: 0.4,
-        weight: 2
-      }),
-      z_index: 100,
-      is_visible: true
+      feature_name: `${tool.label} - ${source.feature_name || source.id}`,
+      import_session: Date.now(),
+      is_visible: true,
+      z_index: 100
     };
 
-    // TODO: Décommenter quand l'infrastructure Grist est prête
-    // await GristAPI.addRecords(currentTable, [newRecord]);
+    await GristAPI.addRecords(currentTable, [newRecord]);
+    // Recharger les features (et les métadonnées des couches) après écriture dans Grist
+    await LayerMetadataService.loadWorkspace(currentTable);
 
     return {
       type: 'geometry',
-      geometry: newRecord.geometry,
+      geometry: wkt,
       message: `Nouvelle géométrie créée: ${tool.label}`,
-      note: '(Simulation - implémentation complète en Phase 4)'
+      note: `Couche "${newRecord.layer_name}"`
     };
   };
 
-  const executeCalculation = async (formula) => {
-    // Calcul simple (distance, area, etc.)
-    console.log('Would calculate:', formula);
+  const executeCalculation = async (value, tool, resolvedParams) => {
+    const unit = tool.resultUnit ? tool.resultUnit(resolvedParams) : null;
+    let note = null;
+
+    // Enregistrer la valeur dans les propriétés de la feature
+    if (tool.resultProperty && selectedFeatures.length === 1) {
+      const feature = selectedFeatures[0];
+      const key = tool.resultProperty(resolvedParams);
+      const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+
+      let properties = {};
+      try {
+        properties = JSON.parse(feature.properties || '{}');
+      } catch {
+        // Propriétés invalides: repartir d'un objet vide
+      }
 
-    // TODO: Implémenter vraie logique avec colonnes temporaires Grist
+      await GristAPI.updateRecords(currentTable, [{
+        id: feature.id,
+        properties: JSON.stringify({ ...properties, [key]: value })
+      }]);
+      await LayerMetadataService.loadWorkspace(currentTable);
 
-    // Simuler résultat
-    const simulatedValue = Math.random() * 1000;
+      note = `Enregistré dans la propriété "${key}"`;
+    }
 
     return {
-      type: 'value',
-      value: simulatedValue,
-      unit: tool.resultUnit ? tool.resultUnit(params) : null,
-      note: '(Simulation - implémentation complète en Phase 4)'
+      type: tool.resultType === 'numeric' ? 'value' : tool.resultType,
+      value,
+      unit,
+      note
     };
   };
 
-  const executeFilter = async (tool, params) => {
-    // Requête spatiale = sélectionner features qui matchent le prédicat
-    console.log('Would filter with predicate:', tool.predicate);
+  const executeFilter = async (tool, resolvedParams) => {
+    // Géométrie de référence : paramètre saisi (WKT) ou feature sélectionnée
+    const pickerParam = (tool.params || []).find(p => p.type === 'geometry_picker');
+    const pickedWKT = pickerParam ? resolvedParams[pickerParam.name] : null;
+    const reference = pickedWKT
+      ? GeometryEngine.parse(pickedWKT)
+      : GeometryEngine.getRecordGeometry(selectedFeatures[0]);
+
+    if (!reference) {
+      throw new Error('Géométrie de référence invalide');
+    }
+
+    const excludedIds = pickedWKT ? [] : selectedFeatures.map(f => f.id);
+    const candidates = (StateManager.getState('layers.workspace') || [])
+      .filter(f => !excludedIds.includes(f.id));
+
+    const options = { distance: resolvedParams.max_distance, unit: 'm' };
 
-    // TODO: Implémenter vraie logique
+    const matchingIds = candidates
+      .filter(feature => {
+        const geometry = GeometryEngine.getRecordGeometry(feature);
+        return geometry && GeometryEngine.evaluatePredicate(tool.id, geometry, reference, options);
+      })
+      .map(f => f.id);
 
-    // Simuler résultat
-    const matchingCount = Math.floor(Math.random() * 10);
+    await SelectionManager.setSelection(matchingIds);
 
     return {
       type: 'selection',
-      count: matchingCount,
-      message: `${matchingCount} feature(s) trouvée(s)`,
-      note: '(Simulation - implémentation complète en Phase 4)'
+      count: matchingIds.length,
+      message: `${matchingIds.length} feature(s) trouvée(s)`,
+      note: matchingIds.length > 0 ? 'Résultats sélectionnés sur la carte' : null
+    };
+  };
+
+  const executeValidation = (tool, resolvedParams) => {
+    const run = LayerValidationService.run(selectedFeatures, {
+      spikeAngle: resolvedParams.spike_angle,
+      sliverThinness: resolvedParams.sliver_threshold
+    }, tool.label);
+
+    return {
+      type: 'validation',
+      issues: run.issues,
+      note: run.issues.length > 0 ? 'Problèmes affichés sur la carte' : null
     };
   };
 
@@ -202,12 +249,31 @@ const ToolExecutor = ({ tool, selectedFeatures, onClose }) => {
                   {result.note && <div className="result-note">{result.note}</div>}
                 </div>
               )}
+              {result.type === 'boolean' && (
+                <div className="result-value">
+                  <strong>✅ Résultat :</strong> {result.value ? 'Oui' : 'Non'}
+                  {result.note && <div className="result-note">{result.note}</div>}
+                </div>
+              )}
+              {result.type === 'text' && (
+                <div className="result-value">
+                  <strong>✅ Résultat :</strong>
+                  <pre className="result-text">{result.value}</pre>
+                  {result.note && <div className="result-note">{result.note}</div>}
+                </div>
+              )}
               {result.type === 'geometry' && (
                 <div className="success-message">
                   <strong>✅ {result.message}</strong>
                   {result.note && <div className="result-note">{result.note}</div>}
                 </div>
               )}
+              {result.type === 'validation' && (
+                <div className="result-value">
+                  <ValidationIssueList issues={result.issues} />
+                  {result.note && <div className="result-note">{result.note}</div>}
+                </div>
+              )}
               {result.type === 'selection' && (
                 <div className="success-message">
                   <strong>✅ {result.message}</strong>
@@ -0,0 +1,78 @@
+/**
+ * ValidationIssueList - Liste des problèmes topologiques
+ *
+ * Regroupés par feature; un clic centre la carte sur le problème
+ * (ValidationLayer)
+ */
+
+import React, { useMemo } from 'react';
+import LayerValidationService from '../../services/LayerValidationService';
+import './ValidationIssueList.css';
+
+const SEVERITY_ICONS = {
+  error: '⛔',
+  warning: '⚠️'
+};
+
+const ValidationIssueList = ({ issues, maxFeatures = 100 }) => {
+  const byFeature = useMemo(() => {
+    const groups = new Map();
+    issues.forEach(issue => {
+      if (!groups.has(issue.feature_id)) {
+        groups.set(issue.feature_id, { name: issue.feature_name, layer: issue.layer_name, issues: [] });
+      }
+      groups.get(issue.feature_id).issues.push(issue);
+    });
+    return Array.from(groups.entries());
+  }, [issues]);
+
+  if (issues.length === 0) {
+    return <div className="validation-ok">✅ Aucun problème détecté</div>;
+  }
+
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+
+  return (
+    <div className="validation-issues">
+      <div className="validation-summary">
+        <span className="validation-count error">{errorCount} erreur(s)</span>
+        <span className="validation-count warning">{issues.length - errorCount} avertissement(s)</span>
+        <span className="validation-count">{byFeature.length} feature(s)</span>
+      </div>
+
+      <ul className="validation-feature-list">
+        {byFeature.slice(0, maxFeatures).map(([featureId, group]) => (
+          <li key={featureId} className="validation-feature">
+            <div className="validation-feature-name">
+              {group.name} <span className="validation-layer">{group.layer}</span>
+            </div>
+            <ul>
+              {group.issues.map((issue, index) => (
+                <li key={index}>
+                  <button
+                    type="button"
+                    className={`validation-issue ${issue.severity}`}
+                    onClick={() => LayerValidationService.focusIssue(issue)}
+                    disabled={!issue.location}
+                    title={issue.location ? 'Localiser sur la carte' : 'Pas de position'}
+                  >
+                    <span>{SEVERITY_ICONS[issue.severity]}</span>
+                    <span>{issue.message}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+
+      {byFeature.length > maxFeatures && (
+        <div className="validation-more">
+          … et {byFeature.length - maxFeatures} autre(s) feature(s)
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationIssueList;
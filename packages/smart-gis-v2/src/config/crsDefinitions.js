@@ -0,0 +1,176 @@
+/**
+ * CRS Definitions - Coordinate reference systems known by the widget
+ *
+ * Each entry is registered in proj4 by ProjectionService:
+ * - code: EPSG code
+ * - name: display name
+ * - group: used to organize selectors
+ * - proj4: proj4 definition string
+ * - bbox: area of use in WGS84 [west, south, east, north]
+ *
+ * RGF93-based systems use a null datum shift (+towgs84=0,0,0,...),
+ * which is the IGN recommendation for metric accuracy.
+ */
+
+const RGF93 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs';
+
+/**
+ * Lambert Conique Conforme 9 zones (CC42 → CC50, EPSG:3942 → 3950)
+ * Zone N: latitude of origin N°, standard parallels N ± 0.75°,
+ * false northing (N - 41) × 1 000 000 + 200 000
+ */
+const CC_ZONES = [42, 43, 44, 45, 46, 47, 48, 49, 50].map(zone => ({
+  code: 3900 + zone,
+  name: `RGF93 / CC${zone}`,
+  group: 'France métropolitaine',
+  proj4: `+proj=lcc +lat_0=${zone} +lon_0=3 +lat_1=${zone - 0.75} +lat_2=${zone + 0.75} ` +
+    `+x_0=1700000 +y_0=${(zone - 41) * 1000000 + 200000} ${RGF93}`,
+  bbox: [-5.5, zone - 1, 10, zone + 1]
+}));
+
+export const CRS_DEFINITIONS = [
+  // === Global ===
+  {
+    code: 4326,
+    name: 'WGS 84 (GPS)',
+    group: 'Mondial',
+    proj4: '+proj=longlat +datum=WGS84 +no_defs',
+    bbox: [-180, -90, 180, 90]
+  },
+  {
+    code: 3857,
+    name: 'WGS 84 / Pseudo-Mercator (Web)',
+    group: 'Mondial',
+    proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs',
+    bbox: [-180, -85.06, 180, 85.06]
+  },
+  {
+    code: 32630,
+    name: 'WGS 84 / UTM 30N',
+    group: 'Mondial',
+    proj4: '+proj=utm +zone=30 +datum=WGS84 +units=m +no_defs',
+    bbox: [-6, 0, 0, 84]
+  },
+  {
+    code: 32631,
+    name: 'WGS 84 / UTM 31N',
+    group: 'Mondial',
+    proj4: '+proj=utm +zone=31 +datum=WGS84 +units=m +no_defs',
+    bbox: [0, 0, 6, 84]
+  },
+  {
+    code: 32632,
+    name: 'WGS 84 / UTM 32N',
+    group: 'Mondial',
+    proj4: '+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs',
+    bbox: [6, 0, 12, 84]
+  },
+
+  // === Europe ===
+  {
+    code: 3035,
+    name: 'ETRS89 / LAEA Europe',
+    group: 'Europe',
+    proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    bbox: [-35.58, 24.6, 44.83, 84.73]
+  },
+
+  // === France métropolitaine ===
+  {
+    code: 4171,
+    name: 'RGF93 (géographique)',
+    group: 'France métropolitaine',
+    proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+    bbox: [-9.86, 41.15, 10.38, 51.56]
+  },
+  {
+    code: 2154,
+    name: 'RGF93 / Lambert-93',
+    group: 'France métropolitaine',
+    proj4: `+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 ${RGF93}`,
+    bbox: [-9.86, 41.15, 10.38, 51.56]
+  },
+  ...CC_ZONES,
+  {
+    code: 27572,
+    name: 'NTF (Paris) / Lambert II étendu',
+    group: 'France métropolitaine',
+    proj4: '+proj=lcc +lat_1=46.8 +lat_0=46.8 +lon_0=0 +k_0=0.99987742 +x_0=600000 +y_0=2200000 ' +
+      '+a=6378249.2 +b=6356515 +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs',
+    bbox: [-4.87, 42.33, 8.23, 51.14]
+  },
+
+  // === Outre-mer ===
+  {
+    code: 5490,
+    name: 'RGAF09 / UTM 20N (Guadeloupe, Martinique)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=20 ${RGF93}`,
+    bbox: [-63.2, 14.08, -60.73, 18.17]
+  },
+  {
+    code: 4559,
+    name: 'RRAF 1991 / UTM 20N (Antilles, ancien)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=20 ${RGF93}`,
+    bbox: [-63.2, 14.08, -60.73, 18.17]
+  },
+  {
+    code: 2972,
+    name: 'RGFG95 / UTM 22N (Guyane)',
+    group: 'Outre-mer',
+    proj4: '+proj=utm +zone=22 +ellps=GRS80 +towgs84=2,2,-2,0,0,0,0 +units=m +no_defs',
+    bbox: [-54.61, 2.11, -51.61, 5.81]
+  },
+  {
+    code: 2975,
+    name: 'RGR92 / UTM 40S (La Réunion)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=40 +south ${RGF93}`,
+    bbox: [55.16, -21.42, 55.91, -20.81]
+  },
+  {
+    code: 4471,
+    name: 'RGM04 / UTM 38S (Mayotte)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=38 +south ${RGF93}`,
+    bbox: [44.98, -13.05, 45.35, -12.61]
+  },
+  {
+    code: 4467,
+    name: 'RGSPM06 / UTM 21N (Saint-Pierre-et-Miquelon)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=21 ${RGF93}`,
+    bbox: [-56.48, 46.69, -56.07, 47.19]
+  },
+  {
+    code: 3163,
+    name: 'RGNC91-93 / Lambert Nouvelle-Calédonie',
+    group: 'Outre-mer',
+    proj4: '+proj=lcc +lat_0=-21.5 +lon_0=166 +lat_1=-20.6666666666667 +lat_2=-22.3333333333333 ' +
+      `+x_0=400000 +y_0=300000 ${RGF93}`,
+    bbox: [163.55, -22.73, 168.19, -19.5]
+  },
+  {
+    code: 3297,
+    name: 'RGPF / UTM 6S (Polynésie française)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=6 +south ${RGF93}`,
+    bbox: [-150.0, -27.7, -144.0, -7.3]
+  },
+  {
+    code: 8903,
+    name: 'RGWF96 / UTM 1S (Wallis-et-Futuna)',
+    group: 'Outre-mer',
+    proj4: `+proj=utm +zone=1 +south ${RGF93}`,
+    bbox: [-178.3, -14.4, -175.9, -13.1]
+  }
+];
+
+/**
+ * Choice options for forms (tool parameters, import configuration)
+ */
+export const CRS_OPTIONS = CRS_DEFINITIONS.map(def => ({
+  value: def.code,
+  label: `${def.code} - ${def.name}`
+}));
@@ -6,6 +6,130 @@
  */
 
 import { geoJSONToWKT } from '../utils/geometryConverters';
+import { readShapefileZip } from '../utils/formats/shapefile';
+import { readGeoPackage } from '../utils/formats/geopackage';
+import { readKML, readKMZ, readGPX } from '../utils/formats/kml';
+import { readOverpass } from '../utils/formats/osm';
+import ProjectionService, { WGS84 } from '../services/ProjectionService';
+import OGCFeatureService, { PROTOCOLS } from '../services/OGCFeatureService';
+import OverpassQueryService from '../services/OverpassQueryService';
+import dataCatalog from '../core/DataCatalog';
+import { CRS_OPTIONS } from './crsDefinitions';
+
+/**
+ * Source CRS of file imports (geometries are reprojected to WGS84 on import,
+ * see ProjectionService.reprojectFeatures)
+ */
+const SOURCE_CRS_FIELD = {
+  name: 'source_crs',
+  label: 'Système de coordonnées source',
+  type: 'choice',
+  options: [
+    { value: 'auto', label: 'Détection automatique (SRID, GeoJSON crs, sinon WGS84)' },
+    ...CRS_OPTIONS
+  ],
+  defaultValue: 'auto',
+  help: 'Les géométries sont reprojetées en WGS84 (4326) à l\'import'
+};
+
+/**
+ * Largest file accepted by methods with `streaming: true`: files above their
+ * maxSize are parsed in a worker and imported in chunks
+ * (services/StreamingImportService.js)
+ */
+export const STREAMING_MAX_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+
+/**
+ * Multi-layer files (Shapefile zip, GeoPackage, KML folders, GPX):
+ * one Grist layer per source layer, or everything in one layer
+ */
+const LAYER_MODE_FIELD = {
+  name: 'layer_mode',
+  label: 'Couches sources',
+  type: 'choice',
+  options: [
+    { value: 'split', label: 'Une couche par couche source ("Nom du layer - couche")' },
+    { value: 'merge', label: 'Tout dans une seule couche' }
+  ],
+  defaultValue: 'split',
+  help: 'Sans effet si le fichier ne contient qu\'une couche'
+};
+
+/**
+ * CRS declared by a file (WKT of a .prj or GeoPackage SRS, EPSG code)
+ * @returns {number|null} Code for ProjectionService, null if unrecognized
+ *   (the CRS chosen in the config step is used instead)
+ */
+function resolveDeclaredCRS(layerName, wkt, epsg = null) {
+  try {
+    return ProjectionService.registerWKT(wkt, epsg);
+  } catch (error) {
+    console.warn(`[Import] ${layerName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Flatten the layers read from a file into import features
+ * @param {string} format - Format label (logs)
+ * @param {Array<{ name, features: Array<{ geometry, properties }>, sourceCrs }>} layers
+ * @returns {Array} Features with WKT geometry, source_crs and source_layer
+ */
+function toImportFeatures(format, layers) {
+  const features = [];
+  let skipped = 0;
+
+  layers.forEach(layer => {
+    layer.features.forEach(feature => {
+      const wkt = feature.geometry ? geoJSONToWKT(feature.geometry) : null;
+      if (!wkt) {
+        skipped++;
+        return;
+      }
+      features.push({
+        geometry: wkt,
+        properties: feature.properties || {},
+        feature_index: features.length,
+        source_crs: layer.sourceCrs,
+        source_layer: layer.name
+      });
+    });
+  });
+
+  if (skipped > 0) {
+    console.warn(`[${format} Import] ${skipped} feature(s) without geometry skipped`);
+  }
+
+  if (features.length === 0) {
+    throw new Error('Aucune géométrie valide trouvée');
+  }
+
+  console.log(`[${format} Import] ${features.length} features in ${layers.length} layer(s)`);
+
+  return features;
+}
+
+/**
+ * Import features of Overpass JSON elements (osm_overpass and the saved
+ * Overpass queries): ways, multipolygon / boundary and route relations are
+ * assembled by readOverpass
+ * @param {Array} elements - Overpass elements (`out geom`, `out center` or `out skel geom`)
+ * @returns {Array} Features with WKT geometry
+ */
+function overpassToImportFeatures(elements) {
+  const features = [];
+
+  readOverpass(elements).forEach(({ geometry, properties }) => {
+    const wkt = geoJSONToWKT(geometry);
+    if (!wkt) {
+      console.warn(`[OSM Import] Failed to convert geometry for ${properties.osm_type} ${properties.osm_id}`);
+      return;
+    }
+    features.push({ geometry: wkt, properties, feature_index: features.length });
+  });
+
+  return features;
+}
 
 /**
  * Pagination helper for IGN WFS (max 5000 features per request)
@@ -78,7 +202,8 @@ export const IMPORT_METHODS = {
     color: '#10b981',
 
     accepts: '.geojson,.json',
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxSize: 10 * 1024 * 1024, // 10MB in memory, larger files are streamed
+    streaming: true,
 
     steps: [
       {
@@ -103,17 +228,7 @@ export const IMPORT_METHODS = {
             required: true,
             defaultValue: 'Import GeoJSON'
           },
-          {
-            name: 'target_srid',
-            label: 'Système de coordonnées cible',
-            type: 'choice',
-            options: [
-              { value: '4326', label: 'WGS84 (4326)' },
-              { value: '2154', label: 'Lambert93 (2154)' },
-              { value: '3857', label: 'Web Mercator (3857)' }
-            ],
-            defaultValue: '4326'
-          }
+          SOURCE_CRS_FIELD
         ]
       }
     ],
@@ -123,8 +238,8 @@ export const IMPORT_METHODS = {
       if (!file.name.match(/\.(geojson|json)$/i)) {
         return { valid: false, error: 'Format invalide. Attendu: .geojson ou .json' };
       }
-      if (file.size > 10 * 1024 * 1024) {
-        return { valid: false, error: 'Fichier trop volumineux (max 10MB)' };
+      if (file.size > STREAMING_MAX_SIZE) {
+        return { valid: false, error: 'Fichier trop volumineux (max 2GB)' };
       }
       return { valid: true };
     },
@@ -141,16 +256,20 @@ export const IMPORT_METHODS = {
         ? geojson.features
         : [geojson];
 
+      // Legacy GeoJSON (2008) may declare a CRS: { crs: { properties: { name: 'EPSG:2154' } } }
+      const declaredCrs = geojson.crs?.properties?.name || null;
+
       return features.map((feature, idx) => {
-        // Convert GeoJSON geometry to WKT format
+        // Convert GeoJSON geometry to WKT format (reprojected to WGS84 on import)
         const wkt = geoJSONToWKT(feature.geometry);
         if (!wkt) {
           console.warn(`[GeoJSON Import] Failed to convert geometry for feature ${idx}`);
         }
         return {
-          geometry: wkt,  // WKT format for geometry_wgs84 column
+          geometry: wkt,
           properties: feature.properties || {},
-          feature_index: idx
+          feature_index: idx,
+          source_crs: declaredCrs
         };
       });
     }
@@ -164,7 +283,8 @@ export const IMPORT_METHODS = {
     color: '#3b82f6',
 
     accepts: '.csv,.txt',
-    maxSize: 5 * 1024 * 1024, // 5MB
+    maxSize: 5 * 1024 * 1024, // 5MB in memory, larger files are streamed
+    streaming: true,
 
     steps: [
       {
@@ -179,13 +299,13 @@ export const IMPORT_METHODS = {
         fields: [
           {
             name: 'lat_column',
-            label: 'Colonne Latitude',
+            label: 'Colonne Latitude (ou Y)',
             type: 'column_select',
             required: true
           },
           {
             name: 'lon_column',
-            label: 'Colonne Longitude',
+            label: 'Colonne Longitude (ou X)',
             type: 'column_select',
             required: true
           },
@@ -224,7 +344,8 @@ export const IMPORT_METHODS = {
               { value: '\t', label: 'Tabulation' }
             ],
             defaultValue: ','
-          }
+          },
+          SOURCE_CRS_FIELD
         ]
       }
     ],
@@ -234,8 +355,8 @@ export const IMPORT_METHODS = {
       if (!file.name.match(/\.(csv|txt)$/i)) {
         return { valid: false, error: 'Format invalide. Attendu: .csv ou .txt' };
       }
-      if (file.size > 5 * 1024 * 1024) {
-        return { valid: false, error: 'Fichier trop volumineux (max 5MB)' };
+      if (file.size > STREAMING_MAX_SIZE) {
+        return { valid: false, error: 'Fichier trop volumineux (max 2GB)' };
       }
       return { valid: true };
     },
@@ -295,7 +416,8 @@ export const IMPORT_METHODS = {
     color: '#8b5cf6',
 
     accepts: '.csv,.txt',
-    maxSize: 5 * 1024 * 1024, // 5MB
+    maxSize: 5 * 1024 * 1024, // 5MB in memory, larger files are streamed
+    streaming: true,
 
     steps: [
       {
@@ -349,7 +471,8 @@ export const IMPORT_METHODS = {
               { value: '\t', label: 'Tabulation' }
             ],
             defaultValue: ','
-          }
+          },
+          SOURCE_CRS_FIELD
         ]
       }
     ],
@@ -359,8 +482,8 @@ export const IMPORT_METHODS = {
       if (!file.name.match(/\.(csv|txt)$/i)) {
         return { valid: false, error: 'Format invalide. Attendu: .csv ou .txt' };
       }
-      if (file.size > 5 * 1024 * 1024) {
-        return { valid: false, error: 'Fichier trop volumineux (max 5MB)' };
+      if (file.size > STREAMING_MAX_SIZE) {
+        return { valid: false, error: 'Fichier trop volumineux (max 2GB)' };
       }
       return { valid: true };
     },
@@ -1091,53 +1214,7 @@ out geom;`;
 
       console.log(`[OSM Advanced] Received ${osmData.elements.length} elements`);
 
-      // Convert OSM elements to GeoJSON features
-      const features = osmData.elements.map((element, idx) => {
-        let geometry;
-
-        if (element.type === 'node') {
-          geometry = {
-            type: 'Point',
-            coordinates: [element.lon, element.lat]
-          };
-        } else if (element.type === 'way' && element.geometry) {
-          const coords = element.geometry.map(point => [point.lon, point.lat]);
-          const isClosed = coords.length > 3 &&
-                          coords[0][0] === coords[coords.length - 1][0] &&
-                          coords[0][1] === coords[coords.length - 1][1];
-          geometry = (isClosed || element.tags?.area === 'yes')
-            ? { type: 'Polygon', coordinates: [coords] }
-            : { type: 'LineString', coordinates: coords };
-        } else if (element.type === 'relation' && element.members) {
-          // Simplified: treat as point at centroid
-          const allCoords = element.members.flatMap(m => m.geometry || []);
-          if (allCoords.length > 0) {
-            const avgLon = allCoords.reduce((sum, p) => sum + p.lon, 0) / allCoords.length;
-            const avgLat = allCoords.reduce((sum, p) => sum + p.lat, 0) / allCoords.length;
-            geometry = { type: 'Point', coordinates: [avgLon, avgLat] };
-          }
-        }
-
-        if (!geometry) {
-          return null;
-        }
-
-        const wkt = geoJSONToWKT(geometry);
-        if (!wkt) {
-          console.warn(`[OSM Import] Failed to convert geometry for element ${element.id}`);
-          return null;
-        }
-
-        return {
-          geometry: wkt,
-          properties: {
-            osm_id: element.id,
-            osm_type: element.type,
-            ...(element.tags || {})
-          },
-          feature_index: idx
-        };
-      }).filter(f => f !== null);
+      const features = overpassToImportFeatures(osmData.elements);
 
       if (features.length === 0) {
         throw new Error('Aucune géométrie valide trouvée');
@@ -1151,67 +1228,430 @@ out geom;`;
 
   shapefile: {
     id: 'shapefile',
-    label: 'Shapefile (via QGIS)',
+    label: 'Shapefile (.zip)',
     icon: '🗂️',
-    description: 'Convertir un Shapefile via QGIS Desktop',
+    description: 'Importer un Shapefile zippé (.shp, .dbf, .prj)',
     color: '#6366f1',
 
+    accepts: '.zip',
+    maxSize: 50 * 1024 * 1024, // 50MB
+
+    steps: [
+      {
+        id: 'upload',
+        label: 'Sélectionner le fichier',
+        component: 'FileUpload'
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      },
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'layer_name',
+            label: 'Nom du layer',
+            type: 'text',
+            required: true,
+            defaultValue: 'Import Shapefile'
+          },
+          LAYER_MODE_FIELD,
+          {
+            ...SOURCE_CRS_FIELD,
+            help: 'Utilisé si l\'archive ne contient pas de .prj. Les géométries sont reprojetées en WGS84 (4326)'
+          }
+        ]
+      }
+    ],
+
+    validate: (file) => {
+      if (!file) return { valid: false, error: 'Aucun fichier sélectionné' };
+      if (!file.name.match(/\.zip$/i)) {
+        return { valid: false, error: 'Format invalide. Attendu: archive .zip contenant .shp, .dbf et .prj' };
+      }
+      if (file.size > 50 * 1024 * 1024) {
+        return { valid: false, error: 'Fichier trop volumineux (max 50MB)' };
+      }
+      return { valid: true };
+    },
+
+    parse: async (file) => {
+      const layers = readShapefileZip(await file.arrayBuffer());
+
+      return toImportFeatures('Shapefile', layers.map(layer => ({
+        ...layer,
+        sourceCrs: layer.prj ? resolveDeclaredCRS(layer.name, layer.prj) : null
+      })));
+    }
+  },
+
+  geopackage: {
+    id: 'geopackage',
+    label: 'GeoPackage',
+    icon: '🗄️',
+    description: 'Importer les tables de features d\'un GeoPackage (.gpkg)',
+    color: '#0ea5e9',
+
+    accepts: '.gpkg',
+    maxSize: 100 * 1024 * 1024, // 100MB
+
     steps: [
       {
-        id: 'instructions',
-        label: 'Instructions',
-        component: 'ShapefileInstructions',
-        content: `
-# Import Shapefile via QGIS
+        id: 'upload',
+        label: 'Sélectionner le fichier',
+        component: 'FileUpload'
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      },
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'layer_name',
+            label: 'Nom du layer',
+            type: 'text',
+            required: true,
+            defaultValue: 'Import GeoPackage'
+          },
+          LAYER_MODE_FIELD,
+          {
+            ...SOURCE_CRS_FIELD,
+            help: 'Utilisé pour les tables sans système de coordonnées déclaré. Les géométries sont reprojetées en WGS84 (4326)'
+          }
+        ]
+      }
+    ],
+
+    validate: (file) => {
+      if (!file) return { valid: false, error: 'Aucun fichier sélectionné' };
+      if (!file.name.match(/\.gpkg$/i)) {
+        return { valid: false, error: 'Format invalide. Attendu: .gpkg' };
+      }
+      if (file.size > 100 * 1024 * 1024) {
+        return { valid: false, error: 'Fichier trop volumineux (max 100MB)' };
+      }
+      return { valid: true };
+    },
+
+    parse: async (file) => {
+      const layers = await readGeoPackage(await file.arrayBuffer());
+
+      return toImportFeatures('GeoPackage', layers.map(layer => {
+        const { srs } = layer;
+        const epsg = srs && /^epsg$/i.test(srs.organization || '') ? srs.code : null;
+        return {
+          ...layer,
+          sourceCrs: srs ? resolveDeclaredCRS(layer.name, srs.definition, epsg) : null
+        };
+      }));
+    }
+  },
+
+  kml: {
+    id: 'kml',
+    label: 'KML / KMZ',
+    icon: '🌐',
+    description: 'Importer un fichier Google Earth (.kml ou .kmz)',
+    color: '#ef4444',
+
+    accepts: '.kml,.kmz',
+    maxSize: 20 * 1024 * 1024, // 20MB
+
+    steps: [
+      {
+        id: 'upload',
+        label: 'Sélectionner le fichier',
+        component: 'FileUpload'
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      },
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'layer_name',
+            label: 'Nom du layer',
+            type: 'text',
+            required: true,
+            defaultValue: 'Import KML'
+          },
+          LAYER_MODE_FIELD
+        ]
+      }
+    ],
 
-Les Shapefiles ne peuvent pas être importés directement dans le navigateur.
-Voici la procédure recommandée:
+    validate: (file) => {
+      if (!file) return { valid: false, error: 'Aucun fichier sélectionné' };
+      if (!file.name.match(/\.(kml|kmz)$/i)) {
+        return { valid: false, error: 'Format invalide. Attendu: .kml ou .kmz' };
+      }
+      if (file.size > 20 * 1024 * 1024) {
+        return { valid: false, error: 'Fichier trop volumineux (max 20MB)' };
+      }
+      return { valid: true };
+    },
 
-## Étapes:
+    parse: async (file) => {
+      const documentName = file.name.replace(/\.(kml|kmz)$/i, '');
+      const layers = file.name.match(/\.kmz$/i)
+        ? readKMZ(await file.arrayBuffer(), documentName)
+        : readKML(await file.text(), documentName);
 
-1. **Ouvrir QGIS Desktop** et charger votre Shapefile
-2. **Clic droit sur la couche** → Exporter → Sauvegarder les entités sous...
-3. **Format**: Sélectionner "GeoJSON"
-4. **Système de coordonnées**: WGS84 (EPSG:4326) recommandé
-5. **Sauvegarder** le fichier .geojson
-6. **Importer** via la méthode "GeoJSON" dans Smart-GIS v2
+      // KML is always longitude/latitude WGS84
+      return toImportFeatures('KML', layers.map(layer => ({ ...layer, sourceCrs: WGS84 })));
+    }
+  },
 
-## Alternative:
+  gpx: {
+    id: 'gpx',
+    label: 'GPX',
+    icon: '🥾',
+    description: 'Importer des points, traces et itinéraires GPS (.gpx)',
+    color: '#84cc16',
 
-Vous pouvez aussi utiliser la commande ogr2ogr (GDAL):
+    accepts: '.gpx',
+    maxSize: 20 * 1024 * 1024, // 20MB
 
-\`\`\`bash
-ogr2ogr -f GeoJSON -t_srs EPSG:4326 output.geojson input.shp
-\`\`\`
-        `
+    steps: [
+      {
+        id: 'upload',
+        label: 'Sélectionner le fichier',
+        component: 'FileUpload'
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      },
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'layer_name',
+            label: 'Nom du layer',
+            type: 'text',
+            required: true,
+            defaultValue: 'Import GPX'
+          },
+          LAYER_MODE_FIELD
+        ]
       }
     ],
 
-    validate: () => {
-      return { valid: false, error: 'Utilisez la méthode GeoJSON après conversion QGIS' };
+    validate: (file) => {
+      if (!file) return { valid: false, error: 'Aucun fichier sélectionné' };
+      if (!file.name.match(/\.gpx$/i)) {
+        return { valid: false, error: 'Format invalide. Attendu: .gpx' };
+      }
+      if (file.size > 20 * 1024 * 1024) {
+        return { valid: false, error: 'Fichier trop volumineux (max 20MB)' };
+      }
+      return { valid: true };
+    },
+
+    parse: async (file) => {
+      const layers = readGPX(await file.text());
+
+      // GPX is always longitude/latitude WGS84
+      return toImportFeatures('GPX', layers.map(layer => ({ ...layer, sourceCrs: WGS84 })));
     }
   }
 };
 
+/**
+ * Import method of a WFS / OGC API - Features source registered in the
+ * DataCatalog (GIS_Catalogs)
+ *
+ * @param {Object} source - dataCatalog.getRegisteredSources() entry
+ */
+export function createOGCImportMethod(source) {
+  const layers = Object.values(source.layers);
+
+  return {
+    id: `ogc_${source.id}`,
+    label: source.name,
+    icon: '🔌',
+    description: source.description || `${PROTOCOLS[source.type]} - ${layers.length} couche(s)`,
+    color: '#14b8a6',
+
+    // Fields discovered by DescribeFeatureType / queryables
+    supportsDynamicFilters: true,
+    wfsServiceUrl: source.endpoint,
+    serviceProtocol: source.type,
+
+    steps: [
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'typeName',
+            label: 'Couche',
+            type: 'choice',
+            required: true,
+            options: layers.map(layer => ({ value: layer.id, label: layer.name })),
+            defaultValue: layers[0]?.id
+          },
+          {
+            name: 'bbox',
+            label: '📐 BBOX (ouest,sud,est,nord)',
+            type: 'text',
+            placeholder: 'Ex: 2.2,48.8,2.4,48.9 (Paris)',
+            help: 'Optionnel. Format: minX,minY,maxX,maxY en WGS84'
+          },
+          {
+            name: 'max_features',
+            label: 'Nombre max de résultats',
+            type: 'number',
+            min: 1,
+            max: 50000,
+            defaultValue: 1000,
+            help: 'Les résultats sont récupérés page par page'
+          },
+          {
+            name: 'layer_name',
+            label: 'Nom du layer dans Grist',
+            type: 'text',
+            required: true,
+            defaultValue: source.name
+          }
+        ]
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      }
+    ],
+
+    validate: (config) => {
+      if (!config.typeName) {
+        return { valid: false, error: 'Aucune couche sélectionnée' };
+      }
+      return { valid: true };
+    },
+
+    fetch: async (config) => {
+      let bbox = null;
+      if (config.bbox && config.bbox.trim()) {
+        bbox = config.bbox.split(',').map(part => parseFloat(part.trim()));
+        if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+          throw new Error('BBOX invalide. Format attendu: ouest,sud,est,nord');
+        }
+      }
+
+      const features = await OGCFeatureService.fetchFeatures(source, config.typeName, {
+        bbox,
+        filter: config.cql_filter || null,
+        maxFeatures: config.max_features || 1000
+      });
+
+      if (features.length === 0) {
+        throw new Error('Aucune donnée trouvée. Vérifiez vos filtres ou essayez sans filtre.');
+      }
+
+      // Features are requested in WGS84 (EPSG:4326 / CRS84)
+      return toImportFeatures(source.name, [{ name: config.typeName, features, sourceCrs: WGS84 }]);
+    }
+  };
+}
+
+/**
+ * Import method of an Overpass query of the OverpassQueryBuilder (saved in
+ * GIS_Catalogs, or composed but not saved)
+ *
+ * @param {Object} query - { id, name, description, spec } (dataCatalog.getOverpassQueries() entry)
+ */
+export function createOverpassImportMethod(query) {
+  const types = query.spec.types || [];
+
+  return {
+    id: `overpass_${query.id}`,
+    label: query.name,
+    icon: '🔎',
+    description: query.description || `Requête Overpass - ${types.join(', ')}`,
+    color: '#22c55e',
+
+    steps: [
+      {
+        id: 'config',
+        label: 'Configuration',
+        component: 'ImportConfig',
+        fields: [
+          {
+            name: 'layer_name',
+            label: 'Nom du layer dans Grist',
+            type: 'text',
+            required: true,
+            defaultValue: query.name
+          }
+        ]
+      },
+      {
+        id: 'preview',
+        label: 'Aperçu',
+        component: 'PreviewData'
+      }
+    ],
+
+    validate: () => OverpassQueryService.validate(query.spec),
+
+    fetch: async () => {
+      const elements = await OverpassQueryService.execute(query.spec);
+
+      if (elements.length === 0) {
+        throw new Error('Aucune donnée OSM trouvée. Vérifiez vos filtres.');
+      }
+
+      const features = overpassToImportFeatures(elements);
+      if (features.length === 0) {
+        throw new Error('Aucune géométrie valide trouvée');
+      }
+
+      return features;
+    }
+  };
+}
+
 /**
  * Get import method by ID
  */
 export function getImportMethod(methodId) {
-  return IMPORT_METHODS[methodId];
+  return getAllImportMethods().find(method => method.id === methodId);
 }
 
 /**
- * Get all import methods as array
+ * Get all import methods as array (built-in methods, then one method per
+ * registered WFS / OGC API source and per saved Overpass query)
  */
 export function getAllImportMethods() {
-  return Object.values(IMPORT_METHODS);
+  return [
+    ...Object.values(IMPORT_METHODS),
+    ...dataCatalog.getRegisteredSources().map(createOGCImportMethod),
+    ...dataCatalog.getOverpassQueries().map(createOverpassImportMethod)
+  ];
 }
 
 /**
- * Get active import methods (exclude shapefile instructions-only)
+ * Get active import methods
  */
 export function getActiveImportMethods() {
-  return Object.values(IMPORT_METHODS).filter(method =>
-    method.id !== 'shapefile'
-  );
+  return getAllImportMethods();
 }
@@ -0,0 +1,65 @@
+/**
+ * Print Configuration
+ *
+ * Paper sizes, resolutions, scales and the default layout of the print
+ * composer (services/PrintService.js). Sizes are in millimetres.
+ */
+
+export const PAPER_SIZES = {
+  A5: { label: 'A5', width: 148, height: 210 },
+  A4: { label: 'A4', width: 210, height: 297 },
+  A3: { label: 'A3', width: 297, height: 420 },
+  A2: { label: 'A2', width: 420, height: 594 },
+  Letter: { label: 'Letter (US)', width: 215.9, height: 279.4 }
+};
+
+export const ORIENTATIONS = {
+  portrait: 'Portrait',
+  landscape: 'Paysage'
+};
+
+export const PRINT_RESOLUTIONS = [
+  { value: 96, label: '96 dpi (brouillon)' },
+  { value: 150, label: '150 dpi' },
+  { value: 300, label: '300 dpi (impression)' }
+];
+
+/**
+ * Fixed scales offered by the composer (1:N); null = scale of the current map view
+ */
+export const PRINT_SCALES = [500, 1000, 2000, 5000, 10000, 25000, 50000, 100000, 250000, 500000, 1000000, 5000000];
+
+// Resolution of the composer preview
+export const PREVIEW_DPI = 36;
+
+// Largest canvas drawn (browsers refuse bigger canvases, Safari first)
+export const MAX_CANVAS_PIXELS = 16777216;
+
+/**
+ * Page layout (mm) of the map frame and its surroundings
+ */
+export const PAGE_LAYOUT = {
+  margin: 10,
+  titleHeight: 14,
+  legendWidth: 55,
+  footerHeight: 6,
+  tableRowHeight: 5,
+  tableMaxColumns: 6,
+  gap: 4
+};
+
+export const DEFAULT_LAYOUT = {
+  paper: 'A4',
+  orientation: 'landscape',
+  dpi: 150,
+  scale: null,
+  title: '',
+  showLegend: true,
+  showNorthArrow: true,
+  showScaleBar: true,
+  showAttribution: true,
+  attributionText: '',
+  showTable: false,
+  tableLayer: '',
+  tableMaxRows: 10
+};
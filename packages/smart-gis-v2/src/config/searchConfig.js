@@ -3,14 +3,50 @@
  *
  * Defines search modes, spatial predicates, and search parameters
  * for the hybrid search system (semantic + spatial)
+ *
+ * Searches are executed by services/HybridSearchService.js; buildFormula /
+ * formula give the equivalent Grist formulas (shown to the user, used by
+ * the agent).
+ */
+
+/**
+ * Reciprocal rank fusion constant: score = Σ 1 / (RRF_K + rank)
+ * (60 is the usual value: the top ranks of each list weigh about the same)
+ */
+export const RRF_K = 60;
+
+/**
+ * Hybrid search: how the semantic and spatial result lists are combined
+ */
+export const FUSION_MODES = {
+  intersection: { value: 'intersection', label: 'Les deux critères (classement RRF)' },
+  union: { value: 'union', label: 'Au moins un critère (classement RRF)' }
+};
+
+/**
+ * Semantic ranking engines: Grist VECTOR_SEARCH on an embedding column, or
+ * the offline BM25 index of feature names and properties (LocalSearchIndex)
  */
+export const SEMANTIC_ENGINES = {
+  auto: { value: 'auto', label: 'Automatique (VECTOR_SEARCH, sinon index local)' },
+  vector: { value: 'vector', label: 'VECTOR_SEARCH (Grist)' },
+  local: { value: 'local', label: 'Index local hors ligne (BM25)' }
+};
+
+const ENGINE_PARAM = {
+  name: 'engine',
+  label: 'Moteur',
+  type: 'choice',
+  options: Object.values(SEMANTIC_ENGINES),
+  defaultValue: 'auto'
+};
 
 export const SEARCH_MODES = {
   semantic: {
     id: 'semantic',
     label: 'Recherche sémantique',
     icon: '🔍',
-    description: 'Recherche par mots-clés dans les propriétés (VECTOR_SEARCH)',
+    description: 'Recherche par mots-clés dans les propriétés (VECTOR_SEARCH ou index local)',
     color: '#3b82f6',
     requiresVectorColumn: true,
 
@@ -22,6 +58,7 @@ export const SEARCH_MODES = {
         placeholder: 'Ex: bâtiments commerciaux à Paris',
         required: true
       },
+      ENGINE_PARAM,
       {
         name: 'vectorColumn',
         label: 'Colonne de vecteur',
@@ -46,7 +83,7 @@ export const SEARCH_MODES = {
         max: 1,
         step: 0.1,
         defaultValue: 0.7,
-        help: 'Score minimum de similarité (0-1)'
+        help: 'Score minimum de similarité (0-1), VECTOR_SEARCH uniquement'
       }
     ],
 
@@ -224,6 +261,7 @@ export const SEARCH_MODES = {
         placeholder: 'Ex: écoles primaires',
         required: true
       },
+      ENGINE_PARAM,
       {
         name: 'vectorColumn',
         label: 'Colonne de vecteur',
@@ -247,8 +285,25 @@ export const SEARCH_MODES = {
         name: 'zone',
         label: 'Zone de recherche',
         type: 'geometry_picker',
+        help: 'Dessinez une zone, prenez l\'emprise de la carte ou collez un WKT',
         required: true
       },
+      {
+        name: 'radius',
+        label: 'Rayon (km)',
+        type: 'number',
+        min: 0,
+        step: 0.1,
+        defaultValue: 1,
+        help: 'Pour le prédicat « À distance de »'
+      },
+      {
+        name: 'fusion',
+        label: 'Combinaison',
+        type: 'choice',
+        options: Object.values(FUSION_MODES),
+        defaultValue: 'intersection'
+      },
       {
         name: 'maxResults',
         label: 'Nombre max de résultats',
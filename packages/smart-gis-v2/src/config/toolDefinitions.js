@@ -7,9 +7,16 @@
  * 3. Overlay (union, intersection, difference, sym_difference)
  * 4. Spatial Query (within, contains, intersects, distance_query, touches, crosses)
  * 5. Conversion (transform_crs, to_geojson, to_wkt)
- * 6. Validation (is_valid, make_valid, geometry_type)
+ * 6. Validation (is_valid, check_topology, make_valid, geometry_type)
+ *
+ * `formula` builds the Grist ST_* formula, execution happens client-side
+ * in services/GeometryEngine.js (keyed by tool id).
+ * `resultProperty` (optional) names the properties key where a
+ * single-feature result is written back.
  */
 
+import { CRS_OPTIONS } from './crsDefinitions';
+
 export const SPATIAL_TOOL_CATEGORIES = {
   measurement: {
     id: 'measurement',
@@ -40,7 +47,8 @@ export const SPATIAL_TOOL_CATEGORIES = {
         ],
         formula: (geometry, params) => `ST_AREA("${geometry}", "${params.unit}")`,
         resultType: 'numeric',
-        resultUnit: (params) => params.unit
+        resultUnit: (params) => params.unit,
+        resultProperty: (params) => `area_${params.unit}`
       },
 
       {
@@ -63,7 +71,8 @@ export const SPATIAL_TOOL_CATEGORIES = {
         ],
         formula: (geometry, params) => `ST_LENGTH("${geometry}", "${params.unit}")`,
         resultType: 'numeric',
-        resultUnit: (params) => params.unit
+        resultUnit: (params) => params.unit,
+        resultProperty: (params) => `length_${params.unit}`
       },
 
       {
@@ -110,7 +119,9 @@ export const SPATIAL_TOOL_CATEGORIES = {
           }
         ],
         formula: (geometry, params) => `ST_PERIMETER("${geometry}", "${params.unit}")`,
-        resultType: 'numeric'
+        resultType: 'numeric',
+        resultUnit: (params) => params.unit,
+        resultProperty: (params) => `perimeter_${params.unit}`
       }
     ]
   },
@@ -427,38 +438,21 @@ export const SPATIAL_TOOL_CATEGORIES = {
       {
         id: 'transform_crs',
         label: 'Transform CRS',
-        description: 'Convert between coordinate systems',
+        description: 'Reproject to another coordinate system (EWKT saved in properties)',
         geometries: ['all'],
         multiSelect: false,
-        createsNewGeometry: true,
         params: [
-          {
-            name: 'source_srid',
-            label: 'Source SRID',
-            type: 'choice',
-            options: [
-              { value: 4326, label: '4326 - WGS84 (GPS)' },
-              { value: 2154, label: '2154 - Lambert93 (France)' },
-              { value: 3857, label: '3857 - Web Mercator' },
-              { value: 32631, label: '32631 - UTM Zone 31N' }
-            ],
-            default: 4326
-          },
           {
             name: 'target_srid',
             label: 'Target SRID',
             type: 'choice',
-            options: [
-              { value: 4326, label: '4326 - WGS84 (GPS)' },
-              { value: 2154, label: '2154 - Lambert93 (France)' },
-              { value: 3857, label: '3857 - Web Mercator' },
-              { value: 32631, label: '32631 - UTM Zone 31N' }
-            ],
+            options: CRS_OPTIONS.filter(option => option.value !== 4326),
             default: 2154
           }
         ],
-        formula: (geometry, params) => `ST_TRANSFORM("${geometry}", ${params.source_srid}, ${params.target_srid})`,
-        resultType: 'geometry'
+        formula: (geometry, params) => `ST_TRANSFORM("${geometry}", 4326, ${params.target_srid})`,
+        resultType: 'text',
+        resultProperty: (params) => `wkt_${params.target_srid}`
       },
 
       {
@@ -502,13 +496,49 @@ export const SPATIAL_TOOL_CATEGORIES = {
         multiSelect: false,
         params: [],
         formula: (geometry) => `ST_ISVALID("${geometry}")`,
-        resultType: 'boolean'
+        resultType: 'boolean',
+        resultProperty: () => 'is_valid'
+      },
+
+      {
+        id: 'check_topology',
+        label: 'Topology Report',
+        description: 'Locate self-intersections, unclosed rings, ring orientation, duplicate vertices, spikes and slivers',
+        geometries: ['LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'],
+        multiSelect: true,
+        minSelection: 1,
+        params: [
+          {
+            name: 'spike_angle',
+            label: 'Spike Angle',
+            type: 'number',
+            default: 1,
+            min: 0,
+            max: 45,
+            step: 0.5,
+            unit: '°',
+            help: 'Vertices with a sharper angle are spikes'
+          },
+          {
+            name: 'sliver_threshold',
+            label: 'Sliver Threshold',
+            type: 'number',
+            default: 0.02,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            help: 'Polygons with a lower thinness ratio 4πA/P² (circle = 1) are slivers'
+          }
+        ],
+        formula: (geometry) => `ST_ISVALIDREASON("${geometry}")`,
+        executionMode: 'validation',
+        help: 'Issues are shown on the map, click an issue to locate it'
       },
 
       {
         id: 'make_valid',
         label: 'Fix Geometry',
-        description: 'Attempt to fix invalid geometry',
+        description: 'Close rings, remove duplicate vertices and spikes, fix self-intersections and ring orientation',
         geometries: ['all'],
         multiSelect: false,
         createsNewGeometry: true,
@@ -0,0 +1,347 @@
+/**
+ * Action Journal - Persistent undo/redo of Grist data writes
+ *
+ * Every GristAPI.addRecords/updateRecords/deleteRecords call is recorded
+ * with its inverse user action, so undo really reverts the rows written in
+ * Grist (imports, geometry edits, deletions, style metadata...).
+ *
+ * - Entries are stored in the GIS_Action_Journal system table and survive
+ *   widget reloads (the journal is shared by everyone using the document)
+ * - group(label, fn) merges the writes of one user operation into one entry
+ * - A new entry drops the undone entries (no redo branch), the journal keeps
+ *   the last MAX_ENTRIES entries
+ *
+ * Added rows are snapshotted when undone (before removal), so redo re-creates
+ * them with the same row ids and later entries stay valid.
+ *
+ * Snapshots are bounded (MAX_SNAPSHOT_ROWS rows per entry):
+ * - Added rows are stored as id ranges; an undone entry with more added rows
+ *   is not snapshotted and cannot be redone (the redo branch is dropped)
+ * - An operation updating / deleting more rows is not snapshotted: its entry
+ *   has no actions and stops undo (the previous entries stay in the journal)
+ *
+ * StateManager keeps its in-memory snapshots for UI state; the journal
+ * publishes its own state in 'journal.*' (Navbar undo/redo buttons).
+ */
+
+import GristAPI from './GristAPI';
+import StateManager from './StateManager';
+import { ACTION_JOURNAL_SCHEMA, SEARCH_QUERIES_SCHEMA, SEARCH_INDEX_SCHEMA } from './TableSchemas';
+
+export const JOURNAL_TABLE = ACTION_JOURNAL_SCHEMA.tableName;
+
+// Tables whose writes are never undone (the journal itself, temporary and derived rows)
+const UNTRACKED_TABLES = [JOURNAL_TABLE, SEARCH_QUERIES_SCHEMA.tableName, SEARCH_INDEX_SCHEMA.tableName];
+
+const MAX_ENTRIES = 100;
+
+// Rows snapshotted per entry (inverse of updates / deletions, redo of added rows)
+const MAX_SNAPSHOT_ROWS = 5000;
+
+class ActionJournal {
+  constructor() {
+    this.entries = [];        // { id, label, actions: [{ forward, inverse }], status: 'done'|'undone', created_at }
+    this.enabled = false;
+    this.replaying = false;
+    this.pendingGroup = null;
+    this.groupCache = null;   // Schema / rows read by GristAPI during a group or a replay
+  }
+
+  /**
+   * Load the journal and start recording GristAPI writes
+   */
+  async initialize() {
+    try {
+      const rows = await GristAPI.fetchTable(JOURNAL_TABLE);
+      this.entries = rows
+        .map(row => {
+          try {
+            return { ...row, actions: parseActions(row.actions) };
+          } catch {
+            console.warn(`[ActionJournal] Ignoring corrupted entry ${row.id}`);
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id);
+    } catch (error) {
+      console.warn('[ActionJournal] Could not load journal:', error.message);
+      this.entries = [];
+    }
+
+    this.enabled = true;
+    GristAPI.setJournal(this);
+    this.publish();
+
+    console.log(`[ActionJournal] ✓ ${this.entries.length} journal entries loaded`);
+  }
+
+  /**
+   * True if writes to this table are recorded
+   */
+  tracks(tableId) {
+    return this.enabled && !this.replaying && !UNTRACKED_TABLES.includes(tableId);
+  }
+
+  /**
+   * Run a user operation; all its Grist writes become one journal entry
+   * (nested groups belong to the outer one)
+   */
+  async group(label, fn) {
+    if (this.pendingGroup) {
+      return fn();
+    }
+
+    this.pendingGroup = { label, actions: [], snapshotRows: 0 };
+    this.groupCache = new Map();
+    try {
+      return await fn();
+    } finally {
+      // Writes done before a failure are journaled too (they can be undone)
+      const { actions } = this.pendingGroup;
+      this.pendingGroup = null;
+      this.groupCache = null;
+      if (actions.length > 0) {
+        await this.push(label, actions);
+      }
+    }
+  }
+
+  /**
+   * Reserve the snapshot of rows before a write (called by GristAPI)
+   *
+   * @param {number} rowCount - Rows to snapshot
+   * @returns {boolean} False if the entry is over MAX_SNAPSHOT_ROWS (the write
+   *   is recorded without inverse and the entry becomes irreversible)
+   */
+  reserve(rowCount) {
+    if (!this.pendingGroup) {
+      return rowCount <= MAX_SNAPSHOT_ROWS;
+    }
+    this.pendingGroup.snapshotRows += rowCount;
+    return this.pendingGroup.snapshotRows <= MAX_SNAPSHOT_ROWS;
+  }
+
+  /**
+   * Record one write (called by GristAPI)
+   *
+   * @param {Object} action - { forward, inverse } user actions (forward null: captured on undo,
+   *   inverse null: not snapshotted, see reserve)
+   * @param {string} label - Default label (outside a group)
+   */
+  async record(action, label) {
+    if (this.pendingGroup) {
+      this.pendingGroup.actions.push(action);
+      return;
+    }
+    await this.push(label, [action]);
+  }
+
+  /**
+   * @private
+   */
+  async push(label, actions) {
+    const dropped = this.entries.filter(e => e.status === 'undone');
+    const kept = this.entries.filter(e => e.status !== 'undone');
+    const overflow = kept.length + 1 > MAX_ENTRIES ? kept.slice(0, kept.length + 1 - MAX_ENTRIES) : [];
+
+    // One write without inverse makes the whole entry irreversible
+    const entry = {
+      label,
+      actions: actions.every(action => action.inverse) ? actions : [],
+      status: 'done',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+
+    try {
+      const [id] = await GristAPI.addRecords(JOURNAL_TABLE, [{
+        ...entry,
+        actions: serializeActions(entry.actions)
+      }]);
+
+      const removed = [...dropped, ...overflow];
+      if (removed.length > 0) {
+        await GristAPI.deleteRecords(JOURNAL_TABLE, removed.map(e => e.id));
+      }
+
+      this.entries = [...kept.filter(e => !overflow.includes(e)), { ...entry, id }];
+    } catch (error) {
+      // The data write succeeded: only undo is lost
+      console.error('[ActionJournal] Could not record action:', error);
+    }
+
+    this.publish();
+  }
+
+  canUndo() {
+    return !!this.lastDone()?.actions.length;
+  }
+
+  canRedo() {
+    return this.entries.some(e => e.status === 'undone');
+  }
+
+  /**
+   * Revert the last done entry in Grist
+   * @returns {Object|null} Undone entry
+   */
+  async undo() {
+    const entry = this.lastDone();
+    // Irreversible entries (no actions) stop undo
+    if (!entry?.actions.length || this.replaying) return null;
+
+    const addedRows = entry.actions
+      .filter(action => !action.forward)
+      .reduce((sum, action) => sum + action.inverse[2].length, 0);
+    const redoable = addedRows <= MAX_SNAPSHOT_ROWS;
+
+    await this.replay(entry, async () => {
+      for (let i = entry.actions.length - 1; i >= 0; i--) {
+        const action = entry.actions[i];
+
+        // Added rows: keep their current content for redo
+        if (!action.forward && redoable) {
+          const [, tableId, ids] = action.inverse;
+          action.forward = await GristAPI.snapshotRows(tableId, ids);
+        }
+
+        await GristAPI.applyActions([action.inverse]);
+      }
+    }, 'undone');
+
+    if (!redoable) {
+      await this.dropRedo();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Re-apply the first undone entry in Grist
+   * @returns {Object|null} Redone entry
+   */
+  async redo() {
+    const entry = this.entries.find(e => e.status === 'undone');
+    if (!entry || this.replaying) return null;
+
+    await this.replay(entry, async () => {
+      for (const action of entry.actions) {
+        await GristAPI.applyActions([action.forward]);
+      }
+    }, 'done');
+
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  lastDone() {
+    return [...this.entries].reverse().find(e => e.status === 'done');
+  }
+
+  /**
+   * Remove the undone entries (redo branch)
+   * @private
+   */
+  async dropRedo() {
+    const undone = this.entries.filter(e => e.status === 'undone');
+    try {
+      await GristAPI.deleteRecords(JOURNAL_TABLE, undone.map(e => e.id));
+    } catch (error) {
+      console.error('[ActionJournal] Could not drop redo entries:', error);
+    }
+    this.entries = this.entries.filter(e => e.status !== 'undone');
+    this.publish();
+  }
+
+  /**
+   * @private
+   */
+  async replay(entry, apply, status) {
+    this.replaying = true;
+    this.groupCache = new Map();
+    this.publish();
+
+    try {
+      await apply();
+      entry.status = status;
+
+      await GristAPI.updateRecords(JOURNAL_TABLE, [{
+        id: entry.id,
+        status,
+        actions: serializeActions(entry.actions)
+      }]);
+    } finally {
+      this.replaying = false;
+      this.groupCache = null;
+      this.publish();
+    }
+  }
+
+  /**
+   * @private
+   */
+  publish() {
+    const lastDone = this.lastDone();
+    const undoEntry = lastDone?.actions.length ? lastDone : null;
+    const redoEntry = this.entries.find(e => e.status === 'undone');
+
+    StateManager.setState('journal', {
+      canUndo: !!undoEntry && !this.replaying,
+      canRedo: !!redoEntry && !this.replaying,
+      undoLabel: undoEntry?.label || null,
+      redoLabel: redoEntry?.label || null,
+      busy: this.replaying
+    }, 'Journal update');
+  }
+}
+
+/**
+ * JSON of journal actions, row ids of removals stored as ranges
+ * ([[first, last], ...]: added rows have consecutive ids)
+ */
+function serializeActions(actions) {
+  const pack = (action) => (action && action[0] === 'BulkRemoveRecord'
+    ? [action[0], action[1], { ranges: toRanges(action[2]) }]
+    : action);
+
+  return JSON.stringify(actions.map(({ forward, inverse }) => ({
+    forward: pack(forward),
+    inverse: pack(inverse)
+  })));
+}
+
+function parseActions(text) {
+  const unpack = (action) => (action && action[2]?.ranges
+    ? [action[0], action[1], fromRanges(action[2].ranges)]
+    : action);
+
+  return JSON.parse(text || '[]').map(({ forward, inverse }) => ({
+    forward: unpack(forward),
+    inverse: unpack(inverse)
+  }));
+}
+
+function toRanges(ids) {
+  const ranges = [];
+  ids.forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  });
+  return ranges;
+}
+
+function fromRanges(ranges) {
+  const ids = [];
+  ranges.forEach(([first, last]) => {
+    for (let id = first; id <= last; id++) ids.push(id);
+  });
+  return ids;
+}
+
+export default new ActionJournal();
@@ -3,15 +3,40 @@
  *
  * Manages catalog of data sources for agent-driven workflows:
  * - External services (IGN Géoplateforme, OSM)
+ * - WFS 2.0 / OGC API - Features endpoints registered by the user,
+ *   persisted in GIS_Catalogs (loadRegisteredSources at startup)
+ * - Named Overpass queries (OverpassQueryBuilder), persisted in the same
+ *   table with their query spec as config
  * - Project data (Grist tables)
  * - Capabilities and metadata for each source
  *
- * Used by QueryExecutor to fetch data based on natural language queries
+ * Used by QueryExecutor to fetch data based on natural language queries,
+ * and by the import methods (one method per registered source)
  */
 
+import GristAPI from './GristAPI';
+import StateManager from './StateManager';
+import ActionJournal from './ActionJournal';
+import { initializeSystemTables, CATALOGS_SCHEMA } from './TableSchemas';
+import OGCFeatureService from '../services/OGCFeatureService';
+import { OVERPASS_ENDPOINT } from '../services/OverpassQueryService';
+
+// GIS_Catalogs.source_type of each registered protocol
+const SOURCE_TYPES = {
+  wfs: 'WFS',
+  ogcapi: 'OGC API Features'
+};
+
+// GIS_Catalogs.source_type of the saved Overpass queries
+const OVERPASS_QUERY_TYPE = 'Overpass Query';
+
+// Ids of the built-in sources
+const RESERVED_IDS = ['ign', 'osm', 'project'];
+
 class DataCatalog {
   constructor() {
     this.sources = this.initializeSources();
+    this.overpassQueries = {};
     this.aliases = this.buildAliases();
   }
 
@@ -312,9 +337,386 @@ class DataCatalog {
       });
     });
 
+    // Registered WFS / OGC API layers (built-in aliases take precedence)
+    this.getRegisteredSources().forEach(source => {
+      Object.entries(source.layers).forEach(([key, layer]) => {
+        layer.nlp_aliases.forEach(alias => {
+          if (!aliases.has(alias)) {
+            aliases.set(alias, {
+              source: source.id,
+              layer: key,
+              layerId: layer.id
+            });
+          }
+        });
+      });
+    });
+
     return aliases;
   }
 
+  // ========================================
+  // Registered sources (GIS_Catalogs)
+  // ========================================
+
+  /**
+   * Load the sources registered in GIS_Catalogs (startup)
+   *
+   * @returns {Promise<Array>} Registered sources
+   */
+  async loadRegisteredSources() {
+    this.getRegisteredSources().forEach(source => delete this.sources[source.id]);
+    this.overpassQueries = {};
+
+    const tables = await GristAPI.listTables();
+    if (tables.includes(CATALOGS_SCHEMA.tableName)) {
+      const rows = await GristAPI.fetchTable(CATALOGS_SCHEMA.tableName);
+
+      rows.forEach(row => {
+        if (row.source_type === OVERPASS_QUERY_TYPE && row.dataset_id) {
+          try {
+            this.overpassQueries[row.dataset_id] = this.createOverpassQuery(row.dataset_id, row.id, {
+              name: row.title || row.dataset_id,
+              description: row.description || '',
+              keywords: row.keywords || '',
+              spec: JSON.parse(row.config || '{}')
+            });
+          } catch (error) {
+            console.warn(`[DataCatalog] Invalid Overpass query row ${row.id}:`, error);
+          }
+          return;
+        }
+
+        const type = Object.keys(SOURCE_TYPES).find(key => SOURCE_TYPES[key] === row.source_type);
+        if (!type || !row.dataset_id || RESERVED_IDS.includes(row.dataset_id)) return;
+
+        try {
+          this.sources[row.dataset_id] = this.createRegisteredSource({
+            id: row.dataset_id,
+            name: row.title || row.dataset_id,
+            type,
+            endpoint: row.endpoint_url,
+            description: row.description || '',
+            keywords: row.keywords || '',
+            rowId: row.id,
+            config: JSON.parse(row.config || '{}')
+          });
+        } catch (error) {
+          console.warn(`[DataCatalog] Invalid catalog row ${row.id}:`, error);
+        }
+      });
+    }
+
+    this.aliases = this.buildAliases();
+    this.publishRegisteredSources();
+    this.publishOverpassQueries();
+    return this.getRegisteredSources();
+  }
+
+  /**
+   * Register a WFS 2.0 or OGC API - Features endpoint
+   *
+   * The protocol and the layers are discovered from the endpoint
+   * (GetCapabilities / collections), then saved in GIS_Catalogs.
+   *
+   * @param {Object} params
+   * @param {string} params.url - Service URL or landing page
+   * @param {string} params.name - Display name (default: service title)
+   * @param {string} params.keywords - Comma separated search keywords
+   * @returns {Promise<Object>} Registered source
+   */
+  async registerSource({ url, name = '', keywords = '' }) {
+    const discovered = await OGCFeatureService.discover(url);
+
+    if (this.getRegisteredSources().some(source => source.endpoint === discovered.endpoint)) {
+      throw new Error(`Source déjà enregistrée: ${discovered.endpoint}`);
+    }
+
+    const title = name.trim() || discovered.title || new URL(discovered.endpoint).hostname;
+    const id = this.uniqueSourceId(title);
+    const config = {
+      layers: discovered.layers,
+      outputFormat: discovered.outputFormat,
+      paging: discovered.paging
+    };
+
+    const tableName = CATALOGS_SCHEMA.tableName;
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    const [rowId] = await ActionJournal.group(`Source: ${title}`, () => GristAPI.addRecords(tableName, [{
+      source_type: SOURCE_TYPES[discovered.protocol],
+      dataset_id: id,
+      title,
+      description: discovered.description,
+      keywords: keywords.trim(),
+      endpoint_url: discovered.endpoint,
+      config: JSON.stringify(config),
+      created_at: Math.floor(Date.now() / 1000)
+    }]));
+
+    this.sources[id] = this.createRegisteredSource({
+      id,
+      name: title,
+      type: discovered.protocol,
+      endpoint: discovered.endpoint,
+      description: discovered.description,
+      keywords: keywords.trim(),
+      rowId,
+      config
+    });
+
+    this.aliases = this.buildAliases();
+    this.publishRegisteredSources();
+    return this.sources[id];
+  }
+
+  /**
+   * Discover the layers of a registered source again (new collections,
+   * removed feature types)
+   */
+  async refreshSource(sourceId) {
+    const source = this.getRegisteredSource(sourceId);
+    const discovered = await OGCFeatureService.discover(source.endpoint);
+    const config = {
+      layers: discovered.layers,
+      outputFormat: discovered.outputFormat,
+      paging: discovered.paging,
+      pageSize: source.pageSize
+    };
+
+    await ActionJournal.group(`Source: ${source.name}`, () => GristAPI.updateRecords(CATALOGS_SCHEMA.tableName, [{
+      id: source.rowId,
+      source_type: SOURCE_TYPES[discovered.protocol],
+      config: JSON.stringify(config)
+    }]));
+
+    this.sources[sourceId] = this.createRegisteredSource({
+      ...source,
+      type: discovered.protocol,
+      config
+    });
+
+    this.aliases = this.buildAliases();
+    this.publishRegisteredSources();
+    return this.sources[sourceId];
+  }
+
+  /**
+   * Unregister a source (its GIS_Catalogs row is deleted)
+   */
+  async removeSource(sourceId) {
+    const source = this.getRegisteredSource(sourceId);
+
+    await ActionJournal.group(`Suppression source: ${source.name}`, () =>
+      GristAPI.deleteRecords(CATALOGS_SCHEMA.tableName, [source.rowId])
+    );
+
+    delete this.sources[sourceId];
+    this.aliases = this.buildAliases();
+    this.publishRegisteredSources();
+  }
+
+  // ========================================
+  // Saved Overpass queries (GIS_Catalogs)
+  // ========================================
+
+  /**
+   * Save a named Overpass query (new row, or update of the query `id`)
+   *
+   * @param {Object} params
+   * @param {string} params.id - Saved query to update (optional)
+   * @param {string} params.name - Query name
+   * @param {string} params.description - Optional description
+   * @param {string} params.keywords - Comma separated search keywords
+   * @param {Object} params.spec - Query spec (OverpassQueryService)
+   * @returns {Promise<Object>} Saved query
+   */
+  async saveOverpassQuery({ id = null, name, description = '', keywords = '', spec }) {
+    const title = (name || '').trim();
+    if (!title) {
+      throw new Error('Nom de la requête requis');
+    }
+
+    const tableName = CATALOGS_SCHEMA.tableName;
+    const existing = id ? this.getOverpassQuery(id) : null;
+    const fields = {
+      title,
+      description: description.trim(),
+      keywords: keywords.trim(),
+      config: JSON.stringify(spec)
+    };
+
+    if (existing) {
+      await ActionJournal.group(`Requête Overpass: ${title}`, () => GristAPI.updateRecords(tableName, [{
+        id: existing.rowId,
+        ...fields
+      }]));
+      this.overpassQueries[id] = this.createOverpassQuery(id, existing.rowId, { ...fields, name: title, spec });
+    } else {
+      const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+      if (!init.success) {
+        throw new Error(`Impossible de créer la table ${tableName}`);
+      }
+
+      const queryId = this.uniqueSourceId(`overpass ${title}`);
+      const [rowId] = await ActionJournal.group(`Requête Overpass: ${title}`, () => GristAPI.addRecords(tableName, [{
+        source_type: OVERPASS_QUERY_TYPE,
+        dataset_id: queryId,
+        endpoint_url: OVERPASS_ENDPOINT,
+        created_at: Math.floor(Date.now() / 1000),
+        ...fields
+      }]));
+      id = queryId;
+      this.overpassQueries[id] = this.createOverpassQuery(id, rowId, { ...fields, name: title, spec });
+    }
+
+    this.publishOverpassQueries();
+    return this.overpassQueries[id];
+  }
+
+  /**
+   * Delete a saved Overpass query (its GIS_Catalogs row)
+   */
+  async removeOverpassQuery(queryId) {
+    const query = this.getOverpassQuery(queryId);
+
+    await ActionJournal.group(`Suppression requête: ${query.name}`, () =>
+      GristAPI.deleteRecords(CATALOGS_SCHEMA.tableName, [query.rowId])
+    );
+
+    delete this.overpassQueries[queryId];
+    this.publishOverpassQueries();
+  }
+
+  /**
+   * Saved Overpass queries
+   */
+  getOverpassQueries() {
+    return Object.values(this.overpassQueries);
+  }
+
+  /**
+   * @private
+   */
+  getOverpassQuery(queryId) {
+    const query = this.overpassQueries[queryId];
+    if (!query) {
+      throw new Error(`Requête inconnue: ${queryId}`);
+    }
+    return query;
+  }
+
+  /**
+   * @private
+   */
+  createOverpassQuery(id, rowId, { name, description, keywords, spec }) {
+    return { id, rowId, name, description, keywords, spec };
+  }
+
+  /**
+   * Saved queries for the UI (state 'data.overpassQueries')
+   * @private
+   */
+  publishOverpassQueries() {
+    StateManager.setState('data.overpassQueries', this.getOverpassQueries(), 'Saved Overpass queries');
+  }
+
+  /**
+   * Sources registered by the user (WFS / OGC API)
+   */
+  getRegisteredSources() {
+    return Object.values(this.sources).filter(source => source.registered);
+  }
+
+  /**
+   * @private
+   */
+  getRegisteredSource(sourceId) {
+    const source = this.sources[sourceId];
+    if (!source?.registered) {
+      throw new Error(`Source inconnue: ${sourceId}`);
+    }
+    return source;
+  }
+
+  /**
+   * Catalog entry of a registered source
+   * @private
+   */
+  createRegisteredSource({ id, name, type, endpoint, description, keywords, rowId, config }) {
+    const layers = {};
+    (config.layers || []).forEach(layer => {
+      const localName = layer.id.split(':').pop();
+      layers[layer.id] = {
+        id: layer.id,
+        name: layer.title || layer.id,
+        description: layer.description || '',
+        crs: layer.crs || null,
+        bbox: layer.bbox || null,
+        searchable: true,
+        nlp_aliases: [...new Set([layer.title || layer.id, localName].map(alias => alias.toLowerCase().trim()))]
+      };
+    });
+
+    return {
+      id,
+      name,
+      type,
+      endpoint,
+      description,
+      keywords,
+      rowId,
+      registered: true,
+
+      capabilities: [
+        'bbox_filter',
+        'attribute_filter',
+        'paging'
+      ],
+
+      outputFormat: config.outputFormat || null,
+      paging: config.paging !== false,
+      pageSize: config.pageSize || null,
+      layers
+    };
+  }
+
+  /**
+   * Source id from its name ("Données Métropole" → "donnees_metropole")
+   * @private
+   */
+  uniqueSourceId(name) {
+    const base = name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'source';
+
+    let id = base;
+    for (let i = 2; this.sources[id] || this.overpassQueries[id] || RESERVED_IDS.includes(id); i++) {
+      id = `${base}_${i}`;
+    }
+    return id;
+  }
+
+  /**
+   * Registered sources summary for the UI (state 'data.catalogs')
+   * @private
+   */
+  publishRegisteredSources() {
+    StateManager.setState('data.catalogs', this.getRegisteredSources().map(source => ({
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      endpoint: source.endpoint,
+      layerCount: Object.keys(source.layers).length
+    })), 'Registered sources');
+  }
+
   /**
    * Find matching data source from natural language
    *
@@ -366,6 +768,8 @@ class DataCatalog {
       return source.tags[layerOrTag];
     } else if (sourceId === 'project') {
       return source.tables[layerOrTag];
+    } else if (source?.registered) {
+      return source.layers[layerOrTag];
     }
 
     return null;
@@ -427,6 +831,25 @@ class DataCatalog {
       });
     });
 
+    // Search registered WFS / OGC API layers
+    this.getRegisteredSources().forEach(source => {
+      const sourceMatch = source.name.toLowerCase().includes(lowerQuery) ||
+        source.keywords.toLowerCase().includes(lowerQuery);
+
+      Object.entries(source.layers).forEach(([key, layer]) => {
+        if (sourceMatch ||
+            layer.name.toLowerCase().includes(lowerQuery) ||
+            layer.description.toLowerCase().includes(lowerQuery)) {
+          results.push({
+            source: source.id,
+            layer: key,
+            name: layer.name,
+            description: layer.description
+          });
+        }
+      });
+    });
+
     return results;
   }
 }
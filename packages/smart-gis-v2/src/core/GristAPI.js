@@ -8,12 +8,30 @@
  * - Table CRUD operations
  * - Columnar data conversion
  * - Event subscriptions
+ * - Inverse actions of data writes (undo journal, see core/ActionJournal.js)
  */
 
+// Row ids per REST records request (URL length)
+const ROWS_PER_REQUEST = 500;
+
 class GristAPI {
   constructor() {
     this.docApi = null;
     this.ready = false;
+    this.journal = null;
+    this.accessToken = null;
+  }
+
+  /**
+   * Register the action journal: every record write is reported with its
+   * inverse user action ({ forward, inverse, label })
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
+  isJournaled(tableId) {
+    return !!this.journal && this.journal.tracks(tableId);
   }
 
   /**
@@ -96,9 +114,10 @@ class GristAPI {
    *
    * @param {string} tableId - Table name
    * @param {array} records - [{col1: val1, col2: val2}, ...]
+   * @returns {array} Row ids of the new records
    */
   async addRecords(tableId, records) {
-    if (!this.ready || records.length === 0) return;
+    if (!this.ready || records.length === 0) return [];
 
     const columns = Object.keys(records[0]);
     const data = {};
@@ -109,9 +128,20 @@ class GristAPI {
 
     const ids = records.map(() => null);
 
-    await this.docApi.applyUserActions([
+    const result = await this.docApi.applyUserActions([
       ['BulkAddRecord', tableId, ids, data]
     ]);
+    const newIds = result?.retValues?.[0] || [];
+
+    if (this.isJournaled(tableId)) {
+      // Forward action is captured on undo (rows may change meanwhile)
+      await this.journal.record({
+        forward: null,
+        inverse: ['BulkRemoveRecord', tableId, newIds]
+      }, `Ajout de ${newIds.length} ligne(s) dans ${tableId}`);
+    }
+
+    return newIds;
   }
 
   /**
@@ -131,9 +161,17 @@ class GristAPI {
       data[col] = updates.map(u => u[col]);
     });
 
-    await this.docApi.applyUserActions([
-      ['BulkUpdateRecord', tableId, ids, data]
-    ]);
+    const action = ['BulkUpdateRecord', tableId, ids, data];
+    const journaled = this.isJournaled(tableId);
+    const inverse = journaled && this.journal.reserve(ids.length)
+      ? ['BulkUpdateRecord', tableId, ids, await this.fetchRowsData(tableId, ids, columns)]
+      : null;
+
+    await this.docApi.applyUserActions([action]);
+
+    if (journaled) {
+      await this.journal.record({ forward: action, inverse }, `Modification de ${ids.length} ligne(s) dans ${tableId}`);
+    }
   }
 
   /**
@@ -142,9 +180,128 @@ class GristAPI {
   async deleteRecords(tableId, ids) {
     if (!this.ready || ids.length === 0) return;
 
-    await this.docApi.applyUserActions([
-      ['BulkRemoveRecord', tableId, ids]
-    ]);
+    const action = ['BulkRemoveRecord', tableId, ids];
+    const journaled = this.isJournaled(tableId);
+    const inverse = journaled && this.journal.reserve(ids.length) ? await this.snapshotRows(tableId, ids) : null;
+
+    await this.docApi.applyUserActions([action]);
+
+    if (journaled) {
+      await this.journal.record({ forward: action, inverse }, `Suppression de ${ids.length} ligne(s) dans ${tableId}`);
+    }
+  }
+
+  /**
+   * Apply raw user actions (not journaled: used to replay the journal)
+   */
+  async applyActions(actions) {
+    if (!this.ready || actions.length === 0) return;
+    await this.docApi.applyUserActions(actions);
+  }
+
+  /**
+   * Data (non-formula) column ids of a table
+   *
+   * Resolved once per journal group / replay (several writes to the same table)
+   */
+  async getDataColumns(tableId) {
+    const cache = this.journal?.groupCache;
+    const key = `columns:${tableId}`;
+    if (cache?.has(key)) return cache.get(key);
+
+    const tables = this.convertTableData(await this.docApi.fetchTable('_grist_Tables'));
+    const table = tables.find(t => t.tableId === tableId);
+    let dataColumns = [];
+
+    if (table) {
+      const columns = this.convertTableData(await this.docApi.fetchTable('_grist_Tables_column'));
+      dataColumns = columns
+        .filter(col => col.parentId === table.id && !col.isFormula && !col.colId.startsWith('gristHelper_'))
+        .map(col => col.colId);
+    }
+
+    cache?.set(key, dataColumns);
+    return dataColumns;
+  }
+
+  /**
+   * Current values of some rows, in columnar format { col: [values in ids order] }
+   */
+  async fetchRowsData(tableId, ids, columns) {
+    const byId = await this.fetchRowsById(tableId, ids);
+
+    const data = {};
+    columns.forEach(col => {
+      data[col] = ids.map(id => {
+        const value = byId.get(id)?.[col];
+        return value === undefined ? null : value;
+      });
+    });
+    return data;
+  }
+
+  /**
+   * Action re-creating rows as they are now (same row ids, data columns)
+   */
+  async snapshotRows(tableId, ids) {
+    const columns = (await this.getDataColumns(tableId)).filter(col => col !== 'id');
+    return ['BulkAddRecord', tableId, ids, await this.fetchRowsData(tableId, ids, columns)];
+  }
+
+  /**
+   * Rows of a table by id (Map id → record)
+   *
+   * Only the requested rows are read, through the REST records endpoint
+   * filtered by id. If the document API token is unavailable, the whole
+   * table is read once per journal group: the rows not yet written by the
+   * group are current, and the group is always undone as a whole.
+   * @private
+   */
+  async fetchRowsById(tableId, ids) {
+    try {
+      const { token, baseUrl } = await this.getAccessToken();
+      const byId = new Map();
+
+      for (let i = 0; i < ids.length; i += ROWS_PER_REQUEST) {
+        const filter = JSON.stringify({ id: ids.slice(i, i + ROWS_PER_REQUEST) });
+        const url = `${baseUrl}/tables/${encodeURIComponent(tableId)}/records`
+          + `?filter=${encodeURIComponent(filter)}&auth=${token}`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const { records = [] } = await response.json();
+        records.forEach(record => byId.set(record.id, { id: record.id, ...record.fields }));
+      }
+
+      return byId;
+    } catch (error) {
+      console.warn(`[GristAPI] Rows of ${tableId} read from the whole table:`, error.message);
+    }
+
+    const cache = this.journal?.groupCache;
+    const key = `rows:${tableId}`;
+    if (cache?.has(key)) return cache.get(key);
+
+    const records = await this.fetchTable(tableId);
+    const byId = new Map(records.map(r => [r.id, r]));
+    cache?.set(key, byId);
+    return byId;
+  }
+
+  /**
+   * Read-only REST token of the document (renewed before it expires)
+   * @private
+   */
+  async getAccessToken() {
+    if (!this.accessToken || this.accessToken.expires < Date.now()) {
+      const { token, baseUrl, ttlMsecs } = await this.docApi.getAccessToken({ readOnly: true });
+      // Renew a minute early
+      this.accessToken = { token, baseUrl, expires: Date.now() + ttlMsecs - 60000 };
+    }
+    return this.accessToken;
   }
 
   /**
@@ -171,6 +328,37 @@ class GristAPI {
     }
   }
 
+  /**
+   * Add a data column (schema change, not journaled)
+   *
+   * @param {Object} colInfo - { type, label, widgetOptions }
+   */
+  async addColumn(tableId, colId, colInfo) {
+    if (!this.ready) return;
+    await this.docApi.applyUserActions([['AddColumn', tableId, colId, colInfo]]);
+  }
+
+  /**
+   * Remove a column (schema change, not journaled)
+   */
+  async removeColumn(tableId, colId) {
+    if (!this.ready) return;
+    await this.docApi.applyUserActions([['RemoveColumn', tableId, colId]]);
+  }
+
+  /**
+   * Table the widget is linked to (rows of onRecordSelect)
+   */
+  async getSelectedTableId() {
+    if (!this.ready) return null;
+    try {
+      return await window.grist.selectedTable.getTableId();
+    } catch (error) {
+      console.warn('[GristAPI] Could not read the selected table:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Listen to cursor selection changes
    */
@@ -3,8 +3,8 @@
  *
  * Orchestrates execution of agent-driven spatial queries:
  * 1. Receives parsed query from webhook/n8n
- * 2. Fetches data from catalog sources
- * 3. Applies spatial treatments
+ * 2. Compiles it into an execution plan (DAG of named nodes)
+ * 3. Runs nodes in dependency order: fetch, treatment, filter, join, aggregate
  * 4. Composes final visualization
  * 5. Updates state and displays results
  *
@@ -15,6 +15,43 @@ import dataCatalog from './DataCatalog';
 import treatmentRegistry from './TreatmentRegistry';
 import StateManager from './StateManager';
 import GristAPI from './GristAPI';
+import GeometryEngine from '../services/GeometryEngine';
+import DataAnalyzer from '../services/DataAnalyzer';
+import SelectionQueryEngine from '../services/SelectionQueryEngine';
+import OGCFeatureService from '../services/OGCFeatureService';
+import SpatialIndex from '../utils/geometry/spatialIndex';
+
+// Predicates accepted in parsedQuery.spatialFilter.predicate
+const SPATIAL_PREDICATES = ['within', 'contains', 'intersects', 'touches', 'crosses', 'distance', 'distance_query'];
+
+// Plan node operations
+const PLAN_OPERATIONS = ['fetch', 'treatment', 'filter', 'join', 'aggregate'];
+
+// Aggregation functions for join/aggregate nodes
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'mean', 'avg', 'min', 'max', 'first', 'list', 'count_distinct'];
+
+// Default styles of the single-query layers (zone/reference/target)
+const DEFAULT_LAYER_STYLES = {
+  zone: {
+    name: 'Zone',
+    style: { fillColor: '#3b82f6', fillOpacity: 0.1, strokeColor: '#1e40af', strokeWidth: 2 },
+    zIndex: 1
+  },
+  reference: {
+    name: 'Référence',
+    style: { fillColor: '#10b981', fillOpacity: 0.3, strokeColor: '#059669', strokeWidth: 1 },
+    zIndex: 2
+  },
+  target: {
+    name: 'Résultats',
+    style: { color: '#ef4444', fillColor: '#fca5a5', fillOpacity: 0.6, strokeWidth: 2, radius: 8 },
+    zIndex: 3,
+    highlight: true
+  }
+};
+
+// Number of executions whose intermediate node results are kept in memory
+const MAX_KEPT_EXECUTIONS = 10;
 
 class QueryExecutor {
   constructor() {
@@ -22,6 +59,9 @@ class QueryExecutor {
     this.treatmentRegistry = treatmentRegistry;
     this.stateManager = StateManager;
     this.gristAPI = GristAPI;
+
+    // executionId → { plan, results: { nodeId → data } }
+    this.executions = new Map();
   }
 
   /**
@@ -30,7 +70,7 @@ class QueryExecutor {
    * @param {Object} parsedQuery - Structured query from n8n LLM
    * @returns {Object} - Execution result with steps and final view
    *
-   * Example parsedQuery structure:
+   * Single-query structure (compiled into a plan):
    * {
    *   target: { source: 'osm', type: 'amenity', value: 'school' },
    *   reference: { source: 'osm', type: 'amenity', value: 'hospital' },
@@ -44,72 +84,48 @@ class QueryExecutor {
    *     basemap: 'osm-standard'
    *   }
    * }
+   *
+   * Plan structure (named datasets + nodes, see AGENT_SYSTEM.md):
+   * {
+   *   plan: {
+   *     datasets: {
+   *       communes: { source: 'ign', layer: 'communes', filter: { code_dep: '75' } },
+   *       pharmacies: { source: 'osm', tag: 'amenity', value: 'pharmacy', bboxFrom: 'communes' }
+   *     },
+   *     nodes: [
+   *       { id: 'communes_stats', op: 'join', target: 'communes', join: 'pharmacies',
+   *         predicate: 'within', aggregations: [{ op: 'count', as: 'nb_pharmacies' }] }
+   *     ],
+   *     output: ['communes_stats']
+   *   },
+   *   visualization: {
+   *     layers: [{ id: 'communes_stats', choropleth: { field: 'nb_pharmacies' } }]
+   *   }
+   * }
    */
   async execute(parsedQuery) {
     const executionId = Date.now();
     const steps = [];
+    let plan = null;
 
     try {
       // Update state: execution started
       StateManager.setState('data.currentQuery', parsedQuery, 'Query execution started');
       StateManager.setState('data.executionSteps', [], 'Reset execution steps');
 
-      // Step 1: Fetch zone (if specified)
-      let zone = null;
-      if (parsedQuery.zone) {
-        zone = await this.fetchData('zone', parsedQuery.zone);
-        this.addStep(steps, 'zone', 'Zone fetched', { count: zone.features.length });
-      }
-
-      // Step 2: Fetch reference data (if specified)
-      let reference = null;
-      if (parsedQuery.reference) {
-        const options = zone ? { bbox: zone.bbox } : {};
-        reference = await this.fetchData('reference', parsedQuery.reference, options);
-        this.addStep(steps, 'reference', 'Reference data fetched', { count: reference.features.length });
-      }
-
-      // Step 3: Apply treatments to reference (if any)
-      let processedReference = reference;
-      if (reference && parsedQuery.treatments) {
-        const refTreatments = parsedQuery.treatments.filter(t => t.apply_to === 'reference');
-        for (const treatment of refTreatments) {
-          processedReference = await this.applyTreatment(treatment, processedReference);
-          this.addStep(steps, 'treatment', `Applied ${treatment.id}`, {
-            treatment: treatment.id,
-            params: treatment.params
-          });
-        }
-      }
-
-      // Step 4: Fetch target data
-      let target = null;
-      if (parsedQuery.target) {
-        const options = zone ? { bbox: zone.bbox } : {};
-        target = await this.fetchData('target', parsedQuery.target, options);
-        this.addStep(steps, 'target', 'Target data fetched', { count: target.features.length });
-      }
+      plan = parsedQuery.plan
+        ? this.normalizePlan(parsedQuery.plan)
+        : this.compileLegacyQuery(parsedQuery);
 
-      // Step 5: Filter target by spatial relationship with processed reference
-      let filteredTarget = target;
-      if (target && processedReference && parsedQuery.spatialFilter) {
-        filteredTarget = await this.applySpatialFilter(
-          target,
-          processedReference,
-          parsedQuery.spatialFilter
-        );
-        this.addStep(steps, 'filter', 'Spatial filter applied', {
-          before: target.features.length,
-          after: filteredTarget.features.length
-        });
-      }
+      const results = await this.executePlan(plan, steps);
+      this.keepExecution(executionId, plan, results);
 
-      // Step 6: Compose visualization
-      const view = await this.composeView(parsedQuery.visualization || {}, {
-        zone,
-        reference: processedReference,
-        target: filteredTarget
-      });
+      // Compose visualization
+      const vizSpec = parsedQuery.visualization || {};
+      const view = await this.composeView({
+        ...vizSpec,
+        layers: vizSpec.layers || plan.output
+      }, results);
 
       this.addStep(steps, 'compose', 'View composed', {
         layers: view.layers.length
@@ -119,6 +135,7 @@ class QueryExecutor {
       const result = {
         executionId,
         query: parsedQuery,
+        plan,
         steps,
         result: view,
         timestamp: new Date().toISOString(),
@@ -133,6 +150,7 @@ class QueryExecutor {
       const result = {
         executionId,
         query: parsedQuery,
+        plan,
         steps,
         error: error.message,
         timestamp: new Date().toISOString(),
@@ -144,6 +162,322 @@ class QueryExecutor {
     }
   }
 
+  /**
+   * Replay a previous execution (from history)
+   *
+   * @param {Object} executionResult - Entry of data.queryHistory
+   * @param {string} untilNodeId - Optional: stop after this node and display it
+   */
+  async replay(executionResult, untilNodeId = null) {
+    const query = executionResult.query;
+
+    if (!untilNodeId) {
+      return this.execute(query);
+    }
+
+    const plan = executionResult.plan || (query.plan
+      ? this.normalizePlan(query.plan)
+      : this.compileLegacyQuery(query));
+
+    return this.execute({
+      plan: { ...plan, nodes: this.getAncestors(plan.nodes, untilNodeId), output: [untilNodeId] },
+      visualization: { basemap: query.visualization?.basemap }
+    });
+  }
+
+  /**
+   * Get the full intermediate result of a node
+   * (executionSteps only carry a summary)
+   */
+  getNodeResult(executionId, nodeId) {
+    return this.executions.get(executionId)?.results[nodeId] || null;
+  }
+
+  // ============================================
+  // Plan compilation
+  // ============================================
+
+  /**
+   * Normalize a plan: named datasets become fetch nodes, output defaults
+   * to the nodes no other node depends on
+   */
+  normalizePlan(planSpec) {
+    const datasetNodes = Object.entries(planSpec.datasets || {}).map(([id, spec]) => {
+      const { bboxFrom, ...dataset } = spec;
+      return { id, op: 'fetch', dataset, ...(bboxFrom ? { bboxFrom } : {}) };
+    });
+
+    const nodes = [...datasetNodes, ...(planSpec.nodes || [])];
+    const ids = new Set();
+
+    nodes.forEach(node => {
+      if (!node.id) {
+        throw new Error('Plan node without id');
+      }
+      if (ids.has(node.id)) {
+        throw new Error(`Duplicate plan node: ${node.id}`);
+      }
+      if (!PLAN_OPERATIONS.includes(node.op)) {
+        throw new Error(`Unknown plan operation "${node.op}" in node ${node.id}`);
+      }
+      ids.add(node.id);
+    });
+
+    nodes.forEach(node => {
+      this.getNodeDependencies(node).forEach(dep => {
+        if (!ids.has(dep)) {
+          throw new Error(`Node ${node.id} references unknown node: ${dep}`);
+        }
+      });
+    });
+
+    const consumed = new Set(nodes.flatMap(node => this.getNodeDependencies(node)));
+
+    return {
+      nodes,
+      output: planSpec.output || nodes.filter(n => !consumed.has(n.id)).map(n => n.id)
+    };
+  }
+
+  /**
+   * Compile the single zone/reference/target query into a plan
+   * Node ids 'zone', 'reference' and 'target' hold the final datasets
+   */
+  compileLegacyQuery(parsedQuery) {
+    const nodes = [];
+    const treatments = parsedQuery.treatments || [];
+    const bboxFrom = parsedQuery.zone ? { bboxFrom: 'zone' } : {};
+
+    // Chain nodes: intermediate ids are `${name}_${i}`, last one is `${name}`
+    const addChain = (name, chain) => {
+      chain.forEach((node, i) => {
+        node.id = i === chain.length - 1 ? name : `${name}_${i}`;
+        if (i > 0) node.input = chain[i - 1].id;
+        nodes.push(node);
+      });
+    };
+
+    const treatmentsFor = (name) => {
+      const chainTreatments = treatments.filter(t => t.apply_to === name);
+      return chainTreatments.length > 0
+        ? [{ op: 'treatment', treatments: chainTreatments }]
+        : [];
+    };
+
+    if (parsedQuery.zone) {
+      addChain('zone', [{ op: 'fetch', dataset: parsedQuery.zone }]);
+    }
+
+    if (parsedQuery.reference) {
+      addChain('reference', [
+        { op: 'fetch', dataset: parsedQuery.reference, ...bboxFrom },
+        ...treatmentsFor('reference')
+      ]);
+    }
+
+    if (parsedQuery.target) {
+      const chain = [
+        { op: 'fetch', dataset: parsedQuery.target, ...bboxFrom },
+        ...treatmentsFor('target')
+      ];
+
+      // Restrict target to the zone geometry (bbox fetch is approximate)
+      if (parsedQuery.zone) {
+        chain.push({ op: 'filter', reference: 'zone', predicate: 'intersects' });
+      }
+
+      if (parsedQuery.reference && parsedQuery.spatialFilter) {
+        chain.push({ op: 'filter', reference: 'reference', ...parsedQuery.spatialFilter });
+      }
+
+      addChain('target', chain);
+    }
+
+    return { nodes, output: undefined };
+  }
+
+  /**
+   * Ids of the nodes a node depends on
+   */
+  getNodeDependencies(node) {
+    switch (node.op) {
+      case 'fetch':
+        return node.bboxFrom ? [node.bboxFrom] : [];
+      case 'filter':
+        return [node.input, node.reference].filter(Boolean);
+      case 'join':
+        return [node.target, node.join];
+      default:
+        return [node.input];
+    }
+  }
+
+  /**
+   * Topological order of plan nodes (Kahn's algorithm)
+   */
+  resolveExecutionOrder(nodes) {
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const pending = new Map(nodes.map(n => [n.id, new Set(this.getNodeDependencies(n))]));
+    const order = [];
+
+    while (pending.size > 0) {
+      const ready = [...pending.entries()]
+        .filter(([, deps]) => deps.size === 0)
+        .map(([id]) => id);
+
+      if (ready.length === 0) {
+        throw new Error(`Cycle in execution plan: ${[...pending.keys()].join(', ')}`);
+      }
+
+      ready.forEach(id => {
+        order.push(byId.get(id));
+        pending.delete(id);
+        pending.forEach(deps => deps.delete(id));
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * A node and all the nodes it depends on (plan order preserved)
+   */
+  getAncestors(nodes, nodeId) {
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const needed = new Set();
+    const visit = (id) => {
+      if (needed.has(id) || !byId.has(id)) return;
+      needed.add(id);
+      this.getNodeDependencies(byId.get(id)).forEach(visit);
+    };
+
+    visit(nodeId);
+
+    if (needed.size === 0) {
+      throw new Error(`Unknown plan node: ${nodeId}`);
+    }
+
+    return nodes.filter(n => needed.has(n.id));
+  }
+
+  // ============================================
+  // Plan execution
+  // ============================================
+
+  /**
+   * Run all plan nodes in dependency order
+   *
+   * @returns {Object} nodeId → data ({ features, bbox, ... })
+   */
+  async executePlan(plan, steps) {
+    const results = {};
+
+    for (const node of this.resolveExecutionOrder(plan.nodes)) {
+      const data = await this.executeNode(node, results);
+      results[node.id] = data;
+
+      this.addStep(steps, node.op, this.describeNode(node), {
+        nodeId: node.id,
+        inputs: this.getNodeDependencies(node),
+        ...this.summarizeData(data)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run a single plan node
+   */
+  async executeNode(node, results) {
+    switch (node.op) {
+      case 'fetch': {
+        const options = node.bboxFrom && results[node.bboxFrom]?.bbox
+          ? { bbox: results[node.bboxFrom].bbox }
+          : {};
+        return await this.fetchData(node.id, node.dataset, options);
+      }
+
+      case 'treatment': {
+        let data = results[node.input];
+        for (const treatment of node.treatments || []) {
+          data = await this.applyTreatment(treatment, data);
+        }
+        return data;
+      }
+
+      case 'filter': {
+        let data = results[node.input];
+        if (node.reference) {
+          data = await this.applySpatialFilter(data, results[node.reference], node);
+        }
+        if (node.conditions) {
+          data = this.applyAttributeFilter(data, node);
+        }
+        return data;
+      }
+
+      case 'join':
+        return await this.applySpatialJoin(results[node.target], results[node.join], node);
+
+      case 'aggregate':
+        return await this.applyAggregation(results[node.input], node);
+
+      default:
+        throw new Error(`Unknown plan operation: ${node.op}`);
+    }
+  }
+
+  /**
+   * Human-readable step message
+   */
+  describeNode(node) {
+    switch (node.op) {
+      case 'fetch':
+        return `${node.id}: data fetched`;
+      case 'treatment':
+        return `${node.id}: applied ${(node.treatments || []).map(t => t.id).join(' → ')}`;
+      case 'filter':
+        return `${node.id}: filtered${node.reference ? ` (${node.predicate || 'intersects'} ${node.reference})` : ''}`;
+      case 'join':
+        return `${node.id}: joined ${node.join} to ${node.target}`;
+      case 'aggregate':
+        return `${node.id}: aggregated by ${[].concat(node.groupBy || []).join(', ') || 'all'}`;
+      default:
+        return node.id;
+    }
+  }
+
+  /**
+   * Summary of an intermediate result for executionSteps
+   * (full data is available through getNodeResult)
+   */
+  summarizeData(data) {
+    const features = data?.features || [];
+    const fields = new Set();
+    features.slice(0, 100).forEach(f => {
+      Object.keys(this.getFeatureProperties(f)).forEach(key => fields.add(key));
+    });
+
+    return {
+      count: features.length,
+      bbox: data?.bbox || null,
+      fields: [...fields],
+      preview: features.slice(0, 5)
+    };
+  }
+
+  /**
+   * Keep full node results of the last executions (for replay/inspection)
+   */
+  keepExecution(executionId, plan, results) {
+    this.executions.set(executionId, { plan, results });
+
+    if (this.executions.size > MAX_KEPT_EXECUTIONS) {
+      this.executions.delete(this.executions.keys().next().value);
+    }
+  }
+
   /**
    * Fetch data from catalog
    */
@@ -156,11 +490,40 @@ class QueryExecutor {
       return await this.fetchOSM(tag, value, options);
     } else if (source === 'project') {
       return await this.fetchGrist(layer, filter, options);
+    } else if (this.dataCatalog.getSource(source)?.registered) {
+      return await this.fetchRegistered(source, layer, filter, options);
     }
 
     throw new Error(`Unknown source: ${source}`);
   }
 
+  /**
+   * Fetch from a registered WFS / OGC API - Features source
+   *
+   * filter: { field: value } (equalities) or a CQL text
+   */
+  async fetchRegistered(sourceId, layerKey, filter, options) {
+    const source = this.dataCatalog.getSource(sourceId);
+    const layerDef = source.layers[layerKey];
+
+    if (!layerDef) {
+      throw new Error(`Unknown ${source.name} layer: ${layerKey}`);
+    }
+
+    const features = await OGCFeatureService.fetchFeatures(source, layerDef.id, {
+      bbox: options.bbox,
+      filter: typeof filter === 'string' ? filter : filter ? this.buildCQLFilter(filter) : null,
+      maxFeatures: options.maxFeatures || 1000
+    });
+
+    return {
+      source: sourceId,
+      layer: layerKey,
+      features,
+      bbox: this.calculateBBox(features)
+    };
+  }
+
   /**
    * Fetch from IGN WFS
    */
@@ -254,7 +617,11 @@ class QueryExecutor {
   }
 
   /**
-   * Apply spatial treatment
+   * Apply spatial treatment (client-side, via GeometryEngine)
+   *
+   * - Geometry tools (buffer, centroid, simplify...): applied to each feature
+   * - union / convex_hull: dissolve all features into one
+   * - Measurements (area, length...): stored in each feature's properties
    */
   async applyTreatment(treatmentSpec, data) {
     const treatment = this.treatmentRegistry.get(treatmentSpec.id);
@@ -263,107 +630,365 @@ class QueryExecutor {
       throw new Error(`Unknown treatment: ${treatmentSpec.id}`);
     }
 
-    // For now, simulate treatment application
-    // In production, this would call Grist formulas or use turf.js
+    if (!GeometryEngine.supports(treatment.id)) {
+      throw new Error(`Treatment not available client-side: ${treatment.id}`);
+    }
+
+    const params = this.resolveTreatmentParams(treatment, treatmentSpec.params);
+    const operation = GeometryEngine.operations[treatment.id];
+    let features;
 
-    if (treatmentSpec.id === 'buffer') {
-      // Buffer treatment - would use ST_BUFFER in Grist
-      return {
-        ...data,
-        features: data.features.map(f => ({
-          ...f,
-          _buffered: true,
-          _bufferDistance: treatmentSpec.params.distance,
-          _bufferUnit: treatmentSpec.params.unit
-        })),
-        treatment: 'buffer',
-        treatmentParams: treatmentSpec.params
-      };
+    if (treatment.resultType === 'geometry' && treatment.multiSelect) {
+      if (!['union', 'convex_hull'].includes(treatment.id)) {
+        throw new Error(`Treatment ${treatment.id} requires two datasets`);
+      }
+
+      const geometries = data.features
+        .map(f => GeometryEngine.getRecordGeometry(f))
+        .filter(Boolean);
+      const dissolved = geometries.length > 0 ? operation(geometries, params) : null;
+
+      features = dissolved
+        ? [{ type: 'Feature', geometry: dissolved, properties: { source_count: geometries.length } }]
+        : [];
+
+    } else if (treatment.resultType === 'geometry') {
+      features = data.features
+        .map(f => {
+          const geometry = GeometryEngine.getRecordGeometry(f);
+          const result = geometry ? operation([geometry], params) : null;
+          return result ? { ...f, geometry: result } : null;
+        })
+        .filter(Boolean);
+
+    } else {
+      const key = treatment.resultProperty
+        ? treatment.resultProperty(params)
+        : treatment.id;
+
+      features = data.features.map(f => {
+        const geometry = GeometryEngine.getRecordGeometry(f);
+        return geometry
+          ? this.setFeatureProperty(f, key, operation([geometry], params))
+          : f;
+      });
+    }
+
+    return {
+      ...data,
+      features,
+      bbox: this.calculateBBox(features),
+      treatment: treatment.id,
+      treatmentParams: params
+    };
+  }
+
+  /**
+   * Merge treatment params with tool defaults
+   * Agent queries express buffer distances as { distance, unit: 'm'|'km' },
+   * GeometryEngine works in meters
+   */
+  resolveTreatmentParams(treatment, specParams = {}) {
+    const params = {};
+
+    (treatment.params || []).forEach(param => {
+      if (param.default !== undefined) {
+        params[param.name] = param.default;
+      }
+    });
+
+    Object.assign(params, specParams);
+
+    if (treatment.id === 'buffer') {
+      params.distance = this.toMeters(params.distance, params.unit);
     }
 
-    // Pass through for other treatments
-    return data;
+    return params;
   }
 
   /**
    * Apply spatial filter
+   * Keeps target features matching the predicate with at least one
+   * reference feature. Reference features are indexed in an R-tree so
+   * only bbox candidates get an exact test.
+   *
+   * @param {Object} targetData - { features, ... }
+   * @param {Object} referenceData - { features, ... }
+   * @param {Object} filterSpec - { predicate, distance, unit }
    */
   async applySpatialFilter(targetData, referenceData, filterSpec) {
-    // For now, return all target data
-    // In production, would use ST_* predicates
+    const predicate = filterSpec.predicate || 'intersects';
+
+    if (!SPATIAL_PREDICATES.includes(predicate)) {
+      throw new Error(`Unknown spatial predicate: ${predicate}`);
+    }
+
+    const isDistance = predicate === 'distance' || predicate === 'distance_query';
+    const distance = isDistance ? this.toMeters(filterSpec.distance || 0, filterSpec.unit) : 0;
+
+    const index = SpatialIndex.from(
+      referenceData.features,
+      f => GeometryEngine.getRecordGeometry(f)
+    );
 
-    return targetData;
+    const features = targetData.features.filter(feature => {
+      const geometry = GeometryEngine.getRecordGeometry(feature);
+      if (!geometry) return false;
+
+      return index.search(geometry, distance).some(candidate =>
+        GeometryEngine.evaluatePredicate(predicate, geometry, candidate.geometry, {
+          distance,
+          unit: 'm'
+        })
+      );
+    });
+
+    return {
+      ...targetData,
+      features,
+      bbox: this.calculateBBox(features),
+      spatialFilter: filterSpec
+    };
   }
 
   /**
-   * Compose final visualization
+   * Apply attribute filter (SelectionQueryEngine conditions)
+   *
+   * @param {Object} data - { features, ... }
+   * @param {Object} spec - { conditions: [{ field, operator, value }], operator: 'AND'|'OR' }
    */
-  async composeView(vizSpec, dataLayers) {
-    const layers = [];
-    const { zone, reference, target } = dataLayers;
-
-    // Add zone layer
-    if (zone && vizSpec.layers?.includes('zone')) {
-      layers.push({
-        id: 'zone',
-        name: 'Zone',
-        type: 'zone',
-        data: zone.features,
-        style: vizSpec.styles?.zone || {
-          fillColor: '#3b82f6',
-          fillOpacity: 0.1,
-          strokeColor: '#1e40af',
-          strokeWidth: 2
-        },
-        visible: true,
-        zIndex: 1
-      });
+  applyAttributeFilter(data, spec) {
+    const features = SelectionQueryEngine.executeQuery(data.features, {
+      conditions: spec.conditions,
+      operator: spec.operator || 'AND'
+    });
+
+    return { ...data, features, bbox: this.calculateBBox(features) };
+  }
+
+  /**
+   * Spatial join: copy/aggregate attributes of matching join features
+   * onto each target feature
+   *
+   * The predicate is evaluated as (join feature) PREDICATE (target feature),
+   * e.g. pharmacies `within` communes.
+   *
+   * @param {Object} targetData - Features receiving attributes
+   * @param {Object} joinData - Features providing attributes
+   * @param {Object} spec - {
+   *   predicate = 'intersects', distance, unit,
+   *   aggregations = [{ op: 'count', as: 'join_count' }],
+   *   copy: ['field'] (copied from first match), prefix = '',
+   *   keepUnmatched = true
+   * }
+   */
+  async applySpatialJoin(targetData, joinData, spec) {
+    const predicate = spec.predicate || 'intersects';
+
+    if (!SPATIAL_PREDICATES.includes(predicate)) {
+      throw new Error(`Unknown spatial predicate: ${predicate}`);
     }
 
-    // Add reference layer
-    if (reference && vizSpec.layers?.includes('reference')) {
-      layers.push({
-        id: 'reference',
-        name: 'Référence',
-        type: 'reference',
-        data: reference.features,
-        style: vizSpec.styles?.reference || {
-          fillColor: '#10b981',
-          fillOpacity: 0.3,
-          strokeColor: '#059669',
-          strokeWidth: 1
-        },
-        visible: true,
-        zIndex: 2
+    const isDistance = predicate === 'distance' || predicate === 'distance_query';
+    const distance = isDistance ? this.toMeters(spec.distance || 0, spec.unit) : 0;
+    const aggregations = spec.aggregations || [{ op: 'count', as: 'join_count' }];
+    const prefix = spec.prefix || '';
+
+    const index = SpatialIndex.from(
+      joinData.features,
+      f => GeometryEngine.getRecordGeometry(f)
+    );
+
+    const features = [];
+
+    targetData.features.forEach(feature => {
+      const geometry = GeometryEngine.getRecordGeometry(feature);
+
+      const matches = geometry
+        ? index.search(geometry, distance)
+          .filter(candidate => GeometryEngine.evaluatePredicate(predicate, candidate.geometry, geometry, {
+            distance,
+            unit: 'm'
+          }))
+          .map(candidate => candidate.item)
+        : [];
+
+      if (matches.length === 0 && spec.keepUnmatched === false) return;
+
+      const values = this.computeAggregates(matches, aggregations);
+
+      if (spec.copy) {
+        const first = matches.length > 0 ? this.getFeatureProperties(matches[0]) : {};
+        spec.copy.forEach(field => {
+          values[`${prefix}${field}`] = first[field] ?? null;
+        });
+      }
+
+      features.push(this.mergeFeatureProperties(feature, values));
+    });
+
+    return {
+      ...targetData,
+      features,
+      bbox: this.calculateBBox(features),
+      join: { with: spec.join, predicate }
+    };
+  }
+
+  /**
+   * Group-by aggregation: one output feature per group
+   * (geometries dissolved unless dissolve === false)
+   *
+   * @param {Object} data - { features, ... }
+   * @param {Object} spec - {
+   *   groupBy: 'field' | ['field', ...] (none = single group),
+   *   aggregations = [{ op: 'count', as: 'count' }],
+   *   dissolve = true
+   * }
+   */
+  async applyAggregation(data, spec) {
+    const groupBy = [].concat(spec.groupBy || []);
+    const aggregations = spec.aggregations || [{ op: 'count', as: 'count' }];
+    const groups = new Map();
+
+    data.features.forEach(feature => {
+      const properties = this.getFeatureProperties(feature);
+      const keyValues = groupBy.map(field => properties[field] ?? null);
+      const key = JSON.stringify(keyValues);
+
+      if (!groups.has(key)) {
+        groups.set(key, { keyValues, members: [] });
+      }
+      groups.get(key).members.push(feature);
+    });
+
+    const features = [...groups.values()].map(({ keyValues, members }) => {
+      const properties = {};
+      groupBy.forEach((field, i) => {
+        properties[field] = keyValues[i];
       });
+      Object.assign(properties, this.computeAggregates(members, aggregations));
+
+      const geometries = spec.dissolve === false
+        ? []
+        : members.map(f => GeometryEngine.getRecordGeometry(f)).filter(Boolean);
+
+      return {
+        type: 'Feature',
+        geometry: geometries.length > 0 ? GeometryEngine.dissolve(geometries) : null,
+        properties
+      };
+    });
+
+    return {
+      source: 'aggregate',
+      features,
+      bbox: this.calculateBBox(features),
+      groupBy
+    };
+  }
+
+  /**
+   * Compute aggregations over a set of features
+   *
+   * @param {Array} features
+   * @param {Array} aggregations - [{ op, field, as }]
+   * @returns {Object} alias → value
+   */
+  computeAggregates(features, aggregations) {
+    const values = {};
+
+    aggregations.forEach(agg => {
+      if (!AGGREGATE_FUNCTIONS.includes(agg.op)) {
+        throw new Error(`Unknown aggregation: ${agg.op}`);
+      }
+
+      const alias = agg.as || (agg.field ? `${agg.op}_${agg.field}` : agg.op);
+      values[alias] = this.computeAggregate(agg, features);
+    });
+
+    return values;
+  }
+
+  /**
+   * Compute a single aggregation
+   */
+  computeAggregate({ op, field }, features) {
+    if (op === 'count') {
+      return features.length;
+    }
+
+    const raw = features
+      .map(f => this.getFeatureProperties(f)[field])
+      .filter(v => v != null && v !== '');
+
+    if (op === 'first') return raw.length > 0 ? raw[0] : null;
+    if (op === 'list') return [...new Set(raw.map(String))].join(', ');
+    if (op === 'count_distinct') return new Set(raw.map(String)).size;
+
+    const numbers = raw.map(Number).filter(v => !isNaN(v));
+    if (numbers.length === 0) return null;
+
+    switch (op) {
+      case 'sum':
+        return numbers.reduce((acc, v) => acc + v, 0);
+      case 'mean':
+      case 'avg':
+        return numbers.reduce((acc, v) => acc + v, 0) / numbers.length;
+      case 'min':
+        return Math.min(...numbers);
+      case 'max':
+        return Math.max(...numbers);
+      default:
+        return null;
     }
+  }
+
+  /**
+   * Compose final visualization
+   *
+   * @param {Object} vizSpec - { layers: [nodeId | { id, name, style, choropleth }], styles, basemap }
+   * @param {Object} results - nodeId → data
+   */
+  async composeView(vizSpec, results) {
+    const layers = [];
 
-    // Add target layer
-    if (target && vizSpec.layers?.includes('target')) {
-      layers.push({
-        id: 'target',
-        name: 'Résultats',
-        type: 'target',
-        data: target.features,
-        style: vizSpec.styles?.target || {
-          color: '#ef4444',
-          fillColor: '#fca5a5',
-          fillOpacity: 0.6,
-          strokeWidth: 2,
-          radius: 8
+    (vizSpec.layers || []).forEach((layerSpec, idx) => {
+      const spec = typeof layerSpec === 'string' ? { id: layerSpec } : layerSpec;
+      const data = results[spec.id];
+      if (!data) return;
+
+      const defaults = DEFAULT_LAYER_STYLES[spec.id] || {};
+      const layer = {
+        id: spec.id,
+        name: spec.name || defaults.name || spec.id,
+        type: defaults.name ? spec.id : 'result',
+        data: data.features,
+        style: spec.style || vizSpec.styles?.[spec.id] || defaults.style || {
+          color: '#8b5cf6',
+          fillColor: '#c4b5fd',
+          fillOpacity: 0.5,
+          strokeWidth: 1
         },
         visible: true,
-        zIndex: 3,
-        highlight: true
-      });
-    }
+        zIndex: defaults.zIndex || idx + 1
+      };
+
+      if (defaults.highlight) {
+        layer.highlight = true;
+      }
+
+      if (spec.choropleth) {
+        layer.styleRule = this.buildChoroplethRule(data.features, spec.choropleth);
+      }
+
+      layers.push(layer);
+    });
+
+    layers.sort((a, b) => a.zIndex - b.zIndex);
 
     // Calculate view bounds
-    const allFeatures = [
-      ...(zone?.features || []),
-      ...(reference?.features || []),
-      ...(target?.features || [])
-    ];
+    const allFeatures = layers.flatMap(layer => layer.data);
 
     const bounds = this.calculateBBox(allFeatures);
     const center = this.calculateCenter(bounds);
@@ -381,6 +1006,40 @@ class QueryExecutor {
     };
   }
 
+  /**
+   * Build a graduated style rule (StyleRuleEngine format) for a numeric field
+   *
+   * @param {Array} features
+   * @param {Object} spec - { field, classes = 5, method (DataAnalyzer CLASSIFICATION_METHODS id, default 'quantile'), colors }
+   */
+  buildChoroplethRule(features, spec) {
+    const values = features
+      .map(f => Number(this.getFeatureProperties(f)[spec.field]))
+      .filter(v => !isNaN(v))
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      return null;
+    }
+
+    const classes = spec.classes || 5;
+    const colors = spec.colors || DataAnalyzer.getSuggestedColorSchemes({ type: 'number' })[0].colors;
+    const min = values[0];
+
+    const method = spec.method || 'quantile';
+    const breaks = DataAnalyzer.classify(values, method, classes);
+    const ranges = DataAnalyzer.buildRanges(breaks, min, colors);
+
+    return {
+      type: 'graduated',
+      field: spec.field,
+      method,
+      numClasses: classes,
+      gvf: DataAnalyzer.calculateGVF(values, breaks),
+      ranges
+    };
+  }
+
   /**
    * Helper: Add execution step
    */
@@ -410,12 +1069,57 @@ class QueryExecutor {
   }
 
   /**
-   * Helper: Build CQL filter for WFS
+   * Helper: Convert distance to meters
+   */
+  toMeters(distance, unit = 'm') {
+    const value = Number(distance) || 0;
+    return unit === 'km' ? value * 1000 : value;
+  }
+
+  /**
+   * Helper: Properties of a GeoJSON feature or Grist record as an object
+   * (Grist records store properties as a JSON string)
+   */
+  getFeatureProperties(feature) {
+    if (typeof feature.properties === 'string') {
+      try {
+        return JSON.parse(feature.properties || '{}');
+      } catch {
+        return {};
+      }
+    }
+
+    return feature.properties || {};
+  }
+
+  /**
+   * Helper: Merge properties into a GeoJSON feature or Grist record
+   */
+  mergeFeatureProperties(feature, values) {
+    const properties = { ...this.getFeatureProperties(feature), ...values };
+
+    return {
+      ...feature,
+      properties: typeof feature.properties === 'string'
+        ? JSON.stringify(properties)
+        : properties
+    };
+  }
+
+  /**
+   * Helper: Set a property on a GeoJSON feature or Grist record
+   */
+  setFeatureProperty(feature, key, value) {
+    return this.mergeFeatureProperties(feature, { [key]: value });
+  }
+
+  /**
+   * Helper: Build CQL filter for WFS (also valid CQL2 text for OGC API)
    */
   buildCQLFilter(filter) {
     const conditions = Object.entries(filter).map(([key, value]) => {
       if (typeof value === 'string') {
-        return `${key} = '${value}'`;
+        return `${key} = '${value.replace(/'/g, "''")}'`;
       }
       return `${key} = ${value}`;
     });
@@ -466,9 +1170,10 @@ class QueryExecutor {
     let maxLon = -Infinity, maxLat = -Infinity;
 
     features.forEach(f => {
-      if (!f.geometry) return;
+      const geometry = GeometryEngine.getRecordGeometry(f);
+      if (!geometry) return;
 
-      const coords = this.extractCoords(f.geometry);
+      const coords = this.extractCoords(geometry);
       coords.forEach(([lon, lat]) => {
         minLon = Math.min(minLon, lon);
         maxLon = Math.max(maxLon, lon);
@@ -477,6 +1182,8 @@ class QueryExecutor {
       });
     });
 
+    if (minLon === Infinity) return null;
+
     return [minLon, minLat, maxLon, maxLat];
   }
 
@@ -484,9 +1191,8 @@ class QueryExecutor {
    * Helper: Calculate bbox from Grist records
    */
   calculateBBoxFromRecords(records) {
-    // Would parse WKT geometries
-    // For now, return null
-    return null;
+    // calculateBBox parses WKT geometries of Grist records
+    return this.calculateBBox(records);
   }
 
   /**
@@ -499,7 +1205,11 @@ class QueryExecutor {
       return geometry.coordinates;
     } else if (geometry.type === 'Polygon') {
       return geometry.coordinates[0];
-    } else if (geometry.type.startsWith('Multi')) {
+    } else if (geometry.type === 'MultiPoint') {
+      return geometry.coordinates;
+    } else if (geometry.type === 'MultiLineString') {
+      return geometry.coordinates.flat(1);
+    } else if (geometry.type === 'MultiPolygon') {
       return geometry.coordinates.flat(2);
     }
     return [];
@@ -22,8 +22,11 @@ class StateManager {
       // Layers
       layers: {
         workspace: [],      // User layers
-        raster: [],         // Base maps
-        system: []          // System layers
+        raster: [],         // WMS / WMTS overlays (RasterLayerService)
+        dynamic: [],        // Saved searches shown as layers: { name, definition, ids } (HybridSearchService)
+        system: [],         // System layers
+        sourceCrs: {},      // layer_name → source CRS of imported data ("EPSG:2154")
+        attributeColumns: {} // layer_name → materialized properties: [{ field, column, type }] (AttributeColumnService)
       },
 
       // Selection
@@ -42,6 +45,40 @@ class StateManager {
         sidebarCollapsed: false
       },
 
+      // Hybrid search zone (SearchPanel ↔ SearchZoneLayer)
+      search: {
+        zone: null,         // { wkt, target }: zone shown on the map, target = search param it fills
+        drawRequest: null   // { id, shape: 'Polygon'|'Rectangle'|'Marker', target }
+      },
+
+      // Topology validation (LayerValidationService)
+      validation: {
+        issues: [],         // Issues shown on the map
+        focus: null,        // Issue to center the map on
+        lastRun: null       // { runId, runAt, label, featureCount, issues }
+      },
+
+      // Saved map views (MapViewService)
+      views: {
+        list: [],           // { id, name, description, snapshot, link: { table, rowId } | null, isDefault, updatedAt }
+        active: null,       // Id of the last opened view
+        cursor: null        // Grist cursor row: { table, rowId } (link target)
+      },
+
+      // Undo/redo journal of Grist writes (core/ActionJournal.js)
+      journal: {
+        canUndo: false,
+        canRedo: false,
+        undoLabel: null,
+        redoLabel: null,
+        busy: false
+      },
+
+      // Streaming import of large files (StreamingImportService)
+      import: {
+        job: null           // { fileName, layerName, status, processed, imported, errorCount, bytesRead, totalBytes }
+      },
+
       // Tools
       tools: {
         activeTool: null,
@@ -52,7 +89,8 @@ class StateManager {
       // Data
       data: {
         currentTable: null,
-        catalogs: [],
+        catalogs: [],               // Registered WFS / OGC API sources: { id, name, type, endpoint, layerCount }
+        overpassQueries: [],        // Saved Overpass queries: { id, rowId, name, description, keywords, spec }
         styles: [],
         importHistory: [],
         searchHistory: [],
@@ -295,7 +333,7 @@ class StateManager {
       selection: { ids: [], geometryTypes: [], bounds: null },
       ui: { activeTab: 'layers', activePanel: null, loading: false, modal: null, sidebarCollapsed: false },
       tools: { activeTool: null, config: {}, lastUsed: [] },
-      data: { currentTable: null, catalogs: [], styles: [] }
+      data: { currentTable: null, catalogs: [], overpassQueries: [], styles: [] }
     };
     this._notifyAll();
   }
@@ -4,6 +4,14 @@
  * Defines all required tables and their schemas for the Smart-GIS system:
  * - GIS_WorkSpace: Geospatial features with ST_* calculations
  * - Agent_Queries: Agent-driven natural language queries (n8n integration)
+ * - GIS_Validation_Report: Topology validation reports (created on demand)
+ * - GIS_Action_Journal: Undo/redo journal of data writes
+ * - GIS_Import_Errors: Rows rejected by streaming imports (created on demand)
+ * - GIS_Catalogs: Registered external data sources (created on demand)
+ * - GIS_SearchQueries: VECTOR_SEARCH requests of the hybrid search (created on demand)
+ * - GIS_SearchIndex: Offline full-text index of the features (created on demand)
+ * - GIS_PrintLayouts: Saved print layout templates (created on demand)
+ * - GIS_MapViews: Saved map views / project snapshots (created on demand)
  */
 
 /**
@@ -79,7 +87,21 @@ export const GIS_WORKSPACE_SCHEMA = {
     // === Affichage et style ===
     { id: 'is_visible', type: 'Bool', label: 'Visible' },
     { id: 'z_index', type: 'Int', label: 'Z-Index' },
-    { id: 'style_rule', type: 'Text', label: 'Style Rule (JSON)' }
+    { id: 'style_rule', type: 'Text', label: 'Style Rule (JSON)' },
+    { id: 'layer_style', type: 'Text', label: 'Layer Style (JSON)' },
+
+    // === Projection (layer metadata) ===
+    { id: 'source_crs', type: 'Text', label: 'Source CRS' },
+
+    // === Raster overlays (layer metadata) ===
+    { id: 'raster_source', type: 'Text', label: 'Raster Source (JSON)' },
+
+    // === Dynamic layers (layer metadata) ===
+    { id: 'search_definition', type: 'Text', label: 'Search Definition (JSON)' },
+
+    // === Properties materialized as typed columns (layer metadata + last synced values) ===
+    { id: 'attribute_columns', type: 'Text', label: 'Attribute Columns (JSON)' },
+    { id: 'properties_synced', type: 'Text', label: 'Synced Attributes (JSON)' }
   ]
 };
 
@@ -163,12 +185,212 @@ export const AGENT_QUERIES_SCHEMA = {
   ]
 };
 
+/**
+ * GIS_Validation_Report Schema
+ * One row per topology issue found by a "validate layer" run
+ * (services/LayerValidationService.js)
+ *
+ * onDemand: not created at startup, only when the first report is written
+ */
+export const VALIDATION_REPORT_SCHEMA = {
+  tableName: 'GIS_Validation_Report',
+  onDemand: true,
+  columns: [
+    { id: 'run_id', type: 'Int', label: 'Run ID', description: 'Validation run timestamp (groups the rows of one report)' },
+    { id: 'run_at', type: 'Text', label: 'Run At', description: 'ISO date of the validation run' },
+    { id: 'layer_name', type: 'Text', label: 'Layer Name' },
+    { id: 'feature_id', type: 'Int', label: 'Feature ID', description: 'Row id in the feature table' },
+    { id: 'feature_name', type: 'Text', label: 'Feature Name' },
+    { id: 'issue_type', type: 'Text', label: 'Issue Type', description: 'Key of TopologyValidator ISSUE_TYPES' },
+    { id: 'severity', type: 'Text', label: 'Severity', description: 'error or warning' },
+    { id: 'message', type: 'Text', label: 'Message' },
+    { id: 'location_wkt', type: 'Text', label: 'Location (WKT)', description: 'POINT of the issue (WGS84)' },
+    { id: 'repairable', type: 'Bool', label: 'Repairable' }
+  ]
+};
+
+/**
+ * GIS_Action_Journal Schema
+ * Undo/redo journal (core/ActionJournal.js): one row per user operation,
+ * with the Grist user actions to redo it and to revert it
+ */
+export const ACTION_JOURNAL_SCHEMA = {
+  tableName: 'GIS_Action_Journal',
+  columns: [
+    { id: 'label', type: 'Text', label: 'Label', description: 'Operation description (e.g. "Import: Communes")' },
+    {
+      id: 'actions',
+      type: 'Text',
+      label: 'Actions (JSON)',
+      description: '[{ forward, inverse }] Grist user actions (removed row ids as { ranges }), forward is null until the first undo of added rows; empty for an irreversible operation'
+    },
+    { id: 'status', type: 'Text', label: 'Status', description: 'done or undone' },
+    { id: 'created_at', type: 'Int', label: 'Created At', description: 'Unix epoch' }
+  ]
+};
+
+/**
+ * GIS_Import_Errors Schema
+ * Rows rejected by a streaming import (services/StreamingImportService.js),
+ * one row per invalid feature / CSV line
+ *
+ * onDemand: created by the first import that has errors
+ */
+export const IMPORT_ERRORS_SCHEMA = {
+  tableName: 'GIS_Import_Errors',
+  onDemand: true,
+  columns: [
+    { id: 'import_session', type: 'Int', label: 'Import Session', description: 'import_session of the imported features' },
+    { id: 'layer_name', type: 'Text', label: 'Layer Name' },
+    { id: 'file_name', type: 'Text', label: 'File Name' },
+    { id: 'feature_index', type: 'Int', label: 'Feature Index', description: '0-based position in the file' },
+    { id: 'line', type: 'Int', label: 'Line', description: 'CSV line number (empty for GeoJSON)' },
+    { id: 'error', type: 'Text', label: 'Error' },
+    { id: 'raw', type: 'Text', label: 'Raw Data', description: 'Beginning of the rejected feature / line' }
+  ]
+};
+
+/**
+ * GIS_Catalogs Schema
+ * External data sources registered by the user (core/DataCatalog.js), one
+ * row per endpoint, and the named Overpass queries of the query builder;
+ * the agent and the ImportWizard read it at startup
+ *
+ * onDemand: created when the first source is registered
+ */
+export const CATALOGS_SCHEMA = {
+  tableName: 'GIS_Catalogs',
+  onDemand: true,
+  columns: [
+    { id: 'source_type', type: 'Text', label: 'Source Type', description: 'WFS, OGC API Features or Overpass Query' },
+    { id: 'dataset_id', type: 'Text', label: 'Dataset ID', description: 'Source id used in agent queries (dataSpec.source)' },
+    { id: 'title', type: 'Text', label: 'Title' },
+    { id: 'description', type: 'Text', label: 'Description' },
+    { id: 'keywords', type: 'Text', label: 'Keywords', description: 'Comma separated search keywords' },
+    { id: 'endpoint_url', type: 'Text', label: 'Endpoint URL' },
+    {
+      id: 'config',
+      type: 'Text',
+      label: 'Config (JSON)',
+      description: 'Sources: { layers: [{ id, title, description, keywords, crs, bbox }], outputFormat, paging, pageSize }; Overpass queries: query spec { types, filters, area, output, timeout }'
+    },
+    { id: 'created_at', type: 'Int', label: 'Created At', description: 'Unix epoch' }
+  ]
+};
+
+/**
+ * GIS_SearchQueries Schema
+ * Semantic part of the hybrid search (services/HybridSearchService.js):
+ * one temporary row per query, Grist computes VECTOR_SEARCH in `results`
+ * (row ids of the searched table, most similar first), the widget reads
+ * it and deletes the row
+ *
+ * onDemand: created by the first semantic search on an embedding column
+ */
+export const SEARCH_QUERIES_SCHEMA = {
+  tableName: 'GIS_SearchQueries',
+  onDemand: true,
+  columns: [
+    { id: 'search_query', type: 'Text', label: 'Search Query' },
+    { id: 'workspace_table', type: 'Text', label: 'Workspace Table', description: 'Table searched (e.g. GIS_WorkSpace)' },
+    { id: 'embedding_column', type: 'Text', label: 'Embedding Column', description: 'Vector column of the table (e.g. element_vector)' },
+    { id: 'threshold', type: 'Numeric', label: 'Threshold', description: 'Minimum similarity (0-1)' },
+    { id: 'max_results', type: 'Int', label: 'Max Results' },
+    {
+      id: 'results',
+      type: 'Any',
+      label: 'Results',
+      formula: 'VECTOR_SEARCH($workspace_table, $search_query, embedding_column=$embedding_column, threshold=$threshold, limit=$max_results) if $search_query else []'
+    }
+  ]
+};
+
+/**
+ * GIS_SearchIndex Schema
+ * Offline semantic search (services/LocalSearchIndex.js): one row per
+ * indexed feature with its term frequencies; document frequencies and
+ * lengths are recomputed from the rows when the index is loaded
+ *
+ * onDemand: created by the first search on the local index
+ */
+export const SEARCH_INDEX_SCHEMA = {
+  tableName: 'GIS_SearchIndex',
+  onDemand: true,
+  columns: [
+    { id: 'source_table', type: 'Text', label: 'Source Table', description: 'Indexed table (e.g. GIS_WorkSpace)' },
+    { id: 'record_id', type: 'Int', label: 'Record ID', description: 'Row id in the indexed table' },
+    { id: 'content_hash', type: 'Text', label: 'Content Hash', description: 'Hash of the indexed text (re-indexed when it changes)' },
+    { id: 'term_count', type: 'Int', label: 'Term Count', description: 'Document length (BM25)' },
+    { id: 'terms', type: 'Text', label: 'Terms (JSON)', description: '{ term: frequency } of feature_name and properties' },
+    { id: 'indexed_at', type: 'Int', label: 'Indexed At', description: 'Unix epoch' }
+  ]
+};
+
+/**
+ * GIS_PrintLayouts Schema
+ * Print layout templates of the composer (services/PrintService.js):
+ * paper, scale and the elements around the map, without the map extent
+ *
+ * onDemand: created when the first template is saved
+ */
+export const PRINT_LAYOUTS_SCHEMA = {
+  tableName: 'GIS_PrintLayouts',
+  onDemand: true,
+  columns: [
+    { id: 'name', type: 'Text', label: 'Name' },
+    {
+      id: 'layout',
+      type: 'Text',
+      label: 'Layout (JSON)',
+      description: '{ paper, orientation, dpi, scale, title, showLegend, showNorthArrow, showScaleBar, showAttribution, attributionText, showTable, tableLayer, tableMaxRows }'
+    },
+    { id: 'updated_at', type: 'Int', label: 'Updated At', description: 'Unix epoch' }
+  ]
+};
+
+/**
+ * GIS_MapViews Schema
+ * Named map views (services/MapViewService.js): snapshot of the basemap,
+ * extent, layer visibility and order, style rules, layer styles, popup
+ * templates and raster overlays. A view can be linked to a row of any
+ * table: moving the Grist cursor to that row opens the view.
+ *
+ * onDemand: created when the first view is saved
+ */
+export const MAP_VIEWS_SCHEMA = {
+  tableName: 'GIS_MapViews',
+  onDemand: true,
+  columns: [
+    { id: 'name', type: 'Text', label: 'Name' },
+    { id: 'description', type: 'Text', label: 'Description' },
+    {
+      id: 'snapshot',
+      type: 'Text',
+      label: 'Snapshot (JSON)',
+      description: '{ version, map: { center, zoom, basemap }, layers: { name: { visible, zIndex } }, styleRules, layerStyles, hoverEffect, popups, rasters }'
+    },
+    { id: 'linked_table', type: 'Text', label: 'Linked Table', description: 'Table of the row that opens the view' },
+    { id: 'linked_row', type: 'Int', label: 'Linked Row', description: 'Row id in the linked table' },
+    { id: 'is_default', type: 'Bool', label: 'Default View', description: 'Opened when the widget starts' },
+    { id: 'created_at', type: 'Int', label: 'Created At', description: 'Unix epoch' },
+    { id: 'updated_at', type: 'Int', label: 'Updated At', description: 'Unix epoch' }
+  ]
+};
+
 /**
  * All system schemas
  */
 export const SYSTEM_SCHEMAS = {
   GIS_WorkSpace: GIS_WORKSPACE_SCHEMA,
-  Agent_Queries: AGENT_QUERIES_SCHEMA
+  Agent_Queries: AGENT_QUERIES_SCHEMA,
+  GIS_Validation_Report: VALIDATION_REPORT_SCHEMA,
+  GIS_Action_Journal: ACTION_JOURNAL_SCHEMA,
+  GIS_Import_Errors: IMPORT_ERRORS_SCHEMA,
+  GIS_Catalogs: CATALOGS_SCHEMA,
+  GIS_SearchQueries: SEARCH_QUERIES_SCHEMA,
+  GIS_SearchIndex: SEARCH_INDEX_SCHEMA,
+  GIS_PrintLayouts: PRINT_LAYOUTS_SCHEMA,
+  GIS_MapViews: MAP_VIEWS_SCHEMA
 };
 
 /**
@@ -321,11 +543,12 @@ export async function ensureTableColumns(docApi, tableName, schema) {
  * Creates tables if needed and ensures all columns exist
  *
  * @param {Object} docApi - Grist document API
- * @param {Array<string>} tableNames - Tables to initialize (default: all)
+ * @param {Array<string>} tableNames - Tables to initialize (default: all except on-demand tables)
  * @returns {Object} { success, results }
  */
 export async function initializeSystemTables(docApi, tableNames = null) {
-  const tablesToInit = tableNames || Object.keys(SYSTEM_SCHEMAS);
+  const tablesToInit = tableNames ||
+    Object.keys(SYSTEM_SCHEMAS).filter(name => !SYSTEM_SCHEMAS[name].onDemand);
   const results = {};
 
   console.log(`[TableSchemas] 🚀 Initializing ${tablesToInit.length} system tables...`);
@@ -45,6 +45,7 @@ class TreatmentRegistry {
           // Execution
           formula: tool.formula,
           resultType: tool.resultType,
+          resultProperty: tool.resultProperty,
 
           // NLP metadata
           nlp: {
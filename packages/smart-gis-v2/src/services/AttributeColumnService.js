@@ -0,0 +1,460 @@
+/**
+ * AttributeColumnService - Properties JSON materialized as typed Grist columns
+ *
+ * A layer's attributes live in the `properties` JSON column, which Grist
+ * cannot filter, sort or use in formulas. Materializing a layer creates one
+ * typed column per chosen field (Numeric, Date, Choice...) and keeps both
+ * sides in sync:
+ * - the mapping { field, column, type } is stored in the layer metadata row
+ *   (attribute_columns)
+ * - each feature keeps the values of its last sync in `properties_synced`,
+ *   which tells which side changed: an edited column is copied into the
+ *   JSON, an edited JSON into the column (the column wins if both changed)
+ * - widget writes (attribute table, field calculator) update the JSON and
+ *   the columns of the edited fields only: a column edited in Grist since the
+ *   last sync keeps its value until sync() copies it into the JSON
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { getTableColumns, GIS_WORKSPACE_SCHEMA } from '../core/TableSchemas';
+import DataAnalyzer from './DataAnalyzer';
+import LayerMetadataService from './LayerMetadataService';
+import { foldText } from '../utils/textAnalysis';
+
+export const SYNC_COLUMN = 'properties_synced';
+
+// Metadata field of the layer mapping
+const MAPPING_FIELD = 'attribute_columns';
+
+export const COLUMN_TYPES = {
+  Numeric: 'Nombre',
+  Int: 'Entier',
+  Bool: 'Booléen',
+  Date: 'Date',
+  'DateTime:UTC': 'Date et heure',
+  Choice: 'Choix',
+  Text: 'Texte'
+};
+
+// A string field becomes a Choice column up to this many distinct values
+const MAX_CHOICES = 30;
+
+const SYNC_BATCH_SIZE = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+const parseJSON = (text, fallback) => {
+  if (!text) return fallback;
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+};
+
+class AttributeColumnService {
+  /**
+   * Materialized columns of a layer
+   * @returns {Array<{ field, column, type }>}
+   */
+  getMapping(layerName) {
+    return (StateManager.getState('layers.attributeColumns') || {})[layerName] || [];
+  }
+
+  // ========================================
+  // ANALYSIS
+  // ========================================
+
+  /**
+   * Propose a typed column for each property field of a layer
+   *
+   * @param {string} layerName
+   * @param {Array} features - Features of the layer
+   * @param {Array<string>} existingColumns - Column ids of the table
+   * @returns {Array<{ field, column, type, choices, count, sample, mapped }>}
+   */
+  analyze(layerName, features, existingColumns = []) {
+    const mapping = new Map(this.getMapping(layerName).map(m => [m.field, m]));
+    // A field already materialized by another layer reuses its column
+    const shared = new Map();
+    Object.values(StateManager.getState('layers.attributeColumns') || {}).flat().forEach(m => {
+      if (!shared.has(m.field)) shared.set(m.field, m);
+    });
+    const taken = new Set(existingColumns.map(c => c.toLowerCase()));
+
+    return DataAnalyzer.getAllFields(features).map(field => {
+      const values = features
+        .map(f => parseJSON(f.properties, {})[field])
+        .filter(v => v !== null && v !== undefined && v !== '');
+      const mapped = mapping.get(field);
+
+      if (mapped) {
+        return { ...mapped, choices: [], count: values.length, sample: values.slice(0, 3), mapped: true };
+      }
+      if (shared.has(field)) {
+        const { column, type } = shared.get(field);
+        return { field, column, type, choices: [], count: values.length, sample: values.slice(0, 3), mapped: false };
+      }
+
+      const column = this.columnName(field, taken);
+      taken.add(column.toLowerCase());
+      const detected = this.detectType(values);
+
+      return {
+        field,
+        column,
+        type: detected.type,
+        // Also offered when the user picks the Choice type
+        choices: detected.choices.length > 0 ? detected.choices : this.choicesOf(values),
+        count: values.length,
+        sample: values.slice(0, 3),
+        mapped: false
+      };
+    });
+  }
+
+  /**
+   * Grist column type of a field from its values
+   * @returns {{ type, choices }}
+   */
+  detectType(values) {
+    if (values.length === 0) return { type: 'Text', choices: [] };
+
+    if (values.every(v => typeof v === 'boolean' || v === 'true' || v === 'false')) {
+      return { type: 'Bool', choices: [] };
+    }
+
+    // "01234" (postal codes, INSEE codes) stays text
+    const numeric = values.every(v =>
+      typeof v === 'number' || (String(v).trim() !== '' && !isNaN(Number(v)) && !/^0\d/.test(String(v)))
+    );
+    if (numeric && DataAnalyzer.inferType(values) === 'number') {
+      return { type: values.every(v => Number.isInteger(Number(v))) ? 'Int' : 'Numeric', choices: [] };
+    }
+
+    const strings = values.map(String);
+    if (strings.every(v => DATE_PATTERN.test(v) && !isNaN(Date.parse(v)))) {
+      return { type: 'Date', choices: [] };
+    }
+    if (strings.every(v => DATETIME_PATTERN.test(v) && !isNaN(Date.parse(v)))) {
+      return { type: 'DateTime:UTC', choices: [] };
+    }
+
+    // Repeated values from a short list
+    const choices = this.choicesOf(values);
+    if (choices.length > 0 && choices.length < strings.length / 2) {
+      return { type: 'Choice', choices };
+    }
+
+    return { type: 'Text', choices: [] };
+  }
+
+  /**
+   * Distinct values, sorted ([] above MAX_CHOICES)
+   */
+  choicesOf(values) {
+    const distinct = [...new Set(values.map(String))];
+    return distinct.length <= MAX_CHOICES ? distinct.sort((a, b) => a.localeCompare(b, 'fr')) : [];
+  }
+
+  /**
+   * Valid Grist column id for a field, not in `taken`
+   */
+  columnName(field, taken = new Set()) {
+    const base = `attr_${foldText(field).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'champ'}`;
+    let name = base;
+    for (let i = 2; taken.has(name.toLowerCase()); i++) {
+      name = `${base}_${i}`;
+    }
+    return name;
+  }
+
+  // ========================================
+  // VALUE CONVERSION
+  // ========================================
+
+  /**
+   * JSON value → cell value
+   */
+  toColumn(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (type) {
+      case 'Numeric':
+      case 'Int': {
+        const number = Number(value);
+        // Kept as is: Grist shows it as an invalid cell instead of losing it
+        return isNaN(number) ? String(value) : number;
+      }
+      case 'Bool':
+        return value === true || value === 'true';
+      case 'Date': {
+        const time = Date.parse(`${String(value).slice(0, 10)}T00:00:00Z`);
+        return isNaN(time) ? String(value) : time / 1000;
+      }
+      case 'DateTime:UTC': {
+        const time = Date.parse(value);
+        return isNaN(time) ? String(value) : time / 1000;
+      }
+      default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  /**
+   * Cell value → JSON value (dates as ISO strings)
+   */
+  fromColumn(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    // Invalid cell (text in a typed column): kept as text
+    if (typeof value === 'string' && type !== 'Text' && type !== 'Choice') return value;
+
+    switch (type) {
+      case 'Date':
+        return new Date(value * 1000).toISOString().slice(0, 10);
+      case 'DateTime:UTC':
+        return new Date(value * 1000).toISOString();
+      case 'Bool':
+        return !!value;
+      default:
+        return value;
+    }
+  }
+
+  sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  // ========================================
+  // MATERIALIZATION
+  // ========================================
+
+  /**
+   * Create the columns of a layer and fill them from the JSON
+   *
+   * @param {string} layerName
+   * @param {Array<{ field, column, type, choices }>} columns - Chosen proposals
+   * @returns {Promise<{ created: Array<string>, synced: number }>}
+   */
+  async materialize(layerName, columns) {
+    const table = LayerMetadataService.getTable();
+    const existing = await getTableColumns(GristAPI.docApi, table);
+    const created = [];
+
+    // Bookkeeping columns (already there in GIS_WorkSpace)
+    const bookkeeping = GIS_WORKSPACE_SCHEMA.columns.filter(c => c.id === MAPPING_FIELD || c.id === SYNC_COLUMN);
+    for (const { id, type, label } of bookkeeping) {
+      if (!existing.includes(id)) {
+        await GristAPI.addColumn(table, id, { type, label });
+      }
+    }
+
+    for (const { field, column, type, choices } of columns) {
+      if (existing.includes(column)) continue;
+
+      const colInfo = { type, label: field };
+      if (type === 'Choice' && choices?.length) {
+        colInfo.widgetOptions = JSON.stringify({ choices });
+      }
+      await GristAPI.addColumn(table, column, colInfo);
+      created.push(column);
+    }
+
+    const mapping = [
+      ...this.getMapping(layerName).filter(m => !columns.some(c => c.field === m.field)),
+      ...columns.map(({ field, column, type }) => ({ field, column, type }))
+    ];
+
+    await ActionJournal.group(`Colonnes attributaires: ${layerName}`, async () => {
+      await LayerMetadataService.saveMetadata(layerName, { [MAPPING_FIELD]: JSON.stringify(mapping) });
+    });
+    this.setMapping(layerName, mapping);
+
+    const { toColumns } = await this.sync(layerName);
+    return { created, synced: toColumns };
+  }
+
+  /**
+   * Stop syncing a layer; its columns are removed unless another layer uses them
+   */
+  async dematerialize(layerName, { removeColumns = false } = {}) {
+    const mapping = this.getMapping(layerName);
+
+    await ActionJournal.group(`Colonnes attributaires: ${layerName}`, async () => {
+      await LayerMetadataService.clearMetadata(layerName, MAPPING_FIELD);
+    });
+    this.setMapping(layerName, null);
+
+    const removed = [];
+    if (removeColumns) {
+      const stillUsed = new Set(
+        Object.values(StateManager.getState('layers.attributeColumns') || {}).flat().map(m => m.column)
+      );
+      const table = LayerMetadataService.getTable();
+      for (const { column } of mapping) {
+        if (!stillUsed.has(column)) {
+          await GristAPI.removeColumn(table, column);
+          removed.push(column);
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  setMapping(layerName, mapping) {
+    const all = { ...(StateManager.getState('layers.attributeColumns') || {}) };
+    if (mapping) all[layerName] = mapping;
+    else delete all[layerName];
+    StateManager.setState('layers.attributeColumns', all, `Attribute columns: ${layerName}`);
+  }
+
+  // ========================================
+  // SYNC
+  // ========================================
+
+  /**
+   * Fields to write with new properties of a feature: its materialized
+   * columns and the sync snapshot (empty if the layer is not materialized)
+   */
+  columnFields(feature, properties) {
+    const mapping = this.getMapping(feature.layer_name);
+    if (mapping.length === 0) return {};
+
+    const fields = {};
+    const snapshot = {};
+    mapping.forEach(({ field, column, type }) => {
+      const value = properties[field] ?? null;
+      fields[column] = this.toColumn(value, type);
+      snapshot[field] = value;
+    });
+    fields[SYNC_COLUMN] = JSON.stringify(snapshot);
+    return fields;
+  }
+
+  /**
+   * Fields to write when the widget changes some properties of a feature:
+   * the columns of the changed fields and their sync snapshot (the snapshot
+   * of the other fields is kept, so their Grist edits are still detected)
+   *
+   * @param {Object} feature - Feature as last read
+   * @param {Object} values - { field: value } changed properties
+   */
+  editedColumnFields(feature, values) {
+    const mapping = this.getMapping(feature.layer_name).filter(({ field }) => field in values);
+    if (mapping.length === 0) return {};
+
+    const fields = {};
+    const snapshot = { ...parseJSON(feature[SYNC_COLUMN], {}) };
+    mapping.forEach(({ field, column, type }) => {
+      const value = values[field] ?? null;
+      fields[column] = this.toColumn(value, type);
+      snapshot[field] = value;
+    });
+    fields[SYNC_COLUMN] = JSON.stringify(snapshot);
+    return fields;
+  }
+
+  /**
+   * Reconcile JSON and columns of one feature
+   * @returns {Object|null} Update ({ properties, columns..., properties_synced }) or null
+   */
+  reconcile(record, mapping) {
+    const properties = parseJSON(record.properties, {});
+    const last = parseJSON(record[SYNC_COLUMN], null);
+    let jsonChanged = false;
+    let columnChanged = false;
+
+    mapping.forEach(({ field, column, type }) => {
+      const jsonValue = properties[field] ?? null;
+      const cellValue = record[column] ?? null;
+
+      if (this.sameValue(cellValue, this.toColumn(jsonValue, type))) return;
+
+      const neverSynced = !last || !(field in last);
+      const cellEdited = neverSynced
+        ? jsonValue === null
+        : !this.sameValue(cellValue, this.toColumn(last[field], type));
+
+      if (cellEdited) {
+        properties[field] = this.fromColumn(cellValue, type);
+        jsonChanged = true;
+      } else {
+        columnChanged = true;
+      }
+    });
+
+    const fields = this.columnFields(record, properties);
+    if (!jsonChanged && !columnChanged && record[SYNC_COLUMN] === fields[SYNC_COLUMN]) {
+      return null;
+    }
+
+    return {
+      id: record.id,
+      properties: jsonChanged ? JSON.stringify(properties) : record.properties,
+      ...fields
+    };
+  }
+
+  /**
+   * Two-way sync of the materialized layers (or one layer) with Grist
+   *
+   * @param {string} layerName - Optional, all materialized layers by default
+   * @returns {Promise<{ toColumns: number, toJson: number }>}
+   */
+  async sync(layerName = null) {
+    const mappings = StateManager.getState('layers.attributeColumns') || {};
+    const layers = (layerName ? [layerName] : Object.keys(mappings)).filter(name => mappings[name]?.length);
+    const stats = { toColumns: 0, toJson: 0 };
+    if (layers.length === 0) return stats;
+
+    const table = LayerMetadataService.getTable();
+    const records = await GristAPI.fetchTable(table);
+    const written = new Map();
+
+    await ActionJournal.group('Synchronisation des colonnes attributaires', async () => {
+      for (const name of layers) {
+        // Same keys for every update of a layer (one BulkUpdateRecord per batch)
+        const updates = records
+          .filter(record => record.layer_name === name && record.geometry_wgs84)
+          .map(record => {
+            const update = this.reconcile(record, mappings[name]);
+            if (update) {
+              if (update.properties !== record.properties) stats.toJson++;
+              else stats.toColumns++;
+            }
+            return update;
+          })
+          .filter(Boolean);
+
+        for (let i = 0; i < updates.length; i += SYNC_BATCH_SIZE) {
+          const batch = updates.slice(i, i + SYNC_BATCH_SIZE);
+          await GristAPI.updateRecords(table, batch);
+          batch.forEach(update => written.set(update.id, update));
+        }
+      }
+    });
+
+    if (written.size > 0) {
+      StateManager.setState(
+        'layers.workspace',
+        (StateManager.getState('layers.workspace') || []).map(f =>
+          written.has(f.id) ? { ...f, ...written.get(f.id) } : f
+        ),
+        'Sync attribute columns'
+      );
+    }
+
+    console.log(`[AttributeColumnService] Synced ${layers.length} layer(s): ` +
+      `${stats.toColumns} row(s) → columns, ${stats.toJson} row(s) → JSON`);
+    return stats;
+  }
+}
+
+export default new AttributeColumnService();
@@ -0,0 +1,262 @@
+/**
+ * AttributeTableService - Attribute table operations on the `properties` column
+ *
+ * Rows, sort and filter (free text or expression), field calculator using
+ * the ExpressionEngine language, and bulk property updates written to Grist
+ * in batches (one undo step per operation).
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import DataAnalyzer from './DataAnalyzer';
+import ExpressionEngine from './ExpressionEngine';
+import AttributeColumnService from './AttributeColumnService';
+import GeometryEngine from './GeometryEngine';
+import { bbox } from '@turf/turf';
+
+// Records per BulkUpdateRecord
+export const UPDATE_BATCH_SIZE = 500;
+
+class AttributeTableService {
+  // ========================================
+  // ROWS
+  // ========================================
+
+  /**
+   * Layer names of the workspace, sorted
+   */
+  getLayerNames(features) {
+    return [...new Set(features.map(f => f.layer_name).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'fr'));
+  }
+
+  /**
+   * Property fields of a layer with their inferred type
+   * @returns {Array<{ name, type }>} type: 'number' | 'string' | 'boolean' | 'unknown'
+   */
+  getColumns(features) {
+    return DataAnalyzer.getAllFields(features).map(name => ({
+      name,
+      type: DataAnalyzer.quickFieldType(features, name)
+    }));
+  }
+
+  /**
+   * Rows of the table: features with their properties parsed once
+   * @returns {Array<{ id, feature, properties }>}
+   */
+  getRows(features) {
+    return features.map(feature => ({
+      id: feature.id,
+      feature,
+      properties: ExpressionEngine.parseProperties(feature)
+    }));
+  }
+
+  /**
+   * Filter rows
+   *
+   * @param {Array} rows - From getRows
+   * @param {string} filter - Text searched in the name and property values,
+   *   or an expression (mode 'expression', e.g. population > 1000)
+   * @param {string} mode - 'text' | 'expression'
+   * @throws {ExpressionError} Invalid expression
+   */
+  filterRows(rows, filter, mode = 'text') {
+    const source = (filter || '').trim();
+    if (!source) return rows;
+
+    if (mode === 'expression') {
+      const ast = ExpressionEngine.parse(source);
+      return rows.filter(row => {
+        try {
+          return ExpressionEngine.test(ast, row.feature, row.properties);
+        } catch {
+          return false;
+        }
+      });
+    }
+
+    const needle = source.toLowerCase();
+    return rows.filter(row =>
+      String(row.feature.feature_name ?? '').toLowerCase().includes(needle) ||
+      Object.values(row.properties).some(value =>
+        value !== null && typeof value !== 'object' && String(value).toLowerCase().includes(needle)
+      )
+    );
+  }
+
+  /**
+   * Sort rows by a property (or 'id' / 'feature_name'); empty values last
+   */
+  sortRows(rows, { field, direction = 'asc' }) {
+    if (!field) return rows;
+
+    const factor = direction === 'desc' ? -1 : 1;
+    const valueOf = (row) => (field === 'id' || field === 'feature_name' ? row.feature[field] : row.properties[field]);
+
+    return [...rows].sort((a, b) => {
+      const va = valueOf(a);
+      const vb = valueOf(b);
+      const emptyA = va === null || va === undefined || va === '';
+      const emptyB = vb === null || vb === undefined || vb === '';
+      if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+
+      const na = Number(va);
+      const nb = Number(vb);
+      if (!isNaN(na) && !isNaN(nb)) return (na - nb) * factor;
+
+      return String(va).localeCompare(String(vb), 'fr', { numeric: true }) * factor;
+    });
+  }
+
+  /**
+   * Convert a value typed in a cell to the column type ('' → NULL)
+   */
+  parseInput(input, type) {
+    const text = String(input ?? '').trim();
+    if (text === '') return null;
+
+    if (type === 'number') {
+      const number = Number(text.replace(',', '.'));
+      return isNaN(number) ? text : number;
+    }
+    if (type === 'boolean' && (text === 'true' || text === 'false')) {
+      return text === 'true';
+    }
+    return text;
+  }
+
+  // ========================================
+  // FIELD CALCULATOR
+  // ========================================
+
+  /**
+   * Compute a field for rows with an expression
+   *
+   * @param {Array} rows - Rows to update
+   * @param {string} expression - ExpressionEngine expression, e.g. population / area() * 1e6
+   * @returns {{ values: Array<{ id, value }>, errors: number }}
+   * @throws {ExpressionError} Invalid expression
+   */
+  calculate(rows, expression) {
+    const ast = ExpressionEngine.parse(expression);
+    let errors = 0;
+
+    const values = rows.map(row => {
+      try {
+        return { id: row.id, value: ExpressionEngine.evaluate(ast, row.feature, row.properties) };
+      } catch {
+        errors++;
+        return { id: row.id, value: null };
+      }
+    });
+
+    return { values, errors };
+  }
+
+  // ========================================
+  // UPDATES
+  // ========================================
+
+  /**
+   * Write property changes to Grist, in batches, as one undo step
+   *
+   * The materialized columns of the changed fields (AttributeColumnService)
+   * are written with the JSON; the other columns are left to the sync.
+   *
+   * @param {Array<{ id, values }>} changes - values: { field: value } merged into properties
+   * @param {string} label - Journal label
+   * @param {Function} onProgress - (done, total) after each batch
+   * @returns {Promise<number>} Updated records
+   */
+  async updateProperties(changes, label, onProgress = null) {
+    if (changes.length === 0) return 0;
+
+    const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    const workspace = StateManager.getState('layers.workspace') || [];
+    const byId = new Map(workspace.map(f => [f.id, f]));
+
+    // Updates with the same columns are written together (one column set per BulkUpdateRecord)
+    const groups = new Map();
+    changes.filter(change => byId.has(change.id)).forEach(change => {
+      const feature = byId.get(change.id);
+      const properties = { ...ExpressionEngine.parseProperties(feature), ...change.values };
+      const update = {
+        id: change.id,
+        properties: JSON.stringify(properties),
+        ...AttributeColumnService.editedColumnFields(feature, change.values)
+      };
+      const key = Object.keys(update).join(',');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(update);
+    });
+
+    const total = [...groups.values()].reduce((sum, updates) => sum + updates.length, 0);
+    const written = new Map();
+    try {
+      await ActionJournal.group(label, async () => {
+        for (const updates of groups.values()) {
+          for (let i = 0; i < updates.length; i += UPDATE_BATCH_SIZE) {
+            const batch = updates.slice(i, i + UPDATE_BATCH_SIZE);
+            await GristAPI.updateRecords(currentTable, batch);
+            batch.forEach(update => written.set(update.id, update));
+            onProgress?.(written.size, total);
+          }
+        }
+      });
+    } finally {
+      // Batches written before a failure are shown too
+      if (written.size > 0) {
+        StateManager.setState(
+          'layers.workspace',
+          (StateManager.getState('layers.workspace') || []).map(f =>
+            written.has(f.id) ? { ...f, ...written.get(f.id) } : f
+          ),
+          label
+        );
+      }
+    }
+
+    return written.size;
+  }
+
+  // ========================================
+  // MAP
+  // ========================================
+
+  /**
+   * Center the map on features
+   * @returns {boolean} False if no feature has a geometry
+   */
+  zoomToFeatures(features) {
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+
+    features.forEach(feature => {
+      const geometry = GeometryEngine.getRecordGeometry(feature);
+      if (!geometry) return;
+
+      const [west, south, east, north] = bbox(geometry);
+      minLat = Math.min(minLat, south);
+      maxLat = Math.max(maxLat, north);
+      minLng = Math.min(minLng, west);
+      maxLng = Math.max(maxLng, east);
+    });
+
+    if (minLat === Infinity) return false;
+
+    const maxDiff = Math.max(maxLat - minLat, maxLng - minLng);
+    let zoom = 17;
+    if (maxDiff > 5) zoom = 6;
+    else if (maxDiff > 1) zoom = 9;
+    else if (maxDiff > 0.5) zoom = 11;
+    else if (maxDiff > 0.1) zoom = 13;
+    else if (maxDiff > 0.01) zoom = 15;
+
+    StateManager.setState('map.center', [(minLat + maxLat) / 2, (minLng + maxLng) / 2], 'Zoom to selected features');
+    StateManager.setState('map.zoom', zoom, 'Zoom to selected features');
+    return true;
+  }
+}
+
+export default new AttributeTableService();
@@ -3,10 +3,35 @@
  *
  * Features:
  * - Field analysis (type, min/max, unique values, distribution)
- * - Classification methods (quantile, equal interval, natural breaks)
+ * - Classification methods (quantile, equal interval, Jenks natural breaks,
+ *   standard deviation, geometric interval, pretty breaks, head/tail breaks)
+ * - Goodness of variance fit (GVF) to compare methods and class counts
  * - Smart suggestions for styling
  * - Statistics computation
+ *
+ * Breaks convention: every method returns the sorted upper bounds of each
+ * class (the last one is >= max). A class includes its upper bound, the
+ * first class starts at the minimum value.
+ */
+
+/**
+ * Available classification methods (id → UI label)
  */
+export const CLASSIFICATION_METHODS = [
+  { id: 'quantile', label: 'Quantile (effectifs égaux)' },
+  { id: 'equalInterval', label: 'Intervalles égaux' },
+  { id: 'jenks', label: 'Jenks (ruptures naturelles)' },
+  { id: 'stdDev', label: 'Écart-type' },
+  { id: 'geometric', label: 'Intervalles géométriques' },
+  { id: 'pretty', label: 'Valeurs arrondies' },
+  { id: 'headTail', label: 'Head/tail (distributions asymétriques)' }
+];
+
+// Jenks is O(k·n²): larger datasets are classified on an evenly spaced sample
+const JENKS_MAX_SAMPLE = 1000;
+
+// Head/tail stops once the head is no longer a minority of the values
+const HEAD_TAIL_MAX_HEAD_RATIO = 0.4;
 
 class DataAnalyzer {
   /**
@@ -100,15 +125,31 @@ class DataAnalyzer {
       // Suggest number of classes based on data distribution
       suggestedClasses: this.suggestClassCount(numericValues.length),
 
-      // Pre-calculate breaks for different methods
-      breaks: {
-        quantile: this.calculateQuantileBreaks(sorted, 5),
-        equalInterval: this.calculateEqualIntervalBreaks(sorted[0], sorted[sorted.length - 1], 5),
-        naturalBreaks: this.calculateJenksBreaks(sorted, 5)
-      }
+      // Kept for reclassification (other method or class count)
+      sortedValues: sorted,
+
+      // Pre-calculate breaks (and their fit) for every method
+      ...this.calculateAllBreaks(sorted, 5)
     };
   }
 
+  /**
+   * Breaks and GVF of every classification method for a class count
+   *
+   * @returns {{ breaks: Object<string, number[]>, gvf: Object<string, number> }}
+   */
+  calculateAllBreaks(sortedValues, numClasses) {
+    const breaks = {};
+    const gvf = {};
+
+    CLASSIFICATION_METHODS.forEach(({ id }) => {
+      breaks[id] = this.classify(sortedValues, id, numClasses);
+      gvf[id] = this.calculateGVF(sortedValues, breaks[id]);
+    });
+
+    return { breaks, gvf };
+  }
+
   /**
    * Analyze string field
    */
@@ -185,6 +226,54 @@ class DataAnalyzer {
     return Math.max(3, Math.min(sturges, 7)); // Between 3 and 7 classes
   }
 
+  /**
+   * Classify sorted values with a given method
+   *
+   * @param {number[]} sortedValues - Values sorted ascending
+   * @param {string} method - One of CLASSIFICATION_METHODS ids
+   * @param {number} numClasses - Requested class count (maximum for headTail,
+   *                              approximate for pretty)
+   * @returns {number[]} Class upper bounds, without duplicates
+   */
+  classify(sortedValues, method, numClasses) {
+    if (!sortedValues || sortedValues.length === 0) return [];
+
+    const min = sortedValues[0];
+    const max = sortedValues[sortedValues.length - 1];
+
+    if (min === max) return [max];
+
+    let breaks;
+    switch (method) {
+      case 'equalInterval':
+      case 'equal':
+        breaks = this.calculateEqualIntervalBreaks(min, max, numClasses);
+        break;
+      case 'jenks':
+      case 'naturalBreaks':
+        breaks = this.calculateJenksBreaks(sortedValues, numClasses);
+        break;
+      case 'stdDev':
+        breaks = this.calculateStdDevBreaks(sortedValues, numClasses);
+        break;
+      case 'geometric':
+        breaks = this.calculateGeometricIntervalBreaks(min, max, numClasses);
+        break;
+      case 'pretty':
+        breaks = this.calculatePrettyBreaks(min, max, numClasses);
+        break;
+      case 'headTail':
+        breaks = this.calculateHeadTailBreaks(sortedValues, numClasses);
+        break;
+      case 'quantile':
+      default:
+        breaks = this.calculateQuantileBreaks(sortedValues, numClasses);
+    }
+
+    // Repeated values (quantiles) or rounding can produce empty classes
+    return breaks.filter((value, i) => i === 0 || value > breaks[i - 1]);
+  }
+
   /**
    * Calculate quantile breaks (equal count per class)
    */
@@ -217,13 +306,306 @@ class DataAnalyzer {
   }
 
   /**
-   * Calculate Jenks Natural Breaks (simplified version)
-   * For full implementation, would use jenks library
+   * Calculate Jenks Natural Breaks (Fisher's exact optimisation)
+   *
+   * Dynamic programming over the sorted values: minimizes the sum of squared
+   * deviations within classes, i.e. maximizes the GVF for this class count.
    */
   calculateJenksBreaks(sortedValues, numClasses) {
-    // Simplified: Use quantile as approximation
-    // For production, consider using 'simple-statistics' library
-    return this.calculateQuantileBreaks(sortedValues, numClasses);
+    const values = this.sampleSorted(sortedValues, JENKS_MAX_SAMPLE);
+    const n = values.length;
+    const uniqueCount = new Set(values).size;
+
+    // Not enough distinct values: one class per value
+    if (uniqueCount <= numClasses) {
+      return [...new Set(values)];
+    }
+
+    const k = numClasses;
+    // lowerLimits[l][j]: 1-based index of the first value of the last class
+    // when the first l values are split into j classes
+    const lowerLimits = Array.from({ length: n + 1 }, () => new Uint32Array(k + 1));
+    const variances = Array.from({ length: n + 1 }, () => new Float64Array(k + 1).fill(Infinity));
+
+    for (let j = 1; j <= k; j++) {
+      lowerLimits[1][j] = 1;
+      variances[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+      let sum = 0;
+      let sumSquares = 0;
+      let variance = 0;
+
+      for (let m = 1; m <= l; m++) {
+        const first = l - m + 1; // candidate first value of the last class
+        const value = values[first - 1];
+
+        sum += value;
+        sumSquares += value * value;
+        variance = sumSquares - (sum * sum) / m;
+
+        const previous = first - 1;
+        if (previous !== 0) {
+          for (let j = 2; j <= k; j++) {
+            const candidate = variance + variances[previous][j - 1];
+            if (variances[l][j] >= candidate) {
+              lowerLimits[l][j] = first;
+              variances[l][j] = candidate;
+            }
+          }
+        }
+      }
+
+      lowerLimits[l][1] = 1;
+      variances[l][1] = variance;
+    }
+
+    // Walk back from the last value to recover each class upper bound
+    const breaks = new Array(k);
+    let last = n;
+    for (let j = k; j >= 1; j--) {
+      breaks[j - 1] = values[last - 1];
+      last = lowerLimits[last][j] - 1;
+    }
+
+    // The sample always keeps the real maximum
+    breaks[k - 1] = sortedValues[sortedValues.length - 1];
+
+    return breaks;
+  }
+
+  /**
+   * Calculate standard deviation breaks
+   *
+   * Classes are one standard deviation wide and centered on the mean
+   * (odd class count: the middle class straddles the mean).
+   */
+  calculateStdDevBreaks(sortedValues, numClasses) {
+    const n = sortedValues.length;
+    const min = sortedValues[0];
+    const max = sortedValues[n - 1];
+    const mean = sortedValues.reduce((acc, v) => acc + v, 0) / n;
+    const stdDev = Math.sqrt(sortedValues.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / n);
+
+    if (stdDev === 0) return [max];
+
+    const breaks = [];
+    for (let j = 1; j < numClasses; j++) {
+      const value = mean + stdDev * (j - numClasses / 2);
+      // Outer classes absorb the tails
+      if (value > min && value < max) {
+        breaks.push(value);
+      }
+    }
+
+    breaks.push(max);
+
+    return breaks;
+  }
+
+  /**
+   * Calculate geometric interval breaks
+   *
+   * Class widths grow by a constant ratio, for skewed positive data.
+   * Non-positive ranges are shifted so that the minimum becomes 1.
+   */
+  calculateGeometricIntervalBreaks(min, max, numClasses) {
+    const offset = min <= 0 ? 1 - min : 0;
+    const low = min + offset;
+    const high = max + offset;
+    const ratio = Math.pow(high / low, 1 / numClasses);
+
+    const breaks = [];
+    for (let i = 1; i < numClasses; i++) {
+      breaks.push(low * Math.pow(ratio, i) - offset);
+    }
+
+    breaks.push(max);
+
+    return breaks;
+  }
+
+  /**
+   * Calculate pretty breaks (rounded 1, 2, 2.5 or 5 × 10^n steps)
+   *
+   * The resulting class count is close to, not always equal to, numClasses.
+   */
+  calculatePrettyBreaks(min, max, numClasses) {
+    const step = this.niceStep((max - min) / numClasses);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)) + 1);
+    const round = value => Number(value.toFixed(decimals));
+
+    const breaks = [];
+    let value = Math.floor(min / step) * step;
+
+    do {
+      value = round(value + step);
+      breaks.push(value);
+    } while (value < max);
+
+    return breaks;
+  }
+
+  /**
+   * Round a raw step to 1, 2, 2.5, 5 or 10 × 10^n
+   */
+  niceStep(rawStep) {
+    const exponent = Math.floor(Math.log10(rawStep));
+    const magnitude = Math.pow(10, exponent);
+    const fraction = rawStep / magnitude;
+
+    let nice;
+    if (fraction <= 1) nice = 1;
+    else if (fraction <= 2) nice = 2;
+    else if (fraction <= 2.5) nice = 2.5;
+    else if (fraction <= 5) nice = 5;
+    else nice = 10;
+
+    return nice * magnitude;
+  }
+
+  /**
+   * Calculate head/tail breaks (Jiang, 2013) for heavy-tailed distributions
+   *
+   * Values are split recursively at the mean of the head (values above the
+   * mean) while the head stays a minority. The class count is data-driven;
+   * maxClasses only caps it.
+   */
+  calculateHeadTailBreaks(sortedValues, maxClasses) {
+    const breaks = [];
+    let head = sortedValues;
+
+    while (breaks.length < maxClasses - 1 && head.length > 1) {
+      const mean = head.reduce((acc, v) => acc + v, 0) / head.length;
+      const nextHead = head.filter(v => v > mean);
+
+      if (nextHead.length === 0) break;
+
+      breaks.push(mean);
+
+      if (nextHead.length / head.length > HEAD_TAIL_MAX_HEAD_RATIO) break;
+      head = nextHead;
+    }
+
+    breaks.push(sortedValues[sortedValues.length - 1]);
+
+    return breaks;
+  }
+
+  /**
+   * Goodness of variance fit: 1 - SDCM / SDAM
+   *
+   * 1 means classes perfectly describe the values, 0 means no better than a
+   * single class. Values above ~0.8 are usually considered a good fit.
+   */
+  calculateGVF(sortedValues, breaks) {
+    const n = sortedValues.length;
+    if (n === 0 || !breaks || breaks.length === 0) return 0;
+
+    const mean = sortedValues.reduce((acc, v) => acc + v, 0) / n;
+    const sdam = sortedValues.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0);
+
+    if (sdam === 0) return 1;
+
+    // Sorted values: walk classes in the same pass
+    let sdcm = 0;
+    let classIndex = 0;
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    const closeClass = () => {
+      if (count > 0) sdcm += sumSquares - (sum * sum) / count;
+      sum = 0;
+      sumSquares = 0;
+      count = 0;
+    };
+
+    sortedValues.forEach(value => {
+      while (classIndex < breaks.length - 1 && value > breaks[classIndex]) {
+        closeClass();
+        classIndex++;
+      }
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    });
+    closeClass();
+
+    return Math.max(0, 1 - sdcm / sdam);
+  }
+
+  /**
+   * GVF for a range of class counts, to help pick the number of classes
+   *
+   * @returns {Array<{ numClasses, actualClasses, gvf }>}
+   */
+  evaluateClassCounts(sortedValues, method, minClasses = 2, maxClasses = 9) {
+    const results = [];
+
+    for (let k = minClasses; k <= maxClasses; k++) {
+      const breaks = this.classify(sortedValues, method, k);
+      results.push({
+        numClasses: k,
+        actualClasses: breaks.length,
+        gvf: this.calculateGVF(sortedValues, breaks)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Smallest class count reaching a target GVF (falls back to the best one)
+   */
+  suggestClassCountByGVF(sortedValues, method, targetGVF = 0.8, maxClasses = 9) {
+    const evaluations = this.evaluateClassCounts(sortedValues, method, 2, maxClasses);
+    const good = evaluations.find(e => e.gvf >= targetGVF);
+
+    if (good) return good.numClasses;
+
+    return evaluations.reduce((best, e) => (e.gvf > best.gvf ? e : best), evaluations[0]).numClasses;
+  }
+
+  /**
+   * Build graduated ranges from breaks
+   *
+   * Colors are spread over the whole scheme so that few classes still use
+   * its lightest and darkest colors.
+   *
+   * @returns {Array<{ min, max, color, label }>}
+   */
+  buildRanges(breaks, min, colors) {
+    return breaks.map((max, index) => {
+      const rangeMin = index === 0 ? min : breaks[index - 1];
+      const colorIndex = Math.round(index * (colors.length - 1) / Math.max(1, breaks.length - 1));
+
+      return {
+        min: rangeMin,
+        max,
+        color: colors[colorIndex],
+        label: `${this.formatBreak(rangeMin)} - ${this.formatBreak(max)}`
+      };
+    });
+  }
+
+  formatBreak(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+
+  /**
+   * Evenly spaced sample of sorted values, keeping min and max
+   */
+  sampleSorted(sortedValues, maxSize) {
+    const n = sortedValues.length;
+    if (n <= maxSize) return sortedValues;
+
+    const sample = [];
+    for (let i = 0; i < maxSize; i++) {
+      sample.push(sortedValues[Math.round(i * (n - 1) / (maxSize - 1))]);
+    }
+    return sample;
   }
 
   /**
@@ -0,0 +1,838 @@
+/**
+ * ExpressionEngine - Safe expression language for features
+ *
+ * Small SQL/QGIS-like language, parsed to an AST and interpreted
+ * (no eval / Function): usable by style rules and selection queries.
+ *
+ * Syntax:
+ * - Fields: population, "nom commune" (double quotes), looked up in
+ *   properties first, then in the record columns (feature_name, area_km2...)
+ * - Literals: 12, 3.5, 'text' ('' escapes a quote), TRUE, FALSE, NULL
+ * - Arithmetic: + - * / % ^ ; string concatenation: ||
+ * - Comparisons: = == != <> < <= > >=
+ * - Logic: AND, OR, NOT (three-valued, NULL aware)
+ * - Predicates: IS [NOT] NULL, [NOT] IN (...), [NOT] BETWEEN a AND b,
+ *   [NOT] LIKE / ILIKE ('%' and '_' wildcards)
+ * - CASE WHEN cond THEN value [...] [ELSE value] END, CASE expr WHEN value THEN ...
+ * - Functions: see FUNCTIONS (numeric, string, null handling, geometry)
+ *
+ * NULL handling follows SQL: arithmetic and comparisons with NULL give NULL,
+ * a NULL condition never matches.
+ */
+
+import GeometryEngine from './GeometryEngine';
+
+const KEYWORDS = new Set([
+  'AND', 'OR', 'NOT', 'IS', 'NULL', 'TRUE', 'FALSE', 'IN', 'BETWEEN',
+  'LIKE', 'ILIKE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END'
+]);
+
+const COMPARISON_OPERATORS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+// Longest operators first so that '<=' is not read as '<' then '='
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '||', '=', '<', '>', '+', '-', '*', '/', '%', '^'];
+
+const MAX_CACHED_EXPRESSIONS = 500;
+
+/**
+ * Parse or evaluation error, with the character position for the editor
+ */
+export class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position != null ? `${message} (position ${position + 1})` : message);
+    this.name = 'ExpressionError';
+    this.reason = message;
+    this.position = position;
+  }
+}
+
+// ============================================
+// Value helpers
+// ============================================
+
+const isNull = value => value === null || value === undefined;
+
+const toNumber = (value) => {
+  if (isNull(value) || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const toBoolean = (value) => {
+  if (isNull(value)) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  return !(text === '' || text === 'false' || text === '0');
+};
+
+const toText = value => (isNull(value) ? null : String(value));
+
+/**
+ * Compare two values: numerically when both are numeric, as text otherwise
+ * @returns {number|null} negative, zero, positive or null (NULL operand)
+ */
+const compare = (a, b) => {
+  if (isNull(a) || isNull(b)) return null;
+
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) {
+    return na - nb;
+  }
+
+  const ta = String(a);
+  const tb = String(b);
+  return ta < tb ? -1 : (ta > tb ? 1 : 0);
+};
+
+const likeToRegExp = (pattern, caseInsensitive) => {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+};
+
+const round = (value, decimals = 0) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// ============================================
+// Functions
+// ============================================
+
+/**
+ * Built-in functions
+ * - args: [min, max] argument count (max = Infinity for variadic)
+ * - nullSafe: receives NULL arguments (otherwise any NULL argument → NULL)
+ */
+export const FUNCTIONS = {
+  // Numeric
+  abs: { args: [1, 1], description: 'Valeur absolue', fn: ([x]) => Math.abs(toNumber(x)) },
+  round: { args: [1, 2], description: 'Arrondi (décimales optionnelles)', fn: ([x, d]) => round(toNumber(x), toNumber(d) || 0) },
+  floor: { args: [1, 1], description: 'Partie entière inférieure', fn: ([x]) => Math.floor(toNumber(x)) },
+  ceil: { args: [1, 1], description: 'Partie entière supérieure', fn: ([x]) => Math.ceil(toNumber(x)) },
+  sqrt: { args: [1, 1], description: 'Racine carrée', fn: ([x]) => Math.sqrt(toNumber(x)) },
+  pow: { args: [2, 2], description: 'Puissance', fn: ([x, y]) => Math.pow(toNumber(x), toNumber(y)) },
+  exp: { args: [1, 1], description: 'Exponentielle', fn: ([x]) => Math.exp(toNumber(x)) },
+  ln: { args: [1, 1], description: 'Logarithme népérien', fn: ([x]) => Math.log(toNumber(x)) },
+  log10: { args: [1, 1], description: 'Logarithme décimal', fn: ([x]) => Math.log10(toNumber(x)) },
+  min: { args: [1, Infinity], nullSafe: true, description: 'Minimum (ignore NULL)', fn: args => aggregateNumbers(args, Math.min) },
+  max: { args: [1, Infinity], nullSafe: true, description: 'Maximum (ignore NULL)', fn: args => aggregateNumbers(args, Math.max) },
+  clamp: { args: [3, 3], description: 'Borne une valeur : clamp(min, x, max)', fn: ([lo, x, hi]) => Math.min(toNumber(hi), Math.max(toNumber(lo), toNumber(x))) },
+
+  // String
+  upper: { args: [1, 1], description: 'Majuscules', fn: ([s]) => toText(s).toUpperCase() },
+  lower: { args: [1, 1], description: 'Minuscules', fn: ([s]) => toText(s).toLowerCase() },
+  trim: { args: [1, 1], description: 'Supprime les espaces en début et fin', fn: ([s]) => toText(s).trim() },
+  substr: {
+    args: [2, 3],
+    description: 'Sous-chaîne : substr(texte, début (1 = premier), longueur)',
+    fn: ([s, start, len]) => {
+      const from = Math.max(0, toNumber(start) - 1);
+      return len === undefined ? toText(s).substr(from) : toText(s).substr(from, toNumber(len));
+    }
+  },
+  left: { args: [2, 2], description: 'Premiers caractères', fn: ([s, n]) => toText(s).slice(0, toNumber(n)) },
+  right: { args: [2, 2], description: 'Derniers caractères', fn: ([s, n]) => (toNumber(n) > 0 ? toText(s).slice(-toNumber(n)) : '') },
+  replace: { args: [3, 3], description: 'Remplace toutes les occurrences', fn: ([s, a, b]) => toText(s).split(toText(a)).join(toText(b)) },
+  strpos: { args: [2, 2], description: 'Position d\'une sous-chaîne (0 si absente)', fn: ([s, a]) => toText(s).indexOf(toText(a)) + 1 },
+  concat: { args: [1, Infinity], nullSafe: true, description: 'Concatène (ignore NULL)', fn: args => args.filter(a => !isNull(a)).map(String).join('') },
+  regexp_match: {
+    args: [2, 2],
+    description: 'Vrai si le texte correspond à l\'expression régulière',
+    fn: ([s, pattern]) => {
+      try {
+        return new RegExp(toText(pattern)).test(toText(s));
+      } catch {
+        throw new ExpressionError(`Expression régulière invalide : ${pattern}`);
+      }
+    }
+  },
+
+  // Conversion and NULL handling
+  to_number: { args: [1, 1], description: 'Conversion en nombre (NULL si impossible)', fn: ([x]) => toNumber(x) },
+  to_int: { args: [1, 1], description: 'Conversion en entier', fn: ([x]) => (toNumber(x) === null ? null : Math.trunc(toNumber(x))) },
+  to_string: { args: [1, 1], description: 'Conversion en texte', fn: ([x]) => toText(x) },
+  coalesce: { args: [1, Infinity], nullSafe: true, description: 'Premier argument non NULL', fn: args => args.find(a => !isNull(a)) ?? null },
+  nullif: { args: [2, 2], nullSafe: true, description: 'NULL si les deux valeurs sont égales', fn: ([a, b]) => (compare(a, b) === 0 ? null : a) },
+  if: { args: [2, 3], nullSafe: true, description: 'if(condition, si vrai, si faux)', fn: ([c, a, b]) => (toBoolean(c) === true ? a : (b ?? null)) },
+
+  // Geometry (WGS84, geodesic measures)
+  area: { args: [0, 0], description: 'Surface de l\'entité (m²)', fn: (args, ctx) => withGeometry(ctx, g => GeometryEngine.area(g, 'm2')) },
+  perimeter: { args: [0, 0], description: 'Périmètre de l\'entité (m)', fn: (args, ctx) => withGeometry(ctx, g => GeometryEngine.perimeter(g, 'm')) },
+  length: {
+    args: [0, 1],
+    nullSafe: true,
+    description: 'length() : longueur de l\'entité (m) ; length(texte) : nombre de caractères',
+    fn: (args, ctx) => {
+      if (args.length === 1) return isNull(args[0]) ? null : toText(args[0]).length;
+      return withGeometry(ctx, g => GeometryEngine.length(g, 'm'));
+    }
+  },
+  x: { args: [0, 0], description: 'Longitude du centroïde', fn: (args, ctx) => withGeometry(ctx, g => GeometryEngine.centroid(g).coordinates[0]) },
+  y: { args: [0, 0], description: 'Latitude du centroïde', fn: (args, ctx) => withGeometry(ctx, g => GeometryEngine.centroid(g).coordinates[1]) },
+  geometry_type: { args: [0, 0], description: 'Type de géométrie', fn: (args, ctx) => withGeometry(ctx, g => g.type) }
+};
+
+function aggregateNumbers(args, reducer) {
+  const numbers = args.map(toNumber).filter(n => n !== null);
+  return numbers.length > 0 ? reducer(...numbers) : null;
+}
+
+function withGeometry(ctx, compute) {
+  const geometry = ctx.getGeometry();
+  return geometry ? compute(geometry) : null;
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Number: 12, 3.5, .5, 1e3
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+      continue;
+    }
+
+    // String literal ('' escapes a quote) or quoted field name
+    if (char === '\'' || char === '"') {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= source.length) {
+          throw new ExpressionError(char === '\'' ? 'Chaîne non terminée' : 'Nom de champ non terminé', start);
+        }
+        if (source[i] === char) {
+          if (source[i + 1] === char) {
+            value += char;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += source[i++];
+      }
+      tokens.push({ type: char === '\'' ? 'string' : 'field', value, position: start });
+      continue;
+    }
+
+    // Identifier or keyword
+    if (/[A-Za-z_À-ÿ]/.test(char)) {
+      const match = /^[A-Za-z_À-ÿ][A-Za-z0-9_À-ÿ]*/.exec(source.slice(i));
+      const word = match[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper, position: start }
+        : { type: 'identifier', value: word, position: start });
+      i += word.length;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: start });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: start });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Caractère inattendu « ${char} »`, start);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+}
+
+// ============================================
+// Parser (recursive descent, lowest precedence first)
+// ============================================
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(...words) {
+    return this.current.type === 'keyword' && words.includes(this.current.value);
+  }
+
+  isOperator(...operators) {
+    return this.current.type === 'operator' && operators.includes(this.current.value);
+  }
+
+  expectKeyword(word) {
+    if (!this.isKeyword(word)) {
+      throw new ExpressionError(`${word} attendu`, this.current.position);
+    }
+    return this.next();
+  }
+
+  expect(type, message) {
+    if (this.current.type !== type) {
+      throw new ExpressionError(message, this.current.position);
+    }
+    return this.next();
+  }
+
+  parse() {
+    if (this.current.type === 'eof') {
+      throw new ExpressionError('Expression vide', 0);
+    }
+
+    const ast = this.parseOr();
+
+    if (this.current.type !== 'eof') {
+      throw new ExpressionError(`Élément inattendu « ${this.current.value} »`, this.current.position);
+    }
+
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('OR')) {
+      this.next();
+      left = { type: 'logical', op: 'OR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('AND')) {
+      this.next();
+      left = { type: 'logical', op: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseConcat();
+
+    if (this.current.type === 'operator' && COMPARISON_OPERATORS.has(this.current.value)) {
+      const op = this.next().value;
+      return { type: 'binary', op, left, right: this.parseConcat() };
+    }
+
+    if (this.isKeyword('IS')) {
+      this.next();
+      let negate = false;
+      if (this.isKeyword('NOT')) {
+        this.next();
+        negate = true;
+      }
+      this.expectKeyword('NULL');
+      return { type: 'isNull', negate, operand: left };
+    }
+
+    // Optional NOT before IN / BETWEEN / LIKE
+    let negate = false;
+    if (this.isKeyword('NOT') && this.tokens[this.index + 1]?.type === 'keyword' &&
+        ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].includes(this.tokens[this.index + 1].value)) {
+      this.next();
+      negate = true;
+    }
+
+    if (this.isKeyword('IN')) {
+      this.next();
+      this.expect('(', 'Parenthèse ouvrante attendue');
+      const list = [this.parseOr()];
+      while (this.current.type === ',') {
+        this.next();
+        list.push(this.parseOr());
+      }
+      this.expect(')', 'Parenthèse fermante attendue');
+      return { type: 'in', negate, operand: left, list };
+    }
+
+    if (this.isKeyword('BETWEEN')) {
+      this.next();
+      const low = this.parseConcat();
+      this.expectKeyword('AND');
+      const high = this.parseConcat();
+      return { type: 'between', negate, operand: left, low, high };
+    }
+
+    if (this.isKeyword('LIKE', 'ILIKE')) {
+      const caseInsensitive = this.next().value === 'ILIKE';
+      return { type: 'like', negate, caseInsensitive, operand: left, pattern: this.parseConcat() };
+    }
+
+    return left;
+  }
+
+  parseConcat() {
+    let left = this.parseAdditive();
+    while (this.isOperator('||')) {
+      this.next();
+      left = { type: 'binary', op: '||', left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+', '-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*', '/', '%')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-', '+')) {
+      const op = this.next().value;
+      return { type: 'unary', op, operand: this.parseUnary() };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOperator('^')) {
+      this.next();
+      // Right associative: 2 ^ 3 ^ 2 = 2 ^ 9
+      return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.current;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.next();
+        return { type: 'literal', value: token.value };
+
+      case 'field':
+        this.next();
+        return { type: 'field', name: token.value };
+
+      case 'identifier':
+        this.next();
+        if (this.current.type === '(') {
+          return this.parseCall(token);
+        }
+        return { type: 'field', name: token.value };
+
+      case '(': {
+        this.next();
+        const inner = this.parseOr();
+        this.expect(')', 'Parenthèse fermante attendue');
+        return inner;
+      }
+
+      case 'keyword':
+        if (token.value === 'TRUE' || token.value === 'FALSE' || token.value === 'NULL') {
+          this.next();
+          return { type: 'literal', value: token.value === 'NULL' ? null : token.value === 'TRUE' };
+        }
+        if (token.value === 'CASE') {
+          return this.parseCase();
+        }
+        throw new ExpressionError(`Mot-clé ${token.value} inattendu`, token.position);
+
+      case 'eof':
+        throw new ExpressionError('Expression incomplète', token.position);
+
+      default:
+        throw new ExpressionError(`Élément inattendu « ${token.value} »`, token.position);
+    }
+  }
+
+  parseCall(nameToken) {
+    const name = nameToken.value.toLowerCase();
+    const definition = FUNCTIONS[name];
+
+    if (!definition) {
+      throw new ExpressionError(`Fonction inconnue : ${nameToken.value}`, nameToken.position);
+    }
+
+    this.expect('(', 'Parenthèse ouvrante attendue');
+    const args = [];
+    if (this.current.type !== ')') {
+      args.push(this.parseOr());
+      while (this.current.type === ',') {
+        this.next();
+        args.push(this.parseOr());
+      }
+    }
+    this.expect(')', 'Parenthèse fermante attendue');
+
+    const [min, max] = definition.args;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : (max === Infinity ? `au moins ${min}` : `${min} à ${max}`);
+      throw new ExpressionError(`${name}() attend ${expected} argument(s), ${args.length} fourni(s)`, nameToken.position);
+    }
+
+    return { type: 'call', name, args };
+  }
+
+  parseCase() {
+    const caseToken = this.next();
+
+    // Simple form: CASE expr WHEN value THEN ...
+    const subject = this.isKeyword('WHEN') ? null : this.parseOr();
+
+    const branches = [];
+    while (this.isKeyword('WHEN')) {
+      this.next();
+      const when = this.parseOr();
+      this.expectKeyword('THEN');
+      branches.push({ when, then: this.parseOr() });
+    }
+
+    if (branches.length === 0) {
+      throw new ExpressionError('CASE sans WHEN', caseToken.position);
+    }
+
+    let otherwise = null;
+    if (this.isKeyword('ELSE')) {
+      this.next();
+      otherwise = this.parseOr();
+    }
+
+    this.expectKeyword('END');
+    return { type: 'case', subject, branches, otherwise };
+  }
+}
+
+// ============================================
+// Engine
+// ============================================
+
+class ExpressionEngine {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse an expression (cached)
+   * @throws {ExpressionError}
+   */
+  parse(expression) {
+    const source = String(expression ?? '');
+
+    if (this.cache.has(source)) {
+      return this.cache.get(source);
+    }
+
+    const ast = new Parser(source).parse();
+
+    if (this.cache.size >= MAX_CACHED_EXPRESSIONS) {
+      this.cache.clear();
+    }
+    this.cache.set(source, ast);
+
+    return ast;
+  }
+
+  /**
+   * Check an expression without evaluating it
+   * @returns {{ valid: boolean, error?: string, position?: number, fields?: string[] }}
+   */
+  validate(expression) {
+    try {
+      const ast = this.parse(expression);
+      return { valid: true, fields: this.getFields(ast) };
+    } catch (error) {
+      if (error instanceof ExpressionError) {
+        return { valid: false, error: error.reason, position: error.position };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate an expression (source or AST) for a feature
+   *
+   * @param {string|Object} expression
+   * @param {Object} feature - GIS_WorkSpace record or GeoJSON Feature
+   * @param {Object} properties - Already parsed properties (optional)
+   * @returns {*} Value (number, string, boolean or null)
+   * @throws {ExpressionError}
+   */
+  evaluate(expression, feature = {}, properties = null) {
+    const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+    return this.evaluateNode(ast, this.createContext(feature, properties));
+  }
+
+  /**
+   * Evaluate an expression as a condition (NULL and errors never match)
+   */
+  test(expression, feature = {}, properties = null) {
+    return toBoolean(this.evaluate(expression, feature, properties)) === true;
+  }
+
+  /**
+   * Field names referenced by an expression
+   */
+  getFields(expression) {
+    const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+    const fields = new Set();
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'field') fields.add(node.name);
+      Object.values(node).forEach(child => {
+        if (Array.isArray(child)) child.forEach(visit);
+        else visit(child);
+      });
+    };
+
+    visit(ast);
+    return [...fields];
+  }
+
+  /**
+   * Functions available to users (for editor help)
+   */
+  getFunctions() {
+    return Object.entries(FUNCTIONS).map(([name, def]) => ({ name, description: def.description }));
+  }
+
+  createContext(feature, properties) {
+    const props = properties || this.parseProperties(feature);
+    let geometry;
+
+    return {
+      feature: feature || {},
+      properties: props,
+      // Geometry is only parsed when a geometry function is used
+      getGeometry: () => {
+        if (geometry === undefined) {
+          geometry = GeometryEngine.getRecordGeometry(feature) || null;
+        }
+        return geometry;
+      }
+    };
+  }
+
+  parseProperties(feature) {
+    if (!feature || !feature.properties) return {};
+    if (typeof feature.properties !== 'string') return feature.properties;
+
+    try {
+      return JSON.parse(feature.properties);
+    } catch {
+      return {};
+    }
+  }
+
+  resolveField(name, ctx) {
+    if (Object.prototype.hasOwnProperty.call(ctx.properties, name)) {
+      return ctx.properties[name] ?? null;
+    }
+    if (name !== 'properties' && Object.prototype.hasOwnProperty.call(ctx.feature, name)) {
+      return ctx.feature[name] ?? null;
+    }
+    return null;
+  }
+
+  evaluateNode(node, ctx) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'field':
+        return this.resolveField(node.name, ctx);
+
+      case 'unary': {
+        const value = toNumber(this.evaluateNode(node.operand, ctx));
+        if (value === null) return null;
+        return node.op === '-' ? -value : value;
+      }
+
+      case 'binary':
+        return this.evaluateBinary(node, ctx);
+
+      case 'logical':
+        return this.evaluateLogical(node, ctx);
+
+      case 'not': {
+        const value = toBoolean(this.evaluateNode(node.operand, ctx));
+        return value === null ? null : !value;
+      }
+
+      case 'isNull': {
+        const value = this.evaluateNode(node.operand, ctx);
+        return isNull(value) !== node.negate;
+      }
+
+      case 'in': {
+        const value = this.evaluateNode(node.operand, ctx);
+        if (isNull(value)) return null;
+        const found = node.list.some(item => compare(value, this.evaluateNode(item, ctx)) === 0);
+        return found !== node.negate;
+      }
+
+      case 'between': {
+        const value = this.evaluateNode(node.operand, ctx);
+        const low = compare(value, this.evaluateNode(node.low, ctx));
+        const high = compare(value, this.evaluateNode(node.high, ctx));
+        if (low === null || high === null) return null;
+        return (low >= 0 && high <= 0) !== node.negate;
+      }
+
+      case 'like': {
+        const value = this.evaluateNode(node.operand, ctx);
+        const pattern = this.evaluateNode(node.pattern, ctx);
+        if (isNull(value) || isNull(pattern)) return null;
+        return likeToRegExp(pattern, node.caseInsensitive).test(String(value)) !== node.negate;
+      }
+
+      case 'case':
+        return this.evaluateCase(node, ctx);
+
+      case 'call':
+        return this.evaluateCall(node, ctx);
+
+      default:
+        throw new ExpressionError(`Nœud inconnu : ${node.type}`);
+    }
+  }
+
+  evaluateBinary(node, ctx) {
+    const left = this.evaluateNode(node.left, ctx);
+    const right = this.evaluateNode(node.right, ctx);
+
+    if (node.op === '||') {
+      return isNull(left) || isNull(right) ? null : String(left) + String(right);
+    }
+
+    if (COMPARISON_OPERATORS.has(node.op)) {
+      const result = compare(left, right);
+      if (result === null) return null;
+
+      switch (node.op) {
+        case '=':
+        case '==': return result === 0;
+        case '!=':
+        case '<>': return result !== 0;
+        case '<': return result < 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        default: return result >= 0;
+      }
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) return null;
+
+    switch (node.op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      // Division by zero gives NULL rather than Infinity
+      case '/': return b === 0 ? null : a / b;
+      case '%': return b === 0 ? null : a % b;
+      case '^': return Math.pow(a, b);
+      default:
+        throw new ExpressionError(`Opérateur inconnu : ${node.op}`);
+    }
+  }
+
+  evaluateLogical(node, ctx) {
+    const left = toBoolean(this.evaluateNode(node.left, ctx));
+
+    // Short-circuit
+    if (node.op === 'AND' && left === false) return false;
+    if (node.op === 'OR' && left === true) return true;
+
+    const right = toBoolean(this.evaluateNode(node.right, ctx));
+
+    if (node.op === 'AND') {
+      if (right === false) return false;
+      return left === null || right === null ? null : true;
+    }
+
+    if (right === true) return true;
+    return left === null || right === null ? null : false;
+  }
+
+  evaluateCase(node, ctx) {
+    const subject = node.subject ? this.evaluateNode(node.subject, ctx) : undefined;
+
+    for (const branch of node.branches) {
+      const when = this.evaluateNode(branch.when, ctx);
+      const matches = node.subject
+        ? compare(subject, when) === 0
+        : toBoolean(when) === true;
+
+      if (matches) {
+        return this.evaluateNode(branch.then, ctx);
+      }
+    }
+
+    return node.otherwise ? this.evaluateNode(node.otherwise, ctx) : null;
+  }
+
+  evaluateCall(node, ctx) {
+    const definition = FUNCTIONS[node.name];
+    const args = node.args.map(arg => this.evaluateNode(arg, ctx));
+
+    if (!definition.nullSafe && args.some(isNull)) {
+      return null;
+    }
+
+    const result = definition.fn(args, ctx);
+    return typeof result === 'number' && !isFinite(result) ? null : result;
+  }
+}
+
+export default new ExpressionEngine();
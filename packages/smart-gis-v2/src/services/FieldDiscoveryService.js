@@ -1,11 +1,12 @@
 /**
  * FieldDiscoveryService - Discover and categorize WFS layer fields dynamically
  *
- * Uses WFS DescribeFeatureType to fetch schema information for any layer,
- * then categorizes fields to help users build appropriate filters.
+ * Uses WFS DescribeFeatureType (or the queryables of an OGC API - Features
+ * collection) to fetch schema information for any layer, then categorizes
+ * fields to help users build appropriate filters.
  *
  * Approach:
- * - Query DescribeFeatureType (returns XSD schema)
+ * - Query DescribeFeatureType (returns XSD schema) or /queryables (JSON schema)
  * - Parse field names and types
  * - Categorize fields (identifiers, names, geography, demographics, etc.)
  * - Suggest appropriate operators for each field type
@@ -17,6 +18,13 @@
  * - User-friendly filter suggestions
  */
 
+import { buildServiceUrl } from './OGCFeatureService';
+
+const XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+// Queryables that are not attributes (OGC API - Features Part 3)
+const GEOMETRY_FORMATS = /^geometry-/;
+
 class FieldDiscoveryService {
   constructor() {
     this.schemaCache = new Map();
@@ -24,13 +32,14 @@ class FieldDiscoveryService {
   }
 
   /**
-   * Get schema for a WFS layer (with caching)
+   * Get schema for a WFS layer or OGC API collection (with caching)
    *
-   * @param {string} serviceUrl - WFS service URL (e.g., 'https://data.geopf.fr/wfs')
-   * @param {string} typeName - Layer type name (e.g., 'ADMINEXPRESS-COG-CARTO.LATEST:commune')
+   * @param {string} serviceUrl - WFS service URL (e.g., 'https://data.geopf.fr/wfs') or OGC API landing page
+   * @param {string} typeName - Layer type name (e.g., 'ADMINEXPRESS-COG-CARTO.LATEST:commune') or collection id
+   * @param {string} protocol - 'wfs' (default) or 'ogcapi'
    * @returns {Promise<Array>} Array of field objects: [{name, type, xsdType}, ...]
    */
-  async getLayerSchema(serviceUrl, typeName) {
+  async getLayerSchema(serviceUrl, typeName, protocol = 'wfs') {
     const cacheKey = `${serviceUrl}::${typeName}`;
 
     // Check cache first
@@ -42,21 +51,28 @@ class FieldDiscoveryService {
     console.log('[FieldDiscovery] Fetching schema for:', typeName);
 
     try {
-      const url = `${serviceUrl}?` +
-        `service=WFS&` +
-        `version=2.0.0&` +
-        `request=DescribeFeatureType&` +
-        `typeName=${encodeURIComponent(typeName)}`;
-
-      const response = await fetch(url);
+      let fields;
+
+      if (protocol === 'ogcapi') {
+        fields = await this.fetchQueryables(serviceUrl, typeName);
+      } else {
+        const url = buildServiceUrl(serviceUrl, {
+          service: 'WFS',
+          version: '2.0.0',
+          request: 'DescribeFeatureType',
+          typeName
+        });
+
+        const response = await fetch(url);
+
+        if (!response.ok) {
+          throw new Error(`DescribeFeatureType failed: ${response.statusText}`);
+        }
 
-      if (!response.ok) {
-        throw new Error(`DescribeFeatureType failed: ${response.statusText}`);
+        const xmlText = await response.text();
+        fields = this.parseXSDSchema(xmlText);
       }
 
-      const xmlText = await response.text();
-      const fields = this.parseXSDSchema(xmlText);
-
       // Cache the result
       this.schemaCache.set(cacheKey, fields);
 
@@ -70,9 +86,79 @@ class FieldDiscoveryService {
     }
   }
 
+  /**
+   * Fetch the queryables of an OGC API collection (JSON schema), or infer
+   * the fields from the first feature when the server has no /queryables
+   *
+   * @param {string} serviceUrl - OGC API landing page
+   * @param {string} collectionId
+   * @returns {Promise<Array>} Fields [{name, type, xsdType}]
+   */
+  async fetchQueryables(serviceUrl, collectionId) {
+    const collectionUrl = `${serviceUrl}/collections/${encodeURIComponent(collectionId)}`;
+
+    const response = await fetch(`${collectionUrl}/queryables`, {
+      headers: { Accept: 'application/schema+json, application/json;q=0.9' }
+    });
+
+    if (response.ok) {
+      return this.parseQueryables(await response.json());
+    }
+
+    const itemsResponse = await fetch(buildServiceUrl(`${collectionUrl}/items`, { limit: 1 }), {
+      headers: { Accept: 'application/geo+json, application/json;q=0.9' }
+    });
+    if (!itemsResponse.ok) {
+      throw new Error(`Queryables failed: ${response.statusText || response.status}`);
+    }
+
+    const properties = (await itemsResponse.json()).features?.[0]?.properties || {};
+    return Object.entries(properties).map(([name, value]) => ({
+      name,
+      type: typeof value === 'number' ? 'number' : typeof value === 'boolean' ? 'boolean' : 'string',
+      xsdType: typeof value
+    }));
+  }
+
+  /**
+   * Parse an OGC API queryables document (JSON schema) to field definitions
+   *
+   * @param {Object} schema - { properties: { name: { type, format, $ref } } }
+   * @returns {Array} Parsed fields
+   */
+  parseQueryables(schema) {
+    return Object.entries(schema.properties || {})
+      .filter(([name, property]) =>
+        !GEOMETRY_FORMATS.test(property.format || '') &&
+        !/geojson|geometry/i.test(property.$ref || '') &&
+        name !== 'geometry'
+      )
+      .map(([name, property]) => {
+        const jsonType = Array.isArray(property.type) ? property.type[0] : property.type;
+
+        let type = 'string';
+        if (jsonType === 'integer' || jsonType === 'number') {
+          type = 'number';
+        } else if (jsonType === 'boolean') {
+          type = 'boolean';
+        } else if (property.format === 'date' || property.format === 'date-time') {
+          type = 'date';
+        }
+
+        return {
+          name,
+          type,
+          xsdType: property.format || jsonType || 'unknown'
+        };
+      });
+  }
+
   /**
    * Parse XSD schema XML to extract field definitions
    *
+   * Attributes are the elements of the feature type sequence, whatever the
+   * schema prefix of the server (xsd:, xs:...)
+   *
    * @param {string} xmlText - Raw XSD XML response
    * @returns {Array} Parsed fields
    */
@@ -81,15 +167,21 @@ class FieldDiscoveryService {
     const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
 
     const fields = [];
-    const elements = xmlDoc.getElementsByTagName('xsd:element');
+    const elements = xmlDoc.getElementsByTagNameNS(XSD_NAMESPACE, 'element');
 
     for (let i = 0; i < elements.length; i++) {
       const element = elements[i];
       const name = element.getAttribute('name');
       const xsdType = element.getAttribute('type');
 
+      // Skip the feature type declarations (not attributes)
+      if (element.parentNode?.localName !== 'sequence') {
+        continue;
+      }
+
       // Skip geometry fields (handled separately)
-      if (name === 'geometry' || name === 'geom' || name === 'the_geom') {
+      if (name === 'geometry' || name === 'geom' || name === 'the_geom' ||
+          (xsdType && xsdType.startsWith('gml:'))) {
         continue;
       }
 
@@ -319,9 +411,10 @@ class FieldDiscoveryService {
    *
    * @param {string} serviceUrl - WFS service URL
    * @param {string} typeName - Layer type name
+   * @param {string} protocol - 'wfs' (default) or 'ogcapi'
    * @returns {Promise<Object>} Categorized fields with operator suggestions
    */
-  async getEnrichedSchema(serviceUrl, typeName) {
+  async getEnrichedSchema(serviceUrl, typeName, protocol = 'wfs') {
     const cacheKey = `enriched::${serviceUrl}::${typeName}`;
 
     // Check cache
@@ -330,7 +423,7 @@ class FieldDiscoveryService {
     }
 
     // Fetch and parse schema
-    const fields = await this.getLayerSchema(serviceUrl, typeName);
+    const fields = await this.getLayerSchema(serviceUrl, typeName, protocol);
 
     // Categorize
     const categories = this.categorizeFields(fields);
@@ -361,22 +454,31 @@ class FieldDiscoveryService {
   /**
    * Build CQL filter string from field, operator, and value
    *
+   * The 'cql2' dialect (OGC API - Features, filter-lang=cql2-text) differs
+   * from ECQL for dates only: they are DATE('...') literals.
+   *
    * @param {string} fieldName - Field name
    * @param {string} operator - CQL operator (=, >, LIKE, etc.)
    * @param {*} value - Filter value(s)
    * @param {string} fieldType - Field type (string, number, date, etc.)
+   * @param {string} dialect - 'cql' (WFS cql_filter, default) or 'cql2'
    * @returns {string} CQL filter string
    */
-  buildCQLFilter(fieldName, operator, value, fieldType = 'string') {
+  buildCQLFilter(fieldName, operator, value, fieldType = 'string', dialect = 'cql') {
     if (!value) return '';
 
+    const literal = (v) => {
+      const quoted = `'${String(v).replace(/'/g, "''")}'`;
+      return dialect === 'cql2' && fieldType === 'date' ? `DATE(${quoted})` : quoted;
+    };
+
     switch (operator) {
       case 'LIKE':
-        return `${fieldName} LIKE '%${value}%'`;
+        return `${fieldName} LIKE ${literal(`%${value}%`)}`;
 
       case '=':
-        if (fieldType === 'string') {
-          return `${fieldName} = '${value}'`;
+        if (fieldType === 'string' || fieldType === 'date') {
+          return `${fieldName} = ${literal(value)}`;
         }
         return `${fieldName} = ${value}`;
 
@@ -385,7 +487,7 @@ class FieldDiscoveryService {
       case '>=':
       case '<=':
         if (fieldType === 'string' || fieldType === 'date') {
-          return `${fieldName} ${operator} '${value}'`;
+          return `${fieldName} ${operator} ${literal(value)}`;
         }
         return `${fieldName} ${operator} ${value}`;
 
@@ -393,7 +495,7 @@ class FieldDiscoveryService {
         // value should be [min, max]
         if (Array.isArray(value) && value.length === 2) {
           if (fieldType === 'string' || fieldType === 'date') {
-            return `${fieldName} BETWEEN '${value[0]}' AND '${value[1]}'`;
+            return `${fieldName} BETWEEN ${literal(value[0])} AND ${literal(value[1])}`;
           }
           return `${fieldName} BETWEEN ${value[0]} AND ${value[1]}`;
         }
@@ -403,7 +505,7 @@ class FieldDiscoveryService {
         // value should be array
         if (Array.isArray(value)) {
           if (fieldType === 'string') {
-            const quotedValues = value.map(v => `'${v}'`).join(', ');
+            const quotedValues = value.map(literal).join(', ');
             return `${fieldName} IN (${quotedValues})`;
           }
           return `${fieldName} IN (${value.join(', ')})`;
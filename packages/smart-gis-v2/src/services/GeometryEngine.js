@@ -0,0 +1,496 @@
+/**
+ * GeometryEngine - Client-side execution of spatial tools
+ *
+ * Runs the tools of config/toolDefinitions.js in the browser (turf.js)
+ * instead of relying on the Python ST_* functions, so they also work in
+ * documents where those functions are not installed.
+ *
+ * Features:
+ * - Measurements (area, length, perimeter, distance)
+ * - Transformations (buffer, centroid, simplify, envelope, convex hull)
+ * - Overlays (union, intersection, difference, symmetric difference)
+ * - Spatial predicates (within, contains, intersects, touches, crosses, distance)
+ * - Conversions and validation
+ *
+ * Geometries are exchanged as WKT (GIS_WorkSpace.geometry_wgs84),
+ * computations run on GeoJSON [lon, lat] in WGS84 (EWKT in another CRS is
+ * reprojected on parse).
+ */
+
+import * as turf from '@turf/turf';
+import { wktToGeoJSON, geoJSONToWKT } from '../utils/geometryConverters';
+import ProjectionService, { WGS84 } from './ProjectionService';
+import TopologyValidator, { REPAIR_OPERATIONS } from './TopologyValidator';
+
+const AREA_FACTORS = { m2: 1, ha: 1e-4, km2: 1e-6 };
+const LENGTH_FACTORS = { m: 1000, km: 1 };
+
+class GeometryEngine {
+  constructor() {
+    // Tool id → operation(geometries, params)
+    // Single-geometry tools receive an array of one geometry
+    this.operations = {
+      // Measurements
+      area: ([geom], params) => this.area(geom, params.unit),
+      length: ([geom], params) => this.length(geom, params.unit),
+      perimeter: ([geom], params) => this.perimeter(geom, params.unit),
+      distance: ([a, b], params) => this.distance(a, b, params.unit),
+
+      // Transformations
+      buffer: ([geom], params) => this.buffer(geom, params.distance, params.segments),
+      centroid: ([geom]) => this.centroid(geom),
+      simplify: ([geom], params) => this.simplify(geom, params.tolerance),
+      envelope: ([geom]) => this.envelope(geom),
+      convex_hull: (geoms) => this.convexHull(geoms),
+
+      // Overlays
+      union: (geoms) => this.union(geoms),
+      intersection: ([a, b]) => this.intersection(a, b),
+      difference: ([a, b]) => this.difference(a, b),
+      sym_difference: ([a, b]) => this.symDifference(a, b),
+
+      // Conversions
+      transform_crs: ([geom], params) => ProjectionService.toEWKT(
+        this.transform(geom, WGS84, params.target_srid),
+        params.target_srid
+      ),
+      to_geojson: ([geom]) => JSON.stringify(geom),
+      to_wkt: ([geom]) => geoJSONToWKT(geom),
+
+      // Validation
+      is_valid: ([geom]) => this.isValid(geom),
+      make_valid: ([geom]) => this.makeValid(geom),
+      geometry_type: ([geom]) => geom.type
+    };
+  }
+
+  /**
+   * Check if a tool can run client-side
+   */
+  supports(toolId) {
+    return toolId in this.operations;
+  }
+
+  /**
+   * Run a tool on WKT geometries
+   *
+   * @param {Object} tool - Tool definition (toolDefinitions.js)
+   * @param {Array<string>} wkts - Input geometries (WKT)
+   * @param {Object} params - Tool parameters (defaults already applied)
+   * @returns {any} WKT for geometry tools, number/string/boolean otherwise
+   */
+  run(tool, wkts, params = {}) {
+    const operation = this.operations[tool.id];
+    if (!operation) {
+      throw new Error(`Outil non disponible côté client: ${tool.id}`);
+    }
+
+    const geometries = wkts.map(wkt => {
+      const geometry = this.parse(wkt);
+      if (!geometry) {
+        throw new Error(`Géométrie invalide: ${String(wkt).substring(0, 50)}`);
+      }
+      return geometry;
+    });
+
+    const result = operation(geometries, params);
+
+    if (tool.resultType === 'geometry') {
+      if (!result) {
+        throw new Error('Résultat vide (aucune géométrie produite)');
+      }
+      return geoJSONToWKT(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse WKT to GeoJSON geometry
+   */
+  parse(wkt) {
+    const geometry = wktToGeoJSON(wkt);
+    if (!geometry || this.isEmpty(geometry)) return null;
+
+    const srid = ProjectionService.getWKTSource(wkt, WGS84);
+    return srid === WGS84 ? geometry : ProjectionService.toWGS84(geometry, srid);
+  }
+
+  /**
+   * Get GeoJSON geometry of a GIS_WorkSpace record or GeoJSON Feature
+   * Falls back to the `geojson` formula column when WKT is missing
+   */
+  getRecordGeometry(record) {
+    if (!record) return null;
+
+    // GeoJSON Feature (IGN/OSM data, treatment results)
+    if (record.geometry && typeof record.geometry === 'object') {
+      return record.geometry;
+    }
+
+    const fromWKT = this.parse(record.geometry_wgs84 || record.geometry);
+    if (fromWKT) return fromWKT;
+
+    if (record.geojson) {
+      try {
+        return JSON.parse(record.geojson);
+      } catch {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  isEmpty(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+      return geometry.geometries.length === 0;
+    }
+    return !geometry.coordinates || geometry.coordinates.length === 0;
+  }
+
+  // ============================================
+  // Measurements
+  // ============================================
+
+  area(geometry, unit = 'm2') {
+    return turf.area(geometry) * (AREA_FACTORS[unit] ?? 1);
+  }
+
+  length(geometry, unit = 'km') {
+    const km = turf.length(turf.feature(geometry), { units: 'kilometers' });
+    return km * (LENGTH_FACTORS[unit] ?? 1);
+  }
+
+  perimeter(geometry, unit = 'm') {
+    const rings = this.toLines(geometry);
+    const km = rings.reduce(
+      (sum, line) => sum + turf.length(line, { units: 'kilometers' }),
+      0
+    );
+    return km * (LENGTH_FACTORS[unit] ?? 1);
+  }
+
+  /**
+   * Minimum distance between two geometries (0 if they intersect)
+   */
+  distance(a, b, unit = 'km') {
+    if (turf.booleanIntersects(a, b)) return 0;
+
+    const km = Math.min(
+      this.vertexToGeometryDistance(a, b),
+      this.vertexToGeometryDistance(b, a)
+    );
+
+    return km * (LENGTH_FACTORS[unit] ?? 1);
+  }
+
+  /**
+   * Minimum distance (km) from vertices of `from` to geometry `to`
+   * @private
+   */
+  vertexToGeometryDistance(from, to) {
+    const lines = this.toLines(to);
+    const targetPoints = lines.length === 0 ? turf.coordAll(to) : [];
+    let min = Infinity;
+
+    turf.coordEach(from, (coord) => {
+      const point = turf.point(coord);
+      lines.forEach(line => {
+        min = Math.min(min, turf.pointToLineDistance(point, line, { units: 'kilometers' }));
+      });
+      targetPoints.forEach(target => {
+        min = Math.min(min, turf.distance(point, target, { units: 'kilometers' }));
+      });
+    });
+
+    return min;
+  }
+
+  /**
+   * Decompose a geometry into LineString features
+   * (polygon rings become closed lines, points are ignored)
+   */
+  toLines(geometry) {
+    const lines = [];
+
+    turf.flattenEach(geometry, (part) => {
+      const { type, coordinates } = part.geometry;
+      if (type === 'LineString' && coordinates.length > 1) {
+        lines.push(turf.lineString(coordinates));
+      } else if (type === 'Polygon') {
+        coordinates
+          .filter(ring => ring.length > 1)
+          .forEach(ring => lines.push(turf.lineString(ring)));
+      }
+    });
+
+    return lines;
+  }
+
+  // ============================================
+  // Transformations
+  // ============================================
+
+  buffer(geometry, distance = 100, segments = 8) {
+    const buffered = turf.buffer(geometry, Number(distance), {
+      units: 'meters',
+      steps: Number(segments)
+    });
+    return buffered ? buffered.geometry : null;
+  }
+
+  centroid(geometry) {
+    const isAreal = geometry.type === 'Polygon' || geometry.type === 'MultiPolygon';
+    const center = isAreal ? turf.centerOfMass(geometry) : turf.centroid(geometry);
+    return center.geometry;
+  }
+
+  simplify(geometry, tolerance = 0.0001) {
+    return turf.simplify(geometry, { tolerance: Number(tolerance), highQuality: true });
+  }
+
+  envelope(geometry) {
+    const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+
+    if (minX === maxX && minY === maxY) {
+      return turf.point([minX, minY]).geometry;
+    }
+    if (minX === maxX || minY === maxY) {
+      return turf.lineString([[minX, minY], [maxX, maxY]]).geometry;
+    }
+
+    return turf.bboxPolygon([minX, minY, maxX, maxY]).geometry;
+  }
+
+  convexHull(geometries) {
+    const collection = turf.featureCollection(geometries.map(g => turf.feature(g)));
+    const hull = turf.convex(collection);
+
+    if (hull) return hull.geometry;
+
+    // Less than 3 distinct points: hull degenerates to a point or a line
+    const coords = turf.coordAll(collection);
+    const unique = [...new Map(coords.map(c => [`${c[0]},${c[1]}`, c])).values()];
+
+    if (unique.length === 1) return turf.point(unique[0]).geometry;
+    if (unique.length === 2) return turf.lineString(unique).geometry;
+
+    return null;
+  }
+
+  // ============================================
+  // Overlays
+  // ============================================
+
+  union(geometries) {
+    const polygons = geometries.filter(g => this.isPolygonal(g));
+    if (polygons.length === 0) return null;
+    if (polygons.length === 1) return polygons[0];
+
+    const result = turf.union(turf.featureCollection(polygons.map(g => turf.feature(g))));
+    return result ? result.geometry : null;
+  }
+
+  /**
+   * Merge geometries into one (group-by dissolve)
+   * Polygons are unioned, other types combined into Multi* geometries
+   */
+  dissolve(geometries) {
+    if (geometries.length === 1) return geometries[0];
+
+    if (geometries.every(g => this.isPolygonal(g))) {
+      return this.union(geometries);
+    }
+
+    const combined = turf.combine(
+      turf.featureCollection(geometries.map(g => turf.feature(g)))
+    ).features.map(f => f.geometry);
+
+    return combined.length === 1
+      ? combined[0]
+      : { type: 'GeometryCollection', geometries: combined };
+  }
+
+  intersection(a, b) {
+    if (this.isPolygonal(a) && this.isPolygonal(b)) {
+      const result = turf.intersect(turf.featureCollection([turf.feature(a), turf.feature(b)]));
+      return result ? result.geometry : null;
+    }
+
+    if (this.isLinear(a) && this.isPolygonal(b)) return this.clipLine(a, b);
+    if (this.isPolygonal(a) && this.isLinear(b)) return this.clipLine(b, a);
+
+    if (this.isLinear(a) && this.isLinear(b)) {
+      const points = turf.lineIntersect(turf.feature(a), turf.feature(b));
+      if (points.features.length === 0) return null;
+      return points.features.length === 1
+        ? points.features[0].geometry
+        : turf.multiPoint(points.features.map(p => p.geometry.coordinates)).geometry;
+    }
+
+    throw new Error(`Intersection non supportée: ${a.type} / ${b.type}`);
+  }
+
+  difference(a, b) {
+    if (!this.isPolygonal(a) || !this.isPolygonal(b)) {
+      throw new Error('La différence nécessite deux polygones');
+    }
+
+    const result = turf.difference(turf.featureCollection([turf.feature(a), turf.feature(b)]));
+    return result ? result.geometry : null;
+  }
+
+  symDifference(a, b) {
+    const parts = [this.difference(a, b), this.difference(b, a)].filter(Boolean);
+    return this.union(parts);
+  }
+
+  /**
+   * Keep the parts of a line that lie inside a polygon
+   * @private
+   */
+  clipLine(line, polygon) {
+    const polygonFeature = turf.feature(polygon);
+    const inside = [];
+
+    turf.flattenEach(line, (part) => {
+      const pieces = turf.lineSplit(part, polygonFeature);
+      const candidates = pieces.features.length > 0 ? pieces.features : [part];
+
+      candidates.forEach(piece => {
+        const midpoint = turf.along(piece, turf.length(piece) / 2);
+        if (turf.booleanPointInPolygon(midpoint, polygonFeature)) {
+          inside.push(piece.geometry.coordinates);
+        }
+      });
+    });
+
+    if (inside.length === 0) return null;
+    return inside.length === 1
+      ? turf.lineString(inside[0]).geometry
+      : turf.multiLineString(inside).geometry;
+  }
+
+  isPolygonal(geometry) {
+    return geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+  }
+
+  isLinear(geometry) {
+    return geometry?.type === 'LineString' || geometry?.type === 'MultiLineString';
+  }
+
+  // ============================================
+  // Spatial predicates
+  // ============================================
+
+  /**
+   * Evaluate a spatial predicate between two geometries
+   *
+   * @param {string} predicate - within|contains|intersects|touches|crosses|distance
+   * @param {Object} geometry - Tested geometry (GeoJSON)
+   * @param {Object} reference - Reference geometry (GeoJSON)
+   * @param {Object} options - { distance, unit } for the distance predicate
+   * @returns {boolean}
+   */
+  evaluatePredicate(predicate, geometry, reference, options = {}) {
+    switch (predicate) {
+      case 'within':
+        return this.within(geometry, reference);
+
+      case 'contains':
+        return this.within(reference, geometry);
+
+      case 'intersects':
+        return turf.booleanIntersects(geometry, reference);
+
+      case 'touches':
+        return this.touches(geometry, reference);
+
+      case 'crosses':
+        return this.crosses(geometry, reference);
+
+      case 'distance':
+      case 'distance_query':
+        return this.distance(geometry, reference, options.unit || 'm') <= Number(options.distance ?? 0);
+
+      default:
+        throw new Error(`Prédicat spatial inconnu: ${predicate}`);
+    }
+  }
+
+  /**
+   * turf.booleanWithin does not handle Multi* geometries:
+   * a multi-part geometry is within if every part is
+   * @private
+   */
+  within(geometry, container) {
+    const parts = turf.flatten(geometry).features;
+    const containers = turf.flatten(container).features;
+
+    return parts.every(part =>
+      containers.some(c => this.safeBoolean(turf.booleanWithin, part, c))
+    );
+  }
+
+  touches(geometry, reference) {
+    return this.safeBoolean(turf.booleanTouches, geometry, reference);
+  }
+
+  crosses(geometry, reference) {
+    const parts = turf.flatten(geometry).features;
+    const references = turf.flatten(reference).features;
+
+    return parts.some(part =>
+      references.some(ref => this.safeBoolean(turf.booleanCrosses, part, ref))
+    );
+  }
+
+  /**
+   * Turf boolean functions throw on unsupported type pairs
+   * @private
+   */
+  safeBoolean(fn, a, b) {
+    try {
+      return fn(a, b);
+    } catch {
+      return false;
+    }
+  }
+
+  // ============================================
+  // Conversions & validation
+  // ============================================
+
+  /**
+   * Reproject a GeoJSON geometry (EPSG codes, see config/crsDefinitions.js)
+   */
+  transform(geometry, sourceSrid, targetSrid) {
+    return ProjectionService.transformGeometry(geometry, sourceSrid, targetSrid);
+  }
+
+  /**
+   * Validity check (see TopologyValidator: error-level issues only)
+   */
+  isValid(geometry) {
+    return TopologyValidator.isValid(geometry);
+  }
+
+  /**
+   * Repair: close rings, remove duplicate vertices and spikes, split
+   * self-intersecting polygons and merge the pieces back, fix ring
+   * orientation. Slivers are kept (removing them is a layer-level choice).
+   */
+  makeValid(geometry) {
+    const operations = Object.keys(REPAIR_OPERATIONS).filter(op => op !== 'remove_slivers');
+    const repaired = TopologyValidator.repair(geometry, operations);
+
+    if (!repaired) {
+      throw new Error('Géométrie irréparable (aucune partie valide)');
+    }
+
+    return repaired;
+  }
+}
+
+export default new GeometryEngine();
@@ -0,0 +1,464 @@
+/**
+ * HybridSearchService - Executes the searches of config/searchConfig.js
+ *
+ * - Semantic part: VECTOR_SEARCH on the embedding column, computed by Grist
+ *   in a temporary GIS_SearchQueries row, or the offline BM25 index of
+ *   LocalSearchIndex (chosen engine, or fallback for tables without
+ *   embeddings / documents without VECTOR_SEARCH).
+ * - Spatial part: ST_* predicates evaluated in the browser (GeometryEngine)
+ *   against a zone (drawn, map extent or WKT), bbox pre-filter with an
+ *   R-tree; matches are ranked by distance to the zone center.
+ * - Hybrid: both ranked lists are fused with reciprocal rank fusion (RRF).
+ *
+ * A search can be saved as a dynamic layer: its definition is stored in the
+ * layer metadata row (search_definition) and its results are recomputed
+ * when the workspace changes ('layers.dynamic').
+ */
+
+import { distance } from '@turf/turf';
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { initializeSystemTables, SEARCH_QUERIES_SCHEMA } from '../core/TableSchemas';
+import { RRF_K, FUSION_MODES, SEMANTIC_ENGINES } from '../config/searchConfig';
+import GeometryEngine from './GeometryEngine';
+import LayerMetadataService from './LayerMetadataService';
+import LocalSearchIndex from './LocalSearchIndex';
+import { SpatialIndex } from '../utils/geometry/spatialIndex';
+
+// Semantic candidates fused with the spatial list (hybrid mode)
+const SEMANTIC_POOL_SIZE = 100;
+
+// VECTOR_SEARCH: wait for Grist to compute the formula
+const VECTOR_POLL_INTERVAL_MS = 250;
+const VECTOR_TIMEOUT_MS = 10000;
+
+// Dynamic layers re-run the same semantic queries on every workspace change
+const VECTOR_CACHE_TTL_MS = 60000;
+
+const DYNAMIC_REFRESH_DELAY_MS = 500;
+
+const DYNAMIC_LAYER_COLORS = ['#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#ef4444'];
+
+const METERS_PER_UNIT = { m: 1, km: 1000 };
+
+class HybridSearchService {
+  constructor() {
+    this.vectorCache = new Map();
+    this.refreshTimer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Recompute the dynamic layers when the workspace changes (startup)
+   */
+  initialize() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = StateManager.subscribe('layers.workspace', () => this.scheduleRefresh());
+    this.scheduleRefresh();
+  }
+
+  // ========================================
+  // SEARCH
+  // ========================================
+
+  /**
+   * Run a search
+   *
+   * @param {Object} search - { mode: semantic|spatial|hybrid, predicate, params }
+   * @returns {Promise<{ items, semanticMethod, warnings }>} items: [{ feature,
+   *   score, ranks: { semantic, spatial }, similarity, distanceKm }], best first
+   */
+  async execute({ mode, predicate, params }, features = this.getCandidates()) {
+    const warnings = [];
+    const maxResults = Number(params.maxResults) || 10;
+    const rankings = [];
+    let semanticMethod = null;
+    let semantic = null;
+    let spatial = null;
+
+    if (mode === 'semantic' || mode === 'hybrid') {
+      semantic = await this.rankSemantic(features, {
+        query: mode === 'hybrid' ? params.semanticQuery : params.query,
+        engine: params.engine,
+        vectorColumn: params.vectorColumn,
+        threshold: params.similarityThreshold,
+        limit: mode === 'hybrid' ? SEMANTIC_POOL_SIZE : maxResults
+      });
+      semanticMethod = semantic.method;
+      if (semantic.warning) warnings.push(semantic.warning);
+      rankings.push({ key: 'semantic', ids: semantic.ranking.map(r => r.id) });
+    }
+
+    if (mode === 'spatial' || mode === 'hybrid') {
+      spatial = this.rankSpatial(features, this.getSpatialQuery(mode, predicate, params));
+      rankings.push({ key: 'spatial', ids: spatial.map(r => r.id) });
+    }
+
+    const requireAll = mode === 'hybrid' && (params.fusion || FUSION_MODES.intersection.value) === FUSION_MODES.intersection.value;
+    const fused = this.fuseRankings(rankings, { requireAll });
+
+    const byId = new Map(features.map(f => [f.id, f]));
+    const similarity = new Map((semantic?.ranking || []).map(r => [r.id, r.score]));
+    const distances = new Map((spatial || []).map(r => [r.id, r.distanceKm]));
+
+    const items = fused.slice(0, maxResults).map(entry => ({
+      feature: byId.get(entry.id),
+      score: entry.score,
+      ranks: entry.ranks,
+      similarity: similarity.get(entry.id) ?? null,
+      distanceKm: distances.get(entry.id) ?? null
+    })).filter(item => item.feature);
+
+    return { items, semanticMethod, warnings };
+  }
+
+  /**
+   * Reciprocal rank fusion of ranked id lists
+   *
+   * @param {Array<{ key, ids }>} rankings - Best first
+   * @param {Object} options - { requireAll: keep only ids present in every list }
+   * @returns {Array<{ id, score, ranks }>} Best first
+   */
+  fuseRankings(rankings, { requireAll = false } = {}) {
+    const entries = new Map();
+
+    rankings.forEach(({ key, ids }) => {
+      ids.forEach((id, index) => {
+        if (!entries.has(id)) entries.set(id, { id, score: 0, ranks: {} });
+        const entry = entries.get(id);
+        entry.score += 1 / (RRF_K + index + 1);
+        entry.ranks[key] = index + 1;
+      });
+    });
+
+    return [...entries.values()]
+      .filter(entry => !requireAll || rankings.every(({ key }) => entry.ranks[key]))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Features of the workspace (metadata rows excluded)
+   */
+  getCandidates() {
+    return (StateManager.getState('layers.workspace') || []).filter(f => f.geometry_wgs84);
+  }
+
+  // ========================================
+  // SEMANTIC PART
+  // ========================================
+
+  /**
+   * @param {Object} options - { query, engine: auto|vector|local, vectorColumn, threshold, limit }
+   * @returns {Promise<{ method: 'vector'|'local', ranking: [{ id, score }], warning? }>}
+   */
+  async rankSemantic(features, { query, engine = SEMANTIC_ENGINES.auto.value, vectorColumn, threshold, limit }) {
+    let warning = null;
+
+    if (engine !== SEMANTIC_ENGINES.local.value) {
+      const hasEmbeddings = vectorColumn && features.some(f => f[vectorColumn] !== undefined && f[vectorColumn] !== null && f[vectorColumn] !== '');
+
+      if (!hasEmbeddings) {
+        if (engine === SEMANTIC_ENGINES.vector.value) {
+          throw new Error(`Colonne ${vectorColumn || 'de vecteur'} absente ou vide`);
+        }
+        warning = `Colonne ${vectorColumn} absente ou vide : index local`;
+      } else {
+        try {
+          const candidateIds = new Set(features.map(f => f.id));
+          const ranking = (await this.vectorSearch(query, vectorColumn, { threshold, limit }))
+            .filter(r => candidateIds.has(r.id));
+          return { method: 'vector', ranking };
+        } catch (error) {
+          if (engine === SEMANTIC_ENGINES.vector.value) throw error;
+          console.warn('[HybridSearchService] VECTOR_SEARCH failed, falling back to the local index:', error);
+          warning = `VECTOR_SEARCH indisponible (${error.message}) : index local`;
+        }
+      }
+    }
+
+    const table = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    await LocalSearchIndex.sync(features, table);
+    return { method: 'local', ranking: LocalSearchIndex.search(query, { limit }), warning };
+  }
+
+  /**
+   * Run VECTOR_SEARCH through a temporary GIS_SearchQueries row
+   *
+   * @returns {Promise<Array<{ id, score }>>} Most similar first
+   */
+  async vectorSearch(query, vectorColumn, { threshold = 0, limit = 10 } = {}) {
+    const table = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    const cacheKey = JSON.stringify([table, query, vectorColumn, threshold, limit]);
+    const cached = this.vectorCache.get(cacheKey);
+    if (cached && Date.now() - cached.at < VECTOR_CACHE_TTL_MS) return cached.ranking;
+
+    const tableName = SEARCH_QUERIES_SCHEMA.tableName;
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    const [rowId] = await GristAPI.addRecords(tableName, [{
+      search_query: query,
+      workspace_table: table,
+      embedding_column: vectorColumn,
+      threshold: Number(threshold) || 0,
+      max_results: limit
+    }]);
+
+    try {
+      const deadline = Date.now() + VECTOR_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+        const row = (await GristAPI.fetchTable(tableName)).find(r => r.id === rowId);
+        const ranking = row ? decodeVectorResults(row.results) : null;
+        if (ranking) {
+          this.vectorCache.set(cacheKey, { at: Date.now(), ranking });
+          return ranking;
+        }
+        await delay(VECTOR_POLL_INTERVAL_MS);
+      }
+      throw new Error('délai dépassé');
+    } finally {
+      await GristAPI.deleteRecords(tableName, [rowId]);
+    }
+  }
+
+  // ========================================
+  // SPATIAL PART
+  // ========================================
+
+  /**
+   * Spatial predicate and reference geometry of a search
+   *
+   * @returns {{ predicate, reference, distance?, unit? }}
+   */
+  getSpatialQuery(mode, predicate, params) {
+    if (mode === 'hybrid') {
+      return {
+        predicate: params.spatialPredicate || 'within',
+        reference: this.parseZone(params.zone),
+        distance: Number(params.radius) || 0,
+        unit: 'km'
+      };
+    }
+
+    if (predicate === 'bbox') {
+      const { minLng, minLat, maxLng, maxLat } = params;
+      return {
+        predicate: 'intersects',
+        reference: this.parseZone(extentToWKT({ west: minLng, south: minLat, east: maxLng, north: maxLat }))
+      };
+    }
+
+    if (predicate === 'distance') {
+      return {
+        predicate: 'distance',
+        reference: this.parseZone(params.center),
+        distance: Number(params.radius) || 0,
+        unit: params.unit || 'km'
+      };
+    }
+
+    return {
+      predicate,
+      reference: this.parseZone(params.zone || params.target)
+    };
+  }
+
+  parseZone(wkt) {
+    const geometry = wkt ? GeometryEngine.parse(wkt) : null;
+    if (!geometry) {
+      throw new Error('Zone de recherche invalide (WKT attendu)');
+    }
+    return geometry;
+  }
+
+  /**
+   * Features matching the predicate, closest to the zone center first
+   *
+   * @returns {Array<{ id, distanceKm }>}
+   */
+  rankSpatial(features, { predicate, reference, distance: maxDistance = 0, unit = 'km' }) {
+    const index = SpatialIndex.from(features, f => GeometryEngine.getRecordGeometry(f));
+    const bufferMeters = predicate === 'distance' ? maxDistance * (METERS_PER_UNIT[unit] || 1) : 0;
+    const center = GeometryEngine.centroid(reference);
+
+    return index.search(reference, bufferMeters)
+      .filter(({ geometry }) => GeometryEngine.evaluatePredicate(predicate, geometry, reference, {
+        distance: maxDistance,
+        unit
+      }))
+      .map(({ item, geometry }) => ({
+        id: item.id,
+        distanceKm: distance(center, GeometryEngine.centroid(geometry), { units: 'kilometers' })
+      }))
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * WKT polygon of the current map extent
+   */
+  getMapExtentWKT() {
+    const bounds = StateManager.getState('map.bounds');
+    if (!bounds) return null;
+
+    // Leaflet LatLngBounds, or its JSON copy after a state undo
+    const southWest = bounds.getSouthWest ? bounds.getSouthWest() : bounds._southWest;
+    const northEast = bounds.getNorthEast ? bounds.getNorthEast() : bounds._northEast;
+    if (!southWest || !northEast) return null;
+
+    return extentToWKT({ west: southWest.lng, south: southWest.lat, east: northEast.lng, north: northEast.lat });
+  }
+
+  // ========================================
+  // DYNAMIC LAYERS
+  // ========================================
+
+  getDynamicLayers() {
+    return StateManager.getState('layers.dynamic') || [];
+  }
+
+  /**
+   * Save a search as a dynamic layer
+   *
+   * @param {string} name - Layer name
+   * @param {Object} search - { mode, predicate, params }
+   */
+  async saveDynamicLayer(name, { mode, predicate, params }) {
+    const layers = this.getDynamicLayers();
+    const layer = {
+      name: LayerMetadataService.uniqueLayerName(name.trim() || 'Recherche'),
+      definition: {
+        mode,
+        predicate,
+        params,
+        color: DYNAMIC_LAYER_COLORS[layers.length % DYNAMIC_LAYER_COLORS.length],
+        visible: true
+      },
+      ids: []
+    };
+
+    StateManager.setState('layers.dynamic', [...layers, layer], `Add dynamic layer: ${layer.name}`);
+    await ActionJournal.group(`Couche dynamique: ${layer.name}`, () => (
+      LayerMetadataService.saveMetadata(layer.name, { search_definition: JSON.stringify(layer.definition) })
+    ));
+
+    await this.refreshDynamicLayers();
+    return layer;
+  }
+
+  /**
+   * Update the definition of a dynamic layer (visibility, color)
+   */
+  async updateDynamicLayer(name, changes) {
+    const layers = this.getDynamicLayers().map(l => (
+      l.name === name ? { ...l, definition: { ...l.definition, ...changes } } : l
+    ));
+    const layer = layers.find(l => l.name === name);
+    if (!layer) return;
+
+    StateManager.setState('layers.dynamic', layers, `Update dynamic layer: ${name}`);
+    await ActionJournal.group(`Couche dynamique: ${name}`, () => (
+      LayerMetadataService.saveMetadata(name, { search_definition: JSON.stringify(layer.definition) })
+    ));
+  }
+
+  async removeDynamicLayer(name) {
+    StateManager.setState('layers.dynamic', this.getDynamicLayers().filter(l => l.name !== name), `Remove dynamic layer: ${name}`);
+    await ActionJournal.group(`Suppression couche dynamique: ${name}`, () => (
+      LayerMetadataService.clearMetadata(name, 'search_definition')
+    ));
+  }
+
+  /**
+   * Recompute the results of every dynamic layer
+   */
+  async refreshDynamicLayers() {
+    const layers = this.getDynamicLayers();
+    if (layers.length === 0) return;
+
+    const features = this.getCandidates();
+    const refreshed = await Promise.all(layers.map(async (layer) => {
+      try {
+        const { items } = await this.execute(layer.definition, features);
+        return { ...layer, ids: items.map(item => item.feature.id), error: null };
+      } catch (error) {
+        console.warn(`[HybridSearchService] Dynamic layer "${layer.name}" failed:`, error);
+        return { ...layer, ids: [], error: error.message };
+      }
+    }));
+
+    // Layers added or removed meanwhile keep their current state
+    const byName = new Map(refreshed.map(l => [l.name, l]));
+    const current = this.getDynamicLayers().map(l => {
+      const result = byName.get(l.name);
+      return result ? { ...l, ids: result.ids, error: result.error } : l;
+    });
+
+    StateManager.setState('layers.dynamic', current, 'Refresh dynamic layers');
+  }
+
+  /**
+   * @private
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshDynamicLayers().catch(error => {
+        console.error('[HybridSearchService] Dynamic layers refresh failed:', error);
+      });
+    }, DYNAMIC_REFRESH_DELAY_MS);
+  }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * VECTOR_SEARCH result cell → [{ id, score }]: a list of row ids (Grist
+ * encodes lists as ['L', ...]), of [id, score] pairs or of { id, score }
+ * Returns null while the formula is not computed yet.
+ */
+function decodeVectorResults(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) {
+    // Formula error (['E', 'NameError', ...]) or unexpected value
+    throw new Error(typeof list === 'object' ? 'erreur de formule' : 'résultat inattendu');
+  }
+  if (list[0] === 'E') {
+    throw new Error(String(list[1] || 'erreur de formule'));
+  }
+  if (list[0] === 'L') list = list.slice(1);
+
+  return list.map((entry, index) => {
+    if (Array.isArray(entry)) {
+      const [id, score] = entry[0] === 'L' ? entry.slice(1) : entry;
+      return { id, score: Number(score) };
+    }
+    if (entry && typeof entry === 'object') {
+      return { id: entry.id, score: Number(entry.score ?? entry.similarity ?? 1 - index / list.length) };
+    }
+    return { id: entry, score: 1 - index / list.length };
+  }).filter(r => Number.isInteger(r.id));
+}
+
+function extentToWKT({ west, south, east, north }) {
+  return `POLYGON((${west} ${south}, ${east} ${south}, ${east} ${north}, ${west} ${north}, ${west} ${south}))`;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default new HybridSearchService();
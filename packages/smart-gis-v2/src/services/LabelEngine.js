@@ -0,0 +1,384 @@
+/**
+ * LabelEngine - Feature labels with placement and collision avoidance
+ *
+ * Features:
+ * - Per-layer label configuration (field or expression, font, halo, offset)
+ * - Placement: points (above the symbol), along lines (rotated at the
+ *   middle of the longest part), inside polygons (centroid or a point
+ *   guaranteed inside for concave shapes)
+ * - Min/max zoom visibility
+ * - Greedy collision avoidance in screen space (priority, then size)
+ * - Label symbols of rule-based styles go through the same layout
+ *
+ * Configuration is stored in the layer style (StyleManager, `labels` key).
+ */
+
+import RBush from 'rbush';
+import * as turf from '@turf/turf';
+import StyleManager from './StyleManager';
+import StyleRuleEngine from './StyleRuleEngine';
+import ExpressionEngine from './ExpressionEngine';
+import GeometryEngine from './GeometryEngine';
+
+export const LABEL_DEFAULTS = {
+  enabled: false,
+  source: 'field',            // 'field' | 'expression'
+  field: '',
+  expression: '',
+  fontSize: 12,
+  bold: false,
+  color: '#111827',
+  haloColor: '#ffffff',
+  haloWidth: 2,
+  offsetX: 0,
+  offsetY: 0,
+  placement: 'auto',          // 'auto' | 'horizontal' (no rotation along lines)
+  minZoom: '',
+  maxZoom: '',
+  priority: 5,                // 0-10, higher wins collisions
+  allowOverlap: false
+};
+
+// Average glyph width relative to font size (sans-serif)
+const CHAR_WIDTH_RATIO = 0.6;
+const LINE_HEIGHT_RATIO = 1.2;
+
+// Labels anchored slightly outside the viewport can still be partly visible
+const VIEWPORT_MARGIN = 50;
+
+class LabelEngine {
+  constructor() {
+    // feature record → { [placement]: anchor }, dropped with the record
+    this.anchorCache = new WeakMap();
+  }
+
+  /**
+   * Label configuration of a layer (null when labels are disabled)
+   */
+  getLayerLabelConfig(layerName) {
+    const labels = StyleManager.getLayerStyle(layerName)?.labels;
+    if (!labels || !labels.enabled) return null;
+    return { ...LABEL_DEFAULTS, ...labels };
+  }
+
+  isVisibleAtZoom(config, zoom) {
+    return StyleRuleEngine.isRuleInScale(config, zoom);
+  }
+
+  /**
+   * Label text of a feature (null if empty)
+   */
+  getLabelText(feature, config) {
+    let value;
+
+    if (config.source === 'expression') {
+      if (!config.expression) return null;
+      try {
+        value = ExpressionEngine.evaluate(config.expression, feature);
+      } catch {
+        return null;
+      }
+    } else {
+      if (!config.field) return null;
+      const properties = ExpressionEngine.parseProperties(feature);
+      value = properties[config.field] ?? feature[config.field];
+    }
+
+    if (value == null || value === '') return null;
+    return typeof value === 'number' && !Number.isInteger(value)
+      ? String(Math.round(value * 100) / 100)
+      : String(value);
+  }
+
+  /**
+   * Collect label candidates for the current zoom
+   *
+   * @param {Array} features - GIS_WorkSpace records
+   * @param {number} zoom
+   * @param {Object} styleRules - layers.styleRules
+   * @returns {Array<{ id, text, config, anchor }>}
+   */
+  collectCandidates(features, zoom, styleRules = {}) {
+    const layerConfigs = new Map();
+    const candidates = [];
+
+    features.forEach(feature => {
+      if (feature.is_visible === false) return;
+
+      if (!layerConfigs.has(feature.layer_name)) {
+        layerConfigs.set(feature.layer_name, this.getLayerLabelConfig(feature.layer_name));
+      }
+      const config = layerConfigs.get(feature.layer_name);
+
+      if (config && this.isVisibleAtZoom(config, zoom)) {
+        const text = this.getLabelText(feature, config);
+        const anchor = text && this.getAnchor(feature, config.placement);
+        if (anchor) {
+          candidates.push({ id: `${feature.id}`, text, config, anchor });
+        }
+      }
+
+      // Label symbols of rule-based styles
+      const rule = styleRules[feature.layer_name];
+      if (rule?.type === 'ruleBased') {
+        StyleRuleEngine.getSymbolLayers(feature, rule, zoom)
+          .filter(symbol => symbol.kind === 'label')
+          .forEach((symbol, index) => {
+            const anchor = this.getAnchor(feature, 'auto');
+            if (!anchor) return;
+            candidates.push({
+              id: `${feature.id}-rule-${index}`,
+              text: symbol.text,
+              config: { ...LABEL_DEFAULTS, ...symbol.style, haloWidth: symbol.style.haloColor ? 2 : 0 },
+              anchor
+            });
+          });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Anchor of a feature label (cached per record)
+   * @returns {{ type, lngLat, direction?, weight } | null}
+   */
+  getAnchor(feature, placement = 'auto') {
+    let cached = this.anchorCache.get(feature);
+    if (!cached) {
+      cached = {};
+      this.anchorCache.set(feature, cached);
+    }
+
+    if (!(placement in cached)) {
+      const geometry = GeometryEngine.getRecordGeometry(feature);
+      cached[placement] = geometry ? this.computeAnchor(geometry, placement) : null;
+    }
+
+    return cached[placement];
+  }
+
+  /**
+   * Compute the anchor of a geometry
+   * - weight orders candidates of equal priority (bigger features first)
+   */
+  computeAnchor(geometry, placement) {
+    try {
+      switch (geometry.type) {
+        case 'Point':
+          return { type: 'point', lngLat: geometry.coordinates, weight: 0 };
+
+        case 'MultiPoint':
+          return { type: 'point', lngLat: geometry.coordinates[0], weight: 0 };
+
+        case 'LineString':
+        case 'MultiLineString':
+          return this.computeLineAnchor(geometry, placement);
+
+        case 'Polygon':
+        case 'MultiPolygon':
+          return this.computePolygonAnchor(geometry);
+
+        default:
+          return null;
+      }
+    } catch (error) {
+      console.warn('[LabelEngine] Could not place label:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Middle of the longest part, with a direction to rotate along the line
+   */
+  computeLineAnchor(geometry, placement) {
+    const parts = geometry.type === 'LineString'
+      ? [geometry.coordinates]
+      : geometry.coordinates;
+
+    let longest = null;
+    let longestLength = -1;
+    parts.forEach(coordinates => {
+      if (coordinates.length < 2) return;
+      const line = turf.lineString(coordinates);
+      const length = turf.length(line);
+      if (length > longestLength) {
+        longest = line;
+        longestLength = length;
+      }
+    });
+
+    if (!longest) return null;
+
+    const middle = longestLength / 2;
+    const lngLat = turf.along(longest, middle).geometry.coordinates;
+    const anchor = { type: 'line', lngLat, weight: longestLength };
+
+    if (placement !== 'horizontal' && longestLength > 0) {
+      const step = Math.min(longestLength / 4, 0.05);
+      anchor.direction = [
+        turf.along(longest, middle - step).geometry.coordinates,
+        turf.along(longest, middle + step).geometry.coordinates
+      ];
+    }
+
+    return anchor;
+  }
+
+  /**
+   * Point inside the largest polygon (centroid when it is inside)
+   */
+  computePolygonAnchor(geometry) {
+    const polygons = geometry.type === 'Polygon'
+      ? [turf.polygon(geometry.coordinates)]
+      : geometry.coordinates.map(rings => turf.polygon(rings));
+
+    let largest = polygons[0];
+    let largestArea = -1;
+    polygons.forEach(polygon => {
+      const area = turf.area(polygon);
+      if (area > largestArea) {
+        largest = polygon;
+        largestArea = area;
+      }
+    });
+
+    const centroid = turf.centroid(largest);
+    const lngLat = turf.booleanPointInPolygon(centroid, largest)
+      ? centroid.geometry.coordinates
+      : this.scanlineInteriorPoint(largest.geometry.coordinates, centroid.geometry.coordinates[1])
+        || turf.pointOnFeature(largest).geometry.coordinates;
+
+    return { type: 'polygon', lngLat, weight: largestArea };
+  }
+
+  /**
+   * Middle of the widest inside span of a horizontal line (concave polygons)
+   */
+  scanlineInteriorPoint(rings, y) {
+    const crossings = [];
+
+    rings.forEach(ring => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        if ((y1 > y) !== (y2 > y)) {
+          crossings.push(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+        }
+      }
+    });
+
+    crossings.sort((a, b) => a - b);
+
+    let best = null;
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const width = crossings[i + 1] - crossings[i];
+      if (!best || width > best.width) {
+        best = { width, x: (crossings[i] + crossings[i + 1]) / 2 };
+      }
+    }
+
+    return best ? [best.x, y] : null;
+  }
+
+  /**
+   * Greedy label layout in screen space
+   *
+   * @param {Array} candidates - From collectCandidates
+   * @param {function} project - ([lng, lat]) → { x, y } container pixels
+   * @param {{ width, height }} viewport - Container size
+   * @returns {Array<{ id, text, config, lngLat, angle, dx, dy }>}
+   */
+  layout(candidates, project, viewport) {
+    const placed = [];
+    const index = new RBush();
+
+    const sorted = [...candidates].sort((a, b) =>
+      (b.config.priority - a.config.priority) || (b.anchor.weight - a.anchor.weight)
+    );
+
+    sorted.forEach(candidate => {
+      const { config, anchor } = candidate;
+      const point = project(anchor.lngLat);
+
+      if (point.x < -VIEWPORT_MARGIN || point.y < -VIEWPORT_MARGIN ||
+          point.x > viewport.width + VIEWPORT_MARGIN || point.y > viewport.height + VIEWPORT_MARGIN) {
+        return;
+      }
+
+      const angle = anchor.direction ? this.screenAngle(anchor.direction, project) : 0;
+
+      // Points: label above the symbol unless an explicit offset is set
+      let dy = Number(config.offsetY) || 0;
+      const dx = Number(config.offsetX) || 0;
+      if (anchor.type === 'point' && !config.offsetY) {
+        dy = -(config.fontSize + 6);
+      }
+
+      const box = this.getLabelBox(candidate.text, config, point.x + dx, point.y + dy, angle);
+
+      if (!config.allowOverlap && index.collides(box)) {
+        return;
+      }
+
+      index.insert(box);
+      placed.push({ id: candidate.id, text: candidate.text, config, lngLat: anchor.lngLat, angle, dx, dy });
+    });
+
+    return placed;
+  }
+
+  /**
+   * Text angle (degrees) following the line, kept upright
+   */
+  screenAngle([from, to], project) {
+    const a = project(from);
+    const b = project(to);
+    let angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+
+    if (angle > 90) angle -= 180;
+    if (angle < -90) angle += 180;
+
+    return angle;
+  }
+
+  /**
+   * Screen bounding box of a (possibly rotated) label centered on x, y
+   */
+  getLabelBox(text, config, x, y, angle) {
+    const halo = Number(config.haloWidth) || 0;
+    const width = text.length * config.fontSize * CHAR_WIDTH_RATIO * (config.bold ? 1.1 : 1) + 2 * halo;
+    const height = config.fontSize * LINE_HEIGHT_RATIO + 2 * halo;
+
+    const radians = angle * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const halfWidth = (width * cos + height * sin) / 2;
+    const halfHeight = (width * sin + height * cos) / 2;
+
+    return { minX: x - halfWidth, minY: y - halfHeight, maxX: x + halfWidth, maxY: y + halfHeight };
+  }
+
+  /**
+   * Inline CSS of a placed label
+   */
+  getLabelCSS(label) {
+    const { config, angle, dx, dy } = label;
+    const halo = Number(config.haloWidth) || 0;
+    const shadow = halo > 0 && config.haloColor
+      ? [[-1, -1], [1, -1], [-1, 1], [1, 1], [0, 0]]
+          .map(([sx, sy]) => `${sx * halo / 2}px ${sy * halo / 2}px ${halo}px ${config.haloColor}`)
+          .join(', ')
+      : 'none';
+
+    return [
+      `color: ${config.color}`,
+      `font-size: ${config.fontSize}px`,
+      `font-weight: ${config.bold ? 700 : 500}`,
+      `text-shadow: ${shadow}`,
+      `transform: translate(-50%, -50%) translate(${dx}px, ${dy}px) rotate(${angle}deg)`
+    ].join('; ');
+  }
+}
+
+export default new LabelEngine();
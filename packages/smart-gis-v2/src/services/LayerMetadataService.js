@@ -0,0 +1,190 @@
+/**
+ * LayerMetadataService - Per-layer metadata rows in GIS_WorkSpace
+ *
+ * A layer's metadata is stored in a row of the feature table with a NULL
+ * geometry (not rendered, skipped when loading features):
+ * - style_rule: data-driven / rule-based style (StyleManager)
+ * - layer_style: basic style and labels (StyleManager)
+ * - source_crs: CRS of the imported data, e.g. "EPSG:2154" (ProjectionService)
+ * - raster_source: WMS / WMTS overlay definition (RasterLayerService)
+ * - search_definition: saved search of a dynamic layer (HybridSearchService)
+ * - attribute_columns: properties materialized as typed columns (AttributeColumnService)
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+
+export const METADATA_FIELDS = [
+  'style_rule', 'layer_style', 'source_crs', 'raster_source', 'search_definition', 'attribute_columns'
+];
+
+class LayerMetadataService {
+  getTable() {
+    return StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+  }
+
+  isMetadataRow(record) {
+    return !record.geometry_wgs84 && METADATA_FIELDS.some(field => record[field]);
+  }
+
+  /**
+   * Load a feature table into the state: features (layers.workspace) and
+   * layer metadata (styles.layers, layers.styleRules, layers.sourceCrs,
+   * layers.raster, layers.dynamic, layers.attributeColumns)
+   *
+   * @returns {Array} Features
+   */
+  async loadWorkspace(tableName = 'GIS_WorkSpace') {
+    const records = await GristAPI.fetchTable(tableName);
+
+    const features = [];
+    const styleRules = {};
+    const layerStyles = {};
+    const sourceCrs = {};
+    const rasters = [];
+    const dynamicLayers = [];
+    const attributeColumns = {};
+
+    records.forEach(record => {
+      if (this.isMetadataRow(record)) {
+        if (record.source_crs) {
+          sourceCrs[record.layer_name] = record.source_crs;
+        }
+        if (record.style_rule) {
+          try {
+            styleRules[record.layer_name] = JSON.parse(record.style_rule);
+          } catch (error) {
+            console.warn(`Failed to parse style rule for layer ${record.layer_name}:`, error);
+          }
+        }
+        if (record.layer_style) {
+          try {
+            layerStyles[record.layer_name] = JSON.parse(record.layer_style);
+          } catch (error) {
+            console.warn(`Failed to parse layer style for layer ${record.layer_name}:`, error);
+          }
+        }
+        if (record.raster_source) {
+          try {
+            rasters.push({ ...JSON.parse(record.raster_source), name: record.layer_name });
+          } catch (error) {
+            console.warn(`Failed to parse raster source for layer ${record.layer_name}:`, error);
+          }
+        }
+        if (record.search_definition) {
+          try {
+            dynamicLayers.push({ name: record.layer_name, definition: JSON.parse(record.search_definition), ids: [] });
+          } catch (error) {
+            console.warn(`Failed to parse search definition for layer ${record.layer_name}:`, error);
+          }
+        }
+        if (record.attribute_columns) {
+          try {
+            attributeColumns[record.layer_name] = JSON.parse(record.attribute_columns);
+          } catch (error) {
+            console.warn(`Failed to parse attribute columns for layer ${record.layer_name}:`, error);
+          }
+        }
+      }
+      // Regular features: has geometry_wgs84
+      else if (record.geometry_wgs84) {
+        features.push(record);
+      }
+    });
+
+    if (Object.keys(layerStyles).length > 0) {
+      StateManager.setState('styles.layers', {
+        ...(StateManager.getState('styles.layers') || {}),
+        ...layerStyles
+      }, 'Load layer styles');
+    }
+
+    StateManager.batchUpdate({
+      'layers.sourceCrs': sourceCrs,
+      'layers.styleRules': styleRules,
+      'layers.raster': rasters,
+      'layers.dynamic': dynamicLayers,
+      'layers.attributeColumns': attributeColumns,
+      'layers.workspace': features,
+      'data.currentTable': tableName
+    }, `Load workspace: ${tableName}`);
+
+    console.log(`✓ Loaded ${features.length} features, ${Object.keys(styleRules).length} style rule(s) ` +
+      `${Object.keys(layerStyles).length} layer style(s), ${rasters.length} raster overlay(s) ` +
+      `and ${dynamicLayers.length} dynamic layer(s) from ${tableName}`);
+
+    return features;
+  }
+
+  /**
+   * Layer name not used by a vector layer, a raster overlay or a dynamic
+   * layer (all share the layer_name of the metadata rows)
+   */
+  uniqueLayerName(base) {
+    const used = new Set([
+      ...(StateManager.getState('layers.workspace') || []).map(f => f.layer_name),
+      ...(StateManager.getState('layers.raster') || []).map(o => o.name),
+      ...(StateManager.getState('layers.dynamic') || []).map(l => l.name)
+    ]);
+    let name = base;
+    for (let i = 2; used.has(name); i++) {
+      name = `${base} (${i})`;
+    }
+    return name;
+  }
+
+  /**
+   * Metadata row of a layer (no geometry)
+   */
+  async findMetadataRow(tableName, layerName) {
+    const allData = await GristAPI.fetchTable(tableName);
+    return allData.find(r =>
+      r.layer_name === layerName &&
+      (r.geometry_wgs84 === null || r.geometry_wgs84 === '' || !r.geometry_wgs84)
+    ) || null;
+  }
+
+  /**
+   * Update (or create) the metadata row of a layer
+   */
+  async saveMetadata(layerName, fields) {
+    const currentTable = this.getTable();
+    const metadataRow = await this.findMetadataRow(currentTable, layerName);
+
+    if (metadataRow) {
+      await GristAPI.updateRecords(currentTable, [{ id: metadataRow.id, ...fields }]);
+      return;
+    }
+
+    // NULL geometry marks the row as metadata (not rendered)
+    await GristAPI.addRecords(currentTable, [{
+      layer_name: layerName,
+      geometry_wgs84: null,
+      properties: '{}',
+      is_visible: false,
+      feature_name: `[METADATA] ${layerName}`,
+      import_session: Date.now(),
+      ...fields
+    }]);
+  }
+
+  /**
+   * Clear one metadata field; the row is deleted once no field is left
+   */
+  async clearMetadata(layerName, field) {
+    const currentTable = this.getTable();
+    const metadataRow = await this.findMetadataRow(currentTable, layerName);
+
+    if (!metadataRow) return;
+
+    const remaining = METADATA_FIELDS.filter(f => f !== field && metadataRow[f]);
+
+    if (remaining.length > 0) {
+      await GristAPI.updateRecords(currentTable, [{ id: metadataRow.id, [field]: '' }]);
+    } else {
+      await GristAPI.deleteRecords(currentTable, [metadataRow.id]);
+    }
+  }
+}
+
+export default new LayerMetadataService();
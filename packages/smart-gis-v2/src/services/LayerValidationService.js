@@ -0,0 +1,190 @@
+/**
+ * LayerValidationService - Topology validation of workspace features
+ *
+ * Runs TopologyValidator on GIS_WorkSpace records and:
+ * - publishes the issues to the map (state 'validation.issues', 'validation.focus')
+ * - writes a report table to Grist (GIS_Validation_Report, created on demand)
+ * - repairs a set of records in Grist (geometry_wgs84 rewritten in WGS84)
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { initializeSystemTables, VALIDATION_REPORT_SCHEMA } from '../core/TableSchemas';
+import GeometryEngine from './GeometryEngine';
+import TopologyValidator, { ISSUE_TYPES } from './TopologyValidator';
+import { geoJSONToWKT } from '../utils/geometryConverters';
+
+class LayerValidationService {
+  /**
+   * Validate records
+   *
+   * @param {Array} records - GIS_WorkSpace records
+   * @param {Object} options - TopologyValidator options
+   * @returns {Array} Issues with feature_id, feature_name, layer_name
+   */
+  validateRecords(records, options = {}) {
+    const issues = [];
+
+    records.forEach(record => {
+      const featureInfo = {
+        feature_id: record.id,
+        feature_name: record.feature_name || `#${record.id}`,
+        layer_name: record.layer_name
+      };
+
+      let geometry = null;
+      try {
+        geometry = GeometryEngine.getRecordGeometry(record);
+      } catch (error) {
+        // Unparseable WKT or unknown SRID: reported below
+      }
+
+      if (!geometry) {
+        issues.push({
+          ...featureInfo,
+          type: 'unreadable_geometry',
+          severity: ISSUE_TYPES.unreadable_geometry.severity,
+          label: ISSUE_TYPES.unreadable_geometry.label,
+          message: ISSUE_TYPES.unreadable_geometry.label,
+          location: null,
+          part: 0,
+          ring: null,
+          vertex: null
+        });
+        return;
+      }
+
+      TopologyValidator.validate(geometry, options).forEach(issue => {
+        issues.push({ ...featureInfo, ...issue });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Validate records and show the issues on the map
+   * @returns {{ runId, runAt, issues, featureCount }}
+   */
+  run(records, options = {}, label = '') {
+    const runAt = new Date();
+    const result = {
+      runId: runAt.getTime(),
+      runAt: runAt.toISOString(),
+      label,
+      featureCount: records.length,
+      issues: this.validateRecords(records, options)
+    };
+
+    StateManager.setState('validation.lastRun', result, `Validate: ${label || records.length + ' feature(s)'}`);
+    StateManager.setState('validation.issues', result.issues, 'Show validation issues');
+
+    return result;
+  }
+
+  /**
+   * Center the map on an issue (ValidationLayer)
+   */
+  focusIssue(issue) {
+    if (!issue || !issue.location) return;
+    StateManager.setState('validation.focus', { ...issue, focusedAt: Date.now() }, 'Focus validation issue');
+  }
+
+  clear() {
+    StateManager.batchUpdate({
+      'validation.issues': [],
+      'validation.focus': null,
+      'validation.lastRun': null
+    }, 'Clear validation issues');
+  }
+
+  /**
+   * Write a validation run to GIS_Validation_Report
+   * @returns {number} Number of rows written
+   */
+  async writeReport(run) {
+    const tableName = VALIDATION_REPORT_SCHEMA.tableName;
+
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    if (run.issues.length === 0) return 0;
+
+    const rows = run.issues.map(issue => ({
+      run_id: run.runId,
+      run_at: run.runAt,
+      layer_name: issue.layer_name || '',
+      feature_id: issue.feature_id,
+      feature_name: issue.feature_name,
+      issue_type: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      location_wkt: issue.location ? `POINT(${issue.location[0]} ${issue.location[1]})` : '',
+      repairable: ISSUE_TYPES[issue.type].repairable
+    }));
+
+    await ActionJournal.group(`Rapport de validation: ${run.label}`, () => GristAPI.addRecords(tableName, rows));
+    return rows.length;
+  }
+
+  /**
+   * Repair records in Grist
+   *
+   * @param {Array} records - GIS_WorkSpace records
+   * @param {Array<string>} operations - Keys of REPAIR_OPERATIONS
+   * @param {Object} options - TopologyValidator options
+   * @returns {{ repaired: number, unchanged: number, failed: Array<{ id, error }> }}
+   */
+  async repairRecords(records, operations, options = {}) {
+    const currentTable = StateManager.getState('data.currentTable') || 'GIS_WorkSpace';
+    const updates = [];
+    const failed = [];
+    let unchanged = 0;
+
+    records.forEach(record => {
+      try {
+        const geometry = GeometryEngine.getRecordGeometry(record);
+        if (!geometry) {
+          throw new Error(ISSUE_TYPES.unreadable_geometry.label);
+        }
+
+        const repaired = TopologyValidator.repair(geometry, operations, options);
+        if (!repaired) {
+          throw new Error('Aucune partie valide après réparation');
+        }
+
+        const wkt = geoJSONToWKT(repaired);
+        if (wkt === record.geometry_wgs84) {
+          unchanged++;
+          return;
+        }
+
+        updates.push({ id: record.id, geometry_wgs84: wkt });
+      } catch (error) {
+        failed.push({ id: record.id, error: error.message });
+      }
+    });
+
+    if (updates.length > 0) {
+      await ActionJournal.group(
+        `Réparation de ${updates.length} géométrie(s)`,
+        () => GristAPI.updateRecords(currentTable, updates)
+      );
+
+      // Metadata rows have no geometry
+      const refreshed = await GristAPI.fetchTable(currentTable);
+      StateManager.setState(
+        'layers.workspace',
+        refreshed.filter(record => record.geometry_wgs84),
+        `Repair ${updates.length} geometry(ies)`
+      );
+    }
+
+    return { repaired: updates.length, unchanged, failed };
+  }
+}
+
+export default new LayerValidationService();
@@ -0,0 +1,326 @@
+/**
+ * LocalSearchIndex - Offline semantic search fallback (BM25)
+ *
+ * Indexes feature_name and properties of the workspace features and ranks
+ * them with BM25, in the browser: no embedding column, VECTOR_SEARCH or
+ * external API needed.
+ *
+ * The index is stored in GIS_SearchIndex (one row per feature: term
+ * frequencies + content hash). It is loaded once per table, then kept in
+ * sync incrementally: only features whose text changed are re-indexed,
+ * and the rows are written in the background.
+ */
+
+import GristAPI from '../core/GristAPI';
+import { initializeSystemTables, SEARCH_INDEX_SCHEMA } from '../core/TableSchemas';
+import { tokenize, propertiesText, hashText } from '../utils/textAnalysis';
+
+const INDEX_TABLE = SEARCH_INDEX_SCHEMA.tableName;
+
+// BM25 parameters (usual values)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Terms of the feature name count as many times in the document
+const NAME_WEIGHT = 2;
+
+const WRITE_CHUNK_SIZE = 500;
+
+class LocalSearchIndex {
+  constructor() {
+    this.table = null;
+    this.documents = new Map();         // feature id → { rowId, hash, terms: Map, length }
+    this.documentFrequency = new Map(); // term → number of documents
+    this.totalLength = 0;
+    this.loading = null;
+    this.writes = Promise.resolve();
+    this.updatedAt = null;
+    this.tableReady = false;
+  }
+
+  // ========================================
+  // SEARCH
+  // ========================================
+
+  /**
+   * Rank the features for a query
+   *
+   * @param {string} query - Free text
+   * @param {Object} options - { limit }
+   * @returns {Array<{ id, score }>} Best first; score in [0, 1[ (BM25 divided
+   *   by its upper bound for the query)
+   */
+  search(query, { limit = 10 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))].filter(term => this.documentFrequency.has(term));
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const idf = new Map(queryTerms.map(term => [term, this.idf(term)]));
+    const maxScore = queryTerms.reduce((sum, term) => sum + idf.get(term) * (BM25_K1 + 1), 0);
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const ranking = [];
+
+    this.documents.forEach((doc, id) => {
+      let score = 0;
+      queryTerms.forEach(term => {
+        const frequency = doc.terms.get(term);
+        if (!frequency) return;
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+        score += idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+      });
+      if (score > 0) ranking.push({ id, score: score / maxScore });
+    });
+
+    return ranking.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * @private BM25 idf (always positive)
+   */
+  idf(term) {
+    const n = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.size - n + 0.5) / (n + 0.5));
+  }
+
+  getStatus() {
+    return {
+      table: this.table,
+      documents: this.documents.size,
+      terms: this.documentFrequency.size,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // ========================================
+  // INDEXING
+  // ========================================
+
+  /**
+   * Bring the index up to date with the features of a table
+   *
+   * @param {Array} features - Workspace features ({ id, feature_name, properties })
+   * @param {string} table - Table of the features
+   * @returns {Promise<{ added, updated, removed }>}
+   */
+  async sync(features, table) {
+    await this.load(table);
+
+    const changes = { added: [], updated: [], removed: [] };
+    const seen = new Set();
+
+    features.forEach(feature => {
+      seen.add(feature.id);
+      const analyzed = this.analyze(feature);
+      const current = this.documents.get(feature.id);
+
+      if (!current) {
+        this.addDocument(feature.id, { ...analyzed, rowId: null });
+        changes.added.push(feature.id);
+      } else if (current.hash !== analyzed.hash) {
+        this.removeDocument(feature.id);
+        this.addDocument(feature.id, { ...analyzed, rowId: current.rowId });
+        changes.updated.push(feature.id);
+      }
+    });
+
+    [...this.documents.keys()].filter(id => !seen.has(id)).forEach(id => {
+      changes.removed.push(this.documents.get(id).rowId);
+      this.removeDocument(id);
+    });
+
+    if (changes.added.length || changes.updated.length || changes.removed.length) {
+      this.updatedAt = Date.now();
+      this.writes = this.writes
+        .then(() => this.persist(table, changes))
+        .catch(error => console.warn('[LocalSearchIndex] Could not save the index:', error));
+    }
+
+    return {
+      added: changes.added.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length
+    };
+  }
+
+  /**
+   * Drop the stored index of a table and index its features again
+   */
+  async rebuild(features, table) {
+    await this.load(table);
+    await this.writes;
+
+    const rowIds = [...this.documents.values()].map(doc => doc.rowId).filter(Boolean);
+    if (rowIds.length > 0) {
+      await GristAPI.deleteRecords(INDEX_TABLE, rowIds);
+    }
+
+    this.reset(table);
+    return this.sync(features, table);
+  }
+
+  /**
+   * Terms of a feature: feature_name (weighted) + property values
+   * @private
+   */
+  analyze(feature) {
+    const name = feature.feature_name || '';
+    const body = `${feature.layer_name || ''} ${propertiesText(feature.properties)}`;
+    const terms = new Map();
+
+    const count = (tokens, weight) => tokens.forEach(term => {
+      terms.set(term, (terms.get(term) || 0) + weight);
+    });
+    count(tokenize(name), NAME_WEIGHT);
+    count(tokenize(body), 1);
+
+    return {
+      hash: hashText(`${name}\u0000${body}`),
+      terms,
+      length: [...terms.values()].reduce((sum, n) => sum + n, 0)
+    };
+  }
+
+  /**
+   * @private
+   */
+  addDocument(id, doc) {
+    this.documents.set(id, doc);
+    this.totalLength += doc.length;
+    doc.terms.forEach((_, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+  }
+
+  /**
+   * @private
+   */
+  removeDocument(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    this.documents.delete(id);
+    this.totalLength -= doc.length;
+    doc.terms.forEach((_, term) => {
+      const n = this.documentFrequency.get(term) - 1;
+      if (n > 0) {
+        this.documentFrequency.set(term, n);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  reset(table) {
+    this.table = table;
+    this.documents = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    this.updatedAt = null;
+  }
+
+  // ========================================
+  // STORAGE (GIS_SearchIndex)
+  // ========================================
+
+  /**
+   * Load the stored index of a table (once per table)
+   * @private
+   */
+  async load(table) {
+    if (this.table === table && !this.loading) return;
+    if (this.loading?.table === table) return this.loading.promise;
+
+    const promise = (async () => {
+      await this.writes;
+      this.reset(table);
+
+      const tables = await GristAPI.listTables();
+      if (!tables.includes(INDEX_TABLE)) return;
+
+      const rows = await GristAPI.fetchTable(INDEX_TABLE);
+      rows.filter(row => row.source_table === table).forEach(row => {
+        try {
+          const terms = new Map(Object.entries(JSON.parse(row.terms || '{}')));
+          const stale = this.documents.get(row.record_id);
+          if (stale) this.removeDocument(row.record_id);
+          this.addDocument(row.record_id, {
+            rowId: row.id,
+            hash: row.content_hash,
+            terms,
+            length: row.term_count || 0
+          });
+          this.updatedAt = Math.max(this.updatedAt || 0, (row.indexed_at || 0) * 1000);
+        } catch (error) {
+          console.warn(`[LocalSearchIndex] Ignoring invalid index row ${row.id}:`, error);
+        }
+      });
+
+      console.log(`[LocalSearchIndex] Loaded ${this.documents.size} indexed feature(s) of ${table}`);
+    })();
+
+    this.loading = { table, promise };
+    try {
+      await promise;
+    } catch (error) {
+      // Not loaded: the next search retries (instead of indexing everything again)
+      this.table = null;
+      throw error;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  /**
+   * Write the changed documents
+   * @private
+   */
+  async persist(table, { added, updated, removed }) {
+    if (!this.tableReady) {
+      const init = await initializeSystemTables(GristAPI.docApi, [INDEX_TABLE]);
+      if (!init.success) {
+        throw new Error(`Impossible de créer la table ${INDEX_TABLE}`);
+      }
+      this.tableReady = true;
+    }
+
+    const indexedAt = Math.floor(Date.now() / 1000);
+    const toRow = (id) => {
+      const doc = this.documents.get(id);
+      return doc && {
+        source_table: table,
+        record_id: id,
+        content_hash: doc.hash,
+        term_count: doc.length,
+        terms: JSON.stringify(Object.fromEntries(doc.terms)),
+        indexed_at: indexedAt
+      };
+    };
+
+    // Documents changed again or removed meanwhile are skipped
+    const newIds = added.filter(id => this.documents.get(id)?.rowId === null);
+    for (let i = 0; i < newIds.length; i += WRITE_CHUNK_SIZE) {
+      const chunk = newIds.slice(i, i + WRITE_CHUNK_SIZE);
+      const rowIds = await GristAPI.addRecords(INDEX_TABLE, chunk.map(toRow));
+      chunk.forEach((id, index) => {
+        const doc = this.documents.get(id);
+        if (doc) doc.rowId = rowIds[index] ?? null;
+      });
+    }
+
+    const updates = updated
+      .filter(id => this.documents.get(id)?.rowId)
+      .map(id => ({ id: this.documents.get(id).rowId, ...toRow(id) }));
+    for (let i = 0; i < updates.length; i += WRITE_CHUNK_SIZE) {
+      await GristAPI.updateRecords(INDEX_TABLE, updates.slice(i, i + WRITE_CHUNK_SIZE));
+    }
+
+    const removedRows = removed.filter(Boolean);
+    if (removedRows.length > 0) {
+      await GristAPI.deleteRecords(INDEX_TABLE, removedRows);
+    }
+  }
+}
+
+export default new LocalSearchIndex();
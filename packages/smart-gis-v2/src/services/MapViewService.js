@@ -0,0 +1,435 @@
+/**
+ * MapViewService - Saved map views (project snapshots) in GIS_MapViews
+ *
+ * A view captures the state that is not in the features themselves:
+ * basemap and extent, layer visibility and order, style rules
+ * (layers.styleRules), basic layer styles and labels (styles.layers), hover
+ * effect, popup templates and raster overlays.
+ *
+ * - Opening a view restores it: session state (extent, basemap, popups) is
+ *   set in the StateManager, persisted state (visibility, order, styles,
+ *   overlays) is written to Grist as one undo step
+ * - A view can be linked to a row of any table: moving the Grist cursor
+ *   to that row opens the view
+ * - The default view is opened at startup (session state only: the
+ *   persisted state is already loaded from Grist)
+ * - diff() lists what changed between a view and the current state
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { initializeSystemTables, MAP_VIEWS_SCHEMA } from '../core/TableSchemas';
+import LayerMetadataService from './LayerMetadataService';
+import RasterLayerService from './RasterLayerService';
+import BasemapProvider from './BasemapProvider';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Records per BulkUpdateRecord (visibility / order of the features)
+const UPDATE_BATCH_SIZE = 500;
+
+// Centers closer than this (degrees) are the same extent
+const CENTER_TOLERANCE = 1e-5;
+
+/**
+ * JSON with sorted keys, without the `updatedAt` timestamps of StyleManager
+ */
+const stableStringify = (value) => JSON.stringify(value ?? null, (key, item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  return Object.keys(item)
+    .filter(k => k !== 'updatedAt')
+    .sort()
+    .reduce((sorted, k) => ({ ...sorted, [k]: item[k] }), {});
+});
+
+const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+class MapViewService {
+  constructor() {
+    this.tableId = null;
+  }
+
+  // ========================================
+  // SNAPSHOTS
+  // ========================================
+
+  /**
+   * Layers of the workspace: { name: { visible, zIndex } }
+   * (z-index of the first feature, as in the LayersPanel)
+   */
+  getLayerStates() {
+    const layers = {};
+    (StateManager.getState('layers.workspace') || []).forEach(feature => {
+      const name = feature.layer_name;
+      if (!name) return;
+      if (!layers[name]) {
+        layers[name] = { visible: false, zIndex: feature.z_index || 0 };
+      }
+      if (feature.is_visible !== false) layers[name].visible = true;
+    });
+    return layers;
+  }
+
+  /**
+   * Snapshot of the current state
+   */
+  capture() {
+    return {
+      version: SNAPSHOT_VERSION,
+      map: {
+        center: StateManager.getState('map.center'),
+        zoom: StateManager.getState('map.zoom'),
+        basemap: StateManager.getState('map.basemap') || 'osm'
+      },
+      layers: this.getLayerStates(),
+      styleRules: clone(StateManager.getState('layers.styleRules') || {}),
+      layerStyles: clone(StateManager.getState('styles.layers') || {}),
+      hoverEffect: StateManager.getState('styles.hoverEffect') || 'highlight',
+      popups: {
+        template: StateManager.getState('popups.template') || 'detailed',
+        layerTemplates: clone(StateManager.getState('popups.layerTemplates') || {})
+      },
+      rasters: clone(StateManager.getState('layers.raster') || [])
+    };
+  }
+
+  /**
+   * Differences between a snapshot and the current state
+   *
+   * @param {Object} snapshot - Snapshot of a view
+   * @param {Object} current - Snapshot to compare with (default: current state)
+   * @returns {Array<{ section, key, change: 'added'|'removed'|'changed', before, after }>}
+   *   before = value in the view, after = current value
+   */
+  diff(snapshot, current = this.capture()) {
+    const changes = [];
+    const push = (section, key, before, after) => {
+      if (same(before, after)) return;
+      const change = before === undefined ? 'added' : after === undefined ? 'removed' : 'changed';
+      changes.push({ section, key, change, before, after });
+    };
+
+    const [lat, lng] = snapshot.map.center || [];
+    const [currentLat, currentLng] = current.map.center || [];
+    if (Math.abs(lat - currentLat) > CENTER_TOLERANCE || Math.abs(lng - currentLng) > CENTER_TOLERANCE) {
+      changes.push({ section: 'map', key: 'center', change: 'changed', before: snapshot.map.center, after: current.map.center });
+    }
+    push('map', 'zoom', snapshot.map.zoom, current.map.zoom);
+    push('map', 'basemap', snapshot.map.basemap, current.map.basemap);
+
+    const compareKeys = (section, before = {}, after = {}) => {
+      [...new Set([...Object.keys(before), ...Object.keys(after)])].sort().forEach(key => {
+        push(section, key, before[key], after[key]);
+      });
+    };
+
+    compareKeys('layers', snapshot.layers, current.layers);
+    compareKeys('styleRules', snapshot.styleRules, current.styleRules);
+    compareKeys('layerStyles', snapshot.layerStyles, current.layerStyles);
+    push('popups', 'hoverEffect', snapshot.hoverEffect, current.hoverEffect);
+    push('popups', 'template', snapshot.popups?.template, current.popups?.template);
+    compareKeys('popupTemplates', snapshot.popups?.layerTemplates, current.popups?.layerTemplates);
+
+    const byName = (rasters = []) => Object.fromEntries(rasters.map(({ name, ...overlay }) => [name, overlay]));
+    compareKeys('rasters', byName(snapshot.rasters), byName(current.rasters));
+
+    return changes;
+  }
+
+  /**
+   * Restore a snapshot
+   *
+   * Layers of the workspace missing from the snapshot (created after it)
+   * keep their visibility, order and styles.
+   *
+   * @param {Object} snapshot
+   * @param {Object} options
+   * @param {string} options.label - Journal label
+   * @param {boolean} options.sessionOnly - Only the state that is not saved in Grist (extent, basemap, popups)
+   * @returns {Promise<string[]>} Warnings (layers of the view no longer in the workspace)
+   */
+  async restore(snapshot, { label = 'Vue', sessionOnly = false } = {}) {
+    const warnings = [];
+    const basemap = BasemapProvider.getBasemap(snapshot.map.basemap) ? snapshot.map.basemap : 'osm';
+
+    const session = {
+      'map.center': snapshot.map.center,
+      'map.zoom': snapshot.map.zoom,
+      'map.basemap': basemap,
+      'styles.hoverEffect': snapshot.hoverEffect,
+      'popups.template': snapshot.popups.template,
+      'popups.layerTemplates': clone(snapshot.popups.layerTemplates)
+    };
+
+    if (sessionOnly) {
+      StateManager.batchUpdate(session, `Open view: ${label}`);
+      return warnings;
+    }
+
+    const workspace = StateManager.getState('layers.workspace') || [];
+    const current = this.getLayerStates();
+    const managed = Object.keys(current).filter(name => snapshot.layers[name]);
+
+    Object.keys(snapshot.layers)
+      .filter(name => !current[name])
+      .forEach(name => warnings.push(`Couche « ${name} » absente de l'espace de travail`));
+
+    // Visibility and order of the features
+    const updates = workspace
+      .filter(f => managed.includes(f.layer_name))
+      .filter(f => {
+        const target = snapshot.layers[f.layer_name];
+        return (f.is_visible !== false) !== target.visible || (f.z_index || 0) !== target.zIndex;
+      })
+      .map(f => ({
+        id: f.id,
+        is_visible: snapshot.layers[f.layer_name].visible,
+        z_index: snapshot.layers[f.layer_name].zIndex
+      }));
+
+    // Styles: the view's for its layers, unchanged for the others
+    const mergeByLayer = (currentValues, viewValues) => {
+      const merged = { ...currentValues };
+      managed.forEach(name => {
+        if (viewValues[name]) merged[name] = clone(viewValues[name]);
+        else delete merged[name];
+      });
+      return merged;
+    };
+    const currentRules = StateManager.getState('layers.styleRules') || {};
+    const currentStyles = StateManager.getState('styles.layers') || {};
+    const styleRules = mergeByLayer(currentRules, snapshot.styleRules || {});
+    const layerStyles = mergeByLayer(currentStyles, snapshot.layerStyles || {});
+
+    // Overlays of the view (re-added if removed since), the others hidden
+    const viewRasters = snapshot.rasters || [];
+    const rasters = [
+      ...clone(viewRasters),
+      ...RasterLayerService.getOverlays()
+        .filter(o => !viewRasters.some(r => r.name === o.name))
+        .map(o => ({ ...o, visible: false }))
+    ];
+    const currentRasters = RasterLayerService.getOverlays();
+    const changedRasters = rasters.filter(r => !same(r, currentRasters.find(o => o.name === r.name)));
+
+    const updated = new Map(updates.map(u => [u.id, u]));
+    StateManager.batchUpdate({
+      ...session,
+      'layers.workspace': workspace.map(f => (updated.has(f.id) ? { ...f, ...updated.get(f.id) } : f)),
+      'layers.styleRules': styleRules,
+      'styles.layers': layerStyles,
+      'layers.raster': rasters
+    }, `Open view: ${label}`);
+    StateManager.setState('styles.updated', Date.now(), `Open view: ${label}`);
+
+    await ActionJournal.group(`Vue: ${label}`, async () => {
+      const table = LayerMetadataService.getTable();
+      for (let i = 0; i < updates.length; i += UPDATE_BATCH_SIZE) {
+        await GristAPI.updateRecords(table, updates.slice(i, i + UPDATE_BATCH_SIZE));
+      }
+
+      for (const name of managed) {
+        if (!same(styleRules[name], currentRules[name])) {
+          await (styleRules[name]
+            ? LayerMetadataService.saveMetadata(name, { style_rule: JSON.stringify(styleRules[name]) })
+            : LayerMetadataService.clearMetadata(name, 'style_rule'));
+        }
+        if (!same(layerStyles[name], currentStyles[name])) {
+          await (layerStyles[name]
+            ? LayerMetadataService.saveMetadata(name, { layer_style: JSON.stringify(layerStyles[name]) })
+            : LayerMetadataService.clearMetadata(name, 'layer_style'));
+        }
+      }
+
+      for (const overlay of changedRasters) {
+        await RasterLayerService.persist(overlay);
+      }
+    });
+
+    return warnings;
+  }
+
+  // ========================================
+  // VIEWS (GIS_MapViews)
+  // ========================================
+
+  getViews() {
+    return StateManager.getState('views.list') || [];
+  }
+
+  getView(id) {
+    const view = this.getViews().find(v => v.id === id);
+    if (!view) {
+      throw new Error(`Vue introuvable: ${id}`);
+    }
+    return view;
+  }
+
+  /**
+   * Load the saved views and publish them in 'views.list'
+   */
+  async loadViews() {
+    const tableName = MAP_VIEWS_SCHEMA.tableName;
+    const tables = await GristAPI.listTables();
+    const rows = tables.includes(tableName) ? await GristAPI.fetchTable(tableName) : [];
+
+    const views = rows
+      .map(row => {
+        try {
+          return {
+            id: row.id,
+            name: row.name || `Vue ${row.id}`,
+            description: row.description || '',
+            snapshot: JSON.parse(row.snapshot),
+            link: row.linked_table && row.linked_row ? { table: row.linked_table, rowId: row.linked_row } : null,
+            isDefault: !!row.is_default,
+            updatedAt: row.updated_at || row.created_at || null
+          };
+        } catch (error) {
+          console.warn(`[MapViewService] Invalid view row ${row.id}:`, error);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+
+    StateManager.setState('views.list', views, 'Load map views');
+    return views;
+  }
+
+  /**
+   * Save the current state as a view (replaces the view of the same name)
+   */
+  async saveView(name, description = '') {
+    const viewName = name.trim();
+    if (!viewName) {
+      throw new Error('Nom de vue requis');
+    }
+
+    const tableName = MAP_VIEWS_SCHEMA.tableName;
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const snapshot = JSON.stringify(this.capture());
+    const existing = this.getViews().find(v => v.name === viewName);
+
+    const [rowId] = await ActionJournal.group(`Vue enregistrée: ${viewName}`, () => (
+      existing
+        ? GristAPI.updateRecords(tableName, [{ id: existing.id, description: description.trim(), snapshot, updated_at: now }]).then(() => [existing.id])
+        : GristAPI.addRecords(tableName, [{
+          name: viewName,
+          description: description.trim(),
+          snapshot,
+          is_default: false,
+          created_at: now,
+          updated_at: now
+        }])
+    ));
+
+    await this.loadViews();
+    StateManager.setState('views.active', rowId, `Save view: ${viewName}`);
+    return this.getView(rowId);
+  }
+
+  /**
+   * Overwrite a view with the current state
+   */
+  async updateSnapshot(id) {
+    const view = this.getView(id);
+    return this.saveView(view.name, view.description);
+  }
+
+  /**
+   * Open a view
+   * @returns {Promise<string[]>} Warnings
+   */
+  async openView(id, { sessionOnly = false } = {}) {
+    const view = this.getView(id);
+    StateManager.setState('views.active', id, `Open view: ${view.name}`);
+    return this.restore(view.snapshot, { label: view.name, sessionOnly });
+  }
+
+  diffView(id) {
+    return this.diff(this.getView(id).snapshot);
+  }
+
+  /**
+   * Link a view to a row (null: remove the link)
+   * @param {{ table, rowId }|null} link
+   */
+  async linkView(id, link) {
+    const view = this.getView(id);
+    await ActionJournal.group(`Lien de la vue: ${view.name}`, () => GristAPI.updateRecords(MAP_VIEWS_SCHEMA.tableName, [{
+      id,
+      linked_table: link?.table || '',
+      linked_row: link?.rowId || 0
+    }]));
+    return this.loadViews();
+  }
+
+  /**
+   * Make a view the default one (opened at startup); false removes it
+   */
+  async setDefault(id, isDefault = true) {
+    const view = this.getView(id);
+    const updates = this.getViews()
+      .filter(v => (v.id === id ? v.isDefault !== isDefault : isDefault && v.isDefault))
+      .map(v => ({ id: v.id, is_default: v.id === id ? isDefault : false }));
+    if (updates.length === 0) return this.getViews();
+
+    await ActionJournal.group(`Vue par défaut: ${view.name}`, () => GristAPI.updateRecords(MAP_VIEWS_SCHEMA.tableName, updates));
+    return this.loadViews();
+  }
+
+  async deleteView(id) {
+    const view = this.getView(id);
+    await ActionJournal.group(`Suppression de la vue: ${view.name}`, () =>
+      GristAPI.deleteRecords(MAP_VIEWS_SCHEMA.tableName, [id])
+    );
+    if (StateManager.getState('views.active') === id) {
+      StateManager.setState('views.active', null, `Delete view: ${view.name}`);
+    }
+    return this.loadViews();
+  }
+
+  // ========================================
+  // STARTUP AND GRIST CURSOR
+  // ========================================
+
+  /**
+   * Load the views, open the default one and follow the Grist cursor
+   * (a view linked to the selected row is opened)
+   */
+  async initialize() {
+    const views = await this.loadViews();
+
+    const defaultView = views.find(v => v.isDefault);
+    if (defaultView) {
+      await this.openView(defaultView.id, { sessionOnly: true });
+    }
+
+    this.tableId = await GristAPI.getSelectedTableId();
+    GristAPI.onRecordSelect((record) => {
+      const cursor = record && this.tableId ? { table: this.tableId, rowId: record.id } : null;
+      StateManager.setState('views.cursor', cursor, 'Grist cursor');
+      if (!cursor) return;
+
+      const view = this.getViews().find(v => v.link?.table === cursor.table && v.link.rowId === cursor.rowId);
+      if (view && view.id !== StateManager.getState('views.active')) {
+        this.openView(view.id).catch(error => {
+          console.error(`[MapViewService] Could not open view "${view.name}":`, error);
+        });
+      }
+    });
+
+    return views;
+  }
+}
+
+export default new MapViewService();
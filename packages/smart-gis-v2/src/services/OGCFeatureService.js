@@ -0,0 +1,396 @@
+/**
+ * OGCFeatureService - Client for WFS 2.0 and OGC API - Features endpoints
+ *
+ * Used by DataCatalog (registered sources), QueryExecutor (agent fetches)
+ * and the import methods generated for each registered source:
+ *
+ * - discover(url): detects the protocol and lists the layers
+ *   (WFS GetCapabilities / OGC API /collections)
+ * - fetchFeatures(source, layerId, options): GeoJSON features in WGS84,
+ *   paged with startIndex/count (WFS) or the `next` links (OGC API)
+ *
+ * Filters are CQL text built by FieldDiscoveryService.buildCQLFilter:
+ * sent as `filter` + `filter-lang=cql2-text` to OGC API servers and as the
+ * `cql_filter` vendor parameter to WFS servers (GeoServer, Géoplateforme).
+ *
+ * Features are always requested as GeoJSON: WFS servers without a JSON
+ * output format are rejected at discovery.
+ */
+
+import { findAll, child, textOf } from '../utils/xml';
+
+export const PROTOCOLS = {
+  wfs: 'WFS 2.0',
+  ogcapi: 'OGC API - Features'
+};
+
+// Features per request when the server does not impose its own limit
+const DEFAULT_PAGE_SIZE = 1000;
+
+// Delay between two pages (public servers rate-limit)
+const PAGE_DELAY_MS = 50;
+
+const JSON_ACCEPT = 'application/geo+json, application/json;q=0.9';
+
+/**
+ * Add query parameters to a service URL (keeps its own parameters, e.g.
+ * "https://host/ows?map=project.map")
+ */
+export function buildServiceUrl(url, params = {}) {
+  const result = new URL(url);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      result.searchParams.set(key, value);
+    }
+  });
+  return result.toString();
+}
+
+/**
+ * Base URL of an OGC API landing page ("…/collections" and trailing "/"
+ * removed, query string kept apart)
+ */
+export function ogcApiBase(url) {
+  const parsed = new URL(url);
+  parsed.pathname = parsed.pathname.replace(/\/+$/, '').replace(/\/collections(\/[^/]*)?(\/items)?$/, '');
+  parsed.search = '';
+  parsed.hash = '';
+  return parsed.toString().replace(/\/+$/, '');
+}
+
+class OGCFeatureService {
+  constructor() {
+    this.geometryFields = new Map();
+  }
+
+  /**
+   * Detect the protocol of an endpoint and list its layers
+   *
+   * OGC API is tried first (JSON /collections), then WFS GetCapabilities.
+   *
+   * @param {string} url - Landing page (OGC API) or service URL (WFS)
+   * @returns {Promise<{ protocol, endpoint, title, description, layers, outputFormat, paging }>}
+   */
+  async discover(url) {
+    const trimmed = (url || '').trim();
+    if (!/^https?:\/\//i.test(trimmed)) {
+      throw new Error('URL invalide (http:// ou https:// attendu)');
+    }
+
+    const looksLikeWFS = /[?&]service=wfs/i.test(trimmed) || /\/(wfs|ows)\/?(\?|$)/i.test(trimmed);
+    const attempts = looksLikeWFS
+      ? [() => this.discoverWFS(trimmed), () => this.discoverOGCAPI(trimmed)]
+      : [() => this.discoverOGCAPI(trimmed), () => this.discoverWFS(trimmed)];
+
+    const errors = [];
+    for (const attempt of attempts) {
+      try {
+        return await attempt();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    throw new Error(`Aucun service WFS 2.0 ou OGC API - Features trouvé (${errors.join(' / ')})`);
+  }
+
+  /**
+   * OGC API - Features: /collections
+   */
+  async discoverOGCAPI(url) {
+    const endpoint = ogcApiBase(url);
+    const response = await fetch(`${endpoint}/collections`, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`OGC API: HTTP ${response.status}`);
+    }
+
+    let json;
+    try {
+      json = await response.json();
+    } catch (error) {
+      throw new Error('OGC API: réponse non JSON');
+    }
+    if (!Array.isArray(json.collections)) {
+      throw new Error('OGC API: pas de liste "collections"');
+    }
+
+    const layers = json.collections
+      .filter(collection => !collection.itemType || collection.itemType === 'feature')
+      .map(collection => ({
+        id: collection.id,
+        title: collection.title || collection.id,
+        description: collection.description || '',
+        keywords: (collection.keywords || []).map(k => (typeof k === 'string' ? k : k.keyword)).filter(Boolean),
+        crs: collection.storageCrs || null,
+        bbox: collection.extent?.spatial?.bbox?.[0]?.slice(0, 4) || null
+      }));
+
+    if (layers.length === 0) {
+      throw new Error('OGC API: aucune collection de features');
+    }
+
+    return {
+      protocol: 'ogcapi',
+      endpoint,
+      title: json.title || new URL(endpoint).hostname,
+      description: json.description || '',
+      layers,
+      outputFormat: null,
+      paging: true
+    };
+  }
+
+  /**
+   * WFS 2.0: GetCapabilities
+   */
+  async discoverWFS(url) {
+    const endpoint = this.wfsEndpoint(url);
+    const response = await fetch(buildServiceUrl(endpoint, {
+      service: 'WFS',
+      request: 'GetCapabilities',
+      acceptversions: '2.0.0'
+    }));
+    if (!response.ok) {
+      throw new Error(`WFS: HTTP ${response.status}`);
+    }
+
+    const capabilities = this.parseWFSCapabilities(await response.text());
+    if (capabilities.layers.length === 0) {
+      throw new Error('WFS: aucune couche dans GetCapabilities');
+    }
+    if (!capabilities.outputFormat) {
+      throw new Error('WFS: le service ne propose pas de sortie GeoJSON');
+    }
+
+    return { protocol: 'wfs', endpoint, ...capabilities };
+  }
+
+  /**
+   * Parse a WFS 2.0 GetCapabilities document (namespace prefixes vary
+   * between servers: elements are matched by local name)
+   *
+   * @param {string} xmlText
+   * @returns {{ title, description, layers, outputFormat, paging }}
+   */
+  parseWFSCapabilities(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    const root = doc.documentElement;
+
+    if (!root || root.localName === 'parsererror' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('WFS: GetCapabilities illisible');
+    }
+    if (root.localName === 'ExceptionReport') {
+      throw new Error(`WFS: ${textOf(findAll(root, 'ExceptionText')[0]) || 'exception du service'}`);
+    }
+    if (root.localName !== 'WFS_Capabilities') {
+      throw new Error('WFS: document GetCapabilities attendu');
+    }
+
+    const identification = findAll(root, 'ServiceIdentification')[0];
+
+    const layers = findAll(root, 'FeatureType').map(featureType => {
+      const lower = textOf(findAll(featureType, 'LowerCorner')[0]);
+      const upper = textOf(findAll(featureType, 'UpperCorner')[0]);
+      const bbox = lower && upper
+        ? [...lower.split(/\s+/), ...upper.split(/\s+/)].map(Number)
+        : null;
+
+      return {
+        id: textOf(child(featureType, 'Name')),
+        title: textOf(child(featureType, 'Title')) || textOf(child(featureType, 'Name')),
+        description: textOf(child(featureType, 'Abstract')),
+        keywords: findAll(featureType, 'Keyword').map(textOf).filter(Boolean),
+        crs: textOf(child(featureType, 'DefaultCRS')) || textOf(child(featureType, 'DefaultSRS')) || null,
+        bbox: bbox && bbox.every(Number.isFinite) ? bbox : null
+      };
+    }).filter(layer => layer.id);
+
+    // GetFeature capabilities: JSON output format, result paging
+    const getFeature = findAll(root, 'Operation').find(op => op.getAttribute('name') === 'GetFeature');
+    const formats = [getFeature, root]
+      .filter(Boolean)
+      .flatMap(node => findAll(node, 'Parameter'))
+      .filter(param => param.getAttribute('name') === 'outputFormat')
+      .flatMap(param => findAll(param, 'Value').map(textOf));
+    const outputFormat = ['application/json', 'application/geo+json', 'json', 'geojson']
+      .find(format => formats.includes(format)) ||
+      formats.find(format => /json/i.test(format)) ||
+      null;
+
+    const pagingConstraint = findAll(root, 'Constraint').find(c => c.getAttribute('name') === 'ImplementsResultPaging');
+    const paging = pagingConstraint
+      ? /true/i.test(textOf(findAll(pagingConstraint, 'DefaultValue')[0]))
+      : true;
+
+    return {
+      title: textOf(identification && child(identification, 'Title')),
+      description: textOf(identification && child(identification, 'Abstract')),
+      layers,
+      outputFormat,
+      paging
+    };
+  }
+
+  /**
+   * Fetch the features of a layer, page by page
+   *
+   * @param {Object} source - Registered source ({ type, endpoint, outputFormat, paging, pageSize })
+   * @param {string} layerId - typeName (WFS) or collection id (OGC API)
+   * @param {Object} options
+   * @param {Array<number>} options.bbox - [minLon, minLat, maxLon, maxLat] (WGS84)
+   * @param {string} options.filter - CQL text
+   * @param {number} options.maxFeatures - Total limit (default 1000)
+   * @param {function} options.onPage - Called with the number of features received so far
+   * @returns {Promise<Array>} GeoJSON features (WGS84)
+   */
+  async fetchFeatures(source, layerId, options = {}) {
+    const maxFeatures = options.maxFeatures || DEFAULT_PAGE_SIZE;
+    const pageSize = Math.min(source.pageSize || DEFAULT_PAGE_SIZE, maxFeatures);
+
+    const features = source.type === 'ogcapi'
+      ? await this.fetchOGCAPIPages(source, layerId, { ...options, maxFeatures, pageSize })
+      : await this.fetchWFSPages(source, layerId, { ...options, maxFeatures, pageSize });
+
+    return features.slice(0, maxFeatures);
+  }
+
+  /**
+   * WFS GetFeature paged with startIndex/count
+   * @private
+   */
+  async fetchWFSPages(source, layerId, { bbox, filter, maxFeatures, pageSize, onPage }) {
+    const features = [];
+    // Servers without paging: one request for everything
+    const count = source.paging === false ? maxFeatures : pageSize;
+    let startIndex = 0;
+
+    while (features.length < maxFeatures) {
+      const params = {
+        service: 'WFS',
+        version: '2.0.0',
+        request: 'GetFeature',
+        typeNames: layerId,
+        outputFormat: source.outputFormat || 'application/json',
+        srsName: 'EPSG:4326',
+        count: Math.min(count, maxFeatures - features.length),
+        startIndex: source.paging === false ? undefined : startIndex,
+        cql_filter: filter || undefined,
+        // bbox and cql_filter are exclusive on GeoServer: bbox goes in the filter
+        bbox: bbox && !filter ? `${bbox.join(',')},EPSG:4326` : undefined
+      };
+      if (bbox && filter) {
+        const geometryField = await this.wfsGeometryField(source, layerId);
+        params.cql_filter = `(${filter}) AND BBOX(${geometryField}, ${bbox.join(', ')}, 'EPSG:4326')`;
+      }
+
+      const geojson = await this.fetchGeoJSON(buildServiceUrl(source.endpoint, params), 'WFS');
+      const page = geojson.features || [];
+      features.push(...page);
+      onPage?.(features.length);
+
+      if (source.paging === false || page.length < params.count) break;
+      if (geojson.numberMatched !== undefined && features.length >= geojson.numberMatched) break;
+
+      startIndex += page.length;
+      await delay(PAGE_DELAY_MS);
+    }
+
+    return features;
+  }
+
+  /**
+   * OGC API items paged with the `next` links
+   * @private
+   */
+  async fetchOGCAPIPages(source, layerId, { bbox, filter, maxFeatures, pageSize, onPage }) {
+    const features = [];
+    let url = buildServiceUrl(`${source.endpoint}/collections/${encodeURIComponent(layerId)}/items`, {
+      limit: pageSize,
+      bbox: bbox ? bbox.join(',') : undefined,
+      filter: filter || undefined,
+      'filter-lang': filter ? 'cql2-text' : undefined
+    });
+
+    while (url && features.length < maxFeatures) {
+      const geojson = await this.fetchGeoJSON(url, 'OGC API');
+      const page = geojson.features || [];
+      features.push(...page);
+      onPage?.(features.length);
+
+      const next = (geojson.links || []).find(link =>
+        link.rel === 'next' && (!link.type || /json/i.test(link.type))
+      );
+      url = page.length > 0 && next ? new URL(next.href, url).toString() : null;
+
+      if (url) await delay(PAGE_DELAY_MS);
+    }
+
+    return features;
+  }
+
+  /**
+   * Geometry property of a WFS layer (DescribeFeatureType), for BBOX()
+   * @private
+   */
+  async wfsGeometryField(source, layerId) {
+    const cacheKey = `${source.endpoint}::${layerId}`;
+    if (!this.geometryFields.has(cacheKey)) {
+      let name = 'geometry';
+      try {
+        const response = await fetch(buildServiceUrl(source.endpoint, {
+          service: 'WFS',
+          version: '2.0.0',
+          request: 'DescribeFeatureType',
+          typeNames: layerId
+        }));
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/xml');
+        const element = findAll(doc, 'element').find(el => /^gml:/.test(el.getAttribute('type') || ''));
+        if (element) name = element.getAttribute('name');
+      } catch (error) {
+        console.warn('[OGCFeatureService] Could not read geometry field:', error);
+      }
+      this.geometryFields.set(cacheKey, name);
+    }
+    return this.geometryFields.get(cacheKey);
+  }
+
+  /**
+   * @private
+   */
+  async fetchGeoJSON(url, label) {
+    const response = await fetch(url, { headers: { Accept: JSON_ACCEPT } });
+    const text = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`Erreur ${label} (${response.status}): ${text.substring(0, 200)}`);
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // WFS servers answer exceptions in XML with status 200
+      throw new Error(`Erreur ${label}: réponse non GeoJSON (${text.substring(0, 200)})`);
+    }
+  }
+
+  /**
+   * Service URL without the WFS request parameters
+   * @private
+   */
+  wfsEndpoint(url) {
+    const parsed = new URL(url);
+    ['service', 'request', 'version', 'acceptversions', 'typename', 'typenames', 'outputformat']
+      .forEach(name => {
+        Array.from(parsed.searchParams.keys())
+          .filter(key => key.toLowerCase() === name)
+          .forEach(key => parsed.searchParams.delete(key));
+      });
+    return parsed.toString().replace(/\?$/, '');
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default new OGCFeatureService();
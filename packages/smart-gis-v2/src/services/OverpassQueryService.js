@@ -0,0 +1,336 @@
+/**
+ * OverpassQueryService - Overpass QL queries composed from a query spec
+ *
+ * Used by the OverpassQueryBuilder (DataPanel) and the import methods of the
+ * queries saved in GIS_Catalogs (DataCatalog.saveOverpassQuery):
+ *
+ * - buildQuery(spec): Overpass QL text (previewed in the builder)
+ * - validate(spec): first blocking error of the spec
+ * - estimate(spec): element counts (`out count`) and approximate download size
+ * - execute(spec): OSM elements of the query
+ *
+ * Query spec:
+ * {
+ *   types: ['node', 'way', 'relation'],
+ *   filters: [{ key, operator, value, caseInsensitive }],  // combined with AND
+ *   area: { mode, bbox, name, adminLevel, relationId, polygon },
+ *   output: 'geom' | 'center' | 'skel',
+ *   timeout: 25
+ * }
+ */
+
+import { wktToGeoJSON } from '../utils/geometryConverters';
+
+export const OVERPASS_ENDPOINT = 'https://overpass-api.de/api/interpreter';
+
+export const ELEMENT_TYPES = [
+  { id: 'node', label: 'Nœuds (points)' },
+  { id: 'way', label: 'Chemins (lignes, surfaces)' },
+  { id: 'relation', label: 'Relations (multipolygones, routes)' }
+];
+
+// valueless: the filter only tests the presence of the key
+export const TAG_OPERATORS = [
+  { id: '=', label: '= égal à' },
+  { id: '!=', label: '≠ différent de' },
+  { id: '~', label: '~ correspond (regex)' },
+  { id: '!~', label: '!~ ne correspond pas (regex)' },
+  { id: 'exists', label: 'présent', valueless: true },
+  { id: 'absent', label: 'absent', valueless: true }
+];
+
+export const AREA_MODES = [
+  { id: 'bbox', label: 'Emprise (BBOX)' },
+  { id: 'area_name', label: 'Zone par nom' },
+  { id: 'area_id', label: 'Relation OSM (ID)' },
+  { id: 'polygon', label: 'Polygone dessiné' },
+  { id: 'global', label: 'Global (sans filtre spatial)' }
+];
+
+export const OUTPUT_MODES = [
+  { id: 'geom', label: 'Géométries complètes + tags', statement: 'out geom;' },
+  { id: 'center', label: 'Centroïdes + tags', statement: 'out center;' },
+  { id: 'skel', label: 'Géométries seules (sans tags)', statement: 'out skel geom;' }
+];
+
+export const MIN_TIMEOUT = 5;
+export const MAX_TIMEOUT = 180;
+
+// Average JSON size of one element per output mode, in bytes (size estimate)
+const ELEMENT_BYTES = {
+  geom: { node: 250, way: 1500, relation: 15000 },
+  center: { node: 250, way: 350, relation: 400 },
+  skel: { node: 120, way: 1000, relation: 10000 }
+};
+
+// Area ids of OSM relations (Overpass convention)
+const RELATION_AREA_OFFSET = 3600000000;
+
+export const DEFAULT_QUERY_SPEC = {
+  types: ['node', 'way', 'relation'],
+  filters: [{ key: 'amenity', operator: '=', value: 'school', caseInsensitive: false }],
+  area: { mode: 'area_name', bbox: '', name: '', adminLevel: '', relationId: '', polygon: '' },
+  output: 'geom',
+  timeout: 25
+};
+
+class OverpassQueryService {
+  /**
+   * Overpass QL of a query spec
+   *
+   * @param {Object} spec - Query spec
+   * @param {Object} options
+   * @param {boolean} options.count - Count the elements instead of returning them
+   * @returns {string} Overpass QL
+   */
+  buildQuery(spec, { count = false } = {}) {
+    const { areaStatement, spatialFilter } = this.buildArea(spec.area || {});
+    const tagFilters = (spec.filters || [])
+      .filter(filter => filter.key && filter.key.trim())
+      .map(filter => this.buildTagFilter(filter))
+      .join('');
+    const output = count
+      ? 'out count;'
+      : (OUTPUT_MODES.find(mode => mode.id === spec.output) || OUTPUT_MODES[0]).statement;
+
+    const lines = [`[out:json][timeout:${this.normalizeTimeout(spec.timeout)}];`];
+    if (areaStatement) lines.push(areaStatement);
+    lines.push('(');
+    (spec.types || []).forEach(type => lines.push(`  ${type}${tagFilters}${spatialFilter};`));
+    lines.push(');');
+    lines.push(output);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * First blocking error of a query spec
+   *
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  validate(spec) {
+    if (!spec.types || spec.types.length === 0) {
+      return { valid: false, error: 'Sélectionnez au moins un type d\'élément' };
+    }
+
+    const filters = (spec.filters || []).filter(filter => filter.key && filter.key.trim());
+    for (const filter of filters) {
+      const operator = TAG_OPERATORS.find(op => op.id === filter.operator);
+      if (!operator) {
+        return { valid: false, error: `Opérateur inconnu pour "${filter.key}"` };
+      }
+      if (!operator.valueless && !String(filter.value ?? '').trim()) {
+        return { valid: false, error: `Valeur requise pour le tag "${filter.key}"` };
+      }
+      if (filter.operator === '~' || filter.operator === '!~') {
+        try {
+          new RegExp(filter.value);
+        } catch (error) {
+          return { valid: false, error: `Regex invalide pour "${filter.key}": ${error.message}` };
+        }
+      }
+    }
+
+    // Overpass needs at least one positive condition to select elements
+    const positive = filters.some(filter => ['=', '~', 'exists'].includes(filter.operator));
+    const area = spec.area || {};
+
+    if (area.mode === 'global' && !positive) {
+      return { valid: false, error: 'Une requête globale nécessite un filtre "=", "~" ou "présent"' };
+    }
+
+    try {
+      this.buildArea(area);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Number of elements returned by a query and approximate download size
+   *
+   * @returns {Promise<{ nodes, ways, relations, total, bytes }>}
+   */
+  async estimate(spec) {
+    const validation = this.validate(spec);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const data = await this.run(this.buildQuery(spec, { count: true }));
+    const tags = (data.elements || []).find(element => element.type === 'count')?.tags || {};
+
+    const counts = {
+      nodes: Number(tags.nodes) || 0,
+      ways: Number(tags.ways) || 0,
+      relations: Number(tags.relations) || 0
+    };
+    const sizes = ELEMENT_BYTES[spec.output] || ELEMENT_BYTES.geom;
+
+    return {
+      ...counts,
+      total: counts.nodes + counts.ways + counts.relations,
+      bytes: counts.nodes * sizes.node + counts.ways * sizes.way + counts.relations * sizes.relation
+    };
+  }
+
+  /**
+   * OSM elements of a query spec
+   *
+   * @returns {Promise<Array>} Overpass JSON elements
+   */
+  async execute(spec) {
+    const validation = this.validate(spec);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const data = await this.run(this.buildQuery(spec));
+    return data.elements || [];
+  }
+
+  /**
+   * BBOX (south,west,north,east) of the map extent
+   *
+   * @param {Object} bounds - Leaflet LatLngBounds or its JSON copy ('map.bounds')
+   * @returns {string|null}
+   */
+  boundsToBBox(bounds) {
+    if (!bounds) return null;
+
+    const southWest = bounds.getSouthWest ? bounds.getSouthWest() : bounds._southWest;
+    const northEast = bounds.getNorthEast ? bounds.getNorthEast() : bounds._northEast;
+    if (!southWest || !northEast) return null;
+
+    return [southWest.lat, southWest.lng, northEast.lat, northEast.lng]
+      .map(value => value.toFixed(6))
+      .join(',');
+  }
+
+  /**
+   * Area definition statement and spatial filter of the query
+   * @private
+   */
+  buildArea(area) {
+    switch (area.mode) {
+      case 'bbox': {
+        const values = String(area.bbox || '').split(',').map(part => parseFloat(part.trim()));
+        if (values.length !== 4 || !values.every(Number.isFinite)) {
+          throw new Error('BBOX invalide. Format attendu: sud,ouest,nord,est');
+        }
+        const [south, west, north, east] = values;
+        if (south >= north || west >= east) {
+          throw new Error('BBOX invalide: sud < nord et ouest < est attendus');
+        }
+        return { areaStatement: '', spatialFilter: `(${values.join(',')})` };
+      }
+
+      case 'area_name': {
+        const name = String(area.name || '').trim();
+        if (!name) {
+          throw new Error('Nom de la zone requis');
+        }
+        const adminLevel = String(area.adminLevel || '').trim();
+        const levelFilter = adminLevel ? `["admin_level"="${escapeValue(adminLevel)}"]` : '';
+        return {
+          areaStatement: `area["name"="${escapeValue(name)}"]${levelFilter}->.searchArea;`,
+          spatialFilter: '(area.searchArea)'
+        };
+      }
+
+      case 'area_id': {
+        const id = Number(String(area.relationId || '').trim());
+        if (!Number.isInteger(id) || id <= 0) {
+          throw new Error('ID de relation OSM invalide');
+        }
+        // Area ids (3600000000 + relation id) are accepted as is
+        const areaId = id >= RELATION_AREA_OFFSET ? id : RELATION_AREA_OFFSET + id;
+        return { areaStatement: `area(${areaId})->.searchArea;`, spatialFilter: '(area.searchArea)' };
+      }
+
+      case 'polygon': {
+        const geometry = area.polygon ? wktToGeoJSON(area.polygon) : null;
+        const ring = geometry?.type === 'Polygon' ? geometry.coordinates[0] : null;
+        if (!ring || ring.length < 4) {
+          throw new Error('Dessinez un polygone sur la carte');
+        }
+        // poly: "lat lon lat lon ..." (closing vertex implied)
+        const points = ring.slice(0, -1).map(([lon, lat]) => `${lat.toFixed(6)} ${lon.toFixed(6)}`);
+        return { areaStatement: '', spatialFilter: `(poly:"${points.join(' ')}")` };
+      }
+
+      case 'global':
+        return { areaStatement: '', spatialFilter: '' };
+
+      default:
+        throw new Error(`Mode de zone inconnu: ${area.mode}`);
+    }
+  }
+
+  /**
+   * Overpass tag filter ("[key=value]", "[!key]", ...)
+   * @private
+   */
+  buildTagFilter({ key, operator, value, caseInsensitive }) {
+    const k = `"${escapeValue(key.trim())}"`;
+    const v = `"${escapeValue(String(value ?? ''))}"`;
+
+    switch (operator) {
+      case 'exists':
+        return `[${k}]`;
+      case 'absent':
+        return `[!${k}]`;
+      case '~':
+      case '!~':
+        return `[${k}${operator}${v}${caseInsensitive ? ',i' : ''}]`;
+      default:
+        return `[${k}${operator}${v}]`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  normalizeTimeout(timeout) {
+    const value = Math.round(Number(timeout));
+    if (!Number.isFinite(value)) return DEFAULT_QUERY_SPEC.timeout;
+    return Math.min(MAX_TIMEOUT, Math.max(MIN_TIMEOUT, value));
+  }
+
+  /**
+   * POST an Overpass QL query
+   * @private
+   */
+  async run(query) {
+    console.log('[Overpass] Query:', query);
+
+    const response = await fetch(OVERPASS_ENDPOINT, {
+      method: 'POST',
+      body: query
+    });
+
+    if (!response.ok) {
+      throw new Error(`Erreur Overpass: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // Timeouts and memory limits are reported with status 200
+    if (data.remark && /error/i.test(data.remark)) {
+      throw new Error(`Erreur Overpass: ${data.remark}`);
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Escape a tag key / value for an Overpass QL string
+ */
+function escapeValue(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+export default new OverpassQueryService();
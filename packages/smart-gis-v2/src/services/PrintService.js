@@ -0,0 +1,831 @@
+/**
+ * PrintService - Print layouts and map export (PNG / PDF)
+ *
+ * The page is drawn on a canvas at the print resolution: basemap tiles,
+ * visible vector layers with their map styles (StyleManager /
+ * StyleRuleEngine), title, legend, north arrow, scale bar, attribution and
+ * an attribute table. The print keeps the center of the map; the scale
+ * gives its (fractional) Web Mercator zoom.
+ *
+ * Layout templates (paper, scale, elements) are saved in GIS_PrintLayouts.
+ *
+ * Tiles are requested with CORS: tiles of servers that refuse it are left
+ * out, otherwise the canvas could not be exported. WMS / WMTS overlays and
+ * labels are not printed.
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { initializeSystemTables, PRINT_LAYOUTS_SCHEMA } from '../core/TableSchemas';
+import BasemapProvider from './BasemapProvider';
+import StyleManager from './StyleManager';
+import StyleRuleEngine from './StyleRuleEngine';
+import GeometryEngine from './GeometryEngine';
+import DataAnalyzer from './DataAnalyzer';
+import ExpressionEngine from './ExpressionEngine';
+import {
+  PAPER_SIZES,
+  PAGE_LAYOUT,
+  DEFAULT_LAYOUT,
+  MAX_CANVAS_PIXELS
+} from '../config/printConfig';
+import { createImagePdf } from '../utils/pdfWriter';
+import { parseHatchPattern, hatchToCanvasPattern } from '../utils/hatchPatterns';
+
+const TILE_SIZE = 256;
+
+// Metres per pixel of the zoom 0 tile at the equator
+const RESOLUTION_Z0 = 40075016.686 / TILE_SIZE;
+
+const METERS_PER_INCH = 0.0254;
+
+// Leaflet styles are in CSS pixels
+const SCREEN_DPI = 96;
+
+const MAX_LATITUDE = 85.0511287798;
+
+const JPEG_QUALITY = 0.92;
+
+const FONT = 'Helvetica, Arial, sans-serif';
+
+/**
+ * Web Mercator world pixel of a coordinate at a (fractional) zoom
+ */
+const project = (lng, lat, zoom) => {
+  const size = TILE_SIZE * Math.pow(2, zoom);
+  const phi = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+  return {
+    x: size * (lng + 180) / 360,
+    y: size * (0.5 - Math.log(Math.tan(Math.PI / 4 + phi / 2)) / (2 * Math.PI))
+  };
+};
+
+/**
+ * Largest 1, 2 or 5 × 10^n not above a value
+ */
+const niceNumber = (value) => {
+  const power = Math.pow(10, Math.floor(Math.log10(value)));
+  const digit = value / power;
+  return (digit >= 5 ? 5 : digit >= 2 ? 2 : 1) * power;
+};
+
+const formatDistance = (meters) => (
+  meters >= 1000 ? `${(meters / 1000).toLocaleString('fr-FR')} km` : `${meters.toLocaleString('fr-FR')} m`
+);
+
+const stripHtml = (html) => String(html || '')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&copy;/g, '©')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const toBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Export du canvas impossible'))), type, quality);
+});
+
+const loadImage = (url) => new Promise(resolve => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => resolve(null);
+  image.src = url;
+});
+
+class PrintService {
+  constructor() {
+    this.templates = [];
+  }
+
+  // ========================================
+  // PAGE
+  // ========================================
+
+  /**
+   * Page size in mm, orientation applied
+   */
+  getPageSize(layout) {
+    const paper = PAPER_SIZES[layout.paper] || PAPER_SIZES[DEFAULT_LAYOUT.paper];
+    const [short, long] = [Math.min(paper.width, paper.height), Math.max(paper.width, paper.height)];
+    return layout.orientation === 'landscape'
+      ? { width: long, height: short }
+      : { width: short, height: long };
+  }
+
+  /**
+   * Scale (1:N) of the current map view on a 96 dpi screen
+   */
+  getCurrentScale() {
+    const [lat] = StateManager.getState('map.center') || [0, 0];
+    const zoom = StateManager.getState('map.zoom') ?? 6;
+    const metersPerPixel = RESOLUTION_Z0 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+    return Math.round(metersPerPixel * SCREEN_DPI / METERS_PER_INCH);
+  }
+
+  getScale(layout) {
+    return Number(layout.scale) || this.getCurrentScale();
+  }
+
+  /**
+   * Frames (mm) of the page elements: title, map, legend, table, footer
+   * @throws {Error} The map does not fit on the page
+   */
+  getFrames(layout) {
+    const { width, height } = this.getPageSize(layout);
+    const { margin, titleHeight, legendWidth, footerHeight, tableRowHeight, gap } = PAGE_LAYOUT;
+
+    const top = margin + (layout.title ? titleHeight : 0);
+    const bottom = height - margin - footerHeight;
+    const tableHeight = layout.showTable && layout.tableLayer
+      ? (Number(layout.tableMaxRows) + 1) * tableRowHeight
+      : 0;
+    const sideWidth = layout.showLegend ? legendWidth + gap : 0;
+
+    const map = {
+      x: margin,
+      y: top,
+      w: width - 2 * margin - sideWidth,
+      h: bottom - top - (tableHeight ? tableHeight + gap : 0)
+    };
+
+    if (map.w < 30 || map.h < 30) {
+      throw new Error('La carte ne tient pas sur la page : réduisez le tableau ou changez de format');
+    }
+
+    return {
+      page: { width, height },
+      title: layout.title ? { x: margin, y: margin, w: width - 2 * margin, h: titleHeight } : null,
+      map,
+      legend: layout.showLegend ? { x: map.x + map.w + gap, y: top, w: legendWidth, h: map.h } : null,
+      table: tableHeight ? { x: margin, y: map.y + map.h + gap, w: width - 2 * margin, h: tableHeight } : null,
+      footer: { x: margin, y: bottom, w: width - 2 * margin, h: footerHeight }
+    };
+  }
+
+  /**
+   * Resolution actually used: lowered when the canvas would be too big
+   */
+  getEffectiveDpi(layout, dpi = layout.dpi) {
+    const { width, height } = this.getPageSize(layout);
+    const maxDpi = Math.floor(25.4 * Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+    return Math.min(Number(dpi) || DEFAULT_LAYOUT.dpi, maxDpi);
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  /**
+   * Draw the page on a canvas
+   *
+   * @param {Object} layout - Print layout (DEFAULT_LAYOUT keys)
+   * @param {Object} options
+   * @param {number} options.dpi - Resolution (default: layout.dpi; the preview uses a lower one)
+   * @returns {Promise<{ canvas, warnings: string[], scale: number, dpi: number }>}
+   */
+  async render(layout, { dpi = layout.dpi } = {}) {
+    const warnings = [];
+    const frames = this.getFrames(layout);
+    const effectiveDpi = this.getEffectiveDpi(layout, dpi);
+    if (effectiveDpi < dpi) {
+      warnings.push(`Résolution réduite à ${effectiveDpi} dpi pour ce format`);
+    }
+
+    const pxPerMm = effectiveDpi / 25.4;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(frames.page.width * pxPerMm);
+    canvas.height = Math.round(frames.page.height * pxPerMm);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const scale = this.getScale(layout);
+    const view = this.createView(frames.map, pxPerMm, scale, effectiveDpi);
+    const features = this.getPrintedFeatures();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(view.x, view.y, view.w, view.h);
+    ctx.clip();
+    await this.drawBasemap(ctx, view, warnings);
+    this.drawFeatures(ctx, view, features, effectiveDpi / SCREEN_DPI);
+    ctx.restore();
+
+    ctx.strokeStyle = '#1f2937';
+    ctx.lineWidth = 0.3 * pxPerMm;
+    ctx.strokeRect(view.x, view.y, view.w, view.h);
+
+    if (layout.showNorthArrow) this.drawNorthArrow(ctx, view, pxPerMm);
+    if (layout.showScaleBar) this.drawScaleBar(ctx, view, pxPerMm);
+    if (frames.title) this.drawTitle(ctx, frames.title, layout.title, pxPerMm);
+    if (frames.legend) this.drawLegend(ctx, frames.legend, features, pxPerMm, view.zoom);
+    if (frames.table) this.drawTable(ctx, frames.table, layout, pxPerMm, warnings);
+    this.drawFooter(ctx, frames.footer, layout, scale, pxPerMm);
+
+    return { canvas, warnings, scale, dpi: effectiveDpi };
+  }
+
+  /**
+   * Map frame in canvas pixels, centered on the map view at the print scale
+   */
+  createView(frame, pxPerMm, scale, dpi) {
+    const [lat, lng] = StateManager.getState('map.center') || [0, 0];
+    const metersPerPixel = scale * METERS_PER_INCH / dpi;
+    const zoom = Math.log2(RESOLUTION_Z0 * Math.cos(lat * Math.PI / 180) / metersPerPixel);
+    const x = frame.x * pxPerMm;
+    const y = frame.y * pxPerMm;
+    const w = frame.w * pxPerMm;
+    const h = frame.h * pxPerMm;
+    const center = project(lng, lat, zoom);
+
+    return {
+      x, y, w, h, zoom, metersPerPixel,
+      toCanvas: ([pointLng, pointLat]) => {
+        const point = project(pointLng, pointLat, zoom);
+        return [x + w / 2 + point.x - center.x, y + h / 2 + point.y - center.y];
+      },
+      center
+    };
+  }
+
+  /**
+   * Visible features with a geometry (metadata rows have none)
+   */
+  getPrintedFeatures() {
+    const features = (StateManager.getState('layers.workspace') || [])
+      .filter(feature => feature.is_visible !== false)
+      .map(feature => ({ feature, geometry: GeometryEngine.getRecordGeometry(feature) }))
+      .filter(item => item.geometry);
+
+    // Points on top, as on the map
+    const isPoint = (item) => item.geometry.type === 'Point' || item.geometry.type === 'MultiPoint';
+    return [...features.filter(item => !isPoint(item)), ...features.filter(isPoint)];
+  }
+
+  async drawBasemap(ctx, view, warnings) {
+    const props = BasemapProvider.getTileLayerProps(StateManager.getState('map.basemap') || 'osm');
+    const tileZoom = Math.max(0, Math.min(props.maxZoom || 19, Math.round(view.zoom)));
+    const factor = Math.pow(2, view.zoom - tileZoom);
+    const tileCount = Math.pow(2, tileZoom);
+    const subdomains = typeof props.subdomains === 'string' ? props.subdomains.split('') : (props.subdomains || ['a']);
+
+    // Frame extent in world pixels of the tile zoom
+    const centerX = view.center.x / factor;
+    const centerY = view.center.y / factor;
+    const halfW = view.w / 2 / factor;
+    const halfH = view.h / 2 / factor;
+
+    const tiles = [];
+    for (let ty = Math.max(0, Math.floor((centerY - halfH) / TILE_SIZE)); ty <= Math.min(tileCount - 1, Math.floor((centerY + halfH) / TILE_SIZE)); ty++) {
+      for (let tx = Math.floor((centerX - halfW) / TILE_SIZE); tx <= Math.floor((centerX + halfW) / TILE_SIZE); tx++) {
+        const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+        const url = props.url
+          .replace('{s}', subdomains[Math.abs(tx + ty) % subdomains.length])
+          .replace('{z}', tileZoom)
+          .replace('{x}', wrappedX)
+          .replace('{y}', ty)
+          .replace('{r}', '');
+        tiles.push({ tx, ty, url });
+      }
+    }
+
+    const images = await Promise.all(tiles.map(tile => loadImage(tile.url)));
+    const size = TILE_SIZE * factor;
+    let failed = 0;
+
+    tiles.forEach((tile, index) => {
+      const image = images[index];
+      if (!image) {
+        failed++;
+        return;
+      }
+      const dx = view.x + view.w / 2 + (tile.tx * TILE_SIZE - centerX) * factor;
+      const dy = view.y + view.h / 2 + (tile.ty * TILE_SIZE - centerY) * factor;
+      // Half a pixel of overlap hides the seams between scaled tiles
+      ctx.drawImage(image, dx, dy, size + 0.5, size + 0.5);
+    });
+
+    if (failed > 0) {
+      warnings.push(`${failed} tuile(s) du fond de carte non chargée(s) (serveur inaccessible ou sans CORS)`);
+    }
+  }
+
+  /**
+   * Leaflet path options of a feature, as drawn on the map (without selection)
+   */
+  getFeatureStyles(feature, rules, zoom) {
+    const rule = rules[feature.layer_name];
+
+    if (rule?.type === 'ruleBased') {
+      return StyleRuleEngine.getSymbolLayers(feature, rule, zoom)
+        .filter(symbol => symbol.kind === 'path')
+        .map(symbol => symbol.style);
+    }
+
+    return [rule ? StyleRuleEngine.applyStyleRule(feature, rule) : StyleManager.getFeatureStyle(feature)];
+  }
+
+  drawFeatures(ctx, view, features, ratio) {
+    const rules = StateManager.getState('layers.styleRules') || {};
+    const zoom = Math.round(view.zoom);
+
+    features.forEach(({ feature, geometry }) => {
+      this.getFeatureStyles(feature, rules, zoom).forEach(style => {
+        this.drawGeometry(ctx, view, geometry, style, ratio);
+      });
+    });
+  }
+
+  drawGeometry(ctx, view, geometry, style, ratio) {
+    const { type, coordinates } = geometry;
+
+    switch (type) {
+      case 'Point':
+        return this.drawPath(ctx, style, ratio, 'point', () => {
+          const [x, y] = view.toCanvas(coordinates);
+          ctx.arc(x, y, (style.radius || 6) * ratio, 0, 2 * Math.PI);
+        });
+      case 'MultiPoint':
+        return coordinates.forEach(point => this.drawGeometry(ctx, view, { type: 'Point', coordinates: point }, style, ratio));
+      case 'LineString':
+        return this.drawPath(ctx, style, ratio, 'line', () => this.tracePath(ctx, view, coordinates, false));
+      case 'MultiLineString':
+        return coordinates.forEach(line => this.drawGeometry(ctx, view, { type: 'LineString', coordinates: line }, style, ratio));
+      case 'Polygon':
+        return this.drawPath(ctx, style, ratio, 'polygon', () => {
+          coordinates.forEach(ring => this.tracePath(ctx, view, ring, true));
+        });
+      case 'MultiPolygon':
+        return coordinates.forEach(polygon => this.drawGeometry(ctx, view, { type: 'Polygon', coordinates: polygon }, style, ratio));
+      case 'GeometryCollection':
+        return geometry.geometries.forEach(part => this.drawGeometry(ctx, view, part, style, ratio));
+      default:
+        return undefined;
+    }
+  }
+
+  tracePath(ctx, view, positions, close) {
+    positions.forEach((position, index) => {
+      const [x, y] = view.toCanvas(position);
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    if (close) ctx.closePath();
+  }
+
+  /**
+   * Fill and stroke a path with Leaflet path options (Leaflet defaults)
+   */
+  drawPath(ctx, style, ratio, kind, trace) {
+    const color = style.color || '#3388ff';
+    const fill = style.fill ?? kind !== 'line';
+    const stroke = style.stroke !== false;
+
+    ctx.beginPath();
+    trace();
+
+    if (fill) {
+      const hatch = parseHatchPattern(style.fillColor);
+      ctx.globalAlpha = style.fillOpacity ?? 0.2;
+      ctx.fillStyle = hatch ? hatchToCanvasPattern(ctx, hatch, ratio) : (style.fillColor || color);
+      ctx.fill('evenodd');
+    }
+
+    if (stroke) {
+      const dashes = String(style.dashArray || '').split(/[\s,]+/).map(Number).filter(n => n > 0);
+      ctx.globalAlpha = style.opacity ?? 1;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = (style.weight ?? 3) * ratio;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.setLineDash(dashes.map(n => n * ratio));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.globalAlpha = 1;
+  }
+
+  // ========================================
+  // PAGE ELEMENTS
+  // ========================================
+
+  setFont(ctx, sizeMm, pxPerMm, weight = 'normal') {
+    ctx.font = `${weight} ${sizeMm * pxPerMm}px ${FONT}`;
+  }
+
+  /**
+   * Text cut with an ellipsis to fit a width (px)
+   */
+  fitText(ctx, text, width) {
+    const value = String(text ?? '');
+    if (ctx.measureText(value).width <= width) return value;
+
+    let end = value.length;
+    while (end > 0 && ctx.measureText(`${value.slice(0, end)}…`).width > width) end--;
+    return `${value.slice(0, end)}…`;
+  }
+
+  drawTitle(ctx, frame, title, pxPerMm) {
+    this.setFont(ctx, 7, pxPerMm, 'bold');
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(this.fitText(ctx, title, frame.w * pxPerMm), frame.x * pxPerMm, (frame.y + frame.h / 2 - 1) * pxPerMm);
+  }
+
+  drawNorthArrow(ctx, view, pxPerMm) {
+    const size = 10 * pxPerMm;
+    const cx = view.x + view.w - 8 * pxPerMm;
+    const top = view.y + 5 * pxPerMm;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(cx - size / 2, top - 1 * pxPerMm, size, size + 5 * pxPerMm);
+
+    // Left half dark, right half light
+    ctx.lineWidth = 0.2 * pxPerMm;
+    ctx.strokeStyle = '#111827';
+    [['#111827', -1], ['#ffffff', 1]].forEach(([color, side]) => {
+      ctx.beginPath();
+      ctx.moveTo(cx, top + 4 * pxPerMm);
+      ctx.lineTo(cx + side * size * 0.3, top + size + 3 * pxPerMm);
+      ctx.lineTo(cx, top + size + 1.5 * pxPerMm);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    this.setFont(ctx, 3.5, pxPerMm, 'bold');
+    ctx.fillStyle = '#111827';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('N', cx, top);
+  }
+
+  drawScaleBar(ctx, view, pxPerMm) {
+    const segments = 4;
+    const meters = niceNumber(view.w * 0.25 * view.metersPerPixel);
+    const length = meters / view.metersPerPixel;
+    const height = 1.5 * pxPerMm;
+    const left = view.x + 5 * pxPerMm;
+    const bottom = view.y + view.h - 4 * pxPerMm;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(left - 2 * pxPerMm, bottom - height - 6 * pxPerMm, length + 10 * pxPerMm, height + 8 * pxPerMm);
+
+    ctx.lineWidth = 0.2 * pxPerMm;
+    ctx.strokeStyle = '#111827';
+    for (let i = 0; i < segments; i++) {
+      ctx.fillStyle = i % 2 === 0 ? '#111827' : '#ffffff';
+      ctx.fillRect(left + i * length / segments, bottom - height, length / segments, height);
+    }
+    ctx.strokeRect(left, bottom - height, length, height);
+
+    this.setFont(ctx, 2.5, pxPerMm);
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'center';
+    ctx.fillText('0', left, bottom - height - 0.8 * pxPerMm);
+    ctx.fillText(formatDistance(meters), left + length, bottom - height - 0.8 * pxPerMm);
+  }
+
+  /**
+   * Legend entries of a printed layer: { label, color, shape, indent }
+   */
+  getLegendEntries(layerName, features, rule, zoom) {
+    if (!rule) {
+      const { feature } = features[0];
+      const style = StyleManager.getFeatureStyle(feature);
+      const type = feature.geometry_type?.toUpperCase() || '';
+      return [{
+        label: `${features.length} entité(s)`,
+        color: style.fillColor || style.color,
+        stroke: style.color,
+        shape: type.includes('POINT') ? 'circle' : type.includes('LINE') ? 'line' : 'square',
+        indent: 0
+      }];
+    }
+
+    if (rule.type === 'ruleBased') {
+      const flatten = (items, indent) => items.flatMap(item => {
+        if (!StyleRuleEngine.isRuleInScale(item, zoom)) return [];
+        const symbol = item.symbols.find(s => s.type === 'fill' || s.type === 'marker') || item.symbols[0];
+        return [
+          {
+            label: item.label,
+            color: symbol?.type === 'line' ? null : symbol?.color,
+            stroke: symbol?.type === 'marker' ? symbol.strokeColor : item.symbols.find(s => s.type === 'line')?.color,
+            shape: symbol?.type === 'marker' ? 'circle' : symbol?.type === 'line' ? 'line' : 'square',
+            indent
+          },
+          ...flatten(item.children, indent + 1)
+        ];
+      });
+      return flatten(StyleRuleEngine.generateLegendItems(rule), 0);
+    }
+
+    return StyleRuleEngine.generateLegendItems(rule).map(item => ({
+      label: String(item.label),
+      color: item.color,
+      stroke: item.color,
+      shape: item.type === 'size' ? 'circle' : 'square',
+      indent: 0
+    }));
+  }
+
+  drawLegend(ctx, frame, features, pxPerMm, zoom) {
+    const rules = StateManager.getState('layers.styleRules') || {};
+    const byLayer = new Map();
+    features.forEach(item => {
+      const name = item.feature.layer_name || '';
+      if (!byLayer.has(name)) byLayer.set(name, []);
+      byLayer.get(name).push(item);
+    });
+
+    const x = frame.x * pxPerMm;
+    const width = frame.w * pxPerMm;
+    const bottom = (frame.y + frame.h) * pxPerMm;
+    const line = 4.5 * pxPerMm;
+    let y = frame.y * pxPerMm;
+
+    ctx.strokeStyle = '#d1d5db';
+    ctx.lineWidth = 0.2 * pxPerMm;
+    ctx.strokeRect(x, y, width, frame.h * pxPerMm);
+
+    const padding = 2.5 * pxPerMm;
+    y += padding;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    this.setFont(ctx, 4, pxPerMm, 'bold');
+    ctx.fillStyle = '#111827';
+    ctx.fillText('Légende', x + padding, y);
+    y += line * 1.4;
+
+    for (const [layerName, layerFeatures] of byLayer) {
+      const entries = this.getLegendEntries(layerName, layerFeatures, rules[layerName], zoom);
+      if (y + line * 2 > bottom) {
+        this.setFont(ctx, 3, pxPerMm);
+        ctx.fillText('…', x + padding, y);
+        return;
+      }
+
+      this.setFont(ctx, 3.2, pxPerMm, 'bold');
+      ctx.fillStyle = '#111827';
+      ctx.fillText(this.fitText(ctx, layerName, width - 2 * padding), x + padding, y);
+      y += line;
+
+      this.setFont(ctx, 2.8, pxPerMm);
+      for (const entry of entries) {
+        if (y + line > bottom - padding) {
+          ctx.fillStyle = '#6b7280';
+          ctx.fillText('…', x + padding, y);
+          return;
+        }
+        const left = x + padding + entry.indent * 3 * pxPerMm;
+        this.drawSwatch(ctx, entry, left, y, pxPerMm);
+        ctx.fillStyle = '#1f2937';
+        ctx.fillText(this.fitText(ctx, entry.label, x + width - padding - left - 7 * pxPerMm), left + 7 * pxPerMm, y + 0.3 * pxPerMm);
+        y += line;
+      }
+      y += line * 0.4;
+    }
+  }
+
+  drawSwatch(ctx, entry, x, y, pxPerMm) {
+    const w = 5 * pxPerMm;
+    const h = 3.2 * pxPerMm;
+    ctx.lineWidth = 0.3 * pxPerMm;
+    ctx.strokeStyle = entry.stroke || '#6b7280';
+    ctx.fillStyle = entry.color || 'transparent';
+
+    ctx.beginPath();
+    if (entry.shape === 'circle') {
+      ctx.arc(x + w / 2, y + h / 2, h / 2, 0, 2 * Math.PI);
+    } else if (entry.shape === 'line') {
+      ctx.lineWidth = 0.8 * pxPerMm;
+      ctx.moveTo(x, y + h / 2);
+      ctx.lineTo(x + w, y + h / 2);
+      ctx.stroke();
+      return;
+    } else {
+      ctx.rect(x, y, w, h);
+    }
+    if (entry.color) ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * Rows of the table: selected features of the layer, or all of them
+   */
+  getTableFeatures(layerName) {
+    const features = (StateManager.getState('layers.workspace') || [])
+      .filter(f => f.layer_name === layerName && GeometryEngine.getRecordGeometry(f));
+    const selected = new Set(StateManager.getState('selection.ids') || []);
+    const selection = features.filter(f => selected.has(f.id));
+    return selection.length > 0 ? selection : features;
+  }
+
+  drawTable(ctx, frame, layout, pxPerMm, warnings) {
+    const features = this.getTableFeatures(layout.tableLayer);
+    if (features.length === 0) {
+      warnings.push(`Tableau : aucune entité dans la couche ${layout.tableLayer}`);
+      return;
+    }
+
+    const fields = DataAnalyzer.getAllFields(features).slice(0, PAGE_LAYOUT.tableMaxColumns - 1);
+    const columns = [{ name: 'feature_name', label: 'Nom' }, ...fields.map(name => ({ name, label: name }))];
+    const maxRows = Number(layout.tableMaxRows);
+    const shown = features.length > maxRows ? features.slice(0, maxRows - 1) : features;
+
+    const x = frame.x * pxPerMm;
+    const rowHeight = PAGE_LAYOUT.tableRowHeight * pxPerMm;
+    const columnWidth = frame.w * pxPerMm / columns.length;
+    const padding = 1 * pxPerMm;
+    let y = frame.y * pxPerMm;
+
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.lineWidth = 0.15 * pxPerMm;
+    ctx.strokeStyle = '#d1d5db';
+
+    ctx.fillStyle = '#f3f4f6';
+    ctx.fillRect(x, y, frame.w * pxPerMm, rowHeight);
+    this.setFont(ctx, 2.6, pxPerMm, 'bold');
+    ctx.fillStyle = '#111827';
+    columns.forEach((column, index) => {
+      ctx.fillText(this.fitText(ctx, column.label, columnWidth - 2 * padding), x + index * columnWidth + padding, y + rowHeight / 2);
+    });
+    y += rowHeight;
+
+    this.setFont(ctx, 2.6, pxPerMm);
+    shown.forEach(feature => {
+      const properties = ExpressionEngine.parseProperties(feature);
+      columns.forEach((column, index) => {
+        const value = column.name === 'feature_name' ? feature.feature_name : properties[column.name];
+        const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : value;
+        ctx.fillText(this.fitText(ctx, text, columnWidth - 2 * padding), x + index * columnWidth + padding, y + rowHeight / 2);
+      });
+      ctx.beginPath();
+      ctx.moveTo(x, y + rowHeight);
+      ctx.lineTo(x + frame.w * pxPerMm, y + rowHeight);
+      ctx.stroke();
+      y += rowHeight;
+    });
+
+    if (shown.length < features.length) {
+      ctx.fillStyle = '#6b7280';
+      ctx.fillText(`… et ${features.length - shown.length} autre(s) entité(s)`, x + padding, y + rowHeight / 2);
+    }
+  }
+
+  drawFooter(ctx, frame, layout, scale, pxPerMm) {
+    const y = (frame.y + frame.h / 2) * pxPerMm;
+    const left = `Échelle 1:${scale.toLocaleString('fr-FR')} • WGS 84 / Pseudo-Mercator • ${new Date().toLocaleDateString('fr-FR')}`;
+
+    this.setFont(ctx, 2.5, pxPerMm);
+    ctx.fillStyle = '#4b5563';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(left, frame.x * pxPerMm, y);
+
+    if (layout.showAttribution) {
+      const basemap = BasemapProvider.getTileLayerProps(StateManager.getState('map.basemap') || 'osm');
+      const attribution = [stripHtml(basemap.attribution), layout.attributionText?.trim()].filter(Boolean).join(' • ');
+      const available = frame.w * pxPerMm - ctx.measureText(left).width - 5 * pxPerMm;
+      ctx.textAlign = 'right';
+      ctx.fillText(this.fitText(ctx, attribution, available), (frame.x + frame.w) * pxPerMm, y);
+    }
+  }
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  getFileName(layout) {
+    const base = (layout.title || 'carte')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return base || 'carte';
+  }
+
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Export the page as a PNG image
+   * @returns {Promise<string[]>} Warnings of the rendering
+   */
+  async exportPNG(layout) {
+    const { canvas, warnings } = await this.render(layout);
+    this.download(await toBlob(canvas, 'image/png'), `${this.getFileName(layout)}.png`);
+    return warnings;
+  }
+
+  /**
+   * Export the page as a one-page PDF (image of the page at the layout resolution)
+   * @returns {Promise<string[]>} Warnings of the rendering
+   */
+  async exportPDF(layout) {
+    const { canvas, warnings } = await this.render(layout);
+    const jpeg = new Uint8Array(await (await toBlob(canvas, 'image/jpeg', JPEG_QUALITY)).arrayBuffer());
+    const { width, height } = this.getPageSize(layout);
+
+    const pdf = createImagePdf(jpeg, {
+      width: canvas.width,
+      height: canvas.height,
+      pageWidth: width,
+      pageHeight: height,
+      title: layout.title
+    });
+    this.download(new Blob([pdf], { type: 'application/pdf' }), `${this.getFileName(layout)}.pdf`);
+    return warnings;
+  }
+
+  // ========================================
+  // TEMPLATES (GIS_PrintLayouts)
+  // ========================================
+
+  /**
+   * Load the saved layout templates
+   * @returns {Promise<Array<{ id, name, layout }>>}
+   */
+  async loadTemplates() {
+    const tableName = PRINT_LAYOUTS_SCHEMA.tableName;
+    const tables = await GristAPI.listTables();
+    if (!tables.includes(tableName)) {
+      this.templates = [];
+      return this.templates;
+    }
+
+    const rows = await GristAPI.fetchTable(tableName);
+    this.templates = rows
+      .filter(row => row.name)
+      .map(row => {
+        try {
+          return { id: row.id, name: row.name, layout: { ...DEFAULT_LAYOUT, ...JSON.parse(row.layout || '{}') } };
+        } catch (error) {
+          console.warn(`[PrintService] Invalid layout row ${row.id}:`, error);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+    return this.templates;
+  }
+
+  /**
+   * Save a layout under a name (replaces the template of the same name)
+   * @returns {Promise<Array>} Templates
+   */
+  async saveTemplate(name, layout) {
+    const templateName = name.trim();
+    if (!templateName) {
+      throw new Error('Nom de modèle requis');
+    }
+
+    const tableName = PRINT_LAYOUTS_SCHEMA.tableName;
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    const fields = {
+      layout: JSON.stringify(Object.fromEntries(Object.keys(DEFAULT_LAYOUT).map(key => [key, layout[key]]))),
+      updated_at: Math.floor(Date.now() / 1000)
+    };
+    const existing = this.templates.find(t => t.name === templateName);
+
+    await ActionJournal.group(`Mise en page: ${templateName}`, () => (
+      existing
+        ? GristAPI.updateRecords(tableName, [{ id: existing.id, ...fields }])
+        : GristAPI.addRecords(tableName, [{ name: templateName, ...fields }])
+    ));
+
+    return this.loadTemplates();
+  }
+
+  async deleteTemplate(id) {
+    const template = this.templates.find(t => t.id === id);
+    if (!template) return this.templates;
+
+    await ActionJournal.group(`Suppression mise en page: ${template.name}`, () =>
+      GristAPI.deleteRecords(PRINT_LAYOUTS_SCHEMA.tableName, [id])
+    );
+    return this.loadTemplates();
+  }
+}
+
+export default new PrintService();
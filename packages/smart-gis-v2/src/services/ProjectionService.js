@@ -0,0 +1,362 @@
+/**
+ * ProjectionService - In-browser coordinate reference systems (proj4)
+ *
+ * Features:
+ * - EPSG registry (config/crsDefinitions.js), extensible at runtime with
+ *   proj4 strings or OGC/ESRI WKT (.prj files, GeoPackage): a WKT equivalent
+ *   to a registered CRS resolves to its EPSG code, others get a custom code
+ * - CRS code parsing: 2154, "EPSG:2154", "urn:ogc:def:crs:EPSG::2154",
+ *   "http://www.opengis.net/def/crs/EPSG/0/2154", "CRS84"
+ * - GeoJSON geometry and (E)WKT reprojection
+ * - Source CRS detection on import (EWKT SRID, GeoJSON `crs` member)
+ *
+ * GIS_WorkSpace.geometry_wgs84 is always stored in EPSG:4326: imported data
+ * is reprojected to WGS84, the source CRS is kept as layer metadata.
+ */
+
+import proj4 from 'proj4';
+import { CRS_DEFINITIONS } from '../config/crsDefinitions';
+import { wktToGeoJSON, geoJSONToWKT } from '../utils/geometryConverters';
+import { extractSRID } from '../utils/geometry/wktParser';
+
+export const WGS84 = 4326;
+
+// Codes given to unidentified WKT definitions (not EPSG codes)
+const CUSTOM_CODE_BASE = 990000;
+
+// Max difference (degrees, ≈ 1 cm) for two CRS to be considered equivalent
+const EQUIVALENCE_TOLERANCE = 1e-7;
+
+// Rounding of output coordinates (≈ 1 mm)
+const GEOGRAPHIC_DECIMALS = 8;
+const PROJECTED_DECIMALS = 3;
+
+class ProjectionService {
+  constructor() {
+    this.definitions = new Map();
+    this.nextCustomCode = CUSTOM_CODE_BASE + 1;
+    CRS_DEFINITIONS.forEach(def => this.register(def.code, def.proj4, def));
+  }
+
+  /**
+   * Register a CRS (proj4 string or OGC WKT)
+   * @returns {number} EPSG code
+   */
+  register(code, definition, meta = {}) {
+    const epsg = this.normalizeCode(code);
+    if (epsg === null) {
+      throw new Error(`Code de système de coordonnées invalide: ${code}`);
+    }
+
+    proj4.defs(`EPSG:${epsg}`, definition);
+    this.definitions.set(epsg, {
+      code: epsg,
+      name: meta.name || `EPSG:${epsg}`,
+      group: meta.group || 'Personnalisé',
+      proj4: definition,
+      bbox: meta.bbox || null
+    });
+
+    return epsg;
+  }
+
+  /**
+   * Register a CRS given as OGC or ESRI WKT (.prj file, GeoPackage SRS)
+   *
+   * Resolution order: EPSG code (given, or root AUTHORITY/ID of the WKT) if
+   * registered, registered CRS giving the same coordinates, else a new
+   * custom code (group "Personnalisé", named after the WKT)
+   *
+   * @param {string} wkt - CRS WKT
+   * @param {number} epsgHint - EPSG code declared by the source, if any
+   * @returns {number} Code to use as source CRS
+   */
+  registerWKT(wkt, epsgHint = null) {
+    const text = String(wkt || '').trim();
+    const authority = text.match(/(?:AUTHORITY\[\s*"EPSG"\s*,\s*"?|ID\[\s*"EPSG"\s*,\s*)(\d+)"?\s*\]\s*\]$/i);
+    const declared = this.normalizeCode(epsgHint) || (authority ? parseInt(authority[1], 10) : null);
+
+    if (declared !== null && this.isSupported(declared)) {
+      return declared;
+    }
+
+    if (!text) {
+      throw new Error('Définition WKT du système de coordonnées vide');
+    }
+
+    let converter;
+    try {
+      converter = proj4(text, `EPSG:${WGS84}`);
+    } catch (error) {
+      throw new Error(`Système de coordonnées non reconnu: ${text.substring(0, 80)}`);
+    }
+
+    const equivalent = this.identify(converter);
+    if (equivalent !== null) {
+      return equivalent;
+    }
+
+    const name = text.match(/^\w+\[\s*"([^"]+)"/)?.[1] || 'Projection personnalisée';
+    const code = declared || this.nextCustomCode++;
+    return this.register(code, text, { name: declared ? name : `${name} (.prj)`, group: 'Personnalisé' });
+  }
+
+  /**
+   * Registered CRS equivalent to a converter (CRS → WGS84), null if none
+   * Compared on sample points of each CRS area of use
+   * @private
+   */
+  identify(converter) {
+    for (const def of this.definitions.values()) {
+      if (!def.bbox) continue;
+
+      const [west, south, east, north] = def.bbox;
+      const samples = [
+        [(west + east) / 2, (south + north) / 2],
+        [west + (east - west) / 4, south + (north - south) / 4],
+        [east - (east - west) / 4, north - (north - south) / 4]
+      ];
+
+      try {
+        const toCandidate = proj4(`EPSG:${WGS84}`, `EPSG:${def.code}`);
+        const equivalent = samples.every(sample => {
+          const [lon, lat] = converter.forward(toCandidate.forward(sample));
+          return Math.abs(lon - sample[0]) < EQUIVALENCE_TOLERANCE &&
+            Math.abs(lat - sample[1]) < EQUIVALENCE_TOLERANCE;
+        });
+        if (equivalent) return def.code;
+      } catch {
+        // Out of projection domain: not equivalent
+      }
+    }
+
+    return null;
+  }
+
+  isCustom(code) {
+    const epsg = this.normalizeCode(code);
+    return epsg !== null && epsg > CUSTOM_CODE_BASE && this.definitions.has(epsg) &&
+      this.definitions.get(epsg).group === 'Personnalisé';
+  }
+
+  /**
+   * Parse a CRS reference into an EPSG code (null if unrecognized)
+   */
+  normalizeCode(input) {
+    if (input === null || input === undefined || input === '') return null;
+    if (typeof input === 'number') return Number.isInteger(input) && input > 0 ? input : null;
+
+    const text = String(input).trim();
+    if (/^(urn:ogc:def:crs:OGC:(1\.3)?:?)?CRS:?84$/i.test(text) ||
+        /opengis\.net\/def\/crs\/OGC\/1\.3\/CRS84$/i.test(text)) {
+      return WGS84;
+    }
+
+    const match = text.match(/^(?:SRID=|EPSG:{1,2}|urn:ogc:def:crs:EPSG:[\d.]*:|https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/\d+\/)?(\d+)$/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * "EPSG:2154" (custom WKT definitions: their name, not a fake EPSG code)
+   */
+  formatCode(code) {
+    const epsg = this.normalizeCode(code);
+    if (epsg === null) return null;
+    return this.isCustom(epsg) ? this.definitions.get(epsg).name : `EPSG:${epsg}`;
+  }
+
+  isSupported(code) {
+    const epsg = this.normalizeCode(code);
+    return epsg !== null && this.definitions.has(epsg);
+  }
+
+  getDefinition(code) {
+    return this.definitions.get(this.normalizeCode(code)) || null;
+  }
+
+  getLabel(code) {
+    const def = this.getDefinition(code);
+    return def ? `${def.code} - ${def.name}` : (this.formatCode(code) || String(code));
+  }
+
+  /**
+   * Registered CRS grouped for selectors: { group: [definitions] }
+   */
+  getGroupedDefinitions() {
+    const groups = {};
+    this.definitions.forEach(def => {
+      (groups[def.group] = groups[def.group] || []).push(def);
+    });
+    return groups;
+  }
+
+  isGeographic(code) {
+    const epsg = this.normalizeCode(code);
+    const def = epsg !== null && proj4.defs(`EPSG:${epsg}`);
+    return !!def && def.projName === 'longlat';
+  }
+
+  /**
+   * Reproject a GeoJSON geometry
+   */
+  transformGeometry(geometry, sourceCode, targetCode) {
+    const source = this.requireCode(sourceCode, 'source');
+    const target = this.requireCode(targetCode, 'cible');
+
+    if (!geometry || source === target) return geometry;
+
+    const converter = proj4(`EPSG:${source}`, `EPSG:${target}`);
+    const decimals = this.isGeographic(target) ? GEOGRAPHIC_DECIMALS : PROJECTED_DECIMALS;
+    const factor = Math.pow(10, decimals);
+
+    const transformPosition = (position) => {
+      const [x, y] = converter.forward([position[0], position[1]]);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error(`Coordonnées hors du domaine de projection: ${position[0]} ${position[1]}`);
+      }
+      const result = [Math.round(x * factor) / factor, Math.round(y * factor) / factor];
+      return position.length > 2 ? [...result, ...position.slice(2)] : result;
+    };
+
+    return this.mapPositions(geometry, transformPosition);
+  }
+
+  toWGS84(geometry, sourceCode) {
+    return this.transformGeometry(geometry, sourceCode, WGS84);
+  }
+
+  /**
+   * Reproject (E)WKT; the EWKT SRID takes precedence over sourceCode
+   * @returns {string} Plain WKT in the target CRS
+   */
+  transformWKT(wkt, sourceCode, targetCode = WGS84) {
+    const source = this.getWKTSource(wkt, sourceCode);
+    const geometry = wktToGeoJSON(wkt);
+    if (!geometry) {
+      throw new Error(`WKT invalide: ${String(wkt).substring(0, 50)}`);
+    }
+
+    return geoJSONToWKT(this.transformGeometry(geometry, source, targetCode));
+  }
+
+  /**
+   * Source CRS of a WKT: EWKT SRID, else the given default
+   */
+  getWKTSource(wkt, defaultCode = WGS84) {
+    return typeof wkt === 'string' && /^\s*SRID=\d+;/i.test(wkt)
+      ? extractSRID(wkt.trim())
+      : defaultCode;
+  }
+
+  /**
+   * EWKT in a given CRS
+   */
+  toEWKT(geometry, code) {
+    return `SRID=${this.normalizeCode(code)};${geoJSONToWKT(geometry)}`;
+  }
+
+  /**
+   * Reproject parsed import features ({ geometry: (E)WKT, source_crs? }) to WGS84
+   *
+   * Source of each feature: EWKT SRID, then feature.source_crs (GeoJSON `crs`
+   * member), then the chosen CRS. 'auto' means WGS84 and rejects coordinates
+   * that are not longitude/latitude instead of guessing a projection.
+   *
+   * @returns {{ features: Array, sourceCrs: number }} sourceCrs: most frequent source
+   */
+  reprojectFeatures(features, chosenCode = 'auto') {
+    const chosen = chosenCode === 'auto' || !chosenCode ? null : this.requireCode(chosenCode, 'source');
+    const counts = new Map();
+
+    const reprojected = features.map((feature, idx) => {
+      const defaultSource = this.normalizeCode(feature.source_crs) || chosen || WGS84;
+      const source = this.getWKTSource(feature.geometry, defaultSource);
+      counts.set(source, (counts.get(source) || 0) + 1);
+
+      const geometry = wktToGeoJSON(feature.geometry);
+      if (!geometry) return feature;
+
+      if (source === WGS84) {
+        if (!chosen && !this.looksGeographic(geometry)) {
+          throw new Error(
+            `Feature ${idx + 1}: coordonnées hors longitude/latitude. ` +
+            'Choisissez le système de coordonnées source (ex: 2154 - Lambert-93).'
+          );
+        }
+        return feature;
+      }
+
+      return { ...feature, geometry: geoJSONToWKT(this.toWGS84(geometry, source)) };
+    });
+
+    let sourceCrs = chosen || WGS84;
+    let maxCount = 0;
+    counts.forEach((count, code) => {
+      if (count > maxCount) {
+        sourceCrs = code;
+        maxCount = count;
+      }
+    });
+
+    return { features: reprojected, sourceCrs };
+  }
+
+  /**
+   * CRS declared by a GeoJSON object (2008 `crs` member), null if absent
+   */
+  detectGeoJSONCRS(geojson) {
+    const name = geojson?.crs?.properties?.name;
+    return name ? this.normalizeCode(name) : null;
+  }
+
+  /**
+   * True if all positions are valid longitude/latitude values
+   */
+  looksGeographic(geometry) {
+    let valid = true;
+    this.mapPositions(geometry, (position) => {
+      if (Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90) valid = false;
+      return position;
+    });
+    return valid;
+  }
+
+  /**
+   * Apply fn to every position of a geometry (returns a new geometry)
+   * @private
+   */
+  mapPositions(geometry, fn) {
+    switch (geometry.type) {
+      case 'Point':
+        return { ...geometry, coordinates: fn(geometry.coordinates) };
+      case 'MultiPoint':
+      case 'LineString':
+        return { ...geometry, coordinates: geometry.coordinates.map(fn) };
+      case 'MultiLineString':
+      case 'Polygon':
+        return { ...geometry, coordinates: geometry.coordinates.map(ring => ring.map(fn)) };
+      case 'MultiPolygon':
+        return {
+          ...geometry,
+          coordinates: geometry.coordinates.map(polygon => polygon.map(ring => ring.map(fn)))
+        };
+      case 'GeometryCollection':
+        return { ...geometry, geometries: geometry.geometries.map(g => this.mapPositions(g, fn)) };
+      default:
+        throw new Error(`Type de géométrie non supporté: ${geometry.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  requireCode(code, role) {
+    const epsg = this.normalizeCode(code);
+    if (epsg === null || !proj4.defs(`EPSG:${epsg}`)) {
+      throw new Error(`Système de coordonnées ${role} inconnu: ${code}`);
+    }
+    return epsg;
+  }
+}
+
+export default new ProjectionService();
@@ -0,0 +1,734 @@
+/**
+ * RasterLayerService - WMS / WMTS overlays (thematic rasters: zoning plans,
+ * flood risk maps...)
+ *
+ * - getCapabilities(url): service type and layers with their styles, image
+ *   formats and time dimension (WMS 1.3.0 / 1.1.1, WMTS 1.0.0)
+ * - overlays: drawn above the basemap and below the vector layers, with an
+ *   opacity and an order. Published in 'layers.raster' and persisted as
+ *   `raster_source` metadata rows of the feature table (LayerMetadataService)
+ * - getFeatureInfo(view): GetFeatureInfo of the visible, queryable overlays
+ *   at a clicked point
+ *
+ * Leaflet only requests Web Mercator: WMS layers must accept EPSG:3857 and
+ * WMTS layers need a tile matrix set in EPSG:3857 with 256 px tiles
+ * (GoogleMapsCompatible); other layers are listed but cannot be added.
+ */
+
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import LayerMetadataService from './LayerMetadataService';
+import { buildServiceUrl } from './OGCFeatureService';
+import { findAll, children, child, textOf, hrefOf } from '../utils/xml';
+
+export const RASTER_TYPES = {
+  wms: 'WMS',
+  wmts: 'WMTS'
+};
+
+const WEB_MERCATOR_CRS = /(^|:)(3857|900913|3785|102100)$/;
+
+// Scale denominator of zoom level 0 for 256 px tiles (0.28 mm OGC pixel)
+const WEB_MERCATOR_SCALE_Z0 = 559082264.0287178;
+
+const TILE_SIZE = 256;
+
+// Image formats, by preference (transparent first)
+const IMAGE_FORMATS = ['image/png', 'image/png8', 'image/webp', 'image/jpeg'];
+
+// GetFeatureInfo formats, by preference
+const INFO_FORMATS = ['application/json', 'application/geo+json', 'application/vnd.geo+json', 'text/plain', 'text/html'];
+
+const FEATURE_INFO_COUNT = 10;
+
+// Opacity slider: one Grist write once the user stops moving it
+const SAVE_DELAY_MS = 500;
+
+class RasterLayerService {
+  constructor() {
+    this.saveTimers = new Map();
+  }
+
+  // ========================================
+  // CAPABILITIES
+  // ========================================
+
+  /**
+   * Read the GetCapabilities of a WMS or WMTS service
+   *
+   * @param {string} url - Service URL (with or without GetCapabilities parameters)
+   * @returns {Promise<{ type, version, title, endpoint, infoEndpoint, layers }>}
+   */
+  async getCapabilities(url) {
+    const base = new URL(url.trim());
+    const declared = (base.searchParams.get('SERVICE') || base.searchParams.get('service') || '').toUpperCase();
+    const looksWMTS = declared === 'WMTS' || /wmts/i.test(base.pathname);
+
+    const attempts = looksWMTS ? ['WMTS', 'WMS'] : ['WMS', 'WMTS'];
+    let lastError = null;
+
+    for (const service of attempts) {
+      try {
+        const response = await fetch(buildServiceUrl(stripOGCParams(base), {
+          SERVICE: service,
+          REQUEST: 'GetCapabilities'
+        }));
+        if (!response.ok) throw new Error(`${service}: HTTP ${response.status}`);
+        return this.parseCapabilities(await response.text(), stripOGCParams(base));
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw new Error(`Service WMS/WMTS introuvable: ${lastError?.message || url}`);
+  }
+
+  /**
+   * Parse a WMS or WMTS capabilities document
+   *
+   * @param {string} xmlText
+   * @param {string} url - Service URL (fallback endpoint)
+   */
+  parseCapabilities(xmlText, url) {
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    const root = doc.documentElement;
+
+    if (!root || root.localName === 'parsererror' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('GetCapabilities illisible');
+    }
+    if (root.localName === 'ServiceExceptionReport' || root.localName === 'ExceptionReport') {
+      const message = textOf(findAll(root, 'ServiceException')[0] || findAll(root, 'ExceptionText')[0]);
+      throw new Error(message || 'exception du service');
+    }
+    if (root.localName === 'WMS_Capabilities' || root.localName === 'WMT_MS_Capabilities') {
+      return this.parseWMSCapabilities(root, url);
+    }
+    if (root.localName === 'Capabilities' && child(root, 'Contents')) {
+      return this.parseWMTSCapabilities(root, url);
+    }
+    throw new Error(`document inattendu <${root.localName}>`);
+  }
+
+  /**
+   * @private
+   */
+  parseWMSCapabilities(root, url) {
+    const version = root.getAttribute('version') || '1.3.0';
+    const isV13 = version.startsWith('1.3');
+    const capability = child(root, 'Capability');
+    const request = child(capability, 'Request');
+    const getMap = child(request, 'GetMap');
+    const getFeatureInfo = child(request, 'GetFeatureInfo');
+
+    const formats = sortByPreference(
+      children(getMap, 'Format').map(textOf).filter(f => f.startsWith('image/')),
+      IMAGE_FORMATS
+    );
+    const infoFormats = getFeatureInfo ? children(getFeatureInfo, 'Format').map(textOf) : [];
+
+    const layers = [];
+
+    // Styles, CRS, dimensions, extent and queryable are inherited by sub-layers
+    const walk = (node, inherited) => {
+      const crs = [
+        ...inherited.crs,
+        ...children(node, isV13 ? 'CRS' : 'SRS').flatMap(n => textOf(n).split(/\s+/))
+      ];
+      const ownStyles = children(node, 'Style').map(style => ({
+        id: textOf(child(style, 'Name')),
+        title: textOf(child(style, 'Title')),
+        legendUrl: hrefOf(child(child(style, 'LegendURL') || style, 'OnlineResource'))
+      }));
+      // Own styles first: the first style is the one selected by default
+      const styles = [
+        ...ownStyles,
+        ...inherited.styles.filter(s => !ownStyles.some(own => own.id === s.id))
+      ];
+      const queryable = node.hasAttribute('queryable')
+        ? node.getAttribute('queryable') === '1'
+        : inherited.queryable;
+      const time = wmsTimeDimension(node) || inherited.time;
+      const bbox = wmsGeographicBBox(node) || inherited.bbox;
+
+      const name = textOf(child(node, 'Name'));
+      if (name) {
+        layers.push({
+          id: name,
+          title: textOf(child(node, 'Title')) || name,
+          description: textOf(child(node, 'Abstract')),
+          styles,
+          formats,
+          time,
+          queryable: queryable && Boolean(chooseInfoFormat(infoFormats)),
+          webMercator: crs.some(code => WEB_MERCATOR_CRS.test(code)),
+          bbox
+        });
+      }
+
+      children(node, 'Layer').forEach(sub => walk(sub, { crs, styles, queryable, time, bbox }));
+    };
+
+    children(capability, 'Layer').forEach(layer => walk(layer, {
+      crs: [], styles: [], queryable: false, time: null, bbox: null
+    }));
+
+    return {
+      type: 'wms',
+      version: isV13 ? '1.3.0' : '1.1.1',
+      title: textOf(child(child(root, 'Service'), 'Title')),
+      endpoint: operationUrl(getMap) || url,
+      infoEndpoint: operationUrl(getFeatureInfo) || operationUrl(getMap) || url,
+      infoFormat: chooseInfoFormat(infoFormats),
+      layers
+    };
+  }
+
+  /**
+   * @private
+   */
+  parseWMTSCapabilities(root, url) {
+    const contents = child(root, 'Contents');
+
+    const matrixSets = {};
+    children(contents, 'TileMatrixSet').forEach(set => {
+      const matrix = webMercatorMatrix(set);
+      if (matrix) matrixSets[textOf(child(set, 'Identifier'))] = matrix;
+    });
+
+    const operations = findAll(root, 'Operation');
+    const getTile = operations.find(op => op.getAttribute('name') === 'GetTile');
+    const kvpEndpoint = getTile ? hrefOf(findAll(getTile, 'Get')[0]) : '';
+    const hasFeatureInfo = operations.some(op => op.getAttribute('name') === 'GetFeatureInfo');
+
+    const layers = children(contents, 'Layer').map(layer => {
+      const id = textOf(child(layer, 'Identifier'));
+      const styles = children(layer, 'Style').map(style => ({
+        id: textOf(child(style, 'Identifier')),
+        title: textOf(child(style, 'Title')),
+        legendUrl: hrefOf(child(style, 'LegendURL')),
+        isDefault: style.getAttribute('isDefault') === 'true'
+      }));
+      styles.sort((a, b) => b.isDefault - a.isDefault);
+
+      const resources = children(layer, 'ResourceURL').map(resource => ({
+        format: resource.getAttribute('format'),
+        type: resource.getAttribute('resourceType'),
+        template: resource.getAttribute('template')
+      }));
+
+      const dimensions = {};
+      let time = null;
+      children(layer, 'Dimension').forEach(dimension => {
+        const identifier = textOf(child(dimension, 'Identifier'));
+        const values = children(dimension, 'Value').map(textOf);
+        const defaultValue = textOf(child(dimension, 'Default')) || values[values.length - 1] || '';
+        if (/^time$/i.test(identifier)) {
+          time = { default: defaultValue, values, extent: values.join(',') };
+        } else {
+          dimensions[identifier] = defaultValue;
+        }
+      });
+
+      const setId = children(layer, 'TileMatrixSetLink')
+        .map(link => textOf(child(link, 'TileMatrixSet')))
+        .find(linked => matrixSets[linked]);
+
+      const infoFormats = children(layer, 'InfoFormat').map(textOf);
+      const infoFormat = chooseInfoFormat(infoFormats);
+      const infoTemplate = resources.find(r => r.type === 'FeatureInfo' && r.format === infoFormat)?.template || null;
+
+      return {
+        id,
+        title: textOf(child(layer, 'Title')) || id,
+        description: textOf(child(layer, 'Abstract')),
+        styles,
+        formats: sortByPreference(children(layer, 'Format').map(textOf), IMAGE_FORMATS),
+        time,
+        queryable: Boolean(infoFormat) && (hasFeatureInfo || Boolean(infoTemplate)),
+        webMercator: Boolean(setId),
+        bbox: wmtsGeographicBBox(layer),
+        wmts: setId ? {
+          matrixSet: setId,
+          ...matrixSets[setId],
+          dimensions,
+          resources,
+          infoFormat,
+          infoTemplate
+        } : null
+      };
+    });
+
+    const identification = child(root, 'ServiceIdentification');
+
+    return {
+      type: 'wmts',
+      version: '1.0.0',
+      title: identification ? textOf(child(identification, 'Title')) : '',
+      endpoint: kvpEndpoint || url,
+      infoEndpoint: kvpEndpoint || url,
+      infoFormat: null,
+      layers
+    };
+  }
+
+  // ========================================
+  // OVERLAYS
+  // ========================================
+
+  getOverlays() {
+    return StateManager.getState('layers.raster') || [];
+  }
+
+  /**
+   * Overlays sorted from bottom to top
+   */
+  getSortedOverlays() {
+    return [...this.getOverlays()].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Add a layer of a capabilities document as an overlay (on top of the
+   * other overlays) and persist it
+   *
+   * @param {Object} capabilities - Result of getCapabilities()
+   * @param {Object} layer - One of capabilities.layers
+   * @param {{ name, style, format, time }} options
+   */
+  async addOverlay(capabilities, layer, options = {}) {
+    if (!layer.webMercator) {
+      throw new Error(`La couche ${layer.id} n'est pas disponible en Web Mercator (EPSG:3857)`);
+    }
+
+    const overlays = this.getOverlays();
+    const format = options.format || layer.formats[0] || 'image/png';
+    const overlay = {
+      name: LayerMetadataService.uniqueLayerName(options.name || layer.title || layer.id),
+      type: capabilities.type,
+      version: capabilities.version,
+      title: layer.title,
+      serviceTitle: capabilities.title,
+      url: capabilities.endpoint,
+      layer: layer.id,
+      style: options.style ?? layer.styles[0]?.id ?? '',
+      format,
+      transparent: format !== 'image/jpeg',
+      time: options.time ?? layer.time?.default ?? '',
+      opacity: 1,
+      visible: true,
+      order: overlays.reduce((max, o) => Math.max(max, o.order), 0) + 1,
+      queryable: layer.queryable,
+      bbox: layer.bbox
+    };
+
+    if (capabilities.type === 'wms') {
+      overlay.infoUrl = capabilities.infoEndpoint;
+      overlay.infoFormat = capabilities.infoFormat;
+    } else {
+      const { matrixSet, matrixIds, minZoom, maxZoom, dimensions, resources, infoFormat, infoTemplate } = layer.wmts;
+      const tileTemplate = resources.find(r => r.type === 'tile' && r.format === format)?.template || null;
+      Object.assign(overlay, {
+        matrixSet, matrixIds, minZoom, maxZoom, dimensions, infoFormat, infoTemplate, tileTemplate
+      });
+    }
+
+    StateManager.setState('layers.raster', [...overlays, overlay], `Add raster: ${overlay.name}`);
+    await ActionJournal.group(`Raster: ${overlay.name}`, () => this.persist(overlay));
+    console.log(`[RasterLayerService] Overlay "${overlay.name}" added (${RASTER_TYPES[overlay.type]} ${overlay.layer})`);
+
+    return overlay;
+  }
+
+  /**
+   * Update an overlay (visibility, opacity, style, time...)
+   *
+   * @param {boolean} [debounced] - Persist once the changes stop (sliders)
+   */
+  async updateOverlay(name, changes, { debounced = false } = {}) {
+    const overlays = this.getOverlays().map(o => (o.name === name ? { ...o, ...changes } : o));
+    const overlay = overlays.find(o => o.name === name);
+    if (!overlay) return;
+
+    StateManager.setState('layers.raster', overlays, `Update raster: ${name}`);
+
+    clearTimeout(this.saveTimers.get(name));
+    if (!debounced) {
+      this.saveTimers.delete(name);
+      await ActionJournal.group(`Raster: ${name}`, () => this.persist(overlay));
+      return;
+    }
+
+    this.saveTimers.set(name, setTimeout(() => {
+      this.saveTimers.delete(name);
+      const latest = this.getOverlays().find(o => o.name === name);
+      if (!latest) return;
+      ActionJournal.group(`Raster: ${name}`, () => this.persist(latest)).catch(error => {
+        console.error(`[RasterLayerService] Failed to save overlay "${name}":`, error);
+      });
+    }, SAVE_DELAY_MS));
+  }
+
+  /**
+   * Move an overlay one step up (+1) or down (-1) in the drawing order
+   */
+  async moveOverlay(name, direction) {
+    const sorted = this.getSortedOverlays();
+    const index = sorted.findIndex(o => o.name === name);
+    const target = sorted[index + direction];
+    if (index < 0 || !target) return;
+
+    const current = sorted[index];
+    const overlays = this.getOverlays().map(o => {
+      if (o.name === current.name) return { ...o, order: target.order };
+      if (o.name === target.name) return { ...o, order: current.order };
+      return o;
+    });
+
+    StateManager.setState('layers.raster', overlays, `Reorder raster: ${name}`);
+    await ActionJournal.group(`Ordre des rasters: ${name}`, async () => {
+      for (const overlay of overlays.filter(o => o.name === current.name || o.name === target.name)) {
+        await this.persist(overlay);
+      }
+    });
+  }
+
+  async removeOverlay(name) {
+    clearTimeout(this.saveTimers.get(name));
+    this.saveTimers.delete(name);
+
+    StateManager.setState('layers.raster', this.getOverlays().filter(o => o.name !== name), `Remove raster: ${name}`);
+    await ActionJournal.group(`Suppression raster: ${name}`, () => (
+      LayerMetadataService.clearMetadata(name, 'raster_source')
+    ));
+  }
+
+  /**
+   * Save an overlay in its metadata row (state already updated by the caller)
+   */
+  persist(overlay) {
+    const { name, ...definition } = overlay;
+    return LayerMetadataService.saveMetadata(name, { raster_source: JSON.stringify(definition) });
+  }
+
+  // ========================================
+  // TILE URLS
+  // ========================================
+
+  /**
+   * Leaflet URL template of a WMTS overlay ({tileMatrix} is resolved by the
+   * `tileMatrix` option of getWMTSOptions)
+   */
+  getTileUrl(overlay) {
+    if (overlay.tileTemplate) {
+      return fillTemplate(overlay.tileTemplate, overlay, {
+        TileMatrix: '{tileMatrix}',
+        TileRow: '{y}',
+        TileCol: '{x}'
+      });
+    }
+
+    return `${buildServiceUrl(overlay.url, {
+      SERVICE: 'WMTS',
+      REQUEST: 'GetTile',
+      VERSION: '1.0.0',
+      LAYER: overlay.layer,
+      STYLE: overlay.style || 'default',
+      FORMAT: overlay.format,
+      TILEMATRIXSET: overlay.matrixSet,
+      TIME: overlay.time,
+      ...overlay.dimensions
+    })}&TILEMATRIX={tileMatrix}&TILEROW={y}&TILECOL={x}`;
+  }
+
+  /**
+   * Leaflet TileLayer options of a WMTS overlay
+   */
+  getWMTSOptions(overlay) {
+    return {
+      tileMatrix: (data) => overlay.matrixIds[data.z],
+      minNativeZoom: overlay.minZoom,
+      maxNativeZoom: overlay.maxZoom
+    };
+  }
+
+  // ========================================
+  // GETFEATUREINFO
+  // ========================================
+
+  /**
+   * GetFeatureInfo URL of an overlay for a clicked point
+   *
+   * @param {Object} overlay
+   * @param {Object} view - { latlng: {lat, lng}, zoom, bbox: [minx, miny, maxx, maxy]
+   *   (EPSG:3857), width, height, x, y (clicked pixel in the map container) }
+   */
+  buildFeatureInfoUrl(overlay, view) {
+    if (overlay.type === 'wms') {
+      const isV13 = overlay.version !== '1.1.1';
+      return withParams(overlay.infoUrl || overlay.url, {
+        SERVICE: 'WMS',
+        VERSION: overlay.version,
+        REQUEST: 'GetFeatureInfo',
+        LAYERS: overlay.layer,
+        QUERY_LAYERS: overlay.layer,
+        STYLES: overlay.style || '',
+        FORMAT: overlay.format,
+        TRANSPARENT: 'TRUE',
+        [isV13 ? 'CRS' : 'SRS']: 'EPSG:3857',
+        BBOX: view.bbox.join(','),
+        WIDTH: Math.round(view.width),
+        HEIGHT: Math.round(view.height),
+        [isV13 ? 'I' : 'X']: Math.round(view.x),
+        [isV13 ? 'J' : 'Y']: Math.round(view.y),
+        INFO_FORMAT: overlay.infoFormat,
+        FEATURE_COUNT: FEATURE_INFO_COUNT,
+        TIME: overlay.time || undefined
+      });
+    }
+
+    // WMTS: tile and pixel of the point at the nearest native zoom
+    const zoom = Math.min(Math.max(Math.round(view.zoom), overlay.minZoom), overlay.maxZoom);
+    const pixel = projectToPixel(view.latlng, zoom);
+    const tile = {
+      TileMatrix: overlay.matrixIds[zoom],
+      TileCol: Math.floor(pixel.x / TILE_SIZE),
+      TileRow: Math.floor(pixel.y / TILE_SIZE),
+      I: Math.floor(pixel.x % TILE_SIZE),
+      J: Math.floor(pixel.y % TILE_SIZE)
+    };
+
+    if (overlay.infoTemplate) {
+      return fillTemplate(overlay.infoTemplate, overlay, tile);
+    }
+
+    return buildServiceUrl(overlay.url, {
+      SERVICE: 'WMTS',
+      REQUEST: 'GetFeatureInfo',
+      VERSION: '1.0.0',
+      LAYER: overlay.layer,
+      STYLE: overlay.style || 'default',
+      FORMAT: overlay.format,
+      TILEMATRIXSET: overlay.matrixSet,
+      TILEMATRIX: tile.TileMatrix,
+      TILEROW: tile.TileRow,
+      TILECOL: tile.TileCol,
+      I: tile.I,
+      J: tile.J,
+      INFOFORMAT: overlay.infoFormat,
+      TIME: overlay.time,
+      ...overlay.dimensions
+    });
+  }
+
+  /**
+   * Query the visible, queryable overlays at a clicked point (top overlay
+   * first). Overlays without result are left out.
+   *
+   * @returns {Promise<Array<{ name, features?, text?, html?, error? }>>}
+   */
+  async getFeatureInfo(view) {
+    const overlays = this.getSortedOverlays()
+      .filter(o => o.visible && o.queryable && o.infoFormat)
+      .reverse();
+
+    const results = await Promise.all(overlays.map(async (overlay) => {
+      try {
+        const info = await this.queryOverlay(overlay, view);
+        return info ? { name: overlay.name, ...info } : null;
+      } catch (error) {
+        console.warn(`[RasterLayerService] GetFeatureInfo failed for "${overlay.name}":`, error);
+        return { name: overlay.name, error: error.message };
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  async queryOverlay(overlay, view) {
+    const response = await fetch(this.buildFeatureInfoUrl(overlay, view));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const contentType = response.headers.get('content-type') || overlay.infoFormat;
+    const body = await response.text();
+
+    if (/json/i.test(contentType)) {
+      const json = JSON.parse(body);
+      const features = (json.features || []).map(feature => ({
+        id: feature.id,
+        properties: feature.properties || {}
+      }));
+      return features.length > 0 ? { features } : null;
+    }
+
+    // Service exceptions come back as XML with a 200 status
+    if (/xml/i.test(contentType)) {
+      throw new Error(textOf(findAll(new DOMParser().parseFromString(body, 'text/xml'), 'ServiceException')[0]) ||
+        'réponse XML non supportée');
+    }
+
+    if (/html/i.test(contentType)) {
+      // Empty results are often an HTML page without any text
+      const text = body.replace(/<(script|style)[\s\S]*?<\/\1>/gi, '').replace(/<[^>]+>/g, '').trim();
+      return text ? { html: body } : null;
+    }
+
+    const text = body.trim();
+    return text && !/no features were found/i.test(text) ? { text } : null;
+  }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Service URL without the OGC request parameters (kept: vendor parameters
+ * such as "map=project.map")
+ */
+function stripOGCParams(url) {
+  const result = new URL(url.toString());
+  [...result.searchParams.keys()]
+    .filter(key => /^(service|request|version|acceptversions)$/i.test(key))
+    .forEach(key => result.searchParams.delete(key));
+  return result.toString();
+}
+
+/**
+ * Like buildServiceUrl, but keeps empty values (STYLES= is mandatory in WMS)
+ */
+function withParams(url, params) {
+  const result = new URL(url);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      result.searchParams.set(key, value);
+    }
+  });
+  return result.toString();
+}
+
+/**
+ * GET URL of a capabilities operation (DCPType/HTTP/Get/OnlineResource)
+ */
+function operationUrl(operation) {
+  if (!operation) return '';
+  const get = findAll(operation, 'Get')[0];
+  if (!get) return '';
+  return hrefOf(child(get, 'OnlineResource')) || hrefOf(get);
+}
+
+function sortByPreference(values, preferred) {
+  const rank = (value) => {
+    const index = preferred.indexOf(value);
+    return index === -1 ? preferred.length : index;
+  };
+  return [...new Set(values)].sort((a, b) => rank(a) - rank(b));
+}
+
+function chooseInfoFormat(formats) {
+  return INFO_FORMATS.find(format => formats.includes(format)) ||
+    formats.find(format => /json/i.test(format)) ||
+    null;
+}
+
+/**
+ * Time dimension of a WMS layer: <Dimension name="time"> (1.3.0) or
+ * <Extent name="time"> (1.1.1). Values are a list ("2020,2021") or
+ * intervals ("2018-01-01/2020-12-31/P1D"), kept as typed text.
+ */
+function wmsTimeDimension(node) {
+  const isTime = (n) => /^time$/i.test(n.getAttribute('name') || '');
+  const dimension = children(node, 'Dimension').find(isTime);
+  const extent = children(node, 'Extent').find(isTime);
+  const extentText = textOf(extent) || textOf(dimension);
+  if (!dimension && !extent) return null;
+
+  const list = extentText.split(',').map(value => value.trim()).filter(Boolean);
+  const values = list.every(value => !value.includes('/')) ? list : [];
+  const defaultValue = extent?.getAttribute('default') || dimension?.getAttribute('default') ||
+    values[values.length - 1] || '';
+
+  return { default: defaultValue, values, extent: extentText };
+}
+
+/**
+ * [west, south, east, north] in WGS84
+ */
+function wmsGeographicBBox(node) {
+  const ex = child(node, 'EX_GeographicBoundingBox');
+  if (ex) {
+    return ['westBoundLongitude', 'southBoundLatitude', 'eastBoundLongitude', 'northBoundLatitude']
+      .map(name => parseFloat(textOf(child(ex, name))));
+  }
+  const latLon = child(node, 'LatLonBoundingBox');
+  if (latLon) {
+    return ['minx', 'miny', 'maxx', 'maxy'].map(name => parseFloat(latLon.getAttribute(name)));
+  }
+  return null;
+}
+
+function wmtsGeographicBBox(layer) {
+  const box = child(layer, 'WGS84BoundingBox');
+  if (!box) return null;
+  const [west, south] = textOf(child(box, 'LowerCorner')).split(/\s+/).map(parseFloat);
+  const [east, north] = textOf(child(box, 'UpperCorner')).split(/\s+/).map(parseFloat);
+  return [west, south, east, north];
+}
+
+/**
+ * Zoom level → TileMatrix identifier of a Web Mercator matrix set, from the
+ * scale denominators (null if the set is not usable by Leaflet)
+ */
+function webMercatorMatrix(set) {
+  if (!WEB_MERCATOR_CRS.test(textOf(child(set, 'SupportedCRS')))) return null;
+
+  const matrixIds = {};
+  children(set, 'TileMatrix').forEach(matrix => {
+    const tileWidth = parseInt(textOf(child(matrix, 'TileWidth')), 10) || TILE_SIZE;
+    const exactZoom = Math.log2(WEB_MERCATOR_SCALE_Z0 / parseFloat(textOf(child(matrix, 'ScaleDenominator'))));
+    const zoom = Math.round(exactZoom);
+    if (tileWidth === TILE_SIZE && Math.abs(exactZoom - zoom) < 0.01 && zoom >= 0) {
+      matrixIds[zoom] = textOf(child(matrix, 'Identifier'));
+    }
+  });
+
+  const zooms = Object.keys(matrixIds).map(Number);
+  if (zooms.length === 0) return null;
+
+  return { matrixIds, minZoom: Math.min(...zooms), maxZoom: Math.max(...zooms) };
+}
+
+/**
+ * Fill a WMTS RESTful template ({TileMatrixSet}, {Style}, {Time}, other
+ * dimensions, and the tile variables given in `values`)
+ */
+function fillTemplate(template, overlay, values) {
+  const lookup = {
+    tilematrixset: overlay.matrixSet,
+    style: overlay.style || 'default',
+    time: overlay.time
+  };
+  Object.entries({ ...overlay.dimensions, ...values }).forEach(([key, value]) => {
+    lookup[key.toLowerCase()] = value;
+  });
+
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = lookup[key.toLowerCase()];
+    return value === undefined || value === null ? match : String(value);
+  });
+}
+
+/**
+ * Web Mercator pixel coordinates of a point at a zoom level (256 px tiles)
+ */
+function projectToPixel({ lat, lng }, zoom) {
+  const size = TILE_SIZE * Math.pow(2, zoom);
+  const sin = Math.sin(lat * Math.PI / 180);
+  return {
+    x: (lng + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+}
+
+export default new RasterLayerService();
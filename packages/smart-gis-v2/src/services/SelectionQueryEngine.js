@@ -4,10 +4,13 @@
  * Features:
  * - Multi-condition queries (AND/OR)
  * - Multiple operators (=, !=, >, <, LIKE, IN, BETWEEN, etc.)
+ * - Expression conditions: { expression: "pop / area() > 100" } (ExpressionEngine)
  * - Safe evaluation
  * - SQL-like query building
  */
 
+import ExpressionEngine from './ExpressionEngine';
+
 class SelectionQueryEngine {
   /**
    * Execute a query on features
@@ -36,7 +39,7 @@ class SelectionQueryEngine {
         : (feature.properties || {});
 
       const results = conditions.map(condition => {
-        return this.evaluateCondition(properties, condition);
+        return this.evaluateCondition(properties, condition, feature);
       });
 
       return operator === 'AND'
@@ -51,7 +54,11 @@ class SelectionQueryEngine {
   /**
    * Evaluate a single condition
    */
-  evaluateCondition(properties, condition) {
+  evaluateCondition(properties, condition, feature = {}) {
+    if (condition.expression != null) {
+      return this.evaluateExpressionCondition(properties, condition.expression, feature);
+    }
+
     const { field, operator, value } = condition;
     const fieldValue = properties[field];
 
@@ -118,6 +125,18 @@ class SelectionQueryEngine {
     }
   }
 
+  /**
+   * Evaluate an expression condition (NULL or invalid expression never match)
+   */
+  evaluateExpressionCondition(properties, expression, feature) {
+    try {
+      return ExpressionEngine.test(expression, feature, properties);
+    } catch (error) {
+      console.warn('[SelectionQueryEngine] Expression error:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Equality check (type-safe)
    */
@@ -220,6 +239,10 @@ class SelectionQueryEngine {
     }
 
     const conditions = query.conditions.map(c => {
+      if (c.expression != null) {
+        return `(${c.expression})`;
+      }
+
       const { field, operator, value } = c;
 
       if (operator === 'IS NULL' || operator === 'IS NOT NULL' ||
@@ -280,6 +303,14 @@ class SelectionQueryEngine {
     for (let i = 0; i < query.conditions.length; i++) {
       const condition = query.conditions[i];
 
+      if (condition.expression != null) {
+        const validation = ExpressionEngine.validate(condition.expression);
+        if (!validation.valid) {
+          return { valid: false, error: `Condition ${i + 1}: ${validation.error} (position ${validation.position + 1})` };
+        }
+        continue;
+      }
+
       if (!condition.field) {
         return { valid: false, error: `Condition ${i + 1}: Field is required` };
       }
@@ -0,0 +1,421 @@
+/**
+ * StreamingImportService - Chunked import of large files
+ *
+ * Files above the in-memory limit of their import method (method.maxSize)
+ * are parsed in a Web Worker (workers/streamingImport.worker.js) and written
+ * to Grist batch by batch, so 200k-feature layers never sit in memory:
+ *
+ * - each worker batch is reprojected to WGS84 and written as BulkAddRecord
+ *   actions of CHUNK_SIZE rows; the worker waits for the write before
+ *   parsing the next batch (backpressure)
+ * - progress is published in 'import.job' (ImportProgress)
+ * - cancel() stops after the batch being written; resume() restarts the
+ *   worker on the same file, skipping the features already processed
+ * - invalid features do not stop the import: they are listed in the job
+ *   summary and written to GIS_Import_Errors
+ *
+ * A run (start or resume → done or cancel) is one ActionJournal entry.
+ */
+
+import GristAPI from '../core/GristAPI';
+import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import { initializeSystemTables, IMPORT_ERRORS_SCHEMA } from '../core/TableSchemas';
+import ProjectionService from './ProjectionService';
+import LayerMetadataService from './LayerMetadataService';
+
+// Features parsed by the worker between two writes
+const BATCH_SIZE = 2000;
+
+// Rows per BulkAddRecord action
+const CHUNK_SIZE = 500;
+
+// Errors kept in the job summary (all are written to GIS_Import_Errors)
+const SUMMARY_ERRORS = 100;
+
+class StreamingImportService {
+  constructor() {
+    this.worker = null;
+    this.file = null;
+    this.errors = [];
+    this.crsCounts = new Map();
+    this.writing = false;
+    this.cancelRequested = false;
+    this.settleRun = null;
+  }
+
+  /**
+   * True if the file must be imported with the streaming pipeline
+   */
+  isStreamed(method, file) {
+    return !!(method?.streaming && file && file.size > method.maxSize);
+  }
+
+  /**
+   * First features of a file (preview step), parsed in the worker
+   * @returns {Promise<{ features: Array, errors: Array, headers: Array|null }>}
+   */
+  preview(file, method, config, count = 5) {
+    const worker = this.createWorker();
+    const result = { features: [], errors: [], headers: null };
+
+    return new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'header') {
+          result.headers = data.headers;
+        } else if (data.type === 'batch') {
+          result.features.push(...data.features);
+          result.errors.push(...data.errors);
+          worker.postMessage({ type: 'continue' });
+        } else if (data.type === 'done') {
+          resolve(result);
+        } else if (data.type === 'error') {
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (event) => reject(new Error(event.message || 'Erreur du worker d\'import'));
+
+      worker.postMessage({ type: 'start', file, format: method.id, config, limit: count, batchSize: count });
+    }).finally(() => worker.terminate());
+  }
+
+  /**
+   * Import a file
+   *
+   * @param {Object} params
+   * @param {File} params.file
+   * @param {Object} params.method - Import method (streaming: true)
+   * @param {Object} params.config - Wizard config (layer_name, source_crs, columns...)
+   * @param {string} params.targetTable
+   * @returns {Promise<Object>} Job at the end of the run (status done, cancelled or error)
+   */
+  async start({ file, method, config, targetTable }) {
+    if (this.getJob()?.status === 'running') {
+      throw new Error('Un import est déjà en cours');
+    }
+
+    this.file = file;
+    this.errors = [];
+    this.crsCounts = new Map();
+
+    this.setJob({
+      methodId: method.id,
+      methodLabel: method.label,
+      fileName: file.name,
+      layerName: config.layer_name || 'Import',
+      targetTable,
+      config,
+      importSession: Date.now(),
+      status: 'running',
+      processed: 0,
+      imported: 0,
+      errorCount: 0,
+      errors: [],
+      bytesRead: 0,
+      totalBytes: file.size,
+      reportWritten: false,
+      error: null
+    }, `Streaming import: ${file.name}`);
+
+    return this.run();
+  }
+
+  /**
+   * Continue a cancelled (or failed) import where it stopped
+   */
+  async resume() {
+    const job = this.getJob();
+    if (!job || !this.file || !['cancelled', 'error'].includes(job.status)) {
+      throw new Error('Aucun import à reprendre');
+    }
+    return this.run();
+  }
+
+  /**
+   * Stop the running import after the batch being written
+   */
+  cancel() {
+    if (this.getJob()?.status !== 'running') return;
+
+    this.cancelRequested = true;
+    if (!this.writing) {
+      this.stopWorker();
+    }
+  }
+
+  /**
+   * Forget the last import (summary closed)
+   */
+  dismiss() {
+    if (this.getJob()?.status === 'running') return;
+
+    this.file = null;
+    this.errors = [];
+    StateManager.setState('import.job', null, 'Dismiss streaming import');
+  }
+
+  getJob() {
+    return StateManager.getState('import.job');
+  }
+
+  /**
+   * @private
+   */
+  async run() {
+    const job = this.getJob();
+    const worker = this.createWorker();
+    this.worker = worker;
+    this.cancelRequested = false;
+    this.updateJob({ status: 'running', error: null, bytesRead: 0 });
+
+    try {
+      let cancelled = false;
+
+      await ActionJournal.group(`Import: ${job.layerName}`, () => new Promise((resolve, reject) => {
+        this.settleRun = () => {
+          cancelled = true;
+          resolve();
+        };
+
+        worker.onmessage = async ({ data }) => {
+          try {
+            if (data.type === 'batch') {
+              this.writing = true;
+              await this.writeBatch(data);
+              this.writing = false;
+
+              if (this.cancelRequested) {
+                this.stopWorker();
+              } else {
+                worker.postMessage({ type: 'continue' });
+              }
+            } else if (data.type === 'done') {
+              resolve();
+            } else if (data.type === 'error') {
+              reject(new Error(data.message));
+            }
+          } catch (error) {
+            this.writing = false;
+            reject(error);
+          }
+        };
+        worker.onerror = (event) => reject(new Error(event.message || 'Erreur du worker d\'import'));
+
+        worker.postMessage({
+          type: 'start',
+          file: this.file,
+          format: job.methodId,
+          config: job.config,
+          skip: this.getJob().processed,
+          batchSize: BATCH_SIZE
+        });
+      }).then(() => (cancelled ? null : this.saveSourceCrs())));
+
+      this.updateJob({ status: cancelled ? 'cancelled' : 'done' });
+    } catch (error) {
+      console.error('[StreamingImport] Import error:', error);
+      this.updateJob({ status: 'error', error: error.message });
+    } finally {
+      this.settleRun = null;
+      this.stopWorker();
+    }
+
+    await this.refreshWorkspace();
+
+    if (this.getJob().status === 'done' && this.errors.length > 0) {
+      try {
+        await this.writeErrorReport();
+      } catch (error) {
+        console.warn('[StreamingImport] Could not write error report:', error);
+      }
+    }
+
+    return this.getJob();
+  }
+
+  /**
+   * Reproject and write one worker batch
+   * @private
+   */
+  async writeBatch({ features, errors, processed, bytesRead, totalBytes }) {
+    const job = this.getJob();
+    const batchErrors = [...errors];
+    const records = [];
+    const recordIndexes = [];
+
+    features.forEach(feature => {
+      try {
+        // geometry_wgs84 must be WGS84: reproject from the source CRS
+        const { features: [reprojected], sourceCrs } = ProjectionService.reprojectFeatures(
+          [feature],
+          job.config.source_crs
+        );
+        this.crsCounts.set(sourceCrs, (this.crsCounts.get(sourceCrs) || 0) + 1);
+
+        // Regular columns only (formula columns are computed by Grist)
+        records.push({
+          layer_name: job.layerName,
+          geometry_wgs84: reprojected.geometry,
+          properties: JSON.stringify(feature.properties || {}),
+          feature_name: feature.properties?.name || feature.properties?.nom || `Feature ${feature.feature_index + 1}`,
+          import_session: job.importSession,
+          is_visible: true,
+          z_index: 100
+        });
+        recordIndexes.push(feature.feature_index);
+      } catch (error) {
+        batchErrors.push({
+          feature_index: feature.feature_index,
+          line: null,
+          error: error.message,
+          raw: String(feature.geometry).substring(0, 200)
+        });
+      }
+    });
+
+    // Progress is published once per batch (each setState snapshots the state)
+    let written = 0;
+    const publish = (nextIndex) => {
+      this.errors.push(...batchErrors.filter(error => error.feature_index < nextIndex));
+      this.updateJob({
+        processed: nextIndex,
+        imported: job.imported + written,
+        bytesRead,
+        totalBytes,
+        errorCount: this.errors.length,
+        errors: this.errors.slice(0, SUMMARY_ERRORS)
+      });
+    };
+
+    try {
+      for (let i = 0; i < records.length; i += CHUNK_SIZE) {
+        const chunk = records.slice(i, i + CHUNK_SIZE);
+        await GristAPI.addRecords(job.targetTable, chunk);
+        written += chunk.length;
+      }
+    } catch (error) {
+      // Resume restarts after the last written chunk (no duplicates)
+      publish(written > 0 ? recordIndexes[written - 1] + 1 : job.processed);
+      throw error;
+    }
+
+    publish(processed);
+  }
+
+  /**
+   * Source CRS of the layer (most used) as metadata row
+   * @private
+   */
+  async saveSourceCrs() {
+    const { layerName } = this.getJob();
+    let sourceCrs = null;
+    let maxCount = 0;
+    this.crsCounts.forEach((count, code) => {
+      if (count > maxCount) {
+        sourceCrs = code;
+        maxCount = count;
+      }
+    });
+    if (sourceCrs === null) return;
+
+    const sourceCrsCode = ProjectionService.formatCode(sourceCrs);
+    try {
+      await LayerMetadataService.saveMetadata(layerName, { source_crs: sourceCrsCode });
+      StateManager.setState('layers.sourceCrs', {
+        ...(StateManager.getState('layers.sourceCrs') || {}),
+        [layerName]: sourceCrsCode
+      }, `Source CRS: ${layerName}`);
+    } catch (error) {
+      console.warn('[StreamingImport] Could not save source CRS:', error);
+    }
+  }
+
+  /**
+   * Write the rejected features to GIS_Import_Errors
+   * @returns {number} Rows written
+   */
+  async writeErrorReport() {
+    const job = this.getJob();
+    const tableName = IMPORT_ERRORS_SCHEMA.tableName;
+
+    const init = await initializeSystemTables(GristAPI.docApi, [tableName]);
+    if (!init.success) {
+      throw new Error(`Impossible de créer la table ${tableName}`);
+    }
+
+    const rows = this.errors.map(error => ({
+      import_session: job.importSession,
+      layer_name: job.layerName,
+      file_name: job.fileName,
+      feature_index: error.feature_index,
+      line: error.line,
+      error: error.error,
+      raw: error.raw
+    }));
+
+    await ActionJournal.group(`Rapport d'import: ${job.layerName}`, async () => {
+      for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+        await GristAPI.addRecords(tableName, rows.slice(i, i + CHUNK_SIZE));
+      }
+    });
+
+    this.updateJob({ reportWritten: true });
+    return rows.length;
+  }
+
+  /**
+   * @private
+   */
+  async refreshWorkspace() {
+    const { targetTable, layerName } = this.getJob();
+    try {
+      // Metadata rows have no geometry
+      const records = await GristAPI.fetchTable(targetTable);
+      StateManager.setState(
+        'layers.workspace',
+        records.filter(record => record.geometry_wgs84),
+        `Import: ${layerName}`
+      );
+    } catch (error) {
+      console.warn('[StreamingImport] Could not refresh workspace:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  createWorker() {
+    return new Worker(new URL('../workers/streamingImport.worker.js', import.meta.url), { type: 'module' });
+  }
+
+  /**
+   * @private
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.settleRun) {
+      const settle = this.settleRun;
+      this.settleRun = null;
+      settle();
+    }
+  }
+
+  /**
+   * @private
+   */
+  setJob(job, description) {
+    StateManager.setState('import.job', job, description);
+  }
+
+  /**
+   * @private
+   */
+  updateJob(changes) {
+    StateManager.setState('import.job', { ...this.getJob(), ...changes }, 'Streaming import progress');
+  }
+}
+
+export default new StreamingImportService();
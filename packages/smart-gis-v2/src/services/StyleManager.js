@@ -7,9 +7,13 @@
  * - Style presets (professional color schemes)
  * - Hover effects
  * - Style persistence via StateManager
+ * - Data-driven / rule-based style rules persisted per layer in Grist
+ *   (metadata row of the layer: geometry_wgs84 = NULL, style_rule = JSON)
  */
 
 import StateManager from '../core/StateManager';
+import ActionJournal from '../core/ActionJournal';
+import LayerMetadataService from './LayerMetadataService';
 
 class StyleManager {
   constructor() {
@@ -160,10 +164,24 @@ class StyleManager {
       style = preset.polygon;
     }
 
+    // Labels are configured separately and survive preset changes
+    const labels = this.getLayerStyle(layerName)?.labels;
+
     this.setLayerStyle(layerName, {
       preset: presetId,
       geometryType,
-      ...style
+      ...style,
+      ...(labels ? { labels } : {})
+    });
+  }
+
+  /**
+   * Set label configuration of a layer (see LabelEngine)
+   */
+  setLayerLabels(layerName, labels) {
+    this.setLayerStyle(layerName, {
+      ...(this.getLayerStyle(layerName) || {}),
+      labels
     });
   }
 
@@ -175,8 +193,9 @@ class StyleManager {
     const layerName = feature.layer_name;
     const geometryType = feature.geometry_type;
 
-    // Start with layer style or default
-    let style = this.getLayerStyle(layerName) || this.getDefaultStyle(geometryType);
+    // Start with layer style or default (labels-only styles fall back to default)
+    const { labels, updatedAt, ...layerStyle } = this.getLayerStyle(layerName) || {};
+    let style = Object.keys(layerStyle).length > 0 ? layerStyle : this.getDefaultStyle(geometryType);
 
     // Apply feature-specific style if exists
     if (feature.style) {
@@ -283,7 +302,13 @@ class StyleManager {
    */
   resetLayerStyle(layerName) {
     const layerStyles = StateManager.getState('styles.layers');
-    delete layerStyles[layerName];
+    const labels = layerStyles[layerName]?.labels;
+
+    if (labels) {
+      layerStyles[layerName] = { labels, updatedAt: Date.now() };
+    } else {
+      delete layerStyles[layerName];
+    }
     StateManager.setState('styles.layers', layerStyles, `Reset style for ${layerName}`);
     console.log('[StyleManager] Reset style for layer:', layerName);
   }
@@ -295,6 +320,59 @@ class StyleManager {
     return StateManager.getState('styles.layers') || {};
   }
 
+  /**
+   * Get the data-driven or rule-based style rule of a layer
+   */
+  getLayerRule(layerName) {
+    const rules = StateManager.getState('layers.styleRules') || {};
+    return rules[layerName] || null;
+  }
+
+  /**
+   * Apply a style rule to a layer and persist it in its Grist metadata row
+   * The rule is applied even if saving fails (error is rethrown)
+   */
+  async saveLayerRule(layerName, rule) {
+    const currentRules = StateManager.getState('layers.styleRules') || {};
+    StateManager.setState('layers.styleRules', {
+      ...currentRules,
+      [layerName]: rule
+    }, `Apply style rule for ${layerName}`);
+
+    await ActionJournal.group(`Style: ${layerName}`, () => (
+      LayerMetadataService.saveMetadata(layerName, { style_rule: JSON.stringify(rule) })
+    ));
+    console.log(`[StyleManager] Style rule saved for layer "${layerName}"`);
+  }
+
+  /**
+   * Remove the style rule of a layer (state and Grist metadata row)
+   */
+  async removeLayerRule(layerName) {
+    const currentRules = { ...(StateManager.getState('layers.styleRules') || {}) };
+    delete currentRules[layerName];
+    StateManager.setState('layers.styleRules', currentRules, `Reset style rule for ${layerName}`);
+
+    await ActionJournal.group(`Style: ${layerName}`, () => (
+      LayerMetadataService.clearMetadata(layerName, 'style_rule')
+    ));
+    console.log(`[StyleManager] Style rule removed for layer "${layerName}"`);
+  }
+
+  /**
+   * Persist the current layer style (including labels) in the Grist metadata row
+   */
+  async saveLayerStyle(layerName) {
+    const style = this.getLayerStyle(layerName);
+
+    await ActionJournal.group(`Style: ${layerName}`, () => (
+      style
+        ? LayerMetadataService.saveMetadata(layerName, { layer_style: JSON.stringify(style) })
+        : LayerMetadataService.clearMetadata(layerName, 'layer_style')
+    ));
+    console.log(`[StyleManager] Layer style saved for layer "${layerName}"`);
+  }
+
   /**
    * Create custom style
    */
@@ -1,16 +1,49 @@
 /**
  * StyleRuleEngine - Apply data-driven styling rules
  *
- * Supports 4 types of rules:
+ * Supports 5 types of rules:
  * - Categorized: Different color per category
  * - Graduated: Color gradient based on numeric ranges
  * - Proportional: Size based on numeric value
- * - Expression: Style based on calculated expression
+ * - Expression: Style based on calculated expression (ExpressionEngine)
+ * - Rule-based: Ordered tree of filter → symbol rules (QGIS-like), see below
+ *
+ * Rule-based format:
+ * {
+ *   type: 'ruleBased',
+ *   rules: [{
+ *     id, label, enabled,
+ *     filter: "nature = 'école'",     // ExpressionEngine, empty = all features
+ *     isElse: false,                  // matches features no sibling rule matched
+ *     minZoom, maxZoom,               // optional scale range (inclusive)
+ *     symbols: [{ type: 'fill' | 'line' | 'hatch' | 'marker' | 'label', ... }],
+ *     children: [...]                 // refine the parent rule (filters combine)
+ *   }]
+ * }
+ * Every matching rule draws its symbols, stacked in order.
  */
 
 import StyleManager from './StyleManager';
+import ExpressionEngine from './ExpressionEngine';
+import { ensureHatchPattern } from '../utils/hatchPatterns';
+
+/**
+ * Symbol layers available in rule-based styles (with defaults)
+ */
+export const SYMBOL_LAYER_TYPES = {
+  fill: { label: 'Remplissage', defaults: { color: '#3b82f6', opacity: 0.4 } },
+  line: { label: 'Contour / ligne', defaults: { color: '#1e3a8a', width: 2, opacity: 1, dashArray: '' } },
+  hatch: { label: 'Hachures', defaults: { color: '#1e3a8a', angle: 45, spacing: 8, width: 1 } },
+  marker: { label: 'Symbole ponctuel', defaults: { color: '#3b82f6', size: 6, strokeColor: '#ffffff', strokeWidth: 1, opacity: 0.9 } },
+  label: { label: 'Étiquette', defaults: { expression: '', color: '#111827', fontSize: 12, haloColor: '#ffffff' } }
+};
 
 class StyleRuleEngine {
+  constructor() {
+    // Invalid rule filters are reported once, not once per feature
+    this.reportedFilterErrors = new Set();
+  }
+
   /**
    * Apply a style rule to a feature
    */
@@ -37,7 +70,15 @@ class StyleRuleEngine {
           return this.applyProportional(properties, geometryType, rule);
 
         case 'expression':
-          return this.applyExpression(properties, geometryType, rule);
+          return this.applyExpression(properties, geometryType, rule, feature);
+
+        case 'ruleBased': {
+          // Single style callers get the first drawable symbol
+          const symbol = this.getSymbolLayers(feature, rule).find(s => s.kind === 'path');
+          return symbol
+            ? this.createStyleForGeometry(geometryType, symbol.style)
+            : { ...StyleManager.getDefaultStyle(geometryType), stroke: false, fill: false };
+        }
 
         default:
           return StyleManager.getDefaultStyle(geometryType);
@@ -76,23 +117,9 @@ class StyleRuleEngine {
       return this.createStyleForGeometry(geometryType, { color, fillColor: color });
     }
 
-    // Find the range this value falls into
-    const range = rule.ranges?.find(r => value >= r.min && value < r.max);
-
-    // If value equals max of last range, include it
-    if (!range && rule.ranges?.length > 0) {
-      const lastRange = rule.ranges[rule.ranges.length - 1];
-      if (value === lastRange.max) {
-        const color = lastRange.color;
-        return this.createStyleForGeometry(geometryType, {
-          color,
-          fillColor: color,
-          weight: rule.weight || 2,
-          fillOpacity: rule.fillOpacity || 0.5,
-          opacity: rule.opacity || 0.8
-        });
-      }
-    }
+    // Ranges are sorted and include their upper bound (DataAnalyzer breaks
+    // convention): the first matching range wins
+    const range = rule.ranges?.find(r => value >= r.min && value <= r.max);
 
     const color = range ? range.color : (rule.defaultColor || '#cccccc');
 
@@ -162,14 +189,20 @@ class StyleRuleEngine {
   /**
    * Apply expression-based styling
    */
-  applyExpression(properties, geometryType, rule) {
+  applyExpression(properties, geometryType, rule, feature = {}) {
     try {
-      // Evaluate expression
-      const value = this.evaluateExpression(rule.expression, properties);
+      const value = this.evaluateExpression(rule.expression, properties, feature);
+
+      let match;
+      if (rule.categories) {
+        // Text results: categorized by value
+        match = rule.categories.find(c => String(c.value) === String(value));
+      } else if (typeof value === 'number') {
+        // Numeric results: graduated, ranges include their upper bound
+        match = rule.ranges?.find(r => value >= r.min && value <= r.max);
+      }
 
-      // Apply as graduated style
-      const range = rule.ranges?.find(r => value >= r.min && value < r.max);
-      const color = range ? range.color : (rule.defaultColor || '#cccccc');
+      const color = match ? match.color : (rule.defaultColor || '#cccccc');
 
       return this.createStyleForGeometry(geometryType, {
         color,
@@ -185,34 +218,186 @@ class StyleRuleEngine {
   }
 
   /**
-   * Safely evaluate expression
+   * Evaluate expression for a feature (parsed once, no eval)
+   *
+   * @returns {*} Expression value, null on NULL result or evaluation error
+   * @throws {ExpressionError} On syntax error
    */
-  evaluateExpression(expression, properties) {
-    // Replace field names with values
-    let expr = expression;
-
-    // Sort keys by length (longest first) to avoid partial replacements
-    const keys = Object.keys(properties).sort((a, b) => b.length - a.length);
-
-    keys.forEach(key => {
-      const value = properties[key];
-      if (typeof value === 'number') {
-        // Replace field name with numeric value
-        expr = expr.replace(new RegExp(`\\b${key}\\b`, 'g'), value);
-      }
+  evaluateExpression(expression, properties, feature = {}) {
+    // Syntax errors surface to the caller (shown in the style editor)
+    const ast = ExpressionEngine.parse(expression);
+
+    try {
+      return ExpressionEngine.evaluate(ast, feature, properties);
+    } catch (err) {
+      console.warn('[StyleRuleEngine] Expression evaluation failed:', expression, err);
+      return null;
+    }
+  }
+
+  /**
+   * Symbol layers to draw for a feature with a rule-based style
+   *
+   * @param {Object} feature - GIS_WorkSpace record
+   * @param {Object} rule - { type: 'ruleBased', rules }
+   * @param {number|null} zoom - Current map zoom (null ignores scale ranges)
+   * @returns {Array<{ kind: 'path'|'label', type, style, text?, ruleId }>}
+   */
+  getSymbolLayers(feature, rule, zoom = null) {
+    // Malformed properties JSON: rules see no attributes
+    const properties = ExpressionEngine.parseProperties(feature);
+
+    const matched = this.matchRules(rule.rules || [], properties, feature, zoom);
+    const layers = [];
+
+    matched.forEach(matchedRule => {
+      (matchedRule.symbols || []).forEach(symbol => {
+        if (symbol.enabled === false) return;
+        const layer = this.createSymbolLayer(symbol, properties, feature);
+        if (layer) {
+          layers.push({ ...layer, ruleId: matchedRule.id });
+        }
+      });
     });
 
-    // Evaluate safely (only basic math operators)
-    // Remove any potentially dangerous characters
-    expr = expr.replace(/[^0-9+\-*/(). ]/g, '');
+    return layers;
+  }
+
+  /**
+   * Rules matching a feature, parents before their children
+   * "Else" rules match when no sibling rule matched
+   */
+  matchRules(rules, properties, feature, zoom) {
+    const matched = [];
+    let siblingMatched = false;
+
+    const collect = (rule) => {
+      matched.push(rule, ...this.matchRules(rule.children || [], properties, feature, zoom));
+    };
+
+    rules.forEach(rule => {
+      if (rule.enabled === false || rule.isElse) return;
+      if (!this.isRuleInScale(rule, zoom)) return;
+      if (!this.matchesFilter(rule.filter, properties, feature)) return;
+
+      siblingMatched = true;
+      collect(rule);
+    });
+
+    if (!siblingMatched) {
+      rules
+        .filter(rule => rule.enabled !== false && rule.isElse && this.isRuleInScale(rule, zoom))
+        .forEach(collect);
+    }
+
+    return matched;
+  }
+
+  /**
+   * Scale dependence: rule visible between minZoom and maxZoom (inclusive)
+   */
+  isRuleInScale(rule, zoom) {
+    if (zoom == null) return true;
+    if (rule.minZoom != null && rule.minZoom !== '' && zoom < Number(rule.minZoom)) return false;
+    if (rule.maxZoom != null && rule.maxZoom !== '' && zoom > Number(rule.maxZoom)) return false;
+    return true;
+  }
+
+  matchesFilter(filter, properties, feature) {
+    if (!filter || !String(filter).trim()) return true;
 
     try {
-      // Use Function constructor (safer than eval)
-      const result = Function(`"use strict"; return (${expr})`)();
-      return typeof result === 'number' ? result : 0;
-    } catch (err) {
-      console.warn('[StyleRuleEngine] Expression evaluation failed:', expr, err);
-      return 0;
+      return ExpressionEngine.test(filter, feature, properties);
+    } catch (error) {
+      if (!this.reportedFilterErrors.has(filter)) {
+        this.reportedFilterErrors.add(filter);
+        console.warn('[StyleRuleEngine] Invalid rule filter:', filter, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Convert a symbol layer definition to Leaflet path options (or a label)
+   */
+  createSymbolLayer(symbol, properties, feature) {
+    const options = { ...SYMBOL_LAYER_TYPES[symbol.type]?.defaults, ...symbol };
+
+    switch (symbol.type) {
+      case 'fill':
+        return {
+          kind: 'path',
+          type: 'fill',
+          style: { stroke: false, fill: true, fillColor: options.color, fillOpacity: Number(options.opacity) }
+        };
+
+      case 'line':
+        return {
+          kind: 'path',
+          type: 'line',
+          style: {
+            stroke: true,
+            fill: false,
+            color: options.color,
+            weight: Number(options.width),
+            opacity: Number(options.opacity),
+            dashArray: options.dashArray || null
+          }
+        };
+
+      case 'hatch':
+        return {
+          kind: 'path',
+          type: 'hatch',
+          style: {
+            stroke: false,
+            fill: true,
+            fillColor: ensureHatchPattern({
+              color: options.color,
+              angle: Number(options.angle),
+              spacing: Number(options.spacing),
+              width: Number(options.width)
+            }),
+            fillOpacity: 1
+          }
+        };
+
+      case 'marker':
+        return {
+          kind: 'path',
+          type: 'marker',
+          style: {
+            stroke: true,
+            fill: true,
+            radius: Number(options.size),
+            color: options.strokeColor,
+            weight: Number(options.strokeWidth),
+            fillColor: options.color,
+            fillOpacity: Number(options.opacity)
+          }
+        };
+
+      case 'label': {
+        if (!options.expression) return null;
+
+        let text;
+        try {
+          text = ExpressionEngine.evaluate(options.expression, feature, properties);
+        } catch {
+          return null;
+        }
+        if (text == null || text === '') return null;
+
+        return {
+          kind: 'label',
+          type: 'label',
+          text: String(text),
+          style: { color: options.color, fontSize: Number(options.fontSize), haloColor: options.haloColor }
+        };
+      }
+
+      default:
+        return null;
     }
   }
 
@@ -274,7 +459,17 @@ class StyleRuleEngine {
           }
         ];
 
+      case 'ruleBased':
+        return this.generateRuleLegendItems(rule.rules || []);
+
       case 'expression':
+        if (rule.categories) {
+          return rule.categories.map(cat => ({
+            label: cat.label || String(cat.value),
+            color: cat.color,
+            type: 'category'
+          }));
+        }
         return rule.ranges?.map(range => ({
           label: range.label || `${this.formatValue(range.min)} - ${this.formatValue(range.max)}`,
           color: range.color,
@@ -286,6 +481,26 @@ class StyleRuleEngine {
     }
   }
 
+  /**
+   * Legend tree of a rule-based style
+   */
+  generateRuleLegendItems(rules) {
+    return rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => ({
+        label: rule.label || (rule.isElse ? 'Autres' : rule.filter) || 'Toutes les entités',
+        type: 'rule',
+        ruleId: rule.id,
+        isElse: !!rule.isElse,
+        minZoom: rule.minZoom,
+        maxZoom: rule.maxZoom,
+        symbols: (rule.symbols || [])
+          .filter(s => s.enabled !== false && s.type !== 'label')
+          .map(s => ({ ...SYMBOL_LAYER_TYPES[s.type]?.defaults, ...s })),
+        children: this.generateRuleLegendItems(rule.children || [])
+      }));
+  }
+
   /**
    * Format numeric value for display
    */
@@ -0,0 +1,617 @@
+/**
+ * TopologyValidator - Client-side geometry validation and repair
+ *
+ * Detects, with the exact location of each issue:
+ * - invalid coordinates and degenerate parts (too few points)
+ * - unclosed rings
+ * - duplicate consecutive vertices
+ * - wrong ring orientation (RFC 7946: exterior counterclockwise, holes clockwise)
+ * - self-intersections (ring/ring and line crossings)
+ * - spikes (vertex where the boundary goes out and comes back)
+ * - slivers (very thin polygons, thinness ratio 4πA/P²)
+ *
+ * Repair operations are applied in a safe order: close rings, remove
+ * duplicates, remove spikes, fix self-intersections, remove slivers,
+ * fix orientation.
+ *
+ * Geometries are GeoJSON in WGS84; angles and shapes are measured on a local
+ * equirectangular projection (accurate at feature scale).
+ */
+
+import * as turf from '@turf/turf';
+
+export const ISSUE_TYPES = {
+  unreadable_geometry: { label: 'Géométrie illisible', severity: 'error', repairable: false },
+  invalid_coordinates: { label: 'Coordonnées invalides', severity: 'error', repairable: false },
+  too_few_points: { label: 'Partie dégénérée (trop peu de points)', severity: 'error', repairable: true },
+  unclosed_ring: { label: 'Anneau non fermé', severity: 'error', repairable: true },
+  duplicate_vertex: { label: 'Sommet en double', severity: 'warning', repairable: true },
+  ring_orientation: { label: 'Orientation d\'anneau incorrecte', severity: 'warning', repairable: true },
+  self_intersection: { label: 'Auto-intersection', severity: 'error', repairable: true },
+  spike: { label: 'Pic (spike)', severity: 'error', repairable: true },
+  sliver: { label: 'Polygone très fin (sliver)', severity: 'warning', repairable: true }
+};
+
+export const REPAIR_OPERATIONS = {
+  close_rings: 'Fermer les anneaux',
+  remove_duplicates: 'Supprimer les sommets en double',
+  remove_spikes: 'Supprimer les pics',
+  fix_self_intersections: 'Corriger les auto-intersections',
+  remove_slivers: 'Supprimer les polygones très fins',
+  fix_orientation: 'Corriger l\'orientation des anneaux'
+};
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  spikeAngle: 1,          // degrees: smaller vertex angles are spikes
+  sliverThinness: 0.02,   // 4πA/P² below this is a sliver (circle = 1)
+  checkOrientation: true
+};
+
+const METERS_PER_DEGREE = 111320;
+
+class TopologyValidator {
+  /**
+   * Validate a GeoJSON geometry
+   *
+   * @param {Object} geometry - GeoJSON geometry (WGS84)
+   * @param {Object} options - See DEFAULT_VALIDATION_OPTIONS
+   * @returns {Array<{ type, severity, label, message, location: [lon, lat]|null, part, ring, vertex }>}
+   */
+  validate(geometry, options = {}) {
+    const opts = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+    const issues = [];
+
+    if (!geometry || !geometry.type) return issues;
+
+    const report = (type, location, details = {}, message = null) => {
+      issues.push({
+        type,
+        severity: details.severity || ISSUE_TYPES[type].severity,
+        label: ISSUE_TYPES[type].label,
+        message: message || ISSUE_TYPES[type].label,
+        location,
+        part: details.part ?? 0,
+        ring: details.ring ?? null,
+        vertex: details.vertex ?? null
+      });
+    };
+
+    const invalidPosition = this.findInvalidPosition(geometry);
+    if (invalidPosition) {
+      // No map location: the position itself is unusable
+      report('invalid_coordinates', null, {}, `Coordonnées invalides: ${invalidPosition.join(' ')}`);
+      return issues;
+    }
+
+    switch (geometry.type) {
+      case 'Point':
+      case 'MultiPoint':
+        break;
+
+      case 'LineString':
+        this.validateLine(geometry.coordinates, 0, opts, report);
+        break;
+
+      case 'MultiLineString':
+        geometry.coordinates.forEach((line, part) => this.validateLine(line, part, opts, report));
+        break;
+
+      case 'Polygon':
+        this.validatePolygon(geometry.coordinates, 0, opts, report);
+        break;
+
+      case 'MultiPolygon':
+        geometry.coordinates.forEach((rings, part) => this.validatePolygon(rings, part, opts, report));
+        break;
+
+      case 'GeometryCollection':
+        geometry.geometries.forEach(member => issues.push(...this.validate(member, opts)));
+        break;
+
+      default:
+        break;
+    }
+
+    return issues;
+  }
+
+  /**
+   * True if the geometry has no error-level issue
+   */
+  isValid(geometry, options = {}) {
+    return !this.validate(geometry, options).some(issue => issue.severity === 'error');
+  }
+
+  /**
+   * @private
+   */
+  validateLine(line, part, opts, report) {
+    this.checkDuplicates(line, { part }, report);
+
+    const distinct = this.removeDuplicates(line);
+    if (distinct.length < 2) {
+      report('too_few_points', line[0] || null, { part }, 'Ligne avec moins de 2 sommets distincts');
+      return;
+    }
+
+    this.checkSpikes(distinct, false, { part }, opts, report);
+
+    // Self-crossing lines are valid OGC geometries (non-simple): warning only
+    this.findIntersections([distinct], false).forEach(({ location }) => {
+      report('self_intersection', location, { part, severity: 'warning' }, 'La ligne se croise elle-même');
+    });
+  }
+
+  /**
+   * @private
+   */
+  validatePolygon(rings, part, opts, report) {
+    const closedRings = [];
+
+    rings.forEach((ring, ringIndex) => {
+      const details = { part, ring: ringIndex };
+
+      if (ring.length > 0 && !this.samePosition(ring[0], ring[ring.length - 1])) {
+        report('unclosed_ring', ring[ring.length - 1], { ...details, vertex: ring.length - 1 },
+          `Anneau ${ringIndex + 1} non fermé`);
+      }
+
+      this.checkDuplicates(ring, details, report);
+
+      const closed = this.closeRing(this.removeDuplicates(ring));
+      if (closed.length < 4) {
+        report('too_few_points', ring[0] || null, details, `Anneau ${ringIndex + 1}: moins de 3 sommets distincts`);
+        return;
+      }
+
+      this.checkSpikes(closed, true, details, opts, report);
+
+      closedRings.push({ ring: closed, index: ringIndex });
+    });
+
+    // Crossings within a ring, and between exterior ring and holes
+    const selfCrossing = new Set();
+    this.findIntersections(closedRings.map(r => r.ring), true).forEach(({ location, ringA, ringB }) => {
+      const ringIndex = closedRings[ringA].index;
+      const message = ringA === ringB
+        ? `Auto-intersection de l'anneau ${ringIndex + 1}`
+        : `Les anneaux ${ringIndex + 1} et ${closedRings[ringB].index + 1} se croisent`;
+      report('self_intersection', location, { part, ring: ringIndex }, message);
+      if (ringA === ringB) selfCrossing.add(ringIndex);
+    });
+
+    // Orientation and area are meaningless for self-crossing rings
+    if (opts.checkOrientation) {
+      closedRings
+        .filter(({ index }) => !selfCrossing.has(index))
+        .forEach(({ ring, index }) => {
+          const counterClockwise = this.signedArea(ring) > 0;
+          if (counterClockwise !== (index === 0)) {
+            report('ring_orientation', ring[0], { part, ring: index },
+              index === 0
+                ? 'Anneau extérieur orienté dans le sens horaire'
+                : `Trou ${index} orienté dans le sens antihoraire`);
+          }
+        });
+    }
+
+    // Sliver: thinness of the exterior ring
+    const exterior = closedRings.find(r => r.index === 0);
+    if (exterior && !selfCrossing.has(0)) {
+      const thinness = this.thinness(exterior.ring);
+      if (thinness !== null && thinness < opts.sliverThinness) {
+        report('sliver', this.ringCenter(exterior.ring), { part, ring: 0 },
+          `Polygone très fin (indice de compacité ${thinness.toFixed(4)})`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkDuplicates(positions, details, report) {
+    for (let i = 1; i < positions.length; i++) {
+      if (this.samePosition(positions[i], positions[i - 1])) {
+        report('duplicate_vertex', positions[i], { ...details, vertex: i }, `Sommet ${i + 1} en double`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkSpikes(positions, closed, details, opts, report) {
+    this.findSpikes(positions, closed, opts.spikeAngle).forEach(index => {
+      report('spike', positions[index], { ...details, vertex: index }, `Pic au sommet ${index + 1}`);
+    });
+  }
+
+  /**
+   * Indices of spike vertices (angle below threshold)
+   * For closed rings the closing vertex is checked as vertex 0
+   */
+  findSpikes(positions, closed, spikeAngle) {
+    const spikes = [];
+    const count = closed ? positions.length - 1 : positions.length;
+    if (count < 3) return spikes;
+
+    const start = closed ? 0 : 1;
+    const end = closed ? count : count - 1;
+
+    for (let i = start; i < end; i++) {
+      const prev = positions[(i - 1 + count) % count];
+      const next = positions[(i + 1) % count];
+      const angle = this.vertexAngle(prev, positions[i], next);
+      if (angle !== null && angle < spikeAngle) {
+        spikes.push(i);
+      }
+    }
+
+    return spikes;
+  }
+
+  /**
+   * Angle (degrees) at b between segments b→a and b→c
+   */
+  vertexAngle(a, b, c) {
+    const [ax, ay] = this.toLocal(a, b[1]);
+    const [bx, by] = this.toLocal(b, b[1]);
+    const [cx, cy] = this.toLocal(c, b[1]);
+
+    const v1x = ax - bx;
+    const v1y = ay - by;
+    const v2x = cx - bx;
+    const v2y = cy - by;
+    const norm = Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y);
+    if (norm === 0) return null;
+
+    const cos = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / norm));
+    return Math.acos(cos) * 180 / Math.PI;
+  }
+
+  /**
+   * Proper segment intersections (sweep on x)
+   *
+   * @param {Array} paths - Rings (closed) or lines
+   * @param {boolean} closed - Paths are rings (first/last segments adjacent)
+   * @returns {Array<{ location, ringA, ringB }>}
+   */
+  findIntersections(paths, closed) {
+    const segments = [];
+    paths.forEach((path, pathIndex) => {
+      for (let i = 0; i < path.length - 1; i++) {
+        const a = path[i];
+        const b = path[i + 1];
+        segments.push({
+          a, b, path: pathIndex, index: i, count: path.length - 1,
+          minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]),
+          minY: Math.min(a[1], b[1]), maxY: Math.max(a[1], b[1])
+        });
+      }
+    });
+
+    segments.sort((s1, s2) => s1.minX - s2.minX);
+
+    const found = [];
+    const seen = new Set();
+
+    for (let i = 0; i < segments.length; i++) {
+      const s1 = segments[i];
+      for (let j = i + 1; j < segments.length && segments[j].minX <= s1.maxX; j++) {
+        const s2 = segments[j];
+        if (s2.minY > s1.maxY || s2.maxY < s1.minY) continue;
+        if (this.areAdjacent(s1, s2, closed)) continue;
+
+        const location = this.segmentIntersection(s1.a, s1.b, s2.a, s2.b);
+        if (!location) continue;
+
+        const key = `${location[0].toFixed(9)},${location[1].toFixed(9)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        found.push({ location, ringA: Math.min(s1.path, s2.path), ringB: Math.max(s1.path, s2.path) });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * @private
+   */
+  areAdjacent(s1, s2, closed) {
+    if (s1.path !== s2.path) return false;
+    const diff = Math.abs(s1.index - s2.index);
+    return diff <= 1 || (closed && diff === s1.count - 1);
+  }
+
+  /**
+   * Intersection point of two segments (null if disjoint)
+   * Collinear overlaps return the first shared point
+   */
+  segmentIntersection(p1, p2, p3, p4) {
+    const d1x = p2[0] - p1[0];
+    const d1y = p2[1] - p1[1];
+    const d2x = p4[0] - p3[0];
+    const d2y = p4[1] - p3[1];
+    const denominator = d1x * d2y - d1y * d2x;
+
+    if (denominator === 0) {
+      // Parallel: overlap only if collinear
+      const cross = (p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x;
+      if (cross !== 0) return null;
+
+      const shared = [p3, p4, p1, p2].find(p => this.onSegment(p, p1, p2) && this.onSegment(p, p3, p4));
+      return shared ? [shared[0], shared[1]] : null;
+    }
+
+    const t = ((p3[0] - p1[0]) * d2y - (p3[1] - p1[1]) * d2x) / denominator;
+    const u = ((p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x) / denominator;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return [p1[0] + t * d1x, p1[1] + t * d1y];
+  }
+
+  /**
+   * @private
+   */
+  onSegment(p, a, b) {
+    return p[0] >= Math.min(a[0], b[0]) && p[0] <= Math.max(a[0], b[0]) &&
+      p[1] >= Math.min(a[1], b[1]) && p[1] <= Math.max(a[1], b[1]);
+  }
+
+  // ============================================
+  // Repair
+  // ============================================
+
+  /**
+   * Repair a geometry
+   *
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Array<string>} operations - Keys of REPAIR_OPERATIONS (default: all)
+   * @param {Object} options - See DEFAULT_VALIDATION_OPTIONS
+   * @returns {Object|null} Repaired geometry (null if nothing valid remains)
+   */
+  repair(geometry, operations = Object.keys(REPAIR_OPERATIONS), options = {}) {
+    const opts = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+    const ops = new Set(operations);
+
+    switch (geometry.type) {
+      case 'LineString':
+      case 'MultiLineString': {
+        const lines = (geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates)
+          .map(line => this.repairLine(line, ops, opts))
+          .filter(Boolean);
+        if (lines.length === 0) return null;
+        return lines.length === 1
+          ? { type: 'LineString', coordinates: lines[0] }
+          : { type: 'MultiLineString', coordinates: lines };
+      }
+
+      case 'Polygon':
+      case 'MultiPolygon':
+        return this.repairPolygons(
+          geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates,
+          ops,
+          opts
+        );
+
+      case 'GeometryCollection': {
+        const geometries = geometry.geometries.map(g => this.repair(g, operations, options)).filter(Boolean);
+        return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+      }
+
+      default:
+        return geometry;
+    }
+  }
+
+  /**
+   * @private
+   */
+  repairLine(line, ops, opts) {
+    let result = ops.has('remove_duplicates') ? this.removeDuplicates(line) : line;
+
+    if (ops.has('remove_spikes')) {
+      result = this.removeSpikes(result, false, opts.spikeAngle);
+    }
+
+    return this.removeDuplicates(result).length >= 2 ? result : null;
+  }
+
+  /**
+   * @private
+   */
+  repairPolygons(polygons, ops, opts) {
+    const repairRing = (ring) => {
+      let fixed = ring;
+      if (ops.has('close_rings') || ops.has('fix_self_intersections')) fixed = this.closeRing(fixed);
+      if (ops.has('remove_duplicates')) fixed = this.removeDuplicates(fixed);
+      if (ops.has('remove_spikes')) fixed = this.closeRing(this.removeSpikes(fixed, true, opts.spikeAngle));
+      return fixed;
+    };
+
+    // Degenerate holes are dropped, a degenerate exterior drops the polygon
+    let result = polygons
+      .map(rings => {
+        const [exterior, ...holes] = rings.map(repairRing);
+        if (!this.isUsableRing(exterior)) return null;
+        return [exterior, ...holes.filter(hole => this.isUsableRing(hole))];
+      })
+      .filter(Boolean);
+
+    if (ops.has('fix_self_intersections')) {
+      result = result.flatMap(rings => this.fixSelfIntersections(rings));
+    }
+
+    if (ops.has('remove_slivers')) {
+      result = result.filter(rings => {
+        const thinness = this.thinness(rings[0]);
+        return thinness === null || thinness >= opts.sliverThinness;
+      });
+    }
+
+    if (ops.has('fix_orientation')) {
+      result = result.map(rings => rings.map((ring, index) => {
+        const counterClockwise = this.signedArea(ring) > 0;
+        return counterClockwise === (index === 0) ? ring : [...ring].reverse();
+      }));
+    }
+
+    if (result.length === 0) return null;
+    return result.length === 1
+      ? { type: 'Polygon', coordinates: result[0] }
+      : { type: 'MultiPolygon', coordinates: result };
+  }
+
+  /**
+   * Split self-intersecting rings and merge the pieces (even-odd rule)
+   * @returns {Array} Polygons (arrays of rings)
+   */
+  fixSelfIntersections(rings) {
+    if (this.findIntersections(rings, true).length === 0) {
+      return [rings];
+    }
+
+    const pieces = [];
+    try {
+      turf.unkinkPolygon(turf.polygon(rings)).features.forEach(piece => pieces.push(piece));
+    } catch (error) {
+      console.warn('[TopologyValidator] Could not split polygon:', error.message);
+      return [rings];
+    }
+
+    if (pieces.length === 0) return [];
+
+    const merged = pieces.length === 1
+      ? pieces[0]
+      : turf.union(turf.featureCollection(pieces));
+
+    if (!merged) return [];
+
+    return merged.geometry.type === 'Polygon'
+      ? [merged.geometry.coordinates]
+      : merged.geometry.coordinates;
+  }
+
+  /**
+   * Remove spike vertices until none is left
+   */
+  removeSpikes(positions, closed, spikeAngle) {
+    let current = closed ? positions.slice(0, -1) : [...positions];
+
+    for (let pass = 0; pass < 10; pass++) {
+      const path = closed ? [...current, current[0]] : current;
+      const spikes = new Set(this.findSpikes(path, closed, spikeAngle));
+      if (spikes.size === 0) break;
+
+      current = current.filter((_, index) => !spikes.has(index));
+      if (current.length < (closed ? 3 : 2)) break;
+    }
+
+    return closed ? [...current, current[0]] : current;
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  samePosition(a, b) {
+    return !!a && !!b && a[0] === b[0] && a[1] === b[1];
+  }
+
+  removeDuplicates(positions) {
+    return positions.filter((position, index) => index === 0 || !this.samePosition(position, positions[index - 1]));
+  }
+
+  closeRing(ring) {
+    if (ring.length === 0 || this.samePosition(ring[0], ring[ring.length - 1])) return ring;
+    return [...ring, ring[0]];
+  }
+
+  /**
+   * At least 3 distinct, non-collinear vertices
+   */
+  isUsableRing(ring) {
+    if (!ring || ring.length < 4) return false;
+
+    const [x0, y0] = ring[0];
+    return ring.some(([x1, y1], i) => {
+      const next = ring[(i + 1) % ring.length];
+      return (x1 - x0) * (next[1] - y0) - (y1 - y0) * (next[0] - x0) !== 0;
+    });
+  }
+
+  /**
+   * Shoelace signed area in degrees² (positive = counterclockwise)
+   */
+  signedArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+  }
+
+  /**
+   * Thinness ratio 4πA/P² (1 = circle, → 0 for slivers), null if degenerate
+   */
+  thinness(ring) {
+    const latitude = ring[0][1];
+    const local = ring.map(position => this.toLocal(position, latitude));
+
+    let area = 0;
+    let perimeter = 0;
+    for (let i = 0; i < local.length - 1; i++) {
+      area += local[i][0] * local[i + 1][1] - local[i + 1][0] * local[i][1];
+      perimeter += Math.hypot(local[i + 1][0] - local[i][0], local[i + 1][1] - local[i][1]);
+    }
+
+    if (perimeter === 0) return null;
+    return (4 * Math.PI * Math.abs(area / 2)) / (perimeter * perimeter);
+  }
+
+  ringCenter(ring) {
+    const count = ring.length - 1;
+    const sum = ring.slice(0, count).reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+    return [sum[0] / count, sum[1] / count];
+  }
+
+  /**
+   * Local equirectangular projection (meters)
+   */
+  toLocal(position, latitude) {
+    return [
+      position[0] * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180),
+      position[1] * METERS_PER_DEGREE
+    ];
+  }
+
+  /**
+   * First non-finite or out-of-range position (null if all valid)
+   * @private
+   */
+  findInvalidPosition(geometry) {
+    const check = (coords) => {
+      if (!Array.isArray(coords)) return [coords, coords];
+      if (coords.length > 0 && !Array.isArray(coords[0])) {
+        const [x, y] = coords;
+        if (!Number.isFinite(x) || !Number.isFinite(y) || Math.abs(x) > 180 || Math.abs(y) > 90) {
+          return coords;
+        }
+        return null;
+      }
+      for (const child of coords) {
+        const invalid = check(child);
+        if (invalid) return invalid;
+      }
+      return null;
+    };
+
+    if (geometry.type === 'GeometryCollection') return null;
+    return check(geometry.coordinates || []);
+  }
+}
+
+export default new TopologyValidator();
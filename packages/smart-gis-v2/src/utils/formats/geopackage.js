@@ -0,0 +1,129 @@
+/**
+ * geopackage.js - GeoPackage (.gpkg) feature table reader
+ *
+ * The SQLite database is opened in memory with sql.js (WebAssembly, loaded
+ * on first use). Every table declared with data_type 'features' in
+ * gpkg_contents becomes a layer; its geometry column is decoded from the
+ * GeoPackage binary header + WKB, other columns become properties.
+ */
+
+import { parseWKB } from './wkb';
+
+let sqlPromise = null;
+
+/**
+ * Load sql.js once (the wasm file is emitted as a build asset)
+ * @private
+ */
+function loadSQL() {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([
+      import('sql.js'),
+      import('sql.js/dist/sql-wasm-browser.wasm?url')
+    ]).then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({
+      locateFile: () => wasmUrl
+    })).catch(error => {
+      sqlPromise = null;
+      throw error;
+    });
+  }
+  return sqlPromise;
+}
+
+/**
+ * Read the feature tables of a GeoPackage
+ * @param {ArrayBuffer} buffer - .gpkg content
+ * @returns {Promise<Array<{ name, features, srs: { id, organization, code, definition } | null }>>}
+ */
+export async function readGeoPackage(buffer) {
+  const SQL = await loadSQL();
+
+  let db;
+  try {
+    db = new SQL.Database(new Uint8Array(buffer));
+  } catch (error) {
+    throw new Error(`GeoPackage illisible: ${error.message}`);
+  }
+
+  try {
+    const tables = queryAll(db, `
+      SELECT c.table_name, g.column_name, g.srs_id,
+             s.organization, s.organization_coordsys_id, s.definition
+      FROM gpkg_contents c
+      JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+      LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+      WHERE c.data_type = 'features'
+      ORDER BY c.table_name
+    `);
+
+    if (tables.length === 0) {
+      throw new Error('Aucune table de features dans le GeoPackage');
+    }
+
+    return tables.map(table => ({
+      name: table.table_name,
+      features: readFeatureTable(db, table.table_name, table.column_name),
+      srs: table.srs_id > 0 ? {
+        id: table.srs_id,
+        organization: table.organization,
+        code: table.organization_coordsys_id,
+        definition: table.definition
+      } : null
+    }));
+  } catch (error) {
+    if (/no such table/i.test(error.message)) {
+      throw new Error('Fichier SQLite sans tables GeoPackage (gpkg_contents)');
+    }
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+function readFeatureTable(db, tableName, geometryColumn) {
+  return queryAll(db, `SELECT * FROM "${tableName.replace(/"/g, '""')}"`).map(row => {
+    const { [geometryColumn]: blob, ...properties } = row;
+
+    // Binary columns other than geometry cannot be stored as properties
+    Object.keys(properties).forEach(key => {
+      if (properties[key] instanceof Uint8Array) delete properties[key];
+    });
+
+    return { geometry: blob ? parseGeoPackageGeometry(blob) : null, properties };
+  });
+}
+
+/**
+ * Decode a GeoPackage geometry blob ("GP" header + WKB)
+ * @param {Uint8Array} blob
+ * @returns {Object|null} GeoJSON geometry (null if empty)
+ */
+export function parseGeoPackageGeometry(blob) {
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) {
+    throw new Error('Géométrie GeoPackage invalide (en-tête GP absent)');
+  }
+
+  const flags = blob[3];
+  if (flags & 0x10) return null; // Empty geometry
+  if (flags & 0x20) {
+    throw new Error('Géométrie GeoPackage étendue non supportée');
+  }
+
+  const envelopeSizes = [0, 32, 48, 48, 64];
+  const envelope = envelopeSizes[(flags >> 1) & 0x07] ?? 0;
+
+  return parseWKB(blob, 8 + envelope);
+}
+
+function queryAll(db, sql) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
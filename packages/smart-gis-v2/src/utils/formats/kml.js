@@ -0,0 +1,105 @@
+/**
+ * kml.js - KML, KMZ and GPX readers (XML → GeoJSON via @tmcw/togeojson)
+ *
+ * - KML/KMZ: one layer per folder (features outside folders: document layer)
+ * - GPX: one layer per kind (waypoints, tracks, routes)
+ *
+ * Always in WGS84 (both formats are longitude/latitude by definition).
+ */
+
+import { kmlWithFolders, gpx } from '@tmcw/togeojson';
+import { unzipSync } from 'fflate';
+
+// togeojson marks tracks and routes with _gpxType (waypoints have none)
+const GPX_LAYERS = {
+  trk: 'Traces',
+  rte: 'Itinéraires'
+};
+
+/**
+ * Read a KML document
+ * @param {string} text - KML content
+ * @param {string} documentName - Layer name for features outside folders
+ * @returns {Array<{ name, features: Array<{ geometry, properties }> }>}
+ */
+export function readKML(text, documentName = 'KML') {
+  const root = kmlWithFolders(parseXML(text));
+  const layers = new Map();
+
+  const walk = (node, layerName) => {
+    node.children.forEach(child => {
+      if (child.type === 'folder') {
+        const folderName = child.meta?.name || 'Dossier';
+        walk(child, layerName === documentName ? folderName : `${layerName}/${folderName}`);
+      } else if (child.type === 'Feature') {
+        if (!layers.has(layerName)) layers.set(layerName, []);
+        layers.get(layerName).push(toFeature(child));
+      }
+    });
+  };
+  walk(root, documentName);
+
+  if (layers.size === 0) {
+    throw new Error('Aucun Placemark trouvé dans le fichier KML');
+  }
+
+  return Array.from(layers, ([name, features]) => ({ name, features }));
+}
+
+/**
+ * Read a KMZ archive (zipped doc.kml, or the first .kml file)
+ * @param {ArrayBuffer} buffer - KMZ content
+ */
+export function readKMZ(buffer, documentName = 'KMZ') {
+  const entries = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => /\.kml$/i.test(file.name)
+  });
+
+  const paths = Object.keys(entries).sort((a, b) => {
+    // doc.kml first (KMZ convention), then by path
+    const score = (path) => (/(^|\/)doc\.kml$/i.test(path) ? 0 : 1);
+    return score(a) - score(b) || a.localeCompare(b);
+  });
+
+  if (paths.length === 0) {
+    throw new Error('Aucun fichier .kml trouvé dans l\'archive KMZ');
+  }
+
+  return readKML(new TextDecoder().decode(entries[paths[0]]), documentName);
+}
+
+/**
+ * Read a GPX document
+ * @param {string} text - GPX content
+ */
+export function readGPX(text) {
+  const collection = gpx(parseXML(text));
+  const layers = new Map();
+
+  collection.features.forEach(feature => {
+    const layerName = GPX_LAYERS[feature.properties?._gpxType] || 'Points';
+    if (!layers.has(layerName)) layers.set(layerName, []);
+    layers.get(layerName).push(toFeature(feature));
+  });
+
+  if (layers.size === 0) {
+    throw new Error('Aucun point, trace ou itinéraire dans le fichier GPX');
+  }
+
+  return Array.from(layers, ([name, features]) => ({ name, features }));
+}
+
+function parseXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`XML invalide: ${error.textContent.trim().substring(0, 120)}`);
+  }
+  return doc;
+}
+
+function toFeature(feature) {
+  // Per-vertex times/heart rates: too large for a property column
+  const { coordinateProperties, _gpxType, ...properties } = feature.properties || {};
+  return { geometry: feature.geometry, properties };
+}
@@ -0,0 +1,312 @@
+/**
+ * osm.js - Overpass JSON elements → GeoJSON features
+ *
+ * - Nodes: Point
+ * - Ways: Polygon when closed with area tags (OSM polygon rules), else
+ *   LineString (Point at the center with `out center`)
+ * - Multipolygon / boundary relations: Polygon or MultiPolygon with holes,
+ *   assembled from the member ways
+ * - Route relations: MultiLineString (stops and platforms excluded)
+ * - Other relations: Point at the center when available
+ *
+ * Accepts inline geometries (`out geom`) and node references
+ * (`out body; >; out skel`). Untagged elements only used to build another
+ * one's geometry (nodes of a way, ways of a relation) are not returned.
+ */
+
+/**
+ * Tag keys that make a closed way an area (standard OSM rules, see
+ * https://wiki.openstreetmap.org/wiki/Overpass_turbo/Polygon_Features)
+ * - 'all': any value (except "no")
+ * - include: only these values
+ * - exclude: any value except these
+ */
+const AREA_KEYS = {
+  building: 'all',
+  'building:part': 'all',
+  landuse: 'all',
+  amenity: 'all',
+  leisure: 'all',
+  area: 'all',
+  'area:highway': 'all',
+  boundary: 'all',
+  place: 'all',
+  shop: 'all',
+  tourism: 'all',
+  historic: 'all',
+  public_transport: 'all',
+  office: 'all',
+  military: 'all',
+  ruins: 'all',
+  craft: 'all',
+  golf: 'all',
+  indoor: 'all',
+  natural: { exclude: ['coastline', 'cliff', 'ridge', 'arete', 'tree_row'] },
+  man_made: { exclude: ['cutline', 'embankment', 'pipeline'] },
+  aeroway: { exclude: ['taxiway'] },
+  highway: { include: ['services', 'rest_area', 'escape', 'elevator'] },
+  waterway: { include: ['riverbank', 'dock', 'boatyard', 'dam'] },
+  barrier: { include: ['city_wall', 'ditch', 'hedge', 'retaining_wall', 'wall', 'spikes'] },
+  railway: { include: ['station', 'turntable', 'roundhouse', 'platform'] },
+  power: { include: ['plant', 'substation', 'generator', 'transformer'] }
+};
+
+// Relations assembled as (multi)polygons
+const AREA_RELATION_TYPES = ['multipolygon', 'boundary'];
+
+// Route members that are not part of the path
+const ROUTE_STOP_ROLE = /^(stop|platform)/;
+
+/**
+ * Read the elements of an Overpass JSON response
+ * @param {Array} elements - Overpass elements
+ * @returns {Array<{ geometry, properties }>} Features with a geometry
+ *   (properties: osm_id, osm_type, tags, osm_members for relations)
+ */
+export function readOverpass(elements = []) {
+  // Index of the elements, to resolve references
+  const nodesById = new Map();
+  const waysById = new Map();
+  const referenced = new Set();
+
+  elements.forEach(element => {
+    if (element.type === 'node') {
+      nodesById.set(element.id, [element.lon, element.lat]);
+    } else if (element.type === 'way') {
+      waysById.set(element.id, element);
+      (element.nodes || []).forEach(ref => referenced.add(`node/${ref}`));
+    } else if (element.type === 'relation') {
+      (element.members || []).forEach(member => referenced.add(`${member.type}/${member.ref}`));
+    }
+  });
+
+  return elements.map(element => {
+    const hasTags = element.tags && Object.keys(element.tags).length > 0;
+    if (!hasTags && referenced.has(`${element.type}/${element.id}`)) {
+      return null;
+    }
+
+    const geometry = elementGeometry(element, waysById, nodesById);
+    if (!geometry) return null;
+
+    const properties = {
+      osm_id: element.id,
+      osm_type: element.type,
+      ...(element.tags || {})
+    };
+    if (element.type === 'relation' && element.members) {
+      properties.osm_members = element.members.map(({ type, ref, role }) => ({ type, ref, role }));
+    }
+
+    return { geometry, properties };
+  }).filter(Boolean);
+}
+
+function elementGeometry(element, waysById, nodesById) {
+  if (element.type === 'node') {
+    return typeof element.lat === 'number' && typeof element.lon === 'number'
+      ? { type: 'Point', coordinates: [element.lon, element.lat] }
+      : null;
+  }
+
+  if (element.type === 'way') {
+    const coords = wayCoordinates(element, nodesById);
+    if (coords.length < 2) return centerPoint(element);
+
+    return isArea(element.tags, coords)
+      ? { type: 'Polygon', coordinates: [orientRing(coords, true)] }
+      : { type: 'LineString', coordinates: coords };
+  }
+
+  if (element.type === 'relation') {
+    const relationType = element.tags?.type;
+    // Without tags (`out skel`), outer / inner roles identify an area
+    const areaRoles = !relationType && (element.members || []).some(m => m.role === 'outer');
+    let geometry = null;
+
+    if (AREA_RELATION_TYPES.includes(relationType) || areaRoles) {
+      geometry = buildAreaRelation(element, waysById, nodesById);
+    } else if (relationType === 'route') {
+      geometry = buildRouteRelation(element, waysById, nodesById);
+    }
+
+    return geometry || centerPoint(element);
+  }
+
+  return null;
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function isClosed(coords) {
+  return coords.length >= 4 && samePoint(coords[0], coords[coords.length - 1]);
+}
+
+/**
+ * Is a closed way an area, according to its tags?
+ */
+function isArea(tags, coords) {
+  if (!tags || !isClosed(coords) || tags.area === 'no') {
+    return false;
+  }
+
+  return Object.entries(tags).some(([key, value]) => {
+    const rule = AREA_KEYS[key];
+    if (!rule || value === 'no') return false;
+    if (rule === 'all') return true;
+    if (rule.include) return rule.include.includes(value);
+    return !rule.exclude.includes(value);
+  });
+}
+
+/**
+ * Coordinates of a way: inline geometry (out geom) or node references
+ */
+function wayCoordinates(way, nodesById) {
+  if (!way) return [];
+
+  if (way.geometry) {
+    return way.geometry.filter(Boolean).map(node => [node.lon, node.lat]);
+  }
+
+  return (way.nodes || []).map(ref => nodesById.get(ref)).filter(Boolean);
+}
+
+/**
+ * Coordinates of the member ways of a relation
+ */
+function memberLines(relation, waysById, nodesById, filter = () => true) {
+  return (relation.members || [])
+    .filter(member => member.type === 'way' && filter(member))
+    .map(member => wayCoordinates(member.geometry ? member : waysById.get(member.ref), nodesById))
+    .filter(coords => coords.length >= 2);
+}
+
+/**
+ * Join lines end to end (reversing them if needed) until a ring is closed
+ * or no continuation is left
+ */
+function joinLines(lines) {
+  const pending = lines.map(line => [...line]);
+  const joined = [];
+
+  while (pending.length > 0) {
+    let current = pending.shift();
+    let extended = true;
+
+    while (extended && !isClosed(current)) {
+      extended = false;
+
+      for (let i = 0; i < pending.length; i++) {
+        const line = pending[i];
+        const head = current[0];
+        const tail = current[current.length - 1];
+
+        if (samePoint(tail, line[0])) {
+          current = current.concat(line.slice(1));
+        } else if (samePoint(tail, line[line.length - 1])) {
+          current = current.concat([...line].reverse().slice(1));
+        } else if (samePoint(head, line[line.length - 1])) {
+          current = line.concat(current.slice(1));
+        } else if (samePoint(head, line[0])) {
+          current = [...line].reverse().concat(current.slice(1));
+        } else {
+          continue;
+        }
+
+        pending.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+
+    joined.push(current);
+  }
+
+  return joined;
+}
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Orient a ring: outer counter-clockwise, hole clockwise (GeoJSON rule)
+ */
+function orientRing(ring, counterClockwise) {
+  return (signedArea(ring) > 0) === counterClockwise ? ring : [...ring].reverse();
+}
+
+/**
+ * Multipolygon / boundary relation: outer and inner rings joined from the
+ * member ways, each hole attached to the smallest outer ring containing it
+ * @returns {Object|null} Polygon, MultiPolygon or null without closed ring
+ */
+function buildAreaRelation(relation, waysById, nodesById) {
+  // Empty role = outer (old relations)
+  const outerRings = joinLines(memberLines(relation, waysById, nodesById, m => m.role !== 'inner'));
+  const innerRings = joinLines(memberLines(relation, waysById, nodesById, m => m.role === 'inner'));
+
+  const outers = outerRings.filter(isClosed);
+  const inners = innerRings.filter(isClosed);
+
+  const unclosed = outerRings.length + innerRings.length - outers.length - inners.length;
+  if (unclosed > 0) {
+    console.warn(`[OSM] Relation ${relation.id}: ${unclosed} unclosed ring(s) ignored`);
+  }
+
+  if (outers.length === 0) return null;
+
+  const polygons = outers.map(ring => [orientRing(ring, true)]);
+
+  inners.forEach(inner => {
+    let target = null;
+    polygons.forEach(polygon => {
+      if (!pointInRing(inner[0], polygon[0])) return;
+      if (!target || Math.abs(signedArea(polygon[0])) < Math.abs(signedArea(target[0]))) {
+        target = polygon;
+      }
+    });
+    if (target) target.push(orientRing(inner, false));
+  });
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Route relation: path of the member ways (without stops and platforms)
+ * joined as a MultiLineString
+ */
+function buildRouteRelation(relation, waysById, nodesById) {
+  const lines = joinLines(memberLines(relation, waysById, nodesById, m => !ROUTE_STOP_ROLE.test(m.role || '')));
+  return lines.length > 0 ? { type: 'MultiLineString', coordinates: lines } : null;
+}
+
+function centerPoint(element) {
+  return element.center
+    ? { type: 'Point', coordinates: [element.center.lon, element.center.lat] }
+    : null;
+}
@@ -0,0 +1,305 @@
+/**
+ * shapefile.js - Zipped Shapefile reader (.shp + .dbf + .prj + .cpg)
+ *
+ * - SHP: Point, PolyLine, Polygon, MultiPoint and their Z/M variants
+ *   (Z and M are dropped). Polygon rings are grouped by orientation:
+ *   clockwise = exterior, counter-clockwise = hole of the exterior that
+ *   contains it. Output rings follow GeoJSON (RFC 7946) orientation.
+ * - DBF: C, N, F, L, D fields (others read as text). Encoding from the .cpg
+ *   file, else UTF-8 with a Windows-1252 fallback.
+ * - PRJ: returned as WKT text, resolved by ProjectionService.registerWKT
+ *
+ * A zip may contain several shapefiles: one layer per .shp.
+ */
+
+import { unzipSync } from 'fflate';
+
+const SHAPE_TYPES = {
+  0: 'Null',
+  1: 'Point',
+  3: 'PolyLine',
+  5: 'Polygon',
+  8: 'MultiPoint'
+};
+
+/**
+ * Read the shapefiles of a zip archive
+ * @param {ArrayBuffer} buffer - Zip content
+ * @returns {Array<{ name, features: Array<{ geometry, properties }>, prj }>}
+ */
+export function readShapefileZip(buffer) {
+  const entries = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => !file.name.startsWith('__MACOSX/')
+  });
+
+  // Files grouped by path without extension: { shp, dbf, prj, cpg }
+  const groups = new Map();
+  Object.entries(entries).forEach(([path, data]) => {
+    const match = path.match(/^(.*)\.(shp|dbf|prj|cpg)$/i);
+    if (!match) return;
+    const key = match[1].toLowerCase();
+    if (!groups.has(key)) groups.set(key, { name: match[1].split('/').pop() });
+    groups.get(key)[match[2].toLowerCase()] = data;
+  });
+
+  const layers = Array.from(groups.values())
+    .filter(group => group.shp)
+    .map(group => readShapefile(group));
+
+  if (layers.length === 0) {
+    throw new Error('Aucun fichier .shp trouvé dans l\'archive');
+  }
+
+  return layers;
+}
+
+/**
+ * Read one shapefile
+ * @param {{ name, shp: Uint8Array, dbf?: Uint8Array, prj?: Uint8Array, cpg?: Uint8Array }} files
+ */
+export function readShapefile({ name, shp, dbf, prj, cpg }) {
+  const geometries = parseSHP(shp);
+  const records = dbf ? parseDBF(dbf, cpg ? new TextDecoder().decode(cpg).trim() : null) : [];
+
+  return {
+    name,
+    features: geometries.map((geometry, idx) => ({
+      geometry,
+      properties: records[idx] || {}
+    })),
+    prj: prj ? new TextDecoder().decode(prj).trim() : null
+  };
+}
+
+/**
+ * Parse the geometries of a .shp file
+ * @param {Uint8Array} bytes
+ * @returns {Array<Object|null>} GeoJSON geometries (null for null shapes)
+ */
+export function parseSHP(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < 100 || view.getInt32(0, false) !== 9994) {
+    throw new Error('Fichier .shp invalide');
+  }
+
+  const fileLength = Math.min(view.getInt32(24, false) * 2, bytes.byteLength);
+  const geometries = [];
+  let offset = 100;
+
+  while (offset + 8 <= fileLength) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    geometries.push(readShape(view, start));
+    offset = start + contentLength;
+  }
+
+  return geometries;
+}
+
+function readShape(view, offset) {
+  const shapeType = view.getInt32(offset, true);
+  const baseType = SHAPE_TYPES[shapeType % 10] && shapeType < 30 ? SHAPE_TYPES[shapeType % 10] : null;
+
+  const readPoint = (pos) => [view.getFloat64(pos, true), view.getFloat64(pos + 8, true)];
+
+  switch (baseType) {
+    case 'Null':
+      return null;
+
+    case 'Point':
+      return { type: 'Point', coordinates: readPoint(offset + 4) };
+
+    case 'MultiPoint': {
+      const numPoints = view.getInt32(offset + 36, true);
+      const points = Array.from({ length: numPoints }, (_, i) => readPoint(offset + 40 + i * 16));
+      return points.length === 1
+        ? { type: 'Point', coordinates: points[0] }
+        : { type: 'MultiPoint', coordinates: points };
+    }
+
+    case 'PolyLine':
+    case 'Polygon': {
+      const numParts = view.getInt32(offset + 36, true);
+      const numPoints = view.getInt32(offset + 40, true);
+      const partsOffset = offset + 44;
+      const pointsOffset = partsOffset + numParts * 4;
+
+      const parts = [];
+      for (let i = 0; i < numParts; i++) {
+        const first = view.getInt32(partsOffset + i * 4, true);
+        const last = i + 1 < numParts ? view.getInt32(partsOffset + (i + 1) * 4, true) : numPoints;
+        const part = [];
+        for (let j = first; j < last; j++) {
+          part.push(readPoint(pointsOffset + j * 16));
+        }
+        parts.push(part);
+      }
+
+      if (baseType === 'PolyLine') {
+        return parts.length === 1
+          ? { type: 'LineString', coordinates: parts[0] }
+          : { type: 'MultiLineString', coordinates: parts };
+      }
+
+      return assemblePolygon(parts);
+    }
+
+    default:
+      throw new Error(`Type de forme non supporté: ${shapeType}`);
+  }
+}
+
+/**
+ * Group shapefile rings into polygons (clockwise = exterior)
+ */
+function assemblePolygon(rings) {
+  const exteriors = [];
+  const holes = [];
+
+  rings.filter(ring => ring.length >= 4).forEach(ring => {
+    (ringArea(ring) < 0 ? exteriors : holes).push(ring);
+  });
+
+  // Holes only (badly oriented file): take them as exteriors
+  if (exteriors.length === 0) {
+    exteriors.push(...holes.splice(0));
+  }
+
+  const polygons = exteriors.map(ring => [ring.slice().reverse()]);
+
+  holes.forEach(hole => {
+    // Smallest exterior containing the hole
+    let owner = -1;
+    exteriors.forEach((exterior, idx) => {
+      if (!pointInRing(hole[0], exterior)) return;
+      if (owner === -1 || Math.abs(ringArea(exterior)) < Math.abs(ringArea(exteriors[owner]))) {
+        owner = idx;
+      }
+    });
+
+    if (owner === -1) {
+      polygons.push([hole]);
+    } else {
+      polygons[owner].push(hole.slice().reverse());
+    }
+  });
+
+  if (polygons.length === 0) return null;
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Signed area (counter-clockwise > 0)
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Parse the records of a .dbf file
+ * @param {Uint8Array} bytes
+ * @param {string|null} codePage - Content of the .cpg file ('UTF-8', '1252'...)
+ * @returns {Array<Object>} Records (deleted records are kept empty to stay
+ *   aligned with the .shp shapes)
+ */
+export function parseDBF(bytes, codePage = null) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  const fields = [];
+  let fieldOffset = 1; // Deletion flag
+  for (let pos = 32; pos + 32 <= headerLength && bytes[pos] !== 0x0d; pos += 32) {
+    const nameBytes = bytes.subarray(pos, pos + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    const field = {
+      name: new TextDecoder('latin1').decode(nameEnd === -1 ? nameBytes : nameBytes.subarray(0, nameEnd)).trim(),
+      type: String.fromCharCode(bytes[pos + 11]).toUpperCase(),
+      offset: fieldOffset,
+      length: bytes[pos + 16]
+    };
+    fields.push(field);
+    fieldOffset += field.length;
+  }
+
+  const decoder = getDBFDecoder(bytes.subarray(headerLength), codePage);
+
+  const records = [];
+  for (let i = 0; i < recordCount; i++) {
+    const start = headerLength + i * recordLength;
+    if (start + recordLength > bytes.byteLength) break;
+
+    const record = {};
+    if (bytes[start] !== 0x2a) { // '*' = deleted
+      fields.forEach(field => {
+        const raw = decoder.decode(bytes.subarray(start + field.offset, start + field.offset + field.length));
+        record[field.name] = parseDBFValue(raw, field.type);
+      });
+    }
+    records.push(record);
+  }
+
+  return records;
+}
+
+function getDBFDecoder(data, codePage) {
+  if (codePage) {
+    const label = /^\d+$/.test(codePage) ? `windows-${codePage}` : codePage;
+    try {
+      return new TextDecoder(label);
+    } catch {
+      console.warn(`[Shapefile] Unknown code page "${codePage}", detecting encoding`);
+    }
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return new TextDecoder('utf-8');
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
+
+function parseDBFValue(raw, type) {
+  const value = raw.replace(/\0/g, '').trim();
+
+  switch (type) {
+    case 'N':
+    case 'F': {
+      if (value === '' || /^\*+$/.test(value)) return null;
+      const number = parseFloat(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'L':
+      if (/^[YT]$/i.test(value)) return true;
+      if (/^[NF]$/i.test(value)) return false;
+      return null;
+    case 'D':
+      return /^\d{8}$/.test(value)
+        ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+        : null;
+    default:
+      return value;
+  }
+}
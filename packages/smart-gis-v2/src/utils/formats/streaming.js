@@ -0,0 +1,300 @@
+/**
+ * streaming.js - Incremental parsers for large imports (no DOM, worker-safe)
+ *
+ * Text is pushed chunk by chunk; each parser returns what is complete so
+ * far and keeps the unfinished tail for the next chunk, so memory stays
+ * bounded by one feature / one row whatever the file size.
+ *
+ * - GeoJSONFeatureStream: objects of the root "features" array of a
+ *   FeatureCollection (+ legacy root `crs` member)
+ * - CSVRowStream: RFC 4180 rows (quoted fields, "" escapes, CRLF, newlines
+ *   inside quotes)
+ * - csvLatLonFeature / csvWKTFeature: row → import feature (same rules as
+ *   the csv_latlon / csv_wkt import methods)
+ */
+
+import { geoJSONToWKT } from '../geometryConverters';
+
+const WKT_PATTERN = /^(SRID=\d+;)?(POINT|LINESTRING|POLYGON|MULTI|GEOMETRYCOLLECTION)/i;
+
+/**
+ * Streaming reader of the features of a GeoJSON FeatureCollection
+ */
+export class GeoJSONFeatureStream {
+  constructor() {
+    this.mode = 'seek';     // seek ("features" array) → array → object → array ... → end
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringValue = '';  // Current root-level string (keys)
+    this.lastKey = null;
+    this.pending = '';      // Unfinished feature text
+    this.prefix = '';       // Root text before the features array (crs detection)
+    this.crs = null;
+  }
+
+  /**
+   * @param {string} chunk
+   * @returns {Array<{ text: string, value?: Object, error?: string }>} Complete features
+   */
+  push(chunk) {
+    const results = [];
+    let start = this.mode === 'object' ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (this.mode === 'end') break;
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.mode === 'seek' && this.depth === 1) this.lastKey = this.stringValue;
+        } else if (this.mode === 'seek' && this.depth === 1) {
+          this.stringValue += char;
+        }
+        continue;
+      }
+
+      if (this.mode === 'seek') {
+        if (char === '"') {
+          this.inString = true;
+          this.stringValue = '';
+        } else if (char === '{' || char === '[') {
+          if (char === '[' && this.depth === 1 && this.lastKey === 'features') {
+            this.mode = 'array';
+            this.crs = this.crs || detectCRS(this.prefix + chunk.slice(0, i));
+            this.prefix = '';
+            continue;
+          }
+          this.depth++;
+        } else if (char === '}' || char === ']') {
+          this.depth--;
+        } else if (char === ',' && this.depth === 1) {
+          this.lastKey = null;
+        }
+        continue;
+      }
+
+      if (this.mode === 'array') {
+        if (char === '{') {
+          this.mode = 'object';
+          this.depth = 1;
+          start = i;
+        } else if (char === ']') {
+          this.mode = 'end';
+        }
+        continue;
+      }
+
+      // Inside a feature object
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (this.depth === 0) {
+          const text = this.pending + chunk.slice(start, i + 1);
+          this.pending = '';
+          this.mode = 'array';
+          try {
+            results.push({ text, value: JSON.parse(text) });
+          } catch (error) {
+            results.push({ text, error: `JSON invalide: ${error.message}` });
+          }
+        }
+      }
+    }
+
+    if (this.mode === 'object') {
+      this.pending += chunk.slice(start);
+    } else if (this.mode === 'seek' && this.prefix.length < 65536) {
+      this.prefix += chunk;
+    }
+
+    return results;
+  }
+
+  /**
+   * Check the stream ended on a complete FeatureCollection
+   */
+  finish() {
+    if (this.mode === 'seek') {
+      throw new Error('GeoJSON invalide: tableau "features" introuvable (FeatureCollection attendue)');
+    }
+    if (this.mode === 'object') {
+      throw new Error('GeoJSON tronqué: dernière feature incomplète');
+    }
+  }
+}
+
+function detectCRS(prefix) {
+  const match = prefix.match(/"crs"\s*:\s*\{[\s\S]*?"name"\s*:\s*"([^"]+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * GeoJSON feature object → import feature
+ * @throws {Error} Feature without a convertible geometry
+ */
+export function geoJSONFeature(value, featureIndex, sourceCrs = null) {
+  if (!value || value.type !== 'Feature') {
+    throw new Error('Objet GeoJSON de type Feature attendu');
+  }
+  const wkt = value.geometry ? geoJSONToWKT(value.geometry) : null;
+  if (!wkt) {
+    throw new Error('Géométrie absente ou invalide');
+  }
+  return {
+    geometry: wkt,
+    properties: value.properties || {},
+    feature_index: featureIndex,
+    source_crs: sourceCrs
+  };
+}
+
+/**
+ * Streaming CSV reader
+ */
+export class CSVRowStream {
+  constructor(delimiter = ',') {
+    this.delimiter = delimiter;
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.quotePending = false; // Quote seen inside quotes: escape or end
+    this.line = 1;
+    this.rowLine = 1;
+    this.started = false;
+  }
+
+  /**
+   * @param {string} chunk
+   * @returns {Array<{ values: Array<string>, line: number }>} Complete rows (blank lines skipped)
+   */
+  push(chunk) {
+    const rows = [];
+    let text = chunk;
+
+    // UTF-8 BOM
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.quotePending) {
+        this.quotePending = false;
+        if (char === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.inQuotes = false;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.quotePending = true;
+        } else {
+          if (char === '\n') this.line++;
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && this.field === '') {
+        this.inQuotes = true;
+      } else if (char === this.delimiter) {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (char === '\n') {
+        this.endRow(rows);
+        this.line++;
+        this.rowLine = this.line;
+      } else if (char !== '\r') {
+        this.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Last row (file without final newline)
+   */
+  flush() {
+    const rows = [];
+    this.quotePending = false;
+    this.inQuotes = false;
+    this.endRow(rows);
+    return rows;
+  }
+
+  /**
+   * @private
+   */
+  endRow(rows) {
+    this.row.push(this.field);
+    const values = this.row;
+    this.row = [];
+    this.field = '';
+
+    if (values.length === 1 && values[0].trim() === '') return;
+    rows.push({ values, line: this.rowLine });
+  }
+}
+
+/**
+ * CSV values → row object
+ */
+export function csvRecord(headers, values) {
+  const row = {};
+  headers.forEach((header, idx) => {
+    row[header] = values[idx]?.trim() || '';
+  });
+  return row;
+}
+
+/**
+ * CSV row → point feature (lat/lon columns)
+ * Decimal commas are accepted when the delimiter is not a comma
+ */
+export function csvLatLonFeature(row, featureIndex, { lat_column, lon_column, delimiter = ',' }) {
+  const parse = (value) => parseFloat(delimiter !== ',' ? String(value).replace(',', '.') : value);
+  const lat = parse(row[lat_column]);
+  const lon = parse(row[lon_column]);
+
+  if (isNaN(lat) || isNaN(lon)) {
+    throw new Error('Coordonnées invalides');
+  }
+
+  return {
+    geometry: `POINT(${lon} ${lat})`,
+    properties: row,
+    feature_index: featureIndex
+  };
+}
+
+/**
+ * CSV row → feature (WKT/EWKT column)
+ */
+export function csvWKTFeature(row, featureIndex, { wkt_column }) {
+  const wkt = row[wkt_column];
+
+  if (!wkt || !WKT_PATTERN.test(wkt)) {
+    throw new Error('WKT invalide');
+  }
+
+  return {
+    geometry: wkt,
+    properties: row,
+    feature_index: featureIndex
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * wkb.js - Well-Known Binary → GeoJSON geometry
+ *
+ * Supports OGC/ISO WKB (Z, M, ZM type codes 1000/2000/3000) and the EWKB
+ * flags (0x80000000 Z, 0x40000000 M, 0x20000000 SRID). Z and M values are
+ * read and dropped: geometries are stored in 2D.
+ */
+
+const GEOMETRY_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection'
+};
+
+/**
+ * Parse a WKB geometry
+ * @param {Uint8Array} bytes - WKB bytes
+ * @param {number} offset - Start offset
+ * @returns {Object|null} GeoJSON geometry (null for an empty point)
+ */
+export function parseWKB(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return readGeometry(view, { offset }).geometry;
+}
+
+function readGeometry(view, cursor) {
+  const littleEndian = view.getUint8(cursor.offset) === 1;
+  cursor.offset += 1;
+
+  let typeCode = view.getUint32(cursor.offset, littleEndian);
+  cursor.offset += 4;
+
+  // EWKB flags
+  let hasZ = (typeCode & 0x80000000) !== 0;
+  let hasM = (typeCode & 0x40000000) !== 0;
+  if (typeCode & 0x20000000) {
+    cursor.offset += 4; // SRID
+  }
+  typeCode &= 0x0fffffff;
+
+  // ISO type codes
+  const dimension = Math.floor(typeCode / 1000);
+  hasZ = hasZ || dimension === 1 || dimension === 3;
+  hasM = hasM || dimension === 2 || dimension === 3;
+
+  const type = GEOMETRY_TYPES[typeCode % 1000];
+  if (!type) {
+    throw new Error(`Type WKB non supporté: ${typeCode}`);
+  }
+
+  const stride = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+
+  const readPoint = () => {
+    const x = view.getFloat64(cursor.offset, littleEndian);
+    const y = view.getFloat64(cursor.offset + 8, littleEndian);
+    cursor.offset += stride * 8;
+    return [x, y];
+  };
+
+  const readCount = () => {
+    const count = view.getUint32(cursor.offset, littleEndian);
+    cursor.offset += 4;
+    return count;
+  };
+
+  const readPoints = () => Array.from({ length: readCount() }, readPoint);
+
+  const readMembers = () => Array.from({ length: readCount() }, () => readGeometry(view, cursor).geometry);
+
+  switch (type) {
+    case 'Point': {
+      const point = readPoint();
+      // Empty point: NaN coordinates
+      return { geometry: Number.isNaN(point[0]) ? null : { type, coordinates: point } };
+    }
+    case 'LineString':
+      return { geometry: { type, coordinates: readPoints() } };
+    case 'Polygon':
+      return { geometry: { type, coordinates: Array.from({ length: readCount() }, readPoints) } };
+    case 'GeometryCollection':
+      return { geometry: { type, geometries: readMembers().filter(Boolean) } };
+    default:
+      return {
+        geometry: {
+          type,
+          coordinates: readMembers().filter(Boolean).map(member => member.coordinates)
+        }
+      };
+  }
+}
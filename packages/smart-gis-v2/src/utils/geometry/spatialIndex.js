@@ -0,0 +1,81 @@
+/**
+ * Spatial Index - R-tree over feature bounding boxes
+ *
+ * Avoids testing every target against every reference feature when
+ * filtering large layers (thousands of OSM/IGN features) in the browser.
+ *
+ * Performance impact:
+ * - Without index: n × m exact predicate tests
+ * - With index: exact tests only on bbox candidates (typically < 1%)
+ */
+
+import RBush from 'rbush';
+import { bbox } from '@turf/turf';
+
+// Meters per degree of latitude (spherical approximation)
+const METERS_PER_DEGREE = 111320;
+
+export class SpatialIndex {
+  constructor() {
+    this.tree = new RBush();
+    this.size = 0;
+  }
+
+  /**
+   * Build an index from items
+   *
+   * @param {Array} items - Items to index
+   * @param {function} getGeometry - item → GeoJSON geometry (or null to skip)
+   * @returns {SpatialIndex}
+   */
+  static from(items, getGeometry) {
+    const index = new SpatialIndex();
+    const entries = [];
+
+    items.forEach(item => {
+      const geometry = getGeometry(item);
+      if (!geometry) return;
+
+      const [minX, minY, maxX, maxY] = bbox(geometry);
+      entries.push({ minX, minY, maxX, maxY, item, geometry });
+    });
+
+    // Bulk loading is ~2-3x faster than one-by-one insertion
+    index.tree.load(entries);
+    index.size = entries.length;
+
+    return index;
+  }
+
+  /**
+   * Find entries whose bbox intersects a geometry's bbox
+   *
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {number} bufferMeters - Optional search margin (distance queries)
+   * @returns {Array<{ item, geometry }>}
+   */
+  search(geometry, bufferMeters = 0) {
+    let [minX, minY, maxX, maxY] = bbox(geometry);
+
+    if (bufferMeters > 0) {
+      const dLat = bufferMeters / METERS_PER_DEGREE;
+      // Use the latitude closest to a pole so the margin is never too small
+      const maxAbsLat = Math.min(89, Math.max(Math.abs(minY), Math.abs(maxY)) + dLat);
+      const dLon = bufferMeters / (METERS_PER_DEGREE * Math.cos(maxAbsLat * Math.PI / 180));
+
+      minX -= dLon;
+      maxX += dLon;
+      minY -= dLat;
+      maxY += dLat;
+    }
+
+    return this.tree.search({ minX, minY, maxX, maxY });
+  }
+
+  clear() {
+    this.tree.clear();
+    this.size = 0;
+  }
+}
+
+export default SpatialIndex;
@@ -11,10 +11,15 @@
  * @returns {string|null} WKT string or null if invalid
  */
 export function geoJSONToWKT(geometry) {
-  if (!geometry || !geometry.type || !geometry.coordinates) {
+  if (!geometry || !geometry.type || (!geometry.coordinates && !geometry.geometries)) {
     return null;
   }
 
+  if (geometry.type === 'GeometryCollection') {
+    const members = (geometry.geometries || []).map(geoJSONToWKT).filter(Boolean);
+    return `GEOMETRYCOLLECTION(${members.join(', ')})`;
+  }
+
   const { type, coordinates } = geometry;
 
   switch (type) {
@@ -25,7 +30,7 @@ export function geoJSONToWKT(geometry) {
       return `LINESTRING(${formatCoordinates(coordinates)})`;
 
     case 'Polygon':
-      return `POLYGON((${formatCoordinates(coordinates[0])}))`;
+      return `POLYGON${formatRings(coordinates)}`;
 
     case 'MultiPoint':
       const points = coordinates.map(c => `(${c[0]} ${c[1]})`).join(', ');
@@ -36,9 +41,7 @@ export function geoJSONToWKT(geometry) {
       return `MULTILINESTRING(${lines})`;
 
     case 'MultiPolygon':
-      const polys = coordinates.map(poly =>
-        `((${formatCoordinates(poly[0])}))`
-      ).join(', ');
+      const polys = coordinates.map(poly => formatRings(poly)).join(', ');
       return `MULTIPOLYGON(${polys})`;
 
     default:
@@ -56,6 +59,137 @@ function formatCoordinates(coords) {
   return coords.map(c => `${c[0]} ${c[1]}`).join(', ');
 }
 
+/**
+ * Format polygon rings (outer ring + holes) to WKT
+ * @param {Array} rings - Array of rings, each an array of [lon, lat]
+ * @returns {string} Formatted rings (e.g., "((...), (...))")
+ */
+function formatRings(rings) {
+  return `(${rings.map(ring => `(${formatCoordinates(ring)})`).join(', ')})`;
+}
+
+/**
+ * Convert WKT (or EWKT with SRID prefix) to GeoJSON geometry
+ *
+ * Unlike wktParser.parseWKT (Leaflet [lat, lng] order for display),
+ * this keeps the GeoJSON [lon, lat] order used by spatial computations.
+ * Z/M ordinates are dropped.
+ *
+ * @param {string} wkt - WKT string
+ * @returns {Object|null} GeoJSON geometry or null if invalid
+ */
+export function wktToGeoJSON(wkt) {
+  if (!wkt || typeof wkt !== 'string') {
+    return null;
+  }
+
+  const text = wkt.includes(';') ? wkt.slice(wkt.indexOf(';') + 1) : wkt;
+  const tokens = text.match(/[A-Za-z]+|[-+]?[\d.]+(?:[eE][-+]?\d+)?|[(),]/g);
+  if (!tokens) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" at token ${pos}`);
+    }
+  };
+
+  const readPosition = () => {
+    const position = [];
+    while (peek() !== undefined && /^[-+\d.]/.test(peek())) {
+      position.push(Number(next()));
+    }
+    if (position.length < 2) {
+      throw new Error('Invalid coordinate');
+    }
+    return position.slice(0, 2);
+  };
+
+  // Reads "(a, b, ...)" with a reader for each member
+  const readList = (readMember) => {
+    expect('(');
+    const items = [readMember()];
+    while (peek() === ',') {
+      next();
+      items.push(readMember());
+    }
+    expect(')');
+    return items;
+  };
+
+  // MULTIPOINT accepts both "(1 2, 3 4)" and "((1 2), (3 4))"
+  const readMultiPointMember = () => {
+    if (peek() === '(') {
+      next();
+      const position = readPosition();
+      expect(')');
+      return position;
+    }
+    return readPosition();
+  };
+
+  const readGeometry = () => {
+    const keyword = (next() || '').toUpperCase();
+    let type = keyword;
+
+    // Skip dimension markers (POINT Z, POINT ZM...)
+    while (peek() && /^(Z|M|ZM)$/i.test(peek())) {
+      next();
+    }
+
+    const empty = peek() && peek().toUpperCase() === 'EMPTY';
+    if (empty) next();
+
+    switch (type) {
+      case 'POINT':
+        if (empty) return { type: 'Point', coordinates: [] };
+        expect('(');
+        const point = readPosition();
+        expect(')');
+        return { type: 'Point', coordinates: point };
+
+      case 'LINESTRING':
+        return { type: 'LineString', coordinates: empty ? [] : readList(readPosition) };
+
+      case 'POLYGON':
+        return {
+          type: 'Polygon',
+          coordinates: empty ? [] : readList(() => readList(readPosition))
+        };
+
+      case 'MULTIPOINT':
+        return { type: 'MultiPoint', coordinates: empty ? [] : readList(readMultiPointMember) };
+
+      case 'MULTILINESTRING':
+        return {
+          type: 'MultiLineString',
+          coordinates: empty ? [] : readList(() => readList(readPosition))
+        };
+
+      case 'MULTIPOLYGON':
+        return {
+          type: 'MultiPolygon',
+          coordinates: empty ? [] : readList(() => readList(() => readList(readPosition)))
+        };
+
+      case 'GEOMETRYCOLLECTION':
+        return { type: 'GeometryCollection', geometries: empty ? [] : readList(readGeometry) };
+
+      default:
+        throw new Error(`Unsupported WKT type: ${type}`);
+    }
+  };
+
+  try {
+    return readGeometry();
+  } catch (error) {
+    console.warn('[geometryConverters] Invalid WKT:', error.message);
+    return null;
+  }
+}
+
 /**
  * Convert GeoJSON Feature to WKT
  * @param {Object} feature - GeoJSON Feature object
@@ -0,0 +1,123 @@
+/**
+ * Hatch Patterns - SVG fill patterns for Leaflet paths
+ *
+ * Leaflet only supports plain fill colors, but its SVG renderer accepts any
+ * paint value: `fillColor: 'url(#pattern-id)'` works as long as the pattern
+ * is defined somewhere in the document. Patterns are created once in a
+ * hidden <svg> and shared by every path using the same parameters.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CONTAINER_ID = 'smart-gis-hatch-patterns';
+
+const created = new Set();
+
+function getDefs() {
+  let svg = document.getElementById(CONTAINER_ID);
+
+  if (!svg) {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('id', CONTAINER_ID);
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.position = 'absolute';
+    svg.appendChild(document.createElementNS(SVG_NS, 'defs'));
+    document.body.appendChild(svg);
+  }
+
+  return svg.firstChild;
+}
+
+/**
+ * Get (and create if needed) a hatch pattern
+ *
+ * @param {Object} options
+ * @param {string} options.color - Line color
+ * @param {number} options.angle - Line angle in degrees (0 = horizontal)
+ * @param {number} options.spacing - Distance between lines in pixels
+ * @param {number} options.width - Line width in pixels
+ * @returns {string} Paint value usable as Leaflet fillColor
+ */
+export function ensureHatchPattern({ color = '#000000', angle = 45, spacing = 8, width = 1 } = {}) {
+  const id = `hatch-${color.replace(/[^0-9a-z]/gi, '')}-${angle}-${spacing}-${width}`;
+
+  if (typeof document === 'undefined') {
+    return color;
+  }
+
+  if (!created.has(id) || !document.getElementById(id)) {
+    const pattern = document.createElementNS(SVG_NS, 'pattern');
+    pattern.setAttribute('id', id);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', String(spacing));
+    pattern.setAttribute('height', String(spacing));
+    pattern.setAttribute('patternTransform', `rotate(${angle})`);
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', '0');
+    line.setAttribute('y1', '0');
+    line.setAttribute('x2', '0');
+    line.setAttribute('y2', String(spacing));
+    line.setAttribute('stroke', color);
+    line.setAttribute('stroke-width', String(width));
+
+    pattern.appendChild(line);
+    getDefs().appendChild(pattern);
+    created.add(id);
+  }
+
+  return `url(#${id})`;
+}
+
+/**
+ * CSS equivalent of a hatch pattern (legend swatches)
+ */
+export function hatchToCSS({ color = '#000000', angle = 45, spacing = 8, width = 1 } = {}) {
+  // SVG pattern lines are vertical before rotation, CSS gradients run at 90°
+  return `repeating-linear-gradient(${angle + 90}deg, ${color} 0 ${width}px, transparent ${width}px ${spacing}px)`;
+}
+
+/**
+ * Hatch options of a paint value returned by ensureHatchPattern (null for a plain color)
+ */
+export function parseHatchPattern(paint) {
+  const match = /^url\(#hatch-([0-9a-z]+)-(-?[\d.]+)-([\d.]+)-([\d.]+)\)$/i.exec(paint || '');
+  if (!match) return null;
+
+  const [, color, angle, spacing, width] = match;
+  return {
+    color: /^[0-9a-f]{3,8}$/i.test(color) ? `#${color}` : color,
+    angle: Number(angle),
+    spacing: Number(spacing),
+    width: Number(width)
+  };
+}
+
+/**
+ * Canvas equivalent of a hatch pattern (print export)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context the pattern is used in
+ * @param {Object} options - Same options as ensureHatchPattern
+ * @param {number} scale - Canvas pixels per screen pixel
+ */
+export function hatchToCanvasPattern(ctx, { color = '#000000', angle = 45, spacing = 8, width = 1 } = {}, scale = 1) {
+  const size = Math.max(2, Math.round(spacing * scale));
+  const tile = document.createElement('canvas');
+  tile.width = size;
+  tile.height = size;
+
+  const tileCtx = tile.getContext('2d');
+  tileCtx.strokeStyle = color;
+  tileCtx.lineWidth = width * scale;
+  // Line on both edges: each half is clipped by the tile
+  [0, size].forEach(x => {
+    tileCtx.beginPath();
+    tileCtx.moveTo(x, 0);
+    tileCtx.lineTo(x, size);
+    tileCtx.stroke();
+  });
+
+  const pattern = ctx.createPattern(tile, 'repeat');
+  pattern.setTransform(new DOMMatrix().rotate(angle));
+  return pattern;
+}
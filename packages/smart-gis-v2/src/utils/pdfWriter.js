@@ -0,0 +1,99 @@
+/**
+ * Minimal PDF writer: one page showing a JPEG image full page
+ *
+ * The JPEG bytes are embedded as is (DCTDecode filter), so the page keeps
+ * the resolution of the image it was rendered at.
+ */
+
+const MM_TO_PT = 72 / 25.4;
+
+const encoder = new TextEncoder();
+
+/**
+ * PDF text string in UTF-16BE (accents of the title)
+ */
+const pdfString = (text) => {
+  let hex = 'FEFF';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    const units = code > 0xffff
+      ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)]
+      : [code];
+    units.forEach(unit => { hex += unit.toString(16).padStart(4, '0').toUpperCase(); });
+  }
+  return `<${hex}>`;
+};
+
+const pdfDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+/**
+ * Build a one-page PDF around a JPEG image
+ *
+ * @param {Uint8Array} jpeg - JPEG file bytes (RGB)
+ * @param {Object} options
+ * @param {number} options.width - Image width (px)
+ * @param {number} options.height - Image height (px)
+ * @param {number} options.pageWidth - Page width (mm)
+ * @param {number} options.pageHeight - Page height (mm)
+ * @param {string} options.title - Document title
+ * @returns {Uint8Array} PDF file bytes
+ */
+export function createImagePdf(jpeg, { width, height, pageWidth, pageHeight, title = '' }) {
+  const pageW = (pageWidth * MM_TO_PT).toFixed(2);
+  const pageH = (pageHeight * MM_TO_PT).toFixed(2);
+  const content = `q ${pageW} 0 0 ${pageH} 0 0 cm /Im0 Do Q`;
+
+  // Objects in order (1-based ids); the image stream is the only binary part
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageW} ${pageH}] ` +
+      '/Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>',
+    [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`],
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream'
+    ],
+    `<< /Title ${pdfString(title)} /Producer (Smart-GIS) /CreationDate (${pdfDate(new Date())}) >>`
+  ];
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  // Binary comment: tells readers the file holds binary data
+  push('%PDF-1.4\n');
+  push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    (Array.isArray(object) ? object : [object]).forEach(push);
+    push('\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+}
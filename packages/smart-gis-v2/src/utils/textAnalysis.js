@@ -0,0 +1,84 @@
+/**
+ * Text analysis for the local search index (services/LocalSearchIndex.js)
+ *
+ * Accent and case folding, French / English stop words and a light stemmer
+ * (plurals, feminine -e) so that "écoles primaires" matches "École primaire".
+ */
+
+const STOP_WORDS = new Set([
+  // French
+  'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'et', 'il', 'la', 'le', 'les',
+  'leur', 'lui', 'ma', 'mais', 'me', 'mes', 'ne', 'ni', 'nos', 'notre', 'nous', 'on', 'ou', 'par', 'pas',
+  'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sous', 'sur', 'ta', 'te', 'tes', 'ton', 'un',
+  'une', 'vos', 'votre', 'vous', 'est', 'sont', 'pres', 'proche', 'proches',
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'near', 'of', 'on',
+  'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Lowercase, without accents
+ */
+export function foldText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Light stemmer: -aux → -al, then final -s / -x, then final -e
+ */
+export function stem(token) {
+  if (token.length <= 3 || /^\d+$/.test(token)) return token;
+
+  let stemmed = token;
+  if (stemmed.endsWith('aux') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}al`;
+  }
+  if ((stemmed.endsWith('s') || stemmed.endsWith('x')) && stemmed.length > 3) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  if (stemmed.endsWith('e') && stemmed.length > 3) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  return stemmed;
+}
+
+/**
+ * Index terms of a text (stop words removed, stemmed)
+ *
+ * @returns {Array<string>} Terms in text order, with repetitions
+ */
+export function tokenize(text) {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Scalar values of a properties object (or of its JSON), space separated
+ */
+export function propertiesText(properties) {
+  if (!properties) return '';
+  try {
+    const parsed = typeof properties === 'string' ? JSON.parse(properties) : properties;
+    if (!parsed || typeof parsed !== 'object') return String(parsed ?? '');
+    return Object.values(parsed).filter(v => v !== null && typeof v !== 'object').join(' ');
+  } catch {
+    return String(properties);
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash (hex), to detect changed documents
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,39 @@
+/**
+ * XML helpers for OGC capabilities documents
+ *
+ * Namespace-agnostic: servers differ in prefixes (wfs:, ows:, wmts:, none),
+ * elements are matched on their local name only.
+ */
+
+/**
+ * All descendants with the given local name
+ */
+export function findAll(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Direct children with the given local name
+ */
+export function children(node, localName) {
+  return Array.from(node.childNodes).filter(n => n.nodeType === 1 && n.localName === localName);
+}
+
+/**
+ * First direct child with the given local name
+ */
+export function child(node, localName) {
+  return children(node, localName)[0] || null;
+}
+
+export function textOf(node) {
+  return node ? (node.textContent || '').trim() : '';
+}
+
+/**
+ * xlink:href of an element (OnlineResource, ResourceURL...)
+ */
+export function hrefOf(node) {
+  if (!node) return '';
+  return node.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || node.getAttribute('xlink:href') || '';
+}
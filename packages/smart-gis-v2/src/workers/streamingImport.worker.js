@@ -0,0 +1,164 @@
+/**
+ * streamingImport.worker.js - Parses large import files off the main thread
+ *
+ * Messages from the main thread (services/StreamingImportService.js):
+ * - { type: 'start', file, format: 'geojson'|'csv_latlon'|'csv_wkt', config,
+ *     skip, batchSize, limit }
+ *   skip: features already imported (resume), limit: stop after N features
+ *   (preview)
+ * - { type: 'continue' }: the previous batch is written, send the next one
+ *
+ * Messages to the main thread:
+ * - { type: 'header', headers }                                  (CSV)
+ * - { type: 'batch', features, errors, processed, bytesRead, totalBytes }
+ * - { type: 'done', processed, bytesRead, totalBytes }
+ * - { type: 'error', message }
+ *
+ * Errors are per feature: { feature_index, line, error, raw }. `processed`
+ * is the index of the next feature of the file (valid or not), used to resume.
+ */
+
+import {
+  GeoJSONFeatureStream,
+  CSVRowStream,
+  geoJSONFeature,
+  csvRecord,
+  csvLatLonFeature,
+  csvWKTFeature
+} from '../utils/formats/streaming';
+
+const RAW_PREVIEW_LENGTH = 200;
+
+let resumeBatch = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'start') {
+    run(message).catch(error => {
+      self.postMessage({ type: 'error', message: error.message });
+    });
+  } else if (message.type === 'continue' && resumeBatch) {
+    const resolve = resumeBatch;
+    resumeBatch = null;
+    resolve();
+  }
+};
+
+async function run({ file, format, config = {}, skip = 0, batchSize = 500, limit = Infinity }) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  const parser = createParser(format, config);
+
+  let bytesRead = 0;
+  let processed = 0;
+  let features = [];
+  let errors = [];
+
+  const flush = async () => {
+    if (features.length === 0 && errors.length === 0) return;
+
+    self.postMessage({ type: 'batch', features, errors, processed, bytesRead, totalBytes: file.size });
+    features = [];
+    errors = [];
+
+    // Backpressure: wait until the batch is written to Grist
+    await new Promise(resolve => { resumeBatch = resolve; });
+  };
+
+  const consume = async (items) => {
+    for (const item of items) {
+      if (processed >= limit) return;
+
+      const index = processed++;
+      if (index < skip) continue;
+
+      try {
+        features.push(parser.toFeature(item, index));
+      } catch (error) {
+        errors.push({
+          feature_index: index,
+          line: item.line ?? null,
+          error: error.message,
+          raw: (item.text ?? item.values?.join(config.delimiter || ',') ?? '').substring(0, RAW_PREVIEW_LENGTH)
+        });
+      }
+
+      if (features.length + errors.length >= batchSize) {
+        await flush();
+      }
+    }
+  };
+
+  while (processed < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytesRead += value.byteLength;
+    await consume(parser.push(decoder.decode(value, { stream: true })));
+  }
+
+  if (processed < limit) {
+    await consume(parser.finish(decoder.decode()));
+  } else {
+    reader.cancel();
+  }
+
+  await flush();
+  self.postMessage({ type: 'done', processed, bytesRead, totalBytes: file.size });
+}
+
+/**
+ * Format adapter: push(text) → items, finish(text) → last items,
+ * toFeature(item, index) → import feature (throws on invalid items)
+ */
+function createParser(format, config) {
+  if (format === 'geojson') {
+    const stream = new GeoJSONFeatureStream();
+    return {
+      push: (text) => stream.push(text),
+      finish: (text) => {
+        const items = stream.push(text);
+        stream.finish();
+        return items;
+      },
+      toFeature: (item, index) => {
+        if (item.error) throw new Error(item.error);
+        return geoJSONFeature(item.value, index, stream.crs);
+      }
+    };
+  }
+
+  if (format === 'csv_latlon' || format === 'csv_wkt') {
+    const stream = new CSVRowStream(config.delimiter || ',');
+    const toFeature = format === 'csv_latlon' ? csvLatLonFeature : csvWKTFeature;
+    const required = format === 'csv_latlon' ? [config.lat_column, config.lon_column] : [config.wkt_column];
+    let headers = null;
+
+    // First row = header, not a feature
+    const rowsWithoutHeader = (rows) => {
+      if (headers || rows.length === 0) return rows;
+
+      headers = rows[0].values.map(h => h.trim());
+      const missing = required.filter(col => !headers.includes(col));
+      if (missing.length > 0) {
+        throw new Error(`Colonnes introuvables dans le CSV: ${missing.join(', ')}`);
+      }
+
+      self.postMessage({ type: 'header', headers });
+      return rows.slice(1);
+    };
+
+    return {
+      push: (text) => rowsWithoutHeader(stream.push(text)),
+      finish: (text) => {
+        const rows = rowsWithoutHeader([...stream.push(text), ...stream.flush()]);
+        if (!headers) throw new Error('CSV vide ou invalide');
+        return rows;
+      },
+      toFeature: (item, index) => toFeature(csvRecord(headers, item.values), index, config)
+    };
+  }
+
+  throw new Error(`Format non supporté en import par flux: ${format}`);
+}
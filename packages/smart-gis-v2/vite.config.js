@@ -11,8 +11,9 @@ export default defineConfig({
         manualChunks: {
           // Core (always loaded)
           'vendor-react': ['react', 'react-dom'],
-          'vendor-map': ['leaflet', 'react-leaflet']
-          // Tool chunks will be added when tools are fully implemented
+          'vendor-map': ['leaflet', 'react-leaflet'],
+          // Spatial tools (GeometryEngine, ProjectionService)
+          'vendor-geo': ['@turf/turf', 'proj4']
         }
       }
     },
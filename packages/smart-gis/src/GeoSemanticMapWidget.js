@@ -28,6 +28,14 @@ import AttributeEditor from './AttributeEditor';
 import StyleEditor from './StyleEditor';
 import DeleteConfirmDialog from './DeleteConfirmDialog';
 import RasterLayers from './RasterLayers';
+import {
+  layerToGeometry,
+  CURVE_SEGMENTS,
+  MIN_CURVE_SEGMENTS,
+  MAX_CURVE_SEGMENTS,
+  normalizeSegments
+} from './utils/curvedShapes';
+
 
 // Fix Leaflet icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -234,8 +242,10 @@ class WKTConverter {
     }
 
     if (type === 'Polygon') {
-      const coords = coordinates[0].map(c => `${c[0]} ${c[1]}`).join(', ');
-      return `POLYGON((${coords}))`;
+      const rings = coordinates.map(ring =>
+        `(${ring.map(c => `${c[0]} ${c[1]}`).join(', ')})`
+      ).join(', ');
+      return `POLYGON(${rings})`;
     }
 
     if (type === 'MultiPoint') {
@@ -252,7 +262,7 @@ class WKTConverter {
 
     if (type === 'MultiPolygon') {
       const polys = coordinates.map(poly =>
-        `((${poly[0].map(c => `${c[0]} ${c[1]}`).join(', ')}))`
+        `(${poly.map(ring => `(${ring.map(c => `${c[0]} ${c[1]}`).join(', ')})`).join(', ')})`
       ).join(', ');
       return `MULTIPOLYGON(${polys})`;
     }
@@ -364,7 +374,7 @@ function MapController({ records, geometryColumn }) {
 }
 
 // Geoman Edit Controller
-function GeomanController({ enabled, onGeometryCreated }) {
+function GeomanController({ enabled, onGeometryCreated, circleSegments = CURVE_SEGMENTS }) {
   const map = useMap();
 
   useEffect(() => {
@@ -376,7 +386,7 @@ function GeomanController({ enabled, onGeometryCreated }) {
 
     map.pm.addControls({
       position: 'topleft',
-      drawCircle: false,
+      drawCircle: true,
       drawCircleMarker: false,
       drawRectangle: true,
       drawPolyline: true,
@@ -390,7 +400,8 @@ function GeomanController({ enabled, onGeometryCreated }) {
 
     const handleCreate = (e) => {
       const layer = e.layer;
-      const geometry = layer.toGeoJSON().geometry;
+      // Circles are densified: WKT has no curve type
+      const geometry = layerToGeometry(layer, { segments: circleSegments });
       const wkt = WKTConverter.toWKT(geometry);
 
       if (wkt && onGeometryCreated) {
@@ -406,7 +417,7 @@ function GeomanController({ enabled, onGeometryCreated }) {
       map.off('pm:create', handleCreate);
       map.pm.removeControls();
     };
-  }, [enabled, map, onGeometryCreated]);
+  }, [enabled, map, onGeometryCreated, circleSegments]);
 
   return null;
 }
@@ -682,6 +693,8 @@ function GeoSemanticMapWidget() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editMode, setEditMode] = useState(false);
+  // Segments des cercles dessinés (enregistrés en polygones, le WKT n'a pas de cercle)
+  const [circleSegments, setCircleSegments] = useState(CURVE_SEGMENTS);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [searchResults, setSearchResults] = useState(null);
   const [selectedIds, setSelectedIds] = useState([]);
@@ -1469,6 +1482,24 @@ function GeoSemanticMapWidget() {
           >
             {editMode ? '✓ Édition Active' : '✏️ Éditer'}
           </button>
+          {editMode && (
+            <label
+              title="Nombre de segments des cercles dessinés (enregistrés en polygones)"
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#ecf0f1' }}
+            >
+              ◯
+              <input
+                type="number"
+                min={MIN_CURVE_SEGMENTS}
+                max={MAX_CURVE_SEGMENTS}
+                value={circleSegments}
+                onChange={(e) => setCircleSegments(e.target.value)}
+                onBlur={(e) => setCircleSegments(normalizeSegments(e.target.value))}
+                style={{ width: '56px', padding: '4px', fontSize: '12px', border: 'none', borderRadius: '4px' }}
+              />
+              segments
+            </label>
+          )}
           <button
             onClick={() => setShowImportWizard(true)}
             title="Importer des données depuis IGN Géoplateforme ou OpenStreetMap"
@@ -1576,7 +1607,11 @@ function GeoSemanticMapWidget() {
           <RasterLayers records={allRecords} layerVisibility={layerVisibility} />
 
           <MapController records={validRecords} geometryColumn={geometryCol} />
-          <GeomanController enabled={editMode} onGeometryCreated={handleGeometryCreated} />
+          <GeomanController
+            enabled={editMode}
+            onGeometryCreated={handleGeometryCreated}
+            circleSegments={circleSegments}
+          />
 
           <MarkerClusterGroup>
             {validRecords.map((record, idx) => {
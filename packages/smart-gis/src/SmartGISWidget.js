@@ -10,12 +10,21 @@ import { LayersSection, ProjectSection, SearchSection } from './components/menu'
 import { EntityPanel, AdjacentPanel } from './components/panels';
 import MenuContent from './components/layout/MenuContent';
 import useMapSelection from './hooks/useMapSelection';
+import useEditSession from './hooks/useEditSession';
 import { colors } from './constants/colors';
 import { calculateBounds, getGeometryCenter } from './utils/geometryUtils';
+import { CURVE_SEGMENTS } from './utils/curvedShapes';
 
 // Import Grist API
 import { setupSystemInfrastructure } from './systemInfrastructure';
-import { fetchWorkspaceData, updateInWorkspace, deleteFromWorkspace, initializeWorkspace } from './workspaceManager';
+import {
+  fetchWorkspaceData,
+  updateInWorkspace,
+  deleteFromWorkspace,
+  initializeWorkspace,
+  applyWorkspaceActions,
+  WORKSPACE_TABLE_NAME,
+} from './workspaceManager';
 
 const SmartGISWidget = () => {
   // Grist state
@@ -39,19 +48,45 @@ const SmartGISWidget = () => {
   const [activeLayer, setActiveLayer] = useState(null);
   const [visibleLayers, setVisibleLayers] = useState(new Set());
 
+  // Pending geometry edits (shown on the map, saved in one Grist bundle)
+  const {
+    editedRecords,
+    pendingCount,
+    clipboard,
+    addGeometries,
+    updateGeometry,
+    removeFeatures,
+    splitFeatures,
+    mergeFeatures,
+    addHoleToFeatures,
+    copyFeatures,
+    pasteFeatures,
+    buildActions,
+    resetChanges,
+  } = useEditSession(workspaceData);
+
   // Selection state
   const {
     selection,
     selectionMode,
     setSelectionMode,
+    selectionPredicate,
+    setSelectionPredicate,
     selectEntity,
+    selectInBounds,
+    selectInPolygon,
+    selectInCircle,
+    selectByIds,
     clearSelection,
-  } = useMapSelection(workspaceData, activeLayer);
+  } = useMapSelection(editedRecords, activeLayer);
 
   // Edition state
   const [editionMode, setEditionMode] = useState(null);
   const [drawMode, setDrawMode] = useState('marker');
   const [isEditing, setIsEditing] = useState(false);
+  const [snapping, setSnapping] = useState({ enabled: true, tolerance: 15 }); // tolerance in pixels
+  const [circleSegments, setCircleSegments] = useState(CURVE_SEGMENTS); // drawn circles are densified
+  const [editMessage, setEditMessage] = useState(null);
 
   // Map control state
   const [zoomCommand, setZoomCommand] = useState(null); // 'in', 'out', 'reset'
@@ -193,6 +228,17 @@ const SmartGISWidget = () => {
     }
   };
 
+  // Area selection drawn on the map (rectangle, circle, lasso)
+  const handleAreaSelect = (area, operation) => {
+    if (area.type === 'rectangle') {
+      selectInBounds(area.bounds, operation);
+    } else if (area.type === 'circle') {
+      selectInCircle(area.center, area.radius, operation);
+    } else if (area.type === 'lasso') {
+      selectInPolygon(area.latlngs, operation);
+    }
+  };
+
   // Project management
   const handleNewProject = async (name) => {
     if (!docApi) return;
@@ -230,14 +276,82 @@ const SmartGISWidget = () => {
     setIsEditing(!!mode);
   };
 
+  const showEditMessage = (type, text) => {
+    setEditMessage({ type, text });
+    setTimeout(() => setEditMessage(current => (current?.text === text ? null : current)), 4000);
+  };
+
+  // Run a geometry operation, errors are shown in the toolbar
+  const runEdit = (operation) => {
+    try {
+      const text = operation();
+      if (text) showEditMessage('info', text);
+    } catch (error) {
+      showEditMessage('error', error.message);
+    }
+  };
+
+  // Features targeted by reshape / split / hole: the selection within the
+  // active layer, or the whole active layer
+  const getEditTargets = () => {
+    const layerIds = editedRecords.filter(r => r.layer_name === activeLayer).map(r => r.id);
+    const layerSet = new Set(layerIds);
+    const selected = selection.filter(id => layerSet.has(id));
+    return selected.length > 0 ? selected : layerIds;
+  };
+
+  const handleGeometryCreate = (geometry) => {
+    if (!activeLayer) return;
+    addGeometries([geometry], activeLayer);
+  };
+
+  const handleSplitLine = (cutter) => runEdit(() => {
+    const count = splitFeatures(getEditTargets(), cutter);
+    clearSelection();
+    return `${count} entité(s) découpée(s)`;
+  });
+
+  const handleHoleDrawn = (hole) => runEdit(() => {
+    addHoleToFeatures(getEditTargets(), hole);
+    return 'Trou ajouté';
+  });
+
+  const handleMerge = () => runEdit(() => {
+    const mergedId = mergeFeatures(selection);
+    selectByIds([mergedId]);
+    return `${selection.length} polygones fusionnés`;
+  });
+
+  const handleCopy = (mode) => runEdit(() => {
+    const count = copyFeatures(selection, mode);
+    return mode === 'cut'
+      ? `${count} géométrie(s) coupée(s) : collez-les dans une autre couche`
+      : `${count} géométrie(s) copiée(s)`;
+  });
+
+  const handlePaste = () => runEdit(() => {
+    const count = pasteFeatures(activeLayer);
+    clearSelection();
+    return `${count} géométrie(s) collée(s) dans ${activeLayer}`;
+  });
+
   const handleEditionSave = async () => {
-    // TODO: Save geometry changes
+    if (docApi && pendingCount > 0) {
+      const result = await applyWorkspaceActions(docApi, buildActions(WORKSPACE_TABLE_NAME));
+      if (!result.success) {
+        showEditMessage('error', `Enregistrement impossible : ${result.error}`);
+        return;
+      }
+      await refreshWorkspace();
+      resetChanges();
+      setIsDirty(true);
+    }
     setEditionMode(null);
     setIsEditing(false);
-    setIsDirty(true);
   };
 
   const handleEditionCancel = () => {
+    resetChanges();
     setEditionMode(null);
     setIsEditing(false);
   };
@@ -359,7 +473,19 @@ const SmartGISWidget = () => {
               onDrawModeChange={setDrawMode}
               onSave={handleEditionSave}
               onCancel={handleEditionCancel}
-              isEditing={isEditing}
+              isEditing={isEditing || pendingCount > 0}
+              pendingCount={pendingCount}
+              selectionCount={selection.length}
+              clipboardCount={clipboard ? clipboard.items.length : 0}
+              snapping={snapping}
+              onSnappingChange={setSnapping}
+              circleSegments={circleSegments}
+              onCircleSegmentsChange={setCircleSegments}
+              onMerge={handleMerge}
+              onCopy={() => handleCopy('copy')}
+              onCut={() => handleCopy('cut')}
+              onPaste={handlePaste}
+              message={editMessage}
             />
           )}
 
@@ -368,6 +494,8 @@ const SmartGISWidget = () => {
             <SelectionTools
               selectionMode={selectionMode}
               onModeChange={setSelectionMode}
+              selectionPredicate={selectionPredicate}
+              onPredicateChange={setSelectionPredicate}
               activeLayer={activeLayer}
               selectionCount={selection.length}
               onClear={clearSelection}
@@ -414,7 +542,7 @@ const SmartGISWidget = () => {
 
           {/* Leaflet Map */}
           <MapView
-            records={workspaceData}
+            records={editedRecords}
             visibleLayers={visibleLayers}
             selectedIds={selection}
             zoomCommand={zoomCommand}
@@ -424,10 +552,26 @@ const SmartGISWidget = () => {
             centerCommand={mapCenterCommand}
             onCenterExecuted={() => setMapCenterCommand(null)}
             onEntityClick={(id) => {
+              if (editionMode === 'delete') {
+                removeFeatures([id]);
+                return;
+              }
               selectEntity(id);
+              if (editionMode) return;
               setEntityPanelOpen(true);
               handleCenterOnEntity(id);
             }}
+            selectionMode={activeLayer && !editionMode ? selectionMode : 'pointer'}
+            onAreaSelect={handleAreaSelect}
+            editionMode={activeLayer ? editionMode : null}
+            drawMode={drawMode}
+            snapping={snapping}
+            circleSegments={circleSegments}
+            editableIds={editionMode === 'edit' ? getEditTargets() : []}
+            onGeometryCreate={handleGeometryCreate}
+            onGeometryEdit={updateGeometry}
+            onSplitLine={handleSplitLine}
+            onHoleDrawn={handleHoleDrawn}
           />
         </div>
       </div>
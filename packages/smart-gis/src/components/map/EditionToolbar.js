@@ -8,9 +8,10 @@
 import React, { useState } from 'react';
 import { colors } from '../../constants/colors';
 import { spacing, fontSize, fontWeight, borderRadius, transitions, shadows } from '../../constants/styles';
+import { CURVE_SEGMENTS, MIN_CURVE_SEGMENTS, MAX_CURVE_SEGMENTS, normalizeSegments } from '../../utils/curvedShapes';
 
 const EditionToolbar = ({
-  editionMode = null, // null | 'draw' | 'edit' | 'delete'
+  editionMode = null, // null | 'draw' | 'edit' | 'split' | 'hole' | 'delete'
   drawMode = 'marker', // 'marker' | 'line' | 'polygon' | 'rectangle' | 'circle'
   activeLayer = null,
   onModeChange,
@@ -18,11 +19,23 @@ const EditionToolbar = ({
   onSave,
   onCancel,
   isEditing = false,
+  pendingCount = 0,
+  selectionCount = 0,
+  clipboardCount = 0,
+  snapping = { enabled: true, tolerance: 15 },
+  onSnappingChange,
+  circleSegments = CURVE_SEGMENTS,
+  onCircleSegmentsChange,
+  onMerge,
+  onCopy,
+  onCut,
+  onPaste,
+  message = null, // { type: 'error' | 'info', text }
 }) => {
   const [showLayerWarning, setShowLayerWarning] = useState(false);
 
   const handleModeClick = (mode) => {
-    if (!activeLayer && mode === 'draw') {
+    if (!activeLayer && ['draw', 'split', 'hole'].includes(mode)) {
       setShowLayerWarning(true);
       setTimeout(() => setShowLayerWarning(false), 3000);
       return;
@@ -30,6 +43,23 @@ const EditionToolbar = ({
     onModeChange?.(mode === editionMode ? null : mode);
   };
 
+  const editModes = [
+    { id: 'draw', icon: '✏️', tooltip: 'Mode dessin (D)' },
+    { id: 'edit', icon: '✂️', tooltip: 'Mode édition : déplacer, ajouter ou supprimer des sommets (E)' },
+    { id: 'split', icon: '🔪', tooltip: 'Découper : tracer une ligne à travers les lignes ou polygones de la couche (sélection, sinon toute la couche)' },
+    { id: 'hole', icon: '🕳️', tooltip: 'Trou : dessiner un polygone à l\'intérieur d\'un polygone de la couche' },
+    { id: 'delete', icon: '🗑️', tooltip: 'Mode suppression : cliquer sur une entité (X)' },
+  ];
+
+  const tools = [
+    { id: 'merge', icon: '🔗', label: 'Fusionner', tooltip: 'Fusionner les polygones sélectionnés en une seule entité', onClick: onMerge, disabled: selectionCount < 2 },
+    { id: 'copy', icon: '📋', label: 'Copier', tooltip: 'Copier les géométries sélectionnées', onClick: onCopy, disabled: selectionCount === 0 },
+    { id: 'cut', icon: '📤', label: 'Couper', tooltip: 'Couper les géométries sélectionnées (supprimées au collage)', onClick: onCut, disabled: selectionCount === 0 },
+    { id: 'paste', icon: '📥', label: 'Coller', tooltip: `Coller ${clipboardCount} géométrie(s) dans la couche ${activeLayer || ''}`, onClick: onPaste, disabled: clipboardCount === 0 || !activeLayer },
+  ];
+
+  const showSnapping = ['draw', 'edit', 'split', 'hole'].includes(editionMode);
+
   const drawModes = [
     { id: 'marker', icon: '📍', label: 'Point', tooltip: 'Dessiner un point (P)' },
     { id: 'line', icon: '〰️', label: 'Ligne', tooltip: 'Dessiner une ligne (L)' },
@@ -52,68 +82,29 @@ const EditionToolbar = ({
 
       {/* Mode Buttons */}
       <div style={styles.modesGroup}>
-        <button
-          style={{
-            ...styles.modeButton,
-            ...(editionMode === 'draw' ? styles.modeButtonActive : {}),
-          }}
-          onClick={() => handleModeClick('draw')}
-          title="Mode dessin (D)"
-          onMouseEnter={(e) => {
-            if (editionMode !== 'draw') {
-              e.currentTarget.style.backgroundColor = colors.grayLight;
-            }
-          }}
-          onMouseLeave={(e) => {
-            if (editionMode !== 'draw') {
-              e.currentTarget.style.backgroundColor = colors.white;
-            }
-          }}
-        >
-          <span style={styles.modeIcon}>✏️</span>
-        </button>
-
-        <button
-          style={{
-            ...styles.modeButton,
-            ...(editionMode === 'edit' ? styles.modeButtonActive : {}),
-          }}
-          onClick={() => handleModeClick('edit')}
-          title="Mode édition (E)"
-          onMouseEnter={(e) => {
-            if (editionMode !== 'edit') {
-              e.currentTarget.style.backgroundColor = colors.grayLight;
-            }
-          }}
-          onMouseLeave={(e) => {
-            if (editionMode !== 'edit') {
-              e.currentTarget.style.backgroundColor = colors.white;
-            }
-          }}
-        >
-          <span style={styles.modeIcon}>✂️</span>
-        </button>
-
-        <button
-          style={{
-            ...styles.modeButton,
-            ...(editionMode === 'delete' ? styles.modeButtonActive : {}),
-          }}
-          onClick={() => handleModeClick('delete')}
-          title="Mode suppression (X)"
-          onMouseEnter={(e) => {
-            if (editionMode !== 'delete') {
-              e.currentTarget.style.backgroundColor = colors.dangerLight;
-            }
-          }}
-          onMouseLeave={(e) => {
-            if (editionMode !== 'delete') {
-              e.currentTarget.style.backgroundColor = colors.white;
-            }
-          }}
-        >
-          <span style={styles.modeIcon}>🗑️</span>
-        </button>
+        {editModes.map(mode => (
+          <button
+            key={mode.id}
+            style={{
+              ...styles.modeButton,
+              ...(editionMode === mode.id ? styles.modeButtonActive : {}),
+            }}
+            onClick={() => handleModeClick(mode.id)}
+            title={mode.tooltip}
+            onMouseEnter={(e) => {
+              if (editionMode !== mode.id) {
+                e.currentTarget.style.backgroundColor = mode.id === 'delete' ? colors.dangerLight : colors.grayLight;
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (editionMode !== mode.id) {
+                e.currentTarget.style.backgroundColor = colors.white;
+              }
+            }}
+          >
+            <span style={styles.modeIcon}>{mode.icon}</span>
+          </button>
+        ))}
       </div>
 
       {/* Draw Mode Selection */}
@@ -147,6 +138,92 @@ const EditionToolbar = ({
                 <span style={styles.drawModeLabel}>{mode.label}</span>
               </button>
             ))}
+            {drawMode === 'circle' && (
+              <label
+                style={styles.toleranceLabel}
+                title="Le cercle est enregistré comme un polygone (le WKT n'a pas de type cercle)"
+              >
+                <input
+                  type="number"
+                  min={MIN_CURVE_SEGMENTS}
+                  max={MAX_CURVE_SEGMENTS}
+                  step={8}
+                  value={circleSegments}
+                  onChange={(e) => onCircleSegmentsChange?.(e.target.value)}
+                  onBlur={(e) => onCircleSegmentsChange?.(normalizeSegments(e.target.value))}
+                  style={styles.toleranceInput}
+                />
+                segments
+              </label>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Message (operation result or error) */}
+      {message && !showLayerWarning && (
+        <div style={{ ...styles.warning, ...(message.type === 'error' ? {} : styles.info) }}>
+          <span style={{ ...styles.warningText, ...(message.type === 'error' ? {} : styles.infoText) }}>
+            {message.text}
+          </span>
+        </div>
+      )}
+
+      {/* Geometry Tools (merge, copy, cut, paste) */}
+      {editionMode && (
+        <>
+          <div style={styles.divider} />
+          <div style={styles.drawModesGroup}>
+            {tools.map(tool => (
+              <button
+                key={tool.id}
+                style={{
+                  ...styles.drawModeButton,
+                  ...(tool.disabled ? styles.buttonDisabled : {}),
+                }}
+                onClick={tool.onClick}
+                disabled={tool.disabled}
+                title={tool.tooltip}
+              >
+                <span style={styles.drawModeIcon}>{tool.icon}</span>
+                <span style={styles.drawModeLabel}>{tool.label}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {/* Snapping */}
+      {showSnapping && (
+        <>
+          <div style={styles.divider} />
+          <div style={styles.snappingGroup}>
+            <button
+              style={{
+                ...styles.drawModeButton,
+                ...(snapping.enabled ? styles.drawModeButtonActive : {}),
+              }}
+              onClick={() => onSnappingChange?.({ ...snapping, enabled: !snapping.enabled })}
+              title="Accrochage aux sommets et aux segments des autres entités"
+            >
+              <span style={styles.drawModeIcon}>🧲</span>
+              <span style={styles.drawModeLabel}>Accrochage</span>
+            </button>
+            <label style={styles.toleranceLabel} title="Tolérance d'accrochage en pixels">
+              <input
+                type="number"
+                min={1}
+                max={50}
+                value={snapping.tolerance}
+                disabled={!snapping.enabled}
+                onChange={(e) => onSnappingChange?.({
+                  ...snapping,
+                  tolerance: Math.max(1, Math.min(50, Number(e.target.value) || 1)),
+                })}
+                style={styles.toleranceInput}
+              />
+              px
+            </label>
           </div>
         </>
       )}
@@ -169,6 +246,11 @@ const EditionToolbar = ({
         <>
           <div style={styles.divider} />
           <div style={styles.actionsGroup}>
+            {pendingCount > 0 && (
+              <span style={styles.pendingBadge} title="Modifications en attente">
+                {pendingCount}
+              </span>
+            )}
             <button
               style={styles.cancelButton}
               onClick={onCancel}
@@ -222,6 +304,47 @@ const styles = {
     boxShadow: shadows.md,
     whiteSpace: 'nowrap',
   },
+  info: {
+    backgroundColor: colors.infoLight,
+    border: `2px solid ${colors.info}`,
+  },
+  infoText: {
+    color: colors.infoDark,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed',
+  },
+  snappingGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  toleranceLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '2px',
+    fontSize: fontSize.xs,
+    color: colors.textSecondary,
+  },
+  toleranceInput: {
+    width: '40px',
+    padding: '2px 4px',
+    border: `1px solid ${colors.border}`,
+    borderRadius: borderRadius.sm,
+    fontSize: fontSize.xs,
+  },
+  pendingBadge: {
+    alignSelf: 'center',
+    padding: `0 ${spacing.sm}`,
+    backgroundColor: colors.warningLight,
+    border: `1px solid ${colors.warning}`,
+    borderRadius: borderRadius.md,
+    fontSize: fontSize.xs,
+    fontWeight: fontWeight.bold,
+    color: colors.warning,
+  },
   warningIcon: {
     fontSize: fontSize.md,
   },
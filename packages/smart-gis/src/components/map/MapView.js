@@ -5,10 +5,15 @@
  * Main Leaflet map component with WKT geometry rendering
  */
 
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useMemo } from 'react';
 import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import '@geoman-io/leaflet-geoman-free';
+import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
+import { getSelectionOperation } from '../../utils/spatialSelection';
+import { layerToGeometry, CURVE_SEGMENTS } from '../../utils/curvedShapes';
+import { wktToGeoJSON } from '../../utils/wkt';
 
 // Fix Leaflet default icon
 delete L.Icon.Default.prototype._getIconUrl;
@@ -18,67 +23,30 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
-// WKT Parser (basic implementation)
+// WKT -> GeoJSON Feature (all WKT types, see utils/wkt)
 const parseWKT = (wkt) => {
-  if (!wkt || typeof wkt !== 'string') return null;
-
-  const trimmed = wkt.trim();
-
-  // POINT
-  if (trimmed.match(/^POINT/i)) {
-    const match = trimmed.match(/POINT\s*\(([^)]+)\)/i);
-    if (!match) return null;
-    const [lng, lat] = match[1].trim().split(/\s+/).map(Number);
-    if (isNaN(lng) || isNaN(lat)) return null;
-    return {
-      type: 'Feature',
-      geometry: { type: 'Point', coordinates: [lng, lat] },
-      properties: {}
-    };
-  }
-
-  // LINESTRING
-  if (trimmed.match(/^LINESTRING/i)) {
-    const match = trimmed.match(/LINESTRING\s*\(([^)]+)\)/i);
-    if (!match) return null;
-    const coords = match[1].split(',').map(pair => {
-      const [lng, lat] = pair.trim().split(/\s+/).map(Number);
-      return [lng, lat];
-    });
-    return {
-      type: 'Feature',
-      geometry: { type: 'LineString', coordinates: coords },
-      properties: {}
-    };
-  }
-
-  // POLYGON
-  if (trimmed.match(/^POLYGON/i)) {
-    const match = trimmed.match(/POLYGON\s*\(\(([^)]+)\)\)/i);
-    if (!match) return null;
-    const coords = match[1].split(',').map(pair => {
-      const [lng, lat] = pair.trim().split(/\s+/).map(Number);
-      return [lng, lat];
-    });
-    return {
-      type: 'Feature',
-      geometry: { type: 'Polygon', coordinates: [coords] },
-      properties: {}
-    };
-  }
-
-  return null;
+  const geometry = wktToGeoJSON(wkt);
+  if (!geometry) return null;
+  return { type: 'Feature', geometry, properties: {} };
 };
 
 // Map bounds setter component
-const MapBoundsSetter = ({ bounds }) => {
+// Fits only when the extent of the features changes, never while editing
+const MapBoundsSetter = ({ bounds, disabled = false }) => {
   const map = useMap();
+  const lastBounds = useRef(null);
 
   React.useEffect(() => {
-    if (bounds && bounds.isValid()) {
+    if (!bounds || !bounds.isValid()) return;
+
+    const key = bounds.toBBoxString();
+    if (key === lastBounds.current) return;
+    lastBounds.current = key;
+
+    if (!disabled) {
       map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
     }
-  }, [map, bounds]);
+  }, [map, bounds, disabled]);
 
   return null;
 };
@@ -148,6 +116,196 @@ const CenterController = ({ centerCommand, onExecuted }) => {
   return null;
 };
 
+// Area selection shape (drawn while dragging)
+const AREA_SHAPE_STYLE = {
+  color: '#FF6B6B',
+  weight: 2,
+  dashArray: '6 4',
+  fillColor: '#FF6B6B',
+  fillOpacity: 0.1,
+  interactive: false,
+};
+
+// Minimum drag (pixels) for an area selection, and between two lasso vertices
+const MIN_DRAG_PIXELS = 4;
+
+// Area Selector Component (rectangle | circle | lasso modes)
+// Map panning is disabled while an area mode is active; the modifiers held
+// when the drag starts give the operation (Shift add, Alt subtract, both intersect)
+const AreaSelector = ({ mode, onAreaSelect }) => {
+  const map = useMap();
+  const onAreaSelectRef = useRef(onAreaSelect);
+  onAreaSelectRef.current = onAreaSelect;
+
+  useEffect(() => {
+    if (!['rectangle', 'circle', 'lasso'].includes(mode)) return;
+
+    const container = map.getContainer();
+    let drag = null;
+
+    const onMouseDown = (e) => {
+      if (e.originalEvent.button !== 0) return;
+
+      const start = e.latlng;
+      const shape = mode === 'rectangle'
+        ? L.rectangle(L.latLngBounds(start, start), AREA_SHAPE_STYLE)
+        : mode === 'circle'
+          ? L.circle(start, { ...AREA_SHAPE_STYLE, radius: 0 })
+          : L.polygon([start], AREA_SHAPE_STYLE);
+
+      drag = {
+        start,
+        startPoint: e.containerPoint,
+        points: [start],
+        lastPoint: e.containerPoint,
+        operation: getSelectionOperation(e.originalEvent),
+        shape: shape.addTo(map),
+      };
+    };
+
+    const onMouseMove = (e) => {
+      if (!drag) return;
+
+      if (mode === 'rectangle') {
+        drag.shape.setBounds(L.latLngBounds(drag.start, e.latlng));
+      } else if (mode === 'circle') {
+        drag.shape.setRadius(map.distance(drag.start, e.latlng));
+      } else if (e.containerPoint.distanceTo(drag.lastPoint) >= MIN_DRAG_PIXELS) {
+        drag.points.push(e.latlng);
+        drag.lastPoint = e.containerPoint;
+        drag.shape.setLatLngs(drag.points);
+      }
+    };
+
+    // Listened on the document: the drag may end outside the map
+    const onMouseUp = (event) => {
+      if (!drag) return;
+
+      const { start, startPoint, points, operation, shape } = drag;
+      drag = null;
+      map.removeLayer(shape);
+
+      const endPoint = map.mouseEventToContainerPoint(event);
+      const end = map.containerPointToLatLng(endPoint);
+      if (endPoint.distanceTo(startPoint) < MIN_DRAG_PIXELS) return;
+
+      if (mode === 'rectangle') {
+        onAreaSelectRef.current?.({ type: 'rectangle', bounds: L.latLngBounds(start, end) }, operation);
+      } else if (mode === 'circle') {
+        onAreaSelectRef.current?.({ type: 'circle', center: start, radius: map.distance(start, end) }, operation);
+      } else if (points.length >= 3) {
+        onAreaSelectRef.current?.({ type: 'lasso', latlngs: points }, operation);
+      }
+    };
+
+    map.dragging.disable();
+    map.boxZoom.disable();
+    map.doubleClickZoom.disable();
+    container.style.cursor = 'crosshair';
+    map.on('mousedown', onMouseDown);
+    map.on('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+
+    return () => {
+      map.off('mousedown', onMouseDown);
+      map.off('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      if (drag) map.removeLayer(drag.shape);
+      map.dragging.enable();
+      map.boxZoom.enable();
+      map.doubleClickZoom.enable();
+      container.style.cursor = '';
+    };
+  }, [map, mode]);
+
+  return null;
+};
+
+// Geoman shapes of the EditionToolbar draw modes
+const DRAW_SHAPES = {
+  marker: 'Marker',
+  line: 'Line',
+  polygon: 'Polygon',
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+};
+
+// Edition Controller Component (Leaflet-Geoman)
+// draw: new geometries • edit: reshape the editable features • split: cutting
+// line • hole: polygon to remove from a feature. Snapping to the vertices and
+// edges of the other features uses the tolerance in pixels.
+const EditionController = ({
+  mode,
+  drawMode,
+  snapping,
+  circleSegments,
+  editableIds,
+  getFeatureLayer,
+  dataVersion,
+  onGeometryCreate,
+  onGeometryEdit,
+  onSplitLine,
+  onHoleDrawn,
+}) => {
+  const map = useMap();
+  const callbacks = useRef({});
+  callbacks.current = { onGeometryCreate, onGeometryEdit, onSplitLine, onHoleDrawn };
+
+  const editableKey = editableIds.join(',');
+
+  useEffect(() => {
+    if (!mode || mode === 'delete') return;
+
+    const snapOptions = {
+      snappable: snapping.enabled,
+      snapDistance: snapping.tolerance,
+      snapSegment: true,
+    };
+    map.pm.setGlobalOptions({ ...snapOptions, allowSelfIntersection: false, continueDrawing: true });
+
+    const handleCreate = (e) => {
+      // Circles are densified: WKT has no curve type
+      const geometry = layerToGeometry(e.layer, { segments: circleSegments });
+      map.removeLayer(e.layer);
+
+      if (mode === 'draw') callbacks.current.onGeometryCreate?.(geometry);
+      if (mode === 'split') callbacks.current.onSplitLine?.(geometry);
+      if (mode === 'hole') callbacks.current.onHoleDrawn?.(geometry);
+    };
+
+    const editedLayers = [];
+
+    if (mode === 'edit') {
+      editableIds.forEach(id => {
+        const layer = getFeatureLayer(id);
+        if (!layer?.pm || !layer._map) return;
+
+        const handleEdit = () => callbacks.current.onGeometryEdit?.(id, layer.toGeoJSON().geometry);
+        layer.pm.enable({ ...snapOptions, allowSelfIntersection: false });
+        layer.on('pm:edit', handleEdit);
+        editedLayers.push({ layer, handleEdit });
+      });
+    } else {
+      const shape = mode === 'split' ? 'Line' : mode === 'hole' ? 'Polygon' : DRAW_SHAPES[drawMode];
+      map.on('pm:create', handleCreate);
+      map.pm.enableDraw(shape, snapOptions);
+    }
+
+    return () => {
+      map.off('pm:create', handleCreate);
+      map.pm.disableDraw();
+      editedLayers.forEach(({ layer, handleEdit }) => {
+        layer.off('pm:edit', handleEdit);
+        if (layer.pm?.enabled()) layer.pm.disable();
+      });
+    };
+    // editableIds is tracked through editableKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [map, mode, drawMode, snapping.enabled, snapping.tolerance, circleSegments, editableKey, dataVersion, getFeatureLayer]);
+
+  return null;
+};
+
 const MapView = ({
   records = [],
   visibleLayers = new Set(),
@@ -159,10 +317,31 @@ const MapView = ({
   centerCommand,
   onCenterExecuted,
   onEntityClick,
+  selectionMode = 'pointer',
+  onAreaSelect,
+  editionMode = null,
+  drawMode = 'marker',
+  snapping = { enabled: true, tolerance: 15 },
+  circleSegments = CURVE_SEGMENTS, // circles are stored as polygons
+  editableIds = [],
+  onGeometryCreate,
+  onGeometryEdit,
+  onSplitLine,
+  onHoleDrawn,
   center = [46.603354, 1.888334], // Center of France
   zoom = 6,
 }) => {
   const mapRef = useRef(null);
+  const selectedSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+
+  // Feature layers by record id (for reshaping), and a version bumped when the
+  // records change so the GeoJSON layer is rebuilt with the edited geometries
+  const featureLayers = useRef(new Map());
+  const dataVersion = useRef({ records: null, version: 0 });
+  if (dataVersion.current.records !== records) {
+    dataVersion.current = { records, version: dataVersion.current.version + 1 };
+  }
+  const getFeatureLayer = React.useCallback((id) => featureLayers.current.get(id), []);
 
   // Convert records to GeoJSON features
   const features = records
@@ -180,7 +359,7 @@ const MapView = ({
         name: record.name,
         layer_name: record.layer_name,
         description: record.description,
-        isSelected: selectedIds.includes(record.id),
+        isSelected: selectedSet.has(record.id),
       };
 
       return feature;
@@ -212,6 +391,8 @@ const MapView = ({
 
   // Handle feature click
   const onEachFeature = (feature, layer) => {
+    featureLayers.current.set(feature.properties.id, layer);
+
     layer.on('click', () => {
       if (onEntityClick && feature.properties.id) {
         onEntityClick(feature.properties.id);
@@ -250,7 +431,7 @@ const MapView = ({
         {/* GeoJSON data layer */}
         {features.length > 0 && (
           <GeoJSON
-            key={JSON.stringify(selectedIds)} // Force re-render on selection change
+            key={`${dataVersion.current.version}-${JSON.stringify(selectedIds)}`} // Force re-render on data or selection change
             data={geojsonData}
             style={styleFeature}
             onEachFeature={onEachFeature}
@@ -269,7 +450,7 @@ const MapView = ({
         )}
 
         {/* Fit bounds to visible features */}
-        {bounds && <MapBoundsSetter bounds={bounds} />}
+        {bounds && <MapBoundsSetter bounds={bounds} disabled={!!editionMode} />}
 
         {/* Zoom Controller */}
         <ZoomController zoomCommand={zoomCommand} onExecuted={onZoomExecuted} />
@@ -279,6 +460,24 @@ const MapView = ({
 
         {/* Center Controller */}
         <CenterController centerCommand={centerCommand} onExecuted={onCenterExecuted} />
+
+        {/* Area Selection (rectangle, circle, lasso) */}
+        <AreaSelector mode={selectionMode} onAreaSelect={onAreaSelect} />
+
+        {/* Geometry Edition (draw, reshape, split, holes) */}
+        <EditionController
+          mode={editionMode}
+          drawMode={drawMode}
+          snapping={snapping}
+          circleSegments={circleSegments}
+          editableIds={editableIds}
+          getFeatureLayer={getFeatureLayer}
+          dataVersion={dataVersion.current.version}
+          onGeometryCreate={onGeometryCreate}
+          onGeometryEdit={onGeometryEdit}
+          onSplitLine={onSplitLine}
+          onHoleDrawn={onHoleDrawn}
+        />
       </MapContainer>
 
       {/* Empty state */}
@@ -10,9 +10,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import { colors } from '../../constants/colors';
 import { spacing, fontSize, fontWeight, borderRadius, shadows, transitions } from '../../constants/styles';
 
+const MODIFIERS_HINT = 'Maj : ajouter, Alt : retirer, Maj+Alt : intersection';
+
 const SelectionTools = ({
   selectionMode = 'pointer',
   onModeChange,
+  selectionPredicate = 'intersects',
+  onPredicateChange,
   activeLayer = null,
   selectionCount = 0,
   onClear,
@@ -23,11 +27,17 @@ const SelectionTools = ({
 
   const modes = [
     { id: 'pointer', icon: '👆', label: 'Pointeur', tooltip: 'Sélection par clic (Échap)' },
-    { id: 'rectangle', icon: '▢', label: 'Rectangle', tooltip: 'Sélection rectangulaire (R)' },
-    { id: 'circle', icon: '⭕', label: 'Cercle', tooltip: 'Sélection circulaire (C)' },
-    { id: 'lasso', icon: '✏️', label: 'Lasso', tooltip: 'Sélection libre (L)' },
+    { id: 'rectangle', icon: '▢', label: 'Rectangle', tooltip: `Sélection rectangulaire (R) - ${MODIFIERS_HINT}` },
+    { id: 'circle', icon: '⭕', label: 'Cercle', tooltip: `Sélection circulaire (C) - ${MODIFIERS_HINT}` },
+    { id: 'lasso', icon: '✏️', label: 'Lasso', tooltip: `Sélection libre (L) - ${MODIFIERS_HINT}` },
   ];
 
+  const predicates = {
+    intersects: { icon: '∩', label: 'Intersecte', tooltip: 'Sélectionne les entités qui touchent la zone (cliquer pour : entièrement contenues)' },
+    within: { icon: '⊂', label: 'Contenue', tooltip: 'Sélectionne les entités entièrement dans la zone (cliquer pour : qui touchent la zone)' },
+  };
+  const currentPredicate = predicates[selectionPredicate] || predicates.intersects;
+
   const currentMode = modes.find(m => m.id === selectionMode) || modes[0];
 
   // Close dropdown when clicking outside
@@ -62,6 +72,12 @@ const SelectionTools = ({
     }
   };
 
+  const handlePredicateToggle = () => {
+    if (!disabled && onPredicateChange) {
+      onPredicateChange(selectionPredicate === 'within' ? 'intersects' : 'within');
+    }
+  };
+
   const handleDropdownToggle = (e) => {
     e.stopPropagation();
     setIsDropdownOpen(!isDropdownOpen);
@@ -123,6 +139,22 @@ const SelectionTools = ({
         )}
       </div>
 
+      {/* Area Predicate (rectangle, circle, lasso) */}
+      {selectionMode !== 'pointer' && (
+        <button
+          style={{
+            ...styles.predicateButton,
+            ...(disabled ? styles.buttonDisabled : {}),
+          }}
+          onClick={handlePredicateToggle}
+          disabled={disabled}
+          title={currentPredicate.tooltip}
+        >
+          <span style={styles.predicateIcon}>{currentPredicate.icon}</span>
+          <span style={styles.modeLabel}>{currentPredicate.label}</span>
+        </button>
+      )}
+
       {/* Divider */}
       <div style={styles.divider} />
 
@@ -265,6 +297,24 @@ const styles = {
     outline: 'none',
     textAlign: 'left',
   },
+  predicateButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: spacing.xs,
+    padding: `${spacing.xs} ${spacing.sm}`,
+    backgroundColor: colors.white,
+    border: `1px solid ${colors.border}`,
+    borderRadius: borderRadius.md,
+    cursor: 'pointer',
+    transition: `all ${transitions.fast}`,
+    outline: 'none',
+  },
+  predicateIcon: {
+    fontSize: fontSize.md,
+    fontWeight: fontWeight.bold,
+    color: colors.primary,
+    lineHeight: '1',
+  },
   divider: {
     width: '1px',
     height: '28px',
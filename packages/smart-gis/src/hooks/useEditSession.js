@@ -0,0 +1,293 @@
+/**
+ * useEditSession Hook
+ * Smart GIS Widget v3.0
+ *
+ * Pending geometry edits of the workspace (draw, reshape, split, merge,
+ * holes, cut/copy/paste) kept in memory until saved: every change of the
+ * session is written to GIS_WorkSpace in a single Grist action bundle.
+ */
+
+import { useState, useCallback, useMemo, useRef } from 'react';
+import { wktToGeoJSON, geoJSONToWKT } from '../utils/wkt';
+import { splitGeometry, mergeGeometries, addHole, getGeometryKind } from '../utils/geometryEditing';
+
+// Fields copied from the source feature on split / paste
+const COPIED_FIELDS = ['layer_type', 'properties', 'nom', 'type', 'style_config', 'z_index', 'is_visible'];
+
+const EMPTY_CHANGES = { added: [], updated: {}, removed: [] };
+
+// Ids of features created in the session (not yet in Grist)
+export const isPendingId = (id) => typeof id === 'string' && id.startsWith('new-');
+
+const copyFields = (record) => {
+  const fields = {};
+  COPIED_FIELDS.forEach(key => {
+    if (record[key] !== undefined) fields[key] = record[key];
+  });
+  return fields;
+};
+
+const useEditSession = (records = []) => {
+  const [changes, setChanges] = useState(EMPTY_CHANGES);
+  const [clipboard, setClipboard] = useState(null); // { mode: 'copy' | 'cut', items: [{ sourceId, fields }] }
+  const nextId = useRef(1);
+
+  /**
+   * Workspace records with the pending changes applied
+   */
+  const editedRecords = useMemo(() => {
+    if (changes === EMPTY_CHANGES) return records;
+
+    const removed = new Set(changes.removed);
+    return records
+      .filter(r => !removed.has(r.id))
+      .map(r => (changes.updated[r.id] ? { ...r, ...changes.updated[r.id] } : r))
+      .concat(changes.added);
+  }, [records, changes]);
+
+  const recordsById = useMemo(() => {
+    const map = new Map();
+    editedRecords.forEach(r => map.set(r.id, r));
+    return map;
+  }, [editedRecords]);
+
+  /**
+   * Apply a set of changes: { add: [fields], update: { id: fields }, remove: [ids] }
+   * (changes on features created in the session stay in `added`)
+   */
+  const applyChanges = useCallback(({ add = [], update = {}, remove = [] }) => {
+    // Ids assigned once, outside the state updater
+    const newRecords = add.map(fields => ({ id: `new-${nextId.current++}`, ...fields }));
+
+    setChanges(prev => {
+      const removeSet = new Set(remove);
+      const added = prev.added
+        .filter(r => !removeSet.has(r.id))
+        .map(r => (update[r.id] ? { ...r, ...update[r.id] } : r))
+        .concat(newRecords);
+
+      const updated = { ...prev.updated };
+      Object.entries(update).forEach(([id, fields]) => {
+        if (isPendingId(id)) return;
+        updated[id] = { ...updated[id], ...fields };
+      });
+      remove.forEach(id => delete updated[id]);
+
+      return {
+        added,
+        updated,
+        removed: [...prev.removed, ...remove.filter(id => !isPendingId(id))],
+      };
+    });
+  }, []);
+
+  const getGeometry = useCallback(
+    (id) => wktToGeoJSON(recordsById.get(id)?.geometry),
+    [recordsById]
+  );
+
+  /**
+   * Add drawn geometries to a layer
+   * @param {Array<Object>} geometries - GeoJSON geometries
+   * @param {string} layerName - Target layer
+   */
+  const addGeometries = useCallback((geometries, layerName) => {
+    applyChanges({
+      add: geometries.map(geometry => ({
+        layer_name: layerName,
+        layer_type: 'vector',
+        geometry: geoJSONToWKT(geometry),
+        is_visible: true,
+      })),
+    });
+  }, [applyChanges]);
+
+  /**
+   * Replace the geometry of a feature (reshape)
+   */
+  const updateGeometry = useCallback((id, geometry) => {
+    applyChanges({ update: { [id]: { geometry: geoJSONToWKT(geometry) } } });
+  }, [applyChanges]);
+
+  /**
+   * Delete features
+   */
+  const removeFeatures = useCallback((ids) => {
+    applyChanges({ remove: ids });
+  }, [applyChanges]);
+
+  /**
+   * Split lines / polygons with a drawn line: the first part keeps the
+   * feature, the other parts become new features with the same attributes
+   * @param {Array} ids - Candidate features (those not crossed are skipped)
+   * @param {Object} cutter - GeoJSON LineString
+   * @returns {number} Number of features split
+   */
+  const splitFeatures = useCallback((ids, cutter) => {
+    const update = {};
+    const add = [];
+    let lastError = null;
+
+    ids.forEach(id => {
+      const record = recordsById.get(id);
+      const geometry = getGeometry(id);
+      const kind = getGeometryKind(geometry);
+      if (kind !== 'line' && kind !== 'polygon') return;
+
+      try {
+        const [first, ...others] = splitGeometry(geometry, cutter);
+        update[id] = { geometry: geoJSONToWKT(first) };
+        others.forEach(part => add.push({
+          ...copyFields(record),
+          layer_name: record.layer_name,
+          geometry: geoJSONToWKT(part),
+        }));
+      } catch (error) {
+        lastError = error;
+      }
+    });
+
+    const count = Object.keys(update).length;
+    if (count === 0) {
+      throw lastError || new Error('Aucune ligne ou polygone à découper');
+    }
+
+    applyChanges({ update, add });
+    return count;
+  }, [recordsById, getGeometry, applyChanges]);
+
+  /**
+   * Merge polygons into the first one, the others are deleted
+   * @param {Array} ids - Polygon features of the same layer
+   * @returns {string|number} Id of the merged feature
+   */
+  const mergeFeatures = useCallback((ids) => {
+    const selected = ids.map(id => recordsById.get(id)).filter(Boolean);
+    if (new Set(selected.map(r => r.layer_name)).size > 1) {
+      throw new Error('Les polygones à fusionner doivent appartenir à la même couche');
+    }
+
+    const merged = mergeGeometries(selected.map(r => wktToGeoJSON(r.geometry)).filter(Boolean));
+    const [target, ...others] = selected;
+
+    applyChanges({
+      update: { [target.id]: { geometry: geoJSONToWKT(merged) } },
+      remove: others.map(r => r.id),
+    });
+    return target.id;
+  }, [recordsById, applyChanges]);
+
+  /**
+   * Add a drawn hole to the polygon containing it
+   * @param {Array} ids - Candidate polygon features
+   * @param {Object} hole - GeoJSON Polygon
+   * @returns {string|number} Id of the pierced feature
+   */
+  const addHoleToFeatures = useCallback((ids, hole) => {
+    for (const id of ids) {
+      const geometry = getGeometry(id);
+      if (getGeometryKind(geometry) !== 'polygon') continue;
+
+      const pierced = addHole(geometry, hole);
+      if (pierced) {
+        applyChanges({ update: { [id]: { geometry: geoJSONToWKT(pierced) } } });
+        return id;
+      }
+    }
+    throw new Error('Le trou doit être dessiné entièrement à l\'intérieur d\'un polygone');
+  }, [getGeometry, applyChanges]);
+
+  /**
+   * Copy / cut features to the clipboard (a cut is applied when pasting)
+   */
+  const copyFeatures = useCallback((ids, mode = 'copy') => {
+    const items = ids
+      .map(id => recordsById.get(id))
+      .filter(r => r && r.geometry)
+      .map(r => ({ sourceId: r.id, fields: { ...copyFields(r), geometry: r.geometry } }));
+    setClipboard(items.length > 0 ? { mode, items } : null);
+    return items.length;
+  }, [recordsById]);
+
+  /**
+   * Paste the clipboard into a layer (a cut moves the features)
+   * @returns {number} Number of pasted features
+   */
+  const pasteFeatures = useCallback((layerName) => {
+    if (!clipboard) return 0;
+
+    applyChanges({
+      add: clipboard.items.map(item => ({ ...item.fields, layer_name: layerName })),
+      remove: clipboard.mode === 'cut' ? clipboard.items.map(item => item.sourceId) : [],
+    });
+
+    const count = clipboard.items.length;
+    // After a cut the sources are gone: further pastes are copies
+    if (clipboard.mode === 'cut') setClipboard({ ...clipboard, mode: 'copy' });
+    return count;
+  }, [clipboard, applyChanges]);
+
+  /**
+   * Grist user actions of the session (one bundle)
+   * @param {string} tableName - Workspace table
+   * @returns {Array} User actions
+   */
+  const buildActions = useCallback((tableName) => {
+    const actions = [];
+
+    if (changes.added.length > 0) {
+      const columns = [...new Set(changes.added.flatMap(r => Object.keys(r)))].filter(c => c !== 'id');
+      const colValues = {};
+      columns.forEach(col => {
+        colValues[col] = changes.added.map(r => r[col] ?? null);
+      });
+      actions.push(['BulkAddRecord', tableName, changes.added.map(() => null), colValues]);
+    }
+
+    const updatedIds = Object.keys(changes.updated).map(Number);
+    if (updatedIds.length > 0) {
+      const columns = [...new Set(Object.values(changes.updated).flatMap(f => Object.keys(f)))];
+      const colValues = {};
+      columns.forEach(col => {
+        colValues[col] = updatedIds.map(id => changes.updated[id][col] ?? recordsById.get(id)?.[col] ?? null);
+      });
+      actions.push(['BulkUpdateRecord', tableName, updatedIds, colValues]);
+    }
+
+    if (changes.removed.length > 0) {
+      actions.push(['BulkRemoveRecord', tableName, changes.removed]);
+    }
+
+    return actions;
+  }, [changes, recordsById]);
+
+  /**
+   * Drop the pending changes
+   */
+  const resetChanges = useCallback(() => {
+    setChanges(EMPTY_CHANGES);
+  }, []);
+
+  const pendingCount = changes.added.length + Object.keys(changes.updated).length + changes.removed.length;
+
+  return {
+    // State
+    editedRecords,
+    pendingCount,
+    clipboard,
+
+    // Actions
+    addGeometries,
+    updateGeometry,
+    removeFeatures,
+    splitFeatures,
+    mergeFeatures,
+    addHoleToFeatures,
+    copyFeatures,
+    pasteFeatures,
+    buildActions,
+    resetChanges,
+  };
+};
+
+export default useEditSession;
@@ -7,11 +7,24 @@
  */
 
 import { useState, useCallback, useMemo } from 'react';
+import {
+  buildSelectionIndex,
+  findInArea,
+  combineSelection,
+  createRectangleArea,
+  createPolygonArea,
+  createCircleArea,
+} from '../utils/spatialSelection';
 
 const useMapSelection = (records = [], activeLayer = null) => {
   // Selection state
   const [selection, setSelection] = useState([]);
   const [selectionMode, setSelectionMode] = useState('pointer'); // pointer | rectangle | lasso | circle
+  const [selectionPredicate, setSelectionPredicate] = useState('intersects'); // intersects | within
+
+  // Parsed geometries and bounding boxes, rebuilt only when records change
+  const selectionIndex = useMemo(() => buildSelectionIndex(records), [records]);
+  const selectionSet = useMemo(() => new Set(selection), [selection]);
 
   /**
    * Select a single entity
@@ -44,40 +57,61 @@ const useMapSelection = (records = [], activeLayer = null) => {
   }, [selection, records]);
 
   /**
-   * Select entities within bounds
-   * @param {Object} bounds - Leaflet LatLngBounds object
-   * @param {string} modifier - Keyboard modifier: 'none' | 'ctrl' | 'shift'
-   * @returns {number} Number of entities selected
+   * Apply an area selection (ids already computed) with a selection operation
+   * @param {Array} ids - Ids of the entities in the area
+   * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+   * @returns {number} Number of entities in the area
    */
-  const selectInBounds = useCallback((bounds, modifier = 'none') => {
-    if (!bounds) return 0;
-
-    // Filter entities in bounds
-    const entitiesInBounds = records.filter(record => {
-      // Filter by active layer if defined
-      if (activeLayer && record.layer_name !== activeLayer) {
-        return false;
-      }
+  const applyAreaSelection = useCallback((ids, operation) => {
+    setSelection(prev => combineSelection(prev, ids, operation));
+    return ids.length;
+  }, []);
 
-      // Check if geometry is in bounds
-      return isGeometryInBounds(record.geometry, bounds);
-    });
+  /**
+   * Select entities within an area (rectangle, lasso polygon or circle)
+   * @param {Object} area - createRectangleArea() / createPolygonArea() / createCircleArea()
+   * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+   * @returns {number} Number of entities in the area
+   */
+  const selectInArea = useCallback((area, operation = 'replace') => {
+    if (!area) return 0;
+    const ids = findInArea(selectionIndex, area, { predicate: selectionPredicate, layer: activeLayer });
+    return applyAreaSelection(ids, operation);
+  }, [selectionIndex, selectionPredicate, activeLayer, applyAreaSelection]);
 
-    const ids = entitiesInBounds.map(r => r.id);
+  /**
+   * Select entities within bounds (rectangle mode)
+   * @param {Object} bounds - Leaflet LatLngBounds object
+   * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+   * @returns {number} Number of entities in the rectangle
+   */
+  const selectInBounds = useCallback((bounds, operation = 'replace') => {
+    if (!bounds) return 0;
+    return selectInArea(createRectangleArea(bounds), operation);
+  }, [selectInArea]);
 
-    if (modifier === 'ctrl') {
-      // Add to existing selection
-      setSelection(prev => [...new Set([...prev, ...ids])]);
-    } else if (modifier === 'shift') {
-      // Intersection with existing selection
-      setSelection(prev => prev.filter(id => ids.includes(id)));
-    } else {
-      // Replace selection
-      setSelection(ids);
-    }
+  /**
+   * Select entities within a free-hand polygon (lasso mode)
+   * @param {Array} latlngs - Lasso vertices ({ lat, lng } or [lat, lng])
+   * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+   * @returns {number} Number of entities in the lasso
+   */
+  const selectInPolygon = useCallback((latlngs, operation = 'replace') => {
+    if (!latlngs || latlngs.length < 3) return 0;
+    return selectInArea(createPolygonArea(latlngs), operation);
+  }, [selectInArea]);
 
-    return ids.length;
-  }, [records, activeLayer]);
+  /**
+   * Select entities within a geodesic circle (circle mode)
+   * @param {Object} center - Leaflet LatLng ({ lat, lng })
+   * @param {number} radius - Radius in meters
+   * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+   * @returns {number} Number of entities in the circle
+   */
+  const selectInCircle = useCallback((center, radius, operation = 'replace') => {
+    if (!center || !(radius > 0)) return 0;
+    return selectInArea(createCircleArea(center, radius), operation);
+  }, [selectInArea]);
 
   /**
    * Clear all selection
@@ -110,8 +144,8 @@ const useMapSelection = (records = [], activeLayer = null) => {
    * @returns {boolean}
    */
   const isSelected = useCallback((entityId) => {
-    return selection.includes(entityId);
-  }, [selection]);
+    return selectionSet.has(entityId);
+  }, [selectionSet]);
 
   /**
    * Toggle entity selection
@@ -125,8 +159,8 @@ const useMapSelection = (records = [], activeLayer = null) => {
    * Get selected records (full objects)
    */
   const selectedRecords = useMemo(() => {
-    return records.filter(r => selection.includes(r.id));
-  }, [records, selection]);
+    return records.filter(r => selectionSet.has(r.id));
+  }, [records, selectionSet]);
 
   /**
    * Get selection grouped by layer
@@ -169,11 +203,16 @@ const useMapSelection = (records = [], activeLayer = null) => {
     selectionByLayer,
     selectionInfo,
     selectionMode,
+    selectionPredicate,
 
     // Actions
     setSelectionMode,
+    setSelectionPredicate,
     selectEntity,
     selectInBounds,
+    selectInPolygon,
+    selectInCircle,
+    selectInArea,
     clearSelection,
     selectAll,
     selectByIds,
@@ -195,61 +234,4 @@ const getIDRange = (startId, endId, records) => {
   return records.slice(min, max + 1).map(r => r.id);
 };
 
-/**
- * Helper: Check if geometry is within bounds
- * @param {string} wktGeometry - WKT geometry string
- * @param {Object} bounds - Leaflet LatLngBounds
- * @returns {boolean}
- */
-const isGeometryInBounds = (wktGeometry, bounds) => {
-  if (!wktGeometry || !bounds) return false;
-
-  try {
-    // Extract coordinates from WKT
-    const coords = extractCoordinates(wktGeometry);
-
-    if (coords.length === 0) return false;
-
-    // Check if at least one coordinate is in bounds
-    return coords.some(([lng, lat]) => {
-      return (
-        lng >= bounds.getWest() &&
-        lng <= bounds.getEast() &&
-        lat >= bounds.getSouth() &&
-        lat <= bounds.getNorth()
-      );
-    });
-  } catch (e) {
-    console.warn('Error checking geometry bounds:', e);
-    return false;
-  }
-};
-
-/**
- * Helper: Extract coordinates from WKT string
- * @param {string} wkt - WKT geometry
- * @returns {Array<[number, number]>} Array of [lng, lat] coordinates
- */
-const extractCoordinates = (wkt) => {
-  if (!wkt) return [];
-
-  // Remove geometry type prefix (POINT, LINESTRING, POLYGON, etc.)
-  const cleaned = wkt.replace(/^[A-Z]+\s*\(/i, '').replace(/\)$/,'');
-
-  // Regex to match coordinate pairs (handle multiple formats)
-  const regex = /([+-]?\d+\.?\d*)\s+([+-]?\d+\.?\d*)/g;
-  const matches = [];
-  let match;
-
-  while ((match = regex.exec(cleaned)) !== null) {
-    const lng = parseFloat(match[1]);
-    const lat = parseFloat(match[2]);
-    if (!isNaN(lng) && !isNaN(lat)) {
-      matches.push([lng, lat]);
-    }
-  }
-
-  return matches;
-};
-
 export default useMapSelection;
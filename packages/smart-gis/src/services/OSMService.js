@@ -174,9 +174,245 @@ async function executeQuery(query, label = 'query') {
   }
 }
 
+/**
+ * Clés de tags qui font d'un chemin fermé une surface (règles OSM standard,
+ * cf. https://wiki.openstreetmap.org/wiki/Overpass_turbo/Polygon_Features)
+ * - 'all' : toute valeur (sauf "no")
+ * - include : seulement ces valeurs
+ * - exclude : toutes les valeurs sauf celles-ci
+ */
+const AREA_KEYS = {
+  building: 'all',
+  'building:part': 'all',
+  landuse: 'all',
+  amenity: 'all',
+  leisure: 'all',
+  area: 'all',
+  'area:highway': 'all',
+  boundary: 'all',
+  place: 'all',
+  shop: 'all',
+  tourism: 'all',
+  historic: 'all',
+  public_transport: 'all',
+  office: 'all',
+  military: 'all',
+  ruins: 'all',
+  craft: 'all',
+  golf: 'all',
+  indoor: 'all',
+  natural: { exclude: ['coastline', 'cliff', 'ridge', 'arete', 'tree_row'] },
+  man_made: { exclude: ['cutline', 'embankment', 'pipeline'] },
+  aeroway: { exclude: ['taxiway'] },
+  highway: { include: ['services', 'rest_area', 'escape', 'elevator'] },
+  waterway: { include: ['riverbank', 'dock', 'boatyard', 'dam'] },
+  barrier: { include: ['city_wall', 'ditch', 'hedge', 'retaining_wall', 'wall', 'spikes'] },
+  railway: { include: ['station', 'turntable', 'roundhouse', 'platform'] },
+  power: { include: ['plant', 'substation', 'generator', 'transformer'] }
+};
+
+// Relations assemblées en (multi)polygones
+const AREA_RELATION_TYPES = ['multipolygon', 'boundary'];
+
+// Membres d'une route qui ne font pas partie du tracé (arrêts, quais)
+const ROUTE_STOP_ROLE = /^(stop|platform)/;
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function isClosed(coords) {
+  return coords.length >= 4 && samePoint(coords[0], coords[coords.length - 1]);
+}
+
+/**
+ * Un chemin fermé est-il une surface d'après ses tags ?
+ */
+function isArea(tags, coords) {
+  if (!tags || !isClosed(coords) || tags.area === 'no') {
+    return false;
+  }
+
+  return Object.entries(tags).some(([key, value]) => {
+    const rule = AREA_KEYS[key];
+    if (!rule || value === 'no') return false;
+    if (rule === 'all') return true;
+    if (rule.include) return rule.include.includes(value);
+    return !rule.exclude.includes(value);
+  });
+}
+
+/**
+ * Coordonnées d'un chemin : géométrie inline (out geom) ou références de
+ * nœuds (out body; >; out skel)
+ */
+function wayCoordinates(way, nodesById) {
+  if (!way) return [];
+
+  if (way.geometry) {
+    return way.geometry.filter(Boolean).map(node => [node.lon, node.lat]);
+  }
+
+  return (way.nodes || []).map(ref => nodesById.get(ref)).filter(Boolean);
+}
+
+/**
+ * Coordonnées des chemins membres d'une relation
+ */
+function memberLines(relation, waysById, nodesById, filter = () => true) {
+  return (relation.members || [])
+    .filter(member => member.type === 'way' && filter(member))
+    .map(member => wayCoordinates(member.geometry ? member : waysById.get(member.ref), nodesById))
+    .filter(coords => coords.length >= 2);
+}
+
+/**
+ * Raccorder des lignes bout à bout (en les retournant si besoin)
+ * jusqu'à fermer un anneau ou ne plus trouver de suite
+ *
+ * @param {Array<Array>} lines - Lignes de coordonnées
+ * @returns {Array<Array>} Lignes raccordées
+ */
+function joinLines(lines) {
+  const pending = lines.map(line => [...line]);
+  const joined = [];
+
+  while (pending.length > 0) {
+    let current = pending.shift();
+    let extended = true;
+
+    while (extended && !isClosed(current)) {
+      extended = false;
+
+      for (let i = 0; i < pending.length; i++) {
+        const line = pending[i];
+        const head = current[0];
+        const tail = current[current.length - 1];
+
+        if (samePoint(tail, line[0])) {
+          current = current.concat(line.slice(1));
+        } else if (samePoint(tail, line[line.length - 1])) {
+          current = current.concat([...line].reverse().slice(1));
+        } else if (samePoint(head, line[line.length - 1])) {
+          current = line.concat(current.slice(1));
+        } else if (samePoint(head, line[0])) {
+          current = [...line].reverse().concat(current.slice(1));
+        } else {
+          continue;
+        }
+
+        pending.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+
+    joined.push(current);
+  }
+
+  return joined;
+}
+
+/**
+ * Aire signée d'un anneau (positive si sens antihoraire)
+ */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Orienter un anneau : extérieur antihoraire, trou horaire (règle GeoJSON)
+ */
+function orientRing(ring, counterClockwise) {
+  return (signedArea(ring) > 0) === counterClockwise ? ring : [...ring].reverse();
+}
+
+/**
+ * Assembler une relation multipolygon / boundary : anneaux extérieurs et
+ * intérieurs raccordés depuis les chemins membres, chaque trou rattaché au
+ * plus petit anneau extérieur qui le contient
+ *
+ * @returns {Object|null} Polygon, MultiPolygon ou null si aucun anneau fermé
+ */
+function buildAreaRelation(relation, waysById, nodesById) {
+  // Rôle vide = extérieur (anciennes relations)
+  const outerRings = joinLines(memberLines(relation, waysById, nodesById, m => m.role !== 'inner'));
+  const innerRings = joinLines(memberLines(relation, waysById, nodesById, m => m.role === 'inner'));
+
+  const outers = outerRings.filter(isClosed);
+  const inners = innerRings.filter(isClosed);
+
+  const unclosed = outerRings.length + innerRings.length - outers.length - inners.length;
+  if (unclosed > 0) {
+    console.warn(`⚠️ OSM relation ${relation.id}: ${unclosed} anneau(x) non fermé(s) ignoré(s)`);
+  }
+
+  if (outers.length === 0) return null;
+
+  const polygons = outers.map(ring => [orientRing(ring, true)]);
+
+  inners.forEach(inner => {
+    let target = null;
+    polygons.forEach(polygon => {
+      if (!pointInRing(inner[0], polygon[0])) return;
+      if (!target || Math.abs(signedArea(polygon[0])) < Math.abs(signedArea(target[0]))) {
+        target = polygon;
+      }
+    });
+    if (target) target.push(orientRing(inner, false));
+  });
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Assembler une relation route : tracé des chemins membres (hors arrêts
+ * et quais) raccordés en MultiLineString
+ */
+function buildRouteRelation(relation, waysById, nodesById) {
+  const lines = joinLines(memberLines(relation, waysById, nodesById, m => !ROUTE_STOP_ROLE.test(m.role || '')));
+  return lines.length > 0 ? { type: 'MultiLineString', coordinates: lines } : null;
+}
+
+function centerPoint(element) {
+  return element.center
+    ? { type: 'Point', coordinates: [element.center.lon, element.center.lat] }
+    : null;
+}
+
 /**
  * Convertir réponse OSM Overpass JSON en GeoJSON
  *
+ * - Nœuds : Point
+ * - Chemins : Polygon si fermés avec des tags de surface, sinon LineString
+ *   (Point au centre avec "out center")
+ * - Relations multipolygon / boundary : Polygon ou MultiPolygon avec trous
+ * - Relations route : MultiLineString
+ * - Autres relations : Point au centre si disponible
+ *
+ * Les membres des relations (type, ref, rôle) sont conservés dans
+ * la propriété osm_members. Les éléments sans tags qui ne servent qu'à
+ * construire la géométrie d'un autre (nœuds d'un chemin, chemins d'une
+ * relation) ne sont pas exportés.
+ *
  * @param {Object} osmData - Données OSM format JSON
  * @returns {Object} GeoJSON FeatureCollection
  */
@@ -188,46 +424,62 @@ function convertOSMToGeoJSON(osmData) {
     };
   }
 
+  // Index des éléments pour résoudre les références
+  const nodesById = new Map();
+  const waysById = new Map();
+  const referenced = new Set();
+
+  osmData.elements.forEach(element => {
+    if (element.type === 'node') {
+      nodesById.set(element.id, [element.lon, element.lat]);
+    } else if (element.type === 'way') {
+      waysById.set(element.id, element);
+      (element.nodes || []).forEach(ref => referenced.add(`node/${ref}`));
+    } else if (element.type === 'relation') {
+      (element.members || []).forEach(member => referenced.add(`${member.type}/${member.ref}`));
+    }
+  });
+
   const features = osmData.elements.map(element => {
+    const hasTags = element.tags && Object.keys(element.tags).length > 0;
+    if (!hasTags && referenced.has(`${element.type}/${element.id}`)) {
+      return null;
+    }
+
     let geometry = null;
 
     // Node (point)
-    if (element.type === 'node' && element.lat && element.lon) {
+    if (element.type === 'node' && typeof element.lat === 'number' && typeof element.lon === 'number') {
       geometry = {
         type: 'Point',
         coordinates: [element.lon, element.lat]
       };
     }
 
-    // Way (linestring or polygon)
-    if (element.type === 'way' && element.geometry) {
-      const coords = element.geometry.map(node => [node.lon, node.lat]);
-
-      // Si premier et dernier point identiques + building tag → Polygon
-      if (
-        coords.length > 3 &&
-        coords[0][0] === coords[coords.length - 1][0] &&
-        coords[0][1] === coords[coords.length - 1][1] &&
-        element.tags && element.tags.building
-      ) {
-        geometry = {
-          type: 'Polygon',
-          coordinates: [coords]
-        };
+    // Way (polygon si surface, sinon linestring)
+    if (element.type === 'way') {
+      const coords = wayCoordinates(element, nodesById);
+
+      if (coords.length >= 2) {
+        geometry = isArea(element.tags, coords)
+          ? { type: 'Polygon', coordinates: [orientRing(coords, true)] }
+          : { type: 'LineString', coordinates: coords };
       } else {
-        geometry = {
-          type: 'LineString',
-          coordinates: coords
-        };
+        geometry = centerPoint(element);
       }
     }
 
-    // Relation (multipolygon) - utiliser center si disponible
-    if (element.type === 'relation' && element.center) {
-      geometry = {
-        type: 'Point',
-        coordinates: [element.center.lon, element.center.lat]
-      };
+    // Relation (multipolygon, boundary, route) - center si non assemblable
+    if (element.type === 'relation') {
+      const relationType = element.tags && element.tags.type;
+
+      if (AREA_RELATION_TYPES.includes(relationType)) {
+        geometry = buildAreaRelation(element, waysById, nodesById);
+      } else if (relationType === 'route') {
+        geometry = buildRouteRelation(element, waysById, nodesById);
+      }
+
+      geometry = geometry || centerPoint(element);
     }
 
     // Properties from tags
@@ -237,6 +489,10 @@ function convertOSMToGeoJSON(osmData) {
       ...(element.tags || {})
     };
 
+    if (element.type === 'relation' && element.members) {
+      properties.osm_members = element.members.map(({ type, ref, role }) => ({ type, ref, role }));
+    }
+
     // Normaliser le nom
     if (properties.name) {
       properties.nom = properties.name;
@@ -248,7 +504,7 @@ function convertOSMToGeoJSON(osmData) {
       geometry,
       properties
     };
-  }).filter(feature => feature.geometry !== null); // Filtrer features sans géométrie
+  }).filter(feature => feature && feature.geometry !== null); // Filtrer features sans géométrie
 
   return {
     type: 'FeatureCollection',
@@ -0,0 +1,285 @@
+/**
+ * Geometry Editing Utilities
+ * Split, merge and holes on GeoJSON geometries
+ *
+ * Polygons are split along the chords of the cutting line (the parts of the
+ * line inside the polygon), in lng/lat coordinates. Errors are thrown with a
+ * message meant for the user.
+ */
+
+import * as turf from '@turf/turf';
+
+const EPSILON = 1e-12;
+
+// ============================================================
+// PLANAR HELPERS
+// ============================================================
+
+const sameCoord = (a, b) => Math.abs(a[0] - b[0]) < 1e-10 && Math.abs(a[1] - b[1]) < 1e-10;
+
+/** Ring without its closing vertex */
+const openRing = (ring) => (ring.length > 1 && sameCoord(ring[0], ring[ring.length - 1]) ? ring.slice(0, -1) : ring);
+
+/** Ring with its closing vertex */
+const closeRing = (ring) => [...ring, ring[0]];
+
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Intersection of segments [p1, p2] and [q1, q2] (collinear overlaps ignored)
+ * @returns {Object|null} { point, u (along p), v (along q) }
+ */
+const segmentIntersection = (p1, p2, q1, q2) => {
+  const rx = p2[0] - p1[0];
+  const ry = p2[1] - p1[1];
+  const sx = q2[0] - q1[0];
+  const sy = q2[1] - q1[1];
+  const denominator = rx * sy - ry * sx;
+  if (Math.abs(denominator) < EPSILON) return null;
+
+  const qpx = q1[0] - p1[0];
+  const qpy = q1[1] - p1[1];
+  const u = (qpx * sy - qpy * sx) / denominator;
+  const v = (qpx * ry - qpy * rx) / denominator;
+  if (u < -EPSILON || u > 1 + EPSILON || v < -EPSILON || v > 1 + EPSILON) return null;
+
+  return { point: [p1[0] + u * rx, p1[1] + u * ry], u, v };
+};
+
+const distanceToSegment = ([x, y], a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / lengthSq));
+  return Math.hypot(x - (a[0] + t * dx), y - (a[1] + t * dy));
+};
+
+const pathCrossesRing = (path, ring) => {
+  for (let i = 0; i < path.length - 1; i++) {
+    for (let j = 0; j < ring.length; j++) {
+      if (segmentIntersection(path[i], path[i + 1], ring[j], ring[(j + 1) % ring.length])) return true;
+    }
+  }
+  return false;
+};
+
+// ============================================================
+// POLYGON SPLIT
+// ============================================================
+
+/**
+ * Parts of the cutting line inside a ring, from boundary to boundary
+ * @param {Array} ring - Open ring
+ * @param {Array} cutter - Cutting line coordinates
+ * @returns {Array<Array>} Chord paths (first and last vertex on the ring)
+ */
+const findChords = (ring, cutter) => {
+  const hits = [];
+
+  for (let i = 0; i < cutter.length - 1; i++) {
+    for (let j = 0; j < ring.length; j++) {
+      const hit = segmentIntersection(cutter[i], cutter[i + 1], ring[j], ring[(j + 1) % ring.length]);
+      if (hit) hits.push({ point: hit.point, t: i + hit.u });
+    }
+  }
+
+  // A line through a vertex hits both edges: keep one
+  hits.sort((a, b) => a.t - b.t);
+  const unique = hits.filter((hit, index) => index === 0 || !sameCoord(hit.point, hits[index - 1].point));
+
+  const chords = [];
+  for (let k = 0; k < unique.length - 1; k++) {
+    const from = unique[k];
+    const to = unique[k + 1];
+    const path = [from.point];
+    for (let m = Math.floor(from.t) + 1; m < to.t; m++) path.push(cutter[m]);
+    path.push(to.point);
+
+    const mid = [(path[0][0] + path[1][0]) / 2, (path[0][1] + path[1][1]) / 2];
+    if (pointInRing(mid, ring)) chords.push(path);
+  }
+
+  return chords;
+};
+
+/**
+ * Edge of the ring the point lies on, and its distance from the edge start
+ */
+const locateOnRing = (ring, point) => {
+  let best = { edge: -1, distance: Infinity };
+  ring.forEach((vertex, edge) => {
+    const distance = distanceToSegment(point, vertex, ring[(edge + 1) % ring.length]);
+    if (distance < best.distance) best = { edge, distance };
+  });
+  const start = ring[best.edge];
+  return { edge: best.edge, along: Math.hypot(point[0] - start[0], point[1] - start[1]) };
+};
+
+/**
+ * Ring vertices met when walking forward from one boundary point to another
+ */
+const walkRing = (ring, from, to) => {
+  const vertices = [];
+  if (from.edge === to.edge && to.along >= from.along) return vertices;
+
+  let index = (from.edge + 1) % ring.length;
+  for (let count = 0; count < ring.length; count++) {
+    vertices.push(ring[index]);
+    if (index === to.edge) break;
+    index = (index + 1) % ring.length;
+  }
+  return vertices;
+};
+
+/**
+ * Split an open ring in two along a chord
+ */
+const splitRing = (ring, chord) => {
+  const start = locateOnRing(ring, chord[0]);
+  const end = locateOnRing(ring, chord[chord.length - 1]);
+
+  return [
+    [...chord, ...walkRing(ring, end, start)],
+    [...[...chord].reverse(), ...walkRing(ring, start, end)],
+  ];
+};
+
+/**
+ * Split one polygon (outer ring + holes) with a line
+ * @returns {Array} Polygon coordinates of the parts
+ */
+const splitPolygonCoords = (rings, cutter) => {
+  const [outer, ...holes] = rings.map(openRing);
+
+  if (holes.some(hole => pathCrossesRing(cutter, hole))) {
+    throw new Error('La ligne de découpe ne doit pas traverser un trou du polygone');
+  }
+
+  let pieces = [outer];
+  findChords(outer, cutter).forEach(chord => {
+    const mid = [(chord[0][0] + chord[1][0]) / 2, (chord[0][1] + chord[1][1]) / 2];
+    const index = pieces.findIndex(piece => pointInRing(mid, piece));
+    if (index === -1) return;
+    pieces = [...pieces.slice(0, index), ...splitRing(pieces[index], chord), ...pieces.slice(index + 1)];
+  });
+
+  return pieces.map(piece => [
+    closeRing(piece),
+    ...holes.filter(hole => pointInRing(hole[0], piece)).map(closeRing),
+  ]);
+};
+
+// ============================================================
+// PUBLIC OPERATIONS
+// ============================================================
+
+/**
+ * Split a line or polygon geometry with a drawn line
+ * @param {Object} geometry - GeoJSON LineString, MultiLineString, Polygon or MultiPolygon
+ * @param {Object} cutter - GeoJSON LineString
+ * @returns {Array<Object>} Geometries of the parts (at least 2)
+ */
+export const splitGeometry = (geometry, cutter) => {
+  const cutterCoords = cutter.type === 'Feature' ? cutter.geometry.coordinates : cutter.coordinates;
+  let parts;
+
+  switch (geometry.type) {
+    case 'LineString':
+    case 'MultiLineString': {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      parts = lines.flatMap(line => {
+        const pieces = turf.lineSplit(turf.lineString(line), turf.lineString(cutterCoords)).features;
+        // lineSplit returns no feature when the line is not crossed
+        return pieces.length > 0
+          ? pieces.map(feature => feature.geometry)
+          : [{ type: 'LineString', coordinates: line }];
+      });
+      break;
+    }
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      parts = polygons.flatMap(rings => splitPolygonCoords(rings, cutterCoords))
+        .map(coordinates => ({ type: 'Polygon', coordinates }));
+      break;
+    }
+    default:
+      throw new Error('Seules les lignes et les polygones peuvent être découpés');
+  }
+
+  const sourceParts = geometry.type.startsWith('Multi') ? geometry.coordinates.length : 1;
+  if (parts.length <= sourceParts) {
+    throw new Error('La ligne de découpe doit traverser entièrement la géométrie');
+  }
+
+  return parts;
+};
+
+/**
+ * Merge polygons into one geometry (dissolving shared boundaries)
+ * @param {Array<Object>} geometries - GeoJSON Polygon / MultiPolygon geometries
+ * @returns {Object} Polygon, or MultiPolygon when the parts do not touch
+ */
+export const mergeGeometries = (geometries) => {
+  if (geometries.length < 2) {
+    throw new Error('Sélectionnez au moins deux polygones à fusionner');
+  }
+  if (geometries.some(g => g.type !== 'Polygon' && g.type !== 'MultiPolygon')) {
+    throw new Error('Seuls les polygones peuvent être fusionnés');
+  }
+
+  const union = turf.union(turf.featureCollection(geometries.map(g => turf.feature(g))));
+  if (!union) throw new Error('La fusion ne donne aucune géométrie');
+  return union.geometry;
+};
+
+/**
+ * Add a hole to the polygon part containing it
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Object} hole - GeoJSON Polygon (drawn hole)
+ * @returns {Object|null} New geometry, null if the hole is not inside the geometry
+ */
+export const addHole = (geometry, hole) => {
+  const holeRing = openRing(hole.coordinates[0]);
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  const index = polygons.findIndex(rings => {
+    const [outer, ...holes] = rings.map(openRing);
+    return (
+      holeRing.every(point => pointInRing(point, outer)) &&
+      !pathCrossesRing(closeRing(holeRing), outer) &&
+      !holes.some(existing => pathCrossesRing(closeRing(holeRing), existing) || pointInRing(holeRing[0], existing))
+    );
+  });
+  if (index === -1) return null;
+
+  // Holes are stored clockwise (GeoJSON right-hand rule)
+  const ring = turf.booleanClockwise(closeRing(holeRing)) ? closeRing(holeRing) : closeRing(holeRing).reverse();
+  const updated = polygons.map((rings, i) => (i === index ? [...rings, ring] : rings));
+
+  return geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: updated[0] }
+    : { type: 'MultiPolygon', coordinates: updated };
+};
+
+/**
+ * Geometry type family of a GeoJSON geometry
+ * @returns {string} 'point' | 'line' | 'polygon' | 'collection'
+ */
+export const getGeometryKind = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type.endsWith('Point')) return 'point';
+  if (geometry.type.endsWith('LineString')) return 'line';
+  if (geometry.type.endsWith('Polygon')) return 'polygon';
+  return 'collection';
+};
@@ -0,0 +1,399 @@
+/**
+ * Spatial Selection Utilities
+ * Exact rectangle / lasso / circle tests on WKT geometries
+ *
+ * Rectangle and lasso are drawn on a Web Mercator map, so their edges are
+ * straight lines in projected space: geometries are tested in Web Mercator.
+ * The circle radius is geodesic (meters on the sphere, like map.distance()).
+ */
+
+import { wktToGeoJSON } from './wkt';
+
+const EARTH_RADIUS = 6371000; // meters, same as L.CRS.Earth.R
+const MAX_LATITUDE = 85.0511287798;
+const RAD = Math.PI / 180;
+
+export const SELECTION_PREDICATES = ['intersects', 'within'];
+export const SELECTION_OPERATIONS = ['replace', 'add', 'subtract', 'intersect'];
+
+// ============================================================
+// WKT PARSING
+// ============================================================
+
+/**
+ * Parse a WKT (or EWKT) string into points, lines and polygons
+ * @param {string} wkt - WKT geometry string
+ * @returns {Object|null} { points: [[lng, lat]], lines: [[[lng, lat]]], polygons: [[ring]] }
+ */
+export const parseWKTGeometry = (wkt) => {
+  const geometry = { points: [], lines: [], polygons: [] };
+
+  const collect = (geom) => {
+    if (!geom) return;
+    switch (geom.type) {
+      case 'Point': geometry.points.push(geom.coordinates); break;
+      case 'MultiPoint': geometry.points.push(...geom.coordinates); break;
+      case 'LineString': geometry.lines.push(geom.coordinates); break;
+      case 'MultiLineString': geometry.lines.push(...geom.coordinates); break;
+      case 'Polygon': geometry.polygons.push(geom.coordinates); break;
+      case 'MultiPolygon': geometry.polygons.push(...geom.coordinates); break;
+      case 'GeometryCollection': geom.geometries.forEach(collect); break;
+      default: break;
+    }
+  };
+
+  collect(wktToGeoJSON(wkt));
+
+  if (geometry.points.length + geometry.lines.length + geometry.polygons.length === 0) return null;
+  return geometry;
+};
+
+// ============================================================
+// PROJECTION & BOUNDING BOXES
+// ============================================================
+
+/**
+ * Project [lng, lat] to Web Mercator (radians, unit sphere)
+ */
+const project = ([lng, lat]) => {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  return [lng * RAD, Math.log(Math.tan(Math.PI / 4 + (clamped * RAD) / 2))];
+};
+
+const emptyBBox = () => [Infinity, Infinity, -Infinity, -Infinity];
+
+const extendBBox = (bbox, [x, y]) => {
+  if (x < bbox[0]) bbox[0] = x;
+  if (y < bbox[1]) bbox[1] = y;
+  if (x > bbox[2]) bbox[2] = x;
+  if (y > bbox[3]) bbox[3] = y;
+  return bbox;
+};
+
+const bboxOf = (coords) => coords.reduce(extendBBox, emptyBBox());
+
+const bboxIntersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+const bboxContains = (outer, inner) =>
+  inner[0] >= outer[0] && inner[2] <= outer[2] && inner[1] >= outer[1] && inner[3] <= outer[3];
+
+/**
+ * Prepare a record geometry for repeated selection tests:
+ * geographic coordinates (circle), Web Mercator coordinates (rectangle, lasso)
+ * and the bounding box of both.
+ * @param {string} wkt - WKT geometry string
+ * @returns {Object|null} Indexed geometry
+ */
+export const indexGeometry = (wkt) => {
+  const geographic = parseWKTGeometry(wkt);
+  if (!geographic) return null;
+
+  const projected = {
+    points: geographic.points.map(project),
+    lines: geographic.lines.map(line => line.map(project)),
+    polygons: geographic.polygons.map(rings => rings.map(ring => ring.map(project)))
+  };
+
+  const allCoords = (geometry) => [
+    ...geometry.points,
+    ...geometry.lines.flat(),
+    ...geometry.polygons.flatMap(rings => rings[0] || [])
+  ];
+
+  return {
+    geographic,
+    projected,
+    bbox: bboxOf(allCoords(geographic)),
+    projectedBBox: bboxOf(allCoords(projected))
+  };
+};
+
+/**
+ * Build the selection index of a record list (parsed once, reused by every selection)
+ * @param {Array} records - Workspace records ({ id, geometry, layer_name })
+ * @returns {Array<{ id, layer, geometry }>}
+ */
+export const buildSelectionIndex = (records = []) => {
+  const index = [];
+  records.forEach(record => {
+    const geometry = record.geometry ? indexGeometry(record.geometry) : null;
+    if (geometry) index.push({ id: record.id, layer: record.layer_name, geometry });
+  });
+  return index;
+};
+
+// ============================================================
+// PLANAR PREDICATES (Web Mercator)
+// ============================================================
+
+const orientation = (a, b, c) => {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+};
+
+const onSegment = (a, b, p) =>
+  Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+
+/**
+ * Segments [a, b] and [c, d] intersect (touching included)
+ */
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(a, b, c)) return true;
+  if (o2 === 0 && onSegment(a, b, d)) return true;
+  if (o3 === 0 && onSegment(c, d, a)) return true;
+  if (o4 === 0 && onSegment(c, d, b)) return true;
+  return false;
+};
+
+/**
+ * Ray casting (ring closed or not)
+ */
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Point inside the outer ring and outside every hole
+ */
+const pointInPolygon = (point, rings) =>
+  rings.length > 0 && pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+
+const segmentsOf = (path, closed) => {
+  const segments = [];
+  for (let i = 1; i < path.length; i++) segments.push([path[i - 1], path[i]]);
+  if (closed && path.length > 2) segments.push([path[path.length - 1], path[0]]);
+  return segments;
+};
+
+const pathCrossesRing = (path, closed, ringSegments) =>
+  segmentsOf(path, closed).some(([a, b]) => ringSegments.some(([c, d]) => segmentsIntersect(a, b, c, d)));
+
+/**
+ * Test an indexed geometry against a selection polygon (rectangle or lasso)
+ * @param {Object} geometry - Result of indexGeometry()
+ * @param {Object} area - Result of createPolygonArea()
+ * @param {string} predicate - 'intersects' | 'within'
+ */
+const matchPolygonArea = (geometry, area, predicate) => {
+  const { projected, projectedBBox } = geometry;
+  const { ring, segments, bbox } = area;
+
+  if (!bboxIntersects(projectedBBox, bbox)) return false;
+  if (predicate === 'within' && !bboxContains(bbox, projectedBBox)) return false;
+
+  const inside = (point) => pointInRing(point, ring);
+
+  if (predicate === 'within') {
+    return (
+      projected.points.every(inside) &&
+      projected.lines.every(line => line.every(inside) && !pathCrossesRing(line, false, segments)) &&
+      projected.polygons.every(rings => rings[0].every(inside) && !pathCrossesRing(rings[0], true, segments))
+    );
+  }
+
+  return (
+    projected.points.some(inside) ||
+    projected.lines.some(line => line.some(inside) || pathCrossesRing(line, false, segments)) ||
+    projected.polygons.some(rings =>
+      rings[0].some(inside) ||
+      pointInPolygon(ring[0], rings) ||
+      rings.some(r => pathCrossesRing(r, true, segments))
+    )
+  );
+};
+
+/**
+ * Selection polygon in Web Mercator from Leaflet lat/lng vertices
+ * @param {Array} latlngs - [{ lat, lng }] or [[lat, lng]]
+ */
+export const createPolygonArea = (latlngs) => {
+  const ring = latlngs.map(ll => (Array.isArray(ll) ? project([ll[1], ll[0]]) : project([ll.lng, ll.lat])));
+  return { type: 'polygon', ring, segments: segmentsOf(ring, true), bbox: bboxOf(ring) };
+};
+
+/**
+ * Selection rectangle from Leaflet bounds (LatLngBounds or [[south, west], [north, east]])
+ */
+export const createRectangleArea = (bounds) => {
+  const [[south, west], [north, east]] = typeof bounds.getSouth === 'function'
+    ? [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]]
+    : bounds;
+  return createPolygonArea([[south, west], [south, east], [north, east], [north, west]]);
+};
+
+// ============================================================
+// GEODESIC PREDICATES (circle)
+// ============================================================
+
+/**
+ * Great-circle distance in meters (haversine)
+ */
+export const geodesicDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = (lat2 - lat1) * RAD;
+  const dLng = (lng2 - lng1) * RAD;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const bearing = ([lng1, lat1], [lng2, lat2]) => {
+  const φ1 = lat1 * RAD;
+  const φ2 = lat2 * RAD;
+  const Δλ = (lng2 - lng1) * RAD;
+  return Math.atan2(Math.sin(Δλ) * Math.cos(φ2), Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ));
+};
+
+/**
+ * Distance in meters from a point to a great-circle segment [a, b]
+ * (cross-track distance when the closest point lies on the segment)
+ */
+const distanceToSegment = (point, a, b) => {
+  const toA = geodesicDistance(a, point);
+  const toB = geodesicDistance(b, point);
+  const length = geodesicDistance(a, b);
+  if (length === 0) return toA;
+
+  const δ13 = toA / EARTH_RADIUS;
+  const θ = bearing(a, point) - bearing(a, b);
+  if (Math.cos(θ) <= 0) return toA;
+
+  const δxt = Math.asin(Math.max(-1, Math.min(1, Math.sin(δ13) * Math.sin(θ))));
+  const δat = Math.acos(Math.max(-1, Math.min(1, Math.cos(δ13) / Math.cos(δxt))));
+  if (δat * EARTH_RADIUS >= length) return toB;
+
+  return Math.abs(δxt) * EARTH_RADIUS;
+};
+
+const distanceToPath = (point, path, closed) => {
+  if (path.length === 1) return geodesicDistance(point, path[0]);
+  return segmentsOf(path, closed).reduce((min, [a, b]) => Math.min(min, distanceToSegment(point, a, b)), Infinity);
+};
+
+/**
+ * Test an indexed geometry against a selection circle
+ * @param {Object} geometry - Result of indexGeometry()
+ * @param {Object} area - Result of createCircleArea()
+ * @param {string} predicate - 'intersects' | 'within'
+ */
+const matchCircleArea = (geometry, area, predicate) => {
+  const { geographic, bbox: geometryBBox } = geometry;
+  const { center, radius, bbox } = area;
+
+  if (!bboxIntersects(geometryBBox, bbox)) return false;
+  if (predicate === 'within' && !bboxContains(bbox, geometryBBox)) return false;
+
+  const inside = (point) => geodesicDistance(center, point) <= radius;
+
+  if (predicate === 'within') {
+    // The disk is convex: every vertex inside means every edge inside
+    return (
+      geographic.points.every(inside) &&
+      geographic.lines.every(line => line.every(inside)) &&
+      geographic.polygons.every(rings => rings[0].every(inside))
+    );
+  }
+
+  return (
+    geographic.points.some(inside) ||
+    geographic.lines.some(line => distanceToPath(center, line, false) <= radius) ||
+    geographic.polygons.some(rings =>
+      pointInPolygon(center, rings) ||
+      rings.some(ring => distanceToPath(center, ring, true) <= radius)
+    )
+  );
+};
+
+/**
+ * Selection circle from a Leaflet center and a radius in meters
+ * @param {Object|Array} center - { lat, lng } or [lat, lng]
+ * @param {number} radius - Radius in meters
+ */
+export const createCircleArea = (center, radius) => {
+  const [lat, lng] = Array.isArray(center) ? center : [center.lat, center.lng];
+  const dLat = radius / EARTH_RADIUS / RAD;
+  const cosLat = Math.cos(Math.min(89.9, Math.abs(lat) + dLat) * RAD);
+  const dLng = Math.min(180, dLat / Math.max(cosLat, 1e-6));
+
+  return {
+    type: 'circle',
+    center: [lng, lat],
+    radius,
+    bbox: [lng - dLng, lat - dLat, lng + dLng, lat + dLat]
+  };
+};
+
+// ============================================================
+// SELECTION
+// ============================================================
+
+/**
+ * Ids of the indexed geometries matching a selection area
+ * @param {Array} index - Result of buildSelectionIndex()
+ * @param {Object} area - createRectangleArea() / createPolygonArea() / createCircleArea()
+ * @param {Object} options
+ * @param {string} options.predicate - 'intersects' (default) | 'within'
+ * @param {string|null} options.layer - Restrict to one layer
+ * @returns {Array<string|number>}
+ */
+export const findInArea = (index, area, { predicate = 'intersects', layer = null } = {}) => {
+  const match = area.type === 'circle' ? matchCircleArea : matchPolygonArea;
+  const ids = [];
+
+  index.forEach(entry => {
+    if (layer && entry.layer !== layer) return;
+    if (match(entry.geometry, area, predicate)) ids.push(entry.id);
+  });
+
+  return ids;
+};
+
+/**
+ * Combine the current selection with the ids of a new area selection
+ * @param {Array} current - Current selection
+ * @param {Array} ids - Ids in the area
+ * @param {string} operation - 'replace' | 'add' | 'subtract' | 'intersect'
+ * @returns {Array}
+ */
+export const combineSelection = (current, ids, operation = 'replace') => {
+  const idSet = new Set(ids);
+
+  switch (operation) {
+    case 'add': {
+      const currentSet = new Set(current);
+      return [...current, ...ids.filter(id => !currentSet.has(id))];
+    }
+    case 'subtract':
+      return current.filter(id => !idSet.has(id));
+    case 'intersect':
+      return current.filter(id => idSet.has(id));
+    default:
+      return ids;
+  }
+};
+
+/**
+ * Selection operation from the keyboard modifiers of a mouse event:
+ * Shift = add, Alt = subtract, Shift+Alt = intersect
+ * @param {Object} event - DOM event (shiftKey, altKey)
+ * @returns {string}
+ */
+export const getSelectionOperation = (event = {}) => {
+  if (event.shiftKey && event.altKey) return 'intersect';
+  if (event.shiftKey) return 'add';
+  if (event.altKey) return 'subtract';
+  return 'replace';
+};
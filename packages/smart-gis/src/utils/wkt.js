@@ -0,0 +1,157 @@
+/**
+ * WKT <-> GeoJSON geometry conversion
+ * POINT, LINESTRING, POLYGON, MULTI* and GEOMETRYCOLLECTION (EWKT SRID prefix
+ * and Z / M ordinates accepted, extra ordinates dropped)
+ */
+
+// WKT tokens (sticky: matched at the parser position)
+const WORD = /[A-Z]+/iy;
+const EMPTY = /EMPTY/iy;
+const COORDINATES = /[^,()]+/y;
+const DIMENSIONS = /(ZM|Z|M)\b/iy;
+
+const GEOJSON_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection',
+};
+
+/**
+ * Parse a WKT (or EWKT) string into a GeoJSON geometry
+ * @param {string} wkt - WKT geometry string
+ * @returns {Object|null} GeoJSON geometry, null if empty or invalid
+ */
+export const wktToGeoJSON = (wkt) => {
+  if (!wkt || typeof wkt !== 'string') return null;
+
+  const text = wkt.trim().replace(/^SRID=\d+;/i, '');
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  // Match a token at `pos` without copying the rest of the string
+  const match = (regex) => {
+    regex.lastIndex = pos;
+    const result = regex.exec(text);
+    if (result) pos += result[0].length;
+    return result;
+  };
+
+  const expect = (char) => {
+    skipSpaces();
+    if (text[pos] !== char) throw new Error(`Expected "${char}" at ${pos}`);
+    pos++;
+  };
+
+  const nextItem = () => {
+    skipSpaces();
+    if (text[pos] !== ',') return false;
+    pos++;
+    return true;
+  };
+
+  // Nested coordinate lists: "(1 2, 3 4)" -> [[1, 2], [3, 4]], recursive for rings
+  const readList = () => {
+    expect('(');
+    skipSpaces();
+    const items = [];
+
+    if (text[pos] === '(') {
+      do {
+        items.push(readList());
+      } while (nextItem());
+    } else {
+      do {
+        skipSpaces();
+        const coords = match(COORDINATES);
+        if (!coords) throw new Error(`Expected coordinates at ${pos}`);
+        const [lng, lat] = coords[0].trim().split(/\s+/).map(Number);
+        if (!Number.isFinite(lng) || !Number.isFinite(lat)) throw new Error(`Invalid coordinates "${coords[0]}"`);
+        items.push([lng, lat]);
+      } while (nextItem());
+    }
+
+    expect(')');
+    return items;
+  };
+
+  const readGeometry = () => {
+    skipSpaces();
+    const word = match(WORD);
+    const type = word && GEOJSON_TYPES[word[0].toUpperCase()];
+    if (!type) throw new Error(`Unsupported geometry type at ${pos}`);
+
+    skipSpaces();
+    match(DIMENSIONS);
+    skipSpaces();
+    if (match(EMPTY)) return null;
+
+    if (type === 'GeometryCollection') {
+      const geometries = [];
+      expect('(');
+      do {
+        const geometry = readGeometry();
+        if (geometry) geometries.push(geometry);
+      } while (nextItem());
+      expect(')');
+      return { type, geometries };
+    }
+
+    const list = readList();
+    switch (type) {
+      case 'Point':
+        return { type, coordinates: list[0] };
+      case 'MultiPoint':
+        // Both MULTIPOINT(1 2, 3 4) and MULTIPOINT((1 2), (3 4))
+        return { type, coordinates: list.map(p => (Array.isArray(p[0]) ? p[0] : p)) };
+      default:
+        return { type, coordinates: list };
+    }
+  };
+
+  try {
+    return readGeometry();
+  } catch (error) {
+    console.warn('Error parsing WKT:', error.message);
+    return null;
+  }
+};
+
+const formatPosition = ([lng, lat]) => `${lng} ${lat}`;
+const formatPath = (path) => `(${path.map(formatPosition).join(', ')})`;
+const formatRings = (rings) => `(${rings.map(formatPath).join(', ')})`;
+
+/**
+ * Serialize a GeoJSON geometry (or Feature) to WKT
+ * @param {Object} geometry - GeoJSON geometry or Feature
+ * @returns {string|null}
+ */
+export const geoJSONToWKT = (geometry) => {
+  const geom = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+  if (!geom) return null;
+
+  switch (geom.type) {
+    case 'Point':
+      return `POINT(${formatPosition(geom.coordinates)})`;
+    case 'LineString':
+      return `LINESTRING${formatPath(geom.coordinates)}`;
+    case 'Polygon':
+      return `POLYGON${formatRings(geom.coordinates)}`;
+    case 'MultiPoint':
+      return `MULTIPOINT(${geom.coordinates.map(p => `(${formatPosition(p)})`).join(', ')})`;
+    case 'MultiLineString':
+      return `MULTILINESTRING${formatRings(geom.coordinates)}`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON(${geom.coordinates.map(formatRings).join(', ')})`;
+    case 'GeometryCollection':
+      return `GEOMETRYCOLLECTION(${geom.geometries.map(geoJSONToWKT).join(', ')})`;
+    default:
+      return null;
+  }
+};
@@ -208,6 +208,24 @@ export async function deleteFromWorkspace(docApi, recordId) {
   }
 }
 
+/**
+ * Applique une liste d'actions sur la workspace en un seul lot
+ * (une seule entrée dans l'historique Grist, annulable d'un coup)
+ */
+export async function applyWorkspaceActions(docApi, actions) {
+  try {
+    if (!actions || actions.length === 0) {
+      return { success: true, count: 0 };
+    }
+
+    await docApi.applyUserActions(actions);
+    return { success: true, count: actions.length };
+  } catch (error) {
+    console.error('Error applying workspace actions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Vide complètement la workspace
  */